@@ -0,0 +1,390 @@
+/*
+Schema Migrations
+=================
+
+Applies the numbered SQL migrations in database/migrations (SQLite) or
+database/migrations/postgres (PostgreSQL, when DATABASE_CLIENT=postgres) and
+records each one in the schema_migrations table with a checksum of its file.
+
+- NNN_name.sql is the up migration; NNN_name.down.sql undoes it. A migration
+  without a down file cannot be rolled back.
+- Each migration runs in its own transaction together with its
+  schema_migrations row, so one that fails leaves nothing behind. A file whose
+  first line is "-- migrate:no-transaction" runs outside a transaction (needed
+  to switch PRAGMA foreign_keys off while rebuilding a table).
+- Applied migrations must not be edited: nothing is applied while the checksum
+  of an applied file differs from the one recorded. Add a new migration instead.
+- Databases created before schema_migrations existed are recorded as having
+  the base schema (every migration up to LEGACY_BASELINE_VERSION); the later
+  migrations then run on them like on any other database.
+- PostgreSQL starts from one migration equivalent to SQLite's 001-022. Every
+  later schema change needs a migration in both directories under the same
+  version; "migrate new" creates both.
+
+The server applies pending migrations on startup, and the test database is
+built by the same runner (see src/utils/database.js), so their schemas match.
+
+Usage (from backend/):
+  npm run migrate [up] [version]   Apply pending migrations (up to version)
+  npm run migrate status           List migrations and whether they are applied
+  npm run migrate down [count]     Roll back the last count migrations (default 1)
+  npm run migrate new <name>       Create NNN_name.sql and NNN_name.down.sql for both backends
+*/
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getDatabase, closeDatabase, isPostgres } = require('../src/utils/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const POSTGRES_MIGRATIONS_DIR = path.join(MIGRATIONS_DIR, 'postgres');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([^.]+)\.sql$/;
+const NO_TRANSACTION_DIRECTIVE = '-- migrate:no-transaction';
+
+// Last migration of the base schema, from before schema_migrations existed. Databases
+// built then have it and nothing later (010 onwards came with or after this runner)
+const LEGACY_BASELINE_VERSION = 9;
+
+// Migrations directory for a connection's backend
+function migrationsDir(db) {
+  return isPostgres(db) ? POSTGRES_MIGRATIONS_DIR : MIGRATIONS_DIR;
+}
+
+// Checksum of a migration file, ignoring line ending differences between checkouts
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Read the migrations in a directory
+ * @param {string} [dir=MIGRATIONS_DIR] - Directory holding the migration files
+ * @returns {Array} Migrations ({ version, name, upSql, downSql, checksum }) in version order; downSql is null when there is no down file
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => MIGRATION_FILE_PATTERN.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => {
+      const upSql = fs.readFileSync(path.join(dir, file), 'utf8');
+      const downPath = path.join(dir, `${version}_${name}.down.sql`);
+      return {
+        version: parseInt(version, 10),
+        name: `${version}_${name}`,
+        upSql,
+        downSql: fs.existsSync(downPath) ? fs.readFileSync(downPath, 'utf8') : null,
+        checksum: checksum(upSql)
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Migrations ${migrations[index - 1].name} and ${migration.name} share version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+/**
+ * Create schema_migrations if it does not exist yet, baselining databases built before it
+ * @param {Database} db - Database connection
+ * @param {Array} migrations - Migrations on disk
+ * @returns {string[]} Names of the migrations recorded as already applied by the baseline
+ */
+function ensureMigrationsTable(db, migrations) {
+  const tableExists = (name) => Boolean(db.prepare(isPostgres(db)
+    ? 'SELECT 1 FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = ?'
+    : 'SELECT 1 FROM sqlite_master WHERE type = \'table\' AND name = ?'
+  ).get(name));
+  if (tableExists('schema_migrations')) return [];
+
+  const isLegacy = tableExists('manufacturing_orders');
+  const baseline = isLegacy ? migrations.filter(migration => migration.version <= LEGACY_BASELINE_VERSION) : [];
+
+  db.transaction(() => {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum VARCHAR(64) NOT NULL,
+        -- 1 when recorded by the baseline rather than run by this runner
+        baselined ${isPostgres(db) ? 'INTEGER' : 'BOOLEAN'} NOT NULL DEFAULT 0,
+        execution_ms INTEGER,
+        applied_at ${isPostgres(db)
+    ? 'TEXT DEFAULT to_char(timezone(\'UTC\', now()), \'YYYY-MM-DD HH24:MI:SS\')'
+    : 'DATETIME DEFAULT CURRENT_TIMESTAMP'}
+      )
+    `);
+
+    const insert = db.prepare(`
+      INSERT INTO schema_migrations (version, name, checksum, baselined) VALUES (?, ?, ?, 1)
+    `);
+    baseline.forEach(migration => insert.run(migration.version, migration.name, migration.checksum));
+  }).immediate();
+
+  return baseline.map(migration => migration.name);
+}
+
+/**
+ * Every migration on disk or recorded as applied, with its state
+ * @param {Database} [db=getDatabase()] - Database connection
+ * @param {Object} [options={}] - { dir }; defaults to the directory for the connection's backend
+ * @returns {Array} { version, name, state, reversible, applied_at } in version order; state is
+ *   'applied', 'pending', 'changed' (file edited since it was applied) or 'missing' (applied, file gone)
+ */
+function getMigrationStatus(db = getDatabase(), { dir = migrationsDir(db) } = {}) {
+  const migrations = loadMigrations(dir);
+  ensureMigrationsTable(db, migrations);
+
+  const applied = new Map(db.prepare('SELECT * FROM schema_migrations').all().map(row => [row.version, row]));
+  const rows = migrations.map(migration => {
+    const record = applied.get(migration.version);
+    let state = 'pending';
+    if (record) {
+      state = record.checksum === migration.checksum ? 'applied' : 'changed';
+    }
+    return {
+      version: migration.version,
+      name: migration.name,
+      state,
+      reversible: migration.downSql !== null,
+      applied_at: record ? record.applied_at : null
+    };
+  });
+
+  const onDisk = new Set(migrations.map(migration => migration.version));
+  const missing = [...applied.values()]
+    .filter(record => !onDisk.has(record.version))
+    .map(record => ({
+      version: record.version,
+      name: record.name,
+      state: 'missing',
+      reversible: false,
+      applied_at: record.applied_at
+    }));
+
+  return [...rows, ...missing].sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Run one migration's SQL and update schema_migrations to match
+ * @param {Database} db - Database connection
+ * @param {Object} migration - Migration from loadMigrations
+ * @param {'up'|'down'} direction - Which way to run it
+ * @returns {boolean} False if another process already did it
+ * @private
+ */
+function runMigration(db, migration, direction) {
+  const sql = direction === 'up' ? migration.upSql : migration.downSql;
+  const isRecorded = () => Boolean(db.prepare('SELECT 1 FROM schema_migrations WHERE version = ?').get(migration.version));
+
+  const run = () => {
+    if (isRecorded() !== (direction === 'down')) return false;
+
+    const startedAt = Date.now();
+    db.exec(sql);
+
+    if (direction === 'up') {
+      db.prepare(`
+        INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES (?, ?, ?, ?)
+      `).run(migration.version, migration.name, migration.checksum, Date.now() - startedAt);
+    } else {
+      db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(migration.version);
+    }
+    return true;
+  };
+
+  try {
+    return sql.trimStart().startsWith(NO_TRANSACTION_DIRECTIVE) ? run() : db.transaction(run).immediate();
+  } catch (error) {
+    throw new Error(`Migration ${migration.name} (${direction}) failed: ${error.message}`);
+  }
+}
+
+/**
+ * Apply pending migrations in version order
+ * @param {Database} [db=getDatabase()] - Database connection
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.dir] - Directory holding the migration files; defaults to the one for the connection's backend
+ * @param {number} [options.target] - Highest version to apply; all pending when omitted
+ * @param {boolean} [options.quiet=false] - Don't log each migration
+ * @returns {string[]} Names of the migrations applied
+ * @throws {Error} If an applied migration's file has changed, or a migration fails (earlier ones stay applied)
+ */
+function runMigrations(db = getDatabase(), { dir = migrationsDir(db), target, quiet = false } = {}) {
+  const log = quiet ? () => {} : console.log;
+  const migrations = loadMigrations(dir);
+
+  const baselined = ensureMigrationsTable(db, migrations);
+  if (baselined.length > 0) {
+    log(`Existing database recorded as migrated up to ${baselined[baselined.length - 1]}`);
+  }
+
+  const status = getMigrationStatus(db, { dir });
+  const changed = status.filter(row => row.state === 'changed');
+  if (changed.length > 0) {
+    throw new Error(
+      `Applied migrations have been edited: ${changed.map(row => row.name).join(', ')}. ` +
+      'Restore them and add a new migration for the change.'
+    );
+  }
+
+  const pending = new Set(status.filter(row => row.state === 'pending').map(row => row.version));
+  const applied = [];
+  migrations
+    .filter(migration => pending.has(migration.version) && (target === undefined || migration.version <= target))
+    .forEach(migration => {
+      if (runMigration(db, migration, 'up')) {
+        applied.push(migration.name);
+        log(`Applied migration ${migration.name}`);
+      }
+    });
+
+  return applied;
+}
+
+/**
+ * Roll back the most recently applied migrations, newest first
+ * @param {Database} [db=getDatabase()] - Database connection
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.dir] - Directory holding the migration files; defaults to the one for the connection's backend
+ * @param {number} [options.count=1] - Number of migrations to roll back
+ * @param {boolean} [options.quiet=false] - Don't log each migration
+ * @returns {string[]} Names of the migrations rolled back
+ * @throws {Error} Before rolling anything back if one of them has no down file, or its file is missing or edited
+ */
+function rollbackMigrations(db = getDatabase(), { dir = migrationsDir(db), count = 1, quiet = false } = {}) {
+  const log = quiet ? () => {} : console.log;
+  const migrations = new Map(loadMigrations(dir).map(migration => [migration.version, migration]));
+
+  const toRollBack = getMigrationStatus(db, { dir })
+    .filter(row => row.state !== 'pending')
+    .reverse()
+    .slice(0, count);
+
+  toRollBack.forEach(row => {
+    if (row.state === 'missing') {
+      throw new Error(`Cannot roll back ${row.name}: its migration file is missing`);
+    }
+    if (row.state === 'changed') {
+      throw new Error(`Cannot roll back ${row.name}: it has been edited since it was applied`);
+    }
+    if (!row.reversible) {
+      throw new Error(`Cannot roll back ${row.name}: it has no down migration`);
+    }
+  });
+
+  const rolledBack = [];
+  toRollBack.forEach(row => {
+    if (runMigration(db, migrations.get(row.version), 'down')) {
+      rolledBack.push(row.name);
+      log(`Rolled back migration ${row.name}`);
+    }
+  });
+
+  return rolledBack;
+}
+
+/**
+ * Create empty up and down files for a new migration, numbered after the last one
+ * @param {string} name - Description, e.g. "add order notes"
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.dir=MIGRATIONS_DIR] - Directory to create the files in
+ * @param {number} [options.version] - Version to use instead of the next free one (to match the other backend)
+ * @returns {{version: number, up: string, down: string}} Version and paths of the created files
+ */
+function createMigration(name, { dir = MIGRATIONS_DIR, version: requestedVersion } = {}) {
+  const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!slug) {
+    throw new Error('A migration needs a name, e.g. npm run migrate new add_order_notes');
+  }
+
+  const versions = loadMigrations(dir).map(migration => migration.version);
+  const number = requestedVersion || Math.max(0, ...versions) + 1;
+  if (versions.includes(number)) {
+    throw new Error(`${path.relative(process.cwd(), dir) || dir} already has a migration ${number}`);
+  }
+
+  const version = String(number).padStart(3, '0');
+  const files = {
+    version: number,
+    up: path.join(dir, `${version}_${slug}.sql`),
+    down: path.join(dir, `${version}_${slug}.down.sql`)
+  };
+
+  fs.writeFileSync(files.up, `-- ${name}\n\n`);
+  fs.writeFileSync(files.down, `-- Undo ${version}_${slug}.sql (delete this file if it cannot be undone)\n\n`);
+  return files;
+}
+
+function printStatus(rows) {
+  if (rows.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
+
+  rows.forEach(row => {
+    const notes = [
+      row.applied_at ? `applied ${row.applied_at}` : null,
+      row.reversible ? null : 'no down'
+    ].filter(Boolean).join(', ');
+    console.log(`${row.state.padEnd(8)} ${row.name}${notes ? `  (${notes})` : ''}`);
+  });
+
+  const pending = rows.filter(row => row.state === 'pending').length;
+  console.log(`\n${rows.length - pending} applied, ${pending} pending`);
+}
+
+// Command-line interface: npm run migrate [up|status|down|new] [argument]
+if (require.main === module) {
+  require('dotenv').config();
+
+  const [command = 'up', argument] = process.argv.slice(2);
+  const number = (value, fallback) => value === undefined ? fallback : parseInt(value, 10);
+
+  try {
+    switch (command) {
+    case 'up': {
+      const applied = runMigrations(getDatabase(), { target: number(argument) });
+      console.log(applied.length > 0 ? `${applied.length} migration(s) applied` : 'Database is up to date');
+      break;
+    }
+    case 'status':
+      printStatus(getMigrationStatus(getDatabase()));
+      break;
+    case 'down': {
+      const rolledBack = rollbackMigrations(getDatabase(), { count: number(argument, 1) });
+      console.log(`${rolledBack.length} migration(s) rolled back`);
+      break;
+    }
+    case 'new': {
+      const name = process.argv.slice(3).join(' ');
+      const files = createMigration(name);
+      const postgresFiles = createMigration(name, { dir: POSTGRES_MIGRATIONS_DIR, version: files.version });
+      [files, postgresFiles].forEach(created => {
+        console.log(`Created ${path.relative(process.cwd(), created.up)}\nCreated ${path.relative(process.cwd(), created.down)}`);
+      });
+      break;
+    }
+    default:
+      console.error(`Unknown command "${command}". Use up, status, down or new.`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    closeDatabase();
+  }
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  POSTGRES_MIGRATIONS_DIR,
+  loadMigrations,
+  getMigrationStatus,
+  runMigrations,
+  rollbackMigrations,
+  createMigration
+};
@@ -0,0 +1,175 @@
+-- Base schema: users, work centres, machines, orders and their steps,
+-- characteristics, the audit log and integration tables
+
+CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  username VARCHAR(50) UNIQUE NOT NULL,
+  email VARCHAR(100) UNIQUE NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL CHECK(role IN ('admin', 'scheduler', 'viewer')),
+  first_name VARCHAR(50),
+  last_name VARCHAR(50),
+  is_active BOOLEAN DEFAULT 1,
+  last_login DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS work_centres (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name VARCHAR(100) NOT NULL,
+  code VARCHAR(20) UNIQUE NOT NULL,
+  description TEXT,
+  capacity INTEGER DEFAULT 1,
+  display_order INTEGER DEFAULT 0,
+  work_centre_position INTEGER,
+  is_active BOOLEAN DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS machines (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name VARCHAR(100) NOT NULL,
+  code VARCHAR(20) UNIQUE NOT NULL,
+  work_centre_id INTEGER,
+  description TEXT,
+  is_active BOOLEAN DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (work_centre_id) REFERENCES work_centres(id)
+);
+
+CREATE TABLE IF NOT EXISTS manufacturing_orders (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_number VARCHAR(50) UNIQUE NOT NULL,
+  stock_code VARCHAR(50) NOT NULL,
+  description TEXT NOT NULL,
+  quantity_to_make INTEGER NOT NULL,
+  quantity_completed INTEGER DEFAULT 0,
+  current_operation VARCHAR(100),
+  current_work_centre_id INTEGER,
+  work_centre_position INTEGER,
+  status VARCHAR(20) DEFAULT 'not_started',
+  priority VARCHAR(20) DEFAULT 'medium',
+  due_date DATE,
+  start_date DATE,
+  completion_date DATE,
+  created_by INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (current_work_centre_id) REFERENCES work_centres(id),
+  FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_manufacturing_orders_work_centre ON manufacturing_orders(current_work_centre_id, work_centre_position);
+CREATE INDEX IF NOT EXISTS idx_manufacturing_orders_status ON manufacturing_orders(status);
+CREATE INDEX IF NOT EXISTS idx_manufacturing_orders_due_date ON manufacturing_orders(due_date);
+
+CREATE TABLE IF NOT EXISTS manufacturing_steps (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_id INTEGER NOT NULL,
+  step_number INTEGER NOT NULL,
+  operation_name VARCHAR(100) NOT NULL,
+  work_centre_id INTEGER NOT NULL,
+  status VARCHAR(20) DEFAULT 'pending',
+  planned_duration_minutes INTEGER,
+  actual_duration_minutes INTEGER,
+  quantity_completed INTEGER DEFAULT 0,
+  started_at DATETIME,
+  completed_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(order_id, step_number),
+  FOREIGN KEY (order_id) REFERENCES manufacturing_orders(id) ON DELETE CASCADE,
+  FOREIGN KEY (work_centre_id) REFERENCES work_centres(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_manufacturing_steps_work_centre ON manufacturing_steps(work_centre_id);
+
+CREATE TABLE IF NOT EXISTS job_characteristics (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_id INTEGER NOT NULL,
+  type VARCHAR(50) NOT NULL,
+  value VARCHAR(255) NOT NULL,
+  color VARCHAR(7) NOT NULL,
+  display_name VARCHAR(100),
+  is_system_generated BOOLEAN DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES manufacturing_orders(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_characteristics_order ON job_characteristics(order_id);
+
+CREATE TABLE IF NOT EXISTS characteristic_types (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  type_key VARCHAR(50) UNIQUE NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  detection_patterns TEXT,
+  icon VARCHAR(50),
+  is_system_defined BOOLEAN DEFAULT 0,
+  is_active BOOLEAN DEFAULT 1,
+  sort_order INTEGER DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- History outlives the orders, work centres and users it mentions (deletions
+-- are themselves logged), so those ids are not foreign keys
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  event_type VARCHAR(50) NOT NULL,
+  order_id INTEGER,
+  from_work_centre_id INTEGER,
+  to_work_centre_id INTEGER,
+  user_id INTEGER,
+  event_data TEXT,
+  queue_depth_from INTEGER,
+  queue_depth_to INTEGER,
+  timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_order ON audit_log(order_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp ON audit_log(timestamp);
+
+CREATE TABLE IF NOT EXISTS scanner_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_id INTEGER,
+  work_centre_id INTEGER,
+  event_type VARCHAR(50) NOT NULL,
+  event_data TEXT,
+  user_id INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES manufacturing_orders(id),
+  FOREIGN KEY (work_centre_id) REFERENCES work_centres(id),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scanner_events_order ON scanner_events(order_id);
+
+CREATE TABLE IF NOT EXISTS user_settings (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER,
+  setting_key VARCHAR(100) NOT NULL,
+  setting_value TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(user_id, setting_key),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name VARCHAR(100) NOT NULL,
+  key VARCHAR(255) NOT NULL,
+  system_id VARCHAR(50) NOT NULL UNIQUE,
+  is_active BOOLEAN DEFAULT 1,
+  rate_limit INTEGER DEFAULT 1000,
+  ip_whitelist TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  last_used_at DATETIME,
+  expires_at DATETIME,
+  created_by INTEGER,
+  metadata TEXT
+);
@@ -0,0 +1,2 @@
+ALTER TABLE manufacturing_steps DROP COLUMN planned_finish_at;
+ALTER TABLE manufacturing_steps DROP COLUMN planned_start_at;
@@ -0,0 +1,3 @@
+-- Planned start/finish per manufacturing step, written by the finite-capacity scheduler
+ALTER TABLE manufacturing_steps ADD COLUMN planned_start_at DATETIME;
+ALTER TABLE manufacturing_steps ADD COLUMN planned_finish_at DATETIME;
@@ -0,0 +1,41 @@
+-- Shift calendars: weekly shift patterns, dated exceptions and per-work-centre pattern overrides
+
+CREATE TABLE IF NOT EXISTS shift_patterns (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name VARCHAR(100) UNIQUE NOT NULL,
+  description TEXT,
+  is_default BOOLEAN DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- day_of_week: 0 = Sunday ... 6 = Saturday; times are HH:MM local time, end <= start runs overnight
+CREATE TABLE IF NOT EXISTS shift_pattern_shifts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  shift_pattern_id INTEGER NOT NULL,
+  day_of_week INTEGER NOT NULL CHECK(day_of_week BETWEEN 0 AND 6),
+  start_time VARCHAR(5) NOT NULL,
+  end_time VARCHAR(5) NOT NULL,
+  name VARCHAR(50),
+  FOREIGN KEY (shift_pattern_id) REFERENCES shift_patterns(id) ON DELETE CASCADE
+);
+
+-- work_centre_id NULL = site-wide (e.g. public holidays); is_working = 1 adds time (overtime)
+CREATE TABLE IF NOT EXISTS calendar_exceptions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  work_centre_id INTEGER,
+  exception_date DATE NOT NULL,
+  start_time VARCHAR(5),
+  end_time VARCHAR(5),
+  is_working BOOLEAN DEFAULT 0,
+  description VARCHAR(255),
+  created_by INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (work_centre_id) REFERENCES work_centres(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shift_pattern_shifts_pattern ON shift_pattern_shifts(shift_pattern_id);
+CREATE INDEX IF NOT EXISTS idx_calendar_exceptions_date ON calendar_exceptions(exception_date, work_centre_id);
+
+ALTER TABLE work_centres ADD COLUMN shift_pattern_id INTEGER REFERENCES shift_patterns(id);
@@ -0,0 +1,37 @@
+-- Routing templates: versioned, ordered operations per stock code used to generate order steps
+
+-- Each change to a routing is stored as a new version; only the current version is active.
+-- Orders copy the operations into their own steps, so later versions never touch existing orders.
+CREATE TABLE IF NOT EXISTS routing_templates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  stock_code VARCHAR(50) NOT NULL,
+  version INTEGER NOT NULL,
+  description TEXT,
+  is_active BOOLEAN DEFAULT 1,
+  created_by INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(stock_code, version),
+  FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+CREATE TABLE IF NOT EXISTS routing_template_operations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  routing_template_id INTEGER NOT NULL,
+  step_number INTEGER NOT NULL,
+  operation_name VARCHAR(100) NOT NULL,
+  work_centre_id INTEGER NOT NULL,
+  planned_duration_minutes INTEGER,
+  setup_minutes INTEGER DEFAULT 0,
+  UNIQUE(routing_template_id, step_number),
+  FOREIGN KEY (routing_template_id) REFERENCES routing_templates(id) ON DELETE CASCADE,
+  FOREIGN KEY (work_centre_id) REFERENCES work_centres(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_routing_templates_stock_code ON routing_templates(stock_code, is_active);
+CREATE INDEX IF NOT EXISTS idx_routing_template_operations_template ON routing_template_operations(routing_template_id);
+
+-- Setup time is planned separately from run time so the scheduler can account for it
+ALTER TABLE manufacturing_steps ADD COLUMN setup_minutes INTEGER DEFAULT 0;
+
+-- Routing version an order's steps were generated from (NULL = steps entered by hand)
+ALTER TABLE manufacturing_orders ADD COLUMN routing_template_id INTEGER REFERENCES routing_templates(id);
@@ -0,0 +1 @@
+ALTER TABLE work_centres DROP COLUMN auto_move_on_step_complete;
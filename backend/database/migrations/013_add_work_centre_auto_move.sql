@@ -0,0 +1,3 @@
+-- Opt-in rule: completing a step at this work centre moves the order on to the
+-- work centre of its next pending step (end of that queue)
+ALTER TABLE work_centres ADD COLUMN auto_move_on_step_complete BOOLEAN DEFAULT 0;
@@ -0,0 +1,5 @@
+-- The step totals stay as they were last written from the bookings
+DROP TABLE IF EXISTS step_bookings;
+
+ALTER TABLE manufacturing_steps DROP COLUMN rework_quantity;
+ALTER TABLE manufacturing_steps DROP COLUMN scrap_quantity;
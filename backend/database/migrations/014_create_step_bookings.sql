@@ -0,0 +1,30 @@
+-- Step bookings: partial good / scrap / rework quantities reported against a step
+
+-- Scrap and rework need a reason_code; the step's quantity totals are the sum of its bookings
+CREATE TABLE IF NOT EXISTS step_bookings (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  step_id INTEGER NOT NULL,
+  order_id INTEGER NOT NULL,
+  good_quantity INTEGER NOT NULL DEFAULT 0 CHECK(good_quantity >= 0),
+  scrap_quantity INTEGER NOT NULL DEFAULT 0 CHECK(scrap_quantity >= 0),
+  rework_quantity INTEGER NOT NULL DEFAULT 0 CHECK(rework_quantity >= 0),
+  reason_code VARCHAR(50),
+  notes TEXT,
+  booked_by INTEGER,
+  booked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (step_id) REFERENCES manufacturing_steps(id) ON DELETE CASCADE,
+  FOREIGN KEY (order_id) REFERENCES manufacturing_orders(id) ON DELETE CASCADE,
+  FOREIGN KEY (booked_by) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_step_bookings_step ON step_bookings(step_id);
+CREATE INDEX IF NOT EXISTS idx_step_bookings_booked_at ON step_bookings(booked_at);
+
+ALTER TABLE manufacturing_steps ADD COLUMN scrap_quantity INTEGER DEFAULT 0;
+ALTER TABLE manufacturing_steps ADD COLUMN rework_quantity INTEGER DEFAULT 0;
+
+-- Carry quantities already reported on steps over as bookings so the totals stay intact
+INSERT INTO step_bookings (step_id, order_id, good_quantity, notes, booked_at)
+SELECT id, order_id, quantity_completed, 'Carried over from step quantity', COALESCE(completed_at, updated_at, CURRENT_TIMESTAMP)
+FROM manufacturing_steps
+WHERE quantity_completed > 0;
@@ -0,0 +1,7 @@
+-- Order splitting: a split order is retired from the board in favour of its
+-- child orders, whose quantities sum to the parent's
+ALTER TABLE manufacturing_orders ADD COLUMN parent_order_id INTEGER REFERENCES manufacturing_orders(id) ON DELETE SET NULL;
+ALTER TABLE manufacturing_orders ADD COLUMN split_sequence INTEGER;
+ALTER TABLE manufacturing_orders ADD COLUMN is_split BOOLEAN DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_manufacturing_orders_parent ON manufacturing_orders(parent_order_id);
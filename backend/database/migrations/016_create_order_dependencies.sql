@@ -0,0 +1,17 @@
+-- Order dependencies: order_id cannot start (or be moved into an active work
+-- centre) until depends_on_order_id is complete
+CREATE TABLE IF NOT EXISTS order_dependencies (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_id INTEGER NOT NULL,
+  depends_on_order_id INTEGER NOT NULL,
+  created_by INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES manufacturing_orders(id) ON DELETE CASCADE,
+  FOREIGN KEY (depends_on_order_id) REFERENCES manufacturing_orders(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id),
+  UNIQUE(order_id, depends_on_order_id),
+  CHECK(order_id != depends_on_order_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_dependencies_order ON order_dependencies(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_dependencies_depends_on ON order_dependencies(depends_on_order_id);
@@ -0,0 +1,37 @@
+-- Bills of materials and a simple inventory ledger used to gate orders on material availability
+
+-- Components needed to make one unit of a stock code
+CREATE TABLE IF NOT EXISTS bom_components (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  stock_code VARCHAR(50) NOT NULL,
+  component_code VARCHAR(50) NOT NULL,
+  quantity_per REAL NOT NULL CHECK(quantity_per > 0),
+  unit VARCHAR(20) DEFAULT 'each',
+  created_by INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(stock_code, component_code),
+  FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+-- Stock on hand and order allocations are the sums of these rows:
+--   receipt    adds to stock on hand
+--   issue      takes from stock on hand (against an order it also uses up that order's allocation)
+--   allocation reserves stock for an order (a negative allocation releases it)
+--   adjustment signed correction to stock on hand, e.g. a stock level pushed from the ERP
+CREATE TABLE IF NOT EXISTS inventory_transactions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  component_code VARCHAR(50) NOT NULL,
+  transaction_type VARCHAR(20) NOT NULL CHECK(transaction_type IN ('receipt', 'issue', 'allocation', 'adjustment')),
+  quantity REAL NOT NULL,
+  order_id INTEGER,
+  reference VARCHAR(100),
+  source VARCHAR(50),
+  created_by INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES manufacturing_orders(id) ON DELETE SET NULL,
+  FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bom_components_stock_code ON bom_components(stock_code);
+CREATE INDEX IF NOT EXISTS idx_inventory_transactions_component ON inventory_transactions(component_code);
+CREATE INDEX IF NOT EXISTS idx_inventory_transactions_order ON inventory_transactions(order_id);
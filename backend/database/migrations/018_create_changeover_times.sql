@@ -0,0 +1,19 @@
+-- Sequence-dependent setup times: how long a work centre takes to change over
+-- from one characteristic value to another (e.g. material steel -> aluminium)
+
+-- from_value / to_value '*' matches any value; the most specific row wins
+CREATE TABLE IF NOT EXISTS changeover_times (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  work_centre_id INTEGER NOT NULL,
+  characteristic_type VARCHAR(50) NOT NULL,
+  from_value VARCHAR(100) NOT NULL,
+  to_value VARCHAR(100) NOT NULL,
+  setup_minutes INTEGER NOT NULL CHECK(setup_minutes >= 0),
+  created_by INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(work_centre_id, characteristic_type, from_value, to_value),
+  FOREIGN KEY (work_centre_id) REFERENCES work_centres(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_changeover_times_work_centre ON changeover_times(work_centre_id);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS planning_scenario_orders;
+DROP TABLE IF EXISTS planning_scenarios;
@@ -0,0 +1,29 @@
+-- What-if scenarios: a private copy of the board's order positions and work
+-- centre assignments that planners can rearrange and later publish to live
+
+CREATE TABLE IF NOT EXISTS planning_scenarios (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name VARCHAR(100) UNIQUE NOT NULL,
+  description TEXT,
+  created_by INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+-- base_* hold the live assignment when the scenario was taken, so publishing
+-- can tell whether the live board has moved on underneath the scenario
+CREATE TABLE IF NOT EXISTS planning_scenario_orders (
+  scenario_id INTEGER NOT NULL,
+  order_id INTEGER NOT NULL,
+  work_centre_id INTEGER,
+  work_centre_position INTEGER,
+  base_work_centre_id INTEGER,
+  base_work_centre_position INTEGER,
+  PRIMARY KEY (scenario_id, order_id),
+  FOREIGN KEY (scenario_id) REFERENCES planning_scenarios(id) ON DELETE CASCADE,
+  FOREIGN KEY (order_id) REFERENCES manufacturing_orders(id) ON DELETE CASCADE,
+  FOREIGN KEY (work_centre_id) REFERENCES work_centres(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_planning_scenario_orders_work_centre ON planning_scenario_orders(scenario_id, work_centre_id);
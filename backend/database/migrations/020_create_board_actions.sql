@@ -0,0 +1,19 @@
+-- Per-user undo/redo history for planning board moves and reorders
+
+-- Each row points at the audit entry of the original action (order_moved or
+-- orders_reordered); last_audit_log_id is the audit entry of its latest
+-- undo or redo, used to spot moves made by other users since
+CREATE TABLE IF NOT EXISTS board_actions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  action_type VARCHAR(20) NOT NULL CHECK(action_type IN ('move', 'reorder')),
+  audit_log_id INTEGER NOT NULL,
+  last_audit_log_id INTEGER NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'done' CHECK(status IN ('done', 'undone')),
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (audit_log_id) REFERENCES audit_log(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_board_actions_user_status ON board_actions(user_id, status, id);
@@ -0,0 +1,15 @@
+DROP TRIGGER IF EXISTS order_search_order_insert;
+DROP TRIGGER IF EXISTS order_search_order_update;
+DROP TRIGGER IF EXISTS order_search_order_delete;
+DROP TRIGGER IF EXISTS order_search_step_insert;
+DROP TRIGGER IF EXISTS order_search_step_update;
+DROP TRIGGER IF EXISTS order_search_step_delete;
+DROP TRIGGER IF EXISTS order_search_characteristic_insert;
+DROP TRIGGER IF EXISTS order_search_characteristic_update;
+DROP TRIGGER IF EXISTS order_search_characteristic_delete;
+DROP TRIGGER IF EXISTS order_search_booking_insert;
+DROP TRIGGER IF EXISTS order_search_booking_update;
+DROP TRIGGER IF EXISTS order_search_booking_delete;
+
+DROP TABLE IF EXISTS order_search;
+DROP VIEW IF EXISTS order_search_documents;
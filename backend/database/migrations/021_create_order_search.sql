@@ -0,0 +1,136 @@
+-- Full-text search over orders: one FTS5 document per order (rowid = order id)
+-- covering the order itself, its step operation names, its characteristic
+-- values and the notes on its step bookings
+
+-- The searchable document for each order; the triggers below re-index an
+-- order from this view whenever one of its sources changes
+CREATE VIEW IF NOT EXISTS order_search_documents AS
+SELECT
+  mo.id AS order_id,
+  mo.order_number,
+  mo.stock_code,
+  COALESCE(mo.description, '') AS description,
+  COALESCE((
+    SELECT group_concat(ms.operation_name, ' · ') FROM manufacturing_steps ms WHERE ms.order_id = mo.id
+  ), '') AS operations,
+  COALESCE((
+    SELECT group_concat(
+      CASE WHEN jc.display_name IS NULL OR jc.display_name = jc.value THEN jc.value ELSE jc.value || ' ' || jc.display_name END,
+      ' · '
+    ) FROM job_characteristics jc WHERE jc.order_id = mo.id
+  ), '') AS characteristics,
+  COALESCE((
+    SELECT group_concat(sb.notes, ' · ') FROM step_bookings sb WHERE sb.order_id = mo.id AND sb.notes IS NOT NULL
+  ), '') AS notes
+FROM manufacturing_orders mo;
+
+CREATE VIRTUAL TABLE IF NOT EXISTS order_search USING fts5(
+  order_number,
+  stock_code,
+  description,
+  operations,
+  characteristics,
+  notes,
+  tokenize = 'unicode61 remove_diacritics 2',
+  prefix = '2 3'
+);
+
+INSERT INTO order_search (rowid, order_number, stock_code, description, operations, characteristics, notes)
+SELECT order_id, order_number, stock_code, description, operations, characteristics, notes
+FROM order_search_documents;
+
+-- Orders
+CREATE TRIGGER IF NOT EXISTS order_search_order_insert AFTER INSERT ON manufacturing_orders
+BEGIN
+  INSERT INTO order_search (rowid, order_number, stock_code, description, operations, characteristics, notes)
+  SELECT order_id, order_number, stock_code, description, operations, characteristics, notes
+  FROM order_search_documents WHERE order_id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS order_search_order_update AFTER UPDATE OF order_number, stock_code, description ON manufacturing_orders
+BEGIN
+  DELETE FROM order_search WHERE rowid = OLD.id;
+  INSERT INTO order_search (rowid, order_number, stock_code, description, operations, characteristics, notes)
+  SELECT order_id, order_number, stock_code, description, operations, characteristics, notes
+  FROM order_search_documents WHERE order_id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS order_search_order_delete AFTER DELETE ON manufacturing_orders
+BEGIN
+  DELETE FROM order_search WHERE rowid = OLD.id;
+END;
+
+-- Step operation names
+CREATE TRIGGER IF NOT EXISTS order_search_step_insert AFTER INSERT ON manufacturing_steps
+BEGIN
+  DELETE FROM order_search WHERE rowid = NEW.order_id;
+  INSERT INTO order_search (rowid, order_number, stock_code, description, operations, characteristics, notes)
+  SELECT order_id, order_number, stock_code, description, operations, characteristics, notes
+  FROM order_search_documents WHERE order_id = NEW.order_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS order_search_step_update AFTER UPDATE OF operation_name, order_id ON manufacturing_steps
+BEGIN
+  DELETE FROM order_search WHERE rowid IN (OLD.order_id, NEW.order_id);
+  INSERT INTO order_search (rowid, order_number, stock_code, description, operations, characteristics, notes)
+  SELECT order_id, order_number, stock_code, description, operations, characteristics, notes
+  FROM order_search_documents WHERE order_id IN (OLD.order_id, NEW.order_id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS order_search_step_delete AFTER DELETE ON manufacturing_steps
+BEGIN
+  DELETE FROM order_search WHERE rowid = OLD.order_id;
+  INSERT INTO order_search (rowid, order_number, stock_code, description, operations, characteristics, notes)
+  SELECT order_id, order_number, stock_code, description, operations, characteristics, notes
+  FROM order_search_documents WHERE order_id = OLD.order_id;
+END;
+
+-- Characteristic values
+CREATE TRIGGER IF NOT EXISTS order_search_characteristic_insert AFTER INSERT ON job_characteristics
+BEGIN
+  DELETE FROM order_search WHERE rowid = NEW.order_id;
+  INSERT INTO order_search (rowid, order_number, stock_code, description, operations, characteristics, notes)
+  SELECT order_id, order_number, stock_code, description, operations, characteristics, notes
+  FROM order_search_documents WHERE order_id = NEW.order_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS order_search_characteristic_update AFTER UPDATE OF value, display_name, order_id ON job_characteristics
+BEGIN
+  DELETE FROM order_search WHERE rowid IN (OLD.order_id, NEW.order_id);
+  INSERT INTO order_search (rowid, order_number, stock_code, description, operations, characteristics, notes)
+  SELECT order_id, order_number, stock_code, description, operations, characteristics, notes
+  FROM order_search_documents WHERE order_id IN (OLD.order_id, NEW.order_id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS order_search_characteristic_delete AFTER DELETE ON job_characteristics
+BEGIN
+  DELETE FROM order_search WHERE rowid = OLD.order_id;
+  INSERT INTO order_search (rowid, order_number, stock_code, description, operations, characteristics, notes)
+  SELECT order_id, order_number, stock_code, description, operations, characteristics, notes
+  FROM order_search_documents WHERE order_id = OLD.order_id;
+END;
+
+-- Booking notes
+CREATE TRIGGER IF NOT EXISTS order_search_booking_insert AFTER INSERT ON step_bookings WHEN NEW.notes IS NOT NULL
+BEGIN
+  DELETE FROM order_search WHERE rowid = NEW.order_id;
+  INSERT INTO order_search (rowid, order_number, stock_code, description, operations, characteristics, notes)
+  SELECT order_id, order_number, stock_code, description, operations, characteristics, notes
+  FROM order_search_documents WHERE order_id = NEW.order_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS order_search_booking_update AFTER UPDATE OF notes, order_id ON step_bookings
+BEGIN
+  DELETE FROM order_search WHERE rowid IN (OLD.order_id, NEW.order_id);
+  INSERT INTO order_search (rowid, order_number, stock_code, description, operations, characteristics, notes)
+  SELECT order_id, order_number, stock_code, description, operations, characteristics, notes
+  FROM order_search_documents WHERE order_id IN (OLD.order_id, NEW.order_id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS order_search_booking_delete AFTER DELETE ON step_bookings WHEN OLD.notes IS NOT NULL
+BEGIN
+  DELETE FROM order_search WHERE rowid = OLD.order_id;
+  INSERT INTO order_search (rowid, order_number, stock_code, description, operations, characteristics, notes)
+  SELECT order_id, order_number, stock_code, description, operations, characteristics, notes
+  FROM order_search_documents WHERE order_id = OLD.order_id;
+END;
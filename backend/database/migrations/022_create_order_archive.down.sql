@@ -0,0 +1,3 @@
+-- Orders still in the archive are lost; restore any that are needed first
+DROP TABLE IF EXISTS archived_order_records;
+DROP TABLE IF EXISTS archived_orders;
@@ -0,0 +1,43 @@
+-- Order archive: completed and cancelled orders moved out of the live tables
+-- once they are old enough, so board and analytics queries stop loading them
+
+-- One row per archived order, keeping its original id so it restores unchanged.
+-- The columns used to list and search the archive are copied out of order_data,
+-- which holds the whole manufacturing_orders row as JSON
+CREATE TABLE IF NOT EXISTS archived_orders (
+  id INTEGER PRIMARY KEY,
+  order_number VARCHAR(50) NOT NULL,
+  stock_code VARCHAR(50) NOT NULL,
+  description TEXT,
+  status VARCHAR(20) NOT NULL,
+  priority VARCHAR(20),
+  quantity_to_make INTEGER,
+  quantity_completed INTEGER,
+  due_date DATE,
+  completion_date DATE,
+  work_centre_id INTEGER,
+  created_at DATETIME,
+  -- Step operation names, characteristic values and booking notes, for searching
+  search_text TEXT NOT NULL DEFAULT '',
+  order_data TEXT NOT NULL,
+  archived_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  archived_by INTEGER,
+  FOREIGN KEY (archived_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_archived_orders_order_number ON archived_orders(order_number);
+CREATE INDEX IF NOT EXISTS idx_archived_orders_completion_date ON archived_orders(completion_date);
+CREATE INDEX IF NOT EXISTS idx_archived_orders_archived_at ON archived_orders(archived_at);
+
+-- The rows that belonged to an archived order (steps, bookings, characteristics,
+-- dependencies, scanner events and audit entries), each as JSON from its source table
+CREATE TABLE IF NOT EXISTS archived_order_records (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  archived_order_id INTEGER NOT NULL,
+  source_table VARCHAR(50) NOT NULL,
+  record_id INTEGER NOT NULL,
+  record_data TEXT NOT NULL,
+  FOREIGN KEY (archived_order_id) REFERENCES archived_orders(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_archived_order_records_order ON archived_order_records(archived_order_id, source_table);
@@ -0,0 +1,4 @@
+DROP TRIGGER IF EXISTS work_centres_version;
+DROP TRIGGER IF EXISTS manufacturing_orders_version;
+ALTER TABLE work_centres DROP COLUMN version;
+ALTER TABLE manufacturing_orders DROP COLUMN version;
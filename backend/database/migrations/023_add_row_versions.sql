@@ -0,0 +1,23 @@
+-- Row versions for optimistic concurrency: edits send the version they read
+-- (If-Match) and are refused if the row has changed since. The triggers bump
+-- the version whenever a column someone could be editing changes; queue
+-- positions and display order are left out, so drags and reorders of other
+-- rows do not count as edits
+ALTER TABLE manufacturing_orders ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE work_centres ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+
+CREATE TRIGGER IF NOT EXISTS manufacturing_orders_version AFTER UPDATE OF
+  order_number, stock_code, description, quantity_to_make, quantity_completed, current_operation,
+  current_work_centre_id, status, priority, due_date, start_date, completion_date,
+  routing_template_id, parent_order_id, split_sequence, is_split
+ON manufacturing_orders
+BEGIN
+  UPDATE manufacturing_orders SET version = OLD.version + 1 WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS work_centres_version AFTER UPDATE OF
+  name, code, description, capacity, is_active, shift_pattern_id, auto_move_on_step_complete
+ON work_centres
+BEGIN
+  UPDATE work_centres SET version = OLD.version + 1 WHERE id = NEW.id;
+END;
@@ -0,0 +1,27 @@
+-- Drag locks, kept in the database so they survive a restart and hold across
+-- every backend instance sharing it. A lock lapses at expires_at unless its
+-- holder renews it; times are milliseconds since the epoch
+CREATE TABLE IF NOT EXISTS drag_locks (
+  order_id INTEGER PRIMARY KEY,
+  order_number VARCHAR(50),
+  user_id INTEGER NOT NULL,
+  user_name VARCHAR(50) NOT NULL,
+  -- Instance the lock was taken through, so it can drop its own on disconnect
+  instance_id VARCHAR(100) NOT NULL,
+  started_at INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_drag_locks_expires_at ON drag_locks(expires_at);
+
+-- Lock changes, read by every instance to pass on to its own websocket
+-- clients. Rows only need to last until each instance has polled; older
+-- ones are deleted
+CREATE TABLE IF NOT EXISTS drag_lock_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  instance_id VARCHAR(100) NOT NULL,
+  event_data TEXT NOT NULL,
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_drag_lock_events_created_at ON drag_lock_events(created_at);
@@ -0,0 +1,623 @@
+-- PostgreSQL schema equivalent to SQLite migrations 001-022; later migrations
+-- are added to both directories under the same version number.
+--
+-- The models are written against SQLite, so this schema keeps its storage
+-- conventions: dates and times are TEXT ('YYYY-MM-DD' / 'YYYY-MM-DD HH:MM:SS',
+-- UTC), booleans are INTEGER 0/1 and JSON is TEXT. The functions below give
+-- PostgreSQL the SQLite functions the models use; the connection
+-- (src/utils/postgresDatabase.js) renames date(), datetime(), julianday() and
+-- strftime() calls and CURRENT_TIMESTAMP / CURRENT_DATE to the sqlite_* versions.
+
+-- ---------------------------------------------------------------------------
+-- SQLite compatibility functions
+-- ---------------------------------------------------------------------------
+
+-- A SQLite time value ('now', a date, or a date and time with an optional T
+-- and zone) with SQLite date modifiers applied, as a UTC timestamp. NULL when
+-- the value or a modifier cannot be understood, as in SQLite
+CREATE FUNCTION sqlite_timestamp(value TEXT, modifiers TEXT[]) RETURNS TIMESTAMP
+LANGUAGE plpgsql STABLE AS $$
+DECLARE
+  result TIMESTAMP;
+  modifier TEXT;
+BEGIN
+  IF value IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  BEGIN
+    result := CASE WHEN lower(value) = 'now' THEN timezone('UTC', now()) ELSE timezone('UTC', value::timestamptz) END;
+  EXCEPTION WHEN others THEN
+    RETURN NULL;
+  END;
+
+  FOREACH modifier IN ARRAY COALESCE(modifiers, '{}') LOOP
+    modifier := lower(trim(modifier));
+    IF modifier = 'start of day' THEN
+      result := date_trunc('day', result);
+    ELSIF modifier = 'start of month' THEN
+      result := date_trunc('month', result);
+    ELSIF modifier = 'start of year' THEN
+      result := date_trunc('year', result);
+    ELSIF modifier ~ '^[+-]?[0-9]+(\.[0-9]+)? *(second|minute|hour|day|month|year)s?$' THEN
+      result := result + modifier::interval;
+    ELSIF modifier NOT IN ('utc', 'localtime') THEN
+      RETURN NULL;
+    END IF;
+  END LOOP;
+
+  RETURN result;
+END;
+$$;
+
+CREATE FUNCTION sqlite_date(value TEXT, VARIADIC modifiers TEXT[] DEFAULT '{}') RETURNS TEXT
+LANGUAGE sql STABLE AS $$
+  SELECT to_char(sqlite_timestamp(value, modifiers), 'YYYY-MM-DD')
+$$;
+
+CREATE FUNCTION sqlite_datetime(value TEXT, VARIADIC modifiers TEXT[] DEFAULT '{}') RETURNS TEXT
+LANGUAGE sql STABLE AS $$
+  SELECT to_char(sqlite_timestamp(value, modifiers), 'YYYY-MM-DD HH24:MI:SS')
+$$;
+
+CREATE FUNCTION sqlite_julianday(value TEXT, VARIADIC modifiers TEXT[] DEFAULT '{}') RETURNS DOUBLE PRECISION
+LANGUAGE sql STABLE AS $$
+  SELECT extract(epoch FROM sqlite_timestamp(value, modifiers))::DOUBLE PRECISION / 86400 + 2440587.5
+$$;
+
+-- Only the format codes the SQLite documentation lists that map directly
+CREATE FUNCTION sqlite_strftime(format TEXT, value TEXT, VARIADIC modifiers TEXT[] DEFAULT '{}') RETURNS TEXT
+LANGUAGE sql STABLE AS $$
+  SELECT to_char(
+    sqlite_timestamp(value, modifiers),
+    replace(replace(replace(replace(replace(replace(replace(replace(replace(
+      format, '%Y', 'YYYY'), '%m', 'MM'), '%d', 'DD'), '%H', 'HH24'), '%M', 'MI'), '%S', 'SS'),
+      '%j', 'DDD'), '%W', 'IW'), '%w', 'D')
+  )
+$$;
+
+-- Two-argument max() and min() are scalar in SQLite: NULL if either argument is
+CREATE FUNCTION max(a DOUBLE PRECISION, b DOUBLE PRECISION) RETURNS DOUBLE PRECISION
+LANGUAGE sql IMMUTABLE AS 'SELECT CASE WHEN a IS NULL OR b IS NULL THEN NULL ELSE GREATEST(a, b) END';
+
+CREATE FUNCTION max(a TEXT, b TEXT) RETURNS TEXT
+LANGUAGE sql IMMUTABLE AS 'SELECT CASE WHEN a IS NULL OR b IS NULL THEN NULL ELSE GREATEST(a, b) END';
+
+CREATE FUNCTION min(a DOUBLE PRECISION, b DOUBLE PRECISION) RETURNS DOUBLE PRECISION
+LANGUAGE sql IMMUTABLE AS 'SELECT CASE WHEN a IS NULL OR b IS NULL THEN NULL ELSE LEAST(a, b) END';
+
+CREATE FUNCTION min(a TEXT, b TEXT) RETURNS TEXT
+LANGUAGE sql IMMUTABLE AS 'SELECT CASE WHEN a IS NULL OR b IS NULL THEN NULL ELSE LEAST(a, b) END';
+
+-- PostgreSQL only rounds numeric to a number of places
+CREATE FUNCTION round(value DOUBLE PRECISION, places INTEGER) RETURNS DOUBLE PRECISION
+LANGUAGE sql IMMUTABLE AS 'SELECT round(value::NUMERIC, places)::DOUBLE PRECISION';
+
+-- json_extract() returns the value as text; compare it with text parameters
+CREATE FUNCTION json_extract(document TEXT, path TEXT) RETURNS TEXT
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT jsonb_path_query_first(document::jsonb, path::jsonpath) #>> '{}'
+$$;
+
+CREATE FUNCTION group_concat_step(state TEXT, value anyelement, separator TEXT) RETURNS TEXT
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT CASE WHEN value IS NULL THEN state WHEN state IS NULL THEN value::TEXT ELSE state || separator || value::TEXT END
+$$;
+
+CREATE FUNCTION group_concat_step(state TEXT, value anyelement) RETURNS TEXT
+LANGUAGE sql IMMUTABLE AS 'SELECT group_concat_step(state, value, '','')';
+
+CREATE AGGREGATE group_concat(anyelement) (SFUNC = group_concat_step, STYPE = TEXT);
+CREATE AGGREGATE group_concat(anyelement, TEXT) (SFUNC = group_concat_step, STYPE = TEXT);
+
+-- COLLATE NOCASE
+CREATE COLLATION nocase (provider = icu, locale = 'und-u-ks-level2', deterministic = false);
+
+-- ---------------------------------------------------------------------------
+-- Users, work centres and orders
+-- ---------------------------------------------------------------------------
+
+CREATE TABLE users (
+  id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  username VARCHAR(50) UNIQUE NOT NULL,
+  email VARCHAR(100) UNIQUE NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL CHECK(role IN ('admin', 'scheduler', 'viewer')),
+  first_name VARCHAR(50),
+  last_name VARCHAR(50),
+  is_active INTEGER DEFAULT 1,
+  last_login TEXT,
+  created_at TEXT DEFAULT sqlite_datetime('now'),
+  updated_at TEXT DEFAULT sqlite_datetime('now')
+);
+
+CREATE TABLE shift_patterns (
+  id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  name VARCHAR(100) UNIQUE NOT NULL,
+  description TEXT,
+  is_default INTEGER DEFAULT 0,
+  created_at TEXT DEFAULT sqlite_datetime('now'),
+  updated_at TEXT DEFAULT sqlite_datetime('now')
+);
+
+CREATE TABLE work_centres (
+  id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  code VARCHAR(20) UNIQUE NOT NULL,
+  description TEXT,
+  capacity INTEGER DEFAULT 1,
+  display_order INTEGER DEFAULT 0,
+  work_centre_position INTEGER,
+  is_active INTEGER DEFAULT 1,
+  shift_pattern_id INTEGER REFERENCES shift_patterns(id),
+  auto_move_on_step_complete INTEGER DEFAULT 0,
+  created_at TEXT DEFAULT sqlite_datetime('now'),
+  updated_at TEXT DEFAULT sqlite_datetime('now')
+);
+
+CREATE TABLE machines (
+  id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  code VARCHAR(20) UNIQUE NOT NULL,
+  work_centre_id INTEGER REFERENCES work_centres(id),
+  description TEXT,
+  is_active INTEGER DEFAULT 1,
+  created_at TEXT DEFAULT sqlite_datetime('now'),
+  updated_at TEXT DEFAULT sqlite_datetime('now')
+);
+
+CREATE TABLE routing_templates (
+  id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  stock_code VARCHAR(50) NOT NULL,
+  version INTEGER NOT NULL,
+  description TEXT,
+  is_active INTEGER DEFAULT 1,
+  created_by INTEGER REFERENCES users(id),
+  created_at TEXT DEFAULT sqlite_datetime('now'),
+  UNIQUE(stock_code, version)
+);
+
+CREATE TABLE manufacturing_orders (
+  id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  order_number VARCHAR(50) UNIQUE NOT NULL,
+  stock_code VARCHAR(50) NOT NULL,
+  description TEXT NOT NULL,
+  quantity_to_make INTEGER NOT NULL,
+  quantity_completed INTEGER DEFAULT 0,
+  current_operation VARCHAR(100),
+  current_work_centre_id INTEGER REFERENCES work_centres(id),
+  work_centre_position INTEGER,
+  status VARCHAR(20) DEFAULT 'not_started',
+  priority VARCHAR(20) DEFAULT 'medium',
+  due_date TEXT,
+  start_date TEXT,
+  completion_date TEXT,
+  created_by INTEGER REFERENCES users(id),
+  routing_template_id INTEGER REFERENCES routing_templates(id),
+  parent_order_id INTEGER REFERENCES manufacturing_orders(id) ON DELETE SET NULL,
+  split_sequence INTEGER,
+  is_split INTEGER DEFAULT 0,
+  created_at TEXT DEFAULT sqlite_datetime('now'),
+  updated_at TEXT DEFAULT sqlite_datetime('now')
+);
+
+CREATE INDEX idx_manufacturing_orders_work_centre ON manufacturing_orders(current_work_centre_id, work_centre_position);
+CREATE INDEX idx_manufacturing_orders_status ON manufacturing_orders(status);
+CREATE INDEX idx_manufacturing_orders_due_date ON manufacturing_orders(due_date);
+CREATE INDEX idx_manufacturing_orders_parent ON manufacturing_orders(parent_order_id);
+
+CREATE TABLE manufacturing_steps (
+  id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES manufacturing_orders(id) ON DELETE CASCADE,
+  step_number INTEGER NOT NULL,
+  operation_name VARCHAR(100) NOT NULL,
+  work_centre_id INTEGER NOT NULL REFERENCES work_centres(id),
+  status VARCHAR(20) DEFAULT 'pending',
+  planned_duration_minutes INTEGER,
+  actual_duration_minutes INTEGER,
+  setup_minutes INTEGER DEFAULT 0,
+  quantity_completed INTEGER DEFAULT 0,
+  scrap_quantity INTEGER DEFAULT 0,
+  rework_quantity INTEGER DEFAULT 0,
+  started_at TEXT,
+  completed_at TEXT,
+  planned_start_at TEXT,
+  planned_finish_at TEXT,
+  created_at TEXT DEFAULT sqlite_datetime('now'),
+  updated_at TEXT DEFAULT sqlite_datetime('now'),
+  UNIQUE(order_id, step_number)
+);
+
+CREATE INDEX idx_manufacturing_steps_work_centre ON manufacturing_steps(work_centre_id);
+
+CREATE TABLE job_characteristics (
+  id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES manufacturing_orders(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL,
+  value VARCHAR(255) NOT NULL,
+  color VARCHAR(7) NOT NULL,
+  display_name VARCHAR(100),
+  is_system_generated INTEGER DEFAULT 0,
+  created_at TEXT DEFAULT sqlite_datetime('now')
+);
+
+CREATE INDEX idx_job_characteristics_order ON job_characteristics(order_id);
+
+CREATE TABLE characteristic_types (
+  id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  type_key VARCHAR(50) UNIQUE NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  detection_patterns TEXT,
+  icon VARCHAR(50),
+  is_system_defined INTEGER DEFAULT 0,
+  is_active INTEGER DEFAULT 1,
+  sort_order INTEGER DEFAULT 0,
+  created_at TEXT DEFAULT sqlite_datetime('now'),
+  updated_at TEXT DEFAULT sqlite_datetime('now')
+);
+
+-- History outlives the orders, work centres and users it mentions (deletions
+-- are themselves logged), so those ids are not foreign keys
+CREATE TABLE audit_log (
+  id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  event_type VARCHAR(50) NOT NULL,
+  order_id INTEGER,
+  from_work_centre_id INTEGER,
+  to_work_centre_id INTEGER,
+  user_id INTEGER,
+  event_data TEXT,
+  queue_depth_from INTEGER,
+  queue_depth_to INTEGER,
+  timestamp TEXT DEFAULT sqlite_datetime('now')
+);
+
+CREATE INDEX idx_audit_log_order ON audit_log(order_id);
+CREATE INDEX idx_audit_log_timestamp ON audit_log(timestamp);
+
+CREATE TABLE scanner_events (
+  id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  order_id INTEGER REFERENCES manufacturing_orders(id),
+  work_centre_id INTEGER REFERENCES work_centres(id),
+  event_type VARCHAR(50) NOT NULL,
+  event_data TEXT,
+  user_id INTEGER REFERENCES users(id),
+  created_at TEXT DEFAULT sqlite_datetime('now')
+);
+
+CREATE INDEX idx_scanner_events_order ON scanner_events(order_id);
+
+CREATE TABLE user_settings (
+  id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  setting_key VARCHAR(100) NOT NULL,
+  setting_value TEXT NOT NULL,
+  created_at TEXT DEFAULT sqlite_datetime('now'),
+  updated_at TEXT DEFAULT sqlite_datetime('now'),
+  UNIQUE(user_id, setting_key)
+);
+
+CREATE TABLE api_keys (
+  id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  key VARCHAR(255) NOT NULL,
+  system_id VARCHAR(50) NOT NULL UNIQUE,
+  is_active INTEGER DEFAULT 1,
+  rate_limit INTEGER DEFAULT 1000,
+  ip_whitelist TEXT,
+  created_at TEXT DEFAULT sqlite_datetime('now'),
+  last_used_at TEXT,
+  expires_at TEXT,
+  created_by INTEGER,
+  metadata TEXT
+);
+
+-- ---------------------------------------------------------------------------
+-- 011 Shift calendars
+-- ---------------------------------------------------------------------------
+
+CREATE TABLE shift_pattern_shifts (
+  id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  shift_pattern_id INTEGER NOT NULL REFERENCES shift_patterns(id) ON DELETE CASCADE,
+  day_of_week INTEGER NOT NULL CHECK(day_of_week BETWEEN 0 AND 6),
+  start_time VARCHAR(5) NOT NULL,
+  end_time VARCHAR(5) NOT NULL,
+  name VARCHAR(50)
+);
+
+CREATE TABLE calendar_exceptions (
+  id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  work_centre_id INTEGER REFERENCES work_centres(id) ON DELETE CASCADE,
+  exception_date TEXT NOT NULL,
+  start_time VARCHAR(5),
+  end_time VARCHAR(5),
+  is_working INTEGER DEFAULT 0,
+  description VARCHAR(255),
+  created_by INTEGER REFERENCES users(id),
+  created_at TEXT DEFAULT sqlite_datetime('now')
+);
+
+CREATE INDEX idx_shift_pattern_shifts_pattern ON shift_pattern_shifts(shift_pattern_id);
+CREATE INDEX idx_calendar_exceptions_date ON calendar_exceptions(exception_date, work_centre_id);
+
+-- ---------------------------------------------------------------------------
+-- 012 Routing templates
+-- ---------------------------------------------------------------------------
+
+CREATE TABLE routing_template_operations (
+  id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  routing_template_id INTEGER NOT NULL REFERENCES routing_templates(id) ON DELETE CASCADE,
+  step_number INTEGER NOT NULL,
+  operation_name VARCHAR(100) NOT NULL,
+  work_centre_id INTEGER NOT NULL REFERENCES work_centres(id),
+  planned_duration_minutes INTEGER,
+  setup_minutes INTEGER DEFAULT 0,
+  UNIQUE(routing_template_id, step_number)
+);
+
+CREATE INDEX idx_routing_templates_stock_code ON routing_templates(stock_code, is_active);
+CREATE INDEX idx_routing_template_operations_template ON routing_template_operations(routing_template_id);
+
+-- ---------------------------------------------------------------------------
+-- 014 Step bookings
+-- ---------------------------------------------------------------------------
+
+CREATE TABLE step_bookings (
+  id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  step_id INTEGER NOT NULL REFERENCES manufacturing_steps(id) ON DELETE CASCADE,
+  order_id INTEGER NOT NULL REFERENCES manufacturing_orders(id) ON DELETE CASCADE,
+  good_quantity INTEGER NOT NULL DEFAULT 0 CHECK(good_quantity >= 0),
+  scrap_quantity INTEGER NOT NULL DEFAULT 0 CHECK(scrap_quantity >= 0),
+  rework_quantity INTEGER NOT NULL DEFAULT 0 CHECK(rework_quantity >= 0),
+  reason_code VARCHAR(50),
+  notes TEXT,
+  booked_by INTEGER REFERENCES users(id),
+  booked_at TEXT DEFAULT sqlite_datetime('now')
+);
+
+CREATE INDEX idx_step_bookings_step ON step_bookings(step_id);
+CREATE INDEX idx_step_bookings_booked_at ON step_bookings(booked_at);
+
+-- ---------------------------------------------------------------------------
+-- 016 Order dependencies
+-- ---------------------------------------------------------------------------
+
+CREATE TABLE order_dependencies (
+  id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES manufacturing_orders(id) ON DELETE CASCADE,
+  depends_on_order_id INTEGER NOT NULL REFERENCES manufacturing_orders(id) ON DELETE CASCADE,
+  created_by INTEGER REFERENCES users(id),
+  created_at TEXT DEFAULT sqlite_datetime('now'),
+  UNIQUE(order_id, depends_on_order_id),
+  CHECK(order_id != depends_on_order_id)
+);
+
+CREATE INDEX idx_order_dependencies_order ON order_dependencies(order_id);
+CREATE INDEX idx_order_dependencies_depends_on ON order_dependencies(depends_on_order_id);
+
+-- ---------------------------------------------------------------------------
+-- 017 Bills of materials and inventory
+-- ---------------------------------------------------------------------------
+
+CREATE TABLE bom_components (
+  id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  stock_code VARCHAR(50) NOT NULL,
+  component_code VARCHAR(50) NOT NULL,
+  quantity_per DOUBLE PRECISION NOT NULL CHECK(quantity_per > 0),
+  unit VARCHAR(20) DEFAULT 'each',
+  created_by INTEGER REFERENCES users(id),
+  created_at TEXT DEFAULT sqlite_datetime('now'),
+  UNIQUE(stock_code, component_code)
+);
+
+CREATE TABLE inventory_transactions (
+  id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  component_code VARCHAR(50) NOT NULL,
+  transaction_type VARCHAR(20) NOT NULL CHECK(transaction_type IN ('receipt', 'issue', 'allocation', 'adjustment')),
+  quantity DOUBLE PRECISION NOT NULL,
+  order_id INTEGER REFERENCES manufacturing_orders(id) ON DELETE SET NULL,
+  reference VARCHAR(100),
+  source VARCHAR(50),
+  created_by INTEGER REFERENCES users(id),
+  created_at TEXT DEFAULT sqlite_datetime('now')
+);
+
+CREATE INDEX idx_bom_components_stock_code ON bom_components(stock_code);
+CREATE INDEX idx_inventory_transactions_component ON inventory_transactions(component_code);
+CREATE INDEX idx_inventory_transactions_order ON inventory_transactions(order_id);
+
+-- ---------------------------------------------------------------------------
+-- 018 Changeover times
+-- ---------------------------------------------------------------------------
+
+CREATE TABLE changeover_times (
+  id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  work_centre_id INTEGER NOT NULL REFERENCES work_centres(id) ON DELETE CASCADE,
+  characteristic_type VARCHAR(50) NOT NULL,
+  from_value VARCHAR(100) NOT NULL,
+  to_value VARCHAR(100) NOT NULL,
+  setup_minutes INTEGER NOT NULL CHECK(setup_minutes >= 0),
+  created_by INTEGER REFERENCES users(id),
+  created_at TEXT DEFAULT sqlite_datetime('now'),
+  UNIQUE(work_centre_id, characteristic_type, from_value, to_value)
+);
+
+CREATE INDEX idx_changeover_times_work_centre ON changeover_times(work_centre_id);
+
+-- ---------------------------------------------------------------------------
+-- 019 Planning scenarios
+-- ---------------------------------------------------------------------------
+
+CREATE TABLE planning_scenarios (
+  id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  name VARCHAR(100) UNIQUE NOT NULL,
+  description TEXT,
+  created_by INTEGER REFERENCES users(id),
+  created_at TEXT DEFAULT sqlite_datetime('now'),
+  updated_at TEXT DEFAULT sqlite_datetime('now')
+);
+
+CREATE TABLE planning_scenario_orders (
+  scenario_id INTEGER NOT NULL REFERENCES planning_scenarios(id) ON DELETE CASCADE,
+  order_id INTEGER NOT NULL REFERENCES manufacturing_orders(id) ON DELETE CASCADE,
+  work_centre_id INTEGER REFERENCES work_centres(id) ON DELETE SET NULL,
+  work_centre_position INTEGER,
+  base_work_centre_id INTEGER,
+  base_work_centre_position INTEGER,
+  PRIMARY KEY (scenario_id, order_id)
+);
+
+CREATE INDEX idx_planning_scenario_orders_work_centre ON planning_scenario_orders(scenario_id, work_centre_id);
+
+-- ---------------------------------------------------------------------------
+-- 020 Board undo/redo history
+-- ---------------------------------------------------------------------------
+
+CREATE TABLE board_actions (
+  id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  action_type VARCHAR(20) NOT NULL CHECK(action_type IN ('move', 'reorder')),
+  audit_log_id INTEGER NOT NULL REFERENCES audit_log(id) ON DELETE CASCADE,
+  last_audit_log_id INTEGER NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'done' CHECK(status IN ('done', 'undone')),
+  created_at TEXT DEFAULT sqlite_datetime('now'),
+  updated_at TEXT DEFAULT sqlite_datetime('now')
+);
+
+CREATE INDEX idx_board_actions_user_status ON board_actions(user_id, status, id);
+
+-- ---------------------------------------------------------------------------
+-- 021 Order search
+-- ---------------------------------------------------------------------------
+
+-- Same documents as the SQLite FTS5 index. Text is lower-cased and split on
+-- anything that is not a letter or digit before indexing, as FTS5's unicode61
+-- tokenizer does, so both backends match the same terms. Weights: A order
+-- number, B stock code, C description and characteristics, D operations and notes
+CREATE VIEW order_search_documents AS
+SELECT
+  mo.id AS order_id,
+  mo.order_number,
+  mo.stock_code,
+  COALESCE(mo.description, '') AS description,
+  COALESCE((
+    SELECT string_agg(ms.operation_name, ' · ' ORDER BY ms.step_number) FROM manufacturing_steps ms WHERE ms.order_id = mo.id
+  ), '') AS operations,
+  COALESCE((
+    SELECT string_agg(
+      CASE WHEN jc.display_name IS NULL OR jc.display_name = jc.value THEN jc.value ELSE jc.value || ' ' || jc.display_name END,
+      ' · ' ORDER BY jc.id
+    ) FROM job_characteristics jc WHERE jc.order_id = mo.id
+  ), '') AS characteristics,
+  COALESCE((
+    SELECT string_agg(sb.notes, ' · ' ORDER BY sb.id) FROM step_bookings sb WHERE sb.order_id = mo.id AND sb.notes IS NOT NULL
+  ), '') AS notes
+FROM manufacturing_orders mo;
+
+CREATE TABLE order_search (
+  order_id INTEGER PRIMARY KEY REFERENCES manufacturing_orders(id) ON DELETE CASCADE,
+  order_number TEXT NOT NULL,
+  stock_code TEXT NOT NULL,
+  description TEXT NOT NULL,
+  operations TEXT NOT NULL,
+  characteristics TEXT NOT NULL,
+  notes TEXT NOT NULL,
+  document TSVECTOR NOT NULL
+);
+
+CREATE INDEX idx_order_search_document ON order_search USING GIN(document);
+
+CREATE FUNCTION order_search_terms(value TEXT) RETURNS TSVECTOR
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT to_tsvector('simple', regexp_replace(lower(COALESCE(value, '')), '[^[:alnum:]]+', ' ', 'g'))
+$$;
+
+CREATE FUNCTION order_search_refresh(target_order_id INTEGER) RETURNS VOID
+LANGUAGE plpgsql AS $$
+BEGIN
+  DELETE FROM order_search WHERE order_id = target_order_id;
+  INSERT INTO order_search (order_id, order_number, stock_code, description, operations, characteristics, notes, document)
+  SELECT
+    order_id, order_number, stock_code, description, operations, characteristics, notes,
+    setweight(order_search_terms(order_number), 'A') ||
+    setweight(order_search_terms(stock_code), 'B') ||
+    setweight(order_search_terms(description), 'C') ||
+    setweight(order_search_terms(characteristics), 'C') ||
+    setweight(order_search_terms(operations), 'D') ||
+    setweight(order_search_terms(notes), 'D')
+  FROM order_search_documents
+  WHERE order_id = target_order_id;
+END;
+$$;
+
+-- Orders leave the index through the foreign key when they are deleted
+CREATE FUNCTION order_search_order_changed() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  PERFORM order_search_refresh(NEW.id);
+  RETURN NULL;
+END;
+$$;
+
+-- Steps, characteristics and bookings: re-index the order(s) the row belonged to
+CREATE FUNCTION order_search_source_changed() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    PERFORM order_search_refresh(OLD.order_id);
+  END IF;
+  IF TG_OP = 'INSERT' OR (TG_OP = 'UPDATE' AND NEW.order_id IS DISTINCT FROM OLD.order_id) THEN
+    PERFORM order_search_refresh(NEW.order_id);
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER order_search_order_changed AFTER INSERT OR UPDATE OF order_number, stock_code, description
+  ON manufacturing_orders FOR EACH ROW EXECUTE FUNCTION order_search_order_changed();
+
+CREATE TRIGGER order_search_step_changed AFTER INSERT OR DELETE OR UPDATE OF operation_name, order_id
+  ON manufacturing_steps FOR EACH ROW EXECUTE FUNCTION order_search_source_changed();
+
+CREATE TRIGGER order_search_characteristic_changed AFTER INSERT OR DELETE OR UPDATE OF value, display_name, order_id
+  ON job_characteristics FOR EACH ROW EXECUTE FUNCTION order_search_source_changed();
+
+CREATE TRIGGER order_search_booking_changed AFTER INSERT OR DELETE OR UPDATE OF notes, order_id
+  ON step_bookings FOR EACH ROW EXECUTE FUNCTION order_search_source_changed();
+
+-- ---------------------------------------------------------------------------
+-- 022 Order archive
+-- ---------------------------------------------------------------------------
+
+CREATE TABLE archived_orders (
+  id INTEGER PRIMARY KEY,
+  order_number VARCHAR(50) NOT NULL,
+  stock_code VARCHAR(50) NOT NULL,
+  description TEXT,
+  status VARCHAR(20) NOT NULL,
+  priority VARCHAR(20),
+  quantity_to_make INTEGER,
+  quantity_completed INTEGER,
+  due_date TEXT,
+  completion_date TEXT,
+  work_centre_id INTEGER,
+  created_at TEXT,
+  search_text TEXT NOT NULL DEFAULT '',
+  order_data TEXT NOT NULL,
+  archived_at TEXT DEFAULT sqlite_datetime('now'),
+  archived_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_archived_orders_order_number ON archived_orders(order_number);
+CREATE INDEX idx_archived_orders_completion_date ON archived_orders(completion_date);
+CREATE INDEX idx_archived_orders_archived_at ON archived_orders(archived_at);
+
+CREATE TABLE archived_order_records (
+  id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  archived_order_id INTEGER NOT NULL REFERENCES archived_orders(id) ON DELETE CASCADE,
+  source_table VARCHAR(50) NOT NULL,
+  record_id INTEGER NOT NULL,
+  record_data TEXT NOT NULL
+);
+
+CREATE INDEX idx_archived_order_records_order ON archived_order_records(archived_order_id, source_table);
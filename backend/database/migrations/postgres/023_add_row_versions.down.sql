@@ -0,0 +1,5 @@
+DROP TRIGGER IF EXISTS work_centres_version ON work_centres;
+DROP TRIGGER IF EXISTS manufacturing_orders_version ON manufacturing_orders;
+DROP FUNCTION IF EXISTS bump_row_version();
+ALTER TABLE work_centres DROP COLUMN version;
+ALTER TABLE manufacturing_orders DROP COLUMN version;
@@ -0,0 +1,21 @@
+-- Row versions for optimistic concurrency (see ../023_add_row_versions.sql)
+ALTER TABLE manufacturing_orders ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE work_centres ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+
+CREATE FUNCTION bump_row_version() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  NEW.version := OLD.version + 1;
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER manufacturing_orders_version BEFORE UPDATE OF
+  order_number, stock_code, description, quantity_to_make, quantity_completed, current_operation,
+  current_work_centre_id, status, priority, due_date, start_date, completion_date,
+  routing_template_id, parent_order_id, split_sequence, is_split
+  ON manufacturing_orders FOR EACH ROW EXECUTE FUNCTION bump_row_version();
+
+CREATE TRIGGER work_centres_version BEFORE UPDATE OF
+  name, code, description, capacity, is_active, shift_pattern_id, auto_move_on_step_complete
+  ON work_centres FOR EACH ROW EXECUTE FUNCTION bump_row_version();
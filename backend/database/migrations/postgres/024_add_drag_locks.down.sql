@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS drag_lock_events;
+DROP TABLE IF EXISTS drag_locks;
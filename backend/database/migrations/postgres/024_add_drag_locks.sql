@@ -0,0 +1,21 @@
+-- Drag locks and their change events (see ../024_add_drag_locks.sql)
+CREATE TABLE drag_locks (
+  order_id INTEGER PRIMARY KEY,
+  order_number VARCHAR(50),
+  user_id INTEGER NOT NULL,
+  user_name VARCHAR(50) NOT NULL,
+  instance_id VARCHAR(100) NOT NULL,
+  started_at BIGINT NOT NULL,
+  expires_at BIGINT NOT NULL
+);
+
+CREATE INDEX idx_drag_locks_expires_at ON drag_locks(expires_at);
+
+CREATE TABLE drag_lock_events (
+  id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  instance_id VARCHAR(100) NOT NULL,
+  event_data TEXT NOT NULL,
+  created_at BIGINT NOT NULL
+);
+
+CREATE INDEX idx_drag_lock_events_created_at ON drag_lock_events(created_at);
@@ -0,0 +1,10 @@
+// Runs the test suite against PostgreSQL (npm run test:postgres); see tests/helpers/postgresGlobalSetup.js
+const baseConfig = require('./jest.config');
+
+module.exports = {
+  ...baseConfig,
+  globalSetup: '<rootDir>/tests/helpers/postgresGlobalSetup.js',
+  globalTeardown: '<rootDir>/tests/helpers/postgresGlobalTeardown.js',
+  // The unit tests exercise SQLite directly
+  testPathIgnorePatterns: ['/node_modules/', '/tests/unit/']
+};
@@ -6,6 +6,7 @@ This file initializes the Express application, configures middleware, sets up ro
 - Security, CORS, and rate limiting middleware are applied for safety and performance.
 - All API routes are registered under the /api/ prefix.
 - A centralized error handler is used to standardize error responses and log server errors.
+- Background jobs (the overdue status monitor, order archive, database backups and the drag lock sweep) start once the server is listening.
 - Graceful shutdown is handled for SIGTERM and SIGINT signals.
 
 Error Handling:
@@ -93,27 +94,46 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const workCentreRoutes = require('./routes/workCentres');
 const orderRoutes = require('./routes/orders');
+const orderArchiveRoutes = require('./routes/orderArchive');
 const analyticsRoutes = require('./routes/analytics');
 const apiKeyRoutes = require('./routes/apiKeys');
 const externalRoutes = require('./routes/external');
 const characteristicsRoutes = require('./routes/characteristics');
 const userSettingsRoutes = require('./routes/userSettings');
+const planningBoardRoutes = require('./routes/planningBoard');
+const routingRoutes = require('./routes/routings');
+const materialRoutes = require('./routes/materials');
+const scenarioRoutes = require('./routes/scenarios');
+const searchRoutes = require('./routes/search');
+const backupRoutes = require('./routes/backups');
+const dragLockRoutes = require('./routes/dragLocks');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/work-centres', workCentreRoutes);
+// Before /api/orders so /archive is not taken for an order id
+app.use('/api/orders/archive', orderArchiveRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/admin/api-keys', apiKeyRoutes);
 app.use('/api/external', externalRoutes);
 app.use('/api/characteristics', characteristicsRoutes);
 app.use('/api/settings', userSettingsRoutes);
+app.use('/api/routings', routingRoutes);
+app.use('/api/materials', materialRoutes);
+app.use('/api/scenarios', scenarioRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/admin/backups', backupRoutes);
+app.use('/api/admin/drag-locks', dragLockRoutes);
 
 // Planning board endpoint (aggregated data)
 app.get('/api/planning-board', require('./controllers/planningController').getPlanningBoardData);
 app.put('/api/planning-board/move', require('./controllers/planningController').moveOrder);
 app.get('/api/planning-board/stats', require('./controllers/planningController').getPlanningBoardStats);
 
+// Planning board tools (mounted after the endpoints above so its auth middleware does not apply to them)
+app.use('/api/planning-board', planningBoardRoutes);
+
 // 404 handler for API routes
 app.use('/api/*', (req, res) => {
   res.status(404).json({
@@ -129,6 +149,10 @@ app.use(errorHandler);
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  require('./services/overdueMonitorService').stop();
+  require('./services/orderArchiveService').stop();
+  require('./services/backupService').stop();
+  require('./services/dragLockService').stop();
   const { closeDatabase } = require('./utils/database');
   closeDatabase();
   process.exit(0);
@@ -136,6 +160,10 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
+  require('./services/overdueMonitorService').stop();
+  require('./services/orderArchiveService').stop();
+  require('./services/backupService').stop();
+  require('./services/dragLockService').stop();
   const { closeDatabase } = require('./utils/database');
   closeDatabase();
   process.exit(0);
@@ -154,5 +182,26 @@ const webSocketService = require('./services/websocketService');
 webSocketService.initialize(server);
 console.log('WebSocket server initialized');
 
+// Start background jobs
+const overdueMonitorService = require('./services/overdueMonitorService');
+overdueMonitorService.start(config.jobs.overdueCheckIntervalMs);
+console.log(`Overdue monitor running every ${config.jobs.overdueCheckIntervalMs / 1000}s`);
+
+const orderArchiveService = require('./services/orderArchiveService');
+orderArchiveService.start(config.jobs.archiveCheckIntervalMs, config.jobs.archiveAfterDays);
+if (config.jobs.archiveAfterDays > 0) {
+  console.log(`Order archive running every ${config.jobs.archiveCheckIntervalMs / 1000}s (after ${config.jobs.archiveAfterDays} days)`);
+}
+
+const backupService = require('./services/backupService');
+backupService.start(config.jobs.backupIntervalMs);
+if (config.jobs.backupIntervalMs > 0 && backupService.isSupported()) {
+  console.log(`Database backups every ${config.jobs.backupIntervalMs / 1000}s to ${backupService.directory} (keeping ${backupService.retain})`);
+}
+
+const dragLockService = require('./services/dragLockService');
+dragLockService.start(config.dragLocks.pollIntervalMs);
+console.log(`Drag locks kept in ${config.dragLocks.store} (instance ${dragLockService.instanceId})`);
+
 // Export for testing
 module.exports = { app, server };
\ No newline at end of file
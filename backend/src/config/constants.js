@@ -100,6 +100,11 @@ module.exports = {
     CLEANUP_INTERVAL_MS: 30 * 1000 // 30 seconds
   },
 
+  // Planning Board Undo/Redo
+  BOARD_HISTORY: {
+    MAX_ACTIONS_PER_USER: 50
+  },
+
   // Server Configuration
   SERVER: {
     DEFAULT_PORT: 3001,
@@ -145,7 +150,39 @@ module.exports = {
     DEFAULT_STATUS: 'not_started',
     DEFAULT_PRIORITY: 'medium',
     MIN_POSITION: 1,
-    DEFAULT_QUANTITY_COMPLETED: 0
+    DEFAULT_QUANTITY_COMPLETED: 0,
+    // Paged order listing (GET /api/orders with a limit)
+    MAX_PAGE_SIZE: 500,
+    SORT_FIELDS: [
+      'order_number', 'stock_code', 'description', 'quantity_to_make', 'quantity_completed', 'progress',
+      'priority', 'status', 'due_date', 'start_date', 'completion_date', 'created_at', 'updated_at',
+      'work_centre', 'work_centre_position', 'current_operation', 'created_by'
+    ]
+  },
+
+  // Saved views of the orders table and planning board
+  SAVED_VIEWS: {
+    PAGES: ['orders', 'planning'],
+    SHARING: ['private', 'role', 'all'],
+    MAX_NAME_LENGTH: 100
+  },
+
+  // Archive of completed and cancelled orders
+  ORDER_ARCHIVE: {
+    DEFAULT_AFTER_DAYS: 90,
+    // Orders moved per run, so one run never holds the write lock for long
+    MAX_PER_RUN: 500,
+    DEFAULT_PAGE_SIZE: 50,
+    MAX_PAGE_SIZE: 200
+  },
+
+  // Database backups (SQLite's online backup API; PostgreSQL is backed up with its own tools)
+  BACKUPS: {
+    DEFAULT_RETAIN: 14,
+    // Backup files are <id>.db with a <id>.json description alongside
+    ID_PATTERN: /^backup-\d{8}T\d{9}Z$/,
+    TRIGGERS: ['scheduled', 'manual', 'pre_restore'],
+    MAX_NOTE_LENGTH: 200
   },
 
   // Analytics Time Periods
@@ -169,6 +206,12 @@ module.exports = {
     ORDER_UPDATED: 'order_updated',
     ORDER_DELETED: 'order_deleted',
     ORDER_MOVED: 'order_moved',
+    ORDERS_REORDERED: 'orders_reordered',
+    BOARD_SCHEDULED: 'board_scheduled',
+    CHANGEOVERS_MINIMISED: 'changeovers_minimised',
+    SCENARIO_PUBLISHED: 'scenario_published',
+    BACKUP_RESTORED: 'backup_restored',
+    DRAG_LOCK_RELEASED: 'drag_lock_released',
     STEP_STARTED: 'step_started',
     STEP_COMPLETED: 'step_completed',
     USER_LOGIN: 'user_login',
@@ -17,15 +17,38 @@ module.exports = {
     port: process.env.PORT || 3001,
     cors: {
       origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-      credentials: true
+      credentials: true,
+      // Row versions for If-Match (see middleware/concurrency.js)
+      exposedHeaders: ['ETag']
     }
   },
   upload: {
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760, // 10MB
     uploadPath: process.env.UPLOAD_PATH || './uploads'
   },
+  backups: {
+    path: process.env.BACKUP_PATH || './database/backups',
+    // Newest backups kept when pruning; older ones are deleted
+    retain: parseInt(process.env.BACKUP_RETAIN) || 14
+  },
+  dragLocks: {
+    // database: shared by every instance and kept across restarts; memory: this process only (the tests' default)
+    store: process.env.DRAG_LOCK_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'database'),
+    // A lock lapses this long after it was taken or last renewed
+    ttlMs: parseInt(process.env.DRAG_LOCK_TTL_MS) || 30000,
+    // How often lapsed locks are cleared and other instances' lock changes passed on
+    pollIntervalMs: parseInt(process.env.DRAG_LOCK_POLL_INTERVAL_MS) || 1000
+  },
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000, // 15 minutes
     max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100
+  },
+  jobs: {
+    overdueCheckIntervalMs: parseInt(process.env.OVERDUE_CHECK_INTERVAL_MS) || 300000, // 5 minutes
+    archiveCheckIntervalMs: parseInt(process.env.ARCHIVE_CHECK_INTERVAL_MS) || 21600000, // 6 hours
+    // Days an order stays complete or cancelled before the archive job moves it; 0 turns the job off
+    archiveAfterDays: process.env.ARCHIVE_AFTER_DAYS !== undefined ? parseInt(process.env.ARCHIVE_AFTER_DAYS) : 90,
+    // Time between scheduled backups; 0 turns them off
+    backupIntervalMs: process.env.BACKUP_INTERVAL_MS !== undefined ? parseInt(process.env.BACKUP_INTERVAL_MS) : 86400000 // 24 hours
   }
 };
\ No newline at end of file
@@ -1,5 +1,16 @@
 const { getDatabase } = require('../utils/database');
 const AuditLog = require('../models/AuditLog');
+const WorkCentreCalendar = require('../models/WorkCentreCalendar');
+const { workingMinutesBetween } = require('../utils/workingCalendar');
+
+// Good units as a percentage of everything booked (good + scrap + rework)
+function withYield(row) {
+  const total = row.good_quantity + row.scrap_quantity + row.rework_quantity;
+  return {
+    ...row,
+    yield_percent: total > 0 ? Math.round(row.good_quantity / total * 100 * 10) / 10 : null
+  };
+}
 
 /**
  * AnalyticsController
@@ -101,7 +112,8 @@ class AnalyticsController {
   }
 
   /**
-   * Get cycle time analytics for manufacturing operations
+   * Get cycle time analytics for manufacturing operations.
+   * Cycle times are reported in wall-clock days plus working hours taken from each work centre's shift calendar.
    * @route GET /api/analytics/cycle-times
    * @param {Object} req - Express request object
    * @param {Object} req.query - Query parameters
@@ -144,6 +156,7 @@ class AnalyticsController {
       // Cycle times by work centre
       const byWorkCentre = db.prepare(`
         SELECT 
+          wc.id as work_centre_id,
           wc.name as work_centre_name,
           wc.code as work_centre_code,
           COUNT(*) as order_count,
@@ -167,16 +180,39 @@ class AnalyticsController {
         ORDER BY completion_date
       `).all(...params);
 
+      // Working hours actually available between start and completion, per the shift calendars
+      const calendars = WorkCentreCalendar.loadAllCalendars();
+      const completedOrders = db.prepare(`
+        SELECT mo.current_work_centre_id, mo.start_date, mo.completion_date
+        FROM manufacturing_orders mo
+        ${whereClause}
+      `).all(...params).map(order => ({
+        work_centre_id: order.current_work_centre_id,
+        working_hours: workingMinutesBetween(
+          calendars.get(order.current_work_centre_id),
+          new Date(order.start_date),
+          new Date(order.completion_date)
+        ) / 60
+      }));
+
+      const averageWorkingHours = orders => {
+        if (orders.length === 0) return 0;
+        const total = orders.reduce((sum, order) => sum + order.working_hours, 0);
+        return Math.round(total / orders.length * 100) / 100;
+      };
+
       res.json({
         overall_stats: {
           order_count: overallStats.order_count,
           avg_cycle_time: Math.round((overallStats.avg_cycle_time || 0) * 100) / 100,
           min_cycle_time: Math.round((overallStats.min_cycle_time || 0) * 100) / 100,
-          max_cycle_time: Math.round((overallStats.max_cycle_time || 0) * 100) / 100
+          max_cycle_time: Math.round((overallStats.max_cycle_time || 0) * 100) / 100,
+          avg_working_hours: averageWorkingHours(completedOrders)
         },
         by_work_centre: byWorkCentre.map(wc => ({
           ...wc,
-          avg_cycle_time: Math.round((wc.avg_cycle_time || 0) * 100) / 100
+          avg_cycle_time: Math.round((wc.avg_cycle_time || 0) * 100) / 100,
+          avg_working_hours: averageWorkingHours(completedOrders.filter(order => order.work_centre_id === wc.work_centre_id))
         })),
         daily_trend: dailyTrend.map(day => ({
           ...day,
@@ -403,6 +439,80 @@ class AnalyticsController {
     }
   }
 
+  /**
+   * Get yield figures from step quantity bookings
+   * @route GET /api/analytics/yield
+   * @param {Object} req - Express request object
+   * @param {Object} req.query - Query parameters
+   * @param {number} [req.query.days=30] - Number of days of bookings to analyze
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   * @returns {Promise<void>} JSON response with overall, per work centre, per stock code and per reason code figures
+   */
+  async getYield(req, res, next) {
+    try {
+      const db = getDatabase();
+      const days = parseInt(req.query.days) || 30;
+      const since = `date('now', '-${days} days')`;
+      const quantities = `
+        COALESCE(SUM(sb.good_quantity), 0) as good_quantity,
+        COALESCE(SUM(sb.scrap_quantity), 0) as scrap_quantity,
+        COALESCE(SUM(sb.rework_quantity), 0) as rework_quantity
+      `;
+      // Repeated rather than using the aliases above, which PostgreSQL cannot order by in an expression
+      const waste = 'COALESCE(SUM(sb.scrap_quantity), 0) + COALESCE(SUM(sb.rework_quantity), 0)';
+
+      const summary = db.prepare(`
+        SELECT ${quantities}, COUNT(sb.id) as booking_count
+        FROM step_bookings sb
+        WHERE sb.booked_at >= ${since}
+      `).get();
+
+      const byWorkCentre = db.prepare(`
+        SELECT wc.id as work_centre_id, wc.code, wc.name, ${quantities}
+        FROM step_bookings sb
+        JOIN manufacturing_steps ms ON sb.step_id = ms.id
+        JOIN work_centres wc ON ms.work_centre_id = wc.id
+        WHERE sb.booked_at >= ${since}
+        GROUP BY wc.id, wc.code, wc.name
+        ORDER BY wc.display_order, wc.name
+      `).all();
+
+      const byStockCode = db.prepare(`
+        SELECT mo.stock_code, ${quantities}
+        FROM step_bookings sb
+        JOIN manufacturing_orders mo ON sb.order_id = mo.id
+        WHERE sb.booked_at >= ${since}
+        GROUP BY mo.stock_code
+        ORDER BY ${waste} DESC, mo.stock_code
+        LIMIT 20
+      `).all();
+
+      const byReason = db.prepare(`
+        SELECT
+          sb.reason_code,
+          COALESCE(SUM(sb.scrap_quantity), 0) as scrap_quantity,
+          COALESCE(SUM(sb.rework_quantity), 0) as rework_quantity,
+          COUNT(*) as booking_count
+        FROM step_bookings sb
+        WHERE sb.booked_at >= ${since} AND sb.reason_code IS NOT NULL
+        GROUP BY sb.reason_code
+        ORDER BY ${waste} DESC
+      `).all();
+
+      res.json({
+        summary: withYield(summary),
+        by_work_centre: byWorkCentre.map(withYield),
+        by_stock_code: byStockCode.map(withYield),
+        by_reason: byReason,
+        period_days: days,
+        generated_at: new Date().toISOString()
+      });
+    } catch (error) {
+      next({ status: 500, code: 'YIELD_FETCH_FAILED', message: error.message });
+    }
+  }
+
   /**
    * Get recent activity from audit logs for dashboard display
    * @route GET /api/analytics/recent-activity
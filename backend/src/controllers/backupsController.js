@@ -0,0 +1,141 @@
+const backupService = require('../services/backupService');
+const websocketService = require('../services/websocketService');
+
+// Error codes from backupService and how they are answered
+const BACKUP_ERRORS = {
+  BACKUP_IN_PROGRESS: { status: 409, message: 'A backup or restore is already running; try again shortly' },
+  BACKUP_CORRUPT: { status: 422, message: 'The backup failed its integrity check and cannot be restored' },
+  BACKUP_TOO_NEW: { status: 409, message: 'The backup was taken by a newer version of the application and cannot be restored here' }
+};
+
+// Answer a backupService error
+function handleBackupError(error, next, fallbackCode) {
+  const known = BACKUP_ERRORS[error.code];
+  if (known) {
+    return next({ status: known.status, code: error.code, message: known.message, details: error.details });
+  }
+  next({ status: 500, code: fallbackCode, message: error.message });
+}
+
+/**
+ * BackupsController
+ * =================
+ *
+ * Admin endpoints for database backups: list them, take one now, download or
+ * re-verify one, and restore one over the live data. Scheduled backups are
+ * taken by services/backupService.js. SQLite only; on PostgreSQL every
+ * endpoint answers 501 (back it up with pg_dump or the server's own tools).
+ */
+class BackupsController {
+  // Answer 501 on PostgreSQL, in front of every endpoint
+  requireSupported(req, res, next) {
+    if (!backupService.isSupported()) {
+      return next({
+        status: 501,
+        code: 'BACKUPS_UNSUPPORTED',
+        message: 'Backups are only available on SQLite; back up PostgreSQL with pg_dump'
+      });
+    }
+    next();
+  }
+
+  // GET /api/admin/backups
+  async getBackups(req, res, next) {
+    try {
+      const backups = backupService.listBackups();
+      res.json({
+        backups,
+        count: backups.length,
+        retain: backupService.retain
+      });
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+
+  // GET /api/admin/backups/:id
+  async getBackup(req, res, next) {
+    try {
+      const backup = backupService.getBackup(req.params.id);
+      if (!backup) {
+        return next({ status: 404, code: 'BACKUP_NOT_FOUND', message: 'Backup not found' });
+      }
+
+      res.json({ backup });
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+
+  // POST /api/admin/backups - Take a backup now
+  async createBackup(req, res, next) {
+    try {
+      const backup = await backupService.createBackup({
+        trigger: 'manual',
+        userId: req.user.id,
+        note: req.body.note || null
+      });
+
+      res.status(201).json({
+        message: backup.integrity.ok ? 'Backup created successfully' : 'Backup created but failed its integrity check',
+        backup
+      });
+    } catch (error) {
+      handleBackupError(error, next, 'BACKUP_FAILED');
+    }
+  }
+
+  // GET /api/admin/backups/:id/download - The backup's database file
+  async downloadBackup(req, res, next) {
+    const backup = backupService.getBackup(req.params.id);
+    if (!backup) {
+      return next({ status: 404, code: 'BACKUP_NOT_FOUND', message: 'Backup not found' });
+    }
+
+    res.download(backupService.getBackupPath(backup.id), backup.file, error => {
+      if (error && !res.headersSent) {
+        next({ status: 500, code: 'DOWNLOAD_FAILED', message: error.message });
+      }
+    });
+  }
+
+  // POST /api/admin/backups/:id/verify - Run the integrity check again
+  async verifyBackup(req, res, next) {
+    try {
+      const backup = backupService.verifyBackup(req.params.id);
+      if (!backup) {
+        return next({ status: 404, code: 'BACKUP_NOT_FOUND', message: 'Backup not found' });
+      }
+
+      res.json({ backup });
+    } catch (error) {
+      next({ status: 500, code: 'VERIFY_FAILED', message: error.message });
+    }
+  }
+
+  // POST /api/admin/backups/:id/restore - Replace the live data with the backup's
+  async restoreBackup(req, res, next) {
+    try {
+      const result = await backupService.restoreBackup(req.params.id, req.user.id);
+      if (!result) {
+        return next({ status: 404, code: 'BACKUP_NOT_FOUND', message: 'Backup not found' });
+      }
+
+      // Every open board is now showing data that no longer exists
+      websocketService.sendGlobalNotification({
+        type: 'backup_restored',
+        message: `${req.user.username} restored the database from a backup taken ${result.backup.created_at}; reload to see the restored data`,
+        backup_id: result.backup.id
+      });
+
+      res.json({
+        message: 'Backup restored successfully',
+        ...result
+      });
+    } catch (error) {
+      handleBackupError(error, next, 'RESTORE_FAILED');
+    }
+  }
+}
+
+module.exports = new BackupsController();
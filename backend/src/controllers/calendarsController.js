@@ -0,0 +1,404 @@
+const WorkCentre = require('../models/WorkCentre');
+const WorkCentreCalendar = require('../models/WorkCentreCalendar');
+const AuditLog = require('../models/AuditLog');
+const { getWorkingWindows, workingMinutesBetween } = require('../utils/workingCalendar');
+
+// Load an exception and check it belongs to the work centre in the URL (or is site-wide)
+function findScopedException(req) {
+  const exception = WorkCentreCalendar.findExceptionById(req.params.exceptionId);
+  const workCentreId = req.params.id || null;
+
+  if (!exception || exception.work_centre_id !== workCentreId) {
+    return null;
+  }
+  return exception;
+}
+
+/**
+ * CalendarsController
+ * ===================
+ *
+ * Handles shift patterns, calendar exceptions and per-work-centre calendars.
+ * Now uses next(err) for error propagation to the centralized error handler.
+ */
+class CalendarsController {
+  // GET /api/work-centres/shift-patterns
+  async getAllShiftPatterns(req, res, next) {
+    try {
+      const shiftPatterns = WorkCentreCalendar.findAllPatterns();
+      res.json({ shift_patterns: shiftPatterns });
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+
+  // GET /api/work-centres/shift-patterns/:patternId
+  async getShiftPattern(req, res, next) {
+    try {
+      const shiftPattern = WorkCentreCalendar.findPatternById(req.params.patternId);
+
+      if (!shiftPattern) {
+        return next({
+          status: 404,
+          code: 'SHIFT_PATTERN_NOT_FOUND',
+          message: 'Shift pattern not found'
+        });
+      }
+
+      res.json({
+        shift_pattern: shiftPattern,
+        work_centres: WorkCentreCalendar.getPatternUsage(shiftPattern.id)
+      });
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+
+  // POST /api/work-centres/shift-patterns
+  async createShiftPattern(req, res, next) {
+    try {
+      if (WorkCentreCalendar.findPatternByName(req.body.name)) {
+        return next({
+          status: 409,
+          code: 'DUPLICATE_NAME',
+          message: 'Shift pattern name already exists'
+        });
+      }
+
+      const shiftPattern = WorkCentreCalendar.createPattern(req.body);
+
+      AuditLog.create({
+        event_type: 'shift_pattern_created',
+        user_id: req.user.id,
+        event_data: {
+          shift_pattern_id: shiftPattern.id,
+          name: shiftPattern.name,
+          shift_count: shiftPattern.shifts.length,
+          created_by: req.user.username
+        }
+      });
+
+      res.status(201).json({
+        message: 'Shift pattern created successfully',
+        shift_pattern: shiftPattern
+      });
+    } catch (error) {
+      next({ status: 400, code: 'CREATION_FAILED', message: error.message });
+    }
+  }
+
+  // PUT /api/work-centres/shift-patterns/:patternId
+  async updateShiftPattern(req, res, next) {
+    try {
+      const patternId = req.params.patternId;
+
+      if (!WorkCentreCalendar.findPatternById(patternId)) {
+        return next({
+          status: 404,
+          code: 'SHIFT_PATTERN_NOT_FOUND',
+          message: 'Shift pattern not found'
+        });
+      }
+
+      const duplicate = req.body.name && WorkCentreCalendar.findPatternByName(req.body.name);
+      if (duplicate && duplicate.id !== patternId) {
+        return next({
+          status: 409,
+          code: 'DUPLICATE_NAME',
+          message: 'Shift pattern name already exists'
+        });
+      }
+
+      const shiftPattern = WorkCentreCalendar.updatePattern(patternId, req.body);
+
+      AuditLog.create({
+        event_type: 'shift_pattern_updated',
+        user_id: req.user.id,
+        event_data: {
+          shift_pattern_id: shiftPattern.id,
+          name: shiftPattern.name,
+          updated_fields: Object.keys(req.body),
+          updated_by: req.user.username
+        }
+      });
+
+      res.json({
+        message: 'Shift pattern updated successfully',
+        shift_pattern: shiftPattern
+      });
+    } catch (error) {
+      next({ status: 400, code: 'UPDATE_FAILED', message: error.message });
+    }
+  }
+
+  // DELETE /api/work-centres/shift-patterns/:patternId
+  async deleteShiftPattern(req, res, next) {
+    try {
+      const patternId = req.params.patternId;
+      const shiftPattern = WorkCentreCalendar.findPatternById(patternId);
+
+      if (!shiftPattern) {
+        return next({
+          status: 404,
+          code: 'SHIFT_PATTERN_NOT_FOUND',
+          message: 'Shift pattern not found'
+        });
+      }
+
+      const usage = WorkCentreCalendar.getPatternUsage(patternId);
+      if (usage.length > 0) {
+        return next({
+          status: 409,
+          code: 'SHIFT_PATTERN_IN_USE',
+          message: `Shift pattern is assigned to: ${usage.map(wc => wc.code).join(', ')}`
+        });
+      }
+
+      WorkCentreCalendar.deletePattern(patternId);
+
+      AuditLog.create({
+        event_type: 'shift_pattern_deleted',
+        user_id: req.user.id,
+        event_data: {
+          shift_pattern_id: patternId,
+          name: shiftPattern.name,
+          deleted_by: req.user.username
+        }
+      });
+
+      res.json({ message: 'Shift pattern deleted successfully' });
+    } catch (error) {
+      next({ status: 500, code: 'DELETE_FAILED', message: error.message });
+    }
+  }
+
+  // GET /api/work-centres/calendar-exceptions
+  async getSiteExceptions(req, res, next) {
+    try {
+      const exceptions = WorkCentreCalendar.findExceptions({
+        site_wide_only: true,
+        from: req.query.from,
+        to: req.query.to
+      });
+      res.json({ exceptions });
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+
+  // POST /api/work-centres/calendar-exceptions
+  // POST /api/work-centres/:id/calendar/exceptions
+  async createException(req, res, next) {
+    try {
+      const workCentreId = req.params.id || null;
+
+      if (workCentreId && !WorkCentre.findById(workCentreId)) {
+        return next({
+          status: 404,
+          code: 'NOT_FOUND',
+          message: 'Work centre not found'
+        });
+      }
+
+      const exception = WorkCentreCalendar.createException({
+        ...req.body,
+        work_centre_id: workCentreId,
+        created_by: req.user.id
+      });
+
+      AuditLog.create({
+        event_type: 'calendar_exception_created',
+        user_id: req.user.id,
+        event_data: {
+          exception_id: exception.id,
+          work_centre_id: workCentreId,
+          exception_date: exception.exception_date,
+          is_working: exception.is_working,
+          created_by: req.user.username
+        }
+      });
+
+      res.status(201).json({
+        message: 'Calendar exception created successfully',
+        exception
+      });
+    } catch (error) {
+      next({ status: 400, code: 'CREATION_FAILED', message: error.message });
+    }
+  }
+
+  // PUT /api/work-centres/calendar-exceptions/:exceptionId
+  // PUT /api/work-centres/:id/calendar/exceptions/:exceptionId
+  async updateException(req, res, next) {
+    try {
+      if (!findScopedException(req)) {
+        return next({
+          status: 404,
+          code: 'EXCEPTION_NOT_FOUND',
+          message: 'Calendar exception not found'
+        });
+      }
+
+      const exception = WorkCentreCalendar.updateException(req.params.exceptionId, req.body);
+
+      AuditLog.create({
+        event_type: 'calendar_exception_updated',
+        user_id: req.user.id,
+        event_data: {
+          exception_id: exception.id,
+          work_centre_id: exception.work_centre_id,
+          updated_fields: Object.keys(req.body),
+          updated_by: req.user.username
+        }
+      });
+
+      res.json({
+        message: 'Calendar exception updated successfully',
+        exception
+      });
+    } catch (error) {
+      next({ status: 400, code: 'UPDATE_FAILED', message: error.message });
+    }
+  }
+
+  // DELETE /api/work-centres/calendar-exceptions/:exceptionId
+  // DELETE /api/work-centres/:id/calendar/exceptions/:exceptionId
+  async deleteException(req, res, next) {
+    try {
+      const exception = findScopedException(req);
+
+      if (!exception) {
+        return next({
+          status: 404,
+          code: 'EXCEPTION_NOT_FOUND',
+          message: 'Calendar exception not found'
+        });
+      }
+
+      WorkCentreCalendar.deleteException(exception.id);
+
+      AuditLog.create({
+        event_type: 'calendar_exception_deleted',
+        user_id: req.user.id,
+        event_data: {
+          exception_id: exception.id,
+          work_centre_id: exception.work_centre_id,
+          exception_date: exception.exception_date,
+          deleted_by: req.user.username
+        }
+      });
+
+      res.json({ message: 'Calendar exception deleted successfully' });
+    } catch (error) {
+      next({ status: 500, code: 'DELETE_FAILED', message: error.message });
+    }
+  }
+
+  // GET /api/work-centres/:id/calendar
+  async getWorkCentreCalendar(req, res, next) {
+    try {
+      const workCentreId = req.params.id;
+
+      if (!WorkCentre.findById(workCentreId)) {
+        return next({
+          status: 404,
+          code: 'NOT_FOUND',
+          message: 'Work centre not found'
+        });
+      }
+
+      const { from, to } = req.query;
+      const calendar = WorkCentreCalendar.getCalendar(workCentreId, {
+        from: from && from.split('T')[0],
+        to: to && to.split('T')[0]
+      });
+
+      // With a range, also report the actual working windows and hours available
+      if (from && to) {
+        const rangeStart = new Date(from);
+        const rangeEnd = new Date(to);
+        const workingCalendar = WorkCentreCalendar.loadAllCalendars().get(workCentreId);
+
+        calendar.working_windows = getWorkingWindows(workingCalendar, rangeStart, rangeEnd);
+        calendar.available_hours = Math.round(workingMinutesBetween(workingCalendar, rangeStart, rangeEnd) / 60 * 100) / 100;
+      }
+
+      res.json({ calendar });
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+
+  // PUT /api/work-centres/:id/calendar
+  async assignShiftPattern(req, res, next) {
+    try {
+      const workCentreId = req.params.id;
+      const { shift_pattern_id: shiftPatternId } = req.body;
+
+      const workCentre = WorkCentre.findById(workCentreId);
+      if (!workCentre) {
+        return next({
+          status: 404,
+          code: 'NOT_FOUND',
+          message: 'Work centre not found'
+        });
+      }
+
+      if (shiftPatternId && !WorkCentreCalendar.findPatternById(shiftPatternId)) {
+        return next({
+          status: 404,
+          code: 'SHIFT_PATTERN_NOT_FOUND',
+          message: 'Shift pattern not found'
+        });
+      }
+
+      const calendar = WorkCentreCalendar.assignPattern(workCentreId, shiftPatternId);
+
+      AuditLog.create({
+        event_type: 'work_centre_updated',
+        user_id: req.user.id,
+        event_data: {
+          work_centre_id: workCentreId,
+          name: workCentre.name,
+          code: workCentre.code,
+          updated_fields: ['shift_pattern_id'],
+          shift_pattern_id: shiftPatternId,
+          updated_by: req.user.username
+        }
+      });
+
+      res.json({
+        message: 'Work centre calendar updated successfully',
+        calendar
+      });
+    } catch (error) {
+      next({ status: 400, code: 'UPDATE_FAILED', message: error.message });
+    }
+  }
+
+  // GET /api/work-centres/:id/calendar/exceptions
+  async getWorkCentreExceptions(req, res, next) {
+    try {
+      const workCentreId = req.params.id;
+
+      if (!WorkCentre.findById(workCentreId)) {
+        return next({
+          status: 404,
+          code: 'NOT_FOUND',
+          message: 'Work centre not found'
+        });
+      }
+
+      const exceptions = WorkCentreCalendar.findExceptions({
+        work_centre_id: workCentreId,
+        from: req.query.from,
+        to: req.query.to
+      });
+      res.json({ exceptions });
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+}
+
+module.exports = new CalendarsController();
@@ -0,0 +1,84 @@
+const WorkCentre = require('../models/WorkCentre');
+const ChangeoverTime = require('../models/ChangeoverTime');
+const AuditLog = require('../models/AuditLog');
+const { ANY_VALUE } = require('../utils/changeoverSequencer');
+
+/**
+ * ChangeoversController
+ * =====================
+ *
+ * Handles each work centre's changeover matrix: the setup minutes needed to
+ * switch between job characteristic values. The planning board uses it to
+ * resequence a queue for fewer changeovers (see PlanningController.minimiseChangeovers).
+ */
+class ChangeoversController {
+  // GET /api/work-centres/:id/changeovers
+  async getWorkCentreChangeovers(req, res, next) {
+    try {
+      const workCentre = WorkCentre.findById(req.params.id);
+      if (!workCentre) {
+        return next({
+          status: 404,
+          code: 'WORK_CENTRE_NOT_FOUND',
+          message: 'Work centre not found'
+        });
+      }
+
+      res.json({
+        work_centre_id: workCentre.id,
+        changeovers: ChangeoverTime.findByWorkCentre(workCentre.id)
+      });
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+
+  // PUT /api/work-centres/:id/changeovers - Replace the changeover matrix
+  async saveWorkCentreChangeovers(req, res, next) {
+    try {
+      const workCentre = WorkCentre.findById(req.params.id);
+      if (!workCentre) {
+        return next({
+          status: 404,
+          code: 'WORK_CENTRE_NOT_FOUND',
+          message: 'Work centre not found'
+        });
+      }
+
+      // Staying on the same value never needs a changeover
+      const sameValue = req.body.changeovers.find(changeover =>
+        changeover.from_value === changeover.to_value && changeover.from_value !== ANY_VALUE
+      );
+      if (sameValue) {
+        return next({
+          status: 400,
+          code: 'INVALID_CHANGEOVER',
+          message: `Changeover from ${sameValue.from_value} to itself is not needed`
+        });
+      }
+
+      const changeovers = ChangeoverTime.replace(workCentre.id, req.body.changeovers, req.user.id);
+
+      AuditLog.create({
+        event_type: 'changeovers_updated',
+        to_work_centre_id: workCentre.id,
+        user_id: req.user.id,
+        event_data: {
+          work_centre_id: workCentre.id,
+          changeover_count: changeovers.length,
+          updated_by: req.user.username
+        }
+      });
+
+      res.json({
+        message: 'Changeover times saved successfully',
+        work_centre_id: workCentre.id,
+        changeovers
+      });
+    } catch (error) {
+      next({ status: 400, code: 'SAVE_FAILED', message: error.message });
+    }
+  }
+}
+
+module.exports = new ChangeoversController();
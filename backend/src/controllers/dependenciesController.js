@@ -0,0 +1,174 @@
+const OrderDependency = require('../models/OrderDependency');
+const ManufacturingOrder = require('../models/ManufacturingOrder');
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * DependenciesController
+ * ======================
+ *
+ * Handles endpoints for order dependencies ("B cannot start until A is complete").
+ * Enforcement lives with the actions it blocks (starting steps, moving orders).
+ */
+class DependenciesController {
+  /**
+   * Get an order's dependencies in both directions
+   * @route GET /api/orders/:id/dependencies
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {number} req.params.id - Order ID
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   * @returns {Promise<void>} JSON response with depends_on (orders it waits on) and dependents (orders waiting on it)
+   */
+  async getOrderDependencies(req, res, next) {
+    try {
+      const orderId = req.params.id;
+
+      const order = ManufacturingOrder.findById(orderId);
+      if (!order) {
+        return next({
+          status: 404,
+          code: 'NOT_FOUND',
+          message: 'Order not found'
+        });
+      }
+
+      res.json({
+        depends_on: OrderDependency.findByOrderId(orderId),
+        dependents: OrderDependency.findDependents(orderId),
+        is_blocked: order.blocked_by.length > 0
+      });
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+
+  /**
+   * Make an order wait on another order
+   * @route POST /api/orders/:id/dependencies
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - Route parameters
+   * @param {number} req.params.id - Dependent order ID
+   * @param {Object} req.body - Request body
+   * @param {number} req.body.depends_on_order_id - Order that must complete first
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   * @returns {Promise<void>} JSON response with created dependency
+   */
+  async createOrderDependency(req, res, next) {
+    try {
+      const orderId = req.params.id;
+      const dependsOnOrderId = req.body.depends_on_order_id;
+
+      const order = ManufacturingOrder.findById(orderId);
+      if (!order) {
+        return next({
+          status: 404,
+          code: 'NOT_FOUND',
+          message: 'Order not found'
+        });
+      }
+
+      if (dependsOnOrderId === orderId) {
+        return next({
+          status: 400,
+          code: 'SELF_DEPENDENCY',
+          message: 'An order cannot depend on itself'
+        });
+      }
+
+      const blockingOrder = ManufacturingOrder.findById(dependsOnOrderId);
+      if (!blockingOrder) {
+        return next({
+          status: 400,
+          code: 'INVALID_DEPENDENCY',
+          message: 'Blocking order not found'
+        });
+      }
+
+      if (OrderDependency.exists(orderId, dependsOnOrderId)) {
+        return next({
+          status: 409,
+          code: 'DUPLICATE_DEPENDENCY',
+          message: `${order.order_number} already depends on ${blockingOrder.order_number}`
+        });
+      }
+
+      const cycle = OrderDependency.findCycle(orderId, dependsOnOrderId);
+      if (cycle) {
+        const cycleOrderNumbers = cycle.map(id => (id === orderId ? order : ManufacturingOrder.findById(id)).order_number);
+        return next({
+          status: 409,
+          code: 'DEPENDENCY_CYCLE',
+          message: `Dependency would create a cycle: ${cycleOrderNumbers.join(' -> ')}`,
+          details: { cycle: cycleOrderNumbers }
+        });
+      }
+
+      const dependency = OrderDependency.create({
+        order_id: orderId,
+        depends_on_order_id: dependsOnOrderId,
+        created_by: req.user.id
+      });
+
+      AuditLog.create({
+        event_type: 'dependency_added',
+        order_id: orderId,
+        user_id: req.user.id,
+        event_data: {
+          order_number: order.order_number,
+          depends_on_order_id: dependsOnOrderId,
+          depends_on_order_number: blockingOrder.order_number,
+          added_by: req.user.username
+        }
+      });
+
+      res.status(201).json({
+        message: 'Dependency created successfully',
+        dependency
+      });
+    } catch (error) {
+      next({ status: 400, code: 'CREATION_FAILED', message: error.message });
+    }
+  }
+
+  // DELETE /api/orders/:id/dependencies/:dependencyId
+  async deleteOrderDependency(req, res, next) {
+    try {
+      const { id: orderId, dependencyId } = req.params;
+
+      const dependency = OrderDependency.findById(dependencyId);
+      if (!dependency || dependency.order_id !== orderId) {
+        return next({
+          status: 404,
+          code: 'DEPENDENCY_NOT_FOUND',
+          message: 'Dependency not found'
+        });
+      }
+
+      OrderDependency.delete(dependencyId);
+
+      const order = ManufacturingOrder.findById(orderId);
+      const blockingOrder = ManufacturingOrder.findById(dependency.depends_on_order_id);
+      AuditLog.create({
+        event_type: 'dependency_removed',
+        order_id: orderId,
+        user_id: req.user.id,
+        event_data: {
+          order_number: order.order_number,
+          depends_on_order_id: dependency.depends_on_order_id,
+          depends_on_order_number: blockingOrder ? blockingOrder.order_number : null,
+          removed_by: req.user.username
+        }
+      });
+
+      res.json({
+        message: 'Dependency deleted successfully'
+      });
+    } catch (error) {
+      next({ status: 500, code: 'DELETE_FAILED', message: error.message });
+    }
+  }
+}
+
+module.exports = new DependenciesController();
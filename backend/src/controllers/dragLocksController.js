@@ -0,0 +1,71 @@
+const dragLockService = require('../services/dragLockService');
+const AuditLog = require('../models/AuditLog');
+const { AUDIT_EVENTS } = require('../config/constants');
+
+// Lock as listed to admins
+function describeLock(lock, now = Date.now()) {
+  return {
+    orderId: lock.orderId,
+    orderNumber: lock.orderNumber,
+    userId: lock.userId,
+    userName: lock.userName,
+    startTime: lock.startTime,
+    lockExpiry: new Date(lock.expiresAt).toISOString(),
+    timeRemaining: Math.max(0, lock.expiresAt - now),
+    instanceId: lock.instanceId
+  };
+}
+
+/**
+ * DragLocksController
+ * ===================
+ *
+ * Admin endpoints for the drag locks held on orders (see
+ * services/dragLockService.js): list them, and release one whoever holds it,
+ * e.g. when a client has kept renewing a lock it no longer needs.
+ */
+class DragLocksController {
+  // GET /api/admin/drag-locks
+  async getLocks(req, res, next) {
+    try {
+      const locks = dragLockService.getAll().map(lock => describeLock(lock));
+      res.json({
+        locks,
+        count: locks.length,
+        ttl_ms: dragLockService.ttlMs
+      });
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+
+  // DELETE /api/admin/drag-locks/:id - Release the lock on order :id
+  async releaseLock(req, res, next) {
+    try {
+      const lock = dragLockService.forceRelease(req.params.id, req.user);
+      if (!lock) {
+        return next({ status: 404, code: 'LOCK_NOT_FOUND', message: 'Order is not locked' });
+      }
+
+      AuditLog.create({
+        event_type: AUDIT_EVENTS.DRAG_LOCK_RELEASED,
+        order_id: lock.orderId,
+        user_id: req.user.id,
+        event_data: {
+          held_by: lock.userName,
+          held_by_user_id: lock.userId,
+          lock_start_time: new Date(lock.startTime).toISOString()
+        }
+      });
+
+      res.json({
+        message: `Lock held by ${lock.userName} released`,
+        lock: describeLock(lock)
+      });
+    } catch (error) {
+      next({ status: 500, code: 'UNLOCK_FAILED', message: error.message });
+    }
+  }
+}
+
+module.exports = new DragLocksController();
@@ -0,0 +1,349 @@
+const BillOfMaterials = require('../models/BillOfMaterials');
+const InventoryTransaction = require('../models/InventoryTransaction');
+const ManufacturingOrder = require('../models/ManufacturingOrder');
+const AuditLog = require('../models/AuditLog');
+const { getOrderMaterials } = require('../utils/materialAvailability');
+
+// Orders that no longer take material
+const CLOSED_ORDER_STATUSES = ['complete', 'cancelled'];
+
+/**
+ * Check a ledger row against current stock before it is recorded
+ * @param {Object} transaction - { component_code, transaction_type, quantity, order_id }
+ * @param {Object|null} order - Order the row is against, if any
+ * @returns {Object|null} Error ({ status, code, message }) if the row would overdraw stock or the order, otherwise null
+ */
+function checkTransaction(transaction, order) {
+  const { component_code: componentCode, transaction_type: type, quantity } = transaction;
+
+  if (order && type === 'allocation' && CLOSED_ORDER_STATUSES.includes(order.status)) {
+    return {
+      status: 409,
+      code: 'ORDER_CLOSED',
+      message: `Cannot allocate material to a ${order.status} order`
+    };
+  }
+
+  const stock = InventoryTransaction.getStockLevel(componentCode);
+
+  if (type === 'issue' && quantity > stock.on_hand) {
+    return {
+      status: 409,
+      code: 'INSUFFICIENT_STOCK',
+      message: `Only ${stock.on_hand} of ${componentCode} on hand`
+    };
+  }
+
+  if (type === 'allocation' && quantity > stock.available) {
+    return {
+      status: 409,
+      code: 'INSUFFICIENT_STOCK',
+      message: `Only ${stock.available} of ${componentCode} free to allocate`
+    };
+  }
+
+  if (type === 'allocation' && quantity < 0) {
+    const allocation = InventoryTransaction.getOrderAllocations([order.id])
+      .find(row => row.component_code === componentCode) || { allocated: 0, issued: 0 };
+    const reserved = Math.max(0, allocation.allocated - allocation.issued);
+    if (-quantity > reserved) {
+      return {
+        status: 400,
+        code: 'INVALID_RELEASE',
+        message: `${order.order_number} only has ${reserved} of ${componentCode} allocated`
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * MaterialsController
+ * ===================
+ *
+ * Handles bills of materials per stock code, the inventory ledger (receipts,
+ * issues, allocations) and each order's material position. Shortages stop
+ * work starting on an order; see utils/materialAvailability.
+ */
+class MaterialsController {
+  // GET /api/materials/boms
+  async getAllBoms(req, res, next) {
+    try {
+      const boms = BillOfMaterials.findAll(req.query);
+      res.json({ boms, count: boms.length });
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+
+  // GET /api/materials/boms/:stockCode
+  async getBom(req, res, next) {
+    try {
+      const { stockCode } = req.params;
+      const components = BillOfMaterials.findByStockCode(stockCode);
+
+      if (components.length === 0) {
+        return next({
+          status: 404,
+          code: 'BOM_NOT_FOUND',
+          message: 'No bill of materials for this stock code'
+        });
+      }
+
+      res.json({ stock_code: stockCode, components });
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+
+  // PUT /api/materials/boms/:stockCode - Replace the component list
+  async saveBom(req, res, next) {
+    try {
+      const { stockCode } = req.params;
+      const isNew = BillOfMaterials.findByStockCode(stockCode).length === 0;
+      const components = BillOfMaterials.replace(stockCode, req.body.components, req.user.id);
+
+      AuditLog.create({
+        event_type: isNew ? 'bom_created' : 'bom_updated',
+        user_id: req.user.id,
+        event_data: {
+          stock_code: stockCode,
+          component_count: components.length,
+          saved_by: req.user.username
+        }
+      });
+
+      res.status(isNew ? 201 : 200).json({
+        message: 'Bill of materials saved successfully',
+        stock_code: stockCode,
+        components
+      });
+    } catch (error) {
+      next({ status: 400, code: 'SAVE_FAILED', message: error.message });
+    }
+  }
+
+  // DELETE /api/materials/boms/:stockCode
+  async deleteBom(req, res, next) {
+    try {
+      const { stockCode } = req.params;
+
+      if (!BillOfMaterials.delete(stockCode)) {
+        return next({
+          status: 404,
+          code: 'BOM_NOT_FOUND',
+          message: 'No bill of materials for this stock code'
+        });
+      }
+
+      AuditLog.create({
+        event_type: 'bom_deleted',
+        user_id: req.user.id,
+        event_data: {
+          stock_code: stockCode,
+          deleted_by: req.user.username
+        }
+      });
+
+      res.json({ message: 'Bill of materials deleted successfully' });
+    } catch (error) {
+      next({ status: 500, code: 'DELETE_FAILED', message: error.message });
+    }
+  }
+
+  // GET /api/materials/stock
+  async getStockLevels(req, res, next) {
+    try {
+      const componentCodes = req.query.component_code ? [req.query.component_code] : null;
+      const stock_levels = InventoryTransaction.getStockLevels(componentCodes);
+      res.json({ stock_levels, count: stock_levels.length });
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+
+  // GET /api/materials/transactions
+  async getTransactions(req, res, next) {
+    try {
+      const transactions = InventoryTransaction.findAll(req.query);
+      res.json({ transactions, count: transactions.length });
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+
+  // POST /api/materials/transactions - Record a receipt, issue, allocation or adjustment
+  async createTransaction(req, res, next) {
+    try {
+      let order = null;
+      if (req.body.order_id) {
+        order = ManufacturingOrder.findById(req.body.order_id);
+        if (!order) {
+          return next({
+            status: 400,
+            code: 'INVALID_ORDER',
+            message: 'Order not found'
+          });
+        }
+      }
+
+      const stockError = checkTransaction(req.body, order);
+      if (stockError) {
+        return next(stockError);
+      }
+
+      const transaction = InventoryTransaction.create({
+        ...req.body,
+        source: 'manual',
+        created_by: req.user.id
+      });
+
+      res.status(201).json({
+        message: 'Transaction recorded successfully',
+        transaction,
+        stock_level: InventoryTransaction.getStockLevel(transaction.component_code)
+      });
+    } catch (error) {
+      next({ status: 400, code: 'CREATION_FAILED', message: error.message });
+    }
+  }
+
+  // GET /api/orders/:id/materials - Requirement, allocation and shortage per component
+  async getOrderMaterials(req, res, next) {
+    try {
+      const order = ManufacturingOrder.findById(req.params.id);
+      if (!order) {
+        return next({
+          status: 404,
+          code: 'NOT_FOUND',
+          message: 'Order not found'
+        });
+      }
+
+      res.json(getOrderMaterials([order]).get(order.id));
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+
+  // POST /api/orders/:id/materials/allocate - Allocate free stock to everything the order still needs
+  async allocateOrderMaterials(req, res, next) {
+    try {
+      const orderId = req.params.id;
+      const order = ManufacturingOrder.findById(orderId);
+      if (!order) {
+        return next({
+          status: 404,
+          code: 'NOT_FOUND',
+          message: 'Order not found'
+        });
+      }
+
+      if (CLOSED_ORDER_STATUSES.includes(order.status)) {
+        return next({
+          status: 409,
+          code: 'ORDER_CLOSED',
+          message: `Cannot allocate material to a ${order.status} order`
+        });
+      }
+
+      const allocations = getOrderMaterials([order]).get(orderId).components
+        .map(component => ({
+          component_code: component.component_code,
+          quantity: Math.min(component.outstanding, component.available)
+        }))
+        .filter(allocation => allocation.quantity > 0);
+
+      allocations.forEach(allocation => {
+        InventoryTransaction.create({
+          ...allocation,
+          transaction_type: 'allocation',
+          order_id: orderId,
+          reference: order.order_number,
+          source: 'auto_allocate',
+          created_by: req.user.id
+        });
+      });
+
+      if (allocations.length > 0) {
+        AuditLog.create({
+          event_type: 'materials_allocated',
+          order_id: orderId,
+          user_id: req.user.id,
+          event_data: {
+            order_number: order.order_number,
+            allocations,
+            allocated_by: req.user.username
+          }
+        });
+      }
+
+      res.json({
+        message: allocations.length > 0 ? 'Materials allocated successfully' : 'Nothing left to allocate',
+        allocations,
+        ...getOrderMaterials([order]).get(orderId)
+      });
+    } catch (error) {
+      next({ status: 400, code: 'ALLOCATION_FAILED', message: error.message });
+    }
+  }
+
+  // GET /api/external/stock-levels
+  async getStockLevelsForExternal(req, res, next) {
+    try {
+      const componentCodes = req.query.component_code ? [req.query.component_code] : null;
+
+      res.json({
+        message: 'Stock levels retrieved successfully',
+        data: InventoryTransaction.getStockLevels(componentCodes)
+      });
+    } catch (error) {
+      next({ status: 500, code: 'EXTERNAL_FETCH_FAILED', message: error.message });
+    }
+  }
+
+  // PUT /api/external/stock-levels - Set stock on hand to the ERP's figures
+  async updateStockLevelsFromExternal(req, res, next) {
+    try {
+      const { stock_levels: stockLevels, reference } = req.body;
+      const systemId = req.apiKey.system_id;
+
+      const summary = {
+        total_components: stockLevels.length,
+        adjusted: 0,
+        unchanged: 0,
+        stock_levels: []
+      };
+
+      stockLevels.forEach(({ component_code: componentCode, quantity_on_hand: quantityOnHand }) => {
+        const current = InventoryTransaction.getStockLevel(componentCode);
+        const difference = InventoryTransaction.roundQuantity(quantityOnHand - current.on_hand);
+
+        if (difference === 0) {
+          summary.unchanged++;
+        } else {
+          InventoryTransaction.create({
+            component_code: componentCode,
+            transaction_type: 'adjustment',
+            quantity: difference,
+            reference: reference || 'ERP stock level',
+            source: systemId
+          });
+          summary.adjusted++;
+        }
+
+        summary.stock_levels.push(InventoryTransaction.getStockLevel(componentCode));
+      });
+
+      res.json({
+        message: 'Stock levels updated successfully',
+        data: summary
+      });
+    } catch (error) {
+      next({ status: 500, code: 'EXTERNAL_UPDATE_FAILED', message: error.message });
+    }
+  }
+}
+
+module.exports = new MaterialsController();
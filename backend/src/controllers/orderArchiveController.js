@@ -0,0 +1,120 @@
+const OrderArchive = require('../models/OrderArchive');
+
+/**
+ * OrderArchiveController
+ * ======================
+ *
+ * Handles the archive of completed and cancelled orders: list and search
+ * archived orders, view one with its steps, characteristics and audit trail,
+ * archive orders on demand (the scheduled job is services/orderArchiveService.js)
+ * and restore them to the live tables.
+ */
+class OrderArchiveController {
+  // GET /api/orders/archive?q=...&status=...&limit=...&offset=...
+  async getArchivedOrders(req, res, next) {
+    try {
+      const { limit, offset, ...filters } = req.query;
+      const orders = OrderArchive.findAll(filters, { limit, offset });
+      const total = OrderArchive.count(filters);
+
+      res.json({
+        orders,
+        count: orders.length,
+        total,
+        limit,
+        offset,
+        has_more: offset + orders.length < total
+      });
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+
+  // GET /api/orders/archive/:id - Archived order as it was, with its archived rows
+  async getArchivedOrder(req, res, next) {
+    try {
+      const order = OrderArchive.findById(req.params.id);
+      if (!order) {
+        return next({
+          status: 404,
+          code: 'ARCHIVED_ORDER_NOT_FOUND',
+          message: 'Archived order not found'
+        });
+      }
+
+      res.json({ order });
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+
+  // POST /api/orders/archive - Archive the given orders, or every order old enough
+  async archiveOrders(req, res, next) {
+    try {
+      const { order_ids: orderIds, older_than_days: olderThanDays, dry_run: dryRun } = req.body;
+
+      if (orderIds) {
+        const eligibleIds = new Set(OrderArchive.findEligible({ olderThanDays, orderIds }).map(order => order.id));
+        const notArchivable = orderIds.filter(id => !eligibleIds.has(id));
+        if (notArchivable.length > 0) {
+          return next({
+            status: 409,
+            code: 'ORDERS_NOT_ARCHIVABLE',
+            message: 'Only complete or cancelled orders can be archived, together with the rest of their split',
+            details: { order_ids: notArchivable }
+          });
+        }
+      }
+
+      const orders = OrderArchive.archiveEligible({ olderThanDays, orderIds, dryRun, userId: req.user.id });
+      res.json({
+        orders,
+        count: orders.length,
+        dry_run: dryRun
+      });
+    } catch (error) {
+      next({ status: 500, code: 'ARCHIVE_FAILED', message: error.message });
+    }
+  }
+
+  // POST /api/orders/archive/:id/restore - Restore the order (and the rest of its split)
+  async restoreOrder(req, res, next) {
+    try {
+      const ids = OrderArchive.getFamilyIds(req.params.id);
+      if (ids.length === 0) {
+        return next({
+          status: 404,
+          code: 'ARCHIVED_ORDER_NOT_FOUND',
+          message: 'Archived order not found'
+        });
+      }
+
+      const conflicts = OrderArchive.findRestoreConflicts(ids);
+      if (conflicts.length > 0) {
+        return next({
+          status: 409,
+          code: 'RESTORE_CONFLICT',
+          message: 'A live order already uses the number or id of the order being restored',
+          details: { conflicts }
+        });
+      }
+
+      const restoredIds = OrderArchive.restore(ids, req.user.id);
+      res.json({
+        message: 'Order restored successfully',
+        order_ids: restoredIds
+      });
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_FOREIGNKEY') {
+        return next({
+          status: 409,
+          code: 'RESTORE_CONFLICT',
+          message: 'The order refers to records that no longer exist (such as a deleted work centre)'
+        });
+      }
+      next({ status: 500, code: 'RESTORE_FAILED', message: error.message });
+    }
+  }
+}
+
+module.exports = new OrderArchiveController();
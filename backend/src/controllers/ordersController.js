@@ -2,7 +2,221 @@ const ManufacturingOrder = require('../models/ManufacturingOrder');
 const ManufacturingStep = require('../models/ManufacturingStep');
 const WorkCentre = require('../models/WorkCentre');
 const AuditLog = require('../models/AuditLog');
-const { checkDragLock, createLockForRequest, releaseDragLock } = require('../middleware/dragLocks');
+const RoutingTemplate = require('../models/RoutingTemplate');
+const StepBooking = require('../models/StepBooking');
+const BoardAction = require('../models/BoardAction');
+const websocketService = require('../services/websocketService');
+const {
+  checkDragLock, createLockForRequest, releaseDragLock, isOrderLocked, getLockInfo, createDragLocks, releaseDragLocks,
+  renewDragLocks
+} = require('../middleware/dragLocks');
+const { setVersionHeader, matchesExpectedVersion } = require('../middleware/concurrency');
+const { ORDER_STATUSES, checkTransition } = require('../utils/orderStatus');
+const { checkNotBlocked, checkCanEnterWorkCentre } = require('../utils/orderBlocking');
+const { checkMaterialAvailable } = require('../utils/materialAvailability');
+const { AUDIT_EVENTS } = require('../config/constants');
+
+// Statuses in which work on a step leaves the order status unchanged
+const WORKING_STATUSES = [ORDER_STATUSES.IN_PROGRESS, ORDER_STATUSES.OVERDUE];
+
+// Step statuses that no longer accept quantity bookings
+const CLOSED_STEP_STATUSES = ['complete', 'skipped'];
+
+// Load a step and check it belongs to the order in the URL
+function findOrderStep(orderId, stepId) {
+  const step = ManufacturingStep.findById(stepId);
+  return step && step.order_id === orderId ? step : null;
+}
+
+// 409 for an edit made against an old version, with the order as it is now
+function orderVersionConflict(order) {
+  return {
+    status: 409,
+    code: 'VERSION_CONFLICT',
+    message: 'This order has been changed by someone else since you opened it',
+    details: { current_version: order.version, order }
+  };
+}
+
+/**
+ * Work on a pending step starts it, which an order with open dependencies or a material shortage may not do
+ * @param {Object} order - Order the step belongs to
+ * @param {Object|null} step - Step about to be worked on
+ * @returns {Object|null} ORDER_BLOCKED error if a blocking order is not complete, MATERIAL_SHORTAGE error if
+ *   a component is short, otherwise null
+ */
+function checkStepCanStart(order, step) {
+  if (step && step.status !== 'pending') return null;
+  return checkNotBlocked(order.id, 'start') || checkMaterialAvailable(order, 'start');
+}
+
+/**
+ * Starting or completing a step puts the order in progress
+ * @param {Object} order - Order the step belongs to
+ * @param {number} userId - User doing the work (for audit trail)
+ * @param {string} reason - What triggered the change (step_started, step_completed)
+ * @returns {Object|null} INVALID_TRANSITION error if the order cannot be worked on, otherwise null
+ */
+function moveOrderInProgressForStepWork(order, userId, reason) {
+  if (WORKING_STATUSES.includes(order.status)) return null;
+
+  const transitionError = checkTransition(order.status, ORDER_STATUSES.IN_PROGRESS);
+  if (transitionError) return transitionError;
+
+  ManufacturingOrder.update(order.id, { status: ORDER_STATUSES.IN_PROGRESS });
+  AuditLog.logOrderStatusChange(order.id, order.status, ORDER_STATUSES.IN_PROGRESS, userId, { reason });
+  return null;
+}
+
+/**
+ * Completing a step at a work centre with auto-move enabled moves the order
+ * on to the work centre of its next pending step (end of that queue)
+ * @param {Object} order - Order the step belongs to
+ * @param {Object} completedStep - Step that was just completed
+ * @param {Object} user - User who completed the step (for audit trail and broadcast)
+ * @returns {Object|null} { order, from_work_centre_id, to_work_centre_id } if the order was moved, otherwise null
+ */
+function autoMoveToNextStepWorkCentre(order, completedStep, user) {
+  const workCentre = WorkCentre.findById(completedStep.work_centre_id);
+  if (!workCentre || !workCentre.auto_move_on_step_complete) return null;
+
+  const nextStep = ManufacturingStep.findByOrderId(order.id)
+    .find(step => step.status === 'pending' && step.step_number > completedStep.step_number);
+  if (!nextStep || nextStep.work_centre_id === order.current_work_centre_id) return null;
+
+  // Leave the order alone while someone is dragging it on the board
+  if (isOrderLocked(order.id)) return null;
+
+  const toWorkCentre = WorkCentre.findById(nextStep.work_centre_id);
+  if (!toWorkCentre || !toWorkCentre.is_active) return null;
+
+  const fromWorkCentreId = order.current_work_centre_id;
+  const movedOrder = ManufacturingOrder.moveToWorkCentre(order.id, toWorkCentre.id, user.id, 'step_completed');
+  websocketService.broadcastOrderMoved(movedOrder, fromWorkCentreId, toWorkCentre.id, user.username);
+
+  return { order: movedOrder, from_work_centre_id: fromWorkCentreId, to_work_centre_id: toWorkCentre.id };
+}
+
+/**
+ * Create a new order's steps from the steps supplied, or from the current
+ * routing template for its stock code when none are supplied
+ * @param {Object} order - Newly created order
+ * @param {Array} [steps] - Step definitions supplied with the order
+ * @returns {boolean} True if any steps were created
+ */
+function createStepsForNewOrder(order, steps) {
+  if (steps && steps.length > 0) {
+    ManufacturingStep.createStepsForOrder(order.id, steps);
+    return true;
+  }
+
+  return Boolean(RoutingTemplate.generateStepsForOrder(order.id, order.stock_code));
+}
+
+/**
+ * Load every order in a bulk move or update
+ * @param {Array<number>} orderIds - Orders being changed
+ * @returns {Object} { orders, error } - error is a NOT_FOUND error listing any missing orders, otherwise null
+ */
+function findOrdersForBulkChange(orderIds) {
+  const orders = orderIds.map(orderId => ManufacturingOrder.findById(orderId));
+  const missingOrderIds = orderIds.filter((orderId, index) => !orders[index]);
+  if (missingOrderIds.length === 0) return { orders, error: null };
+
+  return {
+    orders,
+    error: {
+      status: 404,
+      code: 'NOT_FOUND',
+      message: `${missingOrderIds.length === 1 ? 'Order' : 'Orders'} not found`,
+      details: { missing_order_ids: missingOrderIds }
+    }
+  };
+}
+
+/**
+ * Lock every order in a multi-card move for the user, or none of them
+ * @param {Array<Object>} orders - Orders being moved
+ * @param {Object} user - User moving them
+ * @returns {Object|null} ORDER_LOCKED error listing the orders other users are moving, otherwise null
+ */
+function lockOrdersForBulkMove(orders, user) {
+  const { locked, conflicts } = createDragLocks(orders, user.id, user.username);
+  if (locked) return null;
+
+  return {
+    status: 423,
+    code: 'ORDER_LOCKED',
+    message: conflicts.map(c => `${c.order_number} is currently being moved by ${c.locked_by}`).join('; '),
+    details: { locked_orders: conflicts }
+  };
+}
+
+/**
+ * Check one order in a bulk update can take the change
+ * @param {Object} order - Order to change
+ * @param {Object} changes - Validated change from the request
+ * @param {Object|null} workCentre - Destination work centre when the change moves orders
+ * @param {number} userId - User making the change
+ * @param {boolean} forced - An admin is forcing guarded status changes
+ * @param {number|'*'} expectedVersion - Version the user read the order at, or '*' for any
+ * @returns {Object|null} VERSION_CONFLICT (with the current order), ORDER_LOCKED, INVALID_TRANSITION or
+ *   ORDER_BLOCKED error, otherwise null
+ */
+function checkBulkOrderUpdate(order, changes, workCentre, userId, forced, expectedVersion) {
+  if (expectedVersion !== '*' && order.version !== expectedVersion) {
+    return {
+      code: 'VERSION_CONFLICT',
+      message: `${order.order_number} has been changed by someone else since you opened it`,
+      ...orderVersionConflict(order).details
+    };
+  }
+
+  const lock = getLockInfo(order.id);
+  if (lock && lock.userId !== userId) {
+    return {
+      code: 'ORDER_LOCKED',
+      message: `${order.order_number} is currently being moved by ${lock.userName}`
+    };
+  }
+
+  if (changes.status && changes.status !== order.status) {
+    const transitionError = checkTransition(order.status, changes.status, {
+      steps: order.manufacturing_steps,
+      force: forced
+    });
+    if (transitionError) return transitionError;
+  }
+
+  return workCentre ? checkCanEnterWorkCentre(order, workCentre) : null;
+}
+
+/**
+ * Check every order in a bulk update can take the change
+ * @param {Array<Object>} orders - Orders to change, as they are now
+ * @param {Object} body - Validated bulk update request
+ * @param {Object|null} workCentre - Destination work centre when the change moves orders
+ * @param {number} userId - User making the change
+ * @param {boolean} forced - An admin is forcing guarded status changes
+ * @returns {Object|null} BULK_UPDATE_REJECTED error with the result per order if any order cannot take it, otherwise null
+ */
+function checkBulkUpdate(orders, { changes, expected_versions }, workCentre, userId, forced) {
+  const checks = orders.map(order => {
+    const error = checkBulkOrderUpdate(order, changes, workCentre, userId, forced, expected_versions[order.id]);
+    return error
+      ? { order_id: order.id, order_number: order.order_number, status: 'error', ...error }
+      : { order_id: order.id, order_number: order.order_number, status: 'ok' };
+  });
+  const rejected = checks.filter(check => check.status === 'error');
+  if (rejected.length === 0) return null;
+
+  return {
+    status: 409,
+    code: 'BULK_UPDATE_REJECTED',
+    message: `${rejected.length} of ${orders.length} orders cannot take this change, so none were updated`,
+    details: { updated: 0, errors: rejected.length, details: checks }
+  };
+}
 
 /**
  * OrdersController
@@ -13,41 +227,43 @@ const { checkDragLock, createLockForRequest, releaseDragLock } = require('../mid
  */
 class OrdersController {
   /**
-   * Get all manufacturing orders with optional filtering
+   * Get manufacturing orders with optional filtering, sorting and paging
    * @route GET /api/orders
    * @param {Object} req - Express request object
-   * @param {Object} req.query - Query parameters for filtering
-   * @param {string} [req.query.status] - Filter by order status (not_started, in_progress, complete, overdue, on_hold, cancelled)
-   * @param {string} [req.query.priority] - Filter by priority level (low, medium, high, urgent)
-   * @param {number} [req.query.work_centre_id] - Filter by current work centre ID
+   * @param {Object} req.query - Query parameters, validated by schemas.query.orderFilters
+   * @param {string|Array<string>} [req.query.status] - Filter by order status; repeat for several
+   * @param {string|Array<string>} [req.query.priority] - Filter by priority level; repeat for several
+   * @param {number|Array<number>} [req.query.work_centre_id] - Filter by current work centre ID; repeat for several
    * @param {string} [req.query.due_before] - Filter by due date (ISO date string)
    * @param {string} [req.query.search] - Search in order number, stock code, or description
+   * @param {Array<Object>} [req.query.sort] - Sort keys, sent as "field:asc,field:desc"
+   * @param {number} [req.query.limit] - Page size; every matching order is returned when omitted
+   * @param {number} [req.query.offset=0] - Number of matching orders to skip
    * @param {Object} res - Express response object
    * @param {Function} next - Express next middleware function
-   * @returns {Promise<void>} JSON response with orders array and count
+   * @returns {Promise<void>} JSON response with orders array and count; paged requests add total, limit, offset and has_more
+   * @note See ManufacturingOrder.findAll for the full set of column filters
    */
   async getAllOrders(req, res, next) {
     try {
-      const filters = {
-        status: req.query.status,
-        priority: req.query.priority,
-        work_centre_id: req.query.work_centre_id ? parseInt(req.query.work_centre_id) : undefined,
-        due_before: req.query.due_before,
-        search: req.query.search
-      };
-
-      // Remove undefined values
-      Object.keys(filters).forEach(key => {
-        if (filters[key] === undefined) {
-          delete filters[key];
-        }
-      });
+      const { sort, limit, offset, ...filters } = req.query;
+      const orders = ManufacturingOrder.attachCompletionProjections(ManufacturingOrder.findAll(filters, { sort, limit, offset }));
 
-      const orders = ManufacturingOrder.findAll(filters);
+      if (!limit) {
+        return res.json({
+          orders,
+          count: orders.length
+        });
+      }
 
+      const total = ManufacturingOrder.count(filters);
       res.json({
         orders,
-        count: orders.length
+        count: orders.length,
+        total,
+        limit,
+        offset,
+        has_more: offset + orders.length < total
       });
     } catch (error) {
       // Pass error to centralized error handler
@@ -63,7 +279,7 @@ class OrdersController {
    * @param {string} req.params.id - Order ID
    * @param {Object} res - Express response object
    * @param {Function} next - Express next middleware function
-   * @returns {Promise<void>} JSON response with order details including manufacturing steps and characteristics
+   * @returns {Promise<void>} JSON response with order details including manufacturing steps, characteristics and completion projection
    */
   async getOrder(req, res, next) {
     try {
@@ -77,6 +293,8 @@ class OrdersController {
         });
       }
 
+      ManufacturingOrder.attachCompletionProjections([order]);
+      setVersionHeader(res, order);
       res.json({
         order
       });
@@ -98,7 +316,7 @@ class OrdersController {
    * @param {string} [req.body.priority] - Priority level (low, medium, high, urgent)
    * @param {string} [req.body.due_date] - Due date in ISO format
    * @param {number} [req.body.current_work_centre_id] - Initial work centre assignment
-   * @param {Array} [req.body.manufacturing_steps] - Array of manufacturing step definitions
+   * @param {Array} [req.body.manufacturing_steps] - Array of manufacturing step definitions (defaults to the stock code's routing template)
    * @param {Object} req.user - Authenticated user object
    * @param {number} req.user.id - User ID for audit trail
    * @param {Object} res - Express response object
@@ -131,14 +349,12 @@ class OrdersController {
         }
       }
 
-      const order = ManufacturingOrder.create(orderData);
+      let order = ManufacturingOrder.create(orderData);
 
-      // Create manufacturing steps if provided
-      if (orderData.manufacturing_steps && orderData.manufacturing_steps.length > 0) {
-        ManufacturingStep.createStepsForOrder(order.id, orderData.manufacturing_steps);
+      // Create manufacturing steps if provided, otherwise from the stock code's routing
+      if (createStepsForNewOrder(order, orderData.manufacturing_steps)) {
         // Refresh order data to include steps
-        const orderWithSteps = ManufacturingOrder.findById(order.id);
-        order.manufacturingSteps = orderWithSteps.manufacturingSteps;
+        order = ManufacturingOrder.findById(order.id);
       }
 
       // Log the creation
@@ -175,14 +391,16 @@ class OrdersController {
    * @param {string} [req.body.priority] - Updated priority level
    * @param {string} [req.body.status] - Updated order status
    * @param {string} [req.body.due_date] - Updated due date
+   * @param {number} [req.expectedVersion] - Version from the If-Match header (see middleware/concurrency.js)
    * @param {Object} res - Express response object
    * @param {Function} next - Express next middleware function
-   * @returns {Promise<void>} JSON response with updated order details
+   * @returns {Promise<void>} JSON response with updated order details, or a 409 VERSION_CONFLICT
+   *   with the current order if it has changed since the version in If-Match
    */
   async updateOrder(req, res, next) {
     try {
       const orderId = req.params.id;
-      const updates = req.body;
+      const { force, ...updates } = req.body;
 
       const existingOrder = ManufacturingOrder.findById(orderId);
       if (!existingOrder) {
@@ -193,6 +411,10 @@ class OrdersController {
         });
       }
 
+      if (!matchesExpectedVersion(req, existingOrder)) {
+        return next(orderVersionConflict(existingOrder));
+      }
+
       // Check for order number conflicts
       if (updates.order_number && ManufacturingOrder.orderNumberExists(updates.order_number, orderId)) {
         return next({
@@ -212,20 +434,39 @@ class OrdersController {
             message: 'Invalid work centre ID'
           });
         }
+
+        const blockedError = checkCanEnterWorkCentre(existingOrder, workCentre);
+        if (blockedError) {
+          return next({ status: 409, ...blockedError });
+        }
+      }
+
+      // Enforce the status state machine and log status changes
+      const statusChanged = updates.status && updates.status !== existingOrder.status;
+      const forced = Boolean(force) && req.user.role === 'admin';
+      if (statusChanged) {
+        const transitionError = checkTransition(existingOrder.status, updates.status, {
+          steps: existingOrder.manufacturing_steps,
+          force: forced
+        });
+
+        if (transitionError) {
+          return next({ status: 409, ...transitionError });
+        }
       }
 
-      // Log status changes
-      if (updates.status && updates.status !== existingOrder.status) {
+      const order = ManufacturingOrder.update(orderId, updates, { expectedVersion: req.expectedVersion });
+
+      if (statusChanged) {
         AuditLog.logOrderStatusChange(
           orderId,
           existingOrder.status,
           updates.status,
-          req.user.id
+          req.user.id,
+          forced ? { forced: true } : {}
         );
       }
 
-      const order = ManufacturingOrder.update(orderId, updates);
-
       // Log the update
       AuditLog.create({
         event_type: 'order_updated',
@@ -238,15 +479,127 @@ class OrdersController {
         }
       });
 
+      setVersionHeader(res, order);
       res.json({
         message: 'Order updated successfully',
         order
       });
     } catch (error) {
+      // Changed by another server process between the read above and the write
+      if (error.code === 'VERSION_CONFLICT') {
+        return next(orderVersionConflict(ManufacturingOrder.findById(req.params.id)));
+      }
       next({ status: 400, code: 'UPDATE_FAILED', message: error.message });
     }
   }
 
+  /**
+   * Apply the same change to many orders at once, e.g. from the orders table's batch actions
+   * @route PATCH /api/orders/bulk
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - Bulk update data
+   * @param {Array<number>} req.body.order_ids - Orders to change
+   * @param {Object} req.body.changes - priority, status, due_date, current_work_centre_id,
+   *   add_characteristics and/or remove_characteristics
+   * @param {Object} req.body.expected_versions - Version each order was read at, by order ID ('*' for any);
+   *   required for every order, like If-Match on a single order
+   * @param {boolean} [req.body.force] - Admins may force guarded status changes
+   * @param {Object} req.user - Authenticated user object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   * @returns {Promise<void>} JSON response with a result per order
+   * @note All orders change or none do: if any order cannot take the change (changed since it was read,
+   *       locked, invalid status transition, blocked from the work centre) the response is a 409 listing
+   *       the result per order, with the current order for those that have changed.
+   */
+  async bulkUpdateOrders(req, res, next) {
+    try {
+      const { order_ids, changes, force, expected_versions = {} } = req.body;
+
+      const unversionedOrderIds = order_ids.filter(orderId => expected_versions[orderId] === undefined);
+      if (unversionedOrderIds.length > 0) {
+        return next({
+          status: 428,
+          code: 'PRECONDITION_REQUIRED',
+          message: 'Send the version you are editing for every order in expected_versions (or * for any version)',
+          details: { missing_order_ids: unversionedOrderIds }
+        });
+      }
+
+      const { orders, error: notFoundError } = findOrdersForBulkChange(order_ids);
+      if (notFoundError) {
+        return next(notFoundError);
+      }
+
+      let workCentre = null;
+      if (changes.current_work_centre_id) {
+        workCentre = WorkCentre.findById(changes.current_work_centre_id);
+        if (!workCentre) {
+          return next({
+            status: 400,
+            code: 'INVALID_WORK_CENTRE',
+            message: 'Invalid work centre ID'
+          });
+        }
+      }
+
+      const forced = Boolean(force) && req.user.role === 'admin';
+      const rejectedError = checkBulkUpdate(orders, req.body, workCentre, req.user.id, forced);
+      if (rejectedError) {
+        return next(rejectedError);
+      }
+
+      const expectedVersions = Object.fromEntries(
+        Object.entries(expected_versions).filter(([, version]) => version !== '*')
+      );
+      let results;
+      try {
+        results = ManufacturingOrder.bulkUpdate(order_ids, changes, req.user.id, { forced, expectedVersions });
+      } catch (error) {
+        if (error.code !== 'VERSION_CONFLICT') throw error;
+        // Someone edited an order between the checks and the write; report the orders as they are now
+        const { orders: currentOrders } = findOrdersForBulkChange(order_ids);
+        return next(checkBulkUpdate(currentOrders.filter(Boolean), req.body, workCentre, req.user.id, forced) || {
+          status: 409,
+          code: 'VERSION_CONFLICT',
+          message: error.message
+        });
+      }
+      const updated = results.filter(result => result.updated_fields.length > 0);
+
+      updated.forEach(({ order, old_status, from_work_centre_id, updated_fields }) => {
+        if (updated_fields.includes('status')) {
+          websocketService.broadcastOrderStatusChanged(order, old_status, order.status, req.user.username);
+        }
+        if (updated_fields.includes('current_work_centre_id')) {
+          websocketService.broadcastOrderMoved(order, from_work_centre_id, order.current_work_centre_id, req.user.username);
+        }
+      });
+      if (updated.length > 0) {
+        websocketService.sendNotificationToPlanningBoard({
+          type: 'orders_bulk_updated',
+          message: `${req.user.username} updated ${updated.length} ${updated.length === 1 ? 'order' : 'orders'}`,
+          order_ids: updated.map(({ order }) => order.id)
+        });
+      }
+
+      res.json({
+        message: `${updated.length} ${updated.length === 1 ? 'order' : 'orders'} updated successfully`,
+        updated: updated.length,
+        unchanged: results.length - updated.length,
+        details: results.map(({ order, updated_fields }) => ({
+          order_id: order.id,
+          order_number: order.order_number,
+          status: updated_fields.length > 0 ? 'updated' : 'unchanged',
+          updated_fields,
+          order
+        }))
+      });
+    } catch (error) {
+      next({ status: 400, code: 'BULK_UPDATE_FAILED', message: error.message });
+    }
+  }
+
   // DELETE /api/orders/:id
   async deleteOrder(req, res, next) {
     try {
@@ -279,8 +632,16 @@ class OrdersController {
           message: 'Order deleted successfully'
         });
       } else {
-        // Soft delete: set status to cancelled
-        ManufacturingOrder.update(orderId, { status: 'cancelled' });
+        // Soft delete: set status to cancelled, if the order may still be cancelled
+        const transitionError = checkTransition(order.status, ORDER_STATUSES.CANCELLED);
+        if (transitionError) {
+          return next({ status: 409, ...transitionError });
+        }
+
+        ManufacturingOrder.update(orderId, { status: ORDER_STATUSES.CANCELLED });
+        if (order.status !== ORDER_STATUSES.CANCELLED) {
+          AuditLog.logOrderStatusChange(orderId, order.status, ORDER_STATUSES.CANCELLED, req.user.id, { reason: 'order_deleted' });
+        }
         AuditLog.create({
           event_type: 'order_soft_deleted',
           order_id: orderId,
@@ -340,6 +701,11 @@ class OrdersController {
         });
       }
 
+      const blockedError = checkCanEnterWorkCentre(order, toWorkCentre);
+      if (blockedError) {
+        return next({ status: 409, ...blockedError });
+      }
+
       // Move the order
       const updatedOrder = ManufacturingOrder.moveToWorkCentre(
         orderId,
@@ -347,6 +713,7 @@ class OrdersController {
         req.user.id,
         reason
       );
+      BoardAction.recordMove(orderId, req.user.id);
 
       res.json({
         message: 'Order moved successfully',
@@ -377,7 +744,7 @@ class OrdersController {
         message: 'Order locked for moving',
         orderId: orderId,
         lockedBy: req.user.username,
-        lockExpiry: new Date(Date.now() + 30000).toISOString() // 30 seconds
+        lockExpiry: new Date(req.dragLock.expiresAt).toISOString()
       });
     } catch (error) {
       next({ status: 500, code: 'LOCK_FAILED', message: error.message });
@@ -390,7 +757,7 @@ class OrdersController {
       const orderId = req.params.id;
       const { completed } = req.body;
 
-      const released = releaseDragLock(orderId, req.user.id);
+      const released = releaseDragLock(orderId, req.user.id, { completed: Boolean(completed) });
 
       if (!released) {
         return next({
@@ -409,6 +776,377 @@ class OrdersController {
     }
   }
 
+  // POST /api/orders/:id/renew-move - Heartbeat during a long drag, so the lock doesn't lapse
+  async renewMove(req, res, next) {
+    try {
+      const orderId = req.params.id;
+
+      if (renewDragLocks([orderId], req.user.id).length === 0) {
+        return next({
+          status: 409,
+          code: 'LOCK_LOST',
+          message: 'Your lock on this order has expired or been released; start the move again'
+        });
+      }
+
+      res.json({
+        message: 'Order lock renewed',
+        orderId: orderId,
+        lockExpiry: new Date(getLockInfo(orderId).expiresAt).toISOString()
+      });
+    } catch (error) {
+      next({ status: 500, code: 'LOCK_FAILED', message: error.message });
+    }
+  }
+
+  /**
+   * Move several orders to one work centre in a single operation, e.g. after a multi-card drag
+   * @route POST /api/orders/bulk-move
+   * @param {Object} req - Express request object
+   * @param {Object} req.body - Bulk move data
+   * @param {Array<number>} req.body.order_ids - Orders to move, in their new queue order
+   * @param {number} req.body.to_work_centre_id - Destination work centre ID
+   * @param {string} [req.body.reason] - Reason for the move (for audit trail)
+   * @param {number} [req.body.new_position] - Position of the first order in the destination (default: end of queue)
+   * @param {Object} req.user - Authenticated user object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   * @returns {Promise<void>} JSON response with the moved orders
+   * @note All orders move or none do. The whole set is locked for the duration of the move, and
+   *       each order is added to the user's undo history as its own move.
+   */
+  async bulkMoveOrders(req, res, next) {
+    let lockedOrderIds = [];
+    try {
+      const { order_ids, to_work_centre_id, reason, new_position } = req.body;
+
+      const { orders, error: notFoundError } = findOrdersForBulkChange(order_ids);
+      if (notFoundError) {
+        return next(notFoundError);
+      }
+
+      const toWorkCentre = WorkCentre.findById(to_work_centre_id);
+      if (!toWorkCentre) {
+        return next({
+          status: 400,
+          code: 'INVALID_WORK_CENTRE',
+          message: 'Invalid destination work centre'
+        });
+      }
+
+      const blockedOrders = orders
+        .map(order => ({ order, error: checkCanEnterWorkCentre(order, toWorkCentre) }))
+        .filter(({ error }) => error)
+        .map(({ order, error }) => ({ order_id: order.id, order_number: order.order_number, ...error.details }));
+      if (blockedOrders.length > 0) {
+        return next({
+          status: 409,
+          code: 'ORDER_BLOCKED',
+          message: `Cannot move ${blockedOrders.map(o => o.order_number).join(', ')} until the orders blocking ${blockedOrders.length === 1 ? 'it' : 'them'} are complete`,
+          details: { blocked_orders: blockedOrders }
+        });
+      }
+
+      const lockedError = lockOrdersForBulkMove(orders, req.user);
+      if (lockedError) {
+        return next(lockedError);
+      }
+      lockedOrderIds = order_ids;
+
+      const movedOrders = ManufacturingOrder.bulkMoveToWorkCentre(
+        order_ids,
+        to_work_centre_id,
+        req.user.id,
+        reason,
+        new_position ?? null
+      );
+      order_ids.forEach(orderId => BoardAction.recordMove(orderId, req.user.id));
+
+      res.json({
+        message: `${movedOrders.length} ${movedOrders.length === 1 ? 'order' : 'orders'} moved successfully`,
+        orders: movedOrders
+      });
+    } catch (error) {
+      next({ status: 400, code: 'MOVE_FAILED', message: error.message });
+    } finally {
+      releaseDragLocks(lockedOrderIds, req.user.id);
+    }
+  }
+
+  // POST /api/orders/bulk-start-move
+  async bulkStartMove(req, res, next) {
+    try {
+      const { order_ids } = req.body;
+
+      const { orders, error: notFoundError } = findOrdersForBulkChange(order_ids);
+      if (notFoundError) {
+        return next(notFoundError);
+      }
+
+      // Lock every order in the set or none of them
+      const lockedError = lockOrdersForBulkMove(orders, req.user);
+      if (lockedError) {
+        return next(lockedError);
+      }
+
+      res.json({
+        message: 'Orders locked for moving',
+        orderIds: order_ids,
+        lockedBy: req.user.username,
+        lockExpiry: new Date(getLockInfo(order_ids[0]).expiresAt).toISOString()
+      });
+    } catch (error) {
+      next({ status: 500, code: 'LOCK_FAILED', message: error.message });
+    }
+  }
+
+  // POST /api/orders/bulk-end-move
+  async bulkEndMove(req, res, next) {
+    try {
+      const { order_ids, completed } = req.body;
+
+      // Locks may already have gone, e.g. released by bulk-move or expired, so this never fails
+      const released = releaseDragLocks(order_ids, req.user.id, { completed: Boolean(completed) });
+
+      res.json({
+        message: completed ? 'Order move completed' : 'Order move cancelled',
+        orderIds: released
+      });
+    } catch (error) {
+      next({ status: 500, code: 'UNLOCK_FAILED', message: error.message });
+    }
+  }
+
+  // POST /api/orders/bulk-renew-move - Heartbeat during a long multi-card drag
+  async bulkRenewMove(req, res, next) {
+    try {
+      const { order_ids } = req.body;
+
+      // Orders whose locks lapsed or were released are listed, so the client can warn the user
+      const renewed = renewDragLocks(order_ids, req.user.id);
+      const lost = order_ids.filter(orderId => !renewed.includes(orderId));
+
+      res.json({
+        message: lost.length === 0 ? 'Order locks renewed' : `${lost.length} of ${order_ids.length} order locks have been lost`,
+        orderIds: renewed,
+        lostOrderIds: lost,
+        lockExpiry: renewed.length > 0 ? new Date(getLockInfo(renewed[0]).expiresAt).toISOString() : null
+      });
+    } catch (error) {
+      next({ status: 500, code: 'LOCK_FAILED', message: error.message });
+    }
+  }
+
+  /**
+   * Split an order into child orders, e.g. to run it on two machines or part now and part later
+   * @route POST /api/orders/:id/split
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - URL parameters
+   * @param {string} req.params.id - Order ID to split
+   * @param {Object} req.body - Split data
+   * @param {Array<Object>} req.body.splits - { quantity, work_centre_id?, due_date? } per child; quantities must sum to the order's quantity_to_make
+   * @param {Object} req.user - Authenticated user object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   * @returns {Promise<void>} JSON response with the split parent and its child orders
+   */
+  async splitOrder(req, res, next) {
+    try {
+      const orderId = req.params.id;
+      const { splits } = req.body;
+
+      const order = ManufacturingOrder.findById(orderId);
+      if (!order) {
+        return next({
+          status: 404,
+          code: 'NOT_FOUND',
+          message: 'Order not found'
+        });
+      }
+
+      if (order.is_split) {
+        return next({
+          status: 409,
+          code: 'ALREADY_SPLIT',
+          message: 'Order has already been split; merge it before splitting again'
+        });
+      }
+
+      if ([ORDER_STATUSES.COMPLETE, ORDER_STATUSES.CANCELLED].includes(order.status)) {
+        return next({
+          status: 409,
+          code: 'ORDER_CLOSED',
+          message: `Cannot split an order that is ${order.status}`
+        });
+      }
+
+      if (ManufacturingOrder.hasStartedWork(orderId)) {
+        return next({
+          status: 409,
+          code: 'ORDER_STARTED',
+          message: 'Cannot split an order once work has started on it'
+        });
+      }
+
+      const totalQuantity = splits.reduce((sum, split) => sum + split.quantity, 0);
+      if (totalQuantity !== order.quantity_to_make) {
+        return next({
+          status: 400,
+          code: 'QUANTITY_MISMATCH',
+          message: `Split quantities add up to ${totalQuantity} but the order is for ${order.quantity_to_make}`
+        });
+      }
+
+      for (const split of splits) {
+        if (!split.work_centre_id) continue;
+        const workCentre = WorkCentre.findById(split.work_centre_id);
+        if (!workCentre || !workCentre.is_active) {
+          return next({
+            status: 400,
+            code: 'INVALID_WORK_CENTRE',
+            message: `Invalid work centre ID: ${split.work_centre_id}`
+          });
+        }
+      }
+
+      const takenNumber = splits
+        .map((split, index) => `${order.order_number}-${index + 1}`)
+        .find(orderNumber => ManufacturingOrder.orderNumberExists(orderNumber));
+      if (takenNumber) {
+        return next({
+          status: 409,
+          code: 'DUPLICATE_ORDER_NUMBER',
+          message: `Order number ${takenNumber} already exists`
+        });
+      }
+
+      const { parent, children } = ManufacturingOrder.split(orderId, splits, req.user.id);
+
+      AuditLog.create({
+        event_type: 'order_split',
+        order_id: parent.id,
+        from_work_centre_id: order.current_work_centre_id,
+        user_id: req.user.id,
+        event_data: {
+          order_number: parent.order_number,
+          children: children.map(child => ({
+            order_id: child.id,
+            order_number: child.order_number,
+            quantity: child.quantity_to_make,
+            work_centre_id: child.current_work_centre_id
+          })),
+          split_by: req.user.username
+        }
+      });
+      children.forEach(child => AuditLog.create({
+        event_type: 'order_created',
+        order_id: child.id,
+        to_work_centre_id: child.current_work_centre_id,
+        user_id: req.user.id,
+        event_data: {
+          order_number: child.order_number,
+          stock_code: child.stock_code,
+          split_from: parent.order_number,
+          created_by: req.user.username
+        }
+      }));
+
+      websocketService.sendNotificationToPlanningBoard({
+        type: 'order_split',
+        message: `${req.user.username} split ${parent.order_number} into ${children.length} orders`,
+        order_id: parent.id
+      });
+
+      res.status(201).json({
+        message: 'Order split successfully',
+        order: parent,
+        children
+      });
+    } catch (error) {
+      next({ status: 400, code: 'SPLIT_FAILED', message: error.message });
+    }
+  }
+
+  /**
+   * Merge a split order's children back into it
+   * @route POST /api/orders/:id/merge
+   * @param {Object} req - Express request object
+   * @param {Object} req.params - URL parameters
+   * @param {string} req.params.id - Split (parent) order ID
+   * @param {Object} req.user - Authenticated user object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   * @returns {Promise<void>} JSON response with the restored order and the merged child order numbers
+   */
+  async mergeOrder(req, res, next) {
+    try {
+      const orderId = req.params.id;
+
+      const order = ManufacturingOrder.findById(orderId);
+      if (!order) {
+        return next({
+          status: 404,
+          code: 'NOT_FOUND',
+          message: 'Order not found'
+        });
+      }
+
+      if (!order.is_split) {
+        return next({
+          status: 409,
+          code: 'NOT_SPLIT',
+          message: 'Order has not been split'
+        });
+      }
+
+      // Children are deleted by the merge, so none may carry work or be mid-drag
+      for (const child of order.child_orders) {
+        if (isOrderLocked(child.id)) {
+          return next({
+            status: 423,
+            code: 'ORDER_LOCKED',
+            message: `Order ${child.order_number} is currently being moved by another user`
+          });
+        }
+        if (child.status === ORDER_STATUSES.COMPLETE || ManufacturingOrder.hasStartedWork(child.id)) {
+          return next({
+            status: 409,
+            code: 'ORDER_STARTED',
+            message: `Cannot merge once work has started on ${child.order_number}`
+          });
+        }
+      }
+
+      const { order: mergedOrder, merged_orders } = ManufacturingOrder.merge(orderId);
+
+      AuditLog.create({
+        event_type: 'order_merged',
+        order_id: mergedOrder.id,
+        to_work_centre_id: mergedOrder.current_work_centre_id,
+        user_id: req.user.id,
+        event_data: {
+          order_number: mergedOrder.order_number,
+          merged_orders,
+          merged_by: req.user.username
+        }
+      });
+
+      websocketService.sendNotificationToPlanningBoard({
+        type: 'order_merged',
+        message: `${req.user.username} merged ${merged_orders.length} orders back into ${mergedOrder.order_number}`,
+        order_id: mergedOrder.id
+      });
+
+      res.json({
+        message: 'Orders merged successfully',
+        order: mergedOrder,
+        merged_orders
+      });
+    } catch (error) {
+      next({ status: 400, code: 'MERGE_FAILED', message: error.message });
+    }
+  }
+
   /**
    * Import multiple manufacturing orders from CSV or JSON data
    * @route POST /api/orders/import
@@ -485,9 +1223,7 @@ class OrdersController {
             // Create new order
             value.created_by = req.user.id;
             const newOrder = ManufacturingOrder.create(value);
-            if (value.manufacturing_steps && value.manufacturing_steps.length > 0) {
-              ManufacturingStep.createStepsForOrder(newOrder.id, value.manufacturing_steps);
-            }
+            createStepsForNewOrder(newOrder, value.manufacturing_steps);
             AuditLog.create({
               event_type: 'order_created',
               order_id: newOrder.id,
@@ -623,6 +1359,16 @@ class OrdersController {
         });
       }
 
+      const blockedError = checkStepCanStart(order, ManufacturingStep.findById(stepId));
+      if (blockedError) {
+        return next({ status: 409, ...blockedError });
+      }
+
+      const transitionError = moveOrderInProgressForStepWork(order, req.user.id, 'step_started');
+      if (transitionError) {
+        return next({ status: 409, ...transitionError });
+      }
+
       const step = ManufacturingStep.startStep(stepId, req.user.id);
 
       res.json({
@@ -650,11 +1396,26 @@ class OrdersController {
         });
       }
 
+      const blockedError = checkStepCanStart(order, ManufacturingStep.findById(stepId));
+      if (blockedError) {
+        return next({ status: 409, ...blockedError });
+      }
+
+      const transitionError = moveOrderInProgressForStepWork(order, req.user.id, 'step_completed');
+      if (transitionError) {
+        return next({ status: 409, ...transitionError });
+      }
+
       const step = ManufacturingStep.completeStep(stepId, req.user.id, quantity_completed);
+      const autoMove = autoMoveToNextStepWorkCentre(order, step, req.user);
 
       res.json({
         message: 'Step completed successfully',
-        step
+        step,
+        order_moved: autoMove && {
+          from_work_centre_id: autoMove.from_work_centre_id,
+          to_work_centre_id: autoMove.to_work_centre_id
+        }
       });
     } catch (error) {
       // Pass error to centralized error handler
@@ -662,6 +1423,153 @@ class OrdersController {
     }
   }
 
+  // GET /api/orders/:id/steps/:stepId/bookings
+  async getStepBookings(req, res, next) {
+    try {
+      const step = findOrderStep(req.params.id, req.params.stepId);
+      if (!step) {
+        return next({
+          status: 404,
+          code: 'STEP_NOT_FOUND',
+          message: 'Step not found'
+        });
+      }
+
+      res.json({
+        bookings: StepBooking.findByStepId(step.id),
+        totals: StepBooking.getStepTotals(step.id)
+      });
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+
+  // POST /api/orders/:id/steps/:stepId/bookings - Book good/scrap/rework quantities against a running step
+  async createStepBooking(req, res, next) {
+    try {
+      const { id: orderId, stepId } = req.params;
+      const { complete_step: completeStep, ...bookingData } = req.body;
+
+      const order = ManufacturingOrder.findById(orderId);
+      const step = order && findOrderStep(orderId, stepId);
+      if (!step) {
+        return next({
+          status: 404,
+          code: order ? 'STEP_NOT_FOUND' : 'NOT_FOUND',
+          message: order ? 'Step not found' : 'Order not found'
+        });
+      }
+
+      if (CLOSED_STEP_STATUSES.includes(step.status)) {
+        return next({
+          status: 409,
+          code: 'STEP_CLOSED',
+          message: `Cannot book against a ${step.status} step`
+        });
+      }
+
+      const blockedError = checkStepCanStart(order, step);
+      if (blockedError) {
+        return next({ status: 409, ...blockedError });
+      }
+
+      const transitionError = moveOrderInProgressForStepWork(order, req.user.id, 'step_booked');
+      if (transitionError) {
+        return next({ status: 409, ...transitionError });
+      }
+
+      // Booking against a step that has not started yet starts it
+      if (step.status === 'pending') {
+        ManufacturingStep.startStep(step.id, req.user.id);
+      }
+
+      const booking = StepBooking.create(step, bookingData, req.user.id);
+
+      AuditLog.create({
+        event_type: 'step_booking_recorded',
+        order_id: order.id,
+        user_id: req.user.id,
+        event_data: {
+          step_id: step.id,
+          step_number: step.step_number,
+          booking_id: booking.id,
+          good_quantity: booking.good_quantity,
+          scrap_quantity: booking.scrap_quantity,
+          rework_quantity: booking.rework_quantity,
+          reason_code: booking.reason_code
+        }
+      });
+
+      let updatedStep = ManufacturingStep.findById(step.id);
+      let autoMove = null;
+      if (completeStep) {
+        updatedStep = ManufacturingStep.completeStep(step.id, req.user.id, updatedStep.quantity_completed);
+        autoMove = autoMoveToNextStepWorkCentre(order, updatedStep, req.user);
+      }
+
+      res.status(201).json({
+        message: 'Booking recorded successfully',
+        booking,
+        step: updatedStep,
+        order_moved: autoMove && {
+          from_work_centre_id: autoMove.from_work_centre_id,
+          to_work_centre_id: autoMove.to_work_centre_id
+        }
+      });
+    } catch (error) {
+      next({ status: 400, code: 'BOOKING_FAILED', message: error.message });
+    }
+  }
+
+  // DELETE /api/orders/:id/steps/:stepId/bookings/:bookingId - Reverse a mis-booking while the step is running
+  async deleteStepBooking(req, res, next) {
+    try {
+      const { id: orderId, stepId, bookingId } = req.params;
+
+      const step = findOrderStep(orderId, stepId);
+      const booking = step && StepBooking.findById(bookingId);
+      if (!booking || booking.step_id !== step.id) {
+        return next({
+          status: 404,
+          code: 'BOOKING_NOT_FOUND',
+          message: 'Booking not found'
+        });
+      }
+
+      if (CLOSED_STEP_STATUSES.includes(step.status)) {
+        return next({
+          status: 409,
+          code: 'STEP_CLOSED',
+          message: `Cannot change bookings on a ${step.status} step`
+        });
+      }
+
+      StepBooking.delete(booking);
+
+      AuditLog.create({
+        event_type: 'step_booking_deleted',
+        order_id: step.order_id,
+        user_id: req.user.id,
+        event_data: {
+          step_id: step.id,
+          step_number: step.step_number,
+          booking_id: booking.id,
+          good_quantity: booking.good_quantity,
+          scrap_quantity: booking.scrap_quantity,
+          rework_quantity: booking.rework_quantity,
+          deleted_by: req.user.username
+        }
+      });
+
+      res.json({
+        message: 'Booking deleted successfully',
+        step: ManufacturingStep.findById(step.id)
+      });
+    } catch (error) {
+      next({ status: 400, code: 'BOOKING_DELETE_FAILED', message: error.message });
+    }
+  }
+
   // POST /api/orders/reorder
   async reorderOrders(req, res, next) {
     try {
@@ -697,8 +1605,9 @@ class OrdersController {
         });
       }
 
-      // Update positions in database
+      // Update positions in database; the queue before and after is kept so the reorder can be undone
       console.log('🔄 Reordering in backend:', { work_centre_id, order_positions });
+      const previousPositions = ManufacturingOrder.getQueuePositions(work_centre_id);
       const result = ManufacturingOrder.reorderInWorkCentre(work_centre_id, order_positions);
       console.log('✅ Database update result:', result);
 
@@ -711,16 +1620,19 @@ class OrdersController {
       })));
 
       // Log the reorder action
-      AuditLog.create({
-        event_type: 'orders_reordered',
+      const auditEntry = AuditLog.create({
+        event_type: AUDIT_EVENTS.ORDERS_REORDERED,
         to_work_centre_id: work_centre_id,
         user_id: req.user.id,
-        event_data: JSON.stringify({
+        event_data: {
           work_centre_id,
           order_count: order_positions.length,
-          order_positions
-        })
+          order_positions,
+          previous_positions: previousPositions,
+          new_positions: ManufacturingOrder.getQueuePositions(work_centre_id)
+        }
       });
+      BoardAction.record(req.user.id, 'reorder', auditEntry.id);
 
       res.json({
         message: 'Orders reordered successfully',
@@ -777,18 +1689,15 @@ class OrdersController {
             // Create new order
             const newOrder = ManufacturingOrder.create(orderData);
 
-            // Create manufacturing steps if provided
-            if (orderData.manufacturing_steps && orderData.manufacturing_steps.length > 0) {
-              // Map work centre codes to IDs
-              const stepsWithIds = orderData.manufacturing_steps.map(step => {
-                const workCentre = WorkCentre.findAll({ code: step.work_centre_code })[0];
-                return {
-                  ...step,
-                  work_centre_id: workCentre ? workCentre.id : null
-                };
-              });
-              ManufacturingStep.createStepsForOrder(newOrder.id, stepsWithIds);
-            }
+            // Map work centre codes to IDs for any steps provided
+            const stepsWithIds = (orderData.manufacturing_steps || []).map(step => {
+              const workCentre = WorkCentre.findAll({ code: step.work_centre_code })[0];
+              return {
+                ...step,
+                work_centre_id: workCentre ? workCentre.id : null
+              };
+            });
+            createStepsForNewOrder(newOrder, stepsWithIds);
 
             summary.imported++;
           }
@@ -859,11 +1768,21 @@ class OrdersController {
 
       if (quantity_completed !== undefined) updateData.quantity_completed = quantity_completed;
       if (current_operation !== undefined) updateData.current_operation = current_operation;
-      if (status !== undefined) updateData.status = status;
+      if (status !== undefined) {
+        const transitionError = checkTransition(order.status, status, { steps: order.manufacturing_steps });
+        if (transitionError) {
+          return next({ status: 409, ...transitionError });
+        }
+        updateData.status = status;
+      }
 
       if (current_work_centre_code) {
-        const workCentre = WorkCentre.findAll({ code: current_work_centre_code })[0];
+        const workCentre = WorkCentre.findByCode(current_work_centre_code);
         if (workCentre) {
+          const blockedError = checkCanEnterWorkCentre(order, workCentre);
+          if (blockedError) {
+            return next({ status: 409, ...blockedError });
+          }
           updateData.current_work_centre_id = workCentre.id;
         }
       }
@@ -915,7 +1834,7 @@ class OrdersController {
       }
 
       // Find work centre by code
-      const toWorkCentre = WorkCentre.findAll({ code: to_work_centre_code })[0];
+      const toWorkCentre = WorkCentre.findByCode(to_work_centre_code);
       if (!toWorkCentre) {
         return next({
           status: 404,
@@ -924,6 +1843,11 @@ class OrdersController {
         });
       }
 
+      const blockedError = checkCanEnterWorkCentre(order, toWorkCentre);
+      if (blockedError) {
+        return next({ status: 409, ...blockedError });
+      }
+
       const fromWorkCentre = order.current_work_centre_id ?
         WorkCentre.findById(order.current_work_centre_id) : null;
 
@@ -965,6 +1889,11 @@ class OrdersController {
       const oldStatus = order.status;
       console.log(`[DEBUG] Current status: ${oldStatus}, New status: ${status}`);
 
+      const transitionError = checkTransition(oldStatus, status, { steps: order.manufacturing_steps });
+      if (transitionError) {
+        return next({ status: 409, ...transitionError });
+      }
+
       // Update the order status
       console.log(`[DEBUG] About to call ManufacturingOrder.update for order ID ${order.id}`);
       const updatedOrder = ManufacturingOrder.update(order.id, { status });
@@ -1,6 +1,110 @@
 const ManufacturingOrder = require('../models/ManufacturingOrder');
 const WorkCentre = require('../models/WorkCentre');
-const { getAllActiveLocks } = require('../middleware/dragLocks');
+const AuditLog = require('../models/AuditLog');
+const BoardAction = require('../models/BoardAction');
+const SchedulingService = require('../services/schedulingService');
+const websocketService = require('../services/websocketService');
+const { getAllActiveLocks, getLockInfo } = require('../middleware/dragLocks');
+const { checkCanEnterWorkCentre } = require('../utils/orderBlocking');
+const { isReadyToRun } = require('../utils/materialAvailability');
+const { AUDIT_EVENTS } = require('../config/constants');
+
+/**
+ * Refuse to re-sequence orders another user is dragging
+ * @param {Array<Object>} orders - { order_id, order_number } for each order whose position would change
+ * @param {number} userId - User re-sequencing them
+ * @returns {Object|null} ORDER_LOCKED error listing the locked orders, otherwise null
+ */
+function checkOrdersNotLocked(orders, userId) {
+  const lockedOrders = orders
+    .map(order => ({ order, lock: getLockInfo(order.order_id) }))
+    .filter(({ lock }) => lock && lock.userId !== userId)
+    .map(({ order, lock }) => ({ order_id: order.order_id, order_number: order.order_number, locked_by: lock.userName }));
+  if (lockedOrders.length === 0) return null;
+
+  return {
+    status: 423,
+    code: 'ORDER_LOCKED',
+    message: lockedOrders.map(o => `${o.order_number} is currently being moved by ${o.locked_by}`).join('; '),
+    details: { locked_orders: lockedOrders }
+  };
+}
+
+/**
+ * Undo or redo the user's next planning board action (shared by POST /undo and /redo)
+ * @param {string} direction - 'undo' or 'redo'
+ * @note An action that other users have since built on (moved the same order, or changed
+ *       the same queue) is dropped from the history and reported as a conflict.
+ */
+function stepBoardHistory(direction, req, res, next) {
+  const userId = req.user.id;
+  const action = direction === 'undo' ? BoardAction.findLastDone(userId) : BoardAction.findNextUndone(userId);
+  if (!action) {
+    return next({
+      status: 400,
+      code: direction === 'undo' ? 'NOTHING_TO_UNDO' : 'NOTHING_TO_REDO',
+      message: `Nothing to ${direction}`
+    });
+  }
+
+  const conflicts = BoardAction.findConflicts(action, userId);
+  let order = null;
+  let targetWorkCentreId = null;
+
+  if (action.action_type === 'move') {
+    order = ManufacturingOrder.findById(action.order_id);
+    const expectedWorkCentreId = direction === 'undo' ? action.to_work_centre_id : action.from_work_centre_id;
+    targetWorkCentreId = direction === 'undo' ? action.from_work_centre_id : action.to_work_centre_id;
+
+    // Catches changes that leave no order_moved entry, e.g. a published scenario
+    if (conflicts.length === 0 && (!order || order.current_work_centre_id !== expectedWorkCentreId)) {
+      conflicts.push({ order_id: action.order_id, order_number: action.event_data.order_number, moved_by: null });
+    }
+  }
+
+  if (conflicts.length > 0) {
+    BoardAction.discard(action.id);
+
+    const orderNumbers = [...new Set(conflicts.map(c => c.order_number).filter(Boolean))];
+    const movedBy = [...new Set(conflicts.map(c => c.moved_by).filter(Boolean))];
+    return next({
+      status: 409,
+      code: direction === 'undo' ? 'UNDO_CONFLICT' : 'REDO_CONFLICT',
+      message: `${orderNumbers.join(', ') || 'The queue'} has been changed by ${movedBy.join(', ') || 'another user'} since, ` +
+        `so the ${action.action_type} cannot be ${direction === 'undo' ? 'undone' : 'redone'} and was removed from your history`,
+      details: {
+        action: BoardAction.describe(action),
+        conflicts
+      }
+    });
+  }
+
+  if (order) {
+    const lock = getLockInfo(order.id);
+    if (lock && lock.userId !== userId) {
+      return next({
+        status: 423,
+        code: 'ORDER_LOCKED',
+        message: `${order.order_number} is currently being moved by ${lock.userName}`
+      });
+    }
+
+    if (targetWorkCentreId) {
+      const blockedError = checkCanEnterWorkCentre(order, WorkCentre.findById(targetWorkCentreId));
+      if (blockedError) {
+        return next({ status: 409, ...blockedError });
+      }
+    }
+  }
+
+  const updated = BoardAction.apply(action, direction, userId);
+
+  res.json({
+    message: `${action.action_type === 'move' ? 'Move' : 'Reorder'} ${direction === 'undo' ? 'undone' : 'redone'} successfully`,
+    action: BoardAction.describe(updated),
+    history: BoardAction.getSummary(userId)
+  });
+}
 
 /**
  * PlanningController
@@ -16,8 +120,10 @@ class PlanningController {
       // Get all work centres with current job counts
       const workCentres = WorkCentre.findAll(false); // Only active work centres
 
-      // Get all orders with their details
-      const orders = ManufacturingOrder.findAll();
+      // Get all orders with their details; split orders are shown through their children
+      const orders = ManufacturingOrder.attachCompletionProjections(
+        ManufacturingOrder.findAll().filter(order => !order.is_split)
+      );
 
       // Get active drag locks
       const activeLocks = getAllActiveLocks();
@@ -59,6 +165,7 @@ class PlanningController {
           totalActiveOrders: orders.filter(o => ['not_started', 'in_progress'].includes(o.status)).length,
           totalCompletedOrders: orders.filter(o => o.status === 'complete').length,
           totalOverdueOrders: orders.filter(o => o.status === 'overdue').length,
+          totalReadyToRunOrders: orders.filter(o => ['not_started', 'in_progress', 'overdue'].includes(o.status) && isReadyToRun(o)).length,
           activeDragOperations: Object.keys(activeLocks).length
         },
         lastUpdated: new Date().toISOString()
@@ -101,6 +208,11 @@ class PlanningController {
         });
       }
 
+      const blockedError = checkCanEnterWorkCentre(order, toWorkCentre);
+      if (blockedError) {
+        return next({ status: 409, ...blockedError });
+      }
+
       // Move the order
       const updatedOrder = ManufacturingOrder.moveToWorkCentre(
         orderId,
@@ -108,6 +220,7 @@ class PlanningController {
         req.user.id,
         reason || 'planning_board_move'
       );
+      BoardAction.recordMove(orderId, req.user.id);
 
       // Return updated planning board data for the affected work centres
       const fromWorkCentreId = order.workCentreId;
@@ -255,6 +368,147 @@ class PlanningController {
       next({ status: 500, code: 'STATS_FETCH_FAILED', message: error.message });
     }
   }
+
+  // POST /api/planning-board/schedule
+  async scheduleOrders(req, res, next) {
+    try {
+      const { dry_run: dryRun, work_centre_ids: workCentreIds } = req.body;
+
+      if (workCentreIds) {
+        const unknownIds = workCentreIds.filter(id => !WorkCentre.findById(id));
+        if (unknownIds.length > 0) {
+          return next({
+            status: 404,
+            code: 'WORK_CENTRE_NOT_FOUND',
+            message: `Work centre(s) not found: ${unknownIds.join(', ')}`
+          });
+        }
+      }
+
+      const schedule = SchedulingService.buildSchedule({ workCentreIds });
+
+      if (dryRun) {
+        return res.json({
+          message: 'Schedule preview generated',
+          dry_run: true,
+          schedule
+        });
+      }
+
+      const lockedError = checkOrdersNotLocked(schedule.changes, req.user.id);
+      if (lockedError) {
+        return next(lockedError);
+      }
+
+      SchedulingService.applySchedule(schedule, req.user.id);
+
+      websocketService.sendNotificationToPlanningBoard({
+        type: 'board_scheduled',
+        message: `${req.user.username} applied the auto-schedule (${schedule.summary.positions_changed} position changes)`,
+        summary: schedule.summary
+      });
+
+      res.json({
+        message: 'Schedule applied successfully',
+        dry_run: false,
+        schedule
+      });
+    } catch (error) {
+      next({ status: 500, code: 'SCHEDULE_FAILED', message: error.message });
+    }
+  }
+
+  // POST /api/planning-board/work-centres/:id/minimise-changeovers - Resequence one queue (dry run by default)
+  async minimiseChangeovers(req, res, next) {
+    try {
+      const workCentre = WorkCentre.findById(req.params.id);
+      if (!workCentre) {
+        return next({
+          status: 404,
+          code: 'WORK_CENTRE_NOT_FOUND',
+          message: 'Work centre not found'
+        });
+      }
+
+      const proposal = SchedulingService.buildChangeoverSequence(workCentre);
+
+      if (req.body.dry_run || proposal.changes.length === 0) {
+        return res.json({
+          message: proposal.changes.length === 0 ? 'Queue is already in the best order found' : 'Changeover preview generated',
+          dry_run: req.body.dry_run,
+          proposal
+        });
+      }
+
+      const lockedError = checkOrdersNotLocked(proposal.sequence, req.user.id);
+      if (lockedError) {
+        return next(lockedError);
+      }
+
+      // Recorded as a reorder so it can be undone, and so undoing other reorders of the queue sees it
+      const orderPositions = proposal.sequence.map(entry => ({ order_id: entry.order_id, position: entry.proposed_position }));
+      const previousPositions = ManufacturingOrder.getQueuePositions(workCentre.id);
+      ManufacturingOrder.reorderInWorkCentre(workCentre.id, orderPositions);
+
+      const auditEntry = AuditLog.create({
+        event_type: AUDIT_EVENTS.ORDERS_REORDERED,
+        to_work_centre_id: workCentre.id,
+        user_id: req.user.id,
+        event_data: {
+          work_centre_id: workCentre.id,
+          order_count: orderPositions.length,
+          order_positions: orderPositions,
+          previous_positions: previousPositions,
+          new_positions: ManufacturingOrder.getQueuePositions(workCentre.id),
+          reason: 'minimise_changeovers',
+          ...proposal.summary
+        }
+      });
+      BoardAction.record(req.user.id, 'reorder', auditEntry.id);
+
+      websocketService.sendNotificationToPlanningBoard({
+        type: 'changeovers_minimised',
+        message: `${req.user.username} resequenced ${workCentre.name}, saving ${proposal.summary.setup_minutes_saved} minutes of setup`,
+        work_centre_id: workCentre.id,
+        summary: proposal.summary
+      });
+
+      res.json({
+        message: 'Queue resequenced successfully',
+        dry_run: false,
+        proposal
+      });
+    } catch (error) {
+      next({ status: 500, code: 'RESEQUENCE_FAILED', message: error.message });
+    }
+  }
+
+  // GET /api/planning-board/history - What the user can undo and redo next
+  async getHistory(req, res, next) {
+    try {
+      res.json(BoardAction.getSummary(req.user.id));
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+
+  // POST /api/planning-board/undo - Reverse the user's last move or reorder
+  async undoAction(req, res, next) {
+    try {
+      stepBoardHistory('undo', req, res, next);
+    } catch (error) {
+      next({ status: 500, code: 'UNDO_FAILED', message: error.message });
+    }
+  }
+
+  // POST /api/planning-board/redo - Reapply the user's last undone move or reorder
+  async redoAction(req, res, next) {
+    try {
+      stepBoardHistory('redo', req, res, next);
+    } catch (error) {
+      next({ status: 500, code: 'REDO_FAILED', message: error.message });
+    }
+  }
 }
 
 module.exports = new PlanningController();
\ No newline at end of file
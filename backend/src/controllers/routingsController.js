@@ -0,0 +1,200 @@
+const RoutingTemplate = require('../models/RoutingTemplate');
+const WorkCentre = require('../models/WorkCentre');
+const AuditLog = require('../models/AuditLog');
+
+// Find the first operation whose work centre does not exist
+function findInvalidOperation(operations) {
+  return operations.find(operation => !WorkCentre.findById(operation.work_centre_id)) || null;
+}
+
+/**
+ * RoutingsController
+ * ==================
+ *
+ * Handles routing templates keyed by stock code. Every save creates a new
+ * version; orders keep the version their steps were generated from.
+ * Now uses next(err) for error propagation to the centralized error handler.
+ */
+class RoutingsController {
+  // GET /api/routings
+  async getAllRoutings(req, res, next) {
+    try {
+      const routings = RoutingTemplate.findAll(req.query);
+      res.json({ routings, count: routings.length });
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+
+  // GET /api/routings/:stockCode
+  async getRouting(req, res, next) {
+    try {
+      const { stockCode } = req.params;
+      const routing = RoutingTemplate.findCurrent(stockCode);
+
+      if (!routing) {
+        return next({
+          status: 404,
+          code: 'ROUTING_NOT_FOUND',
+          message: 'No active routing for this stock code'
+        });
+      }
+
+      res.json({
+        routing,
+        versions: RoutingTemplate.getVersions(stockCode)
+      });
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+
+  // GET /api/routings/:stockCode/versions/:version
+  async getRoutingVersion(req, res, next) {
+    try {
+      const routing = RoutingTemplate.findVersion(req.params.stockCode, req.params.version);
+
+      if (!routing) {
+        return next({
+          status: 404,
+          code: 'ROUTING_NOT_FOUND',
+          message: 'Routing version not found'
+        });
+      }
+
+      res.json({ routing });
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+
+  // POST /api/routings
+  async createRouting(req, res, next) {
+    try {
+      const { stock_code: stockCode, ...templateData } = req.body;
+
+      if (RoutingTemplate.findCurrent(stockCode)) {
+        return next({
+          status: 409,
+          code: 'DUPLICATE_ROUTING',
+          message: 'Stock code already has a routing; save a new version instead'
+        });
+      }
+
+      const invalidOperation = findInvalidOperation(templateData.operations);
+      if (invalidOperation) {
+        return next({
+          status: 400,
+          code: 'INVALID_WORK_CENTRE',
+          message: `Invalid work centre ID for step ${invalidOperation.step_number}`
+        });
+      }
+
+      const routing = RoutingTemplate.createVersion(stockCode, templateData, req.user.id);
+
+      AuditLog.create({
+        event_type: 'routing_created',
+        user_id: req.user.id,
+        event_data: {
+          routing_template_id: routing.id,
+          stock_code: routing.stock_code,
+          version: routing.version,
+          operation_count: routing.operations.length,
+          created_by: req.user.username
+        }
+      });
+
+      res.status(201).json({
+        message: 'Routing created successfully',
+        routing
+      });
+    } catch (error) {
+      next({ status: 400, code: 'CREATION_FAILED', message: error.message });
+    }
+  }
+
+  // PUT /api/routings/:stockCode - Save a new version
+  async updateRouting(req, res, next) {
+    try {
+      const { stockCode } = req.params;
+      const current = RoutingTemplate.findCurrent(stockCode);
+
+      if (!current) {
+        return next({
+          status: 404,
+          code: 'ROUTING_NOT_FOUND',
+          message: 'No active routing for this stock code'
+        });
+      }
+
+      const invalidOperation = findInvalidOperation(req.body.operations);
+      if (invalidOperation) {
+        return next({
+          status: 400,
+          code: 'INVALID_WORK_CENTRE',
+          message: `Invalid work centre ID for step ${invalidOperation.step_number}`
+        });
+      }
+
+      const routing = RoutingTemplate.createVersion(stockCode, {
+        description: current.description,
+        ...req.body
+      }, req.user.id);
+
+      AuditLog.create({
+        event_type: 'routing_updated',
+        user_id: req.user.id,
+        event_data: {
+          routing_template_id: routing.id,
+          stock_code: routing.stock_code,
+          previous_version: current.version,
+          version: routing.version,
+          operation_count: routing.operations.length,
+          updated_by: req.user.username
+        }
+      });
+
+      res.json({
+        message: 'Routing updated successfully',
+        routing
+      });
+    } catch (error) {
+      next({ status: 400, code: 'UPDATE_FAILED', message: error.message });
+    }
+  }
+
+  // DELETE /api/routings/:stockCode - Retire the routing (history and existing orders are kept)
+  async deleteRouting(req, res, next) {
+    try {
+      const { stockCode } = req.params;
+      const current = RoutingTemplate.findCurrent(stockCode);
+
+      if (!current) {
+        return next({
+          status: 404,
+          code: 'ROUTING_NOT_FOUND',
+          message: 'No active routing for this stock code'
+        });
+      }
+
+      RoutingTemplate.retire(stockCode);
+
+      AuditLog.create({
+        event_type: 'routing_retired',
+        user_id: req.user.id,
+        event_data: {
+          routing_template_id: current.id,
+          stock_code: current.stock_code,
+          version: current.version,
+          retired_by: req.user.username
+        }
+      });
+
+      res.json({ message: 'Routing retired successfully' });
+    } catch (error) {
+      next({ status: 500, code: 'DELETE_FAILED', message: error.message });
+    }
+  }
+}
+
+module.exports = new RoutingsController();
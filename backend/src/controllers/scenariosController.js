@@ -0,0 +1,293 @@
+const PlanningScenario = require('../models/PlanningScenario');
+const ManufacturingOrder = require('../models/ManufacturingOrder');
+const WorkCentre = require('../models/WorkCentre');
+const AuditLog = require('../models/AuditLog');
+const SchedulingService = require('../services/schedulingService');
+const websocketService = require('../services/websocketService');
+const { checkCanEnterWorkCentre } = require('../utils/orderBlocking');
+
+// Load the scenario named in the URL or report it missing
+function findScenario(req, next) {
+  const scenario = PlanningScenario.findById(req.params.id);
+  if (!scenario) {
+    next({
+      status: 404,
+      code: 'SCENARIO_NOT_FOUND',
+      message: 'Scenario not found'
+    });
+  }
+  return scenario;
+}
+
+/**
+ * ScenariosController
+ * ===================
+ *
+ * Handles what-if scenarios for the planning board: snapshot the live board,
+ * move and reorder orders inside the snapshot, compare KPIs against live and
+ * publish the result back to live (or discard it).
+ */
+class ScenariosController {
+  // GET /api/scenarios
+  async getAllScenarios(req, res, next) {
+    try {
+      const scenarios = PlanningScenario.findAll();
+      res.json({ scenarios, count: scenarios.length });
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+
+  // GET /api/scenarios/:id - Scenario with every order's scenario and live assignment
+  async getScenario(req, res, next) {
+    try {
+      const scenario = findScenario(req, next);
+      if (!scenario) return;
+
+      res.json({
+        scenario,
+        orders: PlanningScenario.getOrders(scenario.id)
+      });
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+
+  // POST /api/scenarios - Snapshot the live board
+  async createScenario(req, res, next) {
+    try {
+      if (PlanningScenario.findByName(req.body.name)) {
+        return next({
+          status: 409,
+          code: 'DUPLICATE_NAME',
+          message: 'Scenario name already exists'
+        });
+      }
+
+      const scenario = PlanningScenario.create(req.body, req.user.id);
+
+      AuditLog.create({
+        event_type: 'scenario_created',
+        user_id: req.user.id,
+        event_data: {
+          scenario_id: scenario.id,
+          name: scenario.name,
+          order_count: scenario.order_count,
+          created_by: req.user.username
+        }
+      });
+
+      res.status(201).json({
+        message: 'Scenario created successfully',
+        scenario
+      });
+    } catch (error) {
+      next({ status: 400, code: 'CREATION_FAILED', message: error.message });
+    }
+  }
+
+  // POST /api/scenarios/:id/move - Same checks as PUT /api/planning-board/move, applied to the scenario
+  async moveOrder(req, res, next) {
+    try {
+      const scenario = findScenario(req, next);
+      if (!scenario) return;
+
+      const { orderId, toWorkCentreId } = req.body;
+
+      const order = ManufacturingOrder.findById(orderId);
+      if (!order) {
+        return next({
+          status: 404,
+          code: 'ORDER_NOT_FOUND',
+          message: 'Order not found'
+        });
+      }
+
+      const scenarioOrder = PlanningScenario.findOrder(scenario.id, orderId);
+      if (!scenarioOrder) {
+        return next({
+          status: 409,
+          code: 'ORDER_NOT_IN_SCENARIO',
+          message: `${order.order_number} was added after this scenario was taken`
+        });
+      }
+
+      const toWorkCentre = WorkCentre.findById(toWorkCentreId);
+      if (!toWorkCentre) {
+        return next({
+          status: 404,
+          code: 'WORK_CENTRE_NOT_FOUND',
+          message: 'Destination work centre not found'
+        });
+      }
+
+      // Judge the move from where the order sits in the scenario, not on live
+      const blockedError = checkCanEnterWorkCentre(
+        { ...order, current_work_centre_id: scenarioOrder.work_centre_id },
+        toWorkCentre
+      );
+      if (blockedError) {
+        return next({ status: 409, ...blockedError });
+      }
+
+      const moved = PlanningScenario.moveOrder(scenario.id, orderId, toWorkCentreId);
+
+      res.json({
+        message: 'Order moved in scenario',
+        scenario_order: moved,
+        moveDetails: {
+          orderId,
+          fromWorkCentreId: scenarioOrder.work_centre_id,
+          toWorkCentreId,
+          reason: req.body.reason || 'scenario_move'
+        }
+      });
+    } catch (error) {
+      next({ status: 500, code: 'ORDER_MOVE_FAILED', message: error.message });
+    }
+  }
+
+  // POST /api/scenarios/:id/reorder - Same rules as POST /api/orders/reorder, applied to the scenario
+  async reorderOrders(req, res, next) {
+    try {
+      const scenario = findScenario(req, next);
+      if (!scenario) return;
+
+      const { work_centre_id: workCentreId, order_positions: orderPositions } = req.body;
+
+      if (!WorkCentre.findById(workCentreId)) {
+        return next({
+          status: 404,
+          code: 'WORK_CENTRE_NOT_FOUND',
+          message: 'Work centre not found'
+        });
+      }
+
+      const result = PlanningScenario.reorderInWorkCentre(scenario.id, workCentreId, orderPositions);
+
+      res.json({
+        message: 'Orders reordered in scenario',
+        work_centre_id: workCentreId,
+        updated_count: result.changes
+      });
+    } catch (error) {
+      next({ status: 400, code: 'REORDER_FAILED', message: error.message });
+    }
+  }
+
+  // GET /api/scenarios/:id/compare - KPIs for live and the scenario side by side
+  async compareScenario(req, res, next) {
+    try {
+      const scenario = findScenario(req, next);
+      if (!scenario) return;
+
+      const startTime = new Date();
+      const live = SchedulingService.evaluateBoard(null, { startTime });
+      const proposed = SchedulingService.evaluateBoard(PlanningScenario.getAssignments(scenario.id), { startTime });
+      const liveByWorkCentre = new Map(live.work_centres.map(wc => [wc.work_centre_id, wc]));
+
+      res.json({
+        scenario,
+        generated_at: startTime.toISOString(),
+        live,
+        scenario_kpis: proposed,
+        delta: {
+          late_orders: proposed.late_orders - live.late_orders,
+          unassigned_orders: proposed.unassigned_orders - live.unassigned_orders,
+          work_centres: proposed.work_centres.map(wc => ({
+            work_centre_id: wc.work_centre_id,
+            queue_depth: wc.queue_depth - liveByWorkCentre.get(wc.work_centre_id).queue_depth,
+            utilisation_percent: wc.utilisation_percent - liveByWorkCentre.get(wc.work_centre_id).utilisation_percent
+          }))
+        }
+      });
+    } catch (error) {
+      next({ status: 500, code: 'COMPARE_FAILED', message: error.message });
+    }
+  }
+
+  // POST /api/scenarios/:id/publish - Write the scenario to the live board in one transaction
+  async publishScenario(req, res, next) {
+    try {
+      const scenario = findScenario(req, next);
+      if (!scenario) return;
+
+      const changes = PlanningScenario.getChanges(scenario.id);
+      if (changes.length === 0) {
+        return next({
+          status: 400,
+          code: 'NO_CHANGES',
+          message: 'Scenario has no changes to publish'
+        });
+      }
+
+      const conflicts = changes.filter(change => change.live_changed);
+      if (conflicts.length > 0 && !req.body.force) {
+        return next({
+          status: 409,
+          code: 'SCENARIO_CONFLICT',
+          message: `${conflicts.length} order(s) have moved on the live board since this scenario was taken`,
+          details: {
+            conflicts: conflicts.map(({ order_id, order_number, live_work_centre_id, live_position, to_work_centre_id, to_position }) => ({
+              order_id, order_number, live_work_centre_id, live_position, to_work_centre_id, to_position
+            }))
+          }
+        });
+      }
+
+      // Dependencies may have changed since the moves were made in the scenario
+      for (const change of changes) {
+        if (!change.to_work_centre_id || change.to_work_centre_id === change.live_work_centre_id) continue;
+
+        const order = ManufacturingOrder.findById(change.order_id);
+        const blockedError = checkCanEnterWorkCentre(order, WorkCentre.findById(change.to_work_centre_id));
+        if (blockedError) {
+          return next({ status: 409, ...blockedError });
+        }
+      }
+
+      const published = PlanningScenario.publish(scenario.id, req.user.id);
+
+      websocketService.sendNotificationToPlanningBoard({
+        type: 'scenario_published',
+        message: `${req.user.username} published scenario "${scenario.name}" (${published.changes.length} orders moved)`,
+        scenario_id: scenario.id
+      });
+
+      res.json({
+        message: 'Scenario published successfully',
+        scenario: published.scenario,
+        changes: published.changes
+      });
+    } catch (error) {
+      next({ status: 500, code: 'PUBLISH_FAILED', message: error.message });
+    }
+  }
+
+  // DELETE /api/scenarios/:id - Discard the scenario
+  async deleteScenario(req, res, next) {
+    try {
+      const scenario = findScenario(req, next);
+      if (!scenario) return;
+
+      PlanningScenario.delete(scenario.id);
+
+      AuditLog.create({
+        event_type: 'scenario_discarded',
+        user_id: req.user.id,
+        event_data: {
+          scenario_id: scenario.id,
+          name: scenario.name,
+          changed_count: scenario.changed_count,
+          discarded_by: req.user.username
+        }
+      });
+
+      res.json({ message: 'Scenario discarded successfully' });
+    } catch (error) {
+      next({ status: 500, code: 'DELETE_FAILED', message: error.message });
+    }
+  }
+}
+
+module.exports = new ScenariosController();
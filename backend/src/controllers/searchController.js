@@ -0,0 +1,24 @@
+const OrderSearch = require('../models/OrderSearch');
+
+/**
+ * SearchController
+ * ================
+ *
+ * Handles global full-text search: orders ranked by how well their number,
+ * stock code, description, step operations, characteristics and booking
+ * notes match, with the matched text highlighted.
+ */
+class SearchController {
+  // GET /api/search?q=...&limit=...
+  async search(req, res, next) {
+    try {
+      const { q, limit } = req.query;
+      const results = OrderSearch.search(q, { limit });
+      res.json({ query: q, results, count: results.length });
+    } catch (error) {
+      next({ status: 500, code: 'SEARCH_FAILED', message: error.message });
+    }
+  }
+}
+
+module.exports = new SearchController();
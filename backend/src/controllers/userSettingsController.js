@@ -1,10 +1,12 @@
 const UserSettings = require('../models/UserSettings');
+const SavedView = require('../models/SavedView');
 
 /**
  * UserSettingsController
  * ======================
  *
- * Handles all endpoints related to user settings and preferences.
+ * Handles all endpoints related to user settings and preferences, including
+ * saved views of the orders table and planning board.
  */
 class UserSettingsController {
   // GET /api/users/:userId/settings
@@ -214,6 +216,105 @@ class UserSettingsController {
     }
   }
 
+  // GET /api/settings/views?page=...
+  async getSavedViews(req, res, next) {
+    try {
+      const views = SavedView.findVisibleTo(req.user, req.query.page);
+      res.json({ views, count: views.length });
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+
+  // GET /api/settings/views/:viewId
+  async getSavedView(req, res, next) {
+    try {
+      const view = SavedView.findById(req.params.viewId);
+
+      // Views not shared with the user are reported as missing; admins can open any view
+      if (!view || !SavedView.isVisibleTo(view, req.user) && req.user.role !== 'admin') {
+        return next({
+          status: 404,
+          code: 'VIEW_NOT_FOUND',
+          message: 'Saved view not found'
+        });
+      }
+
+      res.json({ view });
+    } catch (error) {
+      next({ status: 500, code: 'FETCH_FAILED', message: error.message });
+    }
+  }
+
+  // POST /api/settings/views
+  async createSavedView(req, res, next) {
+    try {
+      const view = SavedView.create(req.user.id, req.body);
+      res.status(201).json({ message: 'View saved successfully', view });
+    } catch (error) {
+      next({ status: 500, code: 'CREATE_FAILED', message: error.message });
+    }
+  }
+
+  // PUT /api/settings/views/:viewId
+  async updateSavedView(req, res, next) {
+    try {
+      const { viewId } = req.params;
+      const view = SavedView.findById(viewId);
+
+      if (!view || !SavedView.isVisibleTo(view, req.user) && req.user.role !== 'admin') {
+        return next({
+          status: 404,
+          code: 'VIEW_NOT_FOUND',
+          message: 'Saved view not found'
+        });
+      }
+
+      // Shared views can be used by others but only changed by their owner (or an admin)
+      if (view.owner_id !== req.user.id && req.user.role !== 'admin') {
+        return next({
+          status: 403,
+          code: 'ACCESS_DENIED',
+          message: 'Only the owner can change this view'
+        });
+      }
+
+      const updatedView = SavedView.update(viewId, req.body);
+      res.json({ message: 'View updated successfully', view: updatedView });
+    } catch (error) {
+      next({ status: 500, code: 'UPDATE_FAILED', message: error.message });
+    }
+  }
+
+  // DELETE /api/settings/views/:viewId
+  async deleteSavedView(req, res, next) {
+    try {
+      const { viewId } = req.params;
+      const view = SavedView.findById(viewId);
+
+      if (!view || !SavedView.isVisibleTo(view, req.user) && req.user.role !== 'admin') {
+        return next({
+          status: 404,
+          code: 'VIEW_NOT_FOUND',
+          message: 'Saved view not found'
+        });
+      }
+
+      if (view.owner_id !== req.user.id && req.user.role !== 'admin') {
+        return next({
+          status: 403,
+          code: 'ACCESS_DENIED',
+          message: 'Only the owner can delete this view'
+        });
+      }
+
+      SavedView.delete(viewId);
+      res.status(204).send();
+    } catch (error) {
+      next({ status: 500, code: 'DELETE_FAILED', message: error.message });
+    }
+  }
+
   // GET /api/settings/defaults
   async getDefaultSettings(req, res, next) {
     try {
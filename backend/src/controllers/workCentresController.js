@@ -1,5 +1,16 @@
 const WorkCentre = require('../models/WorkCentre');
 const AuditLog = require('../models/AuditLog');
+const { setVersionHeader, matchesExpectedVersion } = require('../middleware/concurrency');
+
+// 409 for an edit made against an old version, with the work centre as it is now
+function workCentreVersionConflict(workCentre) {
+  return {
+    status: 409,
+    code: 'VERSION_CONFLICT',
+    message: 'This work centre has been changed by someone else since you opened it',
+    details: { current_version: workCentre.version, work_centre: workCentre }
+  };
+}
 
 /**
  * WorkCentresController
@@ -33,6 +44,7 @@ class WorkCentresController {
         });
       }
 
+      setVersionHeader(res, workCentre);
       res.json({
         work_centre: workCentre
       });
@@ -78,7 +90,7 @@ class WorkCentresController {
     }
   }
 
-  // PUT /api/work-centres/:id
+  // PUT /api/work-centres/:id - Needs If-Match with the version being edited
   async updateWorkCentre(req, res, next) {
     try {
       const workCentreId = req.params.id;
@@ -93,6 +105,10 @@ class WorkCentresController {
         });
       }
 
+      if (!matchesExpectedVersion(req, existingWorkCentre)) {
+        return next(workCentreVersionConflict(existingWorkCentre));
+      }
+
       // Check if code conflicts with another work centre
       if (updates.code && WorkCentre.codeExists(updates.code, workCentreId)) {
         return next({
@@ -102,7 +118,7 @@ class WorkCentresController {
         });
       }
 
-      const workCentre = WorkCentre.update(workCentreId, updates);
+      const workCentre = WorkCentre.update(workCentreId, updates, { expectedVersion: req.expectedVersion });
 
       // Log the update
       AuditLog.create({
@@ -117,11 +133,16 @@ class WorkCentresController {
         }
       });
 
+      setVersionHeader(res, workCentre);
       res.json({
         message: 'Work centre updated successfully',
         work_centre: workCentre
       });
     } catch (error) {
+      // Changed by another server process between the read above and the write
+      if (error.code === 'VERSION_CONFLICT') {
+        return next(workCentreVersionConflict(WorkCentre.findById(req.params.id)));
+      }
       next({ status: 400, code: 'UPDATE_FAILED', message: error.message });
     }
   }
@@ -116,7 +116,8 @@ const validateApiKey = async (req, res, next) => {
       });
     }
 
-    // Attach key details to request for use in controllers
+    // Attach key details (without the hash) to request for use in controllers
+    delete keyDetails.key;
     req.apiKey = keyDetails;
 
     // Apply rate limiting
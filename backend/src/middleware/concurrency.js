@@ -0,0 +1,73 @@
+/**
+ * Optimistic Concurrency Middleware
+ * =================================
+ *
+ * Orders and work centres carry a version that goes up whenever someone edits
+ * them (see migration 023). Reads return it in the row and, for a single row,
+ * as the ETag header; updates must send it back in If-Match, and are refused
+ * with a 409 and the current row if it has changed since it was read.
+ *
+ *   GET /api/orders/12            ->  ETag: "7"
+ *   PUT /api/orders/12            <-  If-Match: "7"
+ *
+ * If-Match: * updates whatever the current version is.
+ */
+
+// Version as an ETag header value
+const toETag = version => `"${version}"`;
+
+/**
+ * Read the version out of an If-Match header
+ * @param {string} header - If-Match header value
+ * @returns {number|'*'|null} Version, '*' for any version, or null if the header is not one of our ETags
+ */
+const parseIfMatch = (header) => {
+  const value = header.trim();
+  if (value === '*') {
+    return '*';
+  }
+
+  const match = value.match(/^(?:W\/)?"(\d+)"$/);
+  return match ? parseInt(match[1]) : null;
+};
+
+// Middleware requiring If-Match; sets req.expectedVersion (undefined for If-Match: *)
+const requireIfMatch = (req, res, next) => {
+  const header = req.get('If-Match');
+
+  if (!header) {
+    return res.status(428).json({
+      error: 'Send the version you are editing in the If-Match header (the ETag or version from when you read it)',
+      code: 'PRECONDITION_REQUIRED'
+    });
+  }
+
+  const version = parseIfMatch(header);
+  if (version === null) {
+    return res.status(400).json({
+      error: 'If-Match must be a version ETag such as "3", or *',
+      code: 'INVALID_IF_MATCH'
+    });
+  }
+
+  req.expectedVersion = version === '*' ? undefined : version;
+  next();
+};
+
+// Set the ETag header for a row that has a version
+const setVersionHeader = (res, row) => {
+  if (row && row.version !== undefined) {
+    res.set('ETag', toETag(row.version));
+  }
+};
+
+// Whether a row is still at the version the request expects
+const matchesExpectedVersion = (req, row) => req.expectedVersion === undefined || row.version === req.expectedVersion;
+
+module.exports = {
+  requireIfMatch,
+  setVersionHeader,
+  matchesExpectedVersion,
+  parseIfMatch,
+  toETag
+};
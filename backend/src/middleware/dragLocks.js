@@ -1,78 +1,64 @@
-// In-memory drag lock management for conflict prevention
-const activeDragOperations = new Map();
-
-// Auto-cleanup interval (run every 30 seconds)
-setInterval(() => {
-  const now = Date.now();
-  const LOCK_TIMEOUT = 30000; // 30 seconds
-
-  for (const [orderId, lock] of activeDragOperations.entries()) {
-    if (now - lock.startTime > LOCK_TIMEOUT) {
-      console.log(`Auto-releasing expired drag lock for order ${orderId}`);
-      activeDragOperations.delete(orderId);
-    }
-  }
-}, 30000);
-
-// Create a drag lock for an order
+// Drag lock helpers and middleware for conflict prevention; locks are kept by services/dragLockService.js
+const dragLockService = require('../services/dragLockService');
+
+// Lock as the rest of the API describes it
+const describeLock = (lock) => ({
+  userId: lock.userId,
+  userName: lock.userName,
+  orderNumber: lock.orderNumber,
+  startTime: lock.startTime,
+  expiresAt: lock.expiresAt
+});
+
+// Create or refresh a user's drag lock on an order; returns null if another user holds it
 const createDragLock = (orderId, userId, userName, orderNumber) => {
-  const lockData = {
-    userId,
-    userName,
-    orderNumber,
-    startTime: Date.now()
-  };
-
-  activeDragOperations.set(orderId.toString(), lockData);
-
-  console.log(`Drag lock created for order ${orderId} by user ${userName}`);
-
-  // Auto-expire after 30 seconds
-  setTimeout(() => {
-    if (activeDragOperations.has(orderId.toString())) {
-      console.log(`Auto-expiring drag lock for order ${orderId}`);
-      activeDragOperations.delete(orderId.toString());
-    }
-  }, 30000);
-
-  return lockData;
+  const { locked, locks } = dragLockService.lock([{ id: orderId, order_number: orderNumber }], { id: userId, username: userName });
+  return locked ? describeLock(locks[0]) : null;
 };
 
-// Release a drag lock
-const releaseDragLock = (orderId, userId) => {
-  const orderIdStr = orderId.toString();
-  const lock = activeDragOperations.get(orderIdStr);
+// Release a drag lock; false if the order isn't locked or the user doesn't own the lock
+const releaseDragLock = (orderId, userId, details) => dragLockService.release([orderId], userId, details).length > 0;
 
-  if (!lock) {
-    return false; // Lock doesn't exist
+// Lock a set of orders together: either every order is locked for the user or none are
+const createDragLocks = (orders, userId, userName) => {
+  const { locked, locks } = dragLockService.lock(orders, { id: userId, username: userName });
+  if (locked) {
+    return { locked: true, conflicts: [] };
   }
 
-  if (lock.userId !== userId) {
-    return false; // User doesn't own the lock
-  }
+  const conflicts = locks.map(lock => ({ order_id: lock.orderId, order_number: lock.orderNumber, locked_by: lock.userName }));
+  return { locked: false, conflicts };
+};
 
-  activeDragOperations.delete(orderIdStr);
-  console.log(`Drag lock released for order ${orderId} by user ${lock.userName}`);
+// Release the user's locks on a set of orders; returns the IDs that were released
+const releaseDragLocks = (orderIds, userId, details) => {
+  const released = dragLockService.release(orderIds, userId, details).map(lock => lock.orderId);
+  return orderIds.filter(orderId => released.includes(Number(orderId)));
+};
 
-  return true;
+// Renew the user's locks on a set of orders; returns the IDs that were renewed
+const renewDragLocks = (orderIds, userId) => {
+  const renewed = dragLockService.renew(orderIds, userId).map(lock => lock.orderId);
+  return orderIds.filter(orderId => renewed.includes(Number(orderId)));
 };
 
 // Check if an order is locked
-const isOrderLocked = (orderId) => activeDragOperations.has(orderId.toString());
+const isOrderLocked = (orderId) => dragLockService.get(orderId) !== null;
 
 // Get lock information for an order
-const getLockInfo = (orderId) => activeDragOperations.get(orderId.toString()) || null;
+const getLockInfo = (orderId) => {
+  const lock = dragLockService.get(orderId);
+  return lock ? describeLock(lock) : null;
+};
 
-// Get all active locks
+// Get all active locks, by order ID
 const getAllActiveLocks = () => {
+  const now = Date.now();
   const locks = {};
-  for (const [orderId, lock] of activeDragOperations.entries()) {
-    locks[orderId] = {
-      userId: lock.userId,
-      userName: lock.userName,
-      orderNumber: lock.orderNumber,
-      startTime: lock.startTime,
-      timeRemaining: Math.max(0, 30000 - (Date.now() - lock.startTime))
+  for (const lock of dragLockService.getAll()) {
+    locks[lock.orderId] = {
+      ...describeLock(lock),
+      timeRemaining: Math.max(0, lock.expiresAt - now)
     };
   }
   return locks;
@@ -113,18 +99,7 @@ const createLockForRequest = (req, res, next) => {
     });
   }
 
-  // Check if already locked by another user
-  const existingLock = getLockInfo(orderId);
-  if (existingLock && existingLock.userId !== req.user.id) {
-    return res.status(423).json({
-      error: 'Order currently being moved by another user',
-      code: 'ORDER_LOCKED',
-      lockedBy: existingLock.userName,
-      orderNumber: existingLock.orderNumber
-    });
-  }
-
-  // Create or refresh lock for current user
+  // Create or refresh lock for current user, unless another user holds it
   const lock = createDragLock(
     orderId,
     req.user.id,
@@ -132,6 +107,16 @@ const createLockForRequest = (req, res, next) => {
     orderNumber
   );
 
+  if (!lock) {
+    const existingLock = getLockInfo(orderId);
+    return res.status(423).json({
+      error: 'Order currently being moved by another user',
+      code: 'ORDER_LOCKED',
+      lockedBy: existingLock?.userName,
+      orderNumber: existingLock?.orderNumber
+    });
+  }
+
   req.dragLock = lock;
   next();
 };
@@ -139,11 +124,12 @@ const createLockForRequest = (req, res, next) => {
 module.exports = {
   createDragLock,
   releaseDragLock,
+  createDragLocks,
+  releaseDragLocks,
+  renewDragLocks,
   isOrderLocked,
   getLockInfo,
   getAllActiveLocks,
   checkDragLock,
-  createLockForRequest,
-  // Export the Map for testing/debugging
-  activeDragOperations
-};
\ No newline at end of file
+  createLockForRequest
+};
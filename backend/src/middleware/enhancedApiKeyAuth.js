@@ -7,7 +7,9 @@
  */
 
 const SecurityService = require('../services/securityService');
-const logger = require('../utils/logger');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('enhancedApiKeyAuth');
 
 /**
  * Enhanced API key validation middleware using unified security service
@@ -188,11 +190,11 @@ const validateApiKeyHeaders = (req, res, next) => {
   const apiKey = req.headers['x-api-key'];
   const systemId = req.headers['x-system-id'];
 
-  // Basic format validation
+  // Basic format validation; a malformed key cannot be one we issued
   if (apiKey && (!apiKey.match(/^[A-Za-z0-9\-_]{32,}$/) || apiKey.length > 128)) {
-    return res.status(400).json({
-      error: 'Invalid API key format. Must be 32-128 characters, alphanumeric with hyphens and underscores only.',
-      code: 'INVALID_API_KEY_FORMAT'
+    return res.status(401).json({
+      error: 'Invalid API key',
+      code: 'INVALID_API_KEY'
     });
   }
 
@@ -6,6 +6,10 @@ const ROLES = {
       'users:read', 'users:write', 'users:delete',
       'work_centres:read', 'work_centres:write', 'work_centres:delete',
       'orders:read', 'orders:write', 'orders:delete', 'orders:move',
+      'routings:read', 'routings:write', 'routings:delete',
+      'materials:read', 'materials:write',
+      'changeovers:write',
+      'scenarios:read', 'scenarios:write',
       'analytics:read', 'settings:write', 'audit:read'
     ]
   },
@@ -14,6 +18,10 @@ const ROLES = {
     permissions: [
       'work_centres:read',
       'orders:read', 'orders:write', 'orders:move',
+      'routings:read', 'routings:write',
+      'materials:read', 'materials:write',
+      'changeovers:write',
+      'scenarios:read', 'scenarios:write',
       'analytics:read'
     ]
   },
@@ -22,6 +30,9 @@ const ROLES = {
     permissions: [
       'work_centres:read',
       'orders:read',
+      'routings:read',
+      'materials:read',
+      'scenarios:read',
       'analytics:read'
     ]
   }
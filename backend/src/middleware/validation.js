@@ -1,5 +1,6 @@
 const Joi = require('joi');
 const { VALID_STATUSES } = require('../utils/orderStatus');
+const { BACKUPS, ORDERS, ORDER_ARCHIVE, ORDER_PRIORITIES, SAVED_VIEWS, USER_ROLES } = require('../config/constants');
 
 /**
  * Validation Middleware
@@ -27,6 +28,48 @@ const { VALID_STATUSES } = require('../utils/orderStatus');
 // Define step statuses separately as they are different from order statuses
 const STEP_STATUSES = ['pending', 'in_progress', 'complete', 'skipped'];
 
+// Order list sort, e.g. "due_date:asc,priority:desc"; converted to [{ field, direction }]
+const orderSortSchema = Joi.string().max(200).custom((value, helpers) => {
+  const sort = [];
+  for (const term of value.split(',')) {
+    const [field, direction = 'asc', ...rest] = term.trim().split(':');
+    if (!ORDERS.SORT_FIELDS.includes(field) || !['asc', 'desc'].includes(direction) || rest.length > 0) {
+      return helpers.error('sort.invalid', { term });
+    }
+    if (sort.some(key => key.field === field)) {
+      return helpers.error('sort.duplicate', { field });
+    }
+    sort.push({ field, direction });
+  }
+  return sort;
+}).messages({
+  'sort.invalid': `"{{#term}}" is not a valid sort; use field:asc or field:desc with a field from ${ORDERS.SORT_FIELDS.join(', ')}`,
+  'sort.duplicate': 'Cannot sort by {{#field}} more than once'
+});
+
+// Saved view state for each page; unknown keys are dropped so stale client state is not stored
+const savedViewStateSchemas = {
+  orders: Joi.object({
+    sorting: Joi.array().items(Joi.object({
+      id: Joi.string().valid(...ORDERS.SORT_FIELDS).required(),
+      desc: Joi.boolean().required()
+    })).max(ORDERS.SORT_FIELDS.length).default([]),
+    // Column filter values as the table holds them (text, ranges or lists of options)
+    column_filters: Joi.array().items(Joi.object({
+      id: Joi.string().max(50).required(),
+      value: Joi.any().required()
+    })).max(20).default([]),
+    column_visibility: Joi.object().pattern(Joi.string().max(50), Joi.boolean()).default({}),
+    page_size: Joi.number().integer().min(1).max(ORDERS.MAX_PAGE_SIZE).optional()
+  }),
+  planning: Joi.object({
+    ready_to_run_only: Joi.boolean().default(false),
+    collapsed_order_ids: Joi.array().items(Joi.number().integer().min(1)).max(5000).default([]),
+    // 0 is the unassigned column
+    hidden_work_centre_ids: Joi.array().items(Joi.number().integer().min(0)).max(500).default([])
+  })
+};
+
 // Validation schema for order updates
 const orderUpdateSchema = Joi.object({
   order_number: Joi.string().max(50).optional(),
@@ -58,9 +101,20 @@ const stepSchema = Joi.object({
   operation_name: Joi.string().max(100).required(),
   work_centre_id: Joi.number().integer().min(1).required(),
   planned_duration_minutes: Joi.number().integer().min(0).optional(),
+  setup_minutes: Joi.number().integer().min(0).optional(),
   status: Joi.string().valid(...STEP_STATUSES).default('pending')
 });
 
+// Validation schema for routing template operations
+const routingOperationSchema = Joi.object({
+  step_number: Joi.number().integer().min(1).required(),
+  operation_name: Joi.string().max(100).required(),
+  work_centre_id: Joi.number().integer().min(1).required(),
+  planned_duration_minutes: Joi.number().integer().min(0).optional(),
+  setup_minutes: Joi.number().integer().min(0).default(0)
+});
+const routingOperations = Joi.array().items(routingOperationSchema).min(1).unique('step_number').required();
+
 // Validation schema for order import
 const orderImportSchema = Joi.object({
   order_number: Joi.string().max(50).required(),
@@ -85,6 +139,31 @@ const stepUpdateSchema = Joi.object({
   actual_duration_minutes: Joi.number().integer().min(0).optional()
 });
 
+// Shift calendar times are HH:MM local time; 24:00 is allowed as an end time
+const calendarTime = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({
+  'string.pattern.base': '{{#label}} must be a time in HH:MM format'
+});
+const calendarEndTime = Joi.string().pattern(/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/).messages({
+  'string.pattern.base': '{{#label}} must be a time in HH:MM format'
+});
+
+const shiftSchema = Joi.object({
+  day_of_week: Joi.number().integer().min(0).max(6).required(),
+  start_time: calendarTime.required(),
+  end_time: calendarEndTime.required(),
+  name: Joi.string().max(50).optional()
+});
+
+const calendarExceptionSchema = Joi.object({
+  exception_date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required().messages({
+    'string.pattern.base': '{{#label}} must be a date in YYYY-MM-DD format'
+  }),
+  start_time: calendarTime.allow(null).optional(),
+  end_time: calendarEndTime.allow(null).optional(),
+  is_working: Joi.boolean().default(false),
+  description: Joi.string().max(255).allow('').optional()
+}).and('start_time', 'end_time');
+
 // Validation schema for order status updates
 const orderStatusSchema = Joi.object({
   status: Joi.string().valid(...VALID_STATUSES).required(),
@@ -126,7 +205,8 @@ const schemas = {
       description: Joi.string().optional(),
       capacity: Joi.number().integer().min(1).default(1),
       display_order: Joi.number().integer().min(0).default(0),
-      is_active: Joi.boolean().default(true)
+      is_active: Joi.boolean().default(true),
+      auto_move_on_step_complete: Joi.boolean().default(false)
     }),
     update: Joi.object({
       name: Joi.string().max(100).optional(),
@@ -135,7 +215,8 @@ const schemas = {
       capacity: Joi.number().integer().min(1).optional(),
       display_order: Joi.number().integer().min(0).optional(),
       work_centre_position: Joi.number().integer().min(0).optional(),
-      is_active: Joi.boolean().optional()
+      is_active: Joi.boolean().optional(),
+      auto_move_on_step_complete: Joi.boolean().optional()
     }),
     reorder: Joi.array().items(
       Joi.object({
@@ -145,6 +226,51 @@ const schemas = {
     ).min(1).required()
   },
 
+  // Shift calendar validation
+  calendar: {
+    shiftPattern: {
+      create: Joi.object({
+        name: Joi.string().max(100).required(),
+        description: Joi.string().allow('').optional(),
+        is_default: Joi.boolean().default(false),
+        shifts: Joi.array().items(shiftSchema).default([])
+      }),
+      update: Joi.object({
+        name: Joi.string().max(100).optional(),
+        description: Joi.string().allow('').optional(),
+        is_default: Joi.boolean().optional(),
+        shifts: Joi.array().items(shiftSchema).optional()
+      })
+    },
+    assign: Joi.object({
+      shift_pattern_id: Joi.number().integer().min(1).allow(null).required()
+    }),
+    exception: {
+      create: calendarExceptionSchema,
+      update: calendarExceptionSchema.fork(['exception_date'], schema => schema.optional()).keys({
+        is_working: Joi.boolean().optional()
+      })
+    },
+    range: Joi.object({
+      from: Joi.string().isoDate().optional(),
+      to: Joi.string().isoDate().optional()
+    })
+  },
+
+  // Sequence-dependent setup times per work centre; '*' matches any value
+  changeover: {
+    matrix: Joi.object({
+      changeovers: Joi.array().items(Joi.object({
+        characteristic_type: Joi.string().max(50).required(),
+        from_value: Joi.string().max(100).required(),
+        to_value: Joi.string().max(100).required(),
+        setup_minutes: Joi.number().integer().min(0).max(10080).required()
+      })).unique((a, b) =>
+        a.characteristic_type === b.characteristic_type && a.from_value === b.from_value && a.to_value === b.to_value
+      ).required()
+    })
+  },
+
   // Machine validation
   machine: {
     create: Joi.object({
@@ -164,11 +290,65 @@ const schemas = {
   // Manufacturing order validation
   order: {
     create: orderCreateSchema,
-    update: orderUpdateSchema,
+    update: orderUpdateSchema.keys({
+      // Admins may force a guarded status change, e.g. completing with steps still pending
+      force: Joi.boolean().optional()
+    }),
     move: Joi.object({
       to_work_centre_id: Joi.number().integer().required(),
       reason: Joi.string().max(100).default('user_decision')
     }),
+    // order_ids are moved as a block, in the order given
+    bulkMove: Joi.object({
+      order_ids: Joi.array().items(Joi.number().integer().min(1)).min(1).max(100).unique().required(),
+      to_work_centre_id: Joi.number().integer().required(),
+      reason: Joi.string().max(100).default('user_decision'),
+      new_position: Joi.number().integer().min(1).optional()
+    }),
+    // The same change for every order; fields use the single-order update rules
+    bulkUpdate: Joi.object({
+      order_ids: Joi.array().items(Joi.number().integer().min(1)).min(1).max(100).unique().required(),
+      changes: Joi.object({
+        priority: orderUpdateSchema.extract('priority'),
+        status: orderUpdateSchema.extract('status'),
+        due_date: orderUpdateSchema.extract('due_date'),
+        current_work_centre_id: orderUpdateSchema.extract('current_work_centre_id'),
+        add_characteristics: Joi.array().items(Joi.object({
+          type: Joi.string().max(50).required(),
+          value: Joi.string().max(100).required(),
+          color: Joi.string().max(20).optional(),
+          display_name: Joi.string().max(100).optional()
+        })).max(20).optional(),
+        remove_characteristics: Joi.array().items(Joi.object({
+          type: Joi.string().max(50).required(),
+          value: Joi.string().max(100).required()
+        })).max(20).optional()
+      }).min(1).required(),
+      // Version each order was read at, by order ID ('*' for any); the controller requires one per order
+      expected_versions: Joi.object().pattern(
+        /^\d+$/,
+        Joi.alternatives().try(Joi.number().integer().min(1), Joi.string().valid('*'))
+      ).optional(),
+      // Admins may force guarded status changes, as with a single order
+      force: Joi.boolean().optional()
+    }),
+    bulkLock: Joi.object({
+      order_ids: Joi.array().items(Joi.number().integer().min(1)).min(1).max(100).unique().required(),
+      completed: Joi.boolean().optional()
+    }),
+    // Child quantities must add up to the order's quantity_to_make (checked in the controller)
+    split: Joi.object({
+      splits: Joi.array().items(
+        Joi.object({
+          quantity: Joi.number().integer().min(1).required(),
+          work_centre_id: Joi.number().integer().min(1).optional(),
+          due_date: Joi.string().isoDate().optional()
+        })
+      ).min(2).max(20).required()
+    }),
+    dependency: Joi.object({
+      depends_on_order_id: Joi.number().integer().min(1).required()
+    }),
     bulkImport: Joi.object({
       source_system: Joi.string().max(50).required(),
       timestamp: Joi.string().isoDate().required(),
@@ -193,11 +373,152 @@ const schemas = {
     })
   },
 
+  // Routing template validation
+  routing: {
+    create: Joi.object({
+      stock_code: Joi.string().max(50).required(),
+      description: Joi.string().allow('').optional(),
+      operations: routingOperations
+    }),
+    // Saving a routing always creates a new version, so the full operation list is required
+    update: Joi.object({
+      description: Joi.string().allow('').optional(),
+      operations: routingOperations
+    }),
+    filters: Joi.object({
+      search: Joi.string().max(100).optional()
+    })
+  },
+
+  // Bill of materials and inventory ledger validation
+  material: {
+    // Saving a bill of materials replaces the whole component list
+    bom: Joi.object({
+      components: Joi.array().items(
+        Joi.object({
+          component_code: Joi.string().max(50).required(),
+          quantity_per: Joi.number().positive().required(),
+          unit: Joi.string().max(20).optional()
+        })
+      ).min(1).unique('component_code').required()
+    }),
+    // Receipts and issues are positive; a negative allocation releases stock, a negative adjustment writes it off
+    transaction: Joi.object({
+      component_code: Joi.string().max(50).required(),
+      transaction_type: Joi.string().valid('receipt', 'issue', 'allocation', 'adjustment').required(),
+      quantity: Joi.number().invalid(0).required()
+        .when('transaction_type', { is: Joi.valid('receipt', 'issue'), then: Joi.number().positive() }),
+      order_id: Joi.number().integer().min(1)
+        .when('transaction_type', { is: 'allocation', then: Joi.required() }),
+      reference: Joi.string().max(100).allow('').optional()
+    }),
+    bomFilters: Joi.object({
+      search: Joi.string().max(100).optional()
+    }),
+    stockFilters: Joi.object({
+      component_code: Joi.string().max(50).optional()
+    }),
+    transactionFilters: Joi.object({
+      component_code: Joi.string().max(50).optional(),
+      order_id: Joi.number().integer().min(1).optional(),
+      transaction_type: Joi.string().valid('receipt', 'issue', 'allocation', 'adjustment').optional(),
+      limit: Joi.number().integer().min(1).max(500).default(100)
+    })
+  },
+
+  // Planning board validation
+  planning: {
+    schedule: Joi.object({
+      dry_run: Joi.boolean().default(true),
+      work_centre_ids: Joi.array().items(Joi.number().integer().min(1)).min(1).optional()
+    }),
+    minimiseChangeovers: Joi.object({
+      dry_run: Joi.boolean().default(true)
+    })
+  },
+
+  // What-if scenario validation; move and reorder take the same bodies as the live board
+  scenario: {
+    create: Joi.object({
+      name: Joi.string().max(100).required(),
+      description: Joi.string().allow('').optional()
+    }),
+    move: Joi.object({
+      orderId: Joi.number().integer().required(),
+      toWorkCentreId: Joi.number().integer().required(),
+      reason: Joi.string().max(100).optional()
+    }),
+    reorder: Joi.object({
+      work_centre_id: Joi.number().integer().required(),
+      order_positions: Joi.array().items(Joi.object({
+        order_id: Joi.number().integer().required(),
+        position: Joi.number().integer().min(1).required()
+      })).min(1).required()
+    }),
+    publish: Joi.object({
+      // Publish even if the live board has moved some of the scenario's orders since it was taken
+      force: Joi.boolean().default(false)
+    })
+  },
+
+  // Saved views; a view is replaced whole on update
+  savedView: {
+    save: Joi.object({
+      name: Joi.string().trim().min(1).max(SAVED_VIEWS.MAX_NAME_LENGTH).required(),
+      page: Joi.string().valid(...SAVED_VIEWS.PAGES).required(),
+      state: Joi.when('page', {
+        switch: SAVED_VIEWS.PAGES.map(page => ({ is: page, then: savedViewStateSchemas[page] }))
+      }).required(),
+      shared_with: Joi.string().valid(...SAVED_VIEWS.SHARING).default('private'),
+      shared_role: Joi.string().valid(...Object.values(USER_ROLES)).when('shared_with', {
+        is: 'role',
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+      })
+    })
+  },
+
+  // Order archive; without order_ids every order old enough is archived
+  archive: {
+    run: Joi.object({
+      order_ids: Joi.array().items(Joi.number().integer().positive()).min(1).max(ORDER_ARCHIVE.MAX_PER_RUN).unique().optional(),
+      older_than_days: Joi.number().integer().min(0)
+        .when('order_ids', { is: Joi.exist(), then: Joi.any().default(0), otherwise: Joi.any().default(ORDER_ARCHIVE.DEFAULT_AFTER_DAYS) }),
+      dry_run: Joi.boolean().default(false)
+    })
+  },
+
+  // Database backups; the id pattern also keeps file paths inside the backup directory
+  backup: {
+    id: Joi.object({
+      id: Joi.string().pattern(BACKUPS.ID_PATTERN).required()
+    }),
+    create: Joi.object({
+      note: Joi.string().trim().max(BACKUPS.MAX_NOTE_LENGTH).allow('', null).optional()
+    })
+  },
+
   // Manufacturing step validation
   step: {
     update: stepUpdateSchema,
     complete: Joi.object({
       quantity_completed: Joi.number().integer().min(0).required()
+    }),
+    // Scrap and rework must give a reason code
+    booking: Joi.object({
+      good_quantity: Joi.number().integer().min(0).default(0),
+      scrap_quantity: Joi.number().integer().min(0).default(0),
+      rework_quantity: Joi.number().integer().min(0).default(0),
+      reason_code: Joi.string().max(50).uppercase()
+        .when('scrap_quantity', { is: Joi.number().greater(0), then: Joi.required() })
+        .when('rework_quantity', { is: Joi.number().greater(0), then: Joi.required() }),
+      notes: Joi.string().max(500).allow('').optional(),
+      complete_step: Joi.boolean().default(false)
+    }).custom((booking, helpers) => {
+      const total = booking.good_quantity + booking.scrap_quantity + booking.rework_quantity;
+      return total > 0 ? booking : helpers.error('booking.empty');
+    }).messages({
+      'booking.empty': 'A booking must record at least one good, scrap or rework unit'
     })
   },
 
@@ -208,12 +529,54 @@ const schemas = {
       limit: Joi.number().integer().min(1).max(100).default(20),
       offset: Joi.number().integer().min(0).default(0)
     }),
+    // Repeated parameters (?status=a&status=b) match any of the values
     orderFilters: Joi.object({
-      status: Joi.string().valid('not_started', 'in_progress', 'complete', 'overdue', 'on_hold', 'cancelled').optional(),
-      priority: Joi.string().valid('low', 'medium', 'high', 'urgent').optional(),
-      work_centre_id: Joi.number().integer().optional(),
+      status: Joi.array().items(Joi.string().valid(...VALID_STATUSES)).single().optional(),
+      priority: Joi.array().items(Joi.string().valid(...ORDER_PRIORITIES.VALUES)).single().optional(),
+      work_centre_id: Joi.array().items(Joi.number().integer()).single().optional(),
+      unassigned: Joi.boolean().optional(),
+      created_by: Joi.number().integer().optional(),
       due_before: Joi.string().isoDate().optional(),
-      search: Joi.string().max(100).optional()
+      due_from: Joi.string().isoDate().optional(),
+      due_to: Joi.string().isoDate().optional(),
+      start_from: Joi.string().isoDate().optional(),
+      start_to: Joi.string().isoDate().optional(),
+      completion_from: Joi.string().isoDate().optional(),
+      completion_to: Joi.string().isoDate().optional(),
+      created_from: Joi.string().isoDate().optional(),
+      created_to: Joi.string().isoDate().optional(),
+      quantity_min: Joi.number().integer().min(0).optional(),
+      quantity_max: Joi.number().integer().min(0).optional(),
+      progress_min: Joi.number().min(0).max(100).optional(),
+      progress_max: Joi.number().min(0).max(100).optional(),
+      order_number_contains: Joi.string().max(100).optional(),
+      stock_code_contains: Joi.string().max(100).optional(),
+      description_contains: Joi.string().max(100).optional(),
+      current_operation_contains: Joi.string().max(100).optional(),
+      characteristic: Joi.array().items(Joi.string().max(160)).max(10).single().optional(),
+      search: Joi.string().max(100).optional(),
+      // Paging: without a limit every matching order is returned
+      sort: orderSortSchema.optional(),
+      limit: Joi.number().integer().min(1).max(ORDERS.MAX_PAGE_SIZE).optional(),
+      offset: Joi.number().integer().min(0).default(0)
+    }),
+    // Prefix match on every term; see OrderSearch.toMatchQuery
+    search: Joi.object({
+      q: Joi.string().trim().min(1).max(200).required(),
+      limit: Joi.number().integer().min(1).max(50).default(20)
+    }),
+    savedViews: Joi.object({
+      page: Joi.string().valid(...SAVED_VIEWS.PAGES).optional()
+    }),
+    archiveFilters: Joi.object({
+      q: Joi.string().trim().max(100).allow('').optional(),
+      status: Joi.string().valid('complete', 'cancelled').optional(),
+      completion_from: Joi.string().isoDate().optional(),
+      completion_to: Joi.string().isoDate().optional(),
+      archived_from: Joi.string().isoDate().optional(),
+      archived_to: Joi.string().isoDate().optional(),
+      limit: Joi.number().integer().min(1).max(ORDER_ARCHIVE.MAX_PAGE_SIZE).default(ORDER_ARCHIVE.DEFAULT_PAGE_SIZE),
+      offset: Joi.number().integer().min(0).default(0)
     }),
     auditFilters: Joi.object({
       event_type: Joi.string().max(50).optional(),
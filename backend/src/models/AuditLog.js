@@ -161,7 +161,7 @@ class AuditLog {
   }
 
   // Log order status change
-  logOrderStatusChange(orderId, oldStatus, newStatus, userId) {
+  logOrderStatusChange(orderId, oldStatus, newStatus, userId, details = {}) {
     const order = this.db.prepare('SELECT order_number FROM manufacturing_orders WHERE id = ?').get(orderId);
 
     return this.create({
@@ -171,7 +171,8 @@ class AuditLog {
       event_data: {
         order_number: order?.order_number,
         old_status: oldStatus,
-        new_status: newStatus
+        new_status: newStatus,
+        ...details
       }
     });
   }
@@ -0,0 +1,109 @@
+const { getDatabase } = require('../utils/database');
+
+/**
+ * BillOfMaterials Model
+ * =====================
+ *
+ * Handles the components needed to make each stock code. A bill of materials
+ * is saved as a whole: saving replaces the stock code's component list.
+ * Orders need quantity_per x quantity_to_make of each component.
+ */
+class BillOfMaterials {
+  constructor() {
+    this.db = getDatabase();
+    this.table = 'bom_components';
+  }
+
+  // Find the components of a stock code's bill of materials
+  findByStockCode(stockCode) {
+    return this.db.prepare(`
+      SELECT id, stock_code, component_code, quantity_per, unit, created_at
+      FROM ${this.table}
+      WHERE stock_code = ?
+      ORDER BY component_code
+    `).all(stockCode);
+  }
+
+  /**
+   * Get the components of several stock codes in one query
+   * @param {Array<string>} stockCodes - Stock codes to look up
+   * @returns {Array} Component rows ({ stock_code, component_code, quantity_per, unit })
+   */
+  findByStockCodes(stockCodes) {
+    if (stockCodes.length === 0) return [];
+
+    const placeholders = stockCodes.map(() => '?').join(',');
+    return this.db.prepare(`
+      SELECT stock_code, component_code, quantity_per, unit
+      FROM ${this.table}
+      WHERE stock_code IN (${placeholders})
+      ORDER BY stock_code, component_code
+    `).all(...stockCodes);
+  }
+
+  // List every stock code with a bill of materials
+  findAll(filters = {}) {
+    let query = `
+      SELECT
+        b.stock_code,
+        COUNT(*) as component_count,
+        MAX(b.created_at) as updated_at,
+        (SELECT u.username FROM ${this.table} latest
+          LEFT JOIN users u ON latest.created_by = u.id
+          WHERE latest.stock_code = b.stock_code
+          ORDER BY latest.created_at DESC, latest.id DESC LIMIT 1) as updated_by_username
+      FROM ${this.table} b
+    `;
+    const params = [];
+
+    if (filters.search) {
+      query += ' WHERE b.stock_code LIKE ? OR b.component_code LIKE ?';
+      params.push(`%${filters.search}%`, `%${filters.search}%`);
+    }
+
+    query += ' GROUP BY b.stock_code ORDER BY b.stock_code';
+
+    return this.db.prepare(query).all(...params);
+  }
+
+  /**
+   * Replace a stock code's bill of materials
+   * @param {string} stockCode - Stock code being made
+   * @param {Array} components - [{ component_code, quantity_per, unit }]
+   * @param {number} userId - User saving the bill of materials
+   * @returns {Array} The saved components
+   * @note Uses database transaction
+   */
+  replace(stockCode, components, userId) {
+    const transaction = this.db.transaction(() => {
+      this.db.prepare(`DELETE FROM ${this.table} WHERE stock_code = ?`).run(stockCode);
+
+      const insertComponent = this.db.prepare(`
+        INSERT INTO ${this.table} (stock_code, component_code, quantity_per, unit, created_by)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+
+      components.forEach(component => {
+        insertComponent.run(
+          stockCode,
+          component.component_code,
+          component.quantity_per,
+          component.unit || 'each',
+          userId || null
+        );
+      });
+
+      return this.findByStockCode(stockCode);
+    });
+
+    return transaction();
+  }
+
+  // Delete a stock code's bill of materials
+  delete(stockCode) {
+    const result = this.db.prepare(`DELETE FROM ${this.table} WHERE stock_code = ?`).run(stockCode);
+    return result.changes > 0;
+  }
+}
+
+module.exports = new BillOfMaterials();
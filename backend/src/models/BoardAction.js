@@ -0,0 +1,259 @@
+const { getDatabase } = require('../utils/database');
+const ManufacturingOrder = require('./ManufacturingOrder');
+const AuditLog = require('./AuditLog');
+const { AUDIT_EVENTS, BOARD_HISTORY } = require('../config/constants');
+
+/**
+ * BoardAction Model
+ * =================
+ *
+ * Handles each user's undo/redo history for planning board moves and
+ * reorders. A history row points at the audit entry the action wrote
+ * (order_moved or orders_reordered), which holds everything needed to
+ * reverse it: the work centre and position a moved order came from, or a
+ * queue's order before and after a reorder.
+ *
+ * Undo takes the user's latest 'done' action and redo the earliest 'undone'
+ * one; a new action clears the redo stack. Undoing and redoing write their
+ * own audit entries, and other users' moves or re-sequencing of the queue
+ * after the latest of these mean the action can no longer be reversed safely.
+ */
+class BoardAction {
+  constructor() {
+    this.db = getDatabase();
+    this.table = 'board_actions';
+  }
+
+  // Join an action to its audit entry and parse the entry's data
+  _hydrate(row) {
+    if (!row) return null;
+    return { ...row, event_data: row.event_data ? JSON.parse(row.event_data) : {} };
+  }
+
+  // Find one action with its audit entry
+  _findOne(whereClause, ...params) {
+    return this._hydrate(this.db.prepare(`
+      SELECT ba.*, al.order_id, al.from_work_centre_id, al.to_work_centre_id, al.event_data
+      FROM ${this.table} ba
+      JOIN audit_log al ON ba.audit_log_id = al.id
+      WHERE ${whereClause}
+    `).get(...params));
+  }
+
+  // Find the action the user would undo next
+  findLastDone(userId) {
+    return this._findOne('ba.user_id = ? AND ba.status = ? ORDER BY ba.id DESC LIMIT 1', userId, 'done');
+  }
+
+  // Find the action the user would redo next
+  findNextUndone(userId) {
+    return this._findOne('ba.user_id = ? AND ba.status = ? ORDER BY ba.id ASC LIMIT 1', userId, 'undone');
+  }
+
+  /**
+   * Add an action to the user's history
+   * @param {number} userId - User who made the change
+   * @param {string} actionType - 'move' or 'reorder'
+   * @param {number} auditLogId - Audit entry written by the change
+   * @returns {Object} The new history row
+   * @note Uses database transaction. Clears the user's redo stack and keeps only the
+   *       latest BOARD_HISTORY.MAX_ACTIONS_PER_USER actions.
+   */
+  record(userId, actionType, auditLogId) {
+    const transaction = this.db.transaction(() => {
+      this.db.prepare(`DELETE FROM ${this.table} WHERE user_id = ? AND status = 'undone'`).run(userId);
+
+      const result = this.db.prepare(`
+        INSERT INTO ${this.table} (user_id, action_type, audit_log_id, last_audit_log_id)
+        VALUES (?, ?, ?, ?)
+      `).run(userId, actionType, auditLogId, auditLogId);
+
+      this.db.prepare(`
+        DELETE FROM ${this.table}
+        WHERE user_id = ? AND id NOT IN (
+          SELECT id FROM ${this.table} WHERE user_id = ? ORDER BY id DESC LIMIT ?
+        )
+      `).run(userId, userId, BOARD_HISTORY.MAX_ACTIONS_PER_USER);
+
+      return this._findOne('ba.id = ?', result.lastInsertRowid);
+    });
+
+    return transaction();
+  }
+
+  // Find the audit entry written by an order's latest move
+  _latestMoveAuditId(orderId) {
+    const row = this.db.prepare(`
+      SELECT id FROM audit_log
+      WHERE event_type = ? AND order_id = ?
+      ORDER BY id DESC LIMIT 1
+    `).get(AUDIT_EVENTS.ORDER_MOVED, orderId);
+    return row ? row.id : null;
+  }
+
+  // Add the move just made to an order to the user's history
+  recordMove(orderId, userId) {
+    const auditLogId = this._latestMoveAuditId(orderId);
+    return auditLogId ? this.record(userId, 'move', auditLogId) : null;
+  }
+
+  /**
+   * Find changes by other users that stop an action being undone or redone
+   * @param {Object} action - History row from findLastDone / findNextUndone
+   * @param {number} userId - User undoing or redoing
+   * @returns {Array} [{ order_id, order_number, moved_by }] - empty when it is safe to go ahead; a queue
+   *   re-sequenced as a whole (auto-schedule, minimise changeovers, published scenario) has no order
+   */
+  findConflicts(action, userId) {
+    if (action.action_type === 'move') {
+      return this.db.prepare(`
+        SELECT al.order_id, mo.order_number, u.username as moved_by
+        FROM audit_log al
+        LEFT JOIN manufacturing_orders mo ON al.order_id = mo.id
+        LEFT JOIN users u ON al.user_id = u.id
+        WHERE al.event_type = ? AND al.order_id = ? AND al.id > ? AND al.user_id IS NOT ?
+        ORDER BY al.id
+      `).all(AUDIT_EVENTS.ORDER_MOVED, action.order_id, action.last_audit_log_id, userId);
+    }
+
+    const workCentreId = action.to_work_centre_id;
+    const orderIds = action.event_data.previous_positions.map(p => p.order_id);
+    const placeholders = orderIds.map(() => '?').join(',');
+
+    // Moves of the queue's orders, moves into or out of the queue, and other reorders of it
+    const queueChanges = this.db.prepare(`
+      SELECT al.order_id, mo.order_number, u.username as moved_by
+      FROM audit_log al
+      LEFT JOIN manufacturing_orders mo ON al.order_id = mo.id
+      LEFT JOIN users u ON al.user_id = u.id
+      WHERE al.id > ? AND al.user_id IS NOT ? AND (
+        (al.event_type = ? AND (al.order_id IN (${placeholders}) OR al.from_work_centre_id = ? OR al.to_work_centre_id = ?))
+        OR (al.event_type = ? AND al.to_work_centre_id = ?)
+      )
+      ORDER BY al.id
+    `).all(
+      action.last_audit_log_id, userId,
+      AUDIT_EVENTS.ORDER_MOVED, ...orderIds, workCentreId, workCentreId,
+      AUDIT_EVENTS.ORDERS_REORDERED, workCentreId
+    );
+
+    // Re-sequencing that writes positions under its own event, naming the queues it touched
+    // in to_work_centre_id or event_data.work_centre_ids
+    const resequencings = this.db.prepare(`
+      SELECT al.to_work_centre_id, al.event_data, u.username as moved_by
+      FROM audit_log al
+      LEFT JOIN users u ON al.user_id = u.id
+      WHERE al.id > ? AND al.user_id IS NOT ? AND al.event_type IN (?, ?, ?)
+      ORDER BY al.id
+    `).all(
+      action.last_audit_log_id, userId,
+      AUDIT_EVENTS.BOARD_SCHEDULED, AUDIT_EVENTS.CHANGEOVERS_MINIMISED, AUDIT_EVENTS.SCENARIO_PUBLISHED
+    ).filter(row => {
+      const eventData = row.event_data ? JSON.parse(row.event_data) : {};
+      return row.to_work_centre_id === workCentreId || (eventData.work_centre_ids || []).includes(workCentreId);
+    }).map(row => ({ order_id: null, order_number: null, moved_by: row.moved_by }));
+
+    return [...queueChanges, ...resequencings];
+  }
+
+  /**
+   * Undo or redo an action on the live board
+   * @param {Object} action - History row from findLastDone / findNextUndone
+   * @param {string} direction - 'undo' or 'redo'
+   * @param {number} userId - User undoing or redoing (for audit trail)
+   * @returns {Object} The history row after the change
+   * @note Uses database transaction. A move goes back to (or forward to) the recorded
+   *       work centre and queue position; a reorder restores the recorded queue order
+   *       of the orders still in that work centre.
+   */
+  apply(action, direction, userId) {
+    const transaction = this.db.transaction(() => {
+      let auditLogId;
+
+      if (action.action_type === 'move') {
+        const { from_position: fromPosition, new_position: newPosition } = action.event_data;
+        const [workCentreId, position] = direction === 'undo'
+          ? [action.from_work_centre_id, fromPosition]
+          : [action.to_work_centre_id, newPosition];
+
+        ManufacturingOrder.moveToWorkCentre(action.order_id, workCentreId, userId, direction, position ?? null);
+        auditLogId = this._latestMoveAuditId(action.order_id);
+      } else {
+        const workCentreId = action.to_work_centre_id;
+        const target = direction === 'undo' ? action.event_data.previous_positions : action.event_data.new_positions;
+        const previousPositions = ManufacturingOrder.getQueuePositions(workCentreId);
+        const inQueue = new Set(previousPositions.map(p => p.order_id));
+        const orderPositions = target.filter(p => inQueue.has(p.order_id));
+
+        ManufacturingOrder.reorderInWorkCentre(workCentreId, orderPositions);
+
+        auditLogId = AuditLog.create({
+          event_type: AUDIT_EVENTS.ORDERS_REORDERED,
+          to_work_centre_id: workCentreId,
+          user_id: userId,
+          event_data: {
+            work_centre_id: workCentreId,
+            order_count: orderPositions.length,
+            order_positions: orderPositions,
+            previous_positions: previousPositions,
+            new_positions: ManufacturingOrder.getQueuePositions(workCentreId),
+            reason: direction
+          }
+        }).id;
+      }
+
+      this.db.prepare(`
+        UPDATE ${this.table}
+        SET status = ?, last_audit_log_id = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(direction === 'undo' ? 'undone' : 'done', auditLogId, action.id);
+
+      return this._findOne('ba.id = ?', action.id);
+    });
+
+    return transaction();
+  }
+
+  // Drop an action that can no longer be undone or redone
+  discard(id) {
+    const result = this.db.prepare(`DELETE FROM ${this.table} WHERE id = ?`).run(id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Summarise an action for the client
+   * @param {Object|null} action - History row
+   * @returns {Object|null} { id, action_type, status, order_id, order_number, from_work_centre_id,
+   *   to_work_centre_id, work_centre_id, created_at }
+   */
+  describe(action) {
+    if (!action) return null;
+
+    const isMove = action.action_type === 'move';
+    return {
+      id: action.id,
+      action_type: action.action_type,
+      status: action.status,
+      order_id: isMove ? action.order_id : null,
+      order_number: isMove ? action.event_data.order_number : null,
+      from_work_centre_id: isMove ? action.from_work_centre_id : null,
+      to_work_centre_id: isMove ? action.to_work_centre_id : null,
+      work_centre_id: isMove ? null : action.to_work_centre_id,
+      created_at: action.created_at
+    };
+  }
+
+  // What the user can undo and redo next
+  getSummary(userId) {
+    const undo = this.findLastDone(userId);
+    const redo = this.findNextUndone(userId);
+    return {
+      can_undo: Boolean(undo),
+      can_redo: Boolean(redo),
+      undo: this.describe(undo),
+      redo: this.describe(redo)
+    };
+  }
+}
+
+module.exports = new BoardAction();
@@ -0,0 +1,63 @@
+const { getDatabase } = require('../utils/database');
+
+/**
+ * ChangeoverTime Model
+ * ====================
+ *
+ * Handles each work centre's sequence-dependent setup times: the minutes it
+ * takes to change over from one job characteristic value to another (e.g.
+ * material steel -> aluminium). A work centre's changeover matrix is saved
+ * as a whole: saving replaces every row for that work centre.
+ */
+class ChangeoverTime {
+  constructor() {
+    this.db = getDatabase();
+    this.table = 'changeover_times';
+  }
+
+  // Find a work centre's changeover matrix
+  findByWorkCentre(workCentreId) {
+    return this.db.prepare(`
+      SELECT id, work_centre_id, characteristic_type, from_value, to_value, setup_minutes, created_at
+      FROM ${this.table}
+      WHERE work_centre_id = ?
+      ORDER BY characteristic_type, from_value, to_value
+    `).all(workCentreId);
+  }
+
+  /**
+   * Replace a work centre's changeover matrix
+   * @param {number} workCentreId - Work centre the changeovers apply to
+   * @param {Array} changeovers - [{ characteristic_type, from_value, to_value, setup_minutes }]
+   * @param {number} userId - User saving the matrix
+   * @returns {Array} The saved changeovers
+   * @note Uses database transaction
+   */
+  replace(workCentreId, changeovers, userId) {
+    const transaction = this.db.transaction(() => {
+      this.db.prepare(`DELETE FROM ${this.table} WHERE work_centre_id = ?`).run(workCentreId);
+
+      const insertChangeover = this.db.prepare(`
+        INSERT INTO ${this.table} (work_centre_id, characteristic_type, from_value, to_value, setup_minutes, created_by)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `);
+
+      changeovers.forEach(changeover => {
+        insertChangeover.run(
+          workCentreId,
+          changeover.characteristic_type,
+          changeover.from_value,
+          changeover.to_value,
+          changeover.setup_minutes,
+          userId || null
+        );
+      });
+
+      return this.findByWorkCentre(workCentreId);
+    });
+
+    return transaction();
+  }
+}
+
+module.exports = new ChangeoverTime();
@@ -0,0 +1,202 @@
+const { getDatabase } = require('../utils/database');
+
+// Open orders hold on to their allocations; complete and cancelled orders release them
+const CLOSED_ORDER_STATUSES = ['complete', 'cancelled'];
+
+/**
+ * InventoryTransaction Model
+ * ==========================
+ *
+ * Handles the inventory ledger. Stock is never stored directly; every level is
+ * the sum of ledger rows for a component code:
+ * - on_hand: receipts - issues + adjustments
+ * - reserved: what open orders have allocated but not yet been issued
+ * - available: on_hand - reserved, i.e. stock free to allocate
+ */
+class InventoryTransaction {
+  constructor() {
+    this.db = getDatabase();
+    this.table = 'inventory_transactions';
+  }
+
+  // Keep floating point noise from BOM quantities (e.g. 0.1 x 3) out of the totals
+  roundQuantity(quantity) {
+    return Math.round(quantity * 1e6) / 1e6;
+  }
+
+  // Build "AND component_code IN (...)" for an optional component code list
+  _componentCondition(componentCodes, column = 'component_code') {
+    if (!componentCodes) return { condition: '', params: [] };
+    return {
+      condition: `AND ${column} IN (${componentCodes.map(() => '?').join(',')})`,
+      params: componentCodes
+    };
+  }
+
+  // Find transaction by ID
+  findById(id) {
+    return this.db.prepare(`
+      SELECT t.*, mo.order_number, u.username as created_by_username
+      FROM ${this.table} t
+      LEFT JOIN manufacturing_orders mo ON t.order_id = mo.id
+      LEFT JOIN users u ON t.created_by = u.id
+      WHERE t.id = ?
+    `).get(id) || null;
+  }
+
+  /**
+   * List ledger rows, newest first
+   * @param {Object} [filters={}] - { component_code, order_id, transaction_type, limit }
+   * @returns {Array} Transactions with order number and username
+   */
+  findAll(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.component_code) {
+      conditions.push('t.component_code = ?');
+      params.push(filters.component_code);
+    }
+    if (filters.order_id) {
+      conditions.push('t.order_id = ?');
+      params.push(filters.order_id);
+    }
+    if (filters.transaction_type) {
+      conditions.push('t.transaction_type = ?');
+      params.push(filters.transaction_type);
+    }
+
+    const whereClause = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+    params.push(filters.limit || 100);
+
+    return this.db.prepare(`
+      SELECT t.*, mo.order_number, u.username as created_by_username
+      FROM ${this.table} t
+      LEFT JOIN manufacturing_orders mo ON t.order_id = mo.id
+      LEFT JOIN users u ON t.created_by = u.id
+      ${whereClause}
+      ORDER BY t.created_at DESC, t.id DESC
+      LIMIT ?
+    `).all(...params);
+  }
+
+  /**
+   * Record a ledger row
+   * @param {Object} transactionData - { component_code, transaction_type, quantity, order_id, reference, source, created_by }
+   * @returns {Object} Created transaction
+   */
+  create(transactionData) {
+    const result = this.db.prepare(`
+      INSERT INTO ${this.table} (
+        component_code, transaction_type, quantity, order_id, reference, source, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      transactionData.component_code,
+      transactionData.transaction_type,
+      this.roundQuantity(transactionData.quantity),
+      transactionData.order_id || null,
+      transactionData.reference || null,
+      transactionData.source || null,
+      transactionData.created_by || null
+    );
+
+    return this.findById(result.lastInsertRowid);
+  }
+
+  /**
+   * Get what has been allocated to and issued against a set of orders
+   * @param {Array<number>} orderIds - Order IDs
+   * @returns {Array} Rows of { order_id, component_code, allocated, issued }
+   */
+  getOrderAllocations(orderIds) {
+    if (orderIds.length === 0) return [];
+
+    const placeholders = orderIds.map(() => '?').join(',');
+    return this.db.prepare(`
+      SELECT
+        order_id,
+        component_code,
+        COALESCE(SUM(CASE WHEN transaction_type = 'allocation' THEN quantity ELSE 0 END), 0) as allocated,
+        COALESCE(SUM(CASE WHEN transaction_type = 'issue' THEN quantity ELSE 0 END), 0) as issued
+      FROM ${this.table}
+      WHERE order_id IN (${placeholders})
+      GROUP BY order_id, component_code
+    `).all(...orderIds).map(row => ({
+      ...row,
+      allocated: this.roundQuantity(row.allocated),
+      issued: this.roundQuantity(row.issued)
+    }));
+  }
+
+  /**
+   * Get stock levels per component code
+   * @param {Array<string>|null} [componentCodes=null] - Components to report, or null for every component in the ledger or a BOM
+   * @returns {Array} Rows of { component_code, on_hand, reserved, available }
+   */
+  getStockLevels(componentCodes = null) {
+    if (componentCodes && componentCodes.length === 0) return [];
+
+    const { condition, params } = this._componentCondition(componentCodes);
+
+    const onHandRows = this.db.prepare(`
+      SELECT
+        component_code,
+        COALESCE(SUM(CASE transaction_type
+          WHEN 'receipt' THEN quantity
+          WHEN 'issue' THEN -quantity
+          WHEN 'adjustment' THEN quantity
+          ELSE 0 END), 0) as on_hand
+      FROM ${this.table}
+      WHERE 1 = 1 ${condition}
+      GROUP BY component_code
+    `).all(...params);
+
+    // Per open order, allocation not yet issued; issuing more than was allocated reserves nothing
+    const closedPlaceholders = CLOSED_ORDER_STATUSES.map(() => '?').join(',');
+    const reservedRows = this.db.prepare(`
+      SELECT component_code, SUM(MAX(0, allocated - issued)) as reserved
+      FROM (
+        SELECT
+          t.component_code,
+          SUM(CASE WHEN t.transaction_type = 'allocation' THEN t.quantity ELSE 0 END) as allocated,
+          SUM(CASE WHEN t.transaction_type = 'issue' THEN t.quantity ELSE 0 END) as issued
+        FROM ${this.table} t
+        JOIN manufacturing_orders mo ON t.order_id = mo.id
+        WHERE mo.status NOT IN (${closedPlaceholders}) ${this._componentCondition(componentCodes, 't.component_code').condition}
+        GROUP BY t.component_code, t.order_id
+      )
+      GROUP BY component_code
+    `).all(...CLOSED_ORDER_STATUSES, ...params);
+
+    let codes = componentCodes;
+    if (!codes) {
+      codes = this.db.prepare(`
+        SELECT component_code FROM ${this.table}
+        UNION
+        SELECT component_code FROM bom_components
+        ORDER BY component_code
+      `).all().map(row => row.component_code);
+    }
+
+    const onHandByCode = new Map(onHandRows.map(row => [row.component_code, row.on_hand]));
+    const reservedByCode = new Map(reservedRows.map(row => [row.component_code, row.reserved]));
+
+    return codes.map(code => {
+      const onHand = this.roundQuantity(onHandByCode.get(code) || 0);
+      const reserved = this.roundQuantity(reservedByCode.get(code) || 0);
+      return {
+        component_code: code,
+        on_hand: onHand,
+        reserved,
+        available: this.roundQuantity(Math.max(0, onHand - reserved))
+      };
+    });
+  }
+
+  // Get a single component's stock level
+  getStockLevel(componentCode) {
+    return this.getStockLevels([componentCode])[0];
+  }
+}
+
+module.exports = new InventoryTransaction();
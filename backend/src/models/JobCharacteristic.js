@@ -283,6 +283,12 @@ class JobCharacteristic {
     return stmt.run(orderId);
   }
 
+  // Delete one characteristic (type and value) from an order
+  deleteByOrderAndValue(orderId, type, value) {
+    const stmt = this.db.prepare(`DELETE FROM ${this.table} WHERE order_id = ? AND type = ? AND value = ?`);
+    return stmt.run(orderId, type, value);
+  }
+
   // Get characteristic statistics for analytics
   getCharacteristicStats() {
     return this.db.prepare(`
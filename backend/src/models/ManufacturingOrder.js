@@ -1,6 +1,57 @@
 const { getDatabase } = require('../utils/database');
 const { validateStatus } = require('../utils/orderStatus');
+const { getOrderMaterials } = require('../utils/materialAvailability');
 const JobCharacteristic = require('./JobCharacteristic');
+const AuditLog = require('./AuditLog');
+const OrderDependency = require('./OrderDependency');
+const OrderSearch = require('./OrderSearch');
+const SchedulingService = require('../services/schedulingService');
+
+// Completed share of the order quantity, as a percentage
+const PROGRESS_SQL = '(CAST(mo.quantity_completed AS REAL) * 100 / NULLIF(mo.quantity_to_make, 0))';
+
+// Sortable fields (ORDERS.SORT_FIELDS) and the expression each sorts by
+const SORT_COLUMNS = {
+  order_number: 'mo.order_number',
+  stock_code: 'mo.stock_code',
+  description: 'mo.description',
+  quantity_to_make: 'mo.quantity_to_make',
+  quantity_completed: 'mo.quantity_completed',
+  progress: PROGRESS_SQL,
+  priority: 'CASE mo.priority WHEN \'urgent\' THEN 4 WHEN \'high\' THEN 3 WHEN \'medium\' THEN 2 ELSE 1 END',
+  status: 'mo.status',
+  due_date: 'mo.due_date',
+  start_date: 'mo.start_date',
+  completion_date: 'mo.completion_date',
+  created_at: 'mo.created_at',
+  updated_at: 'mo.updated_at',
+  work_centre: 'wc.name',
+  work_centre_position: 'mo.work_centre_position',
+  current_operation: 'mo.current_operation',
+  created_by: 'u.username'
+};
+
+// Date range filters: <prefix>_from and <prefix>_to, inclusive and compared by day
+const DATE_RANGE_FILTERS = {
+  due: 'mo.due_date',
+  start: 'mo.start_date',
+  completion: 'mo.completion_date',
+  created: 'mo.created_at'
+};
+
+// Numeric range filters: <prefix>_min and <prefix>_max, inclusive
+const NUMBER_RANGE_FILTERS = {
+  quantity: 'mo.quantity_to_make',
+  progress: PROGRESS_SQL
+};
+
+// Text filters matching part of a column, case-insensitively
+const CONTAINS_FILTERS = {
+  order_number_contains: 'mo.order_number',
+  stock_code_contains: 'mo.stock_code',
+  description_contains: 'mo.description',
+  current_operation_contains: 'mo.current_operation'
+};
 
 /**
  * ManufacturingOrder Model
@@ -14,6 +65,10 @@ const JobCharacteristic = require('./JobCharacteristic');
  * - Transaction support for data consistency
  * - Comprehensive audit logging for all operations
  * - Work centre position management for kanban board
+ * - Projected completion date and late-risk flag on every returned order
+ * - Splitting an order into child orders and merging them back
+ * - Open blocking dependencies (blocked_by) on every returned order
+ * - Material status and shortages from the bill of materials on every returned order
  */
 class ManufacturingOrder {
   constructor() {
@@ -79,7 +134,7 @@ class ManufacturingOrder {
   /**
    * Find a manufacturing order by ID with all related data
    * @param {number} id - Order ID
-   * @returns {Object|null} Order object with work centre and user details, manufacturing steps, and job characteristics, or null if not found
+   * @returns {Object|null} Order object with work centre and user details, manufacturing steps, job characteristics, child orders, open blockers and material status, or null if not found
    */
   findById(id) {
     const order = this.db.prepare(`
@@ -87,10 +142,12 @@ class ManufacturingOrder {
         mo.*,
         wc.code as work_centre_code,
         wc.name as work_centre_name,
-        u.username as created_by_username
+        u.username as created_by_username,
+        ${this._familyColumns()}
       FROM ${this.table} mo
       LEFT JOIN work_centres wc ON mo.current_work_centre_id = wc.id
       LEFT JOIN users u ON mo.created_by = u.id
+      LEFT JOIN ${this.table} parent ON mo.parent_order_id = parent.id
       WHERE mo.id = ?
     `).get(id);
 
@@ -111,9 +168,45 @@ class ManufacturingOrder {
     // Get job characteristics
     order.job_characteristics = JobCharacteristic.findByOrderId(id);
 
+    // Get child orders (populated once the order has been split)
+    order.child_orders = this.findChildren(id);
+
+    this._attachBlockers([order]);
+    this._attachMaterialStatus([order]);
     return order;
   }
 
+  /**
+   * Find the child orders created by splitting an order
+   * @param {number} parentOrderId - Split (parent) order ID
+   * @returns {Array} Child orders in split sequence, with work centre details
+   */
+  findChildren(parentOrderId) {
+    return this.db.prepare(`
+      SELECT
+        mo.id, mo.order_number, mo.quantity_to_make, mo.quantity_completed, mo.status,
+        mo.split_sequence, mo.current_work_centre_id,
+        wc.code as work_centre_code,
+        wc.name as work_centre_name
+      FROM ${this.table} mo
+      LEFT JOIN work_centres wc ON mo.current_work_centre_id = wc.id
+      WHERE mo.parent_order_id = ?
+      ORDER BY mo.split_sequence, mo.id
+    `).all(parentOrderId);
+  }
+
+  /**
+   * Select columns describing an order's split family; needs the parent join aliased as "parent"
+   * @returns {string} parent_order_number and family_size (number of orders the parent was split into)
+   * @private
+   */
+  _familyColumns() {
+    return `parent.order_number as parent_order_number,
+        CASE WHEN mo.parent_order_id IS NULL THEN NULL ELSE (
+          SELECT COUNT(*) FROM ${this.table} sibling WHERE sibling.parent_order_id = mo.parent_order_id
+        ) END as family_size`;
+  }
+
   /**
    * Build WHERE clause and parameters for order filtering
    * @param {Object} filters - Filter criteria
@@ -123,20 +216,42 @@ class ManufacturingOrder {
   _buildWhereClause(filters) {
     const whereConditions = [];
     const params = [];
+    const placeholders = values => values.map(() => '?').join(', ');
+
+    if (filters.order_number) {
+      whereConditions.push('mo.order_number = ?');
+      params.push(filters.order_number);
+    }
 
     if (filters.status) {
-      whereConditions.push('mo.status = ?');
-      params.push(filters.status);
+      const statuses = [].concat(filters.status);
+      whereConditions.push(`mo.status IN (${placeholders(statuses)})`);
+      params.push(...statuses);
     }
 
     if (filters.priority) {
-      whereConditions.push('mo.priority = ?');
-      params.push(filters.priority);
+      const priorities = [].concat(filters.priority);
+      whereConditions.push(`mo.priority IN (${placeholders(priorities)})`);
+      params.push(...priorities);
+    }
+
+    // Unassigned orders can be asked for alongside, or instead of, specific work centres
+    const workCentreIds = filters.work_centre_id ? [].concat(filters.work_centre_id) : [];
+    if (workCentreIds.length > 0 || filters.unassigned) {
+      const workCentreConditions = [];
+      if (workCentreIds.length > 0) {
+        workCentreConditions.push(`mo.current_work_centre_id IN (${placeholders(workCentreIds)})`);
+        params.push(...workCentreIds);
+      }
+      if (filters.unassigned) {
+        workCentreConditions.push('mo.current_work_centre_id IS NULL');
+      }
+      whereConditions.push(`(${workCentreConditions.join(' OR ')})`);
     }
 
-    if (filters.work_centre_id) {
-      whereConditions.push('mo.current_work_centre_id = ?');
-      params.push(filters.work_centre_id);
+    if (filters.created_by) {
+      whereConditions.push('mo.created_by = ?');
+      params.push(filters.created_by);
     }
 
     if (filters.due_before) {
@@ -144,46 +259,118 @@ class ManufacturingOrder {
       params.push(filters.due_before);
     }
 
-    if (filters.search) {
-      whereConditions.push('(mo.order_number LIKE ? OR mo.stock_code LIKE ? OR mo.description LIKE ?)');
-      const searchTerm = `%${filters.search}%`;
-      params.push(searchTerm, searchTerm, searchTerm);
+    Object.entries(DATE_RANGE_FILTERS).forEach(([prefix, column]) => {
+      if (filters[`${prefix}_from`]) {
+        whereConditions.push(`date(${column}) >= date(?)`);
+        params.push(filters[`${prefix}_from`]);
+      }
+      if (filters[`${prefix}_to`]) {
+        whereConditions.push(`date(${column}) <= date(?)`);
+        params.push(filters[`${prefix}_to`]);
+      }
+    });
+
+    Object.entries(NUMBER_RANGE_FILTERS).forEach(([prefix, column]) => {
+      if (filters[`${prefix}_min`] !== undefined) {
+        whereConditions.push(`${column} >= ?`);
+        params.push(filters[`${prefix}_min`]);
+      }
+      if (filters[`${prefix}_max`] !== undefined) {
+        whereConditions.push(`${column} <= ?`);
+        params.push(filters[`${prefix}_max`]);
+      }
+    });
+
+    Object.entries(CONTAINS_FILTERS).forEach(([key, column]) => {
+      if (filters[key]) {
+        whereConditions.push(`${column} LIKE ?`);
+        params.push(`%${filters[key]}%`);
+      }
+    });
+
+    // Each characteristic ("type:value", or a bare value of any type) must be on the order
+    if (filters.characteristic) {
+      [].concat(filters.characteristic).forEach(characteristic => {
+        const typed = characteristic.match(/^([a-z_]+):(.+)$/);
+        if (typed) {
+          whereConditions.push('EXISTS (SELECT 1 FROM job_characteristics jc WHERE jc.order_id = mo.id AND jc.type = ? AND jc.value = ?)');
+          params.push(typed[1], typed[2]);
+        } else {
+          whereConditions.push('EXISTS (SELECT 1 FROM job_characteristics jc WHERE jc.order_id = mo.id AND jc.value = ?)');
+          params.push(characteristic);
+        }
+      });
+    }
+
+    // Full-text search also covers step operations, characteristics and booking notes
+    const searchFilter = filters.search ? OrderSearch.orderIdFilter(filters.search) : null;
+    if (searchFilter) {
+      whereConditions.push(`mo.id IN (${searchFilter.sql})`);
+      params.push(...searchFilter.params);
     }
 
     const whereClause = whereConditions.length > 0 ? 'WHERE ' + whereConditions.join(' AND ') : '';
     return { whereClause, params };
   }
 
+  /**
+   * Build the ORDER BY clause for an order listing
+   * @param {Array<{field: string, direction: string}>} [sort] - Sort keys in priority order; fields from SORT_COLUMNS
+   * @returns {string} ORDER BY clause, ending with the order id so pages are stable
+   * @private
+   */
+  _buildOrderByClause(sort) {
+    if (!sort || sort.length === 0) {
+      return `ORDER BY 
+        mo.current_work_centre_id ASC,
+        mo.work_centre_position ASC,
+        CASE mo.status 
+          WHEN 'overdue' THEN 1
+          WHEN 'in_progress' THEN 2
+          WHEN 'not_started' THEN 3
+          ELSE 4
+        END,
+        mo.due_date ASC,
+        mo.priority DESC,
+        mo.id ASC`;
+    }
+
+    const terms = sort.map(({ field, direction }) => {
+      if (!SORT_COLUMNS[field]) {
+        throw new Error(`Cannot sort orders by ${field}`);
+      }
+      return `${SORT_COLUMNS[field]} ${direction === 'desc' ? 'DESC' : 'ASC'}`;
+    });
+    return `ORDER BY ${terms.join(', ')}, mo.id ASC`;
+  }
+
   /**
    * Fetch orders with joined work centre and user data
    * @param {string} whereClause - SQL WHERE clause
    * @param {Array} params - SQL parameters
+   * @param {Object} [options={}] - Sort and paging options, as for findAll
    * @returns {Array} Array of order objects with basic data
    * @private
    */
-  _fetchOrdersWithJoins(whereClause, params) {
+  _fetchOrdersWithJoins(whereClause, params, { sort, limit, offset = 0 } = {}) {
+    const pageClause = limit ? 'LIMIT ? OFFSET ?' : '';
+    const pageParams = limit ? [limit, offset] : [];
+
     return this.db.prepare(`
       SELECT 
         mo.*,
         wc.code as work_centre_code,
         wc.name as work_centre_name,
-        u.username as created_by_username
+        u.username as created_by_username,
+        ${this._familyColumns()}
       FROM ${this.table} mo
       LEFT JOIN work_centres wc ON mo.current_work_centre_id = wc.id
       LEFT JOIN users u ON mo.created_by = u.id
+      LEFT JOIN ${this.table} parent ON mo.parent_order_id = parent.id
       ${whereClause}
-      ORDER BY 
-        mo.current_work_centre_id ASC,
-        mo.work_centre_position ASC,
-        CASE mo.status 
-          WHEN 'overdue' THEN 1
-          WHEN 'in_progress' THEN 2
-          WHEN 'not_started' THEN 3
-          ELSE 4
-        END,
-        mo.due_date ASC,
-        mo.priority DESC
-    `).all(...params);
+      ${this._buildOrderByClause(sort)}
+      ${pageClause}
+    `).all(...params, ...pageParams);
   }
 
   /**
@@ -249,32 +436,127 @@ class ManufacturingOrder {
     return orders;
   }
 
+  /**
+   * Attach the orders still blocking each order
+   * @param {Array} orders - Array of order objects
+   * @returns {Array} Orders with blocked_by ({ dependency_id, order_id, order_number, status } per open blocker)
+   * @private
+   */
+  _attachBlockers(orders) {
+    const blockersByOrderId = {};
+    OrderDependency.getOpenBlockers(orders.map(order => order.id)).forEach(({ dependent_order_id, ...blocker }) => {
+      if (!blockersByOrderId[dependent_order_id]) {
+        blockersByOrderId[dependent_order_id] = [];
+      }
+      blockersByOrderId[dependent_order_id].push(blocker);
+    });
+
+    orders.forEach(order => {
+      order.blocked_by = blockersByOrderId[order.id] || [];
+    });
+
+    return orders;
+  }
+
+  /**
+   * Attach each order's material status from its bill of materials and the inventory ledger
+   * @param {Array} orders - Array of order objects
+   * @returns {Array} Orders with material_status and material_shortages ({ component_code, shortage } per short component)
+   * @private
+   */
+  _attachMaterialStatus(orders) {
+    const materials = getOrderMaterials(orders);
+
+    orders.forEach(order => {
+      const { material_status, shortages } = materials.get(order.id);
+      order.material_status = material_status;
+      order.material_shortages = shortages;
+    });
+
+    return orders;
+  }
+
+  /**
+   * Attach projected completion and late risk to order objects
+   * @param {Array} orders - Array of order objects
+   * @returns {Array} Orders with projected_completion_date (null when nothing is left to run) and at_risk
+   * @note Projects the whole board in one pass, since each order's finish depends on the queues ahead of it,
+   *   so call it once per response on the orders being returned rather than per order read
+   */
+  attachCompletionProjections(orders) {
+    const projections = SchedulingService.projectCompletions();
+
+    orders.forEach(order => {
+      const projection = projections.get(order.id);
+      order.projected_completion_date = projection ? projection.projected_completion_date : null;
+      order.at_risk = projection ? projection.at_risk : false;
+    });
+
+    return orders;
+  }
+
   /**
    * Get all manufacturing orders with optional filtering (optimized for performance)
    * @param {Object} [filters={}] - Filter criteria
+   * @param {string} [filters.order_number] - Exact order number match
    * @param {string} [filters.status] - Filter by order status
    * @param {string} [filters.priority] - Filter by priority level
    * @param {number} [filters.work_centre_id] - Filter by current work centre
    * @param {string} [filters.due_before] - Filter by due date (ISO string)
-   * @param {string} [filters.search] - Search in order number, stock code, or description
-   * @returns {Array} Array of order objects with manufacturing steps and job characteristics
+   * @param {string} [filters.search] - Full-text prefix search over the order, its step operations, characteristics and booking notes
+   * @param {string|Array<string>} [filters.status] - One or more order statuses
+   * @param {string|Array<string>} [filters.priority] - One or more priority levels
+   * @param {number|Array<number>} [filters.work_centre_id] - One or more current work centres
+   * @param {boolean} [filters.unassigned] - Include orders with no work centre
+   * @param {number} [filters.created_by] - Filter by creating user ID
+   * @param {string} [filters.due_from] - Date ranges: due_, start_, completion_ and created_ with _from/_to (inclusive days)
+   * @param {number} [filters.quantity_min] - Numeric ranges: quantity_ and progress_ (percent) with _min/_max
+   * @param {string} [filters.order_number_contains] - Partial matches: order_number_, stock_code_, description_ and current_operation_contains
+   * @param {string|Array<string>} [filters.characteristic] - Characteristics the order must have, as "type:value" or a bare value
+   * @param {Object} [options={}] - Sort and paging options
+   * @param {Array<{field: string, direction: string}>} [options.sort] - Sort keys in priority order; defaults to board order
+   * @param {number} [options.limit] - Page size; every matching order is returned when omitted
+   * @param {number} [options.offset=0] - Number of matching orders to skip
+   * @returns {Array} Array of order objects with manufacturing steps, job characteristics, open blockers and material status
    * @note Uses optimized bulk queries to prevent N+1 query issues
    */
-  findAll(filters = {}) {
+  findAll(filters = {}, options = {}) {
     const { whereClause, params } = this._buildWhereClause(filters);
-    const orders = this._fetchOrdersWithJoins(whereClause, params);
+    const orders = this._fetchOrdersWithJoins(whereClause, params, options);
 
     if (orders.length > 0) {
       const orderIds = orders.map(order => order.id);
       const { allSteps, allCharacteristics } = this._fetchRelatedDataInBulk(orderIds);
-      return this._attachRelatedDataToOrders(orders, allSteps, allCharacteristics);
+      this._attachRelatedDataToOrders(orders, allSteps, allCharacteristics);
+      this._attachBlockers(orders);
+      this._attachMaterialStatus(orders);
     }
 
     return orders;
   }
 
-  // Update order
-  update(id, orderData) {
+  /**
+   * Count the orders matching a set of filters
+   * @param {Object} [filters={}] - Filter criteria, as for findAll
+   * @returns {number} Number of matching orders
+   */
+  count(filters = {}) {
+    const { whereClause, params } = this._buildWhereClause(filters);
+    return this.db.prepare(`
+      SELECT COUNT(*) as total FROM ${this.table} mo ${whereClause}
+    `).get(...params).total;
+  }
+
+  /**
+   * Update an order
+   * @param {number} id - Order ID
+   * @param {Object} orderData - Fields to change
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.expectedVersion] - Only update if the order is still at this version
+   * @returns {Object} Updated order
+   * @throws {Error} code VERSION_CONFLICT if the order is no longer at expectedVersion
+   */
+  update(id, orderData, { expectedVersion } = {}) {
     const fields = [];
     const values = [];
 
@@ -359,16 +641,27 @@ class ManufacturingOrder {
     }
 
     if (fields.length === 0) {
-      return this.findById(id);
+      const unchanged = this.findById(id);
+      if (unchanged && expectedVersion !== undefined && unchanged.version !== expectedVersion) {
+        throw this._versionConflict(id);
+      }
+      return unchanged;
     }
 
     fields.push('updated_at = CURRENT_TIMESTAMP');
     values.push(id);
 
+    // With expectedVersion the check and the write are one statement, so no other process can get between them
+    let versionCondition = '';
+    if (expectedVersion !== undefined) {
+      versionCondition = ' AND version = ?';
+      values.push(expectedVersion);
+    }
+
     const query = `
       UPDATE ${this.table}
       SET ${fields.join(', ')}
-      WHERE id = ?
+      WHERE id = ?${versionCondition}
     `;
 
     // Parameter count safety check
@@ -378,10 +671,131 @@ class ManufacturingOrder {
     }
 
     const stmt = this.db.prepare(query);
-    stmt.run(...values);
+    const result = stmt.run(...values);
+    if (expectedVersion !== undefined && result.changes === 0 && this.findById(id)) {
+      throw this._versionConflict(id);
+    }
     return this.findById(id);
   }
 
+  /**
+   * Error for an update made against an old version
+   * @private
+   */
+  _versionConflict(id) {
+    return Object.assign(new Error(`Order ${id} has been changed by someone else since it was read`), { code: 'VERSION_CONFLICT' });
+  }
+
+  /**
+   * Apply the same change to several orders, e.g. from the orders table's batch actions
+   * @param {Array<number>} orderIds - Orders to change
+   * @param {Object} changes - Change to apply to every order
+   * @param {string} [changes.priority] - New priority
+   * @param {string} [changes.status] - New status (transitions are checked by the caller)
+   * @param {string|Date} [changes.due_date] - New due date
+   * @param {number} [changes.current_work_centre_id] - Work centre to move to (end of its queue)
+   * @param {Array<Object>} [changes.add_characteristics] - { type, value, color?, display_name? } to add where missing
+   * @param {Array<Object>} [changes.remove_characteristics] - { type, value } to remove
+   * @param {number} userId - User making the change (for audit trail)
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.forced=false] - An admin forced the status change (recorded in the audit trail)
+   * @param {Object} [options.expectedVersions={}] - Version each order must still be at, by order ID; orders without one are not checked
+   * @returns {Array<Object>} { order, old_status, from_work_centre_id, updated_fields } per order, in the order given
+   * @throws {Error} If any order is not found, or code VERSION_CONFLICT if one is no longer at its expected version (nothing is changed)
+   * @note Uses database transaction. Orders that already match a change are left alone for that field;
+   *       each changed order gets an order_updated audit entry (plus the usual status change and move entries).
+   */
+  bulkUpdate(orderIds, changes, userId, { forced = false, expectedVersions = {} } = {}) {
+    const {
+      current_work_centre_id: workCentreId,
+      add_characteristics: addCharacteristics = [],
+      remove_characteristics: removeCharacteristics = [],
+      ...fields
+    } = changes;
+
+    // Checks the version and holds the row for the rest of the transaction in one statement; version is not
+    // among the columns that bump it, so this changes nothing
+    const claimVersion = this.db.prepare(`UPDATE ${this.table} SET version = version WHERE id = ? AND version = ?`);
+
+    const transaction = this.db.transaction(() => {
+      const existingColors = JobCharacteristic.getExistingColorAssignments();
+
+      return orderIds.map(orderId => {
+        const expectedVersion = expectedVersions[orderId];
+        if (expectedVersion !== undefined && claimVersion.run(orderId, expectedVersion).changes === 0 && this.findById(orderId)) {
+          throw this._versionConflict(orderId);
+        }
+
+        const order = this.findById(orderId);
+        if (!order) {
+          throw new Error(`Order ${orderId} not found`);
+        }
+        const updatedFields = [];
+
+        const fieldUpdates = Object.fromEntries(Object.entries(fields).filter(([field, value]) =>
+          order[field] !== (value instanceof Date ? value.toISOString() : value)
+        ));
+        if (Object.keys(fieldUpdates).length > 0) {
+          if (fieldUpdates.status) {
+            const details = forced ? { bulk: true, forced: true } : { bulk: true };
+            AuditLog.logOrderStatusChange(orderId, order.status, fieldUpdates.status, userId, details);
+          }
+          this.update(orderId, fieldUpdates);
+          updatedFields.push(...Object.keys(fieldUpdates));
+        }
+
+        if (workCentreId && order.current_work_centre_id !== workCentreId) {
+          this.moveToWorkCentre(orderId, workCentreId, userId, 'bulk_update');
+          updatedFields.push('current_work_centre_id');
+        }
+
+        const characteristics = JobCharacteristic.findByOrderId(orderId);
+        const hasCharacteristic = ({ type, value }) => characteristics.some(c => c.type === type && c.value === value);
+
+        const added = addCharacteristics.filter(characteristic => !hasCharacteristic(characteristic));
+        added.forEach(({ type, value, color, display_name }) => {
+          JobCharacteristic.create({
+            order_id: orderId,
+            type,
+            value,
+            color: color || JobCharacteristic.assignColor(type, value, existingColors),
+            display_name: display_name || value,
+            is_system_generated: false
+          });
+        });
+        const removed = removeCharacteristics.filter(hasCharacteristic);
+        removed.forEach(({ type, value }) => JobCharacteristic.deleteByOrderAndValue(orderId, type, value));
+        if (added.length > 0 || removed.length > 0) {
+          updatedFields.push('characteristics');
+        }
+
+        if (updatedFields.length > 0) {
+          AuditLog.create({
+            event_type: 'order_updated',
+            order_id: orderId,
+            user_id: userId,
+            event_data: {
+              order_number: order.order_number,
+              updated_fields: updatedFields,
+              characteristics_added: added.map(({ type, value }) => ({ type, value })),
+              characteristics_removed: removed.map(({ type, value }) => ({ type, value })),
+              bulk: true
+            }
+          });
+        }
+
+        return {
+          order: this.findById(orderId),
+          old_status: order.status,
+          from_work_centre_id: order.current_work_centre_id,
+          updated_fields: updatedFields
+        };
+      });
+    });
+
+    return transaction();
+  }
+
   /**
    * Validate that a move operation is valid
    * @param {number} orderId - Order ID to validate
@@ -452,10 +866,11 @@ class ManufacturingOrder {
    * @param {string} moveData.reason - Reason for the move
    * @param {string} moveData.orderNumber - Order number for reference
    * @param {number} moveData.newPosition - Final position
+   * @param {number|null} moveData.fromPosition - Position in the source work centre (needed to undo the move)
    * @private
    */
   _logMoveAuditTrail(moveData) {
-    const { orderId, fromWorkCentreId, toWorkCentreId, userId, reason, orderNumber, newPosition } = moveData;
+    const { orderId, fromWorkCentreId, toWorkCentreId, userId, reason, orderNumber, newPosition, fromPosition } = moveData;
 
     this.db.prepare(`
       INSERT INTO audit_log (
@@ -468,7 +883,7 @@ class ManufacturingOrder {
       fromWorkCentreId,
       toWorkCentreId,
       userId,
-      JSON.stringify({ reason, order_number: orderNumber, new_position: newPosition }),
+      JSON.stringify({ reason, order_number: orderNumber, new_position: newPosition, from_position: fromPosition }),
       this.getWorkCentreQueueDepth(fromWorkCentreId),
       this.getWorkCentreQueueDepth(toWorkCentreId)
     );
@@ -499,7 +914,8 @@ class ManufacturingOrder {
         userId,
         reason,
         orderNumber: order.order_number,
-        newPosition: finalPosition
+        newPosition: finalPosition,
+        fromPosition: order.work_centre_position
       });
 
       return this.findById(orderId);
@@ -508,6 +924,248 @@ class ManufacturingOrder {
     return transaction();
   }
 
+  /**
+   * Move several orders to one work centre as a block, keeping the given order
+   * @param {Array<number>} orderIds - Order IDs to move, in their new queue order
+   * @param {number} toWorkCentreId - Destination work centre ID
+   * @param {number} userId - User ID performing the move (for audit trail)
+   * @param {string} [reason='user_decision'] - Reason for the move
+   * @param {number|null} [newPosition=null] - Position of the first order in the destination (null = end of queue)
+   * @returns {Array<Object>} Updated order objects, in the order given
+   * @throws {Error} If any order is not found (nothing is moved)
+   * @note Uses database transaction. The destination queue is shifted once by the size of the
+   *       block rather than once per order; each order gets its own order_moved audit entry.
+   */
+  bulkMoveToWorkCentre(orderIds, toWorkCentreId, userId, reason = 'user_decision', newPosition = null) {
+    const transaction = this.db.transaction(() => {
+      const orders = orderIds.map(orderId => this._validateMoveOperation(orderId));
+      const placeholders = orderIds.map(() => '?').join(',');
+      let startPosition;
+
+      if (newPosition === null) {
+        const maxPosition = this.db.prepare(`
+          SELECT COALESCE(MAX(work_centre_position), 0) as max_pos
+          FROM ${this.table}
+          WHERE current_work_centre_id = ? AND id NOT IN (${placeholders})
+        `).get(toWorkCentreId, ...orderIds);
+        startPosition = (maxPosition?.max_pos || 0) + 1;
+      } else {
+        startPosition = Math.max(1, Math.floor(newPosition));
+
+        // Shift existing positions to make room for the whole block
+        this.db.prepare(`
+          UPDATE ${this.table}
+          SET work_centre_position = work_centre_position + ?
+          WHERE current_work_centre_id = ?
+          AND work_centre_position >= ?
+          AND id NOT IN (${placeholders})
+        `).run(orderIds.length, toWorkCentreId, startPosition, ...orderIds);
+      }
+
+      orders.forEach((order, index) => {
+        const finalPosition = startPosition + index;
+        this._updateOrderPosition(order.id, toWorkCentreId, finalPosition);
+
+        this._logMoveAuditTrail({
+          orderId: order.id,
+          fromWorkCentreId: order.current_work_centre_id,
+          toWorkCentreId,
+          userId,
+          reason,
+          orderNumber: order.order_number,
+          newPosition: finalPosition,
+          fromPosition: order.work_centre_position
+        });
+      });
+
+      return orderIds.map(orderId => this.findById(orderId));
+    });
+
+    return transaction();
+  }
+
+  /**
+   * Check whether any work has been done on an order
+   * @param {number} orderId - Order ID
+   * @returns {boolean} True if a step has been started or any quantity has been booked
+   */
+  hasStartedWork(orderId) {
+    const row = this.db.prepare(`
+      SELECT
+        (SELECT COUNT(*) FROM manufacturing_steps WHERE order_id = ? AND status IN ('in_progress', 'complete')) +
+        (SELECT COUNT(*) FROM step_bookings WHERE order_id = ?) as work_count
+    `).get(orderId, orderId);
+    return row.work_count > 0;
+  }
+
+  /**
+   * Split an order into child orders whose quantities sum to the parent's
+   * @param {number} orderId - Order ID to split
+   * @param {Array<Object>} splits - One entry per child order
+   * @param {number} splits[].quantity - Child quantity to make
+   * @param {number} [splits[].work_centre_id] - Child work centre (defaults to the parent's)
+   * @param {string} [splits[].due_date] - Child due date (defaults to the parent's)
+   * @param {number} userId - User ID performing the split
+   * @returns {Object} { parent, children } - the retired parent and the new child orders
+   * @note Uses database transaction. Children are numbered <parent>-1, <parent>-2, ... and take the
+   *       parent's place in its queue (or join the end of another work centre's queue). Steps are copied
+   *       as pending with planned run time scaled to the child quantity; setup time and characteristics
+   *       are copied as-is. The parent leaves the board until merged.
+   */
+  split(orderId, splits, userId) {
+    const transaction = this.db.transaction(() => {
+      const parent = this.findById(orderId);
+      if (!parent) {
+        throw new Error('Order not found');
+      }
+      const steps = this.db.prepare(`
+        SELECT * FROM manufacturing_steps WHERE order_id = ? ORDER BY step_number
+      `).all(orderId);
+
+      const insertOrder = this.db.prepare(`
+        INSERT INTO ${this.table} (
+          order_number, stock_code, description, quantity_to_make, quantity_completed,
+          current_operation, current_work_centre_id, work_centre_position, status, priority,
+          due_date, start_date, created_by, routing_template_id, parent_order_id, split_sequence
+        ) VALUES (?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      const insertStep = this.db.prepare(`
+        INSERT INTO manufacturing_steps (
+          order_id, step_number, operation_name, work_centre_id,
+          planned_duration_minutes, setup_minutes, status
+        ) VALUES (?, ?, ?, ?, ?, ?, 'pending')
+      `);
+      const insertCharacteristic = this.db.prepare(`
+        INSERT INTO job_characteristics (
+          order_id, type, value, color, display_name, is_system_generated
+        ) VALUES (?, ?, ?, ?, ?, ?)
+      `);
+
+      // Nothing has been worked yet, so an in-progress parent's children start afresh
+      const childStatus = parent.status === 'in_progress' ? 'not_started' : parent.status;
+      let parentSlot = parent.work_centre_position;
+
+      const childIds = splits.map((split, index) => {
+        const workCentreId = split.work_centre_id || parent.current_work_centre_id;
+        let position = null;
+        if (workCentreId) {
+          const staysInPlace = workCentreId === parent.current_work_centre_id && parentSlot;
+          position = this._calculateAndReservePosition(workCentreId, staysInPlace ? ++parentSlot : null);
+        }
+
+        const childId = insertOrder.run(
+          `${parent.order_number}-${index + 1}`,
+          parent.stock_code,
+          parent.description,
+          split.quantity,
+          parent.current_operation,
+          workCentreId || null,
+          position,
+          childStatus,
+          parent.priority,
+          split.due_date || parent.due_date,
+          parent.start_date,
+          userId,
+          parent.routing_template_id,
+          parent.id,
+          index + 1
+        ).lastInsertRowid;
+
+        steps.forEach(step => insertStep.run(
+          childId,
+          step.step_number,
+          step.operation_name,
+          step.work_centre_id,
+          step.planned_duration_minutes
+            ? Math.ceil(step.planned_duration_minutes * split.quantity / parent.quantity_to_make)
+            : null,
+          step.setup_minutes || 0
+        ));
+
+        parent.job_characteristics.forEach(characteristic => insertCharacteristic.run(
+          childId,
+          characteristic.type,
+          characteristic.value,
+          characteristic.color,
+          characteristic.display_name,
+          characteristic.is_system_generated ? 1 : 0
+        ));
+
+        return childId;
+      });
+
+      // Take the parent off the board
+      this.db.prepare(`
+        UPDATE ${this.table}
+        SET is_split = 1, current_work_centre_id = NULL, work_centre_position = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(orderId);
+      if (parent.current_work_centre_id) {
+        this.compactWorkCentrePositions(parent.current_work_centre_id);
+      }
+
+      return {
+        parent: this.findById(orderId),
+        children: childIds.map(childId => this.findById(childId))
+      };
+    });
+
+    return transaction();
+  }
+
+  /**
+   * Merge a split order's children back into it
+   * @param {number} orderId - Split (parent) order ID
+   * @returns {Object} { order, merged_orders } - the restored parent and the removed child order numbers
+   * @note Uses database transaction. The parent returns to the work centre of its first child still on
+   *       the board, in the earliest queue slot the children held there; the children and their steps are deleted.
+   */
+  merge(orderId) {
+    const transaction = this.db.transaction(() => {
+      if (!this.findById(orderId)) {
+        throw new Error('Order not found');
+      }
+      const children = this.db.prepare(`
+        SELECT id, order_number, current_work_centre_id, work_centre_position
+        FROM ${this.table}
+        WHERE parent_order_id = ?
+        ORDER BY split_sequence, id
+      `).all(orderId);
+
+      // The parent takes the earliest slot its children held in that queue; compacting only shifts orders after it
+      const placed = children.find(child => child.current_work_centre_id);
+      const workCentreId = placed ? placed.current_work_centre_id : null;
+      const slots = children
+        .filter(child => child.current_work_centre_id === workCentreId && child.work_centre_position)
+        .map(child => child.work_centre_position);
+
+      children.forEach(child => this.delete(child.id));
+
+      const affectedWorkCentreIds = [...new Set(children.map(child => child.current_work_centre_id).filter(Boolean))];
+      affectedWorkCentreIds.forEach(id => this.compactWorkCentrePositions(id));
+
+      const position = workCentreId
+        ? this._calculateAndReservePosition(workCentreId, slots.length > 0 ? Math.min(...slots) : null)
+        : null;
+
+      this.db.prepare(`
+        UPDATE ${this.table}
+        SET is_split = 0, current_work_centre_id = ?, work_centre_position = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(workCentreId, position, orderId);
+      if (workCentreId) {
+        this.compactWorkCentrePositions(workCentreId);
+      }
+
+      return {
+        order: this.findById(orderId),
+        merged_orders: children.map(child => child.order_number)
+      };
+    });
+
+    return transaction();
+  }
+
   // Get queue depth for a work centre
   getWorkCentreQueueDepth(workCentreId) {
     if (!workCentreId) return 0;
@@ -569,6 +1227,16 @@ class ManufacturingOrder {
     return currentStep ? currentStep.operation_name : manufacturingSteps[manufacturingSteps.length - 1].operation_name;
   }
 
+  // Get a work centre queue as [{ order_id, position }] in queue order
+  getQueuePositions(workCentreId) {
+    return this.db.prepare(`
+      SELECT id as order_id, work_centre_position as position
+      FROM ${this.table}
+      WHERE current_work_centre_id = ?
+      ORDER BY work_centre_position, id
+    `).all(workCentreId);
+  }
+
   // Reorder orders within a work centre
   reorderInWorkCentre(workCentreId, orderPositions) {
     const transaction = this.db.transaction(() => {
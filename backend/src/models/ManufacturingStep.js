@@ -1,4 +1,5 @@
 const { getDatabase } = require('../utils/database');
+const StepBooking = require('./StepBooking');
 
 class ManufacturingStep {
   constructor() {
@@ -11,8 +12,8 @@ class ManufacturingStep {
     const stmt = this.db.prepare(`
       INSERT INTO ${this.table} (
         order_id, step_number, operation_name, work_centre_id, 
-        planned_duration_minutes, status
-      ) VALUES (?, ?, ?, ?, ?, ?)
+        planned_duration_minutes, setup_minutes, status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
     `);
 
     const transaction = this.db.transaction(() => {
@@ -24,6 +25,7 @@ class ManufacturingStep {
           step.operation_name,
           step.work_centre_id,
           step.planned_duration_minutes || null,
+          step.setup_minutes || 0,
           'pending'
         );
       }
@@ -164,7 +166,14 @@ class ManufacturingStep {
     return transaction();
   }
 
-  // Complete a manufacturing step
+  /**
+   * Complete a manufacturing step
+   * @param {number} stepId - Step to complete
+   * @param {number} userId - User completing the step (for audit trail)
+   * @param {number} quantityCompleted - Total good quantity for the step; any amount not yet booked is booked now
+   * @returns {Object} Updated step
+   * @note Uses database transaction
+   */
   completeStep(stepId, userId, quantityCompleted) {
     const transaction = this.db.transaction(() => {
       const step = this.findById(stepId);
@@ -176,12 +185,17 @@ class ManufacturingStep {
       const actualDuration = step.started_at ?
         Math.round((new Date(now) - new Date(step.started_at)) / (1000 * 60)) : null;
 
+      const unbookedQuantity = (quantityCompleted || 0) - (step.quantity_completed || 0);
+      if (unbookedQuantity > 0) {
+        StepBooking.create(step, { good_quantity: unbookedQuantity }, userId);
+      }
+
       const result = this.update(stepId, {
         status: 'complete',
         completed_at: now,
-        quantity_completed: quantityCompleted,
         actual_duration_minutes: actualDuration
       });
+      StepBooking.refreshOrderQuantity(step.order_id);
 
       // Log the event
       this.db.prepare(`
@@ -197,7 +211,7 @@ class ManufacturingStep {
           step_number: step.step_number,
           operation_name: step.operation_name,
           work_centre_code: step.work_centre_code,
-          quantity_completed: quantityCompleted,
+          quantity_completed: result.quantity_completed,
           actual_duration_minutes: actualDuration
         }),
         now
@@ -0,0 +1,431 @@
+const { getDatabase } = require('../utils/database');
+const { ORDER_ARCHIVE } = require('../config/constants');
+
+// Rows that belong to an order and move into the archive with it, in restore
+// order (a booking needs its step); they are removed from the live tables in
+// reverse. columns are the ones that point at the order. Rows are restored with
+// their original ids, which AUTOINCREMENT keys never hand out again
+const RECORD_SOURCES = [
+  { table: 'manufacturing_steps', columns: ['order_id'] },
+  { table: 'step_bookings', columns: ['order_id'] },
+  { table: 'job_characteristics', columns: ['order_id'] },
+  { table: 'order_dependencies', columns: ['order_id', 'depends_on_order_id'] },
+  { table: 'scanner_events', columns: ['order_id'] },
+  { table: 'audit_log', columns: ['order_id'] }
+];
+
+// Material transactions stay in the stock ledger (their order link is cleared
+// when the order goes); the archive remembers them so a restore can relink them
+const LINKED_TABLE = 'inventory_transactions';
+
+/**
+ * OrderArchive Model
+ * ==================
+ *
+ * Moves completed and cancelled orders out of manufacturing_orders, together
+ * with their steps, bookings, characteristics, dependencies, scanner events
+ * and audit entries, into archived_orders / archived_order_records (see
+ * migration 022). Archived orders no longer exist for the board, order lists,
+ * search or analytics; they can be listed, searched and restored from here.
+ *
+ * A split order and its children are archived and restored together, so the
+ * family links survive the round trip.
+ */
+class OrderArchive {
+  constructor() {
+    this.db = getDatabase();
+    this.table = 'archived_orders';
+    this.recordsTable = 'archived_order_records';
+    this.columnsByTable = new Map();
+  }
+
+  /**
+   * Columns of a live table, so rows archived under an older schema restore into the current one
+   * @param {string} table - Table name
+   * @returns {string[]} Column names
+   * @private
+   */
+  _columns(table) {
+    if (!this.columnsByTable.has(table)) {
+      this.columnsByTable.set(table, this.db.pragma(`table_info(${table})`).map(column => column.name));
+    }
+    return this.columnsByTable.get(table);
+  }
+
+  /**
+   * Insert an archived row back into its live table
+   * @param {string} table - Live table
+   * @param {Object} row - Row as archived; columns the table no longer has are dropped
+   * @private
+   */
+  _insertRow(table, row) {
+    const columns = this._columns(table).filter(column => column in row);
+    this.db.prepare(`
+      INSERT INTO ${table} (${columns.join(', ')})
+      VALUES (${columns.map(column => `@${column}`).join(', ')})
+    `).run(Object.fromEntries(columns.map(column => [column, row[column]])));
+  }
+
+  /**
+   * Live orders eligible for archiving: complete or cancelled, and neither completed nor changed for the given number of days
+   * @param {Object} [options={}] - Eligibility options
+   * @param {number} [options.olderThanDays=ORDER_ARCHIVE.DEFAULT_AFTER_DAYS] - Minimum days since completion and since the last update
+   * @param {Date} [options.now=new Date()] - Time the age is measured from
+   * @param {number[]} [options.orderIds] - Only consider these orders
+   * @param {number} [options.limit=ORDER_ARCHIVE.MAX_PER_RUN] - Maximum number of orders
+   * @returns {Array} Orders ({ id, order_number, status, completion_date }), children of a split before their parent
+   * @note A split family is only eligible when every order in it is
+   */
+  findEligible({
+    olderThanDays = ORDER_ARCHIVE.DEFAULT_AFTER_DAYS,
+    now = new Date(),
+    orderIds,
+    limit = ORDER_ARCHIVE.MAX_PER_RUN
+  } = {}) {
+    const ids = orderIds || [];
+    const idCondition = orderIds ? `AND id IN (${ids.map(() => '?').join(', ')})` : '';
+    const candidates = this.db.prepare(`
+      SELECT id, order_number, status, completion_date, parent_order_id
+      FROM manufacturing_orders
+      WHERE status IN ('complete', 'cancelled')
+        AND date(MAX(COALESCE(completion_date, updated_at), COALESCE(updated_at, completion_date))) <= date(?, ?)
+        ${idCondition}
+      ORDER BY parent_order_id IS NULL, COALESCE(completion_date, updated_at), id
+    `).all(now.toISOString(), `-${olderThanDays} days`, ...ids);
+
+    const eligibleIds = new Set(candidates.map(order => order.id));
+    const family = this.db.prepare(`
+      SELECT id, parent_order_id FROM manufacturing_orders
+      WHERE parent_order_id IS NOT NULL OR is_split = 1
+    `).all();
+
+    // Drop orders whose split parent or children must stay live, until nothing changes
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const order of family) {
+        const parentId = order.parent_order_id;
+        if (parentId && eligibleIds.has(order.id) !== eligibleIds.has(parentId)) {
+          eligibleIds.delete(order.id);
+          changed = eligibleIds.delete(parentId) || changed;
+        }
+      }
+    }
+
+    return candidates
+      .filter(order => eligibleIds.has(order.id))
+      .slice(0, limit)
+      .map(({ parent_order_id: _parentOrderId, ...order }) => order);
+  }
+
+  /**
+   * Move orders into the archive
+   * @param {number[]} orderIds - Orders to archive; children of a split must come before their parent
+   * @param {number|null} userId - User archiving them (null for the scheduled job)
+   * @returns {Array} Archived orders as { id, order_number }
+   * @note Uses database transaction; the order's triggers remove it from search
+   */
+  archive(orderIds, userId) {
+    const selectOrder = this.db.prepare('SELECT * FROM manufacturing_orders WHERE id = ?');
+    const insertOrder = this.db.prepare(`
+      INSERT INTO ${this.table} (
+        id, order_number, stock_code, description, status, priority, quantity_to_make, quantity_completed,
+        due_date, completion_date, work_centre_id, created_at, search_text, order_data, archived_by
+      ) VALUES (
+        @id, @order_number, @stock_code, @description, @status, @priority, @quantity_to_make, @quantity_completed,
+        @due_date, @completion_date, @current_work_centre_id, @created_at, @search_text, @order_data, @archived_by
+      )
+    `);
+    const insertRecord = this.db.prepare(`
+      INSERT INTO ${this.recordsTable} (archived_order_id, source_table, record_id, record_data)
+      VALUES (?, ?, ?, ?)
+    `);
+
+    const transaction = this.db.transaction(() => orderIds.map(orderId => {
+      const order = selectOrder.get(orderId);
+      if (!order) {
+        throw new Error(`Order ${orderId} not found`);
+      }
+
+      const records = RECORD_SOURCES.map(({ table, columns }) => ({
+        table,
+        columns,
+        rows: this.db.prepare(`
+          SELECT * FROM ${table} WHERE ${columns.map(column => `${column} = @orderId`).join(' OR ')} ORDER BY id
+        `).all({ orderId })
+      }));
+      const linkedRows = this.db.prepare(`SELECT * FROM ${LINKED_TABLE} WHERE order_id = ?`).all(orderId);
+
+      const rowsOf = table => records.find(record => record.table === table).rows;
+      const searchText = [
+        ...rowsOf('manufacturing_steps').map(step => step.operation_name),
+        ...rowsOf('job_characteristics').flatMap(characteristic => [characteristic.value, characteristic.display_name]),
+        ...rowsOf('step_bookings').map(booking => booking.notes)
+      ].filter(Boolean).join(' · ');
+
+      insertOrder.run({
+        ...order,
+        search_text: searchText,
+        order_data: JSON.stringify(order),
+        archived_by: userId
+      });
+      [...records, { table: LINKED_TABLE, rows: linkedRows }].forEach(({ table, rows }) => {
+        rows.forEach(row => insertRecord.run(order.id, table, row.id, JSON.stringify(row)));
+      });
+
+      [...records].reverse().forEach(({ table, columns }) => {
+        this.db.prepare(`
+          DELETE FROM ${table} WHERE ${columns.map(column => `${column} = @orderId`).join(' OR ')}
+        `).run({ orderId });
+      });
+      this.db.prepare('DELETE FROM manufacturing_orders WHERE id = ?').run(orderId);
+
+      // The order row is gone, so the entry names it in event_data instead
+      this.db.prepare(`
+        INSERT INTO audit_log (event_type, user_id, event_data, timestamp)
+        VALUES ('order_archived', ?, ?, ?)
+      `).run(userId, JSON.stringify({
+        order_id: order.id,
+        order_number: order.order_number,
+        status: order.status,
+        completion_date: order.completion_date
+      }), new Date().toISOString());
+
+      return { id: order.id, order_number: order.order_number };
+    }));
+
+    return transaction();
+  }
+
+  /**
+   * Archive every eligible order (see findEligible)
+   * @param {Object} [options={}] - findEligible options, plus:
+   * @param {number|null} [options.userId=null] - User running the archive
+   * @param {boolean} [options.dryRun=false] - Only report what would be archived
+   * @returns {Array} Orders archived (or that would be) as { id, order_number, status, completion_date }
+   */
+  archiveEligible({ userId = null, dryRun = false, ...options } = {}) {
+    const orders = this.findEligible(options);
+    if (!dryRun && orders.length > 0) {
+      this.archive(orders.map(order => order.id), userId);
+    }
+    return orders;
+  }
+
+  /**
+   * Build the WHERE clause for archive listings
+   * @param {Object} filters - { q, status, completion_from, completion_to, archived_from, archived_to }
+   * @returns {{where: string, params: Object}} SQL fragment and its named parameters
+   * @private
+   */
+  _buildWhereClause(filters) {
+    const conditions = [];
+    const params = {};
+
+    if (filters.q) {
+      conditions.push(`(
+        ao.order_number LIKE @q OR ao.stock_code LIKE @q OR ao.description LIKE @q OR ao.search_text LIKE @q
+      )`);
+      params.q = `%${filters.q}%`;
+    }
+    if (filters.status) {
+      conditions.push('ao.status = @status');
+      params.status = filters.status;
+    }
+    if (filters.completion_from) {
+      conditions.push('date(ao.completion_date) >= date(@completionFrom)');
+      params.completionFrom = filters.completion_from;
+    }
+    if (filters.completion_to) {
+      conditions.push('date(ao.completion_date) <= date(@completionTo)');
+      params.completionTo = filters.completion_to;
+    }
+    if (filters.archived_from) {
+      conditions.push('date(ao.archived_at) >= date(@archivedFrom)');
+      params.archivedFrom = filters.archived_from;
+    }
+    if (filters.archived_to) {
+      conditions.push('date(ao.archived_at) <= date(@archivedTo)');
+      params.archivedTo = filters.archived_to;
+    }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  /**
+   * List archived orders, most recently completed first
+   * @param {Object} [filters={}] - { q (order number, stock code, description, operations or characteristics), status, completion_from, completion_to, archived_from, archived_to }
+   * @param {Object} [options={}] - { limit, offset }
+   * @returns {Array} Archived orders without their archived rows
+   */
+  findAll(filters = {}, { limit = ORDER_ARCHIVE.DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+    const { where, params } = this._buildWhereClause(filters);
+    return this.db.prepare(`
+      SELECT
+        ao.id, ao.order_number, ao.stock_code, ao.description, ao.status, ao.priority,
+        ao.quantity_to_make, ao.quantity_completed, ao.due_date, ao.completion_date,
+        ao.work_centre_id, wc.name as work_centre_name, ao.created_at,
+        ao.archived_at, ao.archived_by, u.username as archived_by_username
+      FROM ${this.table} ao
+      LEFT JOIN work_centres wc ON ao.work_centre_id = wc.id
+      LEFT JOIN users u ON ao.archived_by = u.id
+      ${where}
+      ORDER BY COALESCE(ao.completion_date, ao.archived_at) DESC, ao.id DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit, offset });
+  }
+
+  /**
+   * Count archived orders
+   * @param {Object} [filters={}] - Filter criteria, as for findAll
+   * @returns {number} Number of matching archived orders
+   */
+  count(filters = {}) {
+    const { where, params } = this._buildWhereClause(filters);
+    return this.db.prepare(`SELECT COUNT(*) as count FROM ${this.table} ao ${where}`).get(params).count;
+  }
+
+  /**
+   * Find an archived order with the rows archived alongside it
+   * @param {number} id - Original order ID
+   * @returns {Object|null} { ...order as it was archived, archived_at, archived_by, manufacturing_steps,
+   *   step_bookings, job_characteristics, order_dependencies, audit_log }, or null if it is not archived
+   */
+  findById(id) {
+    const archived = this.db.prepare(`SELECT * FROM ${this.table} WHERE id = ?`).get(id);
+    if (!archived) return null;
+
+    const records = this.db.prepare(`
+      SELECT source_table, record_data FROM ${this.recordsTable}
+      WHERE archived_order_id = ?
+      ORDER BY id
+    `).all(id);
+    const rowsOf = table => records
+      .filter(record => record.source_table === table)
+      .map(record => JSON.parse(record.record_data));
+
+    return {
+      ...JSON.parse(archived.order_data),
+      archived_at: archived.archived_at,
+      archived_by: archived.archived_by,
+      manufacturing_steps: rowsOf('manufacturing_steps'),
+      step_bookings: rowsOf('step_bookings'),
+      job_characteristics: rowsOf('job_characteristics'),
+      order_dependencies: rowsOf('order_dependencies'),
+      audit_log: rowsOf('audit_log')
+    };
+  }
+
+  /**
+   * IDs of an archived order's split family (itself, its parent and their children) still in the archive
+   * @param {number} id - Archived order ID
+   * @returns {number[]} IDs, parent first
+   */
+  getFamilyIds(id) {
+    const archived = this.db.prepare(`
+      SELECT id, CAST(json_extract(order_data, '$.parent_order_id') AS INTEGER) as parent_order_id
+      FROM ${this.table} WHERE id = ?
+    `).get(id);
+    if (!archived) return [];
+
+    const rootId = archived.parent_order_id || archived.id;
+    return this.db.prepare(`
+      SELECT id FROM ${this.table}
+      WHERE id = @rootId OR CAST(json_extract(order_data, '$.parent_order_id') AS INTEGER) = @rootId
+      ORDER BY id != @rootId, id
+    `).all({ rootId }).map(row => row.id);
+  }
+
+  /**
+   * Reasons archived orders cannot be restored as they were
+   * @param {number[]} ids - Archived order IDs
+   * @returns {Array} Conflicts as { order_id, order_number, reason }; reason is 'order_number_in_use' or 'id_in_use'
+   */
+  findRestoreConflicts(ids) {
+    return ids.flatMap(id => {
+      const archived = this.db.prepare(`SELECT id, order_number FROM ${this.table} WHERE id = ?`).get(id);
+      const live = this.db.prepare('SELECT id, order_number FROM manufacturing_orders WHERE id = ? OR order_number = ?')
+        .all(archived.id, archived.order_number);
+
+      return live.map(order => ({
+        order_id: archived.id,
+        order_number: archived.order_number,
+        reason: order.order_number === archived.order_number ? 'order_number_in_use' : 'id_in_use'
+      }));
+    });
+  }
+
+  /**
+   * Move archived orders back into the live tables with the rows archived alongside them
+   * @param {number[]} ids - Archived order IDs, split parent first (see getFamilyIds)
+   * @param {number} userId - User restoring them
+   * @returns {number[]} Restored order IDs
+   * @note Uses database transaction. An order returns to the end of its work centre's queue, or to
+   *   unassigned if the work centre is gone or inactive; dependencies on orders that are not live are dropped.
+   *   Restoring counts as an update, so the order is not archived again for another full period
+   */
+  restore(ids, userId) {
+    const transaction = this.db.transaction(() => ids.map(id => {
+      const archived = this.db.prepare(`SELECT * FROM ${this.table} WHERE id = ?`).get(id);
+      const order = JSON.parse(archived.order_data);
+
+      const workCentre = order.current_work_centre_id
+        ? this.db.prepare('SELECT id FROM work_centres WHERE id = ? AND is_active = 1').get(order.current_work_centre_id)
+        : null;
+      const position = workCentre
+        ? this.db.prepare(`
+          SELECT COALESCE(MAX(work_centre_position), 0) + 1 as position
+          FROM manufacturing_orders WHERE current_work_centre_id = ?
+        `).get(workCentre.id).position
+        : null;
+
+      this._insertRow('manufacturing_orders', {
+        ...order,
+        current_work_centre_id: workCentre ? workCentre.id : null,
+        work_centre_position: position
+      });
+      this.db.prepare('UPDATE manufacturing_orders SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+
+      const records = this.db.prepare(`
+        SELECT source_table, record_data FROM ${this.recordsTable}
+        WHERE archived_order_id = ?
+        ORDER BY id
+      `).all(id);
+      const isLive = orderId => Boolean(this.db.prepare('SELECT 1 FROM manufacturing_orders WHERE id = ?').get(orderId));
+
+      RECORD_SOURCES.forEach(({ table, columns }) => {
+        records
+          .filter(record => record.source_table === table)
+          .map(record => JSON.parse(record.record_data))
+          .filter(row => columns.every(column => row[column] === null || isLive(row[column])))
+          .forEach(row => this._insertRow(table, row));
+      });
+
+      records
+        .filter(record => record.source_table === LINKED_TABLE)
+        .forEach(record => {
+          this.db.prepare(`UPDATE ${LINKED_TABLE} SET order_id = ? WHERE id = ? AND order_id IS NULL`)
+            .run(id, JSON.parse(record.record_data).id);
+        });
+
+      this.db.prepare(`DELETE FROM ${this.table} WHERE id = ?`).run(id);
+
+      this.db.prepare(`
+        INSERT INTO audit_log (event_type, order_id, to_work_centre_id, user_id, event_data, timestamp)
+        VALUES ('order_restored', ?, ?, ?, ?, ?)
+      `).run(id, workCentre ? workCentre.id : null, userId, JSON.stringify({
+        order_number: order.order_number,
+        archived_at: archived.archived_at
+      }), new Date().toISOString());
+
+      return id;
+    }));
+
+    return transaction();
+  }
+}
+
+module.exports = new OrderArchive();
@@ -0,0 +1,162 @@
+const { getDatabase } = require('../utils/database');
+
+/**
+ * OrderDependency Model
+ * =====================
+ *
+ * Handles blocking relationships between orders: an order cannot start (or
+ * be moved into an active work centre) until every order it depends on is
+ * complete, e.g. an assembly waiting on its sub-assembly.
+ *
+ * Rules:
+ * - A dependency is satisfied once the blocking order is complete; a split
+ *   blocking order is complete once all of its children are
+ * - Dependencies may not form a cycle (A waits on B waits on A)
+ */
+class OrderDependency {
+  constructor() {
+    this.db = getDatabase();
+    this.table = 'order_dependencies';
+  }
+
+  // SQL condition that is true while the blocking order (aliased "blocker") is still open
+  _openBlockerCondition() {
+    return `blocker.status != 'complete' AND NOT (
+      blocker.is_split = 1 AND NOT EXISTS (
+        SELECT 1 FROM manufacturing_orders child
+        WHERE child.parent_order_id = blocker.id AND child.status != 'complete'
+      )
+    )`;
+  }
+
+  // Find dependency by ID
+  findById(id) {
+    return this.db.prepare(`SELECT * FROM ${this.table} WHERE id = ?`).get(id) || null;
+  }
+
+  /**
+   * Find the orders an order depends on
+   * @param {number} orderId - Dependent order ID
+   * @returns {Array} Dependencies with the blocking order's number and status, and whether it still blocks
+   */
+  findByOrderId(orderId) {
+    return this.db.prepare(`
+      SELECT
+        d.*,
+        blocker.order_number as depends_on_order_number,
+        blocker.status as depends_on_status,
+        CASE WHEN ${this._openBlockerCondition()} THEN 1 ELSE 0 END as is_blocking,
+        u.username as created_by_username
+      FROM ${this.table} d
+      JOIN manufacturing_orders blocker ON d.depends_on_order_id = blocker.id
+      LEFT JOIN users u ON d.created_by = u.id
+      WHERE d.order_id = ?
+      ORDER BY d.created_at, d.id
+    `).all(orderId).map(row => ({ ...row, is_blocking: Boolean(row.is_blocking) }));
+  }
+
+  /**
+   * Find the orders waiting on an order
+   * @param {number} orderId - Blocking order ID
+   * @returns {Array} Dependencies with the dependent order's number and status
+   */
+  findDependents(orderId) {
+    return this.db.prepare(`
+      SELECT
+        d.*,
+        dependent.order_number,
+        dependent.status
+      FROM ${this.table} d
+      JOIN manufacturing_orders dependent ON d.order_id = dependent.id
+      WHERE d.depends_on_order_id = ?
+      ORDER BY d.created_at, d.id
+    `).all(orderId);
+  }
+
+  /**
+   * Get the open (unsatisfied) blockers of a set of orders in one query
+   * @param {Array<number>} orderIds - Dependent order IDs
+   * @returns {Array} Rows of { dependency_id, dependent_order_id, order_id, order_number, status } for each open blocker
+   */
+  getOpenBlockers(orderIds) {
+    if (orderIds.length === 0) return [];
+
+    const placeholders = orderIds.map(() => '?').join(',');
+    return this.db.prepare(`
+      SELECT
+        d.id as dependency_id,
+        d.order_id as dependent_order_id,
+        blocker.id as order_id,
+        blocker.order_number,
+        blocker.status
+      FROM ${this.table} d
+      JOIN manufacturing_orders blocker ON d.depends_on_order_id = blocker.id
+      WHERE d.order_id IN (${placeholders}) AND ${this._openBlockerCondition()}
+      ORDER BY d.order_id, blocker.order_number
+    `).all(...orderIds);
+  }
+
+  // Check whether a dependency between the two orders already exists
+  exists(orderId, dependsOnOrderId) {
+    return !!this.db.prepare(`
+      SELECT id FROM ${this.table} WHERE order_id = ? AND depends_on_order_id = ?
+    `).get(orderId, dependsOnOrderId);
+  }
+
+  /**
+   * Find the chain that would close a cycle if orderId were made to depend on dependsOnOrderId
+   * @param {number} orderId - Would-be dependent order ID
+   * @param {number} dependsOnOrderId - Would-be blocking order ID
+   * @returns {Array<number>|null} Order IDs from orderId round to orderId again, or null if no cycle
+   */
+  findCycle(orderId, dependsOnOrderId) {
+    const edges = this.db.prepare(`SELECT order_id, depends_on_order_id FROM ${this.table}`).all();
+    const dependsOn = new Map();
+    edges.forEach(edge => {
+      if (!dependsOn.has(edge.order_id)) dependsOn.set(edge.order_id, []);
+      dependsOn.get(edge.order_id).push(edge.depends_on_order_id);
+    });
+
+    // Breadth-first from the new blocker, following what each order waits on
+    const cameFrom = new Map([[dependsOnOrderId, null]]);
+    const queue = [dependsOnOrderId];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (current === orderId) {
+        // Walk back to the new blocker: [dependsOnOrderId, ..., orderId]
+        const path = [];
+        for (let id = current; id !== null; id = cameFrom.get(id)) path.unshift(id);
+        return [orderId, ...path];
+      }
+      (dependsOn.get(current) || []).forEach(next => {
+        if (!cameFrom.has(next)) {
+          cameFrom.set(next, current);
+          queue.push(next);
+        }
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a dependency
+   * @param {Object} dependencyData - { order_id, depends_on_order_id, created_by }
+   * @returns {Object} Created dependency with the blocking order's details
+   */
+  create(dependencyData) {
+    const result = this.db.prepare(`
+      INSERT INTO ${this.table} (order_id, depends_on_order_id, created_by)
+      VALUES (?, ?, ?)
+    `).run(dependencyData.order_id, dependencyData.depends_on_order_id, dependencyData.created_by || null);
+
+    return this.findByOrderId(dependencyData.order_id).find(dependency => dependency.id === result.lastInsertRowid);
+  }
+
+  // Delete a dependency
+  delete(id) {
+    return this.db.prepare(`DELETE FROM ${this.table} WHERE id = ?`).run(id);
+  }
+}
+
+module.exports = new OrderDependency();
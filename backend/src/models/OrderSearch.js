@@ -0,0 +1,290 @@
+const { getDatabase, isPostgres } = require('../utils/database');
+
+// Markers wrapped around matched text by the highlight functions; control
+// characters so they cannot clash with order text, and never sent to clients
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+
+// Indexed columns, in table order, with their bm25 weight (higher ranks a match above others).
+// PostgreSQL has four weight classes, set per column by order_search_refresh (see postgres/022)
+const SEARCH_COLUMNS = [
+  { name: 'order_number', weight: 10 },
+  { name: 'stock_code', weight: 5 },
+  { name: 'description', weight: 3 },
+  { name: 'operations', weight: 1 },
+  { name: 'characteristics', weight: 2 },
+  { name: 'notes', weight: 1 }
+];
+
+// Long columns are cut down to a snippet around the match; short ones are highlighted whole
+const SNIPPET_COLUMNS = ['description', 'operations', 'notes'];
+const SNIPPET_TOKENS = 12;
+const MAX_TERMS = 10;
+
+// ts_rank weights for classes D, C, B and A
+const POSTGRES_WEIGHTS = '{0.1, 0.2, 0.5, 1.0}';
+
+/**
+ * OrderSearch Model
+ * =================
+ *
+ * Full-text search over orders through the order_search FTS5 index, which holds
+ * one document per order: its number, stock code and description, its step
+ * operation names, its characteristic values and its booking notes. Triggers
+ * on each source table keep the index in step (see migration 021).
+ *
+ * On PostgreSQL order_search is a table with a weighted tsvector column kept
+ * up to date the same way, and matches are highlighted here rather than in SQL.
+ *
+ * Every search term is a prefix match, and an order must match all of them.
+ */
+class OrderSearch {
+  constructor() {
+    this.db = getDatabase();
+    this.table = 'order_search';
+  }
+
+  /**
+   * Turn free text into an FTS5 MATCH expression
+   * @param {string} text - User search text
+   * @returns {string|null} Expression matching orders with every term as a prefix, or null if the text has no searchable terms
+   * @note Each term is quoted, so FTS5 operators and column filters in user text are searched for literally
+   */
+  toMatchQuery(text) {
+    const terms = this._terms(text);
+    return terms.length > 0 ? terms.map(term => `"${term}"*`).join(' ') : null;
+  }
+
+  /**
+   * Turn free text into a PostgreSQL tsquery with the same meaning as toMatchQuery
+   * @param {string} text - User search text
+   * @returns {string|null} Query for to_tsquery('simple', ...), or null if the text has no searchable terms
+   * @note A term with punctuation ("AB-12") is a phrase of its words, the last one a prefix
+   */
+  toTsQuery(text) {
+    const terms = this._tokenizedTerms(text);
+    if (terms.length === 0) {
+      return null;
+    }
+
+    return terms
+      .map(tokens => tokens.map((token, index) => index === tokens.length - 1 ? `${token}:*` : token).join(' <-> '))
+      .join(' & ');
+  }
+
+  /**
+   * SQL selecting the ids of orders that match free text, for use in other queries
+   * @param {string} text - User search text
+   * @returns {{sql: string, params: Array}|null} Subquery and its parameters, or null if the text has no searchable terms
+   */
+  orderIdFilter(text) {
+    if (isPostgres(this.db)) {
+      const query = this.toTsQuery(text);
+      return query
+        ? { sql: `SELECT order_id FROM ${this.table} WHERE document @@ to_tsquery('simple', ?)`, params: [query] }
+        : null;
+    }
+
+    const matchQuery = this.toMatchQuery(text);
+    return matchQuery
+      ? { sql: `SELECT rowid FROM ${this.table} WHERE ${this.table} MATCH ?`, params: [matchQuery] }
+      : null;
+  }
+
+  /**
+   * Split user text into search terms, dropping quotes and terms without letters or digits
+   * @param {string} text - User search text
+   * @returns {Array<string>} At most MAX_TERMS terms
+   * @private
+   */
+  _terms(text) {
+    return String(text || '')
+      .split(/\s+/)
+      .map(term => term.replace(/"/g, ''))
+      .filter(term => /[\p{L}\p{N}]/u.test(term))
+      .slice(0, MAX_TERMS);
+  }
+
+  /**
+   * Search terms split into lower-case words, as order_search_terms indexes them
+   * @param {string} text - User search text
+   * @returns {Array<Array<string>>} Words of each term
+   * @private
+   */
+  _tokenizedTerms(text) {
+    return this._terms(text).map(term => term.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+  }
+
+  /**
+   * Wrap the words of a value that match the search terms in MARK_START/MARK_END,
+   * like FTS5's highlight(), or snippet() when a window is given
+   * @param {string|null} value - Column value
+   * @param {Array<Array<string>>} terms - Words of each term, from _tokenizedTerms
+   * @param {number} [window] - Cut the value down to this many words around the first match
+   * @returns {string|null} Marked value, or the value unchanged if nothing in it matches
+   * @private
+   */
+  _highlight(value, terms, window) {
+    const words = [...String(value || '').matchAll(/[\p{L}\p{N}]+/gu)];
+    // The last word of each term is a prefix, as in the query
+    const matchesTerm = (word, tokens) => tokens.some((token, index) => word === token
+      || index === tokens.length - 1 && word.startsWith(token));
+    const matchesWord = word => terms.some(tokens => matchesTerm(word, tokens));
+    const matched = words.map(word => matchesWord(word[0].toLowerCase()));
+    const first = matched.indexOf(true);
+    if (first === -1) {
+      return value;
+    }
+
+    let start = 0;
+    let end = words.length;
+    if (window && words.length > window) {
+      start = Math.max(0, Math.min(first - 2, words.length - window));
+      end = start + window;
+    }
+
+    let result = start > 0 ? '…' : '';
+    let position = start > 0 ? words[start].index : 0;
+    for (let index = start; index < end; index++) {
+      const word = words[index];
+      result += value.slice(position, word.index);
+      result += matched[index] ? `${MARK_START}${word[0]}${MARK_END}` : word[0];
+      position = word.index + word[0].length;
+    }
+    result += end < words.length ? '…' : value.slice(position);
+
+    return result;
+  }
+
+  /**
+   * Split highlighted text into plain and matched segments
+   * @param {string} text - Text containing MARK_START/MARK_END markers
+   * @returns {Array<{text: string, match: boolean}>} Segments in order
+   * @private
+   */
+  _toSegments(text) {
+    return text.split(MARK_START).flatMap((part, index) => {
+      if (index === 0) {
+        return part ? [{ text: part, match: false }] : [];
+      }
+      const [matched, rest] = part.split(MARK_END);
+      return [{ text: matched, match: true }, ...rest ? [{ text: rest, match: false }] : []];
+    });
+  }
+
+  /**
+   * Search orders, best matches first
+   * @param {string} text - User search text
+   * @param {Object} [options={}] - Search options
+   * @param {number} [options.limit=20] - Maximum number of results
+   * @returns {Array} Orders ({ id, order_number, stock_code, description, status, priority, due_date,
+   *   current_work_centre_id, work_centre_name, score, matched_fields, highlights }); highlights maps each
+   *   matched field to [{ text, match }] segments
+   */
+  search(text, { limit = 20 } = {}) {
+    const matchQuery = this.toMatchQuery(text);
+    if (!matchQuery) {
+      return [];
+    }
+
+    const rows = isPostgres(this.db)
+      ? this._searchPostgres(text, limit)
+      : this._searchSqlite(matchQuery, limit);
+
+    return rows.map(({ relevance, ...row }) => {
+      const highlights = {};
+      SEARCH_COLUMNS.forEach(({ name }) => {
+        const highlighted = row[`${name}_highlight`];
+        delete row[`${name}_highlight`];
+        if (highlighted && highlighted.includes(MARK_START)) {
+          highlights[name] = this._toSegments(highlighted);
+        }
+      });
+
+      return {
+        ...row,
+        // bm25 is lower for better matches; flip it so a higher score is a better match
+        score: -relevance,
+        matched_fields: Object.keys(highlights),
+        highlights
+      };
+    });
+  }
+
+  /**
+   * Order columns selected by both search queries
+   * @private
+   */
+  _orderColumns() {
+    return `
+        mo.id,
+        mo.order_number,
+        mo.stock_code,
+        mo.description,
+        mo.status,
+        mo.priority,
+        mo.due_date,
+        mo.current_work_centre_id,
+        wc.name as work_centre_name`;
+  }
+
+  /**
+   * FTS5 search, with relevance from bm25 and highlights from highlight() and snippet()
+   * @private
+   */
+  _searchSqlite(matchQuery, limit) {
+    const weights = SEARCH_COLUMNS.map(column => column.weight).join(', ');
+    const highlightColumns = SEARCH_COLUMNS.map(({ name }, index) => {
+      const highlight = SNIPPET_COLUMNS.includes(name)
+        ? `snippet(${this.table}, ${index}, @start, @end, '…', ${SNIPPET_TOKENS})`
+        : `highlight(${this.table}, ${index}, @start, @end)`;
+      return `${highlight} as ${name}_highlight`;
+    }).join(',\n        ');
+
+    return this.db.prepare(`
+      SELECT${this._orderColumns()},
+        bm25(${this.table}, ${weights}) as relevance,
+        ${highlightColumns}
+      FROM ${this.table}
+      JOIN manufacturing_orders mo ON mo.id = ${this.table}.rowid
+      LEFT JOIN work_centres wc ON mo.current_work_centre_id = wc.id
+      WHERE ${this.table} MATCH @match
+      ORDER BY relevance
+      LIMIT @limit
+    `).all({ start: MARK_START, end: MARK_END, match: matchQuery, limit });
+  }
+
+  /**
+   * tsvector search, with relevance from ts_rank and highlights marked by _highlight
+   * @private
+   */
+  _searchPostgres(text, limit) {
+    const terms = this._tokenizedTerms(text);
+    const sourceColumns = SEARCH_COLUMNS.map(({ name }) => `s.${name} as ${name}_source`).join(',\n        ');
+
+    // ts_rank is higher for better matches; negate it to order and score like bm25
+    const rows = this.db.prepare(`
+      SELECT${this._orderColumns()},
+        -ts_rank('${POSTGRES_WEIGHTS}', s.document, query) as relevance,
+        ${sourceColumns}
+      FROM ${this.table} s
+      CROSS JOIN to_tsquery('simple', @query) query
+      JOIN manufacturing_orders mo ON mo.id = s.order_id
+      LEFT JOIN work_centres wc ON mo.current_work_centre_id = wc.id
+      WHERE s.document @@ query
+      ORDER BY relevance
+      LIMIT @limit
+    `).all({ query: this.toTsQuery(text), limit });
+
+    return rows.map(row => {
+      SEARCH_COLUMNS.forEach(({ name }) => {
+        const window = SNIPPET_COLUMNS.includes(name) ? SNIPPET_TOKENS : undefined;
+        row[`${name}_highlight`] = this._highlight(row[`${name}_source`], terms, window);
+        delete row[`${name}_source`];
+      });
+      return row;
+    });
+  }
+}
+
+module.exports = new OrderSearch();
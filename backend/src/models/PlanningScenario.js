@@ -0,0 +1,362 @@
+const { getDatabase } = require('../utils/database');
+const AuditLog = require('./AuditLog');
+const { AUDIT_EVENTS } = require('../config/constants');
+
+// SQL condition for a snapshot row (aliased so) that the scenario has moved
+const CHANGED_CONDITION = '(so.work_centre_id IS NOT so.base_work_centre_id OR so.work_centre_position IS NOT so.base_work_centre_position)';
+
+/**
+ * PlanningScenario Model
+ * ======================
+ *
+ * Handles what-if scenarios for the planning board. A scenario snapshots every
+ * order's work centre and queue position; moves and reorders inside it only
+ * touch the snapshot. Publishing writes the scenario's changes to the live
+ * board in one transaction and removes the scenario; discarding just removes it.
+ *
+ * Each snapshot row also keeps the live assignment it was taken from
+ * (base_work_centre_id / base_work_centre_position) so publishing can spot
+ * orders that have moved on the live board since.
+ */
+class PlanningScenario {
+  constructor() {
+    this.db = getDatabase();
+    this.table = 'planning_scenarios';
+    this.ordersTable = 'planning_scenario_orders';
+  }
+
+  /**
+   * Create a scenario from the current live board
+   * @param {Object} scenarioData - { name, description }
+   * @param {number} userId - User creating the scenario
+   * @returns {Object} The new scenario
+   * @note Uses database transaction so the snapshot is consistent
+   */
+  create(scenarioData, userId) {
+    const transaction = this.db.transaction(() => {
+      const result = this.db.prepare(`
+        INSERT INTO ${this.table} (name, description, created_by)
+        VALUES (?, ?, ?)
+      `).run(scenarioData.name, scenarioData.description || null, userId || null);
+
+      // Split orders are shown through their children, so only snapshot what the board shows
+      this.db.prepare(`
+        INSERT INTO ${this.ordersTable} (
+          scenario_id, order_id, work_centre_id, work_centre_position, base_work_centre_id, base_work_centre_position
+        )
+        SELECT ?, id, current_work_centre_id, work_centre_position, current_work_centre_id, work_centre_position
+        FROM manufacturing_orders
+        WHERE is_split = 0
+      `).run(result.lastInsertRowid);
+
+      return this.findById(result.lastInsertRowid);
+    });
+
+    return transaction();
+  }
+
+  // Find a scenario with its order and change counts
+  findById(id) {
+    return this.db.prepare(`
+      SELECT
+        s.*,
+        u.username as created_by_username,
+        (SELECT COUNT(*) FROM ${this.ordersTable} so WHERE so.scenario_id = s.id) as order_count,
+        (SELECT COUNT(*) FROM ${this.ordersTable} so WHERE so.scenario_id = s.id AND ${CHANGED_CONDITION}) as changed_count
+      FROM ${this.table} s
+      LEFT JOIN users u ON s.created_by = u.id
+      WHERE s.id = ?
+    `).get(id);
+  }
+
+  // Find a scenario by name
+  findByName(name) {
+    return this.db.prepare(`SELECT * FROM ${this.table} WHERE name = ?`).get(name);
+  }
+
+  // List every scenario, newest first
+  findAll() {
+    return this.db.prepare(`
+      SELECT
+        s.*,
+        u.username as created_by_username,
+        (SELECT COUNT(*) FROM ${this.ordersTable} so WHERE so.scenario_id = s.id AND ${CHANGED_CONDITION}) as changed_count
+      FROM ${this.table} s
+      LEFT JOIN users u ON s.created_by = u.id
+      ORDER BY s.updated_at DESC, s.id DESC
+    `).all();
+  }
+
+  /**
+   * Get the orders in a scenario with their scenario and live assignments
+   * @param {number} scenarioId - Scenario ID
+   * @returns {Array} Rows of { order_id, order_number, status, priority, due_date, work_centre_id,
+   *   work_centre_position, live_work_centre_id, live_work_centre_position, changed }
+   */
+  getOrders(scenarioId) {
+    return this.db.prepare(`
+      SELECT
+        so.order_id,
+        mo.order_number,
+        mo.status,
+        mo.priority,
+        mo.due_date,
+        so.work_centre_id,
+        so.work_centre_position,
+        mo.current_work_centre_id as live_work_centre_id,
+        mo.work_centre_position as live_work_centre_position,
+        ${CHANGED_CONDITION} as changed
+      FROM ${this.ordersTable} so
+      JOIN manufacturing_orders mo ON so.order_id = mo.id
+      WHERE so.scenario_id = ?
+      ORDER BY so.work_centre_id, so.work_centre_position, so.order_id
+    `).all(scenarioId).map(row => ({ ...row, changed: Boolean(row.changed) }));
+  }
+
+  /**
+   * Get a scenario's assignments for laying over the live board
+   * @param {number} scenarioId - Scenario ID
+   * @returns {Map} order ID -> { work_centre_id, work_centre_position }
+   */
+  getAssignments(scenarioId) {
+    const rows = this.db.prepare(`
+      SELECT order_id, work_centre_id, work_centre_position
+      FROM ${this.ordersTable}
+      WHERE scenario_id = ?
+    `).all(scenarioId);
+
+    return new Map(rows.map(row => [row.order_id, {
+      work_centre_id: row.work_centre_id,
+      work_centre_position: row.work_centre_position
+    }]));
+  }
+
+  /**
+   * Get the orders the scenario has moved
+   * @param {number} scenarioId - Scenario ID
+   * @returns {Array} Rows of { order_id, order_number, from_work_centre_id, from_position, to_work_centre_id,
+   *   to_position, live_work_centre_id, live_position, live_changed }; live_changed is true when the live
+   *   board has moved the order since the scenario was taken
+   */
+  getChanges(scenarioId) {
+    return this.db.prepare(`
+      SELECT
+        so.order_id,
+        mo.order_number,
+        so.base_work_centre_id as from_work_centre_id,
+        so.base_work_centre_position as from_position,
+        so.work_centre_id as to_work_centre_id,
+        so.work_centre_position as to_position,
+        mo.current_work_centre_id as live_work_centre_id,
+        mo.work_centre_position as live_position,
+        (mo.current_work_centre_id IS NOT so.base_work_centre_id
+          OR mo.work_centre_position IS NOT so.base_work_centre_position) as live_changed
+      FROM ${this.ordersTable} so
+      JOIN manufacturing_orders mo ON so.order_id = mo.id
+      WHERE so.scenario_id = ? AND ${CHANGED_CONDITION}
+      ORDER BY so.work_centre_id, so.work_centre_position
+    `).all(scenarioId).map(row => ({ ...row, live_changed: Boolean(row.live_changed) }));
+  }
+
+  // Find one order's row in a scenario
+  findOrder(scenarioId, orderId) {
+    return this.db.prepare(`
+      SELECT * FROM ${this.ordersTable} WHERE scenario_id = ? AND order_id = ?
+    `).get(scenarioId, orderId);
+  }
+
+  // Mark the scenario as changed
+  _touch(scenarioId) {
+    this.db.prepare(`UPDATE ${this.table} SET updated_at = CURRENT_TIMESTAMP WHERE id = ?`).run(scenarioId);
+  }
+
+  // Renumber a scenario column 1..n without gaps
+  _compactPositions(scenarioId, workCentreId) {
+    const rows = this.db.prepare(`
+      SELECT order_id FROM ${this.ordersTable}
+      WHERE scenario_id = ? AND work_centre_id = ?
+      ORDER BY work_centre_position, order_id
+    `).all(scenarioId, workCentreId);
+
+    const updateStmt = this.db.prepare(`
+      UPDATE ${this.ordersTable} SET work_centre_position = ? WHERE scenario_id = ? AND order_id = ?
+    `);
+    rows.forEach((row, index) => updateStmt.run(index + 1, scenarioId, row.order_id));
+  }
+
+  /**
+   * Move an order to the end of another work centre's queue inside a scenario
+   * (the same semantics as a live planning board move)
+   * @param {number} scenarioId - Scenario ID
+   * @param {number} orderId - Order to move
+   * @param {number} toWorkCentreId - Destination work centre
+   * @returns {Object} The order's scenario row after the move
+   * @note Uses database transaction
+   */
+  moveOrder(scenarioId, orderId, toWorkCentreId) {
+    const transaction = this.db.transaction(() => {
+      const row = this.findOrder(scenarioId, orderId);
+      if (!row) {
+        throw new Error('Order is not part of this scenario');
+      }
+
+      const { max_pos: maxPosition } = this.db.prepare(`
+        SELECT COALESCE(MAX(work_centre_position), 0) as max_pos
+        FROM ${this.ordersTable}
+        WHERE scenario_id = ? AND work_centre_id = ?
+      `).get(scenarioId, toWorkCentreId);
+
+      this.db.prepare(`
+        UPDATE ${this.ordersTable}
+        SET work_centre_id = ?, work_centre_position = ?
+        WHERE scenario_id = ? AND order_id = ?
+      `).run(toWorkCentreId, maxPosition + 1, scenarioId, orderId);
+
+      this._touch(scenarioId);
+
+      return this.findOrder(scenarioId, orderId);
+    });
+
+    return transaction();
+  }
+
+  /**
+   * Reorder a work centre queue inside a scenario (the same rules as ManufacturingOrder.reorderInWorkCentre)
+   * @param {number} scenarioId - Scenario ID
+   * @param {number} workCentreId - Work centre whose queue is reordered
+   * @param {Array} orderPositions - [{ order_id, position }]
+   * @returns {Object} { changes }
+   * @note Uses database transaction
+   */
+  reorderInWorkCentre(scenarioId, workCentreId, orderPositions) {
+    const transaction = this.db.transaction(() => {
+      const orderIds = orderPositions.map(op => op.order_id);
+      const placeholders = orderIds.map(() => '?').join(',');
+
+      const existing = this.db.prepare(`
+        SELECT order_id FROM ${this.ordersTable}
+        WHERE scenario_id = ? AND work_centre_id = ? AND order_id IN (${placeholders})
+      `).all(scenarioId, workCentreId, ...orderIds);
+
+      if (existing.length !== orderIds.length) {
+        throw new Error('Some orders do not belong to the specified work centre');
+      }
+
+      for (const { position } of orderPositions) {
+        if (!Number.isInteger(position) || position < 1) {
+          throw new Error('Positions must be positive integers');
+        }
+      }
+
+      const updateStmt = this.db.prepare(`
+        UPDATE ${this.ordersTable}
+        SET work_centre_position = ?
+        WHERE scenario_id = ? AND order_id = ? AND work_centre_id = ?
+      `);
+
+      let totalChanges = 0;
+      for (const { order_id, position } of orderPositions) {
+        totalChanges += updateStmt.run(position, scenarioId, order_id, workCentreId).changes;
+      }
+
+      this._compactPositions(scenarioId, workCentreId);
+      this._touch(scenarioId);
+
+      return { changes: totalChanges };
+    });
+
+    return transaction();
+  }
+
+  /**
+   * Publish a scenario to the live board and remove it
+   * @param {number} scenarioId - Scenario ID
+   * @param {number} userId - User publishing (for audit trail)
+   * @returns {Object} { scenario, changes } - the published scenario and the orders it moved
+   * @note Uses database transaction so the live board never shows a half-published scenario.
+   *       Every work centre the scenario changed takes the scenario's queue order; orders added to
+   *       live since the scenario was taken keep their place behind it. Writes a single audit entry.
+   */
+  publish(scenarioId, userId) {
+    const transaction = this.db.transaction(() => {
+      const scenario = this.findById(scenarioId);
+      const changes = this.getChanges(scenarioId);
+
+      const affectedWorkCentreIds = new Set();
+      changes.forEach(change => {
+        [change.to_work_centre_id, change.from_work_centre_id, change.live_work_centre_id]
+          .filter(Boolean)
+          .forEach(id => affectedWorkCentreIds.add(id));
+      });
+
+      const updateOrder = this.db.prepare(`
+        UPDATE manufacturing_orders
+        SET current_work_centre_id = ?, work_centre_position = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `);
+
+      // Moved orders go where the scenario put them; the rest of an affected queue takes its scenario
+      // order unless live has since moved the order somewhere else
+      const rows = this.db.prepare(`
+        SELECT so.order_id, so.work_centre_id, so.work_centre_position, mo.current_work_centre_id as live_work_centre_id,
+               ${CHANGED_CONDITION} as changed
+        FROM ${this.ordersTable} so
+        JOIN manufacturing_orders mo ON so.order_id = mo.id
+        WHERE so.scenario_id = ?
+      `).all(scenarioId);
+
+      rows
+        .filter(row => affectedWorkCentreIds.has(row.work_centre_id))
+        .filter(row => row.changed || row.live_work_centre_id === row.work_centre_id)
+        .forEach(row => updateOrder.run(row.work_centre_id, row.work_centre_position, row.order_id));
+
+      // Renumber each affected queue: scenario orders in scenario order, then anything newer
+      const compactStmt = this.db.prepare(`
+        SELECT mo.id
+        FROM manufacturing_orders mo
+        LEFT JOIN ${this.ordersTable} so ON so.order_id = mo.id AND so.scenario_id = ?
+        WHERE mo.current_work_centre_id = ?
+        ORDER BY so.order_id IS NULL, mo.work_centre_position, mo.id
+      `);
+      const updatePosition = this.db.prepare(`
+        UPDATE manufacturing_orders SET work_centre_position = ? WHERE id = ?
+      `);
+      affectedWorkCentreIds.forEach(workCentreId => {
+        compactStmt.all(scenarioId, workCentreId)
+          .forEach((order, index) => updatePosition.run(index + 1, order.id));
+      });
+
+      AuditLog.create({
+        event_type: AUDIT_EVENTS.SCENARIO_PUBLISHED,
+        user_id: userId,
+        event_data: {
+          scenario_id: scenario.id,
+          scenario_name: scenario.name,
+          orders_changed: changes.length,
+          work_centre_ids: [...affectedWorkCentreIds],
+          changes: changes.map(change => ({
+            order_id: change.order_id,
+            order_number: change.order_number,
+            from_work_centre_id: change.from_work_centre_id,
+            to_work_centre_id: change.to_work_centre_id,
+            to_position: change.to_position
+          }))
+        }
+      });
+
+      this.db.prepare(`DELETE FROM ${this.table} WHERE id = ?`).run(scenarioId);
+
+      return { scenario, changes };
+    });
+
+    return transaction();
+  }
+
+  // Discard a scenario
+  delete(id) {
+    const result = this.db.prepare(`DELETE FROM ${this.table} WHERE id = ?`).run(id);
+    return result.changes > 0;
+  }
+}
+
+module.exports = new PlanningScenario();
@@ -0,0 +1,191 @@
+const { getDatabase } = require('../utils/database');
+const ManufacturingStep = require('./ManufacturingStep');
+
+/**
+ * RoutingTemplate Model
+ * =====================
+ *
+ * Handles routing templates: the ordered operations used to make a stock code.
+ *
+ * Versioning rules:
+ * - Saving a routing never edits it in place; it adds version n+1 and makes
+ *   it the current (active) version
+ * - Retiring a routing deactivates its current version, keeping the history
+ * - Orders copy the current version's operations into their own steps and
+ *   remember which version they came from, so in-flight orders keep the
+ *   routing they were created with
+ */
+class RoutingTemplate {
+  constructor() {
+    this.db = getDatabase();
+    this.table = 'routing_templates';
+    this.operationsTable = 'routing_template_operations';
+  }
+
+  // Convert SQLite 0/1 integers to proper booleans for API responses
+  convertBooleans(obj, field) {
+    if (!obj) return obj;
+    return { ...obj, [field]: Boolean(obj[field]) };
+  }
+
+  // Attach the operations (with work centre details) to a template row
+  _withOperations(template) {
+    if (!template) return null;
+
+    const operations = this.db.prepare(`
+      SELECT
+        rto.id, rto.step_number, rto.operation_name, rto.work_centre_id,
+        rto.planned_duration_minutes, rto.setup_minutes,
+        wc.code as work_centre_code,
+        wc.name as work_centre_name
+      FROM ${this.operationsTable} rto
+      LEFT JOIN work_centres wc ON rto.work_centre_id = wc.id
+      WHERE rto.routing_template_id = ?
+      ORDER BY rto.step_number
+    `).all(template.id);
+
+    return { ...this.convertBooleans(template, 'is_active'), operations };
+  }
+
+  // Find template version by ID with its operations
+  findById(id) {
+    const template = this.db.prepare(`SELECT * FROM ${this.table} WHERE id = ?`).get(id);
+    return this._withOperations(template);
+  }
+
+  // Find the current (active) version for a stock code
+  findCurrent(stockCode) {
+    const template = this.db.prepare(`
+      SELECT * FROM ${this.table}
+      WHERE stock_code = ? AND is_active = 1
+    `).get(stockCode);
+
+    return this._withOperations(template);
+  }
+
+  // Find a specific version for a stock code
+  findVersion(stockCode, version) {
+    const template = this.db.prepare(`
+      SELECT * FROM ${this.table}
+      WHERE stock_code = ? AND version = ?
+    `).get(stockCode, version);
+
+    return this._withOperations(template);
+  }
+
+  // Get the current version of every active routing
+  findAll(filters = {}) {
+    let query = `
+      SELECT
+        rt.*,
+        u.username as created_by_username,
+        (SELECT COUNT(*) FROM ${this.operationsTable} WHERE routing_template_id = rt.id) as operation_count
+      FROM ${this.table} rt
+      LEFT JOIN users u ON rt.created_by = u.id
+      WHERE rt.is_active = 1
+    `;
+    const params = [];
+
+    if (filters.search) {
+      query += ' AND (rt.stock_code LIKE ? OR rt.description LIKE ?)';
+      params.push(`%${filters.search}%`, `%${filters.search}%`);
+    }
+
+    query += ' ORDER BY rt.stock_code';
+
+    return this.db.prepare(query).all(...params).map(template => this.convertBooleans(template, 'is_active'));
+  }
+
+  // List every version of a stock code's routing, newest first, with how many orders use each
+  getVersions(stockCode) {
+    return this.db.prepare(`
+      SELECT
+        rt.id, rt.version, rt.description, rt.is_active, rt.created_at,
+        u.username as created_by_username,
+        (SELECT COUNT(*) FROM manufacturing_orders WHERE routing_template_id = rt.id) as order_count
+      FROM ${this.table} rt
+      LEFT JOIN users u ON rt.created_by = u.id
+      WHERE rt.stock_code = ?
+      ORDER BY rt.version DESC
+    `).all(stockCode).map(version => this.convertBooleans(version, 'is_active'));
+  }
+
+  /**
+   * Save a new version of a stock code's routing and make it current
+   * @param {string} stockCode - Stock code the routing is for
+   * @param {Object} templateData - { description, operations: [{ step_number, operation_name, work_centre_id, planned_duration_minutes, setup_minutes }] }
+   * @param {number} userId - User saving the routing
+   * @returns {Object} The new version with its operations
+   * @note Uses database transaction; previous versions are deactivated, not changed
+   */
+  createVersion(stockCode, templateData, userId) {
+    const transaction = this.db.transaction(() => {
+      const { latest } = this.db.prepare(`
+        SELECT MAX(version) as latest FROM ${this.table} WHERE stock_code = ?
+      `).get(stockCode);
+
+      this.db.prepare(`
+        UPDATE ${this.table} SET is_active = 0 WHERE stock_code = ? AND is_active = 1
+      `).run(stockCode);
+
+      const result = this.db.prepare(`
+        INSERT INTO ${this.table} (stock_code, version, description, is_active, created_by)
+        VALUES (?, ?, ?, 1, ?)
+      `).run(stockCode, (latest || 0) + 1, templateData.description || null, userId || null);
+
+      const insertOperation = this.db.prepare(`
+        INSERT INTO ${this.operationsTable} (
+          routing_template_id, step_number, operation_name, work_centre_id,
+          planned_duration_minutes, setup_minutes
+        ) VALUES (?, ?, ?, ?, ?, ?)
+      `);
+
+      templateData.operations.forEach((operation, index) => {
+        insertOperation.run(
+          result.lastInsertRowid,
+          operation.step_number || index + 1,
+          operation.operation_name,
+          operation.work_centre_id,
+          operation.planned_duration_minutes || null,
+          operation.setup_minutes || 0
+        );
+      });
+
+      return this.findById(result.lastInsertRowid);
+    });
+
+    return transaction();
+  }
+
+  // Retire a stock code's routing (deactivate the current version, keep history)
+  retire(stockCode) {
+    const result = this.db.prepare(`
+      UPDATE ${this.table} SET is_active = 0 WHERE stock_code = ? AND is_active = 1
+    `).run(stockCode);
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Generate an order's steps from the current routing for its stock code
+   * @param {number} orderId - Order to generate steps for
+   * @param {string} stockCode - Order's stock code
+   * @returns {Object|null} Routing version used, or null if the stock code has no routing
+   */
+  generateStepsForOrder(orderId, stockCode) {
+    const template = this.findCurrent(stockCode);
+    if (!template || template.operations.length === 0) return null;
+
+    const transaction = this.db.transaction(() => {
+      ManufacturingStep.createStepsForOrder(orderId, template.operations);
+      this.db.prepare(`
+        UPDATE manufacturing_orders SET routing_template_id = ? WHERE id = ?
+      `).run(template.id, orderId);
+    });
+
+    transaction();
+    return template;
+  }
+}
+
+module.exports = new RoutingTemplate();
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { getDatabase } = require('../utils/database');
+const UserSettings = require('./UserSettings');
+
+// Each view is one of its owner's settings, keyed by this prefix and the view ID
+const KEY_PREFIX = 'saved_view:';
+
+/**
+ * SavedView Model
+ * ===============
+ *
+ * Named views of the orders table or the planning board: filters, sort,
+ * visible columns, collapsed cards and visible work centres. Each view is
+ * stored as one of its owner's user settings, so the view belongs to the
+ * owner, and can be shared with everyone holding a role or with all users.
+ *
+ * The view state is kept as the client sent it (see schemas.savedView).
+ */
+class SavedView {
+  constructor() {
+    this.db = getDatabase();
+    this.table = 'user_settings';
+  }
+
+  /**
+   * Turn a saved view setting row into the API shape
+   * @param {Object} row - user_settings row with its JSON value parsed, plus owner_username
+   * @returns {Object} View ({ id, name, page, state, shared_with, shared_role, owner_id, owner_username, updated_at })
+   * @private
+   */
+  _toView(row) {
+    const { name, page, state, shared_with, shared_role } = row.setting_value;
+    return {
+      id: row.setting_key.slice(KEY_PREFIX.length),
+      name,
+      page,
+      state,
+      shared_with,
+      shared_role: shared_role || null,
+      owner_id: row.user_id,
+      owner_username: row.owner_username,
+      updated_at: row.updated_at
+    };
+  }
+
+  /**
+   * Find a saved view by ID
+   * @param {string} id - View ID
+   * @returns {Object|null} View, or null if there is none
+   */
+  findById(id) {
+    const row = this.db.prepare(`
+      SELECT us.*, u.username as owner_username
+      FROM ${this.table} us
+      JOIN users u ON us.user_id = u.id
+      WHERE us.setting_key = ?
+    `).get(KEY_PREFIX + id);
+
+    if (!row) return null;
+
+    row.setting_value = JSON.parse(row.setting_value);
+    return this._toView(row);
+  }
+
+  /**
+   * List the views a user can pick: their own, plus those shared with their role or with all users
+   * @param {Object} user - Requesting user ({ id, role })
+   * @param {string} [page] - Only views of this page ('orders' or 'planning')
+   * @returns {Array} Views, the user's own first, then by name
+   */
+  findVisibleTo(user, page) {
+    const rows = this.db.prepare(`
+      SELECT us.*, u.username as owner_username
+      FROM ${this.table} us
+      JOIN users u ON us.user_id = u.id
+      WHERE substr(us.setting_key, 1, @prefixLength) = @prefix
+        AND (CAST(@page AS TEXT) IS NULL OR json_extract(us.setting_value, '$.page') = @page)
+        AND (
+          us.user_id = @userId
+          OR json_extract(us.setting_value, '$.shared_with') = 'all'
+          OR (json_extract(us.setting_value, '$.shared_with') = 'role'
+            AND json_extract(us.setting_value, '$.shared_role') = @role)
+        )
+      ORDER BY us.user_id != @userId, json_extract(us.setting_value, '$.name') COLLATE NOCASE
+    `).all({
+      prefix: KEY_PREFIX,
+      prefixLength: KEY_PREFIX.length,
+      page: page || null,
+      userId: user.id,
+      role: user.role
+    });
+
+    return rows.map(row => {
+      row.setting_value = JSON.parse(row.setting_value);
+      return this._toView(row);
+    });
+  }
+
+  /**
+   * Whether a user may open a view
+   * @param {Object} view - Saved view
+   * @param {Object} user - Requesting user ({ id, role })
+   * @returns {boolean} True for the owner and for users the view is shared with
+   */
+  isVisibleTo(view, user) {
+    return view.owner_id === user.id ||
+      view.shared_with === 'all' ||
+      view.shared_with === 'role' && view.shared_role === user.role;
+  }
+
+  /**
+   * Save a new view for a user
+   * @param {number} userId - Owner
+   * @param {Object} viewData - { name, page, state, shared_with, shared_role }
+   * @returns {Object} Created view
+   */
+  create(userId, viewData) {
+    const id = crypto.randomUUID();
+    UserSettings.set(userId, KEY_PREFIX + id, this._toSetting(viewData));
+    return this.findById(id);
+  }
+
+  /**
+   * Replace a view's name, state and sharing; it stays with its owner
+   * @param {string} id - View ID
+   * @param {Object} viewData - { name, page, state, shared_with, shared_role }
+   * @returns {Object|null} Updated view, or null if there is none
+   */
+  update(id, viewData) {
+    const view = this.findById(id);
+    if (!view) return null;
+
+    UserSettings.set(view.owner_id, KEY_PREFIX + id, this._toSetting(viewData));
+    return this.findById(id);
+  }
+
+  /**
+   * Delete a view
+   * @param {string} id - View ID
+   * @returns {boolean} True if the view existed
+   */
+  delete(id) {
+    const view = this.findById(id);
+    if (!view) return false;
+
+    UserSettings.delete(view.owner_id, KEY_PREFIX + id);
+    return true;
+  }
+
+  /**
+   * Setting value stored for a view
+   * @param {Object} viewData - { name, page, state, shared_with, shared_role }
+   * @returns {Object} Setting value; shared_role is only kept for views shared with a role
+   * @private
+   */
+  _toSetting({ name, page, state, shared_with, shared_role }) {
+    return {
+      name,
+      page,
+      state,
+      shared_with,
+      ...shared_with === 'role' && { shared_role }
+    };
+  }
+}
+
+module.exports = new SavedView();
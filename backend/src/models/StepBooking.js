@@ -0,0 +1,136 @@
+const { getDatabase } = require('../utils/database');
+
+/**
+ * StepBooking Model
+ * =================
+ *
+ * Handles quantity bookings against manufacturing steps. Operators can book
+ * good, scrap and rework quantities any number of times while a step runs.
+ *
+ * Derived quantities:
+ * - A step's quantity_completed, scrap_quantity and rework_quantity are the
+ *   sums of its bookings
+ * - An order's quantity_completed is the good quantity of its last step
+ *   (skipped steps are ignored)
+ */
+class StepBooking {
+  constructor() {
+    this.db = getDatabase();
+    this.table = 'step_bookings';
+  }
+
+  // Find booking by ID
+  findById(id) {
+    return this.db.prepare(`
+      SELECT sb.*, u.username as booked_by_username
+      FROM ${this.table} sb
+      LEFT JOIN users u ON sb.booked_by = u.id
+      WHERE sb.id = ?
+    `).get(id) || null;
+  }
+
+  // Find all bookings for a step, oldest first
+  findByStepId(stepId) {
+    return this.db.prepare(`
+      SELECT sb.*, u.username as booked_by_username
+      FROM ${this.table} sb
+      LEFT JOIN users u ON sb.booked_by = u.id
+      WHERE sb.step_id = ?
+      ORDER BY sb.booked_at, sb.id
+    `).all(stepId);
+  }
+
+  // Sum of a step's bookings
+  getStepTotals(stepId) {
+    return this.db.prepare(`
+      SELECT
+        COALESCE(SUM(good_quantity), 0) as good_quantity,
+        COALESCE(SUM(scrap_quantity), 0) as scrap_quantity,
+        COALESCE(SUM(rework_quantity), 0) as rework_quantity,
+        COUNT(*) as booking_count
+      FROM ${this.table}
+      WHERE step_id = ?
+    `).get(stepId);
+  }
+
+  /**
+   * Record a booking and update the step and order quantities
+   * @param {Object} step - Step being booked against
+   * @param {Object} bookingData - { good_quantity, scrap_quantity, rework_quantity, reason_code, notes }
+   * @param {number} userId - User making the booking
+   * @returns {Object} Created booking
+   * @note Uses database transaction
+   */
+  create(step, bookingData, userId) {
+    const transaction = this.db.transaction(() => {
+      const result = this.db.prepare(`
+        INSERT INTO ${this.table} (
+          step_id, order_id, good_quantity, scrap_quantity, rework_quantity,
+          reason_code, notes, booked_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        step.id,
+        step.order_id,
+        bookingData.good_quantity || 0,
+        bookingData.scrap_quantity || 0,
+        bookingData.rework_quantity || 0,
+        bookingData.reason_code || null,
+        bookingData.notes || null,
+        userId || null
+      );
+
+      this._refreshStepTotals(step.id);
+      this.refreshOrderQuantity(step.order_id);
+
+      return this.findById(result.lastInsertRowid);
+    });
+
+    return transaction();
+  }
+
+  /**
+   * Remove a booking (e.g. a mis-booking) and update the step and order quantities
+   * @param {Object} booking - Booking to remove
+   * @note Uses database transaction
+   */
+  delete(booking) {
+    const transaction = this.db.transaction(() => {
+      this.db.prepare(`DELETE FROM ${this.table} WHERE id = ?`).run(booking.id);
+      this._refreshStepTotals(booking.step_id);
+      this.refreshOrderQuantity(booking.order_id);
+    });
+
+    transaction();
+  }
+
+  // Store the booking totals on the step
+  _refreshStepTotals(stepId) {
+    const totals = this.getStepTotals(stepId);
+
+    this.db.prepare(`
+      UPDATE manufacturing_steps
+      SET quantity_completed = ?, scrap_quantity = ?, rework_quantity = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(totals.good_quantity, totals.scrap_quantity, totals.rework_quantity, stepId);
+  }
+
+  // Derive the order's completed quantity from the good quantity of its last step
+  refreshOrderQuantity(orderId) {
+    const lastStep = this.db.prepare(`
+      SELECT quantity_completed FROM manufacturing_steps
+      WHERE order_id = ? AND status != 'skipped'
+      ORDER BY step_number DESC
+      LIMIT 1
+    `).get(orderId);
+
+    if (!lastStep) return;
+
+    this.db.prepare(`
+      UPDATE manufacturing_orders
+      SET quantity_completed = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(lastStep.quantity_completed || 0, orderId);
+  }
+}
+
+module.exports = new StepBooking();
@@ -18,6 +18,9 @@ class WorkCentre {
     if (typeof converted.is_active === 'number') {
       converted.is_active = Boolean(converted.is_active);
     }
+    if (typeof converted.auto_move_on_step_complete === 'number') {
+      converted.auto_move_on_step_complete = Boolean(converted.auto_move_on_step_complete);
+    }
 
     // Convert machines array if present
     if (converted.machines && Array.isArray(converted.machines)) {
@@ -33,8 +36,8 @@ class WorkCentre {
   // Create a new work centre
   create(workCentreData) {
     const stmt = this.db.prepare(`
-      INSERT INTO ${this.table} (name, code, description, capacity, display_order, is_active)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO ${this.table} (name, code, description, capacity, display_order, is_active, auto_move_on_step_complete)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
     `);
 
     const result = stmt.run(
@@ -43,7 +46,8 @@ class WorkCentre {
       workCentreData.description || null,
       workCentreData.capacity || 1,
       workCentreData.display_order || 0,
-      workCentreData.is_active !== undefined ? workCentreData.is_active ? 1 : 0 : 1
+      workCentreData.is_active !== undefined ? workCentreData.is_active ? 1 : 0 : 1,
+      workCentreData.auto_move_on_step_complete ? 1 : 0
     );
 
     return this.convertBooleans(this.findById(result.lastInsertRowid));
@@ -121,8 +125,16 @@ class WorkCentre {
     return this.convertBooleans(workCentres);
   }
 
-  // Update work centre
-  update(id, workCentreData) {
+  /**
+   * Update a work centre
+   * @param {number} id - Work centre ID
+   * @param {Object} workCentreData - Fields to change
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.expectedVersion] - Only update if the work centre is still at this version
+   * @returns {Object} Updated work centre
+   * @throws {Error} code VERSION_CONFLICT if the work centre is no longer at expectedVersion
+   */
+  update(id, workCentreData, { expectedVersion } = {}) {
     const fields = [];
     const values = [];
 
@@ -154,18 +166,33 @@ class WorkCentre {
       fields.push('is_active = ?');
       values.push(workCentreData.is_active ? 1 : 0);
     }
+    if (workCentreData.auto_move_on_step_complete !== undefined) {
+      fields.push('auto_move_on_step_complete = ?');
+      values.push(workCentreData.auto_move_on_step_complete ? 1 : 0);
+    }
 
     if (fields.length === 0) {
-      return this.findById(id);
+      const unchanged = this.findById(id);
+      if (unchanged && expectedVersion !== undefined && unchanged.version !== expectedVersion) {
+        throw this._versionConflict(id);
+      }
+      return unchanged;
     }
 
     fields.push('updated_at = CURRENT_TIMESTAMP');
     values.push(id);
 
+    // With expectedVersion the check and the write are one statement, so no other process can get between them
+    let versionCondition = '';
+    if (expectedVersion !== undefined) {
+      versionCondition = ' AND version = ?';
+      values.push(expectedVersion);
+    }
+
     const query = `
       UPDATE ${this.table}
       SET ${fields.join(', ')}
-      WHERE id = ?
+      WHERE id = ?${versionCondition}
     `;
 
     // Parameter count safety check
@@ -175,10 +202,21 @@ class WorkCentre {
     }
 
     const stmt = this.db.prepare(query);
-    stmt.run(...values);
+    const result = stmt.run(...values);
+    if (expectedVersion !== undefined && result.changes === 0 && this.findById(id)) {
+      throw this._versionConflict(id);
+    }
     return this.convertBooleans(this.findById(id));
   }
 
+  /**
+   * Error for an update made against an old version
+   * @private
+   */
+  _versionConflict(id) {
+    return Object.assign(new Error(`Work centre ${id} has been changed by someone else since it was read`), { code: 'VERSION_CONFLICT' });
+  }
+
   // Delete work centre (soft delete)
   delete(id) {
     const stmt = this.db.prepare(`
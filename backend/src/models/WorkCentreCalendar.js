@@ -0,0 +1,349 @@
+const { getDatabase } = require('../utils/database');
+const { localDateString } = require('../utils/workingCalendar');
+
+/**
+ * WorkCentreCalendar Model
+ * ========================
+ *
+ * Handles shift patterns, calendar exceptions and which pattern applies to
+ * each work centre.
+ *
+ * Resolution rules:
+ * - A work centre uses its own shift pattern when one is assigned
+ * - Otherwise it uses the default pattern (is_default = 1), if any
+ * - With no pattern at all the work centre is treated as running 24/7
+ * - Site-wide exceptions (work_centre_id NULL) apply to every work centre
+ */
+class WorkCentreCalendar {
+  constructor() {
+    this.db = getDatabase();
+    this.patternsTable = 'shift_patterns';
+    this.shiftsTable = 'shift_pattern_shifts';
+    this.exceptionsTable = 'calendar_exceptions';
+  }
+
+  // Convert SQLite 0/1 integers to proper booleans for API responses
+  convertBooleans(obj, field) {
+    if (!obj) return obj;
+    return { ...obj, [field]: Boolean(obj[field]) };
+  }
+
+  // Insert the shifts belonging to a pattern
+  _insertShifts(patternId, shifts) {
+    const stmt = this.db.prepare(`
+      INSERT INTO ${this.shiftsTable} (shift_pattern_id, day_of_week, start_time, end_time, name)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    for (const shift of shifts) {
+      stmt.run(patternId, shift.day_of_week, shift.start_time, shift.end_time, shift.name || null);
+    }
+  }
+
+  // Only one pattern may be the default
+  _clearDefaultPattern(exceptId) {
+    this.db.prepare(`
+      UPDATE ${this.patternsTable}
+      SET is_default = 0, updated_at = CURRENT_TIMESTAMP
+      WHERE is_default = 1 AND id != ?
+    `).run(exceptId);
+  }
+
+  // Create a shift pattern with its shifts
+  createPattern(patternData) {
+    const transaction = this.db.transaction(() => {
+      const result = this.db.prepare(`
+        INSERT INTO ${this.patternsTable} (name, description, is_default)
+        VALUES (?, ?, ?)
+      `).run(
+        patternData.name,
+        patternData.description || null,
+        patternData.is_default ? 1 : 0
+      );
+
+      const patternId = result.lastInsertRowid;
+      if (patternData.is_default) {
+        this._clearDefaultPattern(patternId);
+      }
+      this._insertShifts(patternId, patternData.shifts || []);
+
+      return this.findPatternById(patternId);
+    });
+
+    return transaction();
+  }
+
+  // Find shift pattern by ID with its shifts
+  findPatternById(id) {
+    const pattern = this.db.prepare(`
+      SELECT * FROM ${this.patternsTable} WHERE id = ?
+    `).get(id);
+
+    if (!pattern) return null;
+
+    pattern.shifts = this.db.prepare(`
+      SELECT id, day_of_week, start_time, end_time, name
+      FROM ${this.shiftsTable}
+      WHERE shift_pattern_id = ?
+      ORDER BY day_of_week, start_time
+    `).all(id);
+
+    return this.convertBooleans(pattern, 'is_default');
+  }
+
+  // Find pattern by name
+  findPatternByName(name) {
+    return this.db.prepare(`SELECT * FROM ${this.patternsTable} WHERE name = ?`).get(name) || null;
+  }
+
+  // Get all shift patterns with shifts and the work centres using them
+  findAllPatterns() {
+    const patterns = this.db.prepare(`
+      SELECT sp.*, COUNT(wc.id) as work_centre_count
+      FROM ${this.patternsTable} sp
+      LEFT JOIN work_centres wc ON wc.shift_pattern_id = sp.id AND wc.is_active = 1
+      GROUP BY sp.id
+      ORDER BY sp.name
+    `).all();
+
+    const shifts = this.db.prepare(`
+      SELECT id, shift_pattern_id, day_of_week, start_time, end_time, name
+      FROM ${this.shiftsTable}
+      ORDER BY shift_pattern_id, day_of_week, start_time
+    `).all();
+
+    return patterns.map(pattern => ({
+      ...this.convertBooleans(pattern, 'is_default'),
+      shifts: shifts
+        .filter(shift => shift.shift_pattern_id === pattern.id)
+        .map(({ shift_pattern_id, ...shift }) => shift)
+    }));
+  }
+
+  // Update a shift pattern; a shifts array replaces all existing shifts
+  updatePattern(id, patternData) {
+    const transaction = this.db.transaction(() => {
+      const fields = [];
+      const values = [];
+
+      if (patternData.name !== undefined) {
+        fields.push('name = ?');
+        values.push(patternData.name);
+      }
+      if (patternData.description !== undefined) {
+        fields.push('description = ?');
+        values.push(patternData.description);
+      }
+      if (patternData.is_default !== undefined) {
+        fields.push('is_default = ?');
+        values.push(patternData.is_default ? 1 : 0);
+      }
+
+      if (fields.length > 0) {
+        fields.push('updated_at = CURRENT_TIMESTAMP');
+        values.push(id);
+        this.db.prepare(`
+          UPDATE ${this.patternsTable}
+          SET ${fields.join(', ')}
+          WHERE id = ?
+        `).run(...values);
+      }
+
+      if (patternData.is_default) {
+        this._clearDefaultPattern(id);
+      }
+
+      if (patternData.shifts !== undefined) {
+        this.db.prepare(`DELETE FROM ${this.shiftsTable} WHERE shift_pattern_id = ?`).run(id);
+        this._insertShifts(id, patternData.shifts);
+      }
+
+      return this.findPatternById(id);
+    });
+
+    return transaction();
+  }
+
+  // Work centres currently assigned to a pattern
+  getPatternUsage(id) {
+    return this.db.prepare(`
+      SELECT id, code, name FROM work_centres WHERE shift_pattern_id = ? ORDER BY name
+    `).all(id);
+  }
+
+  // Delete a shift pattern and its shifts
+  deletePattern(id) {
+    const transaction = this.db.transaction(() => {
+      this.db.prepare(`DELETE FROM ${this.shiftsTable} WHERE shift_pattern_id = ?`).run(id);
+      return this.db.prepare(`DELETE FROM ${this.patternsTable} WHERE id = ?`).run(id);
+    });
+
+    return transaction();
+  }
+
+  // Assign a shift pattern to a work centre (null = fall back to the default pattern)
+  assignPattern(workCentreId, patternId) {
+    this.db.prepare(`
+      UPDATE work_centres
+      SET shift_pattern_id = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(patternId, workCentreId);
+
+    return this.getCalendar(workCentreId);
+  }
+
+  // Create a calendar exception (work_centre_id null = site-wide)
+  createException(exceptionData) {
+    const result = this.db.prepare(`
+      INSERT INTO ${this.exceptionsTable} (
+        work_centre_id, exception_date, start_time, end_time, is_working, description, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      exceptionData.work_centre_id || null,
+      exceptionData.exception_date,
+      exceptionData.start_time || null,
+      exceptionData.end_time || null,
+      exceptionData.is_working ? 1 : 0,
+      exceptionData.description || null,
+      exceptionData.created_by || null
+    );
+
+    return this.findExceptionById(result.lastInsertRowid);
+  }
+
+  // Find calendar exception by ID
+  findExceptionById(id) {
+    const exception = this.db.prepare(`
+      SELECT * FROM ${this.exceptionsTable} WHERE id = ?
+    `).get(id);
+
+    return this.convertBooleans(exception, 'is_working');
+  }
+
+  /**
+   * Find calendar exceptions
+   * @param {Object} [filters={}] - Filter criteria
+   * @param {number} [filters.work_centre_id] - Exceptions for this work centre (plus site-wide ones)
+   * @param {boolean} [filters.site_wide_only=false] - Only exceptions without a work centre
+   * @param {string} [filters.from] - Earliest exception date (YYYY-MM-DD)
+   * @param {string} [filters.to] - Latest exception date (YYYY-MM-DD)
+   * @returns {Array} Exceptions ordered by date
+   */
+  findExceptions(filters = {}) {
+    const whereConditions = [];
+    const params = [];
+
+    if (filters.site_wide_only) {
+      whereConditions.push('work_centre_id IS NULL');
+    } else if (filters.work_centre_id) {
+      whereConditions.push('(work_centre_id = ? OR work_centre_id IS NULL)');
+      params.push(filters.work_centre_id);
+    }
+
+    if (filters.from) {
+      whereConditions.push('exception_date >= ?');
+      params.push(filters.from);
+    }
+
+    if (filters.to) {
+      whereConditions.push('exception_date <= ?');
+      params.push(filters.to);
+    }
+
+    const whereClause = whereConditions.length > 0 ? 'WHERE ' + whereConditions.join(' AND ') : '';
+
+    return this.db.prepare(`
+      SELECT * FROM ${this.exceptionsTable}
+      ${whereClause}
+      ORDER BY exception_date, start_time
+    `).all(...params).map(exception => this.convertBooleans(exception, 'is_working'));
+  }
+
+  // Update a calendar exception
+  updateException(id, exceptionData) {
+    const fields = [];
+    const values = [];
+
+    for (const field of ['exception_date', 'start_time', 'end_time', 'description']) {
+      if (exceptionData[field] !== undefined) {
+        fields.push(`${field} = ?`);
+        values.push(exceptionData[field]);
+      }
+    }
+    if (exceptionData.is_working !== undefined) {
+      fields.push('is_working = ?');
+      values.push(exceptionData.is_working ? 1 : 0);
+    }
+
+    if (fields.length > 0) {
+      values.push(id);
+      this.db.prepare(`
+        UPDATE ${this.exceptionsTable}
+        SET ${fields.join(', ')}
+        WHERE id = ?
+      `).run(...values);
+    }
+
+    return this.findExceptionById(id);
+  }
+
+  // Delete a calendar exception
+  deleteException(id) {
+    return this.db.prepare(`DELETE FROM ${this.exceptionsTable} WHERE id = ?`).run(id);
+  }
+
+  // Resolve the shift pattern that applies to a work centre
+  getEffectivePattern(workCentreId) {
+    const workCentre = this.db.prepare('SELECT shift_pattern_id FROM work_centres WHERE id = ?').get(workCentreId);
+
+    if (workCentre && workCentre.shift_pattern_id) {
+      return { source: 'work_centre', pattern: this.findPatternById(workCentre.shift_pattern_id) };
+    }
+
+    const defaultPattern = this.db.prepare(`SELECT id FROM ${this.patternsTable} WHERE is_default = 1`).get();
+    if (defaultPattern) {
+      return { source: 'default', pattern: this.findPatternById(defaultPattern.id) };
+    }
+
+    return { source: 'always_on', pattern: null };
+  }
+
+  // Get the calendar view of a work centre: effective pattern plus upcoming exceptions
+  getCalendar(workCentreId, { from, to } = {}) {
+    const { source, pattern } = this.getEffectivePattern(workCentreId);
+
+    return {
+      work_centre_id: workCentreId,
+      pattern_source: source,
+      shift_pattern: pattern,
+      exceptions: this.findExceptions({ work_centre_id: workCentreId, from: from || localDateString(new Date()), to })
+    };
+  }
+
+  /**
+   * Load calendars for every work centre in one pass for working-time arithmetic
+   * @returns {Map} work centre ID -> { shifts, exceptions } (see utils/workingCalendar)
+   */
+  loadAllCalendars() {
+    const workCentres = this.db.prepare('SELECT id, shift_pattern_id FROM work_centres').all();
+    const defaultPattern = this.db.prepare(`SELECT id FROM ${this.patternsTable} WHERE is_default = 1`).get();
+    const shifts = this.db.prepare(`SELECT shift_pattern_id, day_of_week, start_time, end_time FROM ${this.shiftsTable}`).all();
+    const exceptions = this.db.prepare(`SELECT * FROM ${this.exceptionsTable}`).all();
+
+    const calendars = new Map();
+    for (const wc of workCentres) {
+      const patternId = wc.shift_pattern_id || (defaultPattern ? defaultPattern.id : null);
+
+      calendars.set(wc.id, {
+        shifts: patternId ? shifts.filter(shift => shift.shift_pattern_id === patternId) : null,
+        exceptions: exceptions
+          .filter(exception => exception.work_centre_id === null || exception.work_centre_id === wc.id)
+          .map(exception => this.convertBooleans(exception, 'is_working'))
+      });
+    }
+
+    return calendars;
+  }
+}
+
+module.exports = new WorkCentreCalendar();
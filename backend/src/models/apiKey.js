@@ -61,10 +61,10 @@ class ApiKey {
     return result;
   }
 
-  // Find API key by system ID
+  // Find API key by system ID, with the key hash so the caller can verify a presented key
   findBySystemId(systemId) {
     const stmt = this.db.prepare(`
-      SELECT id, name, system_id, is_active, rate_limit, ip_whitelist,
+      SELECT id, name, key, system_id, is_active, rate_limit, ip_whitelist,
              created_at, last_used_at, expires_at, created_by, metadata
       FROM ${this.table}
       WHERE system_id = ? AND is_active = 1
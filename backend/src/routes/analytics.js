@@ -6,7 +6,7 @@ This module defines the analytics-related API endpoints for the factory_board ba
 All routes are prefixed with /api/analytics and require authentication.
 
 Routes provide access to various analytics and reporting features, such as dashboard metrics,
-cycle times, work centre performance, order flow, audit analytics, and production summary.
+cycle times, work centre performance, order flow, audit analytics, production summary and yield.
 
 Each route is protected by role-based permissions to ensure only authorized users can access analytics data.
 
@@ -88,6 +88,16 @@ router.get('/production-summary',
   AnalyticsController.getProductionSummary
 );
 
+/**
+ * GET /api/analytics/yield
+ * Returns good/scrap/rework totals and yield from step quantity bookings.
+ * Requires 'analytics:read' permission.
+ */
+router.get('/yield',
+  requirePermission('analytics:read'),
+  AnalyticsController.getYield
+);
+
 /**
  * GET /api/analytics/recent-activity
  * Returns recent activity from audit logs for dashboard display.
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const BackupsController = require('../controllers/backupsController');
+const { authenticateToken } = require('../middleware/auth');
+const { requireRole } = require('../middleware/permissions');
+const { validate, schemas } = require('../middleware/validation');
+
+// All routes require an admin, and SQLite
+router.use(authenticateToken);
+router.use(requireRole('admin'));
+router.use(BackupsController.requireSupported);
+
+// GET /api/admin/backups - List backups, newest first
+router.get('/', BackupsController.getBackups);
+
+// POST /api/admin/backups - Take a backup now
+router.post('/',
+  validate(schemas.backup.create),
+  BackupsController.createBackup
+);
+
+// GET /api/admin/backups/:id
+router.get('/:id',
+  validate(schemas.backup.id, 'params'),
+  BackupsController.getBackup
+);
+
+// GET /api/admin/backups/:id/download - Download the backup's database file
+router.get('/:id/download',
+  validate(schemas.backup.id, 'params'),
+  BackupsController.downloadBackup
+);
+
+// POST /api/admin/backups/:id/verify - Run the integrity check again
+router.post('/:id/verify',
+  validate(schemas.backup.id, 'params'),
+  BackupsController.verifyBackup
+);
+
+// POST /api/admin/backups/:id/restore - Replace the live data with the backup's
+router.post('/:id/restore',
+  validate(schemas.backup.id, 'params'),
+  BackupsController.restoreBackup
+);
+
+module.exports = router;
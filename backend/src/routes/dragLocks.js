@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const DragLocksController = require('../controllers/dragLocksController');
+const { authenticateToken } = require('../middleware/auth');
+const { requireRole } = require('../middleware/permissions');
+const { validateId } = require('../middleware/validation');
+
+// All routes require an admin
+router.use(authenticateToken);
+router.use(requireRole('admin'));
+
+// GET /api/admin/drag-locks - Every order currently locked for a drag
+router.get('/', DragLocksController.getLocks);
+
+// DELETE /api/admin/drag-locks/:id - Release the lock on an order, whoever holds it
+router.delete('/:id',
+  validateId(),
+  DragLocksController.releaseLock
+);
+
+module.exports = router;
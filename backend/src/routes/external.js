@@ -338,6 +338,9 @@ router.get('/orders/:orderNumber/status',
  *         $ref: '#/components/responses/ForbiddenError'
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Status change not allowed from the order's current status (code INVALID_TRANSITION), or the order
+ *           cannot enter the work centre until the orders it depends on are complete (code ORDER_BLOCKED)
  */
 // Validation schema for order progress updates
 const orderProgressSchema = Joi.object({
@@ -587,6 +590,29 @@ router.put('/orders/:orderNumber/move',
  *         $ref: '#/components/responses/ForbiddenError'
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Status change not allowed from the order's current status (code INVALID_TRANSITION)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 code:
+ *                   type: string
+ *                   example: "INVALID_TRANSITION"
+ *                 details:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                     to:
+ *                       type: string
+ *                     allowed_transitions:
+ *                       type: array
+ *                       items:
+ *                         type: string
  */
 
 // Validation schema for status updates
@@ -601,4 +627,172 @@ router.put('/orders/:orderNumber/status',
   OrdersController.updateOrderStatusFromExternal
 );
 
+/**
+ * @swagger
+ * /api/external/stock-levels:
+ *   get:
+ *     summary: Get component stock levels
+ *     description: Retrieve stock on hand, reserved and available quantities per component (API key required)
+ *     tags: [External Integration]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: X-System-ID
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: External system identifier
+ *       - in: query
+ *         name: component_code
+ *         schema:
+ *           type: string
+ *         description: Only return this component
+ *     responses:
+ *       200:
+ *         description: Stock levels retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Stock levels retrieved successfully"
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       component_code:
+ *                         type: string
+ *                       on_hand:
+ *                         type: number
+ *                       reserved:
+ *                         type: number
+ *                         description: Allocated to open orders but not yet issued
+ *                       available:
+ *                         type: number
+ *                         description: Free to allocate (on_hand - reserved)
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *   put:
+ *     summary: Push stock levels from external system
+ *     description: |
+ *       Set stock on hand per component to the ERP's figures (API key required).
+ *       Each difference is recorded as an adjustment in the inventory ledger; allocations to orders are kept.
+ *     tags: [External Integration]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: X-System-ID
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: External system identifier
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stock_levels
+ *             properties:
+ *               stock_levels:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - component_code
+ *                     - quantity_on_hand
+ *                   properties:
+ *                     component_code:
+ *                       type: string
+ *                       example: "STEEL-SHEET-2MM"
+ *                     quantity_on_hand:
+ *                       type: number
+ *                       minimum: 0
+ *                       example: 250
+ *               reference:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Reference recorded on the ledger adjustments, e.g. a stock count ID
+ *                 example: "STOCKTAKE-2024-11"
+ *     responses:
+ *       200:
+ *         description: Stock levels updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Stock levels updated successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     total_components:
+ *                       type: integer
+ *                     adjusted:
+ *                       type: integer
+ *                       description: Components whose stock on hand changed
+ *                     unchanged:
+ *                       type: integer
+ *                     stock_levels:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           component_code:
+ *                             type: string
+ *                           on_hand:
+ *                             type: number
+ *                           reserved:
+ *                             type: number
+ *                             description: Allocated to open orders but not yet issued
+ *                           available:
+ *                             type: number
+ *                             description: Free to allocate (on_hand - reserved)
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+const MaterialsController = require('../controllers/materialsController');
+
+// Validation schema for stock level queries
+const stockLevelQuerySchema = Joi.object({
+  component_code: Joi.string().max(50).optional()
+});
+
+router.get('/stock-levels',
+  requireApiKey,
+  validate(stockLevelQuerySchema, 'query'),
+  MaterialsController.getStockLevelsForExternal
+);
+
+// Validation schema for stock level pushes
+const stockLevelsSchema = Joi.object({
+  stock_levels: Joi.array().min(1).max(500).items(
+    Joi.object({
+      component_code: Joi.string().min(1).max(50).required(),
+      quantity_on_hand: Joi.number().min(0).required()
+    })
+  ).unique('component_code').required(),
+  reference: Joi.string().max(100).optional()
+});
+
+router.put('/stock-levels',
+  requireApiKey,
+  validate(stockLevelsSchema),
+  MaterialsController.updateStockLevelsFromExternal
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const MaterialsController = require('../controllers/materialsController');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { validate, schemas } = require('../middleware/validation');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// GET /api/materials/boms - Stock codes with a bill of materials
+router.get('/boms',
+  requirePermission('materials:read'),
+  validate(schemas.material.bomFilters, 'query'),
+  MaterialsController.getAllBoms
+);
+
+// GET /api/materials/boms/:stockCode
+router.get('/boms/:stockCode',
+  requirePermission('materials:read'),
+  MaterialsController.getBom
+);
+
+// PUT /api/materials/boms/:stockCode - Create or replace the component list
+router.put('/boms/:stockCode',
+  requirePermission('materials:write'),
+  validate(schemas.material.bom),
+  MaterialsController.saveBom
+);
+
+// DELETE /api/materials/boms/:stockCode
+router.delete('/boms/:stockCode',
+  requirePermission('materials:write'),
+  MaterialsController.deleteBom
+);
+
+// GET /api/materials/stock - On hand, reserved and available per component
+router.get('/stock',
+  requirePermission('materials:read'),
+  validate(schemas.material.stockFilters, 'query'),
+  MaterialsController.getStockLevels
+);
+
+// GET /api/materials/transactions - Inventory ledger, newest first
+router.get('/transactions',
+  requirePermission('materials:read'),
+  validate(schemas.material.transactionFilters, 'query'),
+  MaterialsController.getTransactions
+);
+
+// POST /api/materials/transactions - Record a receipt, issue, allocation or adjustment
+router.post('/transactions',
+  requirePermission('materials:write'),
+  validate(schemas.material.transaction),
+  MaterialsController.createTransaction
+);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const OrderArchiveController = require('../controllers/orderArchiveController');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { validate, validateId, schemas } = require('../middleware/validation');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// GET /api/orders/archive - List and search archived orders
+router.get('/',
+  requirePermission('orders:read'),
+  validate(schemas.query.archiveFilters, 'query'),
+  OrderArchiveController.getArchivedOrders
+);
+
+// POST /api/orders/archive - Archive orders now (or preview with dry_run)
+router.post('/',
+  requirePermission('orders:delete'),
+  validate(schemas.archive.run),
+  OrderArchiveController.archiveOrders
+);
+
+// GET /api/orders/archive/:id
+router.get('/:id',
+  validateId(),
+  requirePermission('orders:read'),
+  OrderArchiveController.getArchivedOrder
+);
+
+// POST /api/orders/archive/:id/restore - Move the order back to the live tables
+router.post('/:id/restore',
+  validateId(),
+  requirePermission('orders:write'),
+  OrderArchiveController.restoreOrder
+);
+
+module.exports = router;
@@ -5,6 +5,7 @@ const { authenticateToken } = require('../middleware/auth');
 const { requirePermission } = require('../middleware/permissions');
 const { validate, schemas, validateId } = require('../middleware/validation');
 const { checkDragLock, createLockForRequest } = require('../middleware/dragLocks');
+const { requireIfMatch } = require('../middleware/concurrency');
 const { validateApiKey } = require('../middleware/apiKeyAuth');
 
 // All routes require authentication
@@ -31,11 +32,12 @@ router.post('/',
   OrdersController.createOrder
 );
 
-// PUT /api/orders/:id
+// PUT /api/orders/:id - Needs If-Match with the order's version (ETag)
 router.put('/:id',
   validateId(),
   requirePermission('orders:write'),
   checkDragLock,
+  requireIfMatch,
   validate(schemas.order.update),
   OrdersController.updateOrder
 );
@@ -71,6 +73,30 @@ router.post('/:id/end-move',
   OrdersController.endMove
 );
 
+// POST /api/orders/:id/renew-move - Keep the order lock during a long drag
+router.post('/:id/renew-move',
+  validateId(),
+  requirePermission('orders:move'),
+  OrdersController.renewMove
+);
+
+// POST /api/orders/:id/split - Split order into child orders
+router.post('/:id/split',
+  validateId(),
+  requirePermission('orders:write'),
+  checkDragLock,
+  validate(schemas.order.split),
+  OrdersController.splitOrder
+);
+
+// POST /api/orders/:id/merge - Merge a split order's children back into it
+router.post('/:id/merge',
+  validateId(),
+  requirePermission('orders:write'),
+  checkDragLock,
+  OrdersController.mergeOrder
+);
+
 // POST /api/orders/import - Import orders from CSV/Excel
 router.post('/import',
   requirePermission('orders:write'),
@@ -83,6 +109,41 @@ router.post('/reorder',
   OrdersController.reorderOrders
 );
 
+// PATCH /api/orders/bulk - Apply the same change to many orders
+router.patch('/bulk',
+  requirePermission('orders:write'),
+  validate(schemas.order.bulkUpdate),
+  OrdersController.bulkUpdateOrders
+);
+
+// POST /api/orders/bulk-move - Move several orders to one work centre in one operation
+router.post('/bulk-move',
+  requirePermission('orders:move'),
+  validate(schemas.order.bulkMove),
+  OrdersController.bulkMoveOrders
+);
+
+// POST /api/orders/bulk-start-move - Lock a set of orders for a multi-card drag
+router.post('/bulk-start-move',
+  requirePermission('orders:move'),
+  validate(schemas.order.bulkLock),
+  OrdersController.bulkStartMove
+);
+
+// POST /api/orders/bulk-end-move - Release the locks on a set of orders
+router.post('/bulk-end-move',
+  requirePermission('orders:move'),
+  validate(schemas.order.bulkLock),
+  OrdersController.bulkEndMove
+);
+
+// POST /api/orders/bulk-renew-move - Keep the locks on a set of orders during a long drag
+router.post('/bulk-renew-move',
+  requirePermission('orders:move'),
+  validate(schemas.order.bulkLock),
+  OrdersController.bulkRenewMove
+);
+
 // Manufacturing steps routes
 // GET /api/orders/:id/steps
 router.get('/:id/steps',
@@ -117,6 +178,33 @@ router.post('/:id/steps/:stepId/complete',
   OrdersController.completeOrderStep
 );
 
+// Step quantity bookings
+// GET /api/orders/:id/steps/:stepId/bookings
+router.get('/:id/steps/:stepId/bookings',
+  validateId(),
+  validateId('stepId'),
+  requirePermission('orders:read'),
+  OrdersController.getStepBookings
+);
+
+// POST /api/orders/:id/steps/:stepId/bookings
+router.post('/:id/steps/:stepId/bookings',
+  validateId(),
+  validateId('stepId'),
+  requirePermission('orders:write'),
+  validate(schemas.step.booking),
+  OrdersController.createStepBooking
+);
+
+// DELETE /api/orders/:id/steps/:stepId/bookings/:bookingId
+router.delete('/:id/steps/:stepId/bookings/:bookingId',
+  validateId(),
+  validateId('stepId'),
+  validateId('bookingId'),
+  requirePermission('orders:write'),
+  OrdersController.deleteStepBooking
+);
+
 // POST /api/orders/external/import - Import orders from external system
 router.post('/external/import',
   validateApiKey,
@@ -155,4 +243,47 @@ router.post('/:id/characteristics/detect',
   CharacteristicsController.detectCharacteristics
 );
 
+// Dependency routes for orders
+const DependenciesController = require('../controllers/dependenciesController');
+
+// GET /api/orders/:id/dependencies - Get the orders an order waits on and the orders waiting on it
+router.get('/:id/dependencies',
+  validateId(),
+  requirePermission('orders:read'),
+  DependenciesController.getOrderDependencies
+);
+
+// POST /api/orders/:id/dependencies - Make an order wait on another order
+router.post('/:id/dependencies',
+  validateId(),
+  requirePermission('orders:write'),
+  validate(schemas.order.dependency),
+  DependenciesController.createOrderDependency
+);
+
+// DELETE /api/orders/:id/dependencies/:dependencyId - Remove a dependency
+router.delete('/:id/dependencies/:dependencyId',
+  validateId(),
+  validateId('dependencyId'),
+  requirePermission('orders:write'),
+  DependenciesController.deleteOrderDependency
+);
+
+// Material routes for orders
+const MaterialsController = require('../controllers/materialsController');
+
+// GET /api/orders/:id/materials - Requirement, allocation and shortage per component
+router.get('/:id/materials',
+  validateId(),
+  requirePermission('materials:read'),
+  MaterialsController.getOrderMaterials
+);
+
+// POST /api/orders/:id/materials/allocate - Allocate free stock to the order's outstanding requirements
+router.post('/:id/materials/allocate',
+  validateId(),
+  requirePermission('materials:write'),
+  MaterialsController.allocateOrderMaterials
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const PlanningController = require('../controllers/planningController');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { validate, validateId, schemas } = require('../middleware/validation');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// POST /api/planning-board/schedule - Auto-schedule the board (dry run by default)
+router.post('/schedule',
+  requirePermission('orders:move'),
+  validate(schemas.planning.schedule),
+  PlanningController.scheduleOrders
+);
+
+// POST /api/planning-board/work-centres/:id/minimise-changeovers - Resequence a queue to cut setup time (dry run by default)
+router.post('/work-centres/:id/minimise-changeovers',
+  validateId(),
+  requirePermission('orders:move'),
+  validate(schemas.planning.minimiseChangeovers),
+  PlanningController.minimiseChangeovers
+);
+
+// GET /api/planning-board/history - What the current user can undo and redo
+router.get('/history',
+  requirePermission('orders:move'),
+  PlanningController.getHistory
+);
+
+// POST /api/planning-board/undo - Reverse the current user's last move or reorder
+router.post('/undo',
+  requirePermission('orders:move'),
+  PlanningController.undoAction
+);
+
+// POST /api/planning-board/redo - Reapply the current user's last undone move or reorder
+router.post('/redo',
+  requirePermission('orders:move'),
+  PlanningController.redoAction
+);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const RoutingsController = require('../controllers/routingsController');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { validate, schemas, validateId } = require('../middleware/validation');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// GET /api/routings - Current version of every active routing
+router.get('/',
+  requirePermission('routings:read'),
+  validate(schemas.routing.filters, 'query'),
+  RoutingsController.getAllRoutings
+);
+
+// POST /api/routings
+router.post('/',
+  requirePermission('routings:write'),
+  validate(schemas.routing.create),
+  RoutingsController.createRouting
+);
+
+// GET /api/routings/:stockCode - Current version plus version history
+router.get('/:stockCode',
+  requirePermission('routings:read'),
+  RoutingsController.getRouting
+);
+
+// GET /api/routings/:stockCode/versions/:version
+router.get('/:stockCode/versions/:version',
+  validateId('version'),
+  requirePermission('routings:read'),
+  RoutingsController.getRoutingVersion
+);
+
+// PUT /api/routings/:stockCode - Save a new version
+router.put('/:stockCode',
+  requirePermission('routings:write'),
+  validate(schemas.routing.update),
+  RoutingsController.updateRouting
+);
+
+// DELETE /api/routings/:stockCode - Retire the routing
+router.delete('/:stockCode',
+  requirePermission('routings:delete'),
+  RoutingsController.deleteRouting
+);
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const ScenariosController = require('../controllers/scenariosController');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { validate, validateId, schemas } = require('../middleware/validation');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// GET /api/scenarios
+router.get('/',
+  requirePermission('scenarios:read'),
+  ScenariosController.getAllScenarios
+);
+
+// POST /api/scenarios - Snapshot the live board into a new scenario
+router.post('/',
+  requirePermission('scenarios:write'),
+  validate(schemas.scenario.create),
+  ScenariosController.createScenario
+);
+
+// GET /api/scenarios/:id
+router.get('/:id',
+  validateId(),
+  requirePermission('scenarios:read'),
+  ScenariosController.getScenario
+);
+
+// DELETE /api/scenarios/:id - Discard the scenario
+router.delete('/:id',
+  validateId(),
+  requirePermission('scenarios:write'),
+  ScenariosController.deleteScenario
+);
+
+// POST /api/scenarios/:id/move - Move an order inside the scenario
+router.post('/:id/move',
+  validateId(),
+  requirePermission('scenarios:write'),
+  validate(schemas.scenario.move),
+  ScenariosController.moveOrder
+);
+
+// POST /api/scenarios/:id/reorder - Reorder a work centre queue inside the scenario
+router.post('/:id/reorder',
+  validateId(),
+  requirePermission('scenarios:write'),
+  validate(schemas.scenario.reorder),
+  ScenariosController.reorderOrders
+);
+
+// GET /api/scenarios/:id/compare - Late orders, queue depth and utilisation against live
+router.get('/:id/compare',
+  validateId(),
+  requirePermission('scenarios:read'),
+  ScenariosController.compareScenario
+);
+
+// POST /api/scenarios/:id/publish - Apply the scenario to the live board
+router.post('/:id/publish',
+  validateId(),
+  requirePermission('scenarios:write'),
+  requirePermission('orders:move'),
+  validate(schemas.scenario.publish),
+  ScenariosController.publishScenario
+);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const SearchController = require('../controllers/searchController');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { validate, schemas } = require('../middleware/validation');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// GET /api/search - Full-text search across orders, steps, characteristics and notes
+router.get('/',
+  requirePermission('orders:read'),
+  validate(schemas.query.search, 'query'),
+  SearchController.search
+);
+
+module.exports = router;
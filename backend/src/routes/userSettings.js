@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const UserSettingsController = require('../controllers/userSettingsController');
 const { authenticateToken } = require('../middleware/auth');
-const { validateId } = require('../middleware/validation');
+const { validate, validateId, schemas } = require('../middleware/validation');
 
 // GET /api/settings/defaults - Get default settings (no auth required for defaults)
 router.get('/defaults',
@@ -12,6 +12,34 @@ router.get('/defaults',
 // All other routes require authentication
 router.use(authenticateToken);
 
+// GET /api/settings/views - Saved views the user owns or that are shared with them
+router.get('/views',
+  validate(schemas.query.savedViews, 'query'),
+  UserSettingsController.getSavedViews
+);
+
+// POST /api/settings/views - Save a view for the current user
+router.post('/views',
+  validate(schemas.savedView.save),
+  UserSettingsController.createSavedView
+);
+
+// GET /api/settings/views/:viewId
+router.get('/views/:viewId',
+  UserSettingsController.getSavedView
+);
+
+// PUT /api/settings/views/:viewId - Replace a view (owner or admin)
+router.put('/views/:viewId',
+  validate(schemas.savedView.save),
+  UserSettingsController.updateSavedView
+);
+
+// DELETE /api/settings/views/:viewId - Delete a view (owner or admin)
+router.delete('/views/:viewId',
+  UserSettingsController.deleteSavedView
+);
+
 // GET /api/users/:userId/settings/visual-characteristics - Get visual characteristics settings (must be before general :key route)
 router.get('/users/:userId/settings/visual-characteristics',
   validateId('userId'),
@@ -1,9 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const WorkCentresController = require('../controllers/workCentresController');
+const CalendarsController = require('../controllers/calendarsController');
+const ChangeoversController = require('../controllers/changeoversController');
 const { authenticateToken } = require('../middleware/auth');
 const { requirePermission } = require('../middleware/permissions');
 const { validate, schemas, validateId } = require('../middleware/validation');
+const { requireIfMatch } = require('../middleware/concurrency');
 
 // All routes require authentication
 router.use(authenticateToken);
@@ -14,6 +17,71 @@ router.get('/',
   WorkCentresController.getAllWorkCentres
 );
 
+// Shift calendar routes - shared patterns and site-wide exceptions MUST come before /:id routes
+// GET /api/work-centres/shift-patterns
+router.get('/shift-patterns',
+  requirePermission('work_centres:read'),
+  CalendarsController.getAllShiftPatterns
+);
+
+// POST /api/work-centres/shift-patterns
+router.post('/shift-patterns',
+  requirePermission('work_centres:write'),
+  validate(schemas.calendar.shiftPattern.create),
+  CalendarsController.createShiftPattern
+);
+
+// GET /api/work-centres/shift-patterns/:patternId
+router.get('/shift-patterns/:patternId',
+  validateId('patternId'),
+  requirePermission('work_centres:read'),
+  CalendarsController.getShiftPattern
+);
+
+// PUT /api/work-centres/shift-patterns/:patternId
+router.put('/shift-patterns/:patternId',
+  validateId('patternId'),
+  requirePermission('work_centres:write'),
+  validate(schemas.calendar.shiftPattern.update),
+  CalendarsController.updateShiftPattern
+);
+
+// DELETE /api/work-centres/shift-patterns/:patternId
+router.delete('/shift-patterns/:patternId',
+  validateId('patternId'),
+  requirePermission('work_centres:delete'),
+  CalendarsController.deleteShiftPattern
+);
+
+// GET /api/work-centres/calendar-exceptions - Site-wide exceptions (e.g. public holidays)
+router.get('/calendar-exceptions',
+  requirePermission('work_centres:read'),
+  validate(schemas.calendar.range, 'query'),
+  CalendarsController.getSiteExceptions
+);
+
+// POST /api/work-centres/calendar-exceptions
+router.post('/calendar-exceptions',
+  requirePermission('work_centres:write'),
+  validate(schemas.calendar.exception.create),
+  CalendarsController.createException
+);
+
+// PUT /api/work-centres/calendar-exceptions/:exceptionId
+router.put('/calendar-exceptions/:exceptionId',
+  validateId('exceptionId'),
+  requirePermission('work_centres:write'),
+  validate(schemas.calendar.exception.update),
+  CalendarsController.updateException
+);
+
+// DELETE /api/work-centres/calendar-exceptions/:exceptionId
+router.delete('/calendar-exceptions/:exceptionId',
+  validateId('exceptionId'),
+  requirePermission('work_centres:write'),
+  CalendarsController.deleteException
+);
+
 // GET /api/work-centres/:id
 router.get('/:id',
   validateId(),
@@ -35,10 +103,11 @@ router.put('/reorder',
   WorkCentresController.reorderWorkCentres
 );
 
-// PUT /api/work-centres/:id
+// PUT /api/work-centres/:id - Needs If-Match with the work centre's version (ETag)
 router.put('/:id',
   validateId(),
   requirePermission('work_centres:write'),
+  requireIfMatch,
   validate(schemas.workCentre.update),
   WorkCentresController.updateWorkCentre
 );
@@ -76,4 +145,70 @@ router.delete('/:id/machines/:machineId',
   WorkCentresController.deleteMachine
 );
 
+// Work centre calendar routes
+// GET /api/work-centres/:id/calendar
+router.get('/:id/calendar',
+  validateId(),
+  requirePermission('work_centres:read'),
+  validate(schemas.calendar.range, 'query'),
+  CalendarsController.getWorkCentreCalendar
+);
+
+// PUT /api/work-centres/:id/calendar - Assign (or clear) the work centre's own shift pattern
+router.put('/:id/calendar',
+  validateId(),
+  requirePermission('work_centres:write'),
+  validate(schemas.calendar.assign),
+  CalendarsController.assignShiftPattern
+);
+
+// GET /api/work-centres/:id/calendar/exceptions
+router.get('/:id/calendar/exceptions',
+  validateId(),
+  requirePermission('work_centres:read'),
+  validate(schemas.calendar.range, 'query'),
+  CalendarsController.getWorkCentreExceptions
+);
+
+// POST /api/work-centres/:id/calendar/exceptions
+router.post('/:id/calendar/exceptions',
+  validateId(),
+  requirePermission('work_centres:write'),
+  validate(schemas.calendar.exception.create),
+  CalendarsController.createException
+);
+
+// PUT /api/work-centres/:id/calendar/exceptions/:exceptionId
+router.put('/:id/calendar/exceptions/:exceptionId',
+  validateId(),
+  validateId('exceptionId'),
+  requirePermission('work_centres:write'),
+  validate(schemas.calendar.exception.update),
+  CalendarsController.updateException
+);
+
+// DELETE /api/work-centres/:id/calendar/exceptions/:exceptionId
+router.delete('/:id/calendar/exceptions/:exceptionId',
+  validateId(),
+  validateId('exceptionId'),
+  requirePermission('work_centres:write'),
+  CalendarsController.deleteException
+);
+
+// Changeover matrix routes
+// GET /api/work-centres/:id/changeovers
+router.get('/:id/changeovers',
+  validateId(),
+  requirePermission('work_centres:read'),
+  ChangeoversController.getWorkCentreChangeovers
+);
+
+// PUT /api/work-centres/:id/changeovers - Replace the work centre's setup times between characteristic values
+router.put('/:id/changeovers',
+  validateId(),
+  requirePermission('changeovers:write'),
+  validate(schemas.changeover.matrix),
+  ChangeoversController.saveWorkCentreChangeovers
+);
+
 module.exports = router;
\ No newline at end of file
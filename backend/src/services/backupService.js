@@ -0,0 +1,379 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('../config/database');
+const { BACKUPS, AUDIT_EVENTS } = require('../config/constants');
+const { getDatabase, isPostgres } = require('../utils/database');
+const { getMigrationStatus, runMigrations } = require('../../database/migrate');
+const AuditLog = require('../models/AuditLog');
+
+// Name of the restored snapshot while it is attached to the live connection
+const RESTORE_SCHEMA = 'restore_source';
+
+// Tables a restore leaves as they are: the applied migrations, and drag locks held right now
+const KEPT_TABLES = ['schema_migrations', 'drag_locks', 'drag_lock_events'];
+
+const quoteIdentifier = name => `"${name.replace(/"/g, '""')}"`;
+
+/**
+ * Backup Service
+ * ==============
+ *
+ * Snapshots of the SQLite database taken with SQLite's online backup API, so
+ * the board stays usable while one is written. Each snapshot is <id>.db in the
+ * backup directory with <id>.json beside it describing it (when and why it was
+ * taken, its size, schema version and integrity check result). The newest
+ * backups.retain snapshots are kept; older ones are deleted after each backup.
+ *
+ * Restoring replaces the contents of every table with the snapshot's in one
+ * transaction on the live connection, after bringing a copy of the snapshot up
+ * to the current schema with the migration runner. A pre_restore snapshot is
+ * taken first, so a restore can itself be undone, and each restore is written
+ * to the audit log (of the restored database).
+ *
+ * Only one backup or restore runs at a time. Not available on PostgreSQL.
+ */
+class BackupService {
+  constructor() {
+    this.timer = null;
+    this.directory = path.resolve(config.backups.path);
+    this.retain = config.backups.retain || BACKUPS.DEFAULT_RETAIN;
+    this.busy = false;
+  }
+
+  /**
+   * Whether the connected database can be backed up here
+   * @returns {boolean} False on PostgreSQL
+   */
+  isSupported() {
+    return !isPostgres();
+  }
+
+  /**
+   * Take scheduled backups on an interval (no-op if already running, intervalMs is not positive or on PostgreSQL)
+   * @param {number} intervalMs - Milliseconds between backups
+   */
+  start(intervalMs) {
+    if (this.timer || !(intervalMs > 0) || !this.isSupported()) return;
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch(error => {
+        console.error('Scheduled backup failed:', error.message);
+      });
+    }, intervalMs);
+
+    // Don't keep the process alive just for this job
+    this.timer.unref();
+  }
+
+  // Stop the scheduled backups
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Take one scheduled backup
+   * @returns {Promise<Object>} The new backup
+   */
+  async runOnce() {
+    const backup = await this.createBackup({ trigger: 'scheduled' });
+    console.log(`Database backed up to ${backup.file}${backup.integrity.ok ? '' : ' (integrity check FAILED)'}`);
+    return backup;
+  }
+
+  /**
+   * Backups, newest first
+   * @returns {Array} Backup descriptions ({ id, file, trigger, note, created_at, created_by, size_bytes,
+   *   schema_version, duration_ms, integrity: { ok, errors, checked_at } })
+   */
+  listBackups() {
+    if (!fs.existsSync(this.directory)) return [];
+
+    return fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.json') && BACKUPS.ID_PATTERN.test(path.basename(file, '.json')))
+      .map(file => this.getBackup(path.basename(file, '.json')))
+      .filter(Boolean)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * Find a backup
+   * @param {string} id - Backup ID
+   * @returns {Object|null} Backup description, or null if there is no such backup (or its file is gone)
+   */
+  getBackup(id) {
+    if (!BACKUPS.ID_PATTERN.test(id)) return null;
+
+    const descriptionPath = path.join(this.directory, `${id}.json`);
+    if (!fs.existsSync(descriptionPath) || !fs.existsSync(this.getBackupPath(id))) return null;
+    return JSON.parse(fs.readFileSync(descriptionPath, 'utf8'));
+  }
+
+  /**
+   * Path of a backup's database file
+   * @param {string} id - Backup ID (checked against BACKUPS.ID_PATTERN by getBackup)
+   * @returns {string} Absolute path
+   */
+  getBackupPath(id) {
+    return path.join(this.directory, `${id}.db`);
+  }
+
+  /**
+   * Snapshot the live database
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.trigger='manual'] - One of BACKUPS.TRIGGERS
+   * @param {number} [options.userId] - User who asked for it
+   * @param {string} [options.note] - Free-text note
+   * @returns {Promise<Object>} The new backup
+   * @throws {Error} code BACKUP_IN_PROGRESS if another backup or restore is running
+   */
+  async createBackup(options = {}) {
+    return this._exclusively(() => this._createBackup(options));
+  }
+
+  /**
+   * Run PRAGMA integrity_check on a backup again and record the result
+   * @param {string} id - Backup ID
+   * @returns {Object|null} Updated backup, or null if there is no such backup
+   */
+  verifyBackup(id) {
+    const backup = this.getBackup(id);
+    if (!backup) return null;
+
+    const { integrity } = this._inspect(this.getBackupPath(id));
+    return this._describe({ ...backup, integrity });
+  }
+
+  /**
+   * Replace the live data with a backup's
+   * @param {string} id - Backup ID
+   * @param {number} userId - User restoring it
+   * @returns {Promise<Object|null>} { backup, pre_restore_backup, migrations_applied }, or null if there is no such backup
+   * @throws {Error} code BACKUP_IN_PROGRESS, BACKUP_CORRUPT (fails its integrity check) or
+   *   BACKUP_TOO_NEW (taken by a newer version of the application)
+   */
+  async restoreBackup(id, userId) {
+    const backup = this.getBackup(id);
+    if (!backup) return null;
+
+    return this._exclusively(async () => {
+      const { integrity } = this._inspect(this.getBackupPath(id));
+      if (!integrity.ok) {
+        this._describe({ ...backup, integrity });
+        throw Object.assign(new Error(`Backup ${id} failed its integrity check`), { code: 'BACKUP_CORRUPT', details: integrity.errors });
+      }
+
+      // Bring a copy of the snapshot to the current schema before copying anything in
+      const workingCopy = path.join(this.directory, `.restore-${id}.db`);
+      fs.copyFileSync(this.getBackupPath(id), workingCopy);
+      try {
+        const migrationsApplied = this._migrate(workingCopy, id);
+        const preRestoreBackup = await this._createBackup({ trigger: 'pre_restore', userId, note: `Before restoring ${id}` });
+
+        this._replaceData(workingCopy);
+
+        // The restoring user may not exist in the restored data
+        const userExists = getDatabase().prepare('SELECT 1 FROM users WHERE id = ?').get(userId);
+        AuditLog.create({
+          event_type: AUDIT_EVENTS.BACKUP_RESTORED,
+          user_id: userExists ? userId : null,
+          event_data: {
+            backup_id: id,
+            backup_created_at: backup.created_at,
+            pre_restore_backup_id: preRestoreBackup.id,
+            migrations_applied: migrationsApplied
+          }
+        });
+
+        return { backup, pre_restore_backup: preRestoreBackup, migrations_applied: migrationsApplied };
+      } finally {
+        fs.rmSync(workingCopy, { force: true });
+      }
+    });
+  }
+
+  /**
+   * Delete all but the newest backups
+   * @param {number} [retain=this.retain] - Number of backups to keep
+   * @returns {string[]} IDs of the deleted backups
+   */
+  prune(retain = this.retain) {
+    return this.listBackups().slice(retain).map(backup => {
+      fs.rmSync(this.getBackupPath(backup.id), { force: true });
+      fs.rmSync(path.join(this.directory, `${backup.id}.json`), { force: true });
+      return backup.id;
+    });
+  }
+
+  /**
+   * Run fn unless a backup or restore is already running
+   * @private
+   */
+  async _exclusively(fn) {
+    if (this.busy) {
+      throw Object.assign(new Error('A backup or restore is already running'), { code: 'BACKUP_IN_PROGRESS' });
+    }
+
+    this.busy = true;
+    try {
+      return await fn();
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * Write a snapshot, check it and prune old ones; callers hold the busy flag
+   * @private
+   */
+  async _createBackup({ trigger = 'manual', userId = null, note = null } = {}) {
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    // Millisecond timestamps keep IDs in order; wait out a clash with a backup taken the same millisecond
+    const newId = () => `backup-${new Date().toISOString().replace(/[-:.]/g, '')}`;
+    let id = newId();
+    while (fs.existsSync(this.getBackupPath(id))) {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      id = newId();
+    }
+    const file = this.getBackupPath(id);
+    const startedAt = Date.now();
+
+    await getDatabase().backup(file);
+
+    // The copy inherits WAL mode; switch it back so the snapshot is one self-contained file
+    const snapshot = new Database(file);
+    snapshot.pragma('journal_mode = DELETE');
+    snapshot.close();
+
+    const { integrity, schemaVersion } = this._inspect(file);
+    const backup = this._describe({
+      id,
+      file: path.basename(file),
+      trigger,
+      note,
+      created_at: new Date(startedAt).toISOString(),
+      created_by: userId,
+      size_bytes: fs.statSync(file).size,
+      schema_version: schemaVersion,
+      duration_ms: Date.now() - startedAt,
+      integrity
+    });
+
+    if (!integrity.ok) {
+      console.error(`Backup ${id} failed its integrity check:`, integrity.errors.join('; '));
+    }
+    this.prune();
+    return backup;
+  }
+
+  /**
+   * Integrity check and schema version of a database file
+   * @private
+   */
+  _inspect(file) {
+    const checkedAt = new Date().toISOString();
+    let snapshot;
+    try {
+      snapshot = new Database(file, { readonly: true, fileMustExist: true });
+      const errors = snapshot.pragma('integrity_check', { simple: false })
+        .map(row => row.integrity_check)
+        .filter(message => message !== 'ok');
+      const hasMigrations = snapshot.prepare('SELECT 1 FROM sqlite_master WHERE type = \'table\' AND name = \'schema_migrations\'').get();
+      const schemaVersion = hasMigrations ? snapshot.prepare('SELECT MAX(version) as version FROM schema_migrations').get().version : null;
+
+      return { integrity: { ok: errors.length === 0, errors, checked_at: checkedAt }, schemaVersion };
+    } catch (error) {
+      // Not a database at all, or too damaged to open
+      return { integrity: { ok: false, errors: [error.message], checked_at: checkedAt }, schemaVersion: null };
+    } finally {
+      if (snapshot) snapshot.close();
+    }
+  }
+
+  /**
+   * Save a backup's description and return it
+   * @private
+   */
+  _describe(backup) {
+    fs.writeFileSync(path.join(this.directory, `${backup.id}.json`), `${JSON.stringify(backup, null, 2)}\n`);
+    return backup;
+  }
+
+  /**
+   * Apply pending migrations to a snapshot copy
+   * @returns {string[]} Migrations applied
+   * @private
+   */
+  _migrate(file, id) {
+    const snapshot = new Database(file);
+    try {
+      if (getMigrationStatus(snapshot).some(row => row.state === 'missing')) {
+        throw Object.assign(
+          new Error(`Backup ${id} has migrations this version of the application does not know about`),
+          { code: 'BACKUP_TOO_NEW' }
+        );
+      }
+      return runMigrations(snapshot, { quiet: true });
+    } finally {
+      snapshot.close();
+    }
+  }
+
+  /**
+   * Replace every table's rows with those of a database file on the same schema,
+   * in one transaction. schema_migrations and the live drag locks are left
+   * alone; search indexes follow through their triggers.
+   * @private
+   */
+  _replaceData(file) {
+    const db = getDatabase();
+    const tablesIn = schema => db.pragma(`${schema}.table_list`)
+      .filter(table => table.type === 'table' && !table.name.startsWith('sqlite_') && !KEPT_TABLES.includes(table.name))
+      .map(table => table.name);
+    const columnsOf = (schema, table) => db.pragma(`${schema}.table_info(${quoteIdentifier(table)})`).map(column => column.name);
+
+    // Foreign keys cannot be switched off inside a transaction; rows go in table by table
+    db.pragma('foreign_keys = OFF');
+    db.prepare(`ATTACH DATABASE ? AS ${RESTORE_SCHEMA}`).run(file);
+    try {
+      db.transaction(() => {
+        const sourceTables = new Set(tablesIn(RESTORE_SCHEMA));
+
+        tablesIn('main').forEach(table => {
+          db.exec(`DELETE FROM main.${quoteIdentifier(table)}`);
+          if (!sourceTables.has(table)) return;
+
+          const sourceColumns = new Set(columnsOf(RESTORE_SCHEMA, table));
+          const columns = columnsOf('main', table).filter(column => sourceColumns.has(column)).map(quoteIdentifier).join(', ');
+          db.exec(`
+            INSERT INTO main.${quoteIdentifier(table)} (${columns})
+            SELECT ${columns} FROM ${RESTORE_SCHEMA}.${quoteIdentifier(table)}
+          `);
+        });
+
+        // AUTOINCREMENT counters, so restored ids are not handed out again
+        const hasSequences = schema => db.prepare(`SELECT 1 FROM ${schema}.sqlite_master WHERE name = 'sqlite_sequence'`).get();
+        if (hasSequences('main')) {
+          db.exec('DELETE FROM main.sqlite_sequence');
+          if (hasSequences(RESTORE_SCHEMA)) {
+            db.exec(`INSERT INTO main.sqlite_sequence (name, seq) SELECT name, seq FROM ${RESTORE_SCHEMA}.sqlite_sequence`);
+          }
+        }
+
+        const violations = db.pragma('main.foreign_key_check');
+        if (violations.length > 0) {
+          throw new Error(`Restored data breaks ${violations.length} foreign key(s), first in ${violations[0].table}`);
+        }
+      }).immediate();
+    } finally {
+      db.exec(`DETACH DATABASE ${RESTORE_SCHEMA}`);
+      db.pragma('foreign_keys = ON');
+    }
+  }
+}
+
+module.exports = new BackupService();
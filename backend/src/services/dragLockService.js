@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const os = require('os');
+const { EventEmitter } = require('events');
+const config = require('../config/database');
+const { createDragLockStore } = require('../utils/dragLockStores');
+
+// How long lock events are kept for other instances to read, and how far back each poll looks,
+// so an event committed late (after a newer one was read) is still picked up
+const EVENT_RETENTION_MS = 60000;
+const EVENT_LOOKBACK_MS = 10000;
+
+/**
+ * Drag Lock Service
+ * =================
+ *
+ * Drag locks stop two people moving the same order at once. A lock is taken
+ * when a drag starts and released when it ends; it lapses after config
+ * dragLocks.ttlMs unless the holder renews it, so a closed tab cannot hold an
+ * order forever.
+ *
+ * Key Features:
+ * - Locks live in a store (utils/dragLockStores.js): the database, shared by
+ *   every backend instance and kept across restarts, or memory for the tests
+ * - Every lock change is emitted as a 'lock_event' ({ type, lock, ... }, type
+ *   one of locked, renewed or unlocked), which the websocket handler passes on
+ *   to the planning board
+ * - Changes made through other instances are read back from the store and
+ *   emitted here too, so every instance's clients hear about every lock
+ * - A background sweep clears lapsed locks, emitting unlocked with reason expired
+ */
+class DragLockService extends EventEmitter {
+  constructor() {
+    super();
+    this.store = null;
+    this.ttlMs = config.dragLocks.ttlMs;
+    // Identifies this process's locks and events among those of other instances
+    this.instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+    this.timer = null;
+    // Other instances' events already emitted: id -> created_at
+    this.seenEvents = new Map();
+    this.lastPollAt = Date.now();
+  }
+
+  // Store in use, created from config on first use
+  getStore() {
+    if (!this.store) {
+      this.store = createDragLockStore(config.dragLocks.store);
+    }
+    return this.store;
+  }
+
+  /**
+   * Swap the store, e.g. for a test
+   * @param {Object} store - MemoryDragLockStore or DatabaseDragLockStore
+   */
+  setStore(store) {
+    this.store = store;
+    this.seenEvents.clear();
+    this.lastPollAt = Date.now();
+  }
+
+  /**
+   * Start sweeping lapsed locks and passing on other instances' lock events (no-op if already running)
+   * @param {number} intervalMs - Milliseconds between sweeps
+   */
+  start(intervalMs) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      try {
+        this.runOnce();
+      } catch (error) {
+        console.error('Drag lock sweep failed:', error.message);
+      }
+    }, intervalMs);
+
+    // Don't keep the process alive just for this job
+    this.timer.unref();
+  }
+
+  // Stop the periodic sweep
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Clear lapsed locks and emit lock events recorded by other instances since the last run
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {Object} { expired, relayed } - locks cleared, and other instances' events emitted
+   */
+  runOnce(now = Date.now()) {
+    const store = this.getStore();
+
+    const expired = store.removeExpired(now);
+    expired.forEach(lock => this._publish({ type: 'unlocked', reason: 'expired', lock }));
+
+    const relayed = store.readEvents(this.lastPollAt - EVENT_LOOKBACK_MS)
+      .filter(({ id, instanceId }) => instanceId !== this.instanceId && !this.seenEvents.has(id));
+    relayed.forEach(({ id, event, createdAt }) => {
+      this.seenEvents.set(id, createdAt);
+      this.emit('lock_event', event);
+    });
+    this.lastPollAt = now;
+
+    for (const [id, createdAt] of this.seenEvents) {
+      if (createdAt < now - EVENT_LOOKBACK_MS * 2) this.seenEvents.delete(id);
+    }
+    store.pruneEvents(now - EVENT_RETENTION_MS);
+
+    return { expired, relayed: relayed.map(({ event }) => event) };
+  }
+
+  /**
+   * Emit a lock change here and record it for the other instances
+   * @param {Object} event - { type, lock, reason?, by?, completed?, toWorkCentreId? }
+   * @private
+   */
+  _publish(event) {
+    const stamped = { ...event, at: new Date().toISOString() };
+    this.getStore().publish(stamped, this.instanceId);
+    this.emit('lock_event', stamped);
+  }
+
+  /**
+   * Lock a set of orders for a user, or none of them if another user is moving any
+   * @param {Array<Object>} orders - Orders to lock ({ id, order_number })
+   * @param {Object} user - { id, username }
+   * @returns {Object} { locked, locks } - the user's locks, or when not locked the other users' locks in the way
+   */
+  lock(orders, user) {
+    const result = this.getStore().acquire(
+      orders.map(order => ({ orderId: Number(order.id), orderNumber: order.order_number ?? null })),
+      { userId: user.id, userName: user.username, instanceId: this.instanceId },
+      this.ttlMs
+    );
+
+    if (result.locked) {
+      result.locks.forEach(lock => this._publish({ type: 'locked', lock }));
+    }
+    return result;
+  }
+
+  /**
+   * Keep a user's locks from lapsing, e.g. on a heartbeat during a long drag
+   * @param {Array<number>} orderIds - Orders being dragged
+   * @param {number} userId - Holder of the locks
+   * @returns {Array<Object>} Renewed locks; orders the user has lost the lock on are left out
+   */
+  renew(orderIds, userId) {
+    const locks = this.getStore().renew(orderIds.map(Number), userId, this.ttlMs);
+    locks.forEach(lock => this._publish({ type: 'renewed', lock }));
+    return locks;
+  }
+
+  /**
+   * Release a user's locks at the end of a drag
+   * @param {Array<number>} orderIds - Orders to release
+   * @param {number} userId - Holder of the locks; other users' locks are left alone
+   * @param {Object} [details] - Passed on with the event
+   * @param {string} [details.reason='released'] - released, or user_disconnected when the user's last connection closed
+   * @param {boolean} [details.completed] - The drag ended in a move
+   * @param {number} [details.toWorkCentreId] - Where the order was dropped
+   * @returns {Array<Object>} Released locks
+   */
+  release(orderIds, userId, { reason = 'released', completed, toWorkCentreId } = {}) {
+    const locks = this.getStore().release(orderIds.map(Number), userId);
+    locks.forEach(lock => this._publish({ type: 'unlocked', reason, lock, completed, toWorkCentreId }));
+    return locks;
+  }
+
+  /**
+   * Release an order's lock whoever holds it (admin action)
+   * @param {number} orderId - Order to unlock
+   * @param {Object} admin - { id, username } of the admin releasing it
+   * @returns {Object|null} Released lock, or null if the order was not locked
+   */
+  forceRelease(orderId, admin) {
+    const [lock] = this.getStore().release([Number(orderId)], null);
+    if (!lock) return null;
+
+    this._publish({ type: 'unlocked', reason: 'force_released', lock, by: { userId: admin.id, userName: admin.username } });
+    return lock;
+  }
+
+  /**
+   * Release the locks a user took through this instance, e.g. when their last connection to it closes.
+   * Locks taken through other instances are theirs to release
+   * @param {number} userId - User whose locks to release
+   * @returns {Array<Object>} Released locks
+   */
+  releaseInstanceLocks(userId) {
+    const orderIds = this.getAll()
+      .filter(lock => lock.userId === userId && lock.instanceId === this.instanceId)
+      .map(lock => lock.orderId);
+    return orderIds.length > 0 ? this.release(orderIds, userId, { reason: 'user_disconnected' }) : [];
+  }
+
+  // Lock on an order, or null
+  get(orderId) {
+    return this.getStore().get(Number(orderId));
+  }
+
+  // Every live lock
+  getAll() {
+    return this.getStore().getAll();
+  }
+
+  // Drop every lock without events, e.g. between tests
+  clear() {
+    this.getStore().clear();
+  }
+}
+
+module.exports = new DragLockService();
@@ -0,0 +1,62 @@
+const OrderArchive = require('../models/OrderArchive');
+const { ORDER_ARCHIVE } = require('../config/constants');
+
+/**
+ * Order Archive Service
+ * =====================
+ *
+ * Background job that moves orders complete or cancelled for longer than the
+ * configured number of days into the archive (see models/OrderArchive.js).
+ * Each run archives at most ORDER_ARCHIVE.MAX_PER_RUN orders; anything left
+ * over goes on the next run.
+ */
+class OrderArchiveService {
+  constructor() {
+    this.timer = null;
+    this.afterDays = ORDER_ARCHIVE.DEFAULT_AFTER_DAYS;
+  }
+
+  /**
+   * Start archiving on an interval (no-op if already running or afterDays is not positive)
+   * @param {number} intervalMs - Milliseconds between runs
+   * @param {number} afterDays - Days an order must have been complete or cancelled
+   */
+  start(intervalMs, afterDays) {
+    if (this.timer || !(afterDays > 0)) return;
+
+    this.afterDays = afterDays;
+    this.timer = setInterval(() => {
+      try {
+        this.runOnce();
+      } catch (error) {
+        console.error('Order archive run failed:', error.message);
+      }
+    }, intervalMs);
+
+    // Don't keep the process alive just for this job
+    this.timer.unref();
+  }
+
+  // Stop the periodic run
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run a single archive pass
+   * @param {Date} [now=new Date()] - Time order ages are measured from
+   * @returns {Array} Archived orders as { id, order_number, status, completion_date }
+   */
+  runOnce(now = new Date()) {
+    const archived = OrderArchive.archiveEligible({ olderThanDays: this.afterDays, now });
+    if (archived.length > 0) {
+      console.log(`Archived ${archived.length} completed/cancelled orders`);
+    }
+    return archived;
+  }
+}
+
+module.exports = new OrderArchiveService();
@@ -0,0 +1,160 @@
+const { getDatabase } = require('../utils/database');
+const AuditLog = require('../models/AuditLog');
+const websocketService = require('./websocketService');
+const { dueDeadline } = require('../utils/capacityScheduler');
+const { ORDER_STATUSES } = require('../utils/orderStatus');
+
+// Name shown as the actor on status change broadcasts
+const SYSTEM_ACTOR = 'system';
+
+/**
+ * Overdue Monitor Service
+ * =======================
+ *
+ * Background job that keeps the `overdue` status in line with due dates.
+ *
+ * Key Features:
+ * - Marks open orders whose due date has passed as overdue (split orders are
+ *   left to their children)
+ * - Reverts overdue orders once their due date is extended, restoring the
+ *   status they had before (from the audit trail, or derived from their steps)
+ * - Writes an order_status_changed audit entry and a websocket broadcast per change
+ */
+class OverdueMonitorService {
+  constructor() {
+    this.db = getDatabase();
+    this.timer = null;
+  }
+
+  /**
+   * Start checking on an interval (no-op if already running)
+   * @param {number} intervalMs - Milliseconds between checks
+   */
+  start(intervalMs) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      try {
+        this.runOnce();
+      } catch (error) {
+        console.error('Overdue check failed:', error.message);
+      }
+    }, intervalMs);
+
+    // Don't keep the process alive just for this job
+    this.timer.unref();
+  }
+
+  // Stop the periodic check
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Status an overdue order should return to once it is no longer late
+   * @param {Object} order - Order row
+   * @returns {string} Status recorded before the order went overdue, or one derived from its steps
+   * @private
+   */
+  _statusBeforeOverdue(order) {
+    const entry = this.db.prepare(`
+      SELECT event_data FROM audit_log
+      WHERE order_id = ? AND event_type = 'order_status_changed'
+      ORDER BY id DESC
+    `).all(order.id).find(row => {
+      const data = JSON.parse(row.event_data || '{}');
+      return data.new_status === ORDER_STATUSES.OVERDUE;
+    });
+
+    const previousStatus = entry && JSON.parse(entry.event_data).old_status;
+    if (previousStatus && previousStatus !== ORDER_STATUSES.OVERDUE) {
+      return previousStatus;
+    }
+
+    const startedSteps = this.db.prepare(`
+      SELECT COUNT(*) as count FROM manufacturing_steps
+      WHERE order_id = ? AND status IN ('in_progress', 'complete')
+    `).get(order.id).count;
+
+    return startedSteps > 0 ? ORDER_STATUSES.IN_PROGRESS : ORDER_STATUSES.NOT_STARTED;
+  }
+
+  /**
+   * Run a single check
+   * @param {Date} [now=new Date()] - Time to compare due dates against
+   * @returns {Object} { marked_overdue, reverted } - changed orders as { order_id, order_number, old_status, new_status }
+   * @note Uses database transaction; broadcasts are sent only after it commits. An order whose status
+   *       someone else changed after it was read is left alone, with no audit entry or broadcast
+   */
+  runOnce(now = new Date()) {
+    const isPastDue = order => {
+      const deadline = dueDeadline(order.due_date);
+      return Boolean(deadline) && deadline < now;
+    };
+
+    let orders = [];
+    const transaction = this.db.transaction(() => {
+      orders = this.db.prepare(`
+        SELECT id, order_number, status, due_date, current_work_centre_id
+        FROM manufacturing_orders
+        WHERE status NOT IN ('complete', 'cancelled') AND is_split = 0
+      `).all();
+
+      const updateStatus = this.db.prepare(`
+        UPDATE manufacturing_orders
+        SET status = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = ?
+      `);
+
+      // Null when the order's status is no longer the one read
+      const applyChange = (order, newStatus, reason) => {
+        if (updateStatus.run(newStatus, order.id, order.status).changes === 0) {
+          return null;
+        }
+        AuditLog.logOrderStatusChange(order.id, order.status, newStatus, null, {
+          reason,
+          due_date: order.due_date,
+          automatic: true
+        });
+
+        return {
+          order_id: order.id,
+          order_number: order.order_number,
+          old_status: order.status,
+          new_status: newStatus
+        };
+      };
+
+      const markedOverdue = orders
+        .filter(order => order.status !== ORDER_STATUSES.OVERDUE && isPastDue(order))
+        .map(order => applyChange(order, ORDER_STATUSES.OVERDUE, 'due_date_passed'))
+        .filter(Boolean);
+
+      const reverted = orders
+        .filter(order => order.status === ORDER_STATUSES.OVERDUE && !isPastDue(order))
+        .map(order => applyChange(order, this._statusBeforeOverdue(order), 'due_date_extended'))
+        .filter(Boolean);
+
+      return { marked_overdue: markedOverdue, reverted };
+    });
+
+    const result = transaction();
+    const ordersById = new Map(orders.map(order => [order.id, order]));
+
+    [...result.marked_overdue, ...result.reverted].forEach(change => {
+      websocketService.broadcastOrderStatusChanged(
+        { ...ordersById.get(change.order_id), status: change.new_status },
+        change.old_status,
+        change.new_status,
+        SYSTEM_ACTOR
+      );
+    });
+
+    return result;
+  }
+}
+
+module.exports = new OverdueMonitorService();
@@ -0,0 +1,445 @@
+const { getDatabase } = require('../utils/database');
+const AuditLog = require('../models/AuditLog');
+const WorkCentreCalendar = require('../models/WorkCentreCalendar');
+const ChangeoverTime = require('../models/ChangeoverTime');
+const {
+  OPEN_STEP_STATUSES,
+  compareBySchedulingRule,
+  compareByBoardSequence,
+  simulateSchedule,
+  remainingMinutes
+} = require('../utils/capacityScheduler');
+const { buildChangeoverLookup, minimiseChangeovers } = require('../utils/changeoverSequencer');
+const { addWorkingMinutes } = require('../utils/workingCalendar');
+const { AUDIT_EVENTS } = require('../config/constants');
+
+/**
+ * Scheduling Service
+ * ==================
+ *
+ * Finite-capacity auto-scheduler for the planning board. Loads every open
+ * order with its remaining manufacturing steps, simulates them against each
+ * work centre's capacity and proposes a new work_centre_position ordering.
+ *
+ * Key Features:
+ * - Sequencing rule: running orders first, then due date, then priority
+ * - Planned start/finish per step from setup plus planned_duration_minutes, counted in
+ *   working time from each work centre's shift calendar
+ * - Dry-run preview with a diff against the current board
+ * - Transactional apply with a single audit entry
+ * - Projected completion of every open order in the current board sequence
+ * - Per-work-centre queue resequencing to minimise changeover (setup) time
+ * - Board KPIs (late orders, queue depth, utilisation) for live or a what-if scenario
+ */
+class SchedulingService {
+  constructor() {
+    this.db = getDatabase();
+  }
+
+  /**
+   * Load open orders with their manufacturing steps
+   * @returns {Array} Open orders (split orders are represented by their children), each with a manufacturing_steps array
+   * @private
+   */
+  _loadOpenOrders() {
+    const orders = this.db.prepare(`
+      SELECT id, order_number, status, priority, due_date, current_work_centre_id, work_centre_position
+      FROM manufacturing_orders
+      WHERE status NOT IN ('complete', 'cancelled') AND is_split = 0
+    `).all();
+
+    const steps = this.db.prepare(`
+      SELECT ms.id, ms.order_id, ms.step_number, ms.operation_name, ms.work_centre_id,
+             ms.planned_duration_minutes, ms.setup_minutes, ms.status, ms.started_at
+      FROM manufacturing_steps ms
+      JOIN manufacturing_orders mo ON ms.order_id = mo.id
+      WHERE mo.status NOT IN ('complete', 'cancelled') AND mo.is_split = 0
+      ORDER BY ms.order_id, ms.step_number
+    `).all();
+
+    const stepsByOrderId = {};
+    steps.forEach(step => {
+      if (!stepsByOrderId[step.order_id]) {
+        stepsByOrderId[step.order_id] = [];
+      }
+      stepsByOrderId[step.order_id].push(step);
+    });
+
+    orders.forEach(order => {
+      order.manufacturing_steps = stepsByOrderId[order.id] || [];
+    });
+
+    return orders;
+  }
+
+  /**
+   * Load closed orders still sitting in a work centre column, in board order
+   * @returns {Array} Complete/cancelled orders with a work centre assignment
+   * @private
+   */
+  _loadClosedOrdersOnBoard() {
+    return this.db.prepare(`
+      SELECT id, order_number, status, priority, due_date, current_work_centre_id, work_centre_position
+      FROM manufacturing_orders
+      WHERE status IN ('complete', 'cancelled') AND current_work_centre_id IS NOT NULL
+      ORDER BY work_centre_position ASC, id ASC
+    `).all();
+  }
+
+  /**
+   * Load active work centres
+   * @returns {Array} Work centres with capacity
+   * @private
+   */
+  _loadWorkCentres() {
+    return this.db.prepare(`
+      SELECT id, code, name, capacity
+      FROM work_centres
+      WHERE is_active = 1
+      ORDER BY display_order, name
+    `).all();
+  }
+
+  /**
+   * Load the job characteristics of a set of orders
+   * @param {Array<number>} orderIds - Orders to look up
+   * @returns {Map} order ID -> { type: value }
+   * @private
+   */
+  _loadCharacteristics(orderIds) {
+    const characteristics = new Map(orderIds.map(id => [id, {}]));
+    if (orderIds.length === 0) return characteristics;
+
+    const placeholders = orderIds.map(() => '?').join(',');
+    this.db.prepare(`
+      SELECT order_id, type, value
+      FROM job_characteristics
+      WHERE order_id IN (${placeholders})
+      ORDER BY order_id, type, value
+    `).all(...orderIds).forEach(row => {
+      // An order with several values of one type is sequenced by the first
+      const orderCharacteristics = characteristics.get(row.order_id);
+      if (orderCharacteristics[row.type] === undefined) {
+        orderCharacteristics[row.type] = row.value;
+      }
+    });
+
+    return characteristics;
+  }
+
+  /**
+   * Simulate an order sequence against work centre capacity and shift calendars
+   * @param {Array} orders - Open orders in load sequence
+   * @param {Date} startTime - Time the simulation starts from
+   * @returns {Array} Simulation results (see utils/capacityScheduler)
+   * @private
+   */
+  _simulate(orders, startTime) {
+    const calendars = WorkCentreCalendar.loadAllCalendars();
+
+    return simulateSchedule({
+      orders,
+      workCentres: this._loadWorkCentres(),
+      startTime,
+      addWorkingTime: (workCentreId, start, minutes) => addWorkingMinutes(calendars.get(workCentreId), start, minutes)
+    });
+  }
+
+  /**
+   * Project when each open order will finish if the board runs as currently sequenced
+   * @param {Object} [options={}] - Projection options
+   * @param {Date} [options.startTime=new Date()] - Time the projection starts from
+   * @returns {Map} order ID -> { projected_completion_date, at_risk }; orders without open steps are omitted
+   */
+  projectCompletions({ startTime = new Date() } = {}) {
+    const orders = this._loadOpenOrders().sort(compareByBoardSequence);
+    const projections = new Map();
+
+    this._simulate(orders, startTime)
+      .filter(result => result.steps.length > 0)
+      .forEach(result => projections.set(result.order_id, {
+        projected_completion_date: result.planned_finish.toISOString(),
+        at_risk: result.late
+      }));
+
+    return projections;
+  }
+
+  /**
+   * Work out board KPIs, either for live or with a what-if scenario's assignments laid over it
+   * @param {Map} [assignments=null] - order ID -> { work_centre_id, work_centre_position }; orders not in
+   *   the map keep their live assignment
+   * @param {Object} [options={}] - Evaluation options
+   * @param {Date} [options.startTime=new Date()] - Time the projection starts from
+   * @returns {Object} { late_orders, open_orders, unassigned_orders, work_centres: [{ work_centre_id, code, name,
+   *   capacity, queue_depth, utilisation_percent }] }; utilisation is open jobs against capacity, as on the board
+   */
+  evaluateBoard(assignments = null, { startTime = new Date() } = {}) {
+    const orders = this._loadOpenOrders().map(order => {
+      const assignment = assignments && assignments.get(order.id);
+      return assignment
+        ? { ...order, current_work_centre_id: assignment.work_centre_id, work_centre_position: assignment.work_centre_position }
+        : order;
+    });
+
+    const results = this._simulate([...orders].sort(compareByBoardSequence), startTime);
+
+    return {
+      late_orders: results.filter(result => result.late).length,
+      open_orders: orders.length,
+      unassigned_orders: orders.filter(order => !order.current_work_centre_id).length,
+      work_centres: this._loadWorkCentres().map(wc => {
+        const queueDepth = orders.filter(order => order.current_work_centre_id === wc.id).length;
+        return {
+          work_centre_id: wc.id,
+          code: wc.code,
+          name: wc.name,
+          capacity: wc.capacity,
+          queue_depth: queueDepth,
+          utilisation_percent: Math.round(queueDepth / wc.capacity * 100)
+        };
+      })
+    };
+  }
+
+  /**
+   * Build a proposed schedule for the whole board without changing anything
+   * @param {Object} [options={}] - Scheduling options
+   * @param {Array<number>} [options.workCentreIds] - Only propose new positions for these work centres
+   * @param {Date} [options.startTime=new Date()] - Time the schedule starts from
+   * @returns {Object} Proposed schedule with per-work-centre sequences, per-order timings and a diff
+   */
+  buildSchedule({ workCentreIds = null, startTime = new Date() } = {}) {
+    const orders = this._loadOpenOrders().sort(compareBySchedulingRule);
+    const workCentres = this._loadWorkCentres();
+    const results = this._simulate(orders, startTime);
+
+    const resultByOrderId = new Map(results.map(result => [result.order_id, result]));
+    const rankByOrderId = new Map(orders.map((order, index) => [order.id, index]));
+
+    const closedByWorkCentre = {};
+    this._loadClosedOrdersOnBoard().forEach(order => {
+      if (!closedByWorkCentre[order.current_work_centre_id]) {
+        closedByWorkCentre[order.current_work_centre_id] = [];
+      }
+      closedByWorkCentre[order.current_work_centre_id].push(order);
+    });
+
+    const columns = workCentres
+      .filter(wc => !workCentreIds || workCentreIds.includes(wc.id))
+      .map(wc => {
+        // Orders queued here run in the order their step at this work centre is planned to start
+        const plannedStartHere = order => {
+          const step = resultByOrderId.get(order.id).steps.find(s => s.work_centre_id === wc.id);
+          return step ? step.planned_start.getTime() : Infinity;
+        };
+
+        const queued = orders
+          .filter(order => order.current_work_centre_id === wc.id)
+          .sort((a, b) => plannedStartHere(a) - plannedStartHere(b) || rankByOrderId.get(a.id) - rankByOrderId.get(b.id));
+
+        // Closed orders keep their relative order at the back of the column
+        const column = [...queued, ...closedByWorkCentre[wc.id] || []];
+
+        return {
+          work_centre_id: wc.id,
+          work_centre_code: wc.code,
+          work_centre_name: wc.name,
+          capacity: wc.capacity,
+          sequence: column.map((order, index) => {
+            const result = resultByOrderId.get(order.id);
+            return {
+              order_id: order.id,
+              order_number: order.order_number,
+              status: order.status,
+              priority: order.priority,
+              due_date: order.due_date,
+              current_position: order.work_centre_position,
+              proposed_position: index + 1,
+              planned_start: result ? result.planned_start.toISOString() : null,
+              planned_finish: result ? result.planned_finish.toISOString() : null,
+              late: result ? result.late : false
+            };
+          })
+        };
+      });
+
+    const changes = [];
+    columns.forEach(column => {
+      column.sequence
+        .filter(entry => entry.current_position !== entry.proposed_position)
+        .forEach(entry => changes.push({
+          order_id: entry.order_id,
+          order_number: entry.order_number,
+          work_centre_id: column.work_centre_id,
+          from_position: entry.current_position,
+          to_position: entry.proposed_position
+        }));
+    });
+
+    const orderTimings = orders.map(order => {
+      const result = resultByOrderId.get(order.id);
+      return {
+        order_id: order.id,
+        order_number: order.order_number,
+        due_date: order.due_date,
+        planned_start: result.planned_start.toISOString(),
+        planned_finish: result.planned_finish.toISOString(),
+        late: result.late,
+        steps: result.steps.map(step => ({
+          ...step,
+          planned_start: step.planned_start.toISOString(),
+          planned_finish: step.planned_finish.toISOString()
+        }))
+      };
+    });
+
+    return {
+      generated_at: startTime.toISOString(),
+      work_centres: columns,
+      orders: orderTimings,
+      changes,
+      summary: {
+        orders_scheduled: orderTimings.length,
+        late_orders: orderTimings.filter(order => order.late).length,
+        positions_changed: changes.length
+      }
+    };
+  }
+
+  /**
+   * Propose a new queue order for one work centre that cuts changeover time
+   * without missing due dates. Nothing is changed; the caller applies the
+   * proposal with ManufacturingOrder.reorderInWorkCentre.
+   * @param {Object} workCentre - Work centre ({ id, code, name })
+   * @param {Object} [options={}] - Sequencing options
+   * @param {Date} [options.startTime=new Date()] - Time the queue starts from
+   * @returns {Object} Proposed column sequence with setup minutes and finish times per order, a diff and a summary
+   */
+  buildChangeoverSequence(workCentre, { startTime = new Date() } = {}) {
+    const queued = this._loadOpenOrders()
+      .filter(order => order.current_work_centre_id === workCentre.id)
+      .sort(compareByBoardSequence);
+    const closed = this._loadClosedOrdersOnBoard()
+      .filter(order => order.current_work_centre_id === workCentre.id);
+
+    const characteristics = this._loadCharacteristics(queued.map(order => order.id));
+    const calendar = WorkCentreCalendar.loadAllCalendars().get(workCentre.id);
+
+    const result = minimiseChangeovers({
+      orders: queued.map(order => ({
+        id: order.id,
+        status: order.status,
+        due_date: order.due_date,
+        characteristics: characteristics.get(order.id),
+        run_minutes: order.manufacturing_steps
+          .filter(step => step.work_centre_id === workCentre.id && OPEN_STEP_STATUSES.includes(step.status))
+          .reduce((sum, step) => sum + remainingMinutes(step, startTime), 0)
+      })),
+      changeoverMinutes: buildChangeoverLookup(ChangeoverTime.findByWorkCentre(workCentre.id)),
+      startTime,
+      addWorkingTime: (start, minutes) => addWorkingMinutes(calendar, start, minutes)
+    });
+
+    const orderById = new Map(queued.map(order => [order.id, order]));
+
+    // Closed orders keep their relative order at the back of the column
+    const column = [...result.sequence.map(id => orderById.get(id)), ...closed];
+
+    const sequence = column.map((order, index) => {
+      const timing = result.proposed.get(order.id);
+      return {
+        order_id: order.id,
+        order_number: order.order_number,
+        status: order.status,
+        due_date: order.due_date,
+        characteristics: characteristics.get(order.id) || {},
+        current_position: order.work_centre_position,
+        proposed_position: index + 1,
+        setup_minutes: timing ? timing.setup_minutes : 0,
+        planned_finish: timing ? timing.planned_finish.toISOString() : null,
+        late: timing ? timing.late : false
+      };
+    });
+
+    const changes = sequence
+      .filter(entry => entry.current_position !== entry.proposed_position)
+      .map(entry => ({
+        order_id: entry.order_id,
+        order_number: entry.order_number,
+        from_position: entry.current_position,
+        to_position: entry.proposed_position
+      }));
+
+    const countLate = timings => [...timings.values()].filter(timing => timing.late).length;
+
+    return {
+      generated_at: startTime.toISOString(),
+      work_centre_id: workCentre.id,
+      work_centre_code: workCentre.code,
+      work_centre_name: workCentre.name,
+      sequence,
+      changes,
+      summary: {
+        orders_sequenced: queued.length,
+        setup_minutes_before: result.setup_minutes_before,
+        setup_minutes_after: result.setup_minutes_after,
+        setup_minutes_saved: result.setup_minutes_before - result.setup_minutes_after,
+        late_orders_before: countLate(result.current),
+        late_orders_after: countLate(result.proposed),
+        positions_changed: changes.length
+      }
+    };
+  }
+
+  /**
+   * Write a schedule to the board: new positions plus planned step times
+   * @param {Object} schedule - Schedule produced by buildSchedule
+   * @param {number} userId - User applying the schedule (for audit trail)
+   * @returns {Object} The applied schedule
+   * @note Uses database transaction so the board never shows a half-applied schedule. Planned times
+   *       are only written for steps at the schedule's work centres, so a run narrowed with
+   *       workCentreIds leaves the other columns' plans alone.
+   */
+  applySchedule(schedule, userId) {
+    const transaction = this.db.transaction(() => {
+      const updatePosition = this.db.prepare(`
+        UPDATE manufacturing_orders
+        SET work_centre_position = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND current_work_centre_id = ?
+      `);
+
+      for (const change of schedule.changes) {
+        updatePosition.run(change.to_position, change.order_id, change.work_centre_id);
+      }
+
+      const updateStep = this.db.prepare(`
+        UPDATE manufacturing_steps
+        SET planned_start_at = ?, planned_finish_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `);
+
+      const scheduledWorkCentreIds = new Set(schedule.work_centres.map(wc => wc.work_centre_id));
+      for (const order of schedule.orders) {
+        for (const step of order.steps.filter(s => scheduledWorkCentreIds.has(s.work_centre_id))) {
+          updateStep.run(step.planned_start, step.planned_finish, step.step_id);
+        }
+      }
+
+      AuditLog.create({
+        event_type: AUDIT_EVENTS.BOARD_SCHEDULED,
+        user_id: userId,
+        event_data: {
+          work_centre_ids: schedule.work_centres.map(wc => wc.work_centre_id),
+          ...schedule.summary
+        }
+      });
+
+      return schedule;
+    });
+
+    return transaction();
+  }
+}
+
+module.exports = new SchedulingService();
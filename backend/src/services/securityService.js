@@ -160,8 +160,8 @@ class SecurityService {
       if (!apiKeyData) {
         return {
           isValid: false,
-          reason: 'API key not found',
-          code: 'INVALID_API_KEY'
+          reason: 'Invalid system ID',
+          code: 'INVALID_SYSTEM'
         };
       }
 
@@ -208,6 +208,9 @@ class SecurityService {
       // Update last used timestamp
       await ApiKey.updateLastUsed(apiKeyData.id);
 
+      // The hash has done its job; keep it off the request
+      delete apiKeyData.key;
+
       return {
         isValid: true,
         apiKeyData,
@@ -237,9 +240,12 @@ class SecurityService {
       };
     }
 
+    // An IPv4 client on a dual-stack socket arrives as ::ffff:a.b.c.d
+    const ip = clientIp.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+
     // Handle various IP formats
     for (const allowedIp of whitelist) {
-      if (this.isIpInRange(clientIp, allowedIp)) {
+      if (this.isIpInRange(ip, allowedIp)) {
         return {
           allowed: true,
           reason: `IP matches whitelist entry: ${allowedIp}`
@@ -72,25 +72,43 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const workCentreRoutes = require('./routes/workCentres');
 const orderRoutes = require('./routes/orders');
+const orderArchiveRoutes = require('./routes/orderArchive');
 const analyticsRoutes = require('./routes/analytics');
 const externalRoutes = require('./routes/external');
 const characteristicsRoutes = require('./routes/characteristics');
 const userSettingsRoutes = require('./routes/userSettings');
+const planningBoardRoutes = require('./routes/planningBoard');
+const routingRoutes = require('./routes/routings');
+const materialRoutes = require('./routes/materials');
+const scenarioRoutes = require('./routes/scenarios');
+const searchRoutes = require('./routes/search');
+const backupRoutes = require('./routes/backups');
+const dragLockRoutes = require('./routes/dragLocks');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/work-centres', workCentreRoutes);
+app.use('/api/orders/archive', orderArchiveRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/external', externalRoutes);
 app.use('/api/characteristics', characteristicsRoutes);
 app.use('/api/settings', userSettingsRoutes);
+app.use('/api/routings', routingRoutes);
+app.use('/api/materials', materialRoutes);
+app.use('/api/scenarios', scenarioRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/admin/backups', backupRoutes);
+app.use('/api/admin/drag-locks', dragLockRoutes);
 
 // Planning board endpoint (aggregated data)
 app.get('/api/planning-board', require('./controllers/planningController').getPlanningBoardData);
 app.put('/api/planning-board/move', require('./controllers/planningController').moveOrder);
 app.get('/api/planning-board/stats', require('./controllers/planningController').getPlanningBoardStats);
 
+// Planning board tools (mounted after the endpoints above so its auth middleware does not apply to them)
+app.use('/api/planning-board', planningBoardRoutes);
+
 // 404 handler for API routes
 app.use('/api/*', (req, res) => {
   res.status(404).json({
@@ -0,0 +1,190 @@
+/**
+ * Capacity Scheduler
+ * ==================
+ *
+ * Pure finite-capacity scheduling engine shared by the auto-scheduler and
+ * anything else that needs to project when work will actually happen.
+ *
+ * Each work centre is modelled as `capacity` parallel slots. Orders are loaded
+ * one at a time in sequence order; each remaining step takes the earliest free
+ * slot at its work centre, but can never start before the previous step of the
+ * same order has finished. The engine never touches the database.
+ */
+
+const { TIME } = require('../config/constants');
+
+// Higher rank = more important
+const PRIORITY_RANK = {
+  urgent: 4,
+  high: 3,
+  medium: 2,
+  low: 1
+};
+
+// Steps that still need capacity
+const OPEN_STEP_STATUSES = ['pending', 'in_progress'];
+
+/**
+ * Default time arithmetic: continuous wall-clock time
+ * @param {number|null} workCentreId - Work centre the time is spent on (unused)
+ * @param {Date} start - Start timestamp
+ * @param {number} minutes - Minutes of work to add
+ * @returns {Date} Finish timestamp
+ */
+const addWallClockMinutes = (workCentreId, start, minutes) => new Date(start.getTime() + minutes * TIME.MINUTE);
+
+/**
+ * Compare two orders for scheduling sequence.
+ * Running orders keep their lead, then earliest due date wins (orders without a
+ * due date go last), then higher priority, then the current board position.
+ * @param {Object} a - Order row
+ * @param {Object} b - Order row
+ * @returns {number} Sort comparison result
+ */
+function compareBySchedulingRule(a, b) {
+  const aRunning = a.status === 'in_progress' ? 0 : 1;
+  const bRunning = b.status === 'in_progress' ? 0 : 1;
+  if (aRunning !== bRunning) return aRunning - bRunning;
+
+  const aDue = a.due_date ? new Date(a.due_date).getTime() : Infinity;
+  const bDue = b.due_date ? new Date(b.due_date).getTime() : Infinity;
+  if (aDue !== bDue) return aDue < bDue ? -1 : 1;
+
+  const priorityDiff = (PRIORITY_RANK[b.priority] || 0) - (PRIORITY_RANK[a.priority] || 0);
+  if (priorityDiff !== 0) return priorityDiff;
+
+  const aPos = a.work_centre_position || Infinity;
+  const bPos = b.work_centre_position || Infinity;
+  if (aPos !== bPos) return aPos < bPos ? -1 : 1;
+
+  return a.id - b.id;
+}
+
+/**
+ * Compare two orders by the sequence the board currently shows.
+ * Running orders keep their lead, then each order's queue position, then due
+ * date (orders without a due date go last), then ID.
+ * @param {Object} a - Order row
+ * @param {Object} b - Order row
+ * @returns {number} Sort comparison result
+ */
+function compareByBoardSequence(a, b) {
+  const aRunning = a.status === 'in_progress' ? 0 : 1;
+  const bRunning = b.status === 'in_progress' ? 0 : 1;
+  if (aRunning !== bRunning) return aRunning - bRunning;
+
+  const aPos = a.work_centre_position || Infinity;
+  const bPos = b.work_centre_position || Infinity;
+  if (aPos !== bPos) return aPos < bPos ? -1 : 1;
+
+  const aDue = a.due_date ? new Date(a.due_date).getTime() : Infinity;
+  const bDue = b.due_date ? new Date(b.due_date).getTime() : Infinity;
+  if (aDue !== bDue) return aDue < bDue ? -1 : 1;
+
+  return a.id - b.id;
+}
+
+/**
+ * Minutes of work left on a step (setup plus run time)
+ * @param {Object} step - Manufacturing step row
+ * @param {Date} now - Reference time
+ * @returns {number} Remaining minutes (never negative)
+ */
+function remainingMinutes(step, now) {
+  const planned = (step.planned_duration_minutes || 0) + (step.setup_minutes || 0);
+
+  if (step.status === 'in_progress' && step.started_at) {
+    const elapsed = (now.getTime() - new Date(step.started_at).getTime()) / TIME.MINUTE;
+    return Math.max(0, planned - elapsed);
+  }
+
+  return planned;
+}
+
+/**
+ * Simulate the given order sequence against finite work centre capacity
+ * @param {Object} input - Simulation input
+ * @param {Array} input.orders - Orders in the sequence they should be loaded, each with `manufacturing_steps`
+ * @param {Array} input.workCentres - Work centres ({ id, capacity })
+ * @param {Date} [input.startTime=new Date()] - Time the simulation starts from
+ * @param {Function} [input.addWorkingTime] - (workCentreId, start, minutes) => Date, defaults to wall-clock time
+ * @returns {Array} One entry per order: { order_id, planned_start, planned_finish, late, steps: [...] }
+ */
+function simulateSchedule({ orders, workCentres, startTime = new Date(), addWorkingTime = addWallClockMinutes }) {
+  const slots = new Map();
+  for (const wc of workCentres) {
+    slots.set(wc.id, new Array(Math.max(1, wc.capacity || 1)).fill(startTime));
+  }
+
+  return orders.map(order => {
+    let readyAt = startTime;
+    let orderStart = null;
+
+    const steps = (order.manufacturing_steps || [])
+      .filter(step => OPEN_STEP_STATUSES.includes(step.status))
+      .sort((a, b) => a.step_number - b.step_number)
+      .map(step => {
+        const minutes = remainingMinutes(step, startTime);
+        const wcSlots = slots.get(step.work_centre_id);
+        let start = readyAt;
+        let slotIndex = -1;
+
+        if (wcSlots) {
+          slotIndex = wcSlots.reduce((best, free, index) => free < wcSlots[best] ? index : best, 0);
+          if (wcSlots[slotIndex] > start) start = wcSlots[slotIndex];
+        }
+
+        const finish = addWorkingTime(wcSlots ? step.work_centre_id : null, start, minutes);
+        if (wcSlots) wcSlots[slotIndex] = finish;
+
+        readyAt = finish;
+        if (!orderStart) orderStart = start;
+
+        return {
+          step_id: step.id,
+          step_number: step.step_number,
+          work_centre_id: step.work_centre_id,
+          remaining_minutes: Math.round(minutes),
+          planned_start: start,
+          planned_finish: finish
+        };
+      });
+
+    const plannedFinish = steps.length > 0 ? steps[steps.length - 1].planned_finish : startTime;
+    const deadline = dueDeadline(order.due_date);
+
+    return {
+      order_id: order.id,
+      planned_start: orderStart || startTime,
+      planned_finish: plannedFinish,
+      late: deadline ? plannedFinish > deadline : false,
+      steps
+    };
+  });
+}
+
+/**
+ * Convert a stored due date into a deadline; date-only values mean "by the end of that day"
+ * @param {string|null} dueDate - Due date as stored on the order
+ * @returns {Date|null} Deadline timestamp, or null when the order has no due date
+ */
+function dueDeadline(dueDate) {
+  if (!dueDate) return null;
+
+  const deadline = new Date(dueDate);
+  if (typeof dueDate === 'string' && dueDate.length === 10) {
+    return new Date(deadline.getTime() + TIME.DAY - 1);
+  }
+  return deadline;
+}
+
+module.exports = {
+  PRIORITY_RANK,
+  OPEN_STEP_STATUSES,
+  addWallClockMinutes,
+  compareBySchedulingRule,
+  compareByBoardSequence,
+  simulateSchedule,
+  remainingMinutes,
+  dueDeadline
+};
@@ -0,0 +1,170 @@
+/**
+ * Changeover Sequencer
+ * ====================
+ *
+ * Pure engine that reorders one work centre's queue to cut sequence-dependent
+ * setup time, using the work centre's changeover matrix and each order's job
+ * characteristics (material, customer, ...).
+ *
+ * Sequencing rules:
+ * - Running orders keep their place at the front of the queue
+ * - The rest are chained greedily: the next order is the one with the
+ *   shortest changeover from the previous order (earlier due date, then board
+ *   position, breaks ties)
+ * - An order may only be pulled forward if every order still finishes by its
+ *   due date, or no later than it does in the current sequence when it is
+ *   already late
+ * - The current sequence is kept when the chain would not save any setup time
+ *
+ * The queue is timed as a single line at this work centre: each order's
+ * changeover plus its remaining minutes here. The engine never touches the
+ * database.
+ */
+
+const { addWallClockMinutes, dueDeadline } = require('./capacityScheduler');
+
+// Matches any characteristic value in a changeover row
+const ANY_VALUE = '*';
+
+/**
+ * Build a lookup of changeover minutes between two orders from a changeover matrix.
+ * Each characteristic type in the matrix adds its own changeover, so a change of
+ * both material and colour costs both setups. For each type the most specific row
+ * wins: from -> to, then from -> *, then * -> to, then * -> *. No changeover is
+ * needed when the value does not change or either order has no value for the type.
+ * @param {Array} changeovers - Matrix rows ({ characteristic_type, from_value, to_value, setup_minutes })
+ * @returns {Function} (fromCharacteristics, toCharacteristics) => minutes; characteristics map type -> value
+ */
+function buildChangeoverLookup(changeovers) {
+  const minutesByType = new Map();
+  changeovers.forEach(row => {
+    if (!minutesByType.has(row.characteristic_type)) {
+      minutesByType.set(row.characteristic_type, new Map());
+    }
+    minutesByType.get(row.characteristic_type).set(`${row.from_value}\u0000${row.to_value}`, row.setup_minutes);
+  });
+
+  return (fromCharacteristics, toCharacteristics) => {
+    let minutes = 0;
+
+    minutesByType.forEach((matrix, type) => {
+      const from = fromCharacteristics[type];
+      const to = toCharacteristics[type];
+      if (from === undefined || to === undefined || from === to) return;
+
+      const match = [[from, to], [from, ANY_VALUE], [ANY_VALUE, to], [ANY_VALUE, ANY_VALUE]]
+        .map(([f, t]) => matrix.get(`${f}\u0000${t}`))
+        .find(value => value !== undefined);
+
+      minutes += match || 0;
+    });
+
+    return minutes;
+  };
+}
+
+/**
+ * Time a queue sequence at the work centre
+ * @param {Array} sequence - Orders in queue order
+ * @param {Function} changeoverMinutes - (fromCharacteristics, toCharacteristics) => minutes
+ * @param {Date} startTime - Time the queue starts from
+ * @param {Function} addWorkingTime - (start, minutes) => Date
+ * @returns {Array} One entry per order: { order_id, setup_minutes, planned_finish }
+ * @private
+ */
+function timeSequence(sequence, changeoverMinutes, startTime, addWorkingTime) {
+  let clock = startTime;
+  let previous = null;
+
+  return sequence.map(order => {
+    const setupMinutes = previous ? changeoverMinutes(previous.characteristics, order.characteristics) : 0;
+    clock = addWorkingTime(clock, setupMinutes + order.run_minutes);
+    previous = order;
+    return { order_id: order.id, setup_minutes: setupMinutes, planned_finish: clock };
+  });
+}
+
+/**
+ * Reorder a work centre queue to minimise changeovers without missing due dates
+ * @param {Object} input - Sequencing input
+ * @param {Array} input.orders - Open orders in current board sequence, each with
+ *   { id, status, due_date, run_minutes, characteristics (type -> value) }
+ * @param {Function} input.changeoverMinutes - (fromCharacteristics, toCharacteristics) => minutes, see buildChangeoverLookup
+ * @param {Date} [input.startTime=new Date()] - Time the queue starts from
+ * @param {Function} [input.addWorkingTime] - (start, minutes) => Date, defaults to wall-clock time
+ * @returns {Object} { sequence: [order IDs], current: timings, proposed: timings, setup_minutes_before, setup_minutes_after };
+ *   timings are Maps of order ID -> { setup_minutes, planned_finish, late }
+ */
+function minimiseChangeovers({
+  orders,
+  changeoverMinutes,
+  startTime = new Date(),
+  addWorkingTime = (start, minutes) => addWallClockMinutes(null, start, minutes)
+}) {
+  const time = sequence => timeSequence(sequence, changeoverMinutes, startTime, addWorkingTime);
+  const totalSetup = timings => timings.reduce((sum, timing) => sum + timing.setup_minutes, 0);
+
+  // Latest each order may finish: its due date, or its current finish if that is already later
+  const currentTimings = time(orders);
+  const latestFinish = new Map();
+  orders.forEach((order, index) => {
+    const deadline = dueDeadline(order.due_date);
+    if (deadline) {
+      const currentFinish = currentTimings[index].planned_finish;
+      latestFinish.set(order.id, currentFinish > deadline ? currentFinish : deadline);
+    }
+  });
+
+  const keepsDueDates = sequence => time(sequence).every(timing =>
+    !latestFinish.has(timing.order_id) || timing.planned_finish <= latestFinish.get(timing.order_id)
+  );
+
+  const boardRank = new Map(orders.map((order, index) => [order.id, index]));
+  const dueTime = order => dueDeadline(order.due_date)?.getTime() ?? Infinity;
+
+  const chained = orders.filter(order => order.status === 'in_progress');
+  let remaining = orders.filter(order => order.status !== 'in_progress');
+
+  while (remaining.length > 0) {
+    const previous = chained[chained.length - 1];
+    const setupFrom = order => previous ? changeoverMinutes(previous.characteristics, order.characteristics) : 0;
+
+    const candidates = [...remaining].sort((a, b) =>
+      setupFrom(a) - setupFrom(b) || dueTime(a) - dueTime(b) || boardRank.get(a.id) - boardRank.get(b.id)
+    );
+
+    // Whatever comes next, the rest stay in board order. The first remaining order always
+    // passes: that is the sequence the previous pick was checked against.
+    const next = candidates.find(candidate =>
+      candidate === remaining[0] ||
+      keepsDueDates([...chained, candidate, ...remaining.filter(order => order !== candidate)])
+    );
+
+    chained.push(next);
+    remaining = remaining.filter(order => order !== next);
+  }
+
+  const proposedTimings = time(chained);
+  const keepCurrent = totalSetup(proposedTimings) >= totalSetup(currentTimings);
+  const finalSequence = keepCurrent ? orders : chained;
+  const finalTimings = keepCurrent ? currentTimings : proposedTimings;
+
+  const toMap = (sequence, timings) => new Map(timings.map((timing, index) => {
+    const deadline = dueDeadline(sequence[index].due_date);
+    return [timing.order_id, { ...timing, late: deadline ? timing.planned_finish > deadline : false }];
+  }));
+
+  return {
+    sequence: finalSequence.map(order => order.id),
+    current: toMap(orders, currentTimings),
+    proposed: toMap(finalSequence, finalTimings),
+    setup_minutes_before: totalSetup(currentTimings),
+    setup_minutes_after: totalSetup(finalTimings)
+  };
+}
+
+module.exports = {
+  ANY_VALUE,
+  buildChangeoverLookup,
+  minimiseChangeovers
+};
@@ -0,0 +1,304 @@
+const { getDatabase } = require('./database');
+
+/**
+ * Drag Lock Stores
+ * ================
+ *
+ * Where drag locks are kept (see services/dragLockService.js). Both stores
+ * hold the same lock objects:
+ *
+ *   { orderId, orderNumber, userId, userName, instanceId, startTime, expiresAt }
+ *
+ * with times in milliseconds since the epoch. A lock past its expiresAt is
+ * treated as gone even before removeExpired deletes it. Every method is
+ * synchronous, like the models, and locking a set of orders is all-or-nothing.
+ *
+ * - MemoryDragLockStore: this process only; used by the tests
+ * - DatabaseDragLockStore: the drag_locks table, shared by every instance using
+ *   the database, with drag_lock_events for passing lock changes between them
+ */
+
+/**
+ * Locks in a Map, for a single process
+ */
+class MemoryDragLockStore {
+  constructor() {
+    this.locks = new Map(); // orderId -> lock
+  }
+
+  _live(orderId, now) {
+    const lock = this.locks.get(orderId);
+    return lock && lock.expiresAt > now ? lock : null;
+  }
+
+  /**
+   * Lock a set of orders for a user: every order, or none if another user holds any of them.
+   * Locks the user already holds are taken again with a fresh expiry
+   * @param {Array<Object>} orders - { orderId, orderNumber } per order
+   * @param {Object} owner - { userId, userName, instanceId }
+   * @param {number} ttlMs - Time until the locks lapse
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {Object} { locked, locks } - locks are the new locks, or when not locked the other users' locks in the way
+   */
+  acquire(orders, owner, ttlMs, now = Date.now()) {
+    const conflicts = orders
+      .map(({ orderId }) => this._live(orderId, now))
+      .filter(lock => lock && lock.userId !== owner.userId);
+    if (conflicts.length > 0) {
+      return { locked: false, locks: conflicts };
+    }
+
+    const locks = orders.map(({ orderId, orderNumber }) => ({
+      orderId,
+      orderNumber,
+      userId: owner.userId,
+      userName: owner.userName,
+      instanceId: owner.instanceId,
+      startTime: now,
+      expiresAt: now + ttlMs
+    }));
+    locks.forEach(lock => this.locks.set(lock.orderId, lock));
+    return { locked: true, locks };
+  }
+
+  /**
+   * Push back the expiry of the user's locks on a set of orders
+   * @param {Array<number>} orderIds - Orders to renew
+   * @param {number} userId - Holder of the locks
+   * @param {number} ttlMs - Time from now until the locks lapse
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {Array<Object>} Renewed locks; orders the user no longer holds are left out
+   */
+  renew(orderIds, userId, ttlMs, now = Date.now()) {
+    return orderIds
+      .map(orderId => this._live(orderId, now))
+      .filter(lock => lock && lock.userId === userId)
+      .map(lock => {
+        lock.expiresAt = now + ttlMs;
+        return { ...lock };
+      });
+  }
+
+  /**
+   * Release locks on a set of orders
+   * @param {Array<number>} orderIds - Orders to release
+   * @param {number|null} userId - Only release this user's locks; null releases whoever holds them
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {Array<Object>} Released locks
+   */
+  release(orderIds, userId, now = Date.now()) {
+    return orderIds
+      .map(orderId => this._live(orderId, now))
+      .filter(lock => lock && (userId === null || lock.userId === userId))
+      .map(lock => {
+        this.locks.delete(lock.orderId);
+        return lock;
+      });
+  }
+
+  get(orderId, now = Date.now()) {
+    const lock = this._live(orderId, now);
+    return lock ? { ...lock } : null;
+  }
+
+  getAll(now = Date.now()) {
+    return [...this.locks.values()].filter(lock => lock.expiresAt > now).map(lock => ({ ...lock }));
+  }
+
+  /**
+   * Delete lapsed locks
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {Array<Object>} Locks deleted
+   */
+  removeExpired(now = Date.now()) {
+    const expired = [...this.locks.values()].filter(lock => lock.expiresAt <= now);
+    expired.forEach(lock => this.locks.delete(lock.orderId));
+    return expired;
+  }
+
+  // Only this process uses the locks, so there is no one to pass events to
+  publish() {}
+
+  readEvents() {
+    return [];
+  }
+
+  pruneEvents() {}
+
+  clear() {
+    this.locks.clear();
+  }
+}
+
+// Thrown inside DatabaseDragLockStore#acquire to roll back when another user holds one of the orders
+class LocksTaken extends Error {
+  constructor(locks) {
+    super('Order already locked');
+    this.locks = locks;
+  }
+}
+
+/**
+ * Locks in the drag_locks table, shared by every instance using the database
+ */
+class DatabaseDragLockStore {
+  /**
+   * @param {Object} [db=getDatabase()] - Connection from getDatabase
+   */
+  constructor(db = getDatabase()) {
+    this.db = db;
+  }
+
+  _toLock(row) {
+    return {
+      orderId: row.order_id,
+      orderNumber: row.order_number,
+      userId: row.user_id,
+      userName: row.user_name,
+      instanceId: row.instance_id,
+      startTime: row.started_at,
+      expiresAt: row.expires_at
+    };
+  }
+
+  _findLive(orderId, now) {
+    const row = this.db.prepare('SELECT * FROM drag_locks WHERE order_id = ? AND expires_at > ?').get(orderId, now);
+    return row ? this._toLock(row) : null;
+  }
+
+  // See MemoryDragLockStore#acquire
+  acquire(orders, owner, ttlMs, now = Date.now()) {
+    // Takes the order unless another user holds a live lock on it. The check is
+    // part of the write, so two instances locking at once cannot both succeed
+    const upsert = this.db.prepare(`
+      INSERT INTO drag_locks (order_id, order_number, user_id, user_name, instance_id, started_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (order_id) DO UPDATE SET
+        order_number = excluded.order_number,
+        user_id = excluded.user_id,
+        user_name = excluded.user_name,
+        instance_id = excluded.instance_id,
+        started_at = excluded.started_at,
+        expires_at = excluded.expires_at
+      WHERE drag_locks.user_id = excluded.user_id OR drag_locks.expires_at <= ?
+    `);
+
+    try {
+      return this.db.transaction(() => {
+        const taken = orders.filter(({ orderId, orderNumber }) => upsert.run(
+          orderId, orderNumber ?? null, owner.userId, owner.userName, owner.instanceId, now, now + ttlMs, now
+        ).changes === 0);
+        if (taken.length > 0) {
+          // Undoes the locks taken so far
+          throw new LocksTaken(taken.map(({ orderId }) => this._findLive(orderId, now)).filter(Boolean));
+        }
+
+        return { locked: true, locks: orders.map(({ orderId }) => this._findLive(orderId, now)) };
+      })();
+    } catch (error) {
+      if (error instanceof LocksTaken) {
+        return { locked: false, locks: error.locks };
+      }
+      throw error;
+    }
+  }
+
+  // See MemoryDragLockStore#renew
+  renew(orderIds, userId, ttlMs, now = Date.now()) {
+    const renew = this.db.prepare('UPDATE drag_locks SET expires_at = ? WHERE order_id = ? AND user_id = ? AND expires_at > ?');
+    return orderIds
+      .filter(orderId => renew.run(now + ttlMs, orderId, userId, now).changes > 0)
+      .map(orderId => this._findLive(orderId, now))
+      .filter(Boolean);
+  }
+
+  // See MemoryDragLockStore#release
+  release(orderIds, userId, now = Date.now()) {
+    // Only deletes the lock that was read, not one taken again in between
+    const remove = this.db.prepare('DELETE FROM drag_locks WHERE order_id = ? AND user_id = ? AND started_at = ?');
+    return orderIds
+      .map(orderId => this._findLive(orderId, now))
+      .filter(lock => lock && (userId === null || lock.userId === userId))
+      .filter(lock => remove.run(lock.orderId, lock.userId, lock.startTime).changes > 0);
+  }
+
+  get(orderId, now = Date.now()) {
+    return this._findLive(orderId, now);
+  }
+
+  getAll(now = Date.now()) {
+    return this.db.prepare('SELECT * FROM drag_locks WHERE expires_at > ? ORDER BY started_at')
+      .all(now)
+      .map(row => this._toLock(row));
+  }
+
+  /**
+   * Delete lapsed locks. When several instances sweep at once, each lock is
+   * returned by only the one that deleted it
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {Array<Object>} Locks deleted
+   */
+  removeExpired(now = Date.now()) {
+    const remove = this.db.prepare('DELETE FROM drag_locks WHERE order_id = ? AND expires_at <= ?');
+    return this.db.prepare('SELECT * FROM drag_locks WHERE expires_at <= ?')
+      .all(now)
+      .filter(row => remove.run(row.order_id, now).changes > 0)
+      .map(row => this._toLock(row));
+  }
+
+  /**
+   * Record a lock change for the other instances to pass on
+   * @param {Object} event - Lock event, as emitted by the drag lock service
+   * @param {string} instanceId - Instance the change was made through
+   * @param {number} [now=Date.now()] - Current time
+   */
+  publish(event, instanceId, now = Date.now()) {
+    this.db.prepare('INSERT INTO drag_lock_events (instance_id, event_data, created_at) VALUES (?, ?, ?)')
+      .run(instanceId, JSON.stringify(event), now);
+  }
+
+  /**
+   * Lock changes recorded since a time, oldest first
+   * @param {number} since - Earliest created_at to return
+   * @returns {Array<Object>} { id, instanceId, event, createdAt } per change
+   */
+  readEvents(since) {
+    return this.db.prepare('SELECT * FROM drag_lock_events WHERE created_at >= ? ORDER BY id')
+      .all(since)
+      .map(row => ({
+        id: row.id,
+        instanceId: row.instance_id,
+        event: JSON.parse(row.event_data),
+        createdAt: row.created_at
+      }));
+  }
+
+  /**
+   * Delete lock changes every instance has had time to read
+   * @param {number} before - Delete changes recorded before this time
+   */
+  pruneEvents(before) {
+    this.db.prepare('DELETE FROM drag_lock_events WHERE created_at < ?').run(before);
+  }
+
+  clear() {
+    this.db.prepare('DELETE FROM drag_locks').run();
+  }
+}
+
+/**
+ * Create the store named in config
+ * @param {'database'|'memory'} type - Store to use
+ * @returns {MemoryDragLockStore|DatabaseDragLockStore} Store
+ */
+function createDragLockStore(type) {
+  if (type === 'memory') return new MemoryDragLockStore();
+  if (type === 'database') return new DatabaseDragLockStore();
+  throw new Error(`Unknown drag lock store "${type}"; use database or memory`);
+}
+
+module.exports = {
+  MemoryDragLockStore,
+  DatabaseDragLockStore,
+  createDragLockStore
+};
@@ -0,0 +1,127 @@
+/**
+ * Material Availability Utility
+ * =============================
+ *
+ * Works out each order's material status from its stock code's bill of
+ * materials and the inventory ledger, and stops work starting on an order
+ * that is short of material.
+ *
+ * Material statuses:
+ * - available: every component is allocated to (or issued against) the order,
+ *   or free in stock
+ * - partially_allocated: the order holds some material but a component is short
+ * - short: the order holds no material and a component is short
+ *
+ * A stock code without a bill of materials needs no material, so its orders
+ * are available. Each order is checked against the same free stock; free stock
+ * only becomes an order's own once it is allocated.
+ */
+
+const BillOfMaterials = require('../models/BillOfMaterials');
+const InventoryTransaction = require('../models/InventoryTransaction');
+
+const MATERIAL_STATUSES = {
+  AVAILABLE: 'available',
+  PARTIALLY_ALLOCATED: 'partially_allocated',
+  SHORT: 'short'
+};
+
+const round = quantity => InventoryTransaction.roundQuantity(quantity);
+
+/**
+ * Work out the material position of a set of orders in bulk
+ * @param {Array} orders - Orders with id, stock_code and quantity_to_make
+ * @returns {Map<number, Object>} Order ID to { material_status, components, shortages }; each component is
+ *   { component_code, unit, quantity_per, required, allocated, issued, outstanding, available, shortage }
+ */
+const getOrderMaterials = (orders) => {
+  const stockCodes = [...new Set(orders.map(order => order.stock_code))];
+  const componentsByStockCode = {};
+  BillOfMaterials.findByStockCodes(stockCodes).forEach(component => {
+    if (!componentsByStockCode[component.stock_code]) {
+      componentsByStockCode[component.stock_code] = [];
+    }
+    componentsByStockCode[component.stock_code].push(component);
+  });
+
+  const componentCodes = [...new Set(Object.values(componentsByStockCode).flat().map(component => component.component_code))];
+  const stockByCode = new Map(
+    InventoryTransaction.getStockLevels(componentCodes).map(level => [level.component_code, level])
+  );
+
+  const allocationsByOrderId = {};
+  const ordersWithBoms = orders.filter(order => componentsByStockCode[order.stock_code]);
+  InventoryTransaction.getOrderAllocations(ordersWithBoms.map(order => order.id)).forEach(row => {
+    allocationsByOrderId[`${row.order_id}:${row.component_code}`] = row;
+  });
+
+  const materials = new Map();
+  orders.forEach(order => {
+    const components = (componentsByStockCode[order.stock_code] || []).map(component => {
+      const allocation = allocationsByOrderId[`${order.id}:${component.component_code}`] || { allocated: 0, issued: 0 };
+      const required = round(component.quantity_per * order.quantity_to_make);
+      const reserved = round(Math.max(0, allocation.allocated - allocation.issued));
+      const outstanding = round(Math.max(0, required - reserved - allocation.issued));
+      const available = stockByCode.get(component.component_code).available;
+
+      return {
+        component_code: component.component_code,
+        unit: component.unit,
+        quantity_per: component.quantity_per,
+        required,
+        allocated: reserved,
+        issued: allocation.issued,
+        outstanding,
+        available,
+        shortage: round(Math.max(0, outstanding - available))
+      };
+    });
+
+    const shortages = components
+      .filter(component => component.shortage > 0)
+      .map(({ component_code, shortage }) => ({ component_code, shortage }));
+    const holdsMaterial = components.some(component => component.allocated > 0 || component.issued > 0);
+
+    let materialStatus = MATERIAL_STATUSES.AVAILABLE;
+    if (shortages.length > 0) {
+      materialStatus = holdsMaterial ? MATERIAL_STATUSES.PARTIALLY_ALLOCATED : MATERIAL_STATUSES.SHORT;
+    }
+
+    materials.set(order.id, { material_status: materialStatus, components, shortages });
+  });
+
+  return materials;
+};
+
+/**
+ * Check an order has its material before work on it starts
+ * @param {Object} order - Order about to be worked on
+ * @param {string} action - What is being attempted, for the message (e.g. 'start')
+ * @returns {Object|null} null when allowed, otherwise a MATERIAL_SHORTAGE error ({ code, message, details })
+ */
+const checkMaterialAvailable = (order, action) => {
+  const { material_status: materialStatus, shortages } = getOrderMaterials([order]).get(order.id);
+  if (materialStatus === MATERIAL_STATUSES.AVAILABLE) return null;
+
+  const componentCodes = shortages.map(shortage => shortage.component_code).join(', ');
+  return {
+    code: 'MATERIAL_SHORTAGE',
+    message: `Cannot ${action} this order: short of ${componentCodes}`,
+    details: { material_status: materialStatus, shortages }
+  };
+};
+
+/**
+ * An order is ready to run when it has its material and is not waiting on other orders
+ * @param {Object} order - Order with material_status and blocked_by attached
+ * @returns {boolean}
+ */
+const isReadyToRun = (order) =>
+  order.material_status === MATERIAL_STATUSES.AVAILABLE && (!order.blocked_by || order.blocked_by.length === 0);
+
+module.exports = {
+  MATERIAL_STATUSES,
+  getOrderMaterials,
+  checkMaterialAvailable,
+  isReadyToRun
+};
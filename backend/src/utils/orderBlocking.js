@@ -0,0 +1,45 @@
+/**
+ * Order Blocking Utility
+ * ======================
+ *
+ * Enforces order dependencies: an order whose blocking orders are not yet
+ * complete may not start a step or be moved into an active work centre.
+ */
+
+const OrderDependency = require('../models/OrderDependency');
+
+/**
+ * Check an order against its dependencies before it starts or is moved
+ * @param {number} orderId - Order about to be worked on or moved
+ * @param {string} action - What is being attempted, for the message (e.g. 'start', 'move')
+ * @returns {Object|null} null when allowed, otherwise an ORDER_BLOCKED error ({ code, message, details })
+ */
+const checkNotBlocked = (orderId, action) => {
+  const blockers = OrderDependency.getOpenBlockers([orderId]);
+  if (blockers.length === 0) return null;
+
+  const orderNumbers = blockers.map(blocker => blocker.order_number).join(', ');
+  return {
+    code: 'ORDER_BLOCKED',
+    message: `Cannot ${action} this order until ${orderNumbers} ${blockers.length === 1 ? 'is' : 'are'} complete`,
+    details: {
+      blocked_by: blockers.map(({ order_id, order_number, status }) => ({ order_id, order_number, status }))
+    }
+  };
+};
+
+/**
+ * Check an order may be moved into a work centre; inactive work centres can still hold blocked orders
+ * @param {Object} order - Order being moved
+ * @param {Object} workCentre - Destination work centre
+ * @returns {Object|null} null when allowed, otherwise an ORDER_BLOCKED error ({ code, message, details })
+ */
+const checkCanEnterWorkCentre = (order, workCentre) => {
+  if (!workCentre.is_active || order.current_work_centre_id === workCentre.id) return null;
+  return checkNotBlocked(order.id, 'move');
+};
+
+module.exports = {
+  checkNotBlocked,
+  checkCanEnterWorkCentre
+};
@@ -2,7 +2,8 @@
  * Order Status Utility
  * ===================
  *
- * Centralizes order status definitions and validation.
+ * Centralizes order status definitions, validation and the allowed
+ * transitions between statuses.
  * This ensures consistent status handling across the application.
  */
 
@@ -37,9 +38,86 @@ const validateStatus = (status) => {
   }
 };
 
+// Allowed next states for each status; complete is terminal, a cancelled order can only be reinstated
+const STATUS_TRANSITIONS = {
+  [ORDER_STATUSES.NOT_STARTED]: [
+    ORDER_STATUSES.IN_PROGRESS, ORDER_STATUSES.COMPLETE, ORDER_STATUSES.OVERDUE, ORDER_STATUSES.ON_HOLD, ORDER_STATUSES.CANCELLED
+  ],
+  [ORDER_STATUSES.IN_PROGRESS]: [
+    ORDER_STATUSES.COMPLETE, ORDER_STATUSES.OVERDUE, ORDER_STATUSES.ON_HOLD, ORDER_STATUSES.CANCELLED
+  ],
+  [ORDER_STATUSES.OVERDUE]: [
+    ORDER_STATUSES.NOT_STARTED, ORDER_STATUSES.IN_PROGRESS, ORDER_STATUSES.COMPLETE, ORDER_STATUSES.ON_HOLD, ORDER_STATUSES.CANCELLED
+  ],
+  [ORDER_STATUSES.ON_HOLD]: [
+    ORDER_STATUSES.NOT_STARTED, ORDER_STATUSES.IN_PROGRESS, ORDER_STATUSES.OVERDUE, ORDER_STATUSES.CANCELLED
+  ],
+  [ORDER_STATUSES.COMPLETE]: [],
+  [ORDER_STATUSES.CANCELLED]: [ORDER_STATUSES.NOT_STARTED]
+};
+
+// Conditions that must also hold to enter a status; forceable guards can be overridden by an admin
+const TRANSITION_GUARDS = {
+  [ORDER_STATUSES.COMPLETE]: [
+    {
+      name: 'steps_finished',
+      message: 'Cannot complete an order while manufacturing steps are still pending',
+      check: ({ steps = [] }) => steps.every(step => ['complete', 'skipped'].includes(step.status)),
+      forceable: true
+    }
+  ]
+};
+
+/**
+ * Get the statuses an order may move to from its current status
+ * @param {string} fromStatus - Current status
+ * @returns {Array<string>} Allowed next statuses
+ */
+const getAllowedTransitions = (fromStatus) => STATUS_TRANSITIONS[fromStatus] || [];
+
+/**
+ * Check a status change against the transition table and its guards
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @param {Object} [context={}] - Data the guards need
+ * @param {Array} [context.steps] - The order's manufacturing steps
+ * @param {boolean} [context.force=false] - Override forceable guards (admins only)
+ * @returns {Object|null} null when allowed, otherwise an INVALID_TRANSITION error ({ code, message, details })
+ */
+const checkTransition = (fromStatus, toStatus, context = {}) => {
+  if (fromStatus === toStatus) return null;
+
+  const allowedTransitions = getAllowedTransitions(fromStatus);
+  const details = { from: fromStatus, to: toStatus, allowed_transitions: allowedTransitions };
+
+  if (!allowedTransitions.includes(toStatus)) {
+    return {
+      code: 'INVALID_TRANSITION',
+      message: `Cannot change order status from ${fromStatus} to ${toStatus}`,
+      details
+    };
+  }
+
+  const failedGuard = (TRANSITION_GUARDS[toStatus] || [])
+    .find(guard => !guard.check(context) && !(guard.forceable && context.force));
+
+  if (failedGuard) {
+    return {
+      code: 'INVALID_TRANSITION',
+      message: failedGuard.message,
+      details: { ...details, guard: failedGuard.name, forceable: failedGuard.forceable }
+    };
+  }
+
+  return null;
+};
+
 module.exports = {
   ORDER_STATUSES,
   VALID_STATUSES,
+  STATUS_TRANSITIONS,
   isValidStatus,
-  validateStatus
+  validateStatus,
+  getAllowedTransitions,
+  checkTransition
 };
\ No newline at end of file
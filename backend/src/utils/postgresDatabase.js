@@ -0,0 +1,410 @@
+/**
+ * PostgreSQL Database Connection
+ * ==============================
+ *
+ * A PostgreSQL connection with the part of the better-sqlite3 API the models
+ * use (prepare().run/get/all/iterate, exec, transaction, pragma('table_info'),
+ * close), so the same models run on either backend. Queries are synchronous,
+ * as they are with SQLite, through libpq's blocking calls.
+ *
+ * Statements are written for SQLite and translated on prepare (see toPostgresSql):
+ * - ? and @name parameters become $1, $2, ...
+ * - LIKE becomes ILIKE, as SQLite's LIKE ignores case
+ * - a IS b and a IS NOT b become IS [NOT] DISTINCT FROM
+ * - date(), datetime(), julianday(), strftime(), CURRENT_TIMESTAMP and
+ *   CURRENT_DATE call the sqlite_* functions from the PostgreSQL baseline
+ *   migration, which keep SQLite's text formats
+ * - INSERTs into tables with an id column return it, for lastInsertRowid
+ *
+ * Results follow better-sqlite3 too: numbers (including COUNT and SUM) come
+ * back as numbers, booleans as 1/0 and everything else as text. Constraint
+ * violations carry the same error codes as better-sqlite3's
+ * (SQLITE_CONSTRAINT_UNIQUE, ...) so callers handle both backends alike.
+ *
+ * Unlike SQLite, a failed statement aborts the transaction it is in, so code
+ * must not catch an error inside a transaction and carry on.
+ */
+
+const INTEGER_TYPES = new Set([20, 21, 23, 26]); // int8, int2, int4, oid
+const DECIMAL_TYPES = new Set([700, 701, 1700]); // float4, float8, numeric
+const BOOLEAN_TYPE = 16;
+
+// PostgreSQL SQLSTATE -> better-sqlite3 error code
+const CONSTRAINT_CODES = {
+  23505: 'SQLITE_CONSTRAINT_UNIQUE',
+  23503: 'SQLITE_CONSTRAINT_FOREIGNKEY',
+  23502: 'SQLITE_CONSTRAINT_NOTNULL',
+  23514: 'SQLITE_CONSTRAINT_CHECK'
+};
+
+const SQLITE_FUNCTIONS = /\b(date|datetime|julianday|strftime)\s*\(/gi;
+const INSERT_PATTERN = /^\s*INSERT\s+INTO\s+([A-Za-z_][\w]*)\s*(?:\(([^)]*)\))?/i;
+
+function parseValue(type, value) {
+  if (INTEGER_TYPES.has(type)) return parseInt(value, 10);
+  if (DECIMAL_TYPES.has(type)) return parseFloat(value);
+  if (type === BOOLEAN_TYPE) return value === 't' ? 1 : 0;
+  return value;
+}
+
+function toParameter(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (Buffer.isBuffer(value)) return `\\x${value.toString('hex')}`;
+  return String(value);
+}
+
+// Rewrite the SQLite-only parts of a stretch of SQL outside strings and comments
+function rewriteCode(code) {
+  return code
+    .replace(/\bCURRENT_TIMESTAMP\b/gi, 'sqlite_datetime(\'now\')')
+    .replace(/\bCURRENT_DATE\b/gi, 'sqlite_date(\'now\')')
+    .replace(SQLITE_FUNCTIONS, (match, name) => `sqlite_${name.toLowerCase()}(`)
+    .replace(/\bLIKE\b/gi, 'ILIKE')
+    // SQLite's null-safe comparisons: a IS b, a IS NOT b
+    .replace(/\bIS\s+NOT\s+(?!(?:NULL|TRUE|FALSE|UNKNOWN|DISTINCT)\b)/gi, 'IS DISTINCT FROM ')
+    .replace(/\bIS\s+(?!(?:NOT|NULL|TRUE|FALSE|UNKNOWN|DISTINCT)\b)/gi, 'IS NOT DISTINCT FROM ');
+}
+
+/**
+ * Translate a statement written for SQLite into PostgreSQL
+ * @param {string} sql - SQLite statement using ? or @name parameters
+ * @returns {{text: string, parameterCount: number, names: string[]}} PostgreSQL text with $n parameters;
+ *   names lists the named parameters in $n order (empty for positional statements)
+ * @throws {Error} If the statement mixes positional and named parameters
+ */
+function toPostgresSql(sql) {
+  const names = [];
+  let positional = 0;
+  let text = '';
+  let code = '';
+
+  const flush = () => {
+    text += rewriteCode(code);
+    code = '';
+  };
+  const copyUntil = (start, end) => {
+    flush();
+    const stop = sql.indexOf(end, start);
+    const next = stop === -1 ? sql.length : stop + end.length;
+    text += sql.slice(start, next);
+    return next - 1;
+  };
+
+  for (let i = 0; i < sql.length; i++) {
+    const char = sql[i];
+
+    if (char === '\'' || char === '"') {
+      // Quoted string or identifier; a doubled quote is an escaped one
+      let end = i + 1;
+      while (end < sql.length && !(sql[end] === char && sql[end + 1] !== char)) {
+        end += sql[end] === char ? 2 : 1;
+      }
+      flush();
+      text += sql.slice(i, end + 1);
+      i = end;
+    } else if (char === '-' && sql[i + 1] === '-') {
+      i = copyUntil(i, '\n');
+    } else if (char === '/' && sql[i + 1] === '*') {
+      i = copyUntil(i, '*/');
+    } else if (char === '?') {
+      code += `$${++positional}`;
+    } else if (char === '@' && /[A-Za-z_]/.test(sql[i + 1] || '')) {
+      const [name] = sql.slice(i + 1).match(/^\w+/);
+      if (!names.includes(name)) names.push(name);
+      code += `$${names.indexOf(name) + 1}`;
+      i += name.length;
+    } else {
+      code += char;
+    }
+  }
+  flush();
+
+  if (positional > 0 && names.length > 0) {
+    throw new Error('A statement cannot mix positional (?) and named (@name) parameters');
+  }
+  return { text, parameterCount: positional || names.length, names };
+}
+
+/**
+ * Prepared statement with better-sqlite3's run/get/all/iterate
+ */
+class PostgresStatement {
+  constructor(database, source) {
+    this.database = database;
+    this.source = source;
+    Object.assign(this, toPostgresSql(source));
+
+    const insert = INSERT_PATTERN.exec(source);
+    this.insertTable = insert && !/\bRETURNING\b/i.test(source) ? insert[1].toLowerCase() : null;
+    // Rows inserted with explicit ids must move the table's id sequence past them
+    this.insertsIds = Boolean(insert && insert[2] && insert[2].split(',').some(column => column.trim().toLowerCase() === 'id'));
+  }
+
+  /**
+   * Bind parameters the way better-sqlite3 does: positional values (arrays are
+   * spread) or one object of named values
+   * @private
+   */
+  _bind(parameters) {
+    const isNamedValues = parameter => parameter !== null && typeof parameter === 'object'
+      && !Array.isArray(parameter) && !Buffer.isBuffer(parameter);
+
+    if (this.names.length > 0) {
+      const values = parameters.find(isNamedValues);
+      return this.names.map(name => {
+        if (!values || !(name in values)) {
+          throw new RangeError(`Missing named parameter "${name}"`);
+        }
+        return toParameter(values[name]);
+      });
+    }
+
+    // Like better-sqlite3, an object of named values is ignored by a statement without named parameters
+    const values = parameters.filter(parameter => !isNamedValues(parameter)).flat();
+    if (values.length !== this.parameterCount) {
+      throw new RangeError(`Too ${values.length < this.parameterCount ? 'few' : 'many'} parameter values were provided`);
+    }
+    return values.map(toParameter);
+  }
+
+  run(...parameters) {
+    const returnsId = this.insertTable !== null && this.database._hasIdColumn(this.insertTable);
+    const rows = this.database._query(returnsId ? `${this.text} RETURNING id` : this.text, this._bind(parameters));
+    const changes = this.database._changes();
+
+    if (this.insertsIds) {
+      this.database._advanceIdSequence(this.insertTable || INSERT_PATTERN.exec(this.source)[1].toLowerCase());
+    }
+    return { changes, lastInsertRowid: returnsId && rows.length > 0 ? rows[rows.length - 1].id : 0 };
+  }
+
+  get(...parameters) {
+    return this.database._query(this.text, this._bind(parameters))[0];
+  }
+
+  all(...parameters) {
+    return this.database._query(this.text, this._bind(parameters));
+  }
+
+  iterate(...parameters) {
+    return this.all(...parameters)[Symbol.iterator]();
+  }
+}
+
+/**
+ * PostgreSQL connection with the better-sqlite3 Database API
+ */
+class PostgresDatabase {
+  /**
+   * Connect to PostgreSQL
+   * @param {string} connectionString - libpq connection string or postgres:// URL
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.schema] - Schema to create if needed and work in, instead of the default search_path
+   * @param {boolean} [options.dropSchemaOnClose=false] - Drop that schema again on close (throwaway test databases)
+   * @throws {Error} If the libpq bindings are not installed or the connection fails
+   */
+  constructor(connectionString, { schema, dropSchemaOnClose = false } = {}) {
+    let Libpq;
+    try {
+      Libpq = require('libpq');
+    } catch (error) {
+      throw new Error('PostgreSQL support needs the optional "libpq" package and the libpq client library: npm install libpq');
+    }
+
+    this.pq = new Libpq();
+    this.pq.connectSync(connectionString);
+    this.name = connectionString.replace(/:[^:@/]*@/, ':*****@');
+    this.open = true;
+    this.dialect = 'postgres';
+    this.schema = schema || null;
+    this.dropSchemaOnClose = Boolean(schema && dropSchemaOnClose);
+    this.transactionDepth = 0;
+    this.idTables = null;
+
+    // Stored times are UTC text, as SQLite's CURRENT_TIMESTAMP produces; libpq
+    // prints server notices (such as IF NOT EXISTS skips) to stderr, so keep them quiet
+    this.exec('SET TimeZone TO \'UTC\'; SET client_min_messages TO WARNING');
+    if (this.schema) {
+      const schemaName = this.pq.escapeIdentifier(this.schema);
+      this.exec(`CREATE SCHEMA IF NOT EXISTS ${schemaName}; SET search_path TO ${schemaName}`);
+    }
+  }
+
+  get inTransaction() {
+    return this.transactionDepth > 0;
+  }
+
+  /**
+   * Prepare a statement written for SQLite
+   * @param {string} sql - SQL with ? or @name parameters
+   * @returns {PostgresStatement} Statement with run/get/all/iterate
+   */
+  prepare(sql) {
+    this._assertOpen();
+    return new PostgresStatement(this, sql);
+  }
+
+  /**
+   * Run one or more statements as written (no translation or parameters), e.g. migrations
+   * @param {string} sql - PostgreSQL statements
+   * @returns {PostgresDatabase} This connection
+   */
+  exec(sql) {
+    this._assertOpen();
+    this._query(sql);
+    this.idTables = null;
+    return this;
+  }
+
+  /**
+   * Wrap a function in a transaction, as better-sqlite3 does: calling the result runs the
+   * function in BEGIN/COMMIT (a savepoint when nested) and rolls back if it throws
+   * @param {Function} fn - Function to run in the transaction
+   * @returns {Function} Transaction function; .deferred, .immediate and .exclusive are the same function
+   */
+  transaction(fn) {
+    const database = this;
+    const transaction = function (...args) {
+      const savepoint = database.transactionDepth > 0 ? `transaction_${database.transactionDepth}` : null;
+      database._query(savepoint ? `SAVEPOINT ${savepoint}` : 'BEGIN');
+      database.transactionDepth++;
+
+      try {
+        const result = fn.apply(this, args);
+        database._query(savepoint ? `RELEASE SAVEPOINT ${savepoint}` : 'COMMIT');
+        return result;
+      } catch (error) {
+        if (database.open) {
+          database._query(savepoint ? `ROLLBACK TO SAVEPOINT ${savepoint}; RELEASE SAVEPOINT ${savepoint}` : 'ROLLBACK');
+        }
+        throw error;
+      } finally {
+        database.transactionDepth--;
+      }
+    };
+
+    transaction.deferred = transaction;
+    transaction.immediate = transaction;
+    transaction.exclusive = transaction;
+    return transaction;
+  }
+
+  /**
+   * The SQLite pragmas the application uses: table_info(table) returns the table's columns;
+   * foreign_keys and journal_mode are no-ops (PostgreSQL always enforces foreign keys)
+   * @param {string} source - Pragma, e.g. 'table_info(manufacturing_orders)'
+   * @returns {Array} Rows, as SQLite returns them
+   * @throws {Error} For any other pragma
+   */
+  pragma(source) {
+    const tableInfo = /^\s*table_info\((\w+)\)\s*$/i.exec(source);
+    if (tableInfo) {
+      return this.prepare(`
+        SELECT ordinal_position - 1 as cid, column_name as name, data_type as type,
+          CASE WHEN is_nullable = 'NO' THEN 1 ELSE 0 END as notnull, column_default as dflt_value
+        FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = ?
+        ORDER BY ordinal_position
+      `).all(tableInfo[1].toLowerCase());
+    }
+    if (/^\s*(foreign_keys|journal_mode)\b/i.test(source)) {
+      return [];
+    }
+    throw new Error(`PRAGMA ${source} is not supported on PostgreSQL`);
+  }
+
+  // Close the connection (dropping its throwaway schema, if any)
+  close() {
+    if (!this.open) return this;
+
+    if (this.dropSchemaOnClose) {
+      this._query(`DROP SCHEMA IF EXISTS ${this.pq.escapeIdentifier(this.schema)} CASCADE`);
+    }
+    this.pq.finish();
+    this.open = false;
+    return this;
+  }
+
+  _assertOpen() {
+    if (!this.open) {
+      throw new TypeError('The database connection is not open');
+    }
+  }
+
+  /**
+   * Run a query and return its rows
+   * @param {string} text - PostgreSQL text
+   * @param {Array} [values] - Parameter values as text; omit to run several statements at once
+   * @returns {Array} Row objects
+   * @private
+   */
+  _query(text, values) {
+    if (values) {
+      this.pq.execParams(text, values);
+    } else {
+      this.pq.exec(text);
+    }
+
+    const message = this.pq.resultErrorMessage() || (this.pq.resultStatus() === 'PGRES_FATAL_ERROR' ? this.pq.errorMessage() : '');
+    if (message) {
+      const fields = this.pq.resultErrorFields() || {};
+      const error = new Error(fields.messagePrimary || message.replace(/^ERROR:\s*/, '').trim());
+      error.code = CONSTRAINT_CODES[fields.sqlState] || 'DATABASE_ERROR';
+      error.sqlState = fields.sqlState;
+      error.detail = fields.messageDetail;
+      throw error;
+    }
+
+    const columns = Array.from({ length: this.pq.nfields() }, (unused, index) => ({
+      name: this.pq.fname(index),
+      type: this.pq.ftype(index)
+    }));
+    return Array.from({ length: this.pq.ntuples() }, (unused, rowIndex) => {
+      const row = {};
+      columns.forEach((column, columnIndex) => {
+        row[column.name] = this.pq.getisnull(rowIndex, columnIndex)
+          ? null
+          : parseValue(column.type, this.pq.getvalue(rowIndex, columnIndex));
+      });
+      return row;
+    });
+  }
+
+  // Rows changed by the last query
+  _changes() {
+    return parseInt(this.pq.cmdTuples(), 10) || 0;
+  }
+
+  /**
+   * Whether a table has an id column, so INSERTs into it can return the new id
+   * @private
+   */
+  _hasIdColumn(table) {
+    if (!this.idTables) {
+      this.idTables = new Set(this._query(`
+        SELECT table_name FROM information_schema.columns
+        WHERE table_schema = current_schema() AND column_name = 'id'
+      `).map(row => row.table_name));
+    }
+    return this.idTables.has(table);
+  }
+
+  /**
+   * Move a table's id sequence past the highest id, after rows were inserted with explicit ids
+   * (SQLite's AUTOINCREMENT does this by itself)
+   * @private
+   */
+  _advanceIdSequence(table) {
+    this._query(`
+      SELECT setval(sequence_name, max_id)
+      FROM (SELECT pg_get_serial_sequence($1, 'id') as sequence_name, (SELECT MAX(id) FROM ${this.pq.escapeIdentifier(table)}) as max_id) ids
+      WHERE sequence_name IS NOT NULL AND max_id IS NOT NULL
+    `, [table]);
+  }
+}
+
+module.exports = {
+  PostgresDatabase,
+  toPostgresSql
+};
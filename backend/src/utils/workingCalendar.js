@@ -0,0 +1,225 @@
+/**
+ * Working Calendar Utility
+ * ========================
+ *
+ * Pure working-time arithmetic for work centre calendars. A calendar is
+ * `{ shifts, exceptions }` where:
+ * - `shifts` is the weekly pattern ({ day_of_week, start_time, end_time }) or
+ *   null when no pattern applies, meaning the work centre runs 24/7
+ * - `exceptions` are dated overrides ({ exception_date, start_time, end_time, is_working }):
+ *   closed exceptions remove time (a whole day when no times are given),
+ *   working exceptions add time such as overtime
+ *
+ * Breaks are simply gaps between shifts on the same day. Shift times are
+ * local server time; an end time at or before the start time runs overnight.
+ */
+
+const { TIME } = require('../config/constants');
+
+// How far ahead to look for working time before giving up
+const MAX_LOOKAHEAD_DAYS = 366;
+const LOOKAHEAD_CHUNK_DAYS = 7;
+
+/**
+ * Parse an HH:MM time into minutes after midnight
+ * @param {string} time - Time string (00:00 - 24:00)
+ * @returns {number} Minutes after midnight
+ */
+function parseTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Format a date as a local YYYY-MM-DD string
+ * @param {Date} date - Date to format
+ * @returns {string} Local calendar date
+ */
+function localDateString(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Build a window on a given day from HH:MM times
+ * @param {Date} day - Local midnight of the day
+ * @param {string|null} startTime - Window start (null = midnight)
+ * @param {string|null} endTime - Window end (null = end of day)
+ * @returns {Object} Window { start, end }
+ * @private
+ */
+function windowOnDay(day, startTime, endTime) {
+  const startMinutes = startTime ? parseTime(startTime) : 0;
+  let endMinutes = endTime ? parseTime(endTime) : 24 * 60;
+  if (endMinutes <= startMinutes) endMinutes += 24 * 60;
+
+  return {
+    start: new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, startMinutes),
+    end: new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, endMinutes)
+  };
+}
+
+/**
+ * Remove a closed window from a list of windows
+ * @param {Array} windows - Working windows
+ * @param {Object} closed - Window to remove
+ * @returns {Array} Remaining windows
+ * @private
+ */
+function subtractWindow(windows, closed) {
+  const result = [];
+  for (const window of windows) {
+    if (closed.end <= window.start || closed.start >= window.end) {
+      result.push(window);
+      continue;
+    }
+    if (closed.start > window.start) result.push({ start: window.start, end: closed.start });
+    if (closed.end < window.end) result.push({ start: closed.end, end: window.end });
+  }
+  return result;
+}
+
+/**
+ * Merge overlapping windows and clip them to a range
+ * @param {Array} windows - Windows in any order
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Array} Sorted, non-overlapping windows
+ * @private
+ */
+function mergeAndClip(windows, from, to) {
+  const sorted = windows
+    .map(window => ({
+      start: window.start < from ? from : window.start,
+      end: window.end > to ? to : window.end
+    }))
+    .filter(window => window.end > window.start)
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const window of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && window.start <= last.end) {
+      if (window.end > last.end) last.end = window.end;
+    } else {
+      merged.push({ ...window });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Whether the calendar is plain 24/7 time with no exceptions
+ * @param {Object|null} calendar - Work centre calendar
+ * @returns {boolean} True when wall-clock arithmetic applies
+ */
+function isAlwaysWorking(calendar) {
+  return !calendar || !calendar.shifts && (!calendar.exceptions || calendar.exceptions.length === 0);
+}
+
+/**
+ * List the working windows of a calendar within a time range
+ * @param {Object|null} calendar - Work centre calendar ({ shifts, exceptions })
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Array} Sorted, non-overlapping { start, end } windows
+ */
+function getWorkingWindows(calendar, from, to) {
+  if (isAlwaysWorking(calendar)) {
+    return from < to ? [{ start: from, end: to }] : [];
+  }
+
+  const exceptions = calendar.exceptions || [];
+  const windows = [];
+
+  // Start a day early so overnight shifts from the previous day are included
+  const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() - 1);
+
+  while (day < to) {
+    const dateKey = localDateString(day);
+    const dayExceptions = exceptions.filter(exception => exception.exception_date === dateKey);
+    const closedAllDay = dayExceptions.some(exception => !exception.is_working && !exception.start_time);
+
+    let dayWindows = [];
+    if (!closedAllDay) {
+      dayWindows = calendar.shifts
+        ? calendar.shifts
+          .filter(shift => shift.day_of_week === day.getDay())
+          .map(shift => windowOnDay(day, shift.start_time, shift.end_time))
+        : [windowOnDay(day, null, null)];
+    }
+
+    dayExceptions
+      .filter(exception => exception.is_working)
+      .forEach(exception => dayWindows.push(windowOnDay(day, exception.start_time, exception.end_time)));
+
+    dayExceptions
+      .filter(exception => !exception.is_working && exception.start_time)
+      .forEach(exception => {
+        dayWindows = subtractWindow(dayWindows, windowOnDay(day, exception.start_time, exception.end_time));
+      });
+
+    windows.push(...dayWindows);
+    day.setDate(day.getDate() + 1);
+  }
+
+  return mergeAndClip(windows, from, to);
+}
+
+/**
+ * Count working minutes between two timestamps
+ * @param {Object|null} calendar - Work centre calendar
+ * @param {Date} from - Start timestamp
+ * @param {Date} to - End timestamp
+ * @returns {number} Working minutes in the range
+ */
+function workingMinutesBetween(calendar, from, to) {
+  return getWorkingWindows(calendar, from, to)
+    .reduce((total, window) => total + (window.end - window.start) / TIME.MINUTE, 0);
+}
+
+/**
+ * Add working minutes to a timestamp, skipping non-working time
+ * @param {Object|null} calendar - Work centre calendar
+ * @param {Date} start - Start timestamp
+ * @param {number} minutes - Working minutes to add
+ * @returns {Date} Timestamp at which the work is done
+ * @note Falls back to wall-clock time if the calendar has no working time within a year
+ */
+function addWorkingMinutes(calendar, start, minutes) {
+  if (isAlwaysWorking(calendar)) {
+    return new Date(start.getTime() + minutes * TIME.MINUTE);
+  }
+
+  let remaining = minutes;
+  let cursor = start;
+  const horizon = new Date(start.getTime() + MAX_LOOKAHEAD_DAYS * TIME.DAY);
+
+  while (cursor < horizon) {
+    const chunkEnd = new Date(cursor.getTime() + LOOKAHEAD_CHUNK_DAYS * TIME.DAY);
+
+    for (const window of getWorkingWindows(calendar, cursor, chunkEnd)) {
+      const available = (window.end - window.start) / TIME.MINUTE;
+
+      // Zero-length work still waits for the next working window
+      if (available >= remaining) {
+        return new Date(window.start.getTime() + remaining * TIME.MINUTE);
+      }
+      remaining -= available;
+    }
+
+    cursor = chunkEnd;
+  }
+
+  return new Date(start.getTime() + minutes * TIME.MINUTE);
+}
+
+module.exports = {
+  parseTime,
+  localDateString,
+  isAlwaysWorking,
+  getWorkingWindows,
+  workingMinutesBetween,
+  addWorkingMinutes
+};
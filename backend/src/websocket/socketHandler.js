@@ -2,9 +2,12 @@ const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
 const config = require('../config/database');
 const User = require('../models/User');
+const dragLockService = require('../services/dragLockService');
 const {
   createDragLock,
   releaseDragLock,
+  renewDragLocks,
+  getLockInfo,
   getAllActiveLocks
 } = require('../middleware/dragLocks');
 
@@ -62,6 +65,11 @@ class SocketHandler {
       this.handleConnection(socket);
     });
 
+    // Lock changes from this instance and, through the lock store, every other one
+    dragLockService.on('lock_event', (event) => {
+      this.broadcastLockEvent(event);
+    });
+
     console.log('WebSocket server initialized');
     return this.io;
   }
@@ -131,6 +139,10 @@ class SocketHandler {
       this.handleEndDrag(socket, data);
     });
 
+    socket.on('renew_drag', (data) => {
+      this.handleRenewDrag(socket, data);
+    });
+
     // Handle data updates
     socket.on('order_updated', (data) => {
       this.handleOrderUpdated(socket, data);
@@ -224,20 +236,39 @@ class SocketHandler {
     const username = socket.username;
 
     try {
-      // Create drag lock
+      // Create drag lock; order_locked is broadcast from the lock event
       const lock = createDragLock(orderId, userId, username, orderNumber);
 
-      // Broadcast to all planning board users
-      this.io.to('planning_board').emit('order_locked', {
+      if (!lock) {
+        const existingLock = getLockInfo(orderId);
+        socket.emit('drag_error', {
+          orderId: orderId,
+          code: 'ORDER_LOCKED',
+          error: `Order currently being moved by ${existingLock ? existingLock.userName : 'another user'}`
+        });
+        return;
+      }
+
+      console.log(`Drag started for order ${orderId} by ${username}`);
+    } catch (error) {
+      socket.emit('drag_error', {
         orderId: orderId,
-        orderNumber: orderNumber,
-        lockedBy: username,
-        lockedByUserId: userId,
-        lockStartTime: lock.startTime,
-        lockExpiry: new Date(lock.startTime + 30000).toISOString()
+        error: error.message
       });
+    }
+  }
 
-      console.log(`Drag started for order ${orderId} by ${username}`);
+  // Heartbeat from a client still dragging, so its lock doesn't lapse
+  handleRenewDrag(socket, data) {
+    const { orderId } = data;
+
+    try {
+      if (renewDragLocks([orderId], socket.userId).length === 0) {
+        socket.emit('drag_lock_lost', {
+          orderId: orderId,
+          error: 'Your lock on this order has expired or been released'
+        });
+      }
     } catch (error) {
       socket.emit('drag_error', {
         orderId: orderId,
@@ -252,20 +283,10 @@ class SocketHandler {
     const username = socket.username;
 
     try {
-      // Release drag lock
-      const released = releaseDragLock(orderId, userId);
+      // Release drag lock; order_unlocked is broadcast from the lock event
+      const released = releaseDragLock(orderId, userId, { completed, toWorkCentreId });
 
       if (released) {
-        // Broadcast to all planning board users
-        this.io.to('planning_board').emit('order_unlocked', {
-          orderId: orderId,
-          unlockedBy: username,
-          unlockedByUserId: userId,
-          completed: completed,
-          toWorkCentreId: toWorkCentreId,
-          unlockedAt: new Date().toISOString()
-        });
-
         console.log(`Drag ended for order ${orderId} by ${username} (completed: ${completed})`);
       }
     } catch (error) {
@@ -321,24 +342,10 @@ class SocketHandler {
       }
     }
 
-    // Release any locks held by this user if they have no other connections
+    // Release the locks this user took through this instance if they have no other connections to it;
+    // planning board users are told through the lock events
     if (!this.userSockets.has(userId)) {
-      const activeLocks = getAllActiveLocks();
-      for (const [orderId, lockInfo] of Object.entries(activeLocks)) {
-        if (lockInfo.userId === userId) {
-          releaseDragLock(orderId, userId);
-
-          // Notify planning board users
-          this.io.to('planning_board').emit('order_unlocked', {
-            orderId: orderId,
-            unlockedBy: username,
-            unlockedByUserId: userId,
-            completed: false,
-            reason: 'user_disconnected',
-            unlockedAt: new Date().toISOString()
-          });
-        }
-      }
+      dragLockService.releaseInstanceLocks(userId);
     }
 
     // Notify planning board users if they were in that room
@@ -419,6 +426,45 @@ class SocketHandler {
     }
   }
 
+  /**
+   * Pass a drag lock change on to the planning board
+   * @param {Object} event - Lock event from dragLockService
+   */
+  broadcastLockEvent(event) {
+    if (!this.io) return;
+
+    const { lock } = event;
+    if (event.type === 'locked') {
+      this.io.to('planning_board').emit('order_locked', {
+        orderId: lock.orderId,
+        orderNumber: lock.orderNumber,
+        lockedBy: lock.userName,
+        lockedByUserId: lock.userId,
+        lockStartTime: lock.startTime,
+        lockExpiry: new Date(lock.expiresAt).toISOString()
+      });
+    } else if (event.type === 'renewed') {
+      this.io.to('planning_board').emit('order_lock_renewed', {
+        orderId: lock.orderId,
+        lockedBy: lock.userName,
+        lockedByUserId: lock.userId,
+        lockExpiry: new Date(lock.expiresAt).toISOString()
+      });
+    } else if (event.type === 'unlocked') {
+      // Expired locks have no one to credit; force releases are credited to the admin
+      const by = event.by || (event.reason === 'expired' ? { userId: null, userName: 'system' } : lock);
+      this.io.to('planning_board').emit('order_unlocked', {
+        orderId: lock.orderId,
+        unlockedBy: by.userName,
+        unlockedByUserId: by.userId,
+        completed: Boolean(event.completed),
+        toWorkCentreId: event.toWorkCentreId,
+        reason: event.reason,
+        unlockedAt: event.at
+      });
+    }
+  }
+
   broadcastWorkCentreUpdated(workCentre, updateType, updatedBy) {
     if (this.io) {
       this.io.emit('work_centre_updated', {
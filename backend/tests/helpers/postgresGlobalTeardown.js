@@ -0,0 +1,12 @@
+// Stops the temporary server started by postgresGlobalSetup, if there is one
+const fs = require('fs');
+
+module.exports = async () => {
+  const started = globalThis.__POSTGRES_TEST_SERVER__;
+  if (!started) {
+    return;
+  }
+
+  await started.server.stop();
+  fs.rmSync(started.databaseDir, { recursive: true, force: true });
+};
@@ -12,24 +12,6 @@ describe('API Key Authentication Middleware', () => {
     process.env.NODE_ENV = 'test';
     db = getDatabase();
     
-    // Create api_keys table for testing
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS api_keys (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name VARCHAR(100) NOT NULL,
-        key VARCHAR(255) NOT NULL,
-        system_id VARCHAR(50) NOT NULL UNIQUE,
-        is_active BOOLEAN DEFAULT 1,
-        rate_limit INTEGER DEFAULT 1000,
-        ip_whitelist TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        last_used_at DATETIME,
-        expires_at DATETIME,
-        created_by INTEGER,
-        metadata TEXT
-      )
-    `);
-
     // Create a test API key
     const result = await ApiKey.generateKey('Test API Key', 'test_system', 1);
     testApiKey = result;
@@ -151,6 +133,8 @@ describe('API Key Authentication Middleware', () => {
     });
 
     it('should update last_used_at when API key is used', async () => {
+      // Earlier requests may have set it within the same second
+      db.prepare('UPDATE api_keys SET last_used_at = NULL WHERE id = ?').run(testApiKey.id);
       const beforeUsage = ApiKey.findById(testApiKey.id);
       
       await request(app)
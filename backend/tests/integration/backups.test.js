@@ -0,0 +1,202 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// Before the app loads, so the backup service writes here
+const backupDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'factory-board-backups-'));
+process.env.BACKUP_PATH = backupDirectory;
+
+const { app } = require('../../src/testApp');
+const { getDatabaseClient } = require('../../src/utils/database');
+const backupService = require('../../src/services/backupService');
+const {
+  setupTestDatabase,
+  createTestUsers,
+  createTestWorkCentres,
+  createTestOrder,
+  generateTestTokens,
+  createAuthHeader,
+  assertApiResponse,
+  assertErrorResponse,
+  cleanupTestData
+} = require('../helpers/testUtils');
+
+// Backups are taken from the SQLite file; on PostgreSQL the endpoints only answer 501
+const onPostgres = getDatabaseClient() === 'postgres';
+
+(onPostgres ? describe.skip : describe)('Database Backups', () => {
+  let db;
+  let testUsers;
+  let testWorkCentres;
+  let adminToken;
+  let schedulerToken;
+
+  const createBackup = (body = {}, token = adminToken) => request(app)
+    .post('/api/admin/backups')
+    .set('Authorization', createAuthHeader(token))
+    .send(body);
+
+  const listBackups = (token = adminToken) => request(app)
+    .get('/api/admin/backups')
+    .set('Authorization', createAuthHeader(token));
+
+  const restore = (id, token = adminToken) => request(app)
+    .post(`/api/admin/backups/${id}/restore`)
+    .set('Authorization', createAuthHeader(token));
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+    testUsers = await createTestUsers(db);
+    testWorkCentres = createTestWorkCentres(db);
+
+    adminToken = generateTestTokens(testUsers.admin).accessToken;
+    schedulerToken = generateTestTokens(testUsers.scheduler).accessToken;
+  });
+
+  afterEach(() => {
+    backupService.retain = 14;
+  });
+
+  afterAll(async () => {
+    backupService.stop();
+    cleanupTestData(db);
+    fs.rmSync(backupDirectory, { recursive: true, force: true });
+  });
+
+  test('should take a backup with its description and list it', async () => {
+    createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'BK-001' });
+
+    const response = await createBackup({ note: 'Before the big reshuffle' });
+    const { backup } = assertApiResponse(response, 201);
+    expect(backup).toMatchObject({
+      trigger: 'manual',
+      note: 'Before the big reshuffle',
+      created_by: testUsers.admin.id,
+      integrity: { ok: true, errors: [] }
+    });
+    expect(backup.id).toMatch(/^backup-\d{8}T\d{9}Z$/);
+    expect(backup.size_bytes).toBeGreaterThan(0);
+    expect(backup.schema_version).toBeGreaterThan(0);
+    expect(fs.existsSync(path.join(backupDirectory, `${backup.id}.db`))).toBe(true);
+
+    const listed = assertApiResponse(await listBackups(), 200);
+    expect(listed.backups.map(b => b.id)).toContain(backup.id);
+
+    const fetched = assertApiResponse(await request(app)
+      .get(`/api/admin/backups/${backup.id}`)
+      .set('Authorization', createAuthHeader(adminToken)), 200);
+    expect(fetched.backup).toEqual(backup);
+  });
+
+  test('should download and re-verify a backup', async () => {
+    const { backup } = (await createBackup()).body;
+
+    const download = await request(app)
+      .get(`/api/admin/backups/${backup.id}/download`)
+      .set('Authorization', createAuthHeader(adminToken))
+      .buffer()
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+    expect(download.status).toBe(200);
+    expect(download.headers['content-disposition']).toContain(`${backup.id}.db`);
+    expect(download.body.subarray(0, 15).toString()).toBe('SQLite format 3');
+
+    const verified = assertApiResponse(await request(app)
+      .post(`/api/admin/backups/${backup.id}/verify`)
+      .set('Authorization', createAuthHeader(adminToken)), 200);
+    expect(verified.backup.integrity.ok).toBe(true);
+    expect(verified.backup.integrity.checked_at >= backup.integrity.checked_at).toBe(true);
+  });
+
+  test('should report a damaged backup and refuse to restore it', async () => {
+    const { backup } = (await createBackup()).body;
+    fs.writeFileSync(path.join(backupDirectory, `${backup.id}.db`), 'not a database');
+
+    const verified = assertApiResponse(await request(app)
+      .post(`/api/admin/backups/${backup.id}/verify`)
+      .set('Authorization', createAuthHeader(adminToken)), 200);
+    expect(verified.backup.integrity.ok).toBe(false);
+
+    assertErrorResponse(await restore(backup.id), 422, 'BACKUP_CORRUPT');
+  });
+
+  test('should restore a backup over the live data and record it', async () => {
+    const kept = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'BK-KEPT' });
+    const { backup } = (await createBackup()).body;
+
+    db.prepare('UPDATE manufacturing_orders SET description = ? WHERE id = ?').run('Changed after the backup', kept.id);
+    const added = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'BK-ADDED' });
+
+    const response = await restore(backup.id);
+    const body = assertApiResponse(response, 200);
+    expect(body.backup.id).toBe(backup.id);
+    expect(body.pre_restore_backup.trigger).toBe('pre_restore');
+    expect(body.migrations_applied).toEqual([]);
+
+    expect(db.prepare('SELECT description FROM manufacturing_orders WHERE id = ?').get(kept.id).description)
+      .toBe(kept.description);
+    expect(db.prepare('SELECT 1 FROM manufacturing_orders WHERE id = ?').get(added.id)).toBeUndefined();
+
+    const entry = db.prepare('SELECT * FROM audit_log WHERE event_type = ? ORDER BY id DESC').get('backup_restored');
+    expect(entry.user_id).toBe(testUsers.admin.id);
+    expect(JSON.parse(entry.event_data)).toMatchObject({
+      backup_id: backup.id,
+      pre_restore_backup_id: body.pre_restore_backup.id
+    });
+
+    // The pre_restore backup undoes the restore
+    assertApiResponse(await restore(body.pre_restore_backup.id), 200);
+    expect(db.prepare('SELECT 1 FROM manufacturing_orders WHERE id = ?').get(added.id)).toBeDefined();
+  });
+
+  test('should keep only the newest backups', async () => {
+    backupService.retain = 2;
+
+    const { backup } = (await createBackup()).body;
+    const { backups } = (await listBackups()).body;
+    expect(backups).toHaveLength(2);
+    expect(backups[0].id).toBe(backup.id);
+    expect(fs.readdirSync(backupDirectory).filter(file => file.endsWith('.db'))).toHaveLength(2);
+  });
+
+  test('should reject backup ids that are not backup names', async () => {
+    const response = await request(app)
+      .get('/api/admin/backups/..%2Fmanufacturing/download')
+      .set('Authorization', createAuthHeader(adminToken));
+    assertErrorResponse(response, 400, 'VALIDATION_ERROR');
+
+    assertErrorResponse(await restore('backup-20200101T000000000Z'), 404, 'BACKUP_NOT_FOUND');
+  });
+
+  test('should only let admins manage backups', async () => {
+    assertErrorResponse(await listBackups(schedulerToken), 403);
+    assertErrorResponse(await createBackup({}, schedulerToken), 403);
+    assertErrorResponse(await restore('backup-20200101T000000000Z', schedulerToken), 403);
+  });
+});
+
+(onPostgres ? describe : describe.skip)('Database Backups on PostgreSQL', () => {
+  let db;
+  let adminToken;
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+    const testUsers = await createTestUsers(db);
+    adminToken = generateTestTokens(testUsers.admin).accessToken;
+  });
+
+  afterAll(async () => {
+    cleanupTestData(db);
+  });
+
+  test('should answer that backups are not supported', async () => {
+    const response = await request(app)
+      .get('/api/admin/backups')
+      .set('Authorization', createAuthHeader(adminToken));
+    assertErrorResponse(response, 501, 'BACKUPS_UNSUPPORTED');
+  });
+});
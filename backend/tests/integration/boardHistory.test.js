@@ -0,0 +1,167 @@
+const request = require('supertest');
+const { app } = require('../../src/testApp');
+const {
+  setupTestDatabase,
+  createTestUsers,
+  createTestWorkCentres,
+  createTestOrder,
+  generateTestTokens,
+  createAuthHeader,
+  assertApiResponse,
+  assertErrorResponse,
+  cleanupTestData
+} = require('../helpers/testUtils');
+
+describe('Planning Board Undo/Redo', () => {
+  let db;
+  let testUsers;
+  let testWorkCentres;
+  let schedulerToken;
+  let adminToken;
+  let viewerToken;
+
+  const assignment = orderId => db.prepare(`
+    SELECT current_work_centre_id, work_centre_position FROM manufacturing_orders WHERE id = ?
+  `).get(orderId);
+
+  const queue = workCentreId => db.prepare(`
+    SELECT id FROM manufacturing_orders WHERE current_work_centre_id = ? ORDER BY work_centre_position, id
+  `).all(workCentreId).map(row => row.id);
+
+  const queueOrder = (orderNumber, workCentreId, position) => {
+    const order = createTestOrder(db, workCentreId, testUsers.admin.id, { order_number: orderNumber });
+    db.prepare('UPDATE manufacturing_orders SET work_centre_position = ? WHERE id = ?').run(position, order.id);
+    return order;
+  };
+
+  const move = (token, orderId, toWorkCentreId) => request(app)
+    .put(`/api/orders/${orderId}/move`)
+    .set('Authorization', createAuthHeader(token))
+    .send({ to_work_centre_id: toWorkCentreId, reason: 'user_decision' });
+
+  const step = (token, direction) => request(app)
+    .post(`/api/planning-board/${direction}`)
+    .set('Authorization', createAuthHeader(token))
+    .send({});
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+    testUsers = await createTestUsers(db);
+    testWorkCentres = createTestWorkCentres(db);
+
+    schedulerToken = generateTestTokens(testUsers.scheduler).accessToken;
+    adminToken = generateTestTokens(testUsers.admin).accessToken;
+    viewerToken = generateTestTokens(testUsers.viewer).accessToken;
+  });
+
+  afterAll(async () => {
+    cleanupTestData(db);
+  });
+
+  test('should undo and redo a move, restoring the queue position', async () => {
+    const first = queueOrder('UNDO-FIRST', testWorkCentres[0].id, 1);
+    const second = queueOrder('UNDO-SECOND', testWorkCentres[0].id, 2);
+
+    assertApiResponse(await move(schedulerToken, first.id, testWorkCentres[1].id), 200);
+    expect(assignment(first.id).current_work_centre_id).toBe(testWorkCentres[1].id);
+
+    const undone = assertApiResponse(await step(schedulerToken, 'undo'), 200);
+    expect(undone.action).toMatchObject({ action_type: 'move', order_id: first.id, status: 'undone' });
+    expect(undone.history).toMatchObject({ can_redo: true });
+    expect(queue(testWorkCentres[0].id)).toEqual([first.id, second.id]);
+
+    assertApiResponse(await step(schedulerToken, 'redo'), 200);
+    expect(assignment(first.id).current_work_centre_id).toBe(testWorkCentres[1].id);
+
+    // Undo and redo are written to the audit trail as moves
+    const reasons = db.prepare(`
+      SELECT json_extract(event_data, '$.reason') as reason FROM audit_log
+      WHERE event_type = 'order_moved' AND order_id = ? ORDER BY id
+    `).all(first.id).map(row => row.reason);
+    expect(reasons).toEqual(['user_decision', 'undo', 'redo']);
+  });
+
+  test('should undo a reorder back to the previous queue order', async () => {
+    const workCentreId = testWorkCentres[2].id;
+    const a = queueOrder('REORDER-A', workCentreId, 1);
+    const b = queueOrder('REORDER-B', workCentreId, 2);
+    const c = queueOrder('REORDER-C', workCentreId, 3);
+
+    const reorder = await request(app)
+      .post('/api/orders/reorder')
+      .set('Authorization', createAuthHeader(schedulerToken))
+      .send({ work_centre_id: workCentreId, order_positions: [{ order_id: c.id, position: 1 }, { order_id: a.id, position: 3 }] });
+    assertApiResponse(reorder, 200);
+    expect(queue(workCentreId)).toEqual([c.id, b.id, a.id]);
+
+    const undone = assertApiResponse(await step(schedulerToken, 'undo'), 200);
+    expect(undone.action).toMatchObject({ action_type: 'reorder', work_centre_id: workCentreId });
+    expect(queue(workCentreId)).toEqual([a.id, b.id, c.id]);
+
+    assertApiResponse(await step(schedulerToken, 'redo'), 200);
+    expect(queue(workCentreId)).toEqual([c.id, b.id, a.id]);
+  });
+
+  test('should clear the redo stack when a new action is made', async () => {
+    const order = queueOrder('REDO-CLEARED', testWorkCentres[0].id, 10);
+
+    assertApiResponse(await move(schedulerToken, order.id, testWorkCentres[1].id), 200);
+    assertApiResponse(await step(schedulerToken, 'undo'), 200);
+    assertApiResponse(await move(schedulerToken, order.id, testWorkCentres[2].id), 200);
+
+    assertErrorResponse(await step(schedulerToken, 'redo'), 400, 'NOTHING_TO_REDO');
+  });
+
+  test('should refuse to undo a move when another user has moved the order since', async () => {
+    const order = queueOrder('UNDO-CONFLICT', testWorkCentres[0].id, 20);
+
+    assertApiResponse(await move(schedulerToken, order.id, testWorkCentres[1].id), 200);
+    assertApiResponse(await move(adminToken, order.id, testWorkCentres[2].id), 200);
+
+    const conflict = assertErrorResponse(await step(schedulerToken, 'undo'), 409, 'UNDO_CONFLICT');
+    expect(conflict.details.conflicts).toEqual([
+      expect.objectContaining({ order_id: order.id, moved_by: testUsers.admin.username })
+    ]);
+    expect(assignment(order.id).current_work_centre_id).toBe(testWorkCentres[2].id);
+
+    // The conflicting action is dropped so the next undo reaches the action before it
+    const history = assertApiResponse(await request(app)
+      .get('/api/planning-board/history')
+      .set('Authorization', createAuthHeader(schedulerToken)), 200);
+    expect(history.undo?.order_id).not.toBe(order.id);
+  });
+
+  test('should refuse to undo a reorder when another user has re-sequenced the queue since', async () => {
+    const workCentreId = testWorkCentres[2].id;
+    const a = queueOrder('RESEQUENCED-A', workCentreId, 31);
+    const b = queueOrder('RESEQUENCED-B', workCentreId, 32);
+
+    assertApiResponse(await request(app)
+      .post('/api/orders/reorder')
+      .set('Authorization', createAuthHeader(schedulerToken))
+      .send({ work_centre_id: workCentreId, order_positions: [{ order_id: b.id, position: 1 }, { order_id: a.id, position: 2 }] }), 200);
+
+    // The auto-scheduler rewrites positions under its own audit event rather than orders_reordered
+    assertApiResponse(await request(app)
+      .post('/api/planning-board/schedule')
+      .set('Authorization', createAuthHeader(adminToken))
+      .send({ dry_run: false, work_centre_ids: [workCentreId] }), 200);
+    const scheduled = queue(workCentreId);
+
+    const conflict = assertErrorResponse(await step(schedulerToken, 'undo'), 409, 'UNDO_CONFLICT');
+    expect(conflict.details.conflicts).toEqual([
+      expect.objectContaining({ moved_by: testUsers.admin.username })
+    ]);
+    expect(queue(workCentreId)).toEqual(scheduled);
+  });
+
+  test('should keep each user\'s history separate and require orders:move', async () => {
+    const viewerUndo = await step(viewerToken, 'undo');
+    assertErrorResponse(viewerUndo, 403, 'INSUFFICIENT_PERMISSIONS');
+
+    const history = assertApiResponse(await request(app)
+      .get('/api/planning-board/history')
+      .set('Authorization', createAuthHeader(adminToken)), 200);
+    expect(history.undo).toMatchObject({ action_type: 'move', order_number: 'UNDO-CONFLICT' });
+  });
+});
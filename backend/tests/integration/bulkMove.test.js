@@ -0,0 +1,149 @@
+const request = require('supertest');
+const { app } = require('../../src/testApp');
+const dragLockService = require('../../src/services/dragLockService');
+const { isOrderLocked, getAllActiveLocks } = require('../../src/middleware/dragLocks');
+const {
+  setupTestDatabase,
+  createTestUsers,
+  createTestWorkCentres,
+  createTestOrder,
+  generateTestTokens,
+  createAuthHeader,
+  assertApiResponse,
+  assertErrorResponse,
+  cleanupTestData
+} = require('../helpers/testUtils');
+
+describe('Planning Board Bulk Move', () => {
+  let db;
+  let testUsers;
+  let testWorkCentres;
+  let schedulerToken;
+  let adminToken;
+  let viewerToken;
+
+  const queue = workCentreId => db.prepare(`
+    SELECT id FROM manufacturing_orders WHERE current_work_centre_id = ? ORDER BY work_centre_position, id
+  `).all(workCentreId).map(row => row.id);
+
+  const queueOrder = (orderNumber, workCentreId, position) => {
+    const order = createTestOrder(db, workCentreId, testUsers.admin.id, { order_number: orderNumber });
+    db.prepare('UPDATE manufacturing_orders SET work_centre_position = ? WHERE id = ?').run(position, order.id);
+    return order;
+  };
+
+  const bulkMove = (token, body) => request(app)
+    .post('/api/orders/bulk-move')
+    .set('Authorization', createAuthHeader(token))
+    .send({ reason: 'user_decision', ...body });
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+    testUsers = await createTestUsers(db);
+    testWorkCentres = createTestWorkCentres(db);
+
+    schedulerToken = generateTestTokens(testUsers.scheduler).accessToken;
+    adminToken = generateTestTokens(testUsers.admin).accessToken;
+    viewerToken = generateTestTokens(testUsers.viewer).accessToken;
+  });
+
+  afterEach(() => {
+    dragLockService.clear();
+  });
+
+  afterAll(async () => {
+    cleanupTestData(db);
+  });
+
+  test('should move a set of orders as a block at the requested position', async () => {
+    const [from, to] = [testWorkCentres[0].id, testWorkCentres[1].id];
+    const a = queueOrder('BULK-A', from, 1);
+    const b = queueOrder('BULK-B', from, 2);
+    const c = queueOrder('BULK-C', from, 3);
+    const x = queueOrder('BULK-X', to, 1);
+    const y = queueOrder('BULK-Y', to, 2);
+
+    const response = await bulkMove(schedulerToken, { order_ids: [c.id, a.id], to_work_centre_id: to, new_position: 2 });
+    const data = assertApiResponse(response, 200);
+
+    expect(data.orders.map(order => order.id)).toEqual([c.id, a.id]);
+    expect(queue(from)).toEqual([b.id]);
+    expect(queue(to)).toEqual([x.id, c.id, a.id, y.id]);
+
+    // One audit entry per order, and the locks taken for the move are released
+    const audits = db.prepare(`
+      SELECT order_id, CAST(json_extract(event_data, '$.new_position') AS INTEGER) as new_position FROM audit_log
+      WHERE event_type = 'order_moved' AND order_id IN (?, ?) ORDER BY id
+    `).all(c.id, a.id);
+    expect(audits).toEqual([{ order_id: c.id, new_position: 2 }, { order_id: a.id, new_position: 3 }]);
+    expect(getAllActiveLocks()).toEqual({});
+  });
+
+  test('should append to the end of the queue when no position is given', async () => {
+    const to = testWorkCentres[2].id;
+    const existing = queueOrder('BULK-END-EXISTING', to, 5);
+    const first = queueOrder('BULK-END-1', testWorkCentres[0].id, 20);
+    const second = queueOrder('BULK-END-2', testWorkCentres[0].id, 21);
+
+    assertApiResponse(await bulkMove(schedulerToken, { order_ids: [first.id, second.id], to_work_centre_id: to }), 200);
+    expect(queue(to).slice(-3)).toEqual([existing.id, first.id, second.id]);
+  });
+
+  test('should move nothing when any order is locked by another user', async () => {
+    const from = testWorkCentres[0].id;
+    const free = queueOrder('BULK-FREE', from, 30);
+    const held = queueOrder('BULK-HELD', from, 31);
+
+    const lock = await request(app)
+      .post('/api/orders/bulk-start-move')
+      .set('Authorization', createAuthHeader(adminToken))
+      .send({ order_ids: [held.id] });
+    assertApiResponse(lock, 200);
+
+    const response = await bulkMove(schedulerToken, { order_ids: [free.id, held.id], to_work_centre_id: testWorkCentres[1].id });
+    const error = assertErrorResponse(response, 423, 'ORDER_LOCKED');
+    expect(error.details.locked_orders).toEqual([
+      expect.objectContaining({ order_id: held.id, locked_by: testUsers.admin.username })
+    ]);
+    expect(queue(from)).toEqual(expect.arrayContaining([free.id, held.id]));
+    expect(isOrderLocked(free.id)).toBe(false);
+  });
+
+  test('should lock and release a set of orders all or nothing', async () => {
+    const a = queueOrder('BULK-LOCK-A', testWorkCentres[0].id, 40);
+    const b = queueOrder('BULK-LOCK-B', testWorkCentres[0].id, 41);
+
+    assertApiResponse(await request(app)
+      .post('/api/orders/bulk-start-move')
+      .set('Authorization', createAuthHeader(adminToken))
+      .send({ order_ids: [b.id] }), 200);
+
+    const refused = await request(app)
+      .post('/api/orders/bulk-start-move')
+      .set('Authorization', createAuthHeader(schedulerToken))
+      .send({ order_ids: [a.id, b.id] });
+    assertErrorResponse(refused, 423, 'ORDER_LOCKED');
+    expect(isOrderLocked(a.id)).toBe(false);
+
+    const released = assertApiResponse(await request(app)
+      .post('/api/orders/bulk-end-move')
+      .set('Authorization', createAuthHeader(adminToken))
+      .send({ order_ids: [a.id, b.id], completed: false }), 200);
+    expect(released.orderIds).toEqual([b.id]);
+  });
+
+  test('should reject missing orders, duplicates and users without orders:move', async () => {
+    const order = queueOrder('BULK-CHECKS', testWorkCentres[0].id, 50);
+
+    const missing = await bulkMove(schedulerToken, { order_ids: [order.id, 999999], to_work_centre_id: testWorkCentres[1].id });
+    expect(assertErrorResponse(missing, 404, 'NOT_FOUND').details.missing_order_ids).toEqual([999999]);
+
+    const duplicate = await bulkMove(schedulerToken, { order_ids: [order.id, order.id], to_work_centre_id: testWorkCentres[1].id });
+    assertErrorResponse(duplicate, 400, 'VALIDATION_ERROR');
+
+    const viewer = await bulkMove(viewerToken, { order_ids: [order.id], to_work_centre_id: testWorkCentres[1].id });
+    assertErrorResponse(viewer, 403, 'INSUFFICIENT_PERMISSIONS');
+
+    expect(queue(testWorkCentres[0].id)).toContain(order.id);
+  });
+});
@@ -0,0 +1,238 @@
+const request = require('supertest');
+const { app } = require('../../src/testApp');
+const dragLockService = require('../../src/services/dragLockService');
+const { createDragLock } = require('../../src/middleware/dragLocks');
+const ManufacturingOrder = require('../../src/models/ManufacturingOrder');
+const {
+  setupTestDatabase,
+  createTestUsers,
+  createTestWorkCentres,
+  createTestOrder,
+  generateTestTokens,
+  createAuthHeader,
+  assertApiResponse,
+  assertErrorResponse,
+  cleanupTestData
+} = require('../helpers/testUtils');
+
+describe('Orders Bulk Update', () => {
+  let db;
+  let testUsers;
+  let testWorkCentres;
+  let schedulerToken;
+  let viewerToken;
+
+  const orderRow = orderId => db.prepare(`
+    SELECT status, priority, due_date, current_work_centre_id FROM manufacturing_orders WHERE id = ?
+  `).get(orderId);
+
+  const characteristicValues = orderId => db.prepare(`
+    SELECT value FROM job_characteristics WHERE order_id = ? AND type = 'custom' ORDER BY value
+  `).all(orderId).map(row => row.value);
+
+  // The versions a client that has just read the orders would send
+  const versionsOf = (...orderIds) => Object.fromEntries(orderIds.map(orderId => [
+    orderId,
+    db.prepare('SELECT version FROM manufacturing_orders WHERE id = ?').get(orderId).version
+  ]));
+
+  const bulkUpdate = (token, body) => request(app)
+    .patch('/api/orders/bulk')
+    .set('Authorization', createAuthHeader(token))
+    .send(body);
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+    testUsers = await createTestUsers(db);
+    testWorkCentres = createTestWorkCentres(db);
+
+    schedulerToken = generateTestTokens(testUsers.scheduler).accessToken;
+    viewerToken = generateTestTokens(testUsers.viewer).accessToken;
+  });
+
+  afterEach(() => {
+    dragLockService.clear();
+  });
+
+  afterAll(async () => {
+    cleanupTestData(db);
+  });
+
+  test('should apply the same change to every order and report each one', async () => {
+    const a = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'BULK-EDIT-A', priority: 'low' });
+    const b = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'BULK-EDIT-B', priority: 'urgent' });
+
+    const response = await bulkUpdate(schedulerToken, {
+      order_ids: [a.id, b.id],
+      expected_versions: versionsOf(a.id, b.id),
+      changes: {
+        priority: 'urgent',
+        status: 'on_hold',
+        due_date: '2030-06-01',
+        current_work_centre_id: testWorkCentres[1].id,
+        add_characteristics: [{ type: 'custom', value: 'RUSH' }]
+      }
+    });
+    const data = assertApiResponse(response, 200);
+
+    expect(data.updated).toBe(2);
+    expect(data.details).toEqual([
+      expect.objectContaining({ order_id: a.id, status: 'updated', updated_fields: expect.arrayContaining(['priority', 'status']) }),
+      expect.objectContaining({ order_id: b.id, status: 'updated', updated_fields: expect.not.arrayContaining(['priority']) })
+    ]);
+    [a, b].forEach(order => {
+      expect(orderRow(order.id)).toMatchObject({
+        status: 'on_hold',
+        priority: 'urgent',
+        current_work_centre_id: testWorkCentres[1].id
+      });
+      expect(characteristicValues(order.id)).toEqual(['RUSH']);
+    });
+
+    // Each order is audited as a bulk change, alongside the status change and the move
+    const events = db.prepare(`
+      SELECT event_type FROM audit_log WHERE order_id = ? ORDER BY id
+    `).all(a.id).map(row => row.event_type);
+    expect(events).toEqual(expect.arrayContaining(['order_status_changed', 'order_moved', 'order_updated']));
+  });
+
+  test('should remove characteristics and leave orders that already match unchanged', async () => {
+    const order = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'BULK-EDIT-TAGS', priority: 'high' });
+    db.prepare(`
+      INSERT INTO job_characteristics (order_id, type, value, color, display_name, is_system_generated)
+      VALUES (?, 'custom', 'HOLD', '#8B5CF6', 'HOLD', 0)
+    `).run(order.id);
+
+    const removed = assertApiResponse(await bulkUpdate(schedulerToken, {
+      order_ids: [order.id],
+      expected_versions: versionsOf(order.id),
+      changes: { remove_characteristics: [{ type: 'custom', value: 'HOLD' }] }
+    }), 200);
+    expect(removed.details[0].updated_fields).toEqual(['characteristics']);
+    expect(characteristicValues(order.id)).toEqual([]);
+
+    const unchanged = assertApiResponse(await bulkUpdate(schedulerToken, {
+      order_ids: [order.id],
+      expected_versions: versionsOf(order.id),
+      changes: { priority: 'high' }
+    }), 200);
+    expect(unchanged).toMatchObject({ updated: 0, unchanged: 1 });
+  });
+
+  test('should change nothing when any order cannot take the change', async () => {
+    const open = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'BULK-EDIT-OPEN', priority: 'low' });
+    const complete = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'BULK-EDIT-DONE', status: 'complete' });
+
+    const response = await bulkUpdate(schedulerToken, {
+      order_ids: [open.id, complete.id],
+      expected_versions: versionsOf(open.id, complete.id),
+      changes: { status: 'on_hold', priority: 'high' }
+    });
+    const error = assertErrorResponse(response, 409, 'BULK_UPDATE_REJECTED');
+
+    expect(error.details.details).toEqual([
+      expect.objectContaining({ order_id: open.id, status: 'ok' }),
+      expect.objectContaining({ order_id: complete.id, status: 'error', code: 'INVALID_TRANSITION' })
+    ]);
+    expect(orderRow(open.id)).toMatchObject({ status: 'not_started', priority: 'low' });
+  });
+
+  test('should refuse orders another user is dragging', async () => {
+    const order = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'BULK-EDIT-LOCKED' });
+    createDragLock(order.id, testUsers.admin.id, testUsers.admin.username, order.order_number);
+
+    const response = await bulkUpdate(schedulerToken, {
+      order_ids: [order.id],
+      expected_versions: versionsOf(order.id),
+      changes: { priority: 'urgent' }
+    });
+    const error = assertErrorResponse(response, 409, 'BULK_UPDATE_REJECTED');
+    expect(error.details.details[0]).toMatchObject({ code: 'ORDER_LOCKED' });
+  });
+
+  test('should refuse orders changed since they were read and return them as they are now', async () => {
+    const fresh = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'BULK-EDIT-FRESH', priority: 'low' });
+    const stale = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'BULK-EDIT-STALE', priority: 'low' });
+    const readVersions = versionsOf(fresh.id, stale.id);
+    db.prepare("UPDATE manufacturing_orders SET priority = 'medium' WHERE id = ?").run(stale.id);
+
+    const response = await bulkUpdate(schedulerToken, {
+      order_ids: [fresh.id, stale.id],
+      expected_versions: readVersions,
+      changes: { priority: 'urgent', due_date: '2030-07-01' }
+    });
+    const error = assertErrorResponse(response, 409, 'BULK_UPDATE_REJECTED');
+
+    const current = versionsOf(stale.id)[stale.id];
+    expect(current).toBeGreaterThan(readVersions[stale.id]);
+    expect(error.details.details).toEqual([
+      expect.objectContaining({ order_id: fresh.id, status: 'ok' }),
+      expect.objectContaining({
+        order_id: stale.id,
+        status: 'error',
+        code: 'VERSION_CONFLICT',
+        current_version: current,
+        order: expect.objectContaining({ id: stale.id, priority: 'medium', version: current })
+      })
+    ]);
+    expect(orderRow(fresh.id)).toMatchObject({ priority: 'low' });
+    expect(orderRow(stale.id)).toMatchObject({ priority: 'medium' });
+  });
+
+  test('should require a version for every order and accept * for any version', async () => {
+    const a = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'BULK-EDIT-VER-A', priority: 'low' });
+    const b = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'BULK-EDIT-VER-B', priority: 'low' });
+
+    const unversioned = await bulkUpdate(schedulerToken, {
+      order_ids: [a.id, b.id],
+      expected_versions: versionsOf(a.id),
+      changes: { priority: 'high' }
+    });
+    expect(assertErrorResponse(unversioned, 428, 'PRECONDITION_REQUIRED').details.missing_order_ids).toEqual([b.id]);
+    expect(orderRow(a.id)).toMatchObject({ priority: 'low' });
+
+    db.prepare("UPDATE manufacturing_orders SET priority = 'medium' WHERE id = ?").run(b.id);
+    const data = assertApiResponse(await bulkUpdate(schedulerToken, {
+      order_ids: [a.id, b.id],
+      expected_versions: { [a.id]: '*', [b.id]: '*' },
+      changes: { priority: 'high' }
+    }), 200);
+    expect(data.updated).toBe(2);
+  });
+
+  test('should roll back every order when one changes during the update', () => {
+    const a = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'BULK-EDIT-RACE-A', priority: 'low' });
+    const b = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'BULK-EDIT-RACE-B', priority: 'low' });
+    const readVersions = versionsOf(a.id, b.id);
+    db.prepare("UPDATE manufacturing_orders SET priority = 'medium' WHERE id = ?").run(b.id);
+
+    expect(() => ManufacturingOrder.bulkUpdate([a.id, b.id], { priority: 'urgent' }, testUsers.scheduler.id, {
+      expectedVersions: readVersions
+    })).toThrow(expect.objectContaining({ code: 'VERSION_CONFLICT' }));
+    expect(orderRow(a.id)).toMatchObject({ priority: 'low' });
+    expect(versionsOf(a.id)).toEqual({ [a.id]: readVersions[a.id] });
+  });
+
+  test('should validate the change and require orders:write', async () => {
+    const order = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'BULK-EDIT-CHECKS' });
+
+    const expected_versions = versionsOf(order.id);
+
+    assertErrorResponse(await bulkUpdate(schedulerToken, { order_ids: [order.id], expected_versions, changes: {} }), 400, 'VALIDATION_ERROR');
+    assertErrorResponse(await bulkUpdate(schedulerToken, { order_ids: [order.id], expected_versions, changes: { priority: 'whenever' } }), 400, 'VALIDATION_ERROR');
+    assertErrorResponse(await bulkUpdate(schedulerToken, {
+      order_ids: [order.id],
+      expected_versions: { [order.id]: 'latest' },
+      changes: { priority: 'high' }
+    }), 400, 'VALIDATION_ERROR');
+
+    const missing = await bulkUpdate(schedulerToken, {
+      order_ids: [order.id, 999999],
+      expected_versions: { ...expected_versions, 999999: 1 },
+      changes: { priority: 'high' }
+    });
+    expect(assertErrorResponse(missing, 404, 'NOT_FOUND').details.missing_order_ids).toEqual([999999]);
+
+    assertErrorResponse(await bulkUpdate(viewerToken, { order_ids: [order.id], expected_versions, changes: { priority: 'high' } }), 403, 'INSUFFICIENT_PERMISSIONS');
+  });
+});
@@ -0,0 +1,239 @@
+const request = require('supertest');
+const { app } = require('../../src/testApp');
+const {
+  setupTestDatabase,
+  createTestUsers,
+  createTestWorkCentres,
+  generateTestTokens,
+  createAuthHeader,
+  assertApiResponse,
+  assertErrorResponse,
+  cleanupTestData
+} = require('../helpers/testUtils');
+
+describe('Work Centre Calendar Endpoints', () => {
+  let db;
+  let testUsers;
+  let testWorkCentres;
+  let adminToken;
+  let viewerToken;
+  let shiftPatternId;
+
+  const dayShifts = [1, 2, 3, 4, 5].map(day => ({ day_of_week: day, start_time: '06:00', end_time: '14:00' }));
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+    testUsers = await createTestUsers(db);
+    testWorkCentres = createTestWorkCentres(db);
+
+    adminToken = generateTestTokens(testUsers.admin).accessToken;
+    viewerToken = generateTestTokens(testUsers.viewer).accessToken;
+  });
+
+  afterAll(async () => {
+    cleanupTestData(db);
+  });
+
+  describe('Shift patterns', () => {
+    test('should create a shift pattern with its shifts', async () => {
+      const response = await request(app)
+        .post('/api/work-centres/shift-patterns')
+        .set('Authorization', createAuthHeader(adminToken))
+        .send({ name: 'Day Shift', description: 'Weekdays 06:00-14:00', shifts: dayShifts });
+
+      const body = assertApiResponse(response, 201);
+      expect(body.shift_pattern.name).toBe('Day Shift');
+      expect(body.shift_pattern.is_default).toBe(false);
+      expect(body.shift_pattern.shifts).toHaveLength(5);
+
+      shiftPatternId = body.shift_pattern.id;
+    });
+
+    test('should reject duplicate pattern names', async () => {
+      const response = await request(app)
+        .post('/api/work-centres/shift-patterns')
+        .set('Authorization', createAuthHeader(adminToken))
+        .send({ name: 'Day Shift', shifts: dayShifts });
+
+      assertErrorResponse(response, 409, 'DUPLICATE_NAME');
+    });
+
+    test('should validate shift times', async () => {
+      const response = await request(app)
+        .post('/api/work-centres/shift-patterns')
+        .set('Authorization', createAuthHeader(adminToken))
+        .send({ name: 'Broken', shifts: [{ day_of_week: 1, start_time: '25:00', end_time: '14:00' }] });
+
+      assertErrorResponse(response, 400, 'VALIDATION_ERROR');
+    });
+
+    test('should list shift patterns', async () => {
+      const response = await request(app)
+        .get('/api/work-centres/shift-patterns')
+        .set('Authorization', createAuthHeader(viewerToken));
+
+      const body = assertApiResponse(response, 200);
+      const pattern = body.shift_patterns.find(p => p.id === shiftPatternId);
+      expect(pattern.shifts).toHaveLength(5);
+      expect(pattern.work_centre_count).toBe(0);
+    });
+
+    test('should replace shifts on update', async () => {
+      const response = await request(app)
+        .put(`/api/work-centres/shift-patterns/${shiftPatternId}`)
+        .set('Authorization', createAuthHeader(adminToken))
+        .send({ shifts: dayShifts.slice(0, 4) });
+
+      const body = assertApiResponse(response, 200);
+      expect(body.shift_pattern.shifts).toHaveLength(4);
+    });
+
+    test('should deny viewers', async () => {
+      const response = await request(app)
+        .post('/api/work-centres/shift-patterns')
+        .set('Authorization', createAuthHeader(viewerToken))
+        .send({ name: 'Viewer Pattern', shifts: dayShifts });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Work centre calendars', () => {
+    test('should fall back to 24/7 when no pattern applies', async () => {
+      const response = await request(app)
+        .get(`/api/work-centres/${testWorkCentres[1].id}/calendar`)
+        .set('Authorization', createAuthHeader(viewerToken));
+
+      const body = assertApiResponse(response, 200);
+      expect(body.calendar.pattern_source).toBe('always_on');
+      expect(body.calendar.shift_pattern).toBeNull();
+    });
+
+    test('should assign a shift pattern to a work centre', async () => {
+      const response = await request(app)
+        .put(`/api/work-centres/${testWorkCentres[0].id}/calendar`)
+        .set('Authorization', createAuthHeader(adminToken))
+        .send({ shift_pattern_id: shiftPatternId });
+
+      const body = assertApiResponse(response, 200);
+      expect(body.calendar.pattern_source).toBe('work_centre');
+      expect(body.calendar.shift_pattern.id).toBe(shiftPatternId);
+    });
+
+    test('should reject unknown shift patterns', async () => {
+      const response = await request(app)
+        .put(`/api/work-centres/${testWorkCentres[0].id}/calendar`)
+        .set('Authorization', createAuthHeader(adminToken))
+        .send({ shift_pattern_id: 99999 });
+
+      assertErrorResponse(response, 404, 'SHIFT_PATTERN_NOT_FOUND');
+    });
+
+    test('should not delete a pattern that is in use', async () => {
+      const response = await request(app)
+        .delete(`/api/work-centres/shift-patterns/${shiftPatternId}`)
+        .set('Authorization', createAuthHeader(adminToken));
+
+      assertErrorResponse(response, 409, 'SHIFT_PATTERN_IN_USE');
+    });
+
+    test('should report available hours for a date range', async () => {
+      // Monday 2026-10-19 to Monday 2026-10-26: four 8-hour days after the update above
+      const response = await request(app)
+        .get(`/api/work-centres/${testWorkCentres[0].id}/calendar`)
+        .query({ from: '2026-10-19T00:00:00', to: '2026-10-26T00:00:00' })
+        .set('Authorization', createAuthHeader(viewerToken));
+
+      const body = assertApiResponse(response, 200);
+      expect(body.calendar.working_windows).toHaveLength(4);
+      expect(body.calendar.available_hours).toBe(32);
+    });
+  });
+
+  describe('Calendar exceptions', () => {
+    let siteExceptionId;
+    let workCentreExceptionId;
+
+    test('should create a site-wide closure', async () => {
+      const response = await request(app)
+        .post('/api/work-centres/calendar-exceptions')
+        .set('Authorization', createAuthHeader(adminToken))
+        .send({ exception_date: '2026-10-20', description: 'Site shutdown' });
+
+      const body = assertApiResponse(response, 201);
+      expect(body.exception.work_centre_id).toBeNull();
+      expect(body.exception.is_working).toBe(false);
+
+      siteExceptionId = body.exception.id;
+    });
+
+    test('should create overtime for a single work centre', async () => {
+      const response = await request(app)
+        .post(`/api/work-centres/${testWorkCentres[0].id}/calendar/exceptions`)
+        .set('Authorization', createAuthHeader(adminToken))
+        .send({ exception_date: '2026-10-24', start_time: '08:00', end_time: '12:00', is_working: true });
+
+      const body = assertApiResponse(response, 201);
+      expect(body.exception.work_centre_id).toBe(testWorkCentres[0].id);
+      expect(body.exception.is_working).toBe(true);
+
+      workCentreExceptionId = body.exception.id;
+    });
+
+    test('should require start and end time together', async () => {
+      const response = await request(app)
+        .post(`/api/work-centres/${testWorkCentres[0].id}/calendar/exceptions`)
+        .set('Authorization', createAuthHeader(adminToken))
+        .send({ exception_date: '2026-10-24', start_time: '08:00' });
+
+      assertErrorResponse(response, 400, 'VALIDATION_ERROR');
+    });
+
+    test('should include exceptions in available hours', async () => {
+      const response = await request(app)
+        .get(`/api/work-centres/${testWorkCentres[0].id}/calendar`)
+        .query({ from: '2026-10-19T00:00:00', to: '2026-10-26T00:00:00' })
+        .set('Authorization', createAuthHeader(viewerToken));
+
+      const body = assertApiResponse(response, 200);
+      expect(body.calendar.exceptions).toHaveLength(2);
+      // Tuesday closed, Saturday overtime added
+      expect(body.calendar.available_hours).toBe(28);
+    });
+
+    test('should only list site-wide exceptions on the shared endpoint', async () => {
+      const response = await request(app)
+        .get('/api/work-centres/calendar-exceptions')
+        .set('Authorization', createAuthHeader(viewerToken));
+
+      const body = assertApiResponse(response, 200);
+      expect(body.exceptions.map(e => e.id)).toEqual([siteExceptionId]);
+    });
+
+    test('should not touch another work centre\'s exception', async () => {
+      const response = await request(app)
+        .put(`/api/work-centres/${testWorkCentres[1].id}/calendar/exceptions/${workCentreExceptionId}`)
+        .set('Authorization', createAuthHeader(adminToken))
+        .send({ description: 'Wrong work centre' });
+
+      assertErrorResponse(response, 404, 'EXCEPTION_NOT_FOUND');
+    });
+
+    test('should update and delete an exception', async () => {
+      const updateResponse = await request(app)
+        .put(`/api/work-centres/${testWorkCentres[0].id}/calendar/exceptions/${workCentreExceptionId}`)
+        .set('Authorization', createAuthHeader(adminToken))
+        .send({ start_time: '08:00', end_time: '14:00' });
+
+      const updated = assertApiResponse(updateResponse, 200);
+      expect(updated.exception.end_time).toBe('14:00');
+
+      const deleteResponse = await request(app)
+        .delete(`/api/work-centres/calendar-exceptions/${siteExceptionId}`)
+        .set('Authorization', createAuthHeader(adminToken));
+
+      assertApiResponse(deleteResponse, 200);
+      expect(db.prepare('SELECT * FROM calendar_exceptions WHERE id = ?').get(siteExceptionId)).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const request = require('supertest');
+const { app } = require('../../src/testApp');
+const dragLockService = require('../../src/services/dragLockService');
+const { createDragLock } = require('../../src/middleware/dragLocks');
+const {
+  setupTestDatabase,
+  createTestUsers,
+  createTestWorkCentres,
+  createTestOrder,
+  generateTestTokens,
+  createAuthHeader,
+  assertApiResponse,
+  assertErrorResponse,
+  cleanupTestData
+} = require('../helpers/testUtils');
+
+describe('Changeover Times', () => {
+  let db;
+  let testUsers;
+  let testWorkCentres;
+  let schedulerToken;
+  let viewerToken;
+  let orders;
+
+  const daysFromNow = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+  // Queue an order at the first work centre with one hour of work and a material characteristic
+  const queueOrder = (orderNumber, material, position) => {
+    const order = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, {
+      order_number: orderNumber,
+      due_date: daysFromNow(30)
+    });
+
+    db.prepare('UPDATE manufacturing_orders SET work_centre_position = ? WHERE id = ?').run(position, order.id);
+    db.prepare(`
+      INSERT INTO manufacturing_steps (order_id, step_number, operation_name, work_centre_id, planned_duration_minutes, status)
+      VALUES (?, 1, 'Cut', ?, 60, 'pending')
+    `).run(order.id, testWorkCentres[0].id);
+    db.prepare(`
+      INSERT INTO job_characteristics (order_id, type, value, color, display_name)
+      VALUES (?, 'material', ?, '#94a3b8', ?)
+    `).run(order.id, material, material);
+
+    return order;
+  };
+
+  const positionOf = orderId => db.prepare('SELECT work_centre_position FROM manufacturing_orders WHERE id = ?').get(orderId).work_centre_position;
+
+  const saveChangeovers = (changeovers, token = schedulerToken) => request(app)
+    .put(`/api/work-centres/${testWorkCentres[0].id}/changeovers`)
+    .set('Authorization', createAuthHeader(token))
+    .send({ changeovers });
+
+  const minimise = body => request(app)
+    .post(`/api/planning-board/work-centres/${testWorkCentres[0].id}/minimise-changeovers`)
+    .set('Authorization', createAuthHeader(schedulerToken))
+    .send(body);
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+    testUsers = await createTestUsers(db);
+    testWorkCentres = createTestWorkCentres(db);
+
+    schedulerToken = generateTestTokens(testUsers.scheduler).accessToken;
+    viewerToken = generateTestTokens(testUsers.viewer).accessToken;
+
+    orders = [
+      queueOrder('CHG-STEEL-1', 'steel', 1),
+      queueOrder('CHG-ALU-1', 'aluminium', 2),
+      queueOrder('CHG-STEEL-2', 'steel', 3),
+      queueOrder('CHG-ALU-2', 'aluminium', 4)
+    ];
+  });
+
+  afterEach(() => {
+    dragLockService.clear();
+  });
+
+  afterAll(async () => {
+    cleanupTestData(db);
+  });
+
+  describe('Changeover matrix', () => {
+    test('should replace and read a work centre changeover matrix', async () => {
+      assertApiResponse(await saveChangeovers([
+        { characteristic_type: 'material', from_value: 'aluminium', to_value: 'steel', setup_minutes: 60 }
+      ]), 200);
+
+      const saved = await saveChangeovers([
+        { characteristic_type: 'material', from_value: 'steel', to_value: 'aluminium', setup_minutes: 45 },
+        { characteristic_type: 'material', from_value: '*', to_value: '*', setup_minutes: 30 }
+      ]);
+      expect(assertApiResponse(saved, 200).changeovers).toHaveLength(2);
+
+      const read = await request(app)
+        .get(`/api/work-centres/${testWorkCentres[0].id}/changeovers`)
+        .set('Authorization', createAuthHeader(viewerToken));
+      expect(assertApiResponse(read, 200).changeovers).toEqual([
+        expect.objectContaining({ from_value: '*', to_value: '*', setup_minutes: 30 }),
+        expect.objectContaining({ from_value: 'steel', to_value: 'aluminium', setup_minutes: 45 })
+      ]);
+    });
+
+    test('should reject invalid matrices and viewers', async () => {
+      assertErrorResponse(await saveChangeovers([
+        { characteristic_type: 'material', from_value: 'steel', to_value: 'steel', setup_minutes: 10 }
+      ]), 400, 'INVALID_CHANGEOVER');
+
+      assertErrorResponse(await saveChangeovers([
+        { characteristic_type: 'material', from_value: 'steel', to_value: 'aluminium', setup_minutes: -5 }
+      ]), 400, 'VALIDATION_ERROR');
+
+      assertErrorResponse(await saveChangeovers([], viewerToken), 403, 'INSUFFICIENT_PERMISSIONS');
+    });
+  });
+
+  describe('POST /api/planning-board/work-centres/:id/minimise-changeovers', () => {
+    test('should preview a queue grouped by material without changing the board', async () => {
+      const body = assertApiResponse(await minimise({}), 200);
+
+      expect(body.dry_run).toBe(true);
+      expect(body.proposal.sequence.map(entry => entry.order_id)).toEqual([
+        orders[0].id, orders[2].id, orders[1].id, orders[3].id
+      ]);
+      expect(body.proposal.summary).toMatchObject({
+        setup_minutes_before: 45 + 30 + 45,
+        setup_minutes_after: 45,
+        setup_minutes_saved: 75,
+        late_orders_after: 0
+      });
+
+      expect(positionOf(orders[1].id)).toBe(2);
+    });
+
+    test('should refuse to resequence a queue with an order another user is dragging', async () => {
+      createDragLock(orders[1].id, testUsers.admin.id, testUsers.admin.username, orders[1].order_number);
+
+      const error = assertErrorResponse(await minimise({ dry_run: false }), 423, 'ORDER_LOCKED');
+      expect(error.details.locked_orders).toEqual([
+        expect.objectContaining({ order_id: orders[1].id, locked_by: testUsers.admin.username })
+      ]);
+      expect(positionOf(orders[1].id)).toBe(2);
+    });
+
+    test('should apply the new sequence through the work centre reorder', async () => {
+      const body = assertApiResponse(await minimise({ dry_run: false }), 200);
+      expect(body.dry_run).toBe(false);
+
+      expect(positionOf(orders[0].id)).toBe(1);
+      expect(positionOf(orders[2].id)).toBe(2);
+      expect(positionOf(orders[1].id)).toBe(3);
+      expect(positionOf(orders[3].id)).toBe(4);
+
+      // Logged as a reorder the user can undo
+      const auditEntry = db.prepare(`
+        SELECT event_data FROM audit_log WHERE event_type = 'orders_reordered' AND to_work_centre_id = ?
+      `).get(testWorkCentres[0].id);
+      expect(JSON.parse(auditEntry.event_data)).toMatchObject({ reason: 'minimise_changeovers', setup_minutes_saved: 75 });
+
+      const history = assertApiResponse(await request(app)
+        .get('/api/planning-board/history')
+        .set('Authorization', createAuthHeader(schedulerToken)), 200);
+      expect(history.undo).toMatchObject({ action_type: 'reorder', work_centre_id: testWorkCentres[0].id });
+
+      const again = assertApiResponse(await minimise({ dry_run: false }), 200);
+      expect(again.proposal.summary.setup_minutes_saved).toBe(0);
+      expect(again.proposal.changes).toEqual([]);
+    });
+
+    test('should return 404 for an unknown work centre', async () => {
+      const response = await request(app)
+        .post('/api/planning-board/work-centres/99999/minimise-changeovers')
+        .set('Authorization', createAuthHeader(schedulerToken))
+        .send({});
+
+      assertErrorResponse(response, 404, 'WORK_CENTRE_NOT_FOUND');
+    });
+  });
+});
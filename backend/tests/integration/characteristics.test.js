@@ -47,7 +47,7 @@ describe('Job Characteristics Integration Tests', () => {
     }
     
     // Clean up and create test user
-    db.exec('DELETE FROM users WHERE username = "test-admin"');
+    db.exec('DELETE FROM users WHERE username = \'test-admin\'');
     
     const hashedPassword = require('bcryptjs').hashSync('password123', 10);
     const result = db.prepare(`
@@ -93,7 +93,7 @@ describe('Job Characteristics Integration Tests', () => {
 
   afterAll(() => {
     // Clean up
-    db.exec('DELETE FROM users WHERE username = "test-admin"');
+    db.exec('DELETE FROM users WHERE username = \'test-admin\'');
     db.exec('DELETE FROM job_characteristics');
     db.exec('DELETE FROM manufacturing_orders');
     db.close();
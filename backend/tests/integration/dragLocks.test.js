@@ -0,0 +1,148 @@
+const request = require('supertest');
+const { app } = require('../../src/testApp');
+const dragLockService = require('../../src/services/dragLockService');
+const {
+  setupTestDatabase,
+  createTestUsers,
+  createTestWorkCentres,
+  createTestOrder,
+  generateTestTokens,
+  createAuthHeader,
+  assertApiResponse,
+  assertErrorResponse,
+  cleanupTestData
+} = require('../helpers/testUtils');
+
+describe('Drag Locks', () => {
+  let db;
+  let testUsers;
+  let testWorkCentres;
+  let adminToken;
+  let schedulerToken;
+  let events;
+
+  const recordEvent = event => events.push(event);
+
+  const post = (path, token, body = {}) => request(app)
+    .post(`/api/orders${path}`)
+    .set('Authorization', createAuthHeader(token))
+    .send(body);
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+    testUsers = await createTestUsers(db);
+    testWorkCentres = createTestWorkCentres(db);
+
+    adminToken = generateTestTokens(testUsers.admin).accessToken;
+    schedulerToken = generateTestTokens(testUsers.scheduler).accessToken;
+    dragLockService.on('lock_event', recordEvent);
+  });
+
+  beforeEach(() => {
+    events = [];
+  });
+
+  afterEach(() => {
+    dragLockService.clear();
+  });
+
+  afterAll(async () => {
+    dragLockService.off('lock_event', recordEvent);
+    cleanupTestData(db);
+  });
+
+  test('should lock an order for one user at a time and emit each change', async () => {
+    const order = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'LOCK-001' });
+
+    const started = assertApiResponse(await post(`/${order.id}/start-move`, schedulerToken, { orderNumber: order.order_number }), 200);
+    expect(Date.parse(started.lockExpiry)).toBeGreaterThan(Date.now());
+
+    const refused = await post(`/${order.id}/start-move`, adminToken);
+    expect(refused.status).toBe(423);
+    expect(refused.body).toMatchObject({ code: 'ORDER_LOCKED', lockedBy: testUsers.scheduler.username });
+
+    assertApiResponse(await post(`/${order.id}/end-move`, schedulerToken, { completed: false }), 200);
+    expect(events.map(event => [event.type, event.lock.orderId, event.reason])).toEqual([
+      ['locked', order.id, undefined],
+      ['unlocked', order.id, 'released']
+    ]);
+  });
+
+  test('should renew a lock on a heartbeat and report one that has lapsed', async () => {
+    const order = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'LOCK-RENEW' });
+    assertApiResponse(await post(`/${order.id}/start-move`, schedulerToken), 200);
+    const { expiresAt } = dragLockService.get(order.id);
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const renewed = assertApiResponse(await post(`/${order.id}/renew-move`, schedulerToken), 200);
+    expect(Date.parse(renewed.lockExpiry)).toBeGreaterThan(expiresAt);
+    expect(events.map(event => event.type)).toEqual(['locked', 'renewed']);
+
+    // Someone else's lock cannot be renewed
+    assertErrorResponse(await post(`/${order.id}/renew-move`, adminToken), 409, 'LOCK_LOST');
+
+    // Nor can one that has lapsed
+    dragLockService.runOnce(Date.now() + dragLockService.ttlMs);
+    expect(events.map(event => [event.type, event.reason])).toContainEqual(['unlocked', 'expired']);
+    assertErrorResponse(await post(`/${order.id}/renew-move`, schedulerToken), 409, 'LOCK_LOST');
+  });
+
+  test('should renew a multi-card drag and list the orders it has lost', async () => {
+    const a = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'LOCK-BULK-A' });
+    const b = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'LOCK-BULK-B' });
+    assertApiResponse(await post('/bulk-start-move', schedulerToken, { order_ids: [a.id, b.id] }), 200);
+
+    dragLockService.forceRelease(b.id, testUsers.admin);
+
+    const renewed = assertApiResponse(await post('/bulk-renew-move', schedulerToken, { order_ids: [a.id, b.id] }), 200);
+    expect(renewed.orderIds).toEqual([a.id]);
+    expect(renewed.lostOrderIds).toEqual([b.id]);
+    expect(renewed.lockExpiry).not.toBeNull();
+  });
+
+  describe('Admin', () => {
+    const listLocks = (token = adminToken) => request(app)
+      .get('/api/admin/drag-locks')
+      .set('Authorization', createAuthHeader(token));
+
+    const releaseLock = (orderId, token = adminToken) => request(app)
+      .delete(`/api/admin/drag-locks/${orderId}`)
+      .set('Authorization', createAuthHeader(token));
+
+    test('should list the locks held and force one free', async () => {
+      const order = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'LOCK-ADMIN' });
+      assertApiResponse(await post(`/${order.id}/start-move`, schedulerToken, { orderNumber: order.order_number }), 200);
+
+      const listed = assertApiResponse(await listLocks(), 200);
+      expect(listed.count).toBe(1);
+      expect(listed.locks[0]).toMatchObject({
+        orderId: order.id,
+        orderNumber: order.order_number,
+        userName: testUsers.scheduler.username,
+        instanceId: dragLockService.instanceId
+      });
+
+      const released = assertApiResponse(await releaseLock(order.id), 200);
+      expect(released.lock.userName).toBe(testUsers.scheduler.username);
+      expect(dragLockService.get(order.id)).toBeNull();
+      expect(events[events.length - 1]).toMatchObject({
+        type: 'unlocked',
+        reason: 'force_released',
+        by: { userId: testUsers.admin.id, userName: testUsers.admin.username }
+      });
+
+      const entry = db.prepare('SELECT * FROM audit_log WHERE event_type = ? AND order_id = ?').get('drag_lock_released', order.id);
+      expect(entry.user_id).toBe(testUsers.admin.id);
+      expect(JSON.parse(entry.event_data)).toMatchObject({ held_by: testUsers.scheduler.username });
+
+      // The scheduler's lock is gone, so the admin can move the order
+      assertApiResponse(await post(`/${order.id}/start-move`, adminToken), 200);
+      assertErrorResponse(await releaseLock(order.id + 1000), 404, 'LOCK_NOT_FOUND');
+    });
+
+    test('should only let admins manage locks', async () => {
+      assertErrorResponse(await listLocks(schedulerToken), 403);
+      assertErrorResponse(await releaseLock(1, schedulerToken), 403);
+    });
+  });
+});
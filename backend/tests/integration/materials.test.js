@@ -0,0 +1,212 @@
+const request = require('supertest');
+const { app } = require('../../src/testApp');
+const ApiKey = require('../../src/models/apiKey');
+const {
+  setupTestDatabase,
+  createTestUsers,
+  createTestWorkCentres,
+  createTestOrder,
+  generateTestTokens,
+  createAuthHeader,
+  assertApiResponse,
+  assertErrorResponse,
+  cleanupTestData
+} = require('../helpers/testUtils');
+
+describe('Material Availability', () => {
+  let db;
+  let testUsers;
+  let testWorkCentres;
+  let schedulerToken;
+  let viewerToken;
+
+  const createOrder = (orderNumber, stockCode, quantity = 10) => createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, {
+    order_number: orderNumber,
+    stock_code: stockCode,
+    quantity_to_make: quantity
+  });
+
+  const addStep = (orderId, workCentreId) => db.prepare(`
+    INSERT INTO manufacturing_steps (order_id, step_number, operation_name, work_centre_id, planned_duration_minutes)
+    VALUES (?, 1, 'Operation 1', ?, 60)
+  `).run(orderId, workCentreId).lastInsertRowid;
+
+  const saveBom = (stockCode, components) => request(app)
+    .put(`/api/materials/boms/${stockCode}`)
+    .set('Authorization', createAuthHeader(schedulerToken))
+    .send({ components });
+
+  const recordTransaction = transaction => request(app)
+    .post('/api/materials/transactions')
+    .set('Authorization', createAuthHeader(schedulerToken))
+    .send(transaction);
+
+  const getOrder = orderId => request(app)
+    .get(`/api/orders/${orderId}`)
+    .set('Authorization', createAuthHeader(schedulerToken));
+
+  const startStep = (orderId, stepId) => request(app)
+    .post(`/api/orders/${orderId}/steps/${stepId}/start`)
+    .set('Authorization', createAuthHeader(schedulerToken));
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+    testUsers = await createTestUsers(db);
+    testWorkCentres = createTestWorkCentres(db);
+
+    schedulerToken = generateTestTokens(testUsers.scheduler).accessToken;
+    viewerToken = generateTestTokens(testUsers.viewer).accessToken;
+  });
+
+  afterAll(async () => {
+    cleanupTestData(db);
+  });
+
+  describe('Bills of materials and ledger', () => {
+    test('should save, replace and read a bill of materials', async () => {
+      const created = await saveBom('BOM-PART', [
+        { component_code: 'BOLT-M8', quantity_per: 4 },
+        { component_code: 'PLATE-2MM', quantity_per: 0.5, unit: 'sheet' }
+      ]);
+      expect(assertApiResponse(created, 201).components).toHaveLength(2);
+
+      const replaced = await saveBom('BOM-PART', [{ component_code: 'BOLT-M8', quantity_per: 6 }]);
+      expect(assertApiResponse(replaced, 200).components).toEqual([
+        expect.objectContaining({ component_code: 'BOLT-M8', quantity_per: 6, unit: 'each' })
+      ]);
+
+      const read = await request(app)
+        .get('/api/materials/boms/BOM-PART')
+        .set('Authorization', createAuthHeader(viewerToken));
+      expect(assertApiResponse(read, 200).components.map(c => c.component_code)).toEqual(['BOLT-M8']);
+
+      const viewerSave = await request(app)
+        .put('/api/materials/boms/BOM-PART')
+        .set('Authorization', createAuthHeader(viewerToken))
+        .send({ components: [{ component_code: 'BOLT-M8', quantity_per: 1 }] });
+      assertErrorResponse(viewerSave, 403, 'INSUFFICIENT_PERMISSIONS');
+    });
+
+    test('should derive stock levels from receipts, issues and allocations', async () => {
+      const order = createOrder('MAT-LEDGER', 'LEDGER-PART');
+
+      assertApiResponse(await recordTransaction({ component_code: 'WASHER', transaction_type: 'receipt', quantity: 100 }), 201);
+      assertApiResponse(await recordTransaction({ component_code: 'WASHER', transaction_type: 'allocation', quantity: 30, order_id: order.id }), 201);
+      const issue = await recordTransaction({ component_code: 'WASHER', transaction_type: 'issue', quantity: 10, order_id: order.id });
+
+      expect(assertApiResponse(issue, 201).stock_level).toEqual({
+        component_code: 'WASHER', on_hand: 90, reserved: 20, available: 70
+      });
+
+      assertErrorResponse(
+        await recordTransaction({ component_code: 'WASHER', transaction_type: 'allocation', quantity: 71, order_id: order.id }),
+        409, 'INSUFFICIENT_STOCK'
+      );
+      assertErrorResponse(
+        await recordTransaction({ component_code: 'WASHER', transaction_type: 'allocation', quantity: -21, order_id: order.id }),
+        400, 'INVALID_RELEASE'
+      );
+      assertErrorResponse(
+        await recordTransaction({ component_code: 'WASHER', transaction_type: 'allocation', quantity: 5 }),
+        400, 'VALIDATION_ERROR'
+      );
+    });
+  });
+
+  describe('Order material status', () => {
+    test('should report short, partially allocated and available', async () => {
+      await saveBom('STATUS-PART', [
+        { component_code: 'SHAFT', quantity_per: 1 },
+        { component_code: 'BEARING', quantity_per: 2 }
+      ]);
+      const order = createOrder('MAT-STATUS', 'STATUS-PART', 10);
+
+      let body = assertApiResponse(await getOrder(order.id), 200);
+      expect(body.order.material_status).toBe('short');
+      expect(body.order.material_shortages).toEqual([
+        { component_code: 'BEARING', shortage: 20 },
+        { component_code: 'SHAFT', shortage: 10 }
+      ]);
+
+      await recordTransaction({ component_code: 'SHAFT', transaction_type: 'receipt', quantity: 10 });
+      const allocate = await request(app)
+        .post(`/api/orders/${order.id}/materials/allocate`)
+        .set('Authorization', createAuthHeader(schedulerToken));
+      expect(assertApiResponse(allocate, 200).allocations).toEqual([{ component_code: 'SHAFT', quantity: 10 }]);
+
+      body = assertApiResponse(await getOrder(order.id), 200);
+      expect(body.order.material_status).toBe('partially_allocated');
+
+      await recordTransaction({ component_code: 'BEARING', transaction_type: 'receipt', quantity: 20 });
+      body = assertApiResponse(await getOrder(order.id), 200);
+      expect(body.order.material_status).toBe('available');
+
+      const materials = await request(app)
+        .get(`/api/orders/${order.id}/materials`)
+        .set('Authorization', createAuthHeader(viewerToken));
+      expect(assertApiResponse(materials, 200).components).toEqual([
+        expect.objectContaining({ component_code: 'BEARING', required: 20, allocated: 0, outstanding: 20, available: 20, shortage: 0 }),
+        expect.objectContaining({ component_code: 'SHAFT', required: 10, allocated: 10, outstanding: 0, shortage: 0 })
+      ]);
+    });
+
+    test('should treat orders without a bill of materials as available', async () => {
+      const order = createOrder('MAT-NONE', 'NO-BOM-PART');
+
+      const body = assertApiResponse(await getOrder(order.id), 200);
+      expect(body.order.material_status).toBe('available');
+      expect(body.order.material_shortages).toEqual([]);
+    });
+
+    test('should not start a step while material is short', async () => {
+      await saveBom('GATED-PART', [{ component_code: 'GASKET', quantity_per: 1 }]);
+      const order = createOrder('MAT-GATED', 'GATED-PART', 5);
+      const stepId = addStep(order.id, testWorkCentres[0].id);
+
+      const blocked = await startStep(order.id, stepId);
+
+      const body = assertErrorResponse(blocked, 409, 'MATERIAL_SHORTAGE');
+      expect(body.details).toEqual({
+        material_status: 'short',
+        shortages: [{ component_code: 'GASKET', shortage: 5 }]
+      });
+
+      await recordTransaction({ component_code: 'GASKET', transaction_type: 'receipt', quantity: 5 });
+      assertApiResponse(await startStep(order.id, stepId), 200);
+    });
+  });
+
+  describe('External stock levels', () => {
+    let plainApiKey;
+
+    beforeAll(async () => {
+      plainApiKey = (await ApiKey.generateKey('ERP', 'erp_materials', testUsers.admin.id)).plainKey;
+    });
+
+    test('should set stock on hand to the pushed figures through ledger adjustments', async () => {
+      await recordTransaction({ component_code: 'RIVET', transaction_type: 'receipt', quantity: 40 });
+
+      const response = await request(app)
+        .put('/api/external/stock-levels')
+        .set('X-API-Key', plainApiKey)
+        .set('X-System-ID', 'erp_materials')
+        .send({
+          stock_levels: [
+            { component_code: 'RIVET', quantity_on_hand: 25 },
+            { component_code: 'GLUE', quantity_on_hand: 0 }
+          ],
+          reference: 'STOCKTAKE-1'
+        });
+
+      const { data } = assertApiResponse(response, 200);
+      expect(data).toMatchObject({ total_components: 2, adjusted: 1, unchanged: 1 });
+      expect(data.stock_levels[0]).toMatchObject({ component_code: 'RIVET', on_hand: 25 });
+
+      const adjustment = db.prepare(`
+        SELECT quantity, reference, source FROM inventory_transactions
+        WHERE component_code = 'RIVET' AND transaction_type = 'adjustment'
+      `).get();
+      expect(adjustment).toEqual({ quantity: -15, reference: 'STOCKTAKE-1', source: 'erp_materials' });
+    });
+  });
+});
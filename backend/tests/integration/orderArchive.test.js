@@ -0,0 +1,210 @@
+const request = require('supertest');
+const { app } = require('../../src/testApp');
+const orderArchiveService = require('../../src/services/orderArchiveService');
+const {
+  setupTestDatabase,
+  createTestUsers,
+  createTestWorkCentres,
+  createTestOrder,
+  generateTestTokens,
+  createAuthHeader,
+  assertApiResponse,
+  assertErrorResponse,
+  cleanupTestData
+} = require('../helpers/testUtils');
+
+describe('Order Archive', () => {
+  let db;
+  let testUsers;
+  let testWorkCentres;
+  let adminToken;
+  let schedulerToken;
+  let viewerToken;
+
+  const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+  // Complete (or cancelled) order with a step, a characteristic and an audit entry
+  const createFinishedOrder = (orderNumber, { status = 'complete', finishedDaysAgo = 120, ...overrides } = {}) => {
+    const order = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, {
+      order_number: orderNumber,
+      status,
+      ...overrides
+    });
+    db.prepare('UPDATE manufacturing_orders SET completion_date = ?, updated_at = ? WHERE id = ?')
+      .run(daysAgo(finishedDaysAgo), daysAgo(finishedDaysAgo), order.id);
+    db.prepare(`
+      INSERT INTO manufacturing_steps (order_id, step_number, operation_name, work_centre_id, status)
+      VALUES (?, 1, 'Archive Polishing', ?, 'complete')
+    `).run(order.id, testWorkCentres[0].id);
+    db.prepare(`
+      INSERT INTO job_characteristics (order_id, type, value, color, display_name, is_system_generated)
+      VALUES (?, 'customer', 'ARCCUST', '#3B82F6', 'Northwind Archive', 0)
+    `).run(order.id);
+    db.prepare(`
+      INSERT INTO audit_log (event_type, order_id, user_id, event_data)
+      VALUES ('order_status_changed', ?, ?, ?)
+    `).run(order.id, testUsers.admin.id, JSON.stringify({ new_status: status }));
+    return order;
+  };
+
+  const archive = (body, token = adminToken) => request(app)
+    .post('/api/orders/archive')
+    .set('Authorization', createAuthHeader(token))
+    .send(body);
+
+  const listArchive = (query = {}, token = viewerToken) => request(app)
+    .get('/api/orders/archive')
+    .query(query)
+    .set('Authorization', createAuthHeader(token));
+
+  const restore = (id, token = schedulerToken) => request(app)
+    .post(`/api/orders/archive/${id}/restore`)
+    .set('Authorization', createAuthHeader(token));
+
+  const isLive = id => Boolean(db.prepare('SELECT 1 FROM manufacturing_orders WHERE id = ?').get(id));
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+    testUsers = await createTestUsers(db);
+    testWorkCentres = createTestWorkCentres(db);
+
+    adminToken = generateTestTokens(testUsers.admin).accessToken;
+    schedulerToken = generateTestTokens(testUsers.scheduler).accessToken;
+    viewerToken = generateTestTokens(testUsers.viewer).accessToken;
+  });
+
+  afterAll(async () => {
+    cleanupTestData(db);
+  });
+
+  test('should archive old finished orders with their rows and drop them from live queries', async () => {
+    const order = createFinishedOrder('ARC-OLD-1');
+    const cancelled = createFinishedOrder('ARC-OLD-2', { status: 'cancelled', current_work_centre_id: null });
+    const recent = createFinishedOrder('ARC-RECENT', { finishedDaysAgo: 10 });
+    const running = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, {
+      order_number: 'ARC-RUNNING', status: 'in_progress'
+    });
+
+    const data = assertApiResponse(await archive({ older_than_days: 90 }), 200);
+    expect(data.orders.map(archived => archived.order_number).sort()).toEqual(['ARC-OLD-1', 'ARC-OLD-2']);
+
+    expect(isLive(order.id)).toBe(false);
+    expect(isLive(cancelled.id)).toBe(false);
+    expect(isLive(recent.id)).toBe(true);
+    expect(isLive(running.id)).toBe(true);
+    expect(db.prepare('SELECT COUNT(*) as count FROM manufacturing_steps WHERE order_id = ?').get(order.id).count).toBe(0);
+    expect(db.prepare('SELECT COUNT(*) as count FROM audit_log WHERE order_id = ?').get(order.id).count).toBe(0);
+
+    const live = assertApiResponse(await request(app).get('/api/orders')
+      .set('Authorization', createAuthHeader(viewerToken)), 200);
+    expect(live.orders.map(liveOrder => liveOrder.order_number)).not.toContain('ARC-OLD-1');
+
+    const search = assertApiResponse(await request(app).get('/api/search').query({ q: 'ARC-OLD-1' })
+      .set('Authorization', createAuthHeader(viewerToken)), 200);
+    expect(search.count).toBe(0);
+
+    const archivedEntry = db.prepare(`
+      SELECT event_data FROM audit_log WHERE event_type = 'order_archived' AND json_extract(event_data, '$.order_id') = ?
+    `).get(order.id);
+    expect(JSON.parse(archivedEntry.event_data)).toMatchObject({ order_number: 'ARC-OLD-1', status: 'complete' });
+  });
+
+  test('should list, search and show archived orders', async () => {
+    const byOperation = assertApiResponse(await listArchive({ q: 'polishing' }), 200);
+    expect(byOperation.total).toBe(2);
+
+    const cancelledOnly = assertApiResponse(await listArchive({ q: 'ARC-OLD', status: 'cancelled' }), 200);
+    expect(cancelledOnly.orders.map(order => order.order_number)).toEqual(['ARC-OLD-2']);
+
+    const paged = assertApiResponse(await listArchive({ limit: 1 }), 200);
+    expect(paged).toMatchObject({ count: 1, total: 2, has_more: true });
+
+    const { order } = assertApiResponse(await request(app).get(`/api/orders/archive/${cancelledOnly.orders[0].id}`)
+      .set('Authorization', createAuthHeader(viewerToken)), 200);
+    expect(order).toMatchObject({ order_number: 'ARC-OLD-2', status: 'cancelled', archived_by: testUsers.admin.id });
+    expect(order.manufacturing_steps.map(step => step.operation_name)).toEqual(['Archive Polishing']);
+    expect(order.job_characteristics[0].display_name).toBe('Northwind Archive');
+    expect(order.audit_log).toHaveLength(1);
+
+    assertErrorResponse(await request(app).get('/api/orders/archive/999999')
+      .set('Authorization', createAuthHeader(viewerToken)), 404, 'ARCHIVED_ORDER_NOT_FOUND');
+  });
+
+  test('should restore an order to the end of its work centre queue', async () => {
+    const queued = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'ARC-QUEUED' });
+    db.prepare('UPDATE manufacturing_orders SET work_centre_position = 7 WHERE id = ?').run(queued.id);
+    const [archived] = assertApiResponse(await listArchive({ q: 'ARC-OLD-1' }), 200).orders;
+
+    const data = assertApiResponse(await restore(archived.id), 200);
+    expect(data.order_ids).toEqual([archived.id]);
+
+    const order = db.prepare('SELECT * FROM manufacturing_orders WHERE id = ?').get(archived.id);
+    expect(order).toMatchObject({ order_number: 'ARC-OLD-1', status: 'complete', current_work_centre_id: testWorkCentres[0].id });
+    expect(order.work_centre_position).toBe(8);
+    expect(db.prepare('SELECT operation_name FROM manufacturing_steps WHERE order_id = ?').all(archived.id))
+      .toEqual([{ operation_name: 'Archive Polishing' }]);
+    expect(db.prepare('SELECT event_type FROM audit_log WHERE order_id = ? ORDER BY id').all(archived.id)
+      .map(entry => entry.event_type)).toEqual(['order_status_changed', 'order_restored']);
+
+    expect(assertApiResponse(await listArchive({ q: 'ARC-OLD-1' }), 200).total).toBe(0);
+    assertErrorResponse(await restore(archived.id), 404, 'ARCHIVED_ORDER_NOT_FOUND');
+
+    // The restore resets its age, so the next run leaves it alone
+    assertApiResponse(await archive({ older_than_days: 90 }), 200);
+    expect(isLive(archived.id)).toBe(true);
+  });
+
+  test('should refuse to restore over a live order with the same number', async () => {
+    const [archived] = assertApiResponse(await listArchive({ q: 'ARC-OLD-2' }), 200).orders;
+    createTestOrder(db, testWorkCentres[1].id, testUsers.admin.id, { order_number: 'ARC-OLD-2' });
+
+    const error = assertErrorResponse(await restore(archived.id), 409, 'RESTORE_CONFLICT');
+    expect(error.details.conflicts).toEqual([
+      { order_id: archived.id, order_number: 'ARC-OLD-2', reason: 'order_number_in_use' }
+    ]);
+    expect(isLive(archived.id)).toBe(false);
+  });
+
+  test('should archive and restore a split order only with its children', async () => {
+    const parent = createFinishedOrder('ARC-SPLIT');
+    const done = createFinishedOrder('ARC-SPLIT-1');
+    const open = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'ARC-SPLIT-2' });
+    db.prepare('UPDATE manufacturing_orders SET is_split = 1 WHERE id = ?').run(parent.id);
+    db.prepare('UPDATE manufacturing_orders SET parent_order_id = ?, split_sequence = ? WHERE id = ?').run(parent.id, 1, done.id);
+    db.prepare('UPDATE manufacturing_orders SET parent_order_id = ?, split_sequence = ? WHERE id = ?').run(parent.id, 2, open.id);
+
+    const blocked = assertErrorResponse(await archive({ order_ids: [parent.id, done.id] }), 409, 'ORDERS_NOT_ARCHIVABLE');
+    expect(blocked.details.order_ids).toEqual([parent.id, done.id]);
+
+    db.prepare('UPDATE manufacturing_orders SET status = \'complete\', completion_date = ? WHERE id = ?').run(daysAgo(1), open.id);
+    const data = assertApiResponse(await archive({ order_ids: [parent.id, done.id, open.id] }), 200);
+    expect(data.count).toBe(3);
+
+    const restored = assertApiResponse(await restore(done.id), 200);
+    expect(restored.order_ids).toEqual([parent.id, done.id, open.id]);
+    expect(db.prepare('SELECT parent_order_id FROM manufacturing_orders WHERE id = ?').get(open.id).parent_order_id).toBe(parent.id);
+  });
+
+  test('should preview with dry_run and archive on schedule', async () => {
+    const order = createFinishedOrder('ARC-JOB', { finishedDaysAgo: 200 });
+
+    const preview = assertApiResponse(await archive({ older_than_days: 150, dry_run: true }), 200);
+    expect(preview).toMatchObject({ dry_run: true, count: 1 });
+    expect(isLive(order.id)).toBe(true);
+
+    const archived = orderArchiveService.runOnce();
+    expect(archived.map(archivedOrder => archivedOrder.order_number)).toEqual(['ARC-JOB']);
+    expect(isLive(order.id)).toBe(false);
+  });
+
+  test('should require orders:delete to archive and orders:write to restore', async () => {
+    assertErrorResponse(await archive({ older_than_days: 90 }, schedulerToken), 403);
+    assertErrorResponse(await archive({ older_than_days: -1 }), 400, 'VALIDATION_ERROR');
+
+    const [archived] = assertApiResponse(await listArchive({ q: 'ARC-JOB' }), 200).orders;
+    assertErrorResponse(await restore(archived.id, viewerToken), 403);
+
+    const unauthenticated = await request(app).get('/api/orders/archive');
+    expect(unauthenticated.status).toBe(401);
+  });
+});
@@ -0,0 +1,180 @@
+const request = require('supertest');
+const { app } = require('../../src/testApp');
+const ApiKey = require('../../src/models/apiKey');
+const {
+  setupTestDatabase,
+  createTestUsers,
+  createTestWorkCentres,
+  createTestOrder,
+  generateTestTokens,
+  createAuthHeader,
+  assertApiResponse,
+  assertErrorResponse,
+  cleanupTestData
+} = require('../helpers/testUtils');
+
+describe('Order Dependencies', () => {
+  let db;
+  let testUsers;
+  let testWorkCentres;
+  let schedulerToken;
+
+  const createOrder = orderNumber => createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: orderNumber });
+
+  const addStep = (orderId, workCentreId) => db.prepare(`
+    INSERT INTO manufacturing_steps (order_id, step_number, operation_name, work_centre_id, planned_duration_minutes)
+    VALUES (?, 1, 'Operation 1', ?, 60)
+  `).run(orderId, workCentreId).lastInsertRowid;
+
+  const completeOrder = orderId => db.prepare(`
+    UPDATE manufacturing_orders SET status = 'complete' WHERE id = ?
+  `).run(orderId);
+
+  const addDependency = (orderId, dependsOnOrderId) => request(app)
+    .post(`/api/orders/${orderId}/dependencies`)
+    .set('Authorization', createAuthHeader(schedulerToken))
+    .send({ depends_on_order_id: dependsOnOrderId });
+
+  const startStep = (orderId, stepId) => request(app)
+    .post(`/api/orders/${orderId}/steps/${stepId}/start`)
+    .set('Authorization', createAuthHeader(schedulerToken));
+
+  const moveOrder = (orderId, workCentreId) => request(app)
+    .put(`/api/orders/${orderId}/move`)
+    .set('Authorization', createAuthHeader(schedulerToken))
+    .send({ to_work_centre_id: workCentreId });
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+    testUsers = await createTestUsers(db);
+    testWorkCentres = createTestWorkCentres(db);
+
+    schedulerToken = generateTestTokens(testUsers.scheduler).accessToken;
+  });
+
+  afterAll(async () => {
+    cleanupTestData(db);
+  });
+
+  describe('CRUD', () => {
+    test('should add, list and remove a dependency', async () => {
+      const subAssembly = createOrder('DEP-SUB');
+      const assembly = createOrder('DEP-ASM');
+
+      const createResponse = await addDependency(assembly.id, subAssembly.id);
+
+      const { dependency } = assertApiResponse(createResponse, 201);
+      expect(dependency).toMatchObject({
+        order_id: assembly.id,
+        depends_on_order_id: subAssembly.id,
+        depends_on_order_number: 'DEP-SUB',
+        is_blocking: true
+      });
+
+      const listResponse = await request(app)
+        .get(`/api/orders/${assembly.id}/dependencies`)
+        .set('Authorization', createAuthHeader(schedulerToken));
+      const list = assertApiResponse(listResponse, 200);
+      expect(list.is_blocked).toBe(true);
+      expect(list.depends_on.map(dep => dep.depends_on_order_number)).toEqual(['DEP-SUB']);
+
+      const orderResponse = await request(app)
+        .get(`/api/orders/${assembly.id}`)
+        .set('Authorization', createAuthHeader(schedulerToken));
+      expect(orderResponse.body.order.blocked_by).toEqual([
+        expect.objectContaining({ order_id: subAssembly.id, order_number: 'DEP-SUB' })
+      ]);
+
+      const deleteResponse = await request(app)
+        .delete(`/api/orders/${assembly.id}/dependencies/${dependency.id}`)
+        .set('Authorization', createAuthHeader(schedulerToken));
+      assertApiResponse(deleteResponse, 200);
+
+      const audit = db.prepare(`
+        SELECT event_type FROM audit_log WHERE order_id = ? AND event_type LIKE 'dependency_%' ORDER BY id
+      `).all(assembly.id);
+      expect(audit.map(row => row.event_type)).toEqual(['dependency_added', 'dependency_removed']);
+    });
+
+    test('should reject duplicate and self dependencies', async () => {
+      const first = createOrder('DEP-DUP-A');
+      const second = createOrder('DEP-DUP-B');
+      await addDependency(second.id, first.id);
+
+      assertErrorResponse(await addDependency(second.id, first.id), 409, 'DUPLICATE_DEPENDENCY');
+      assertErrorResponse(await addDependency(first.id, first.id), 400, 'SELF_DEPENDENCY');
+    });
+
+    test('should reject a dependency that closes a cycle', async () => {
+      const a = createOrder('CYC-A');
+      const b = createOrder('CYC-B');
+      const c = createOrder('CYC-C');
+      await addDependency(a.id, b.id);
+      await addDependency(b.id, c.id);
+
+      const response = await addDependency(c.id, a.id);
+
+      const body = assertErrorResponse(response, 409, 'DEPENDENCY_CYCLE');
+      expect(body.details.cycle).toEqual(['CYC-C', 'CYC-A', 'CYC-B', 'CYC-C']);
+    });
+  });
+
+  describe('Enforcement', () => {
+    test('should not start a step until the blocking order is complete', async () => {
+      const subAssembly = createOrder('BLK-SUB');
+      const assembly = createOrder('BLK-ASM');
+      const stepId = addStep(assembly.id, testWorkCentres[0].id);
+      await addDependency(assembly.id, subAssembly.id);
+
+      const blocked = await startStep(assembly.id, stepId);
+
+      const body = assertErrorResponse(blocked, 409, 'ORDER_BLOCKED');
+      expect(body.details.blocked_by).toEqual([
+        { order_id: subAssembly.id, order_number: 'BLK-SUB', status: 'not_started' }
+      ]);
+
+      completeOrder(subAssembly.id);
+      assertApiResponse(await startStep(assembly.id, stepId), 200);
+    });
+
+    test('should only block moves into active work centres', async () => {
+      const [, assemblyCentre, qcCentre] = testWorkCentres;
+      const subAssembly = createOrder('MOV-SUB');
+      const assembly = createOrder('MOV-ASM');
+      await addDependency(assembly.id, subAssembly.id);
+      db.prepare('UPDATE work_centres SET is_active = 0 WHERE id = ?').run(qcCentre.id);
+
+      assertErrorResponse(await moveOrder(assembly.id, assemblyCentre.id), 409, 'ORDER_BLOCKED');
+      assertApiResponse(await moveOrder(assembly.id, qcCentre.id), 200);
+
+      completeOrder(subAssembly.id);
+      assertApiResponse(await moveOrder(assembly.id, assemblyCentre.id), 200);
+    });
+
+    test('should not let external systems move a blocked order into a work centre', async () => {
+      const [, assemblyCentre] = testWorkCentres;
+      const subAssembly = createOrder('EXT-SUB');
+      const assembly = createOrder('EXT-ASM');
+      await addDependency(assembly.id, subAssembly.id);
+      const { plainKey } = await ApiKey.generateKey('ERP', 'erp_dependencies', testUsers.admin.id);
+
+      const progress = () => request(app)
+        .put(`/api/external/orders/${assembly.order_number}/progress`)
+        .set('X-API-Key', plainKey)
+        .set('X-System-ID', 'erp_dependencies')
+        .send({ current_work_centre_code: assemblyCentre.code, quantity_completed: 1 });
+
+      assertErrorResponse(await progress(), 409, 'ORDER_BLOCKED');
+      assertErrorResponse(await request(app)
+        .put(`/api/external/orders/${assembly.order_number}/move`)
+        .set('X-API-Key', plainKey)
+        .set('X-System-ID', 'erp_dependencies')
+        .send({ to_work_centre_code: assemblyCentre.code }), 409, 'ORDER_BLOCKED');
+      expect(db.prepare('SELECT current_work_centre_id, quantity_completed FROM manufacturing_orders WHERE id = ?').get(assembly.id))
+        .toEqual({ current_work_centre_id: testWorkCentres[0].id, quantity_completed: 0 });
+
+      completeOrder(subAssembly.id);
+      assertApiResponse(await progress(), 200);
+    });
+  });
+});
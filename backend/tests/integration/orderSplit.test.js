@@ -0,0 +1,168 @@
+const request = require('supertest');
+const { app } = require('../../src/testApp');
+const {
+  setupTestDatabase,
+  createTestUsers,
+  createTestWorkCentres,
+  createTestOrder,
+  generateTestTokens,
+  createAuthHeader,
+  assertApiResponse,
+  assertErrorResponse,
+  cleanupTestData
+} = require('../helpers/testUtils');
+
+describe('Order Splitting and Merging', () => {
+  let db;
+  let testUsers;
+  let testWorkCentres;
+  let schedulerToken;
+
+  const createQueuedOrder = (orderNumber, workCentreId, position) => {
+    const order = createTestOrder(db, workCentreId, testUsers.admin.id, { order_number: orderNumber });
+    db.prepare('UPDATE manufacturing_orders SET work_centre_position = ? WHERE id = ?').run(position, order.id);
+    return order;
+  };
+
+  const addStep = (orderId, stepNumber, workCentreId, plannedMinutes, status = 'pending') => db.prepare(`
+    INSERT INTO manufacturing_steps (order_id, step_number, operation_name, work_centre_id, planned_duration_minutes, setup_minutes, status)
+    VALUES (?, ?, ?, ?, ?, 15, ?)
+  `).run(orderId, stepNumber, `Operation ${stepNumber}`, workCentreId, plannedMinutes, status);
+
+  const queueOf = workCentreId => db.prepare(`
+    SELECT order_number FROM manufacturing_orders
+    WHERE current_work_centre_id = ?
+    ORDER BY work_centre_position
+  `).all(workCentreId).map(row => row.order_number);
+
+  const split = (orderId, splits) => request(app)
+    .post(`/api/orders/${orderId}/split`)
+    .set('Authorization', createAuthHeader(schedulerToken))
+    .send({ splits });
+
+  const merge = orderId => request(app)
+    .post(`/api/orders/${orderId}/merge`)
+    .set('Authorization', createAuthHeader(schedulerToken));
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+    testUsers = await createTestUsers(db);
+    testWorkCentres = createTestWorkCentres(db);
+
+    schedulerToken = generateTestTokens(testUsers.scheduler).accessToken;
+  });
+
+  afterAll(async () => {
+    cleanupTestData(db);
+  });
+
+  describe('POST /api/orders/:id/split', () => {
+    test('should create children that take over the parent\'s place on the board', async () => {
+      const [cutting, assembly] = testWorkCentres;
+      createQueuedOrder('SPLIT-AHEAD', cutting.id, 1);
+      const order = createQueuedOrder('SPLIT-PARENT', cutting.id, 2);
+      createQueuedOrder('SPLIT-BEHIND', cutting.id, 3);
+      addStep(order.id, 1, cutting.id, 120);
+      addStep(order.id, 2, assembly.id, 60);
+      db.prepare(`
+        INSERT INTO job_characteristics (order_id, type, value, color, display_name, is_system_generated)
+        VALUES (?, 'customer_order', 'CUST-9', '#3b82f6', 'Customer 9', 1)
+      `).run(order.id);
+
+      const response = await split(order.id, [
+        { quantity: 75 },
+        { quantity: 25, work_centre_id: assembly.id, due_date: '2030-01-31' }
+      ]);
+
+      const body = assertApiResponse(response, 201);
+      expect(body.order).toMatchObject({ id: order.id, is_split: 1, current_work_centre_id: null });
+      expect(body.order.child_orders.map(child => child.order_number)).toEqual(['SPLIT-PARENT-1', 'SPLIT-PARENT-2']);
+
+      const [first, second] = body.children;
+      expect(first).toMatchObject({
+        quantity_to_make: 75,
+        parent_order_id: order.id,
+        parent_order_number: 'SPLIT-PARENT',
+        split_sequence: 1,
+        family_size: 2
+      });
+      expect(second).toMatchObject({ quantity_to_make: 25, current_work_centre_id: assembly.id, due_date: '2030-01-31T00:00:00.000Z' });
+
+      // Run time is shared out by quantity, each child still needs its own setup
+      expect(first.manufacturing_steps.map(step => [step.planned_duration_minutes, step.setup_minutes])).toEqual([[90, 15], [45, 15]]);
+      expect(second.manufacturing_steps.map(step => step.planned_duration_minutes)).toEqual([30, 15]);
+      expect(second.job_characteristics).toEqual([
+        expect.objectContaining({ type: 'customer_order', value: 'CUST-9', display_name: 'Customer 9' })
+      ]);
+
+      expect(queueOf(cutting.id)).toEqual(['SPLIT-AHEAD', 'SPLIT-PARENT-1', 'SPLIT-BEHIND']);
+
+      const audit = db.prepare(`
+        SELECT * FROM audit_log WHERE order_id = ? AND event_type = 'order_split'
+      `).get(order.id);
+      expect(audit.user_id).toBe(testUsers.scheduler.id);
+      expect(JSON.parse(audit.event_data).children.map(child => child.quantity)).toEqual([75, 25]);
+    });
+
+    test('should reject quantities that do not add up to the order', async () => {
+      const order = createQueuedOrder('SPLIT-SHORT', testWorkCentres[0].id, 10);
+
+      const response = await split(order.id, [{ quantity: 50 }, { quantity: 40 }]);
+
+      assertErrorResponse(response, 400, 'QUANTITY_MISMATCH');
+    });
+
+    test('should reject orders that have started work', async () => {
+      const order = createQueuedOrder('SPLIT-STARTED', testWorkCentres[0].id, 11);
+      addStep(order.id, 1, testWorkCentres[0].id, 60, 'in_progress');
+
+      const response = await split(order.id, [{ quantity: 50 }, { quantity: 50 }]);
+
+      assertErrorResponse(response, 409, 'ORDER_STARTED');
+    });
+  });
+
+  describe('POST /api/orders/:id/merge', () => {
+    test('should put the parent back in place of its children', async () => {
+      const [cutting, assembly] = testWorkCentres;
+      createQueuedOrder('MERGE-AHEAD', cutting.id, 20);
+      const order = createQueuedOrder('MERGE-PARENT', cutting.id, 21);
+      addStep(order.id, 1, cutting.id, 60);
+      await split(order.id, [{ quantity: 60 }, { quantity: 40, work_centre_id: assembly.id }]);
+
+      const response = await merge(order.id);
+
+      const body = assertApiResponse(response, 200);
+      expect(body.merged_orders).toEqual(['MERGE-PARENT-1', 'MERGE-PARENT-2']);
+      expect(body.order).toMatchObject({ is_split: 0, current_work_centre_id: cutting.id, child_orders: [] });
+      expect(queueOf(cutting.id).slice(-2)).toEqual(['MERGE-AHEAD', 'MERGE-PARENT']);
+      expect(queueOf(assembly.id)).not.toContain('MERGE-PARENT-2');
+
+      const audit = db.prepare(`
+        SELECT * FROM audit_log WHERE order_id = ? AND event_type = 'order_merged'
+      `).get(order.id);
+      expect(JSON.parse(audit.event_data).merged_orders).toEqual(['MERGE-PARENT-1', 'MERGE-PARENT-2']);
+    });
+
+    test('should refuse to merge once a child has started work', async () => {
+      const order = createQueuedOrder('MERGE-STARTED', testWorkCentres[0].id, 30);
+      addStep(order.id, 1, testWorkCentres[0].id, 60);
+      const { children } = assertApiResponse(await split(order.id, [{ quantity: 50 }, { quantity: 50 }]), 201);
+      db.prepare(`
+        UPDATE manufacturing_steps SET status = 'in_progress' WHERE order_id = ?
+      `).run(children[1].id);
+
+      const response = await merge(order.id);
+
+      assertErrorResponse(response, 409, 'ORDER_STARTED');
+    });
+
+    test('should reject orders that were never split', async () => {
+      const order = createQueuedOrder('MERGE-NEVER', testWorkCentres[0].id, 31);
+
+      const response = await merge(order.id);
+
+      assertErrorResponse(response, 409, 'NOT_SPLIT');
+    });
+  });
+});
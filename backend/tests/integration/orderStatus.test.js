@@ -0,0 +1,180 @@
+const request = require('supertest');
+const { app } = require('../../src/testApp');
+const {
+  setupTestDatabase,
+  createTestUsers,
+  createTestWorkCentres,
+  createTestOrder,
+  generateTestTokens,
+  createAuthHeader,
+  assertApiResponse,
+  assertErrorResponse,
+  cleanupTestData
+} = require('../helpers/testUtils');
+
+describe('Order Status Transitions', () => {
+  let db;
+  let testUsers;
+  let testWorkCentres;
+  let adminToken;
+  let schedulerToken;
+
+  const addStep = (orderId, stepNumber, status = 'pending') => db.prepare(`
+    INSERT INTO manufacturing_steps (order_id, step_number, operation_name, work_centre_id, status)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(orderId, stepNumber, `Operation ${stepNumber}`, testWorkCentres[0].id, status).lastInsertRowid;
+
+  const statusOf = orderId => db.prepare('SELECT status FROM manufacturing_orders WHERE id = ?').get(orderId).status;
+
+  const newOrder = (status, suffix) => createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, {
+    order_number: `STATUS-${suffix}`,
+    status
+  });
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+    testUsers = await createTestUsers(db);
+    testWorkCentres = createTestWorkCentres(db);
+
+    adminToken = generateTestTokens(testUsers.admin).accessToken;
+    schedulerToken = generateTestTokens(testUsers.scheduler).accessToken;
+  });
+
+  afterAll(async () => {
+    cleanupTestData(db);
+  });
+
+  describe('PUT /api/orders/:id', () => {
+    test('should allow a valid transition', async () => {
+      const order = newOrder('in_progress', 'HOLD');
+
+      const response = await request(app)
+        .put(`/api/orders/${order.id}`)
+        .set('Authorization', createAuthHeader(schedulerToken))
+        .set('If-Match', '*')
+        .send({ status: 'on_hold' });
+
+      assertApiResponse(response, 200);
+      expect(statusOf(order.id)).toBe('on_hold');
+    });
+
+    test('should reject an invalid transition with the allowed next states', async () => {
+      const order = newOrder('complete', 'REOPEN');
+
+      const response = await request(app)
+        .put(`/api/orders/${order.id}`)
+        .set('Authorization', createAuthHeader(adminToken))
+        .set('If-Match', '*')
+        .send({ status: 'not_started' });
+
+      const body = assertErrorResponse(response, 409, 'INVALID_TRANSITION');
+      expect(body.details).toEqual({ from: 'complete', to: 'not_started', allowed_transitions: [] });
+      expect(statusOf(order.id)).toBe('complete');
+    });
+
+    test('should not complete an order with pending steps', async () => {
+      const order = newOrder('in_progress', 'PENDING-STEPS');
+      addStep(order.id, 1, 'complete');
+      addStep(order.id, 2, 'pending');
+
+      const response = await request(app)
+        .put(`/api/orders/${order.id}`)
+        .set('Authorization', createAuthHeader(schedulerToken))
+        .set('If-Match', '*')
+        .send({ status: 'complete', force: true });
+
+      const body = assertErrorResponse(response, 409, 'INVALID_TRANSITION');
+      expect(body.details.guard).toBe('steps_finished');
+      expect(body.details.allowed_transitions).toContain('complete');
+      expect(statusOf(order.id)).toBe('in_progress');
+    });
+
+    test('should let an admin force completion', async () => {
+      const order = newOrder('in_progress', 'FORCED');
+      addStep(order.id, 1, 'pending');
+
+      const response = await request(app)
+        .put(`/api/orders/${order.id}`)
+        .set('Authorization', createAuthHeader(adminToken))
+        .set('If-Match', '*')
+        .send({ status: 'complete', force: true });
+
+      assertApiResponse(response, 200);
+      expect(statusOf(order.id)).toBe('complete');
+
+      const audit = db.prepare(`
+        SELECT event_data FROM audit_log WHERE order_id = ? AND event_type = 'order_status_changed'
+      `).get(order.id);
+      expect(JSON.parse(audit.event_data)).toMatchObject({ new_status: 'complete', forced: true });
+    });
+  });
+
+  describe('DELETE /api/orders/:id', () => {
+    const deleteOrder = orderId => request(app)
+      .delete(`/api/orders/${orderId}`)
+      .set('Authorization', createAuthHeader(adminToken));
+
+    test('should cancel a started order and log the status change', async () => {
+      const order = newOrder('in_progress', 'DELETE-STARTED');
+
+      assertApiResponse(await deleteOrder(order.id), 200);
+      expect(statusOf(order.id)).toBe('cancelled');
+
+      const audit = db.prepare(`
+        SELECT event_data FROM audit_log WHERE order_id = ? AND event_type = 'order_status_changed'
+      `).get(order.id);
+      expect(JSON.parse(audit.event_data)).toMatchObject({ old_status: 'in_progress', new_status: 'cancelled' });
+    });
+
+    test('should refuse to cancel a completed order', async () => {
+      const order = newOrder('complete', 'DELETE-COMPLETE');
+
+      const body = assertErrorResponse(await deleteOrder(order.id), 409, 'INVALID_TRANSITION');
+      expect(body.details).toMatchObject({ from: 'complete', to: 'cancelled' });
+      expect(statusOf(order.id)).toBe('complete');
+    });
+  });
+
+  describe('Step work', () => {
+    test('should put a not started order in progress when a step is completed', async () => {
+      const order = newOrder('not_started', 'FIRST-STEP');
+      const stepId = addStep(order.id, 1, 'pending');
+
+      const response = await request(app)
+        .post(`/api/orders/${order.id}/steps/${stepId}/complete`)
+        .set('Authorization', createAuthHeader(schedulerToken))
+        .send({ quantity_completed: 10 });
+
+      assertApiResponse(response, 200);
+      expect(statusOf(order.id)).toBe('in_progress');
+    });
+
+    test('should reject step completion on a cancelled order', async () => {
+      const order = newOrder('cancelled', 'CANCELLED-STEP');
+      const stepId = addStep(order.id, 1, 'in_progress');
+
+      const response = await request(app)
+        .post(`/api/orders/${order.id}/steps/${stepId}/complete`)
+        .set('Authorization', createAuthHeader(schedulerToken))
+        .send({ quantity_completed: 10 });
+
+      const body = assertErrorResponse(response, 409, 'INVALID_TRANSITION');
+      expect(body.details).toMatchObject({ from: 'cancelled', to: 'in_progress', allowed_transitions: ['not_started'] });
+
+      const step = db.prepare('SELECT status FROM manufacturing_steps WHERE id = ?').get(stepId);
+      expect(step.status).toBe('in_progress');
+    });
+
+    test('should keep an overdue order overdue while it is worked on', async () => {
+      const order = newOrder('overdue', 'OVERDUE-STEP');
+      const stepId = addStep(order.id, 1, 'pending');
+
+      const response = await request(app)
+        .post(`/api/orders/${order.id}/steps/${stepId}/start`)
+        .set('Authorization', createAuthHeader(schedulerToken));
+
+      assertApiResponse(response, 200);
+      expect(statusOf(order.id)).toBe('overdue');
+    });
+  });
+});
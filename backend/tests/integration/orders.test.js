@@ -292,6 +292,7 @@ describe('Manufacturing Orders Endpoints', () => {
       const response = await request(app)
         .put(`/api/orders/${testOrder.id}`)
         .set('Authorization', createAuthHeader(adminToken))
+        .set('If-Match', '*')
         .send(updates);
 
       const body = assertApiResponse(response, 200);
@@ -310,6 +311,7 @@ describe('Manufacturing Orders Endpoints', () => {
       const response = await request(app)
         .put(`/api/orders/${testOrder.id}`)
         .set('Authorization', createAuthHeader(schedulerToken))
+        .set('If-Match', '*')
         .send(updates);
 
       assertApiResponse(response, 200);
@@ -321,6 +323,7 @@ describe('Manufacturing Orders Endpoints', () => {
       const response = await request(app)
         .put('/api/orders/99999')
         .set('Authorization', createAuthHeader(adminToken))
+        .set('If-Match', '*')
         .send(updates);
 
       assertErrorResponse(response, 404, 'NOT_FOUND');
@@ -332,6 +335,7 @@ describe('Manufacturing Orders Endpoints', () => {
       const response = await request(app)
         .put(`/api/orders/${testOrder.id}`)
         .set('Authorization', createAuthHeader(viewerToken))
+        .set('If-Match', '*')
         .send(updates);
 
       assertErrorResponse(response, 403, 'INSUFFICIENT_PERMISSIONS');
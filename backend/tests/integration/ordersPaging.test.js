@@ -0,0 +1,117 @@
+const request = require('supertest');
+const { app } = require('../../src/testApp');
+const {
+  setupTestDatabase,
+  createTestUsers,
+  createTestWorkCentres,
+  createTestOrder,
+  generateTestTokens,
+  createAuthHeader,
+  assertApiResponse,
+  assertErrorResponse,
+  cleanupTestData
+} = require('../helpers/testUtils');
+
+describe('Orders Paging, Sorting and Filtering', () => {
+  let db;
+  let testUsers;
+  let testWorkCentres;
+  let viewerToken;
+
+  const listOrders = query => request(app)
+    .get('/api/orders')
+    .query(query)
+    .set('Authorization', createAuthHeader(viewerToken));
+
+  const orderNumbers = data => data.orders.map(order => order.order_number);
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+    testUsers = await createTestUsers(db);
+    testWorkCentres = createTestWorkCentres(db);
+
+    viewerToken = generateTestTokens(testUsers.viewer).accessToken;
+
+    // PAGE-01 .. PAGE-12, due on consecutive days, quantity 10 .. 120
+    for (let i = 1; i <= 12; i++) {
+      createTestOrder(db, testWorkCentres[i % 2].id, i % 3 === 0 ? testUsers.scheduler.id : testUsers.admin.id, {
+        order_number: `PAGE-${String(i).padStart(2, '0')}`,
+        stock_code: i % 2 === 0 ? 'PAGE-EVEN' : 'PAGE-ODD',
+        quantity_to_make: i * 10,
+        priority: ['low', 'medium', 'high', 'urgent'][i % 4],
+        due_date: `2031-03-${String(i).padStart(2, '0')}`
+      });
+    }
+  });
+
+  afterAll(async () => {
+    cleanupTestData(db);
+  });
+
+  test('should return one page of orders with the total count', async () => {
+    const data = assertApiResponse(await listOrders({
+      stock_code_contains: 'PAGE-', sort: 'due_date:desc', limit: 5, offset: 5
+    }), 200);
+
+    expect(orderNumbers(data)).toEqual(['PAGE-07', 'PAGE-06', 'PAGE-05', 'PAGE-04', 'PAGE-03']);
+    expect(data).toMatchObject({ count: 5, total: 12, limit: 5, offset: 5, has_more: true });
+
+    const last = assertApiResponse(await listOrders({
+      stock_code_contains: 'PAGE-', sort: 'due_date:desc', limit: 5, offset: 10
+    }), 200);
+    expect(orderNumbers(last)).toEqual(['PAGE-02', 'PAGE-01']);
+    expect(last.has_more).toBe(false);
+  });
+
+  test('should sort by several columns, ranking priority by urgency', async () => {
+    const data = assertApiResponse(await listOrders({
+      stock_code_contains: 'PAGE-', sort: 'priority:desc,quantity_to_make:asc', limit: 4
+    }), 200);
+
+    expect(orderNumbers(data)).toEqual(['PAGE-03', 'PAGE-07', 'PAGE-11', 'PAGE-02']);
+  });
+
+  test('should filter by date range, quantity range, creator and several priorities', async () => {
+    const data = assertApiResponse(await listOrders({
+      due_from: '2031-03-03',
+      due_to: '2031-03-09',
+      quantity_min: 40,
+      created_by: testUsers.scheduler.id,
+      priority: ['high', 'urgent'],
+      limit: 20
+    }), 200);
+
+    expect(orderNumbers(data)).toEqual(['PAGE-06']);
+    expect(data.total).toBe(1);
+  });
+
+  test('should filter by characteristic, with or without its type', async () => {
+    const [tagged] = assertApiResponse(await listOrders({ order_number_contains: 'PAGE-05', limit: 1 }), 200).orders;
+    db.prepare(`
+      INSERT INTO job_characteristics (order_id, type, value, color, display_name, is_system_generated)
+      VALUES (?, 'customer', 'PAGE-ACME', '#3B82F6', 'PAGE-ACME', 0)
+    `).run(tagged.id);
+
+    const typed = assertApiResponse(await listOrders({ characteristic: 'customer:PAGE-ACME', limit: 10 }), 200);
+    expect(orderNumbers(typed)).toEqual(['PAGE-05']);
+
+    const bare = assertApiResponse(await listOrders({ characteristic: 'PAGE-ACME', limit: 10 }), 200);
+    expect(bare.total).toBe(1);
+
+    const wrongType = assertApiResponse(await listOrders({ characteristic: 'material:PAGE-ACME', limit: 10 }), 200);
+    expect(wrongType.total).toBe(0);
+  });
+
+  test('should return every matching order when no limit is given', async () => {
+    const data = assertApiResponse(await listOrders({ stock_code_contains: 'PAGE-EVEN' }), 200);
+
+    expect(data.count).toBe(6);
+    expect(data.total).toBeUndefined();
+  });
+
+  test('should reject unknown sort fields and oversized pages', async () => {
+    assertErrorResponse(await listOrders({ sort: 'password:asc' }), 400, 'VALIDATION_ERROR');
+    assertErrorResponse(await listOrders({ sort: 'due_date:sideways' }), 400, 'VALIDATION_ERROR');
+    assertErrorResponse(await listOrders({ limit: 5000 }), 400, 'VALIDATION_ERROR');
+  });
+});
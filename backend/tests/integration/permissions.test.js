@@ -104,6 +104,7 @@ describe('Role-Based Access Control', () => {
       const putResponse = await request(app)
         .put(`/api/work-centres/${workCentreId}`)
         .set('Authorization', createAuthHeader(adminToken))
+        .set('If-Match', '*')
         .send({ name: 'Updated Admin Centre' });
       assertApiResponse(putResponse, 200);
 
@@ -141,6 +142,7 @@ describe('Role-Based Access Control', () => {
       const putResponse = await request(app)
         .put(`/api/orders/${orderId}`)
         .set('Authorization', createAuthHeader(adminToken))
+        .set('If-Match', '*')
         .send({ description: 'Updated Admin Widget' });
       assertApiResponse(putResponse, 200);
 
@@ -239,6 +241,7 @@ describe('Role-Based Access Control', () => {
       const putResponse = await request(app)
         .put(`/api/orders/${orderId}`)
         .set('Authorization', createAuthHeader(schedulerToken))
+        .set('If-Match', '*')
         .send({ description: 'Updated Scheduler Widget' });
       assertApiResponse(putResponse, 200);
 
@@ -363,6 +366,7 @@ describe('Role-Based Access Control', () => {
       const putResponse = await request(app)
         .put(`/api/orders/${testOrder.id}`)
         .set('Authorization', createAuthHeader(viewerToken))
+        .set('If-Match', '*')
         .send({ description: 'Unauthorized Update' });
       assertErrorResponse(putResponse, 403, 'INSUFFICIENT_PERMISSIONS');
 
@@ -0,0 +1,144 @@
+const request = require('supertest');
+const { app } = require('../../src/testApp');
+const ManufacturingOrder = require('../../src/models/ManufacturingOrder');
+const SchedulingService = require('../../src/services/schedulingService');
+const {
+  setupTestDatabase,
+  createTestUsers,
+  createTestWorkCentres,
+  createTestOrder,
+  generateTestTokens,
+  createAuthHeader,
+  assertApiResponse,
+  cleanupTestData
+} = require('../helpers/testUtils');
+
+describe('Order Completion Projections', () => {
+  let db;
+  let testUsers;
+  let testWorkCentres;
+  let frontOrder;
+  let queuedOrder;
+  let completedOrder;
+  let viewerToken;
+
+  const HOUR = 60 * 60 * 1000;
+
+  const addStep = (orderId, stepNumber, workCentreId, minutes, status = 'pending') => db.prepare(`
+    INSERT INTO manufacturing_steps (order_id, step_number, operation_name, work_centre_id, planned_duration_minutes, status)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(orderId, stepNumber, `Operation ${stepNumber}`, workCentreId, minutes, status);
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+    testUsers = await createTestUsers(db);
+    testWorkCentres = createTestWorkCentres(db);
+
+    viewerToken = generateTestTokens(testUsers.viewer).accessToken;
+
+    // Single slot so the queued order has to wait for the one in front of it
+    db.prepare('UPDATE work_centres SET capacity = 1 WHERE id = ?').run(testWorkCentres[0].id);
+
+    frontOrder = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, {
+      order_number: 'PROJ-FRONT'
+    });
+    // Due in 5 hours: enough for its own 2 hours of work, not for the 8 hours queued ahead of it
+    queuedOrder = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, {
+      order_number: 'PROJ-QUEUED',
+      due_date: new Date(Date.now() + 5 * HOUR).toISOString()
+    });
+    completedOrder = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, {
+      order_number: 'PROJ-DONE',
+      status: 'complete'
+    });
+
+    db.prepare('UPDATE manufacturing_orders SET work_centre_position = ? WHERE id = ?').run(1, frontOrder.id);
+    db.prepare('UPDATE manufacturing_orders SET work_centre_position = ? WHERE id = ?').run(2, queuedOrder.id);
+    db.prepare('UPDATE manufacturing_orders SET work_centre_position = ? WHERE id = ?').run(3, completedOrder.id);
+
+    addStep(frontOrder.id, 1, testWorkCentres[0].id, 8 * 60);
+    addStep(queuedOrder.id, 1, testWorkCentres[0].id, 2 * 60);
+    addStep(completedOrder.id, 1, testWorkCentres[0].id, 60, 'complete');
+  });
+
+  afterAll(async () => {
+    cleanupTestData(db);
+  });
+
+  test('should project completion after the queue ahead in the work centre', async () => {
+    const response = await request(app)
+      .get(`/api/orders/${queuedOrder.id}`)
+      .set('Authorization', createAuthHeader(viewerToken));
+
+    const body = assertApiResponse(response, 200);
+    const projected = new Date(body.order.projected_completion_date).getTime();
+
+    expect(projected).toBeGreaterThanOrEqual(Date.now() + 10 * HOUR - 60 * 1000);
+    expect(projected).toBeLessThan(Date.now() + 11 * HOUR);
+    expect(body.order.at_risk).toBe(true);
+  });
+
+  test('should not flag orders projected to finish before their due date', async () => {
+    const response = await request(app)
+      .get(`/api/orders/${frontOrder.id}`)
+      .set('Authorization', createAuthHeader(viewerToken));
+
+    const body = assertApiResponse(response, 200);
+    expect(body.order.projected_completion_date).toBeTruthy();
+    expect(body.order.at_risk).toBe(false);
+  });
+
+  test('should leave orders with nothing left to run unprojected', async () => {
+    const response = await request(app)
+      .get('/api/orders')
+      .set('Authorization', createAuthHeader(viewerToken));
+
+    const body = assertApiResponse(response, 200);
+    const done = body.orders.find(order => order.id === completedOrder.id);
+
+    expect(done.projected_completion_date).toBeNull();
+    expect(done.at_risk).toBe(false);
+  });
+
+  test('should include projections on the planning board', async () => {
+    const response = await request(app).get('/api/planning-board');
+
+    const body = assertApiResponse(response, 200);
+    const queued = body.orders.find(order => order.id === queuedOrder.id);
+
+    expect(queued.projected_completion_date).toBeTruthy();
+    expect(queued.at_risk).toBe(true);
+  });
+
+  test('should move the projection when the board is resequenced', async () => {
+    db.prepare('UPDATE manufacturing_orders SET work_centre_position = ? WHERE id = ?').run(1, queuedOrder.id);
+    db.prepare('UPDATE manufacturing_orders SET work_centre_position = ? WHERE id = ?').run(2, frontOrder.id);
+
+    const response = await request(app)
+      .get(`/api/orders/${queuedOrder.id}`)
+      .set('Authorization', createAuthHeader(viewerToken));
+
+    const body = assertApiResponse(response, 200);
+    expect(new Date(body.order.projected_completion_date).getTime()).toBeLessThan(Date.now() + 3 * HOUR);
+    expect(body.order.at_risk).toBe(false);
+  });
+
+  test('should project the board once per response, not on every order read', async () => {
+    const projectCompletions = jest.spyOn(SchedulingService, 'projectCompletions');
+
+    try {
+      const response = await request(app)
+        .get('/api/orders')
+        .set('Authorization', createAuthHeader(viewerToken));
+      assertApiResponse(response, 200);
+      expect(projectCompletions).toHaveBeenCalledTimes(1);
+
+      // Bulk changes read each order several times without needing a projection
+      projectCompletions.mockClear();
+      ManufacturingOrder.bulkUpdate([frontOrder.id, queuedOrder.id], { priority: 'high' }, testUsers.admin.id);
+      expect(projectCompletions).not.toHaveBeenCalled();
+    } finally {
+      projectCompletions.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,179 @@
+const request = require('supertest');
+const { app } = require('../../src/testApp');
+const {
+  setupTestDatabase,
+  createTestUsers,
+  createTestWorkCentres,
+  generateTestTokens,
+  createAuthHeader,
+  assertApiResponse,
+  assertErrorResponse,
+  cleanupTestData
+} = require('../helpers/testUtils');
+
+describe('Routing Template Endpoints', () => {
+  let db;
+  let testUsers;
+  let testWorkCentres;
+  let adminToken;
+  let schedulerToken;
+  let viewerToken;
+  let firstOrderId;
+
+  const operations = () => [
+    { step_number: 1, operation_name: 'Cut', work_centre_id: testWorkCentres[0].id, planned_duration_minutes: 30, setup_minutes: 15 },
+    { step_number: 2, operation_name: 'Weld', work_centre_id: testWorkCentres[1].id, planned_duration_minutes: 45 }
+  ];
+
+  const orderPayload = orderNumber => ({
+    order_number: orderNumber,
+    stock_code: 'ROUTED-PART',
+    description: 'Routed part',
+    quantity_to_make: 10
+  });
+
+  const stepsOf = orderId => db.prepare(`
+    SELECT step_number, operation_name, work_centre_id, planned_duration_minutes, setup_minutes
+    FROM manufacturing_steps WHERE order_id = ? ORDER BY step_number
+  `).all(orderId);
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+    testUsers = await createTestUsers(db);
+    testWorkCentres = createTestWorkCentres(db);
+
+    adminToken = generateTestTokens(testUsers.admin).accessToken;
+    schedulerToken = generateTestTokens(testUsers.scheduler).accessToken;
+    viewerToken = generateTestTokens(testUsers.viewer).accessToken;
+  });
+
+  afterAll(async () => {
+    cleanupTestData(db);
+  });
+
+  describe('CRUD', () => {
+    test('should create version 1 of a routing', async () => {
+      const response = await request(app)
+        .post('/api/routings')
+        .set('Authorization', createAuthHeader(schedulerToken))
+        .send({ stock_code: 'ROUTED-PART', description: 'Cut and weld', operations: operations() });
+
+      const body = assertApiResponse(response, 201);
+      expect(body.routing).toMatchObject({ stock_code: 'ROUTED-PART', version: 1, is_active: true });
+      expect(body.routing.operations.map(op => op.operation_name)).toEqual(['Cut', 'Weld']);
+      expect(body.routing.operations[1].setup_minutes).toBe(0);
+    });
+
+    test('should reject a second routing for the same stock code', async () => {
+      const response = await request(app)
+        .post('/api/routings')
+        .set('Authorization', createAuthHeader(schedulerToken))
+        .send({ stock_code: 'ROUTED-PART', operations: operations() });
+
+      assertErrorResponse(response, 409, 'DUPLICATE_ROUTING');
+    });
+
+    test('should reject unknown work centres and duplicate step numbers', async () => {
+      const unknownWorkCentre = await request(app)
+        .post('/api/routings')
+        .set('Authorization', createAuthHeader(adminToken))
+        .send({ stock_code: 'BAD-PART', operations: [{ step_number: 1, operation_name: 'Cut', work_centre_id: 99999 }] });
+      assertErrorResponse(unknownWorkCentre, 400, 'INVALID_WORK_CENTRE');
+
+      const duplicateSteps = await request(app)
+        .post('/api/routings')
+        .set('Authorization', createAuthHeader(adminToken))
+        .send({ stock_code: 'BAD-PART', operations: [operations()[0], operations()[0]] });
+      assertErrorResponse(duplicateSteps, 400, 'VALIDATION_ERROR');
+    });
+
+    test('should let viewers read but not write routings', async () => {
+      const list = await request(app)
+        .get('/api/routings')
+        .set('Authorization', createAuthHeader(viewerToken));
+      const body = assertApiResponse(list, 200);
+      expect(body.routings.map(routing => routing.stock_code)).toEqual(['ROUTED-PART']);
+
+      const create = await request(app)
+        .post('/api/routings')
+        .set('Authorization', createAuthHeader(viewerToken))
+        .send({ stock_code: 'VIEWER-PART', operations: operations() });
+      assertErrorResponse(create, 403, 'INSUFFICIENT_PERMISSIONS');
+    });
+  });
+
+  describe('Step generation and versioning', () => {
+    test('should generate steps for a new order with a known stock code', async () => {
+      const response = await request(app)
+        .post('/api/orders')
+        .set('Authorization', createAuthHeader(schedulerToken))
+        .send(orderPayload('ROUTED-001'));
+
+      const body = assertApiResponse(response, 201);
+      firstOrderId = body.order.id;
+
+      expect(body.order.manufacturing_steps).toHaveLength(2);
+      expect(stepsOf(firstOrderId)).toEqual([
+        { step_number: 1, operation_name: 'Cut', work_centre_id: testWorkCentres[0].id, planned_duration_minutes: 30, setup_minutes: 15 },
+        { step_number: 2, operation_name: 'Weld', work_centre_id: testWorkCentres[1].id, planned_duration_minutes: 45, setup_minutes: 0 }
+      ]);
+    });
+
+    test('should save a new version without changing existing orders', async () => {
+      const response = await request(app)
+        .put('/api/routings/ROUTED-PART')
+        .set('Authorization', createAuthHeader(schedulerToken))
+        .send({ operations: [...operations(), { step_number: 3, operation_name: 'Paint', work_centre_id: testWorkCentres[0].id, planned_duration_minutes: 20 }] });
+
+      const body = assertApiResponse(response, 200);
+      expect(body.routing).toMatchObject({ version: 2, description: 'Cut and weld' });
+      expect(stepsOf(firstOrderId)).toHaveLength(2);
+
+      const detail = await request(app)
+        .get('/api/routings/ROUTED-PART')
+        .set('Authorization', createAuthHeader(viewerToken));
+      const detailBody = assertApiResponse(detail, 200);
+      expect(detailBody.versions.map(version => [version.version, version.is_active, version.order_count]))
+        .toEqual([[2, true, 0], [1, false, 1]]);
+
+      const previous = await request(app)
+        .get('/api/routings/ROUTED-PART/versions/1')
+        .set('Authorization', createAuthHeader(viewerToken));
+      expect(assertApiResponse(previous, 200).routing.operations).toHaveLength(2);
+    });
+
+    test('should use the current version for imported orders', async () => {
+      const response = await request(app)
+        .post('/api/orders/import')
+        .set('Authorization', createAuthHeader(adminToken))
+        .send([orderPayload('ROUTED-002')]);
+
+      assertApiResponse(response, 200);
+      const order = db.prepare('SELECT id, routing_template_id FROM manufacturing_orders WHERE order_number = ?').get('ROUTED-002');
+      const template = db.prepare('SELECT id FROM routing_templates WHERE stock_code = ? AND version = 2').get('ROUTED-PART');
+
+      expect(order.routing_template_id).toBe(template.id);
+      expect(stepsOf(order.id).map(step => step.operation_name)).toEqual(['Cut', 'Weld', 'Paint']);
+    });
+
+    test('should stop generating steps once the routing is retired', async () => {
+      const retire = await request(app)
+        .delete('/api/routings/ROUTED-PART')
+        .set('Authorization', createAuthHeader(adminToken));
+      assertApiResponse(retire, 200);
+
+      const response = await request(app)
+        .post('/api/orders')
+        .set('Authorization', createAuthHeader(schedulerToken))
+        .send(orderPayload('ROUTED-003'));
+
+      const body = assertApiResponse(response, 201);
+      expect(stepsOf(body.order.id)).toHaveLength(0);
+
+      const detail = await request(app)
+        .get('/api/routings/ROUTED-PART')
+        .set('Authorization', createAuthHeader(viewerToken));
+      assertErrorResponse(detail, 404, 'ROUTING_NOT_FOUND');
+    });
+  });
+});
@@ -0,0 +1,168 @@
+const request = require('supertest');
+const { app } = require('../../src/testApp');
+const ManufacturingOrder = require('../../src/models/ManufacturingOrder');
+const {
+  setupTestDatabase,
+  createTestUsers,
+  createTestWorkCentres,
+  createTestOrder,
+  generateTestTokens,
+  createAuthHeader,
+  assertApiResponse,
+  assertErrorResponse,
+  cleanupTestData
+} = require('../helpers/testUtils');
+
+describe('Row Versions (optimistic concurrency)', () => {
+  let db;
+  let testUsers;
+  let testWorkCentres;
+  let adminToken;
+  let schedulerToken;
+
+  const getOrder = id => request(app)
+    .get(`/api/orders/${id}`)
+    .set('Authorization', createAuthHeader(schedulerToken));
+
+  const updateOrder = (id, body, ifMatch) => {
+    const req = request(app)
+      .put(`/api/orders/${id}`)
+      .set('Authorization', createAuthHeader(schedulerToken));
+    if (ifMatch !== undefined) req.set('If-Match', ifMatch);
+    return req.send(body);
+  };
+
+  const updateWorkCentre = (id, body, ifMatch) => request(app)
+    .put(`/api/work-centres/${id}`)
+    .set('Authorization', createAuthHeader(adminToken))
+    .set('If-Match', ifMatch)
+    .send(body);
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+    testUsers = await createTestUsers(db);
+    testWorkCentres = createTestWorkCentres(db);
+
+    adminToken = generateTestTokens(testUsers.admin).accessToken;
+    schedulerToken = generateTestTokens(testUsers.scheduler).accessToken;
+  });
+
+  afterAll(async () => {
+    cleanupTestData(db);
+  });
+
+  describe('Orders', () => {
+    test('should return the version in the order and as its ETag', async () => {
+      const order = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'RV-READ' });
+
+      const response = await getOrder(order.id);
+      const body = assertApiResponse(response, 200);
+      expect(body.order.version).toBe(1);
+      expect(response.headers.etag).toBe('"1"');
+
+      const list = assertApiResponse(await request(app)
+        .get('/api/orders')
+        .set('Authorization', createAuthHeader(schedulerToken)), 200);
+      expect(list.orders.find(o => o.id === order.id).version).toBe(1);
+    });
+
+    test('should update an order at the version read and return the next version', async () => {
+      const order = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'RV-UPDATE' });
+
+      const response = await updateOrder(order.id, { priority: 'high' }, '"1"');
+      const body = assertApiResponse(response, 200);
+      expect(body.order.priority).toBe('high');
+      expect(body.order.version).toBe(2);
+      expect(response.headers.etag).toBe('"2"');
+
+      // Weak ETags are accepted too
+      const second = assertApiResponse(await updateOrder(order.id, { description: 'Second edit' }, 'W/"2"'), 200);
+      expect(second.order.version).toBe(3);
+    });
+
+    test('should refuse an update made against an old version with the current order', async () => {
+      const order = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'RV-STALE' });
+
+      // Another planner saves first
+      assertApiResponse(await updateOrder(order.id, { description: 'Their change' }, '"1"'), 200);
+
+      const response = await updateOrder(order.id, { description: 'My change', priority: 'urgent' }, '"1"');
+      const body = assertErrorResponse(response, 409, 'VERSION_CONFLICT');
+      expect(body.details.current_version).toBe(2);
+      expect(body.details.order).toMatchObject({ id: order.id, description: 'Their change', version: 2 });
+
+      const current = db.prepare('SELECT description, priority, version FROM manufacturing_orders WHERE id = ?').get(order.id);
+      expect(current).toEqual({ description: 'Their change', priority: 'medium', version: 2 });
+    });
+
+    test('should log no status change when the update is refused', async () => {
+      const order = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'RV-AUDIT' });
+      assertApiResponse(await updateOrder(order.id, { priority: 'low' }, '"1"'), 200);
+
+      assertErrorResponse(await updateOrder(order.id, { status: 'on_hold' }, '"1"'), 409, 'VERSION_CONFLICT');
+      const entries = db.prepare('SELECT COUNT(*) as count FROM audit_log WHERE order_id = ? AND event_type = ?')
+        .get(order.id, 'order_status_changed');
+      expect(entries.count).toBe(0);
+    });
+
+    test('should require If-Match and accept * for any version', async () => {
+      const order = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'RV-HEADER' });
+
+      assertErrorResponse(await updateOrder(order.id, { priority: 'high' }), 428, 'PRECONDITION_REQUIRED');
+      assertErrorResponse(await updateOrder(order.id, { priority: 'high' }, 'version-1'), 400, 'INVALID_IF_MATCH');
+
+      const body = assertApiResponse(await updateOrder(order.id, { priority: 'high' }, '*'), 200);
+      expect(body.order.version).toBe(2);
+    });
+
+    test('should not count queue position changes as edits', () => {
+      const order = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'RV-POSITION' });
+
+      db.prepare('UPDATE manufacturing_orders SET work_centre_position = 7 WHERE id = ?').run(order.id);
+      expect(db.prepare('SELECT version FROM manufacturing_orders WHERE id = ?').get(order.id).version).toBe(1);
+
+      // Every other change does, however it is made
+      db.prepare('UPDATE manufacturing_orders SET quantity_completed = 10 WHERE id = ?').run(order.id);
+      expect(db.prepare('SELECT version FROM manufacturing_orders WHERE id = ?').get(order.id).version).toBe(2);
+    });
+
+    test('should check the version in the same statement as the write', () => {
+      const order = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'RV-MODEL' });
+      db.prepare('UPDATE manufacturing_orders SET priority = ? WHERE id = ?').run('high', order.id);
+
+      expect(() => ManufacturingOrder.update(order.id, { priority: 'low' }, { expectedVersion: 1 }))
+        .toThrow(expect.objectContaining({ code: 'VERSION_CONFLICT' }));
+      expect(ManufacturingOrder.update(order.id, { priority: 'low' }, { expectedVersion: 2 }).version).toBe(3);
+    });
+  });
+
+  describe('Work centres', () => {
+    test('should return the version as the ETag and refuse stale updates', async () => {
+      const workCentreId = testWorkCentres[1].id;
+
+      const read = await request(app)
+        .get(`/api/work-centres/${workCentreId}`)
+        .set('Authorization', createAuthHeader(adminToken));
+      const { work_centre: workCentre } = assertApiResponse(read, 200);
+      expect(read.headers.etag).toBe(`"${workCentre.version}"`);
+
+      const updated = assertApiResponse(await updateWorkCentre(workCentreId, { capacity: 8 }, read.headers.etag), 200);
+      expect(updated.work_centre.version).toBe(workCentre.version + 1);
+
+      const response = await updateWorkCentre(workCentreId, { capacity: 3 }, read.headers.etag);
+      const body = assertErrorResponse(response, 409, 'VERSION_CONFLICT');
+      expect(body.details.work_centre).toMatchObject({ id: workCentreId, capacity: 8, version: workCentre.version + 1 });
+    });
+
+    test('should not count reordering as an edit', async () => {
+      const before = db.prepare('SELECT id, version FROM work_centres ORDER BY id').all();
+
+      assertApiResponse(await request(app)
+        .put('/api/work-centres/reorder')
+        .set('Authorization', createAuthHeader(adminToken))
+        .send(before.map((centre, index) => ({ id: centre.id, display_order: before.length - index }))), 200);
+
+      expect(db.prepare('SELECT id, version FROM work_centres ORDER BY id').all()).toEqual(before);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const request = require('supertest');
+const { app } = require('../../src/testApp');
+const {
+  setupTestDatabase,
+  createTestUsers,
+  generateTestTokens,
+  createAuthHeader,
+  assertApiResponse,
+  assertErrorResponse,
+  cleanupTestData
+} = require('../helpers/testUtils');
+
+describe('Saved Views', () => {
+  let db;
+  let testUsers;
+  let tokens;
+
+  const as = role => ({
+    list: query => request(app).get('/api/settings/views').query(query || {})
+      .set('Authorization', createAuthHeader(tokens[role])),
+    get: id => request(app).get(`/api/settings/views/${id}`)
+      .set('Authorization', createAuthHeader(tokens[role])),
+    create: view => request(app).post('/api/settings/views').send(view)
+      .set('Authorization', createAuthHeader(tokens[role])),
+    update: (id, view) => request(app).put(`/api/settings/views/${id}`).send(view)
+      .set('Authorization', createAuthHeader(tokens[role])),
+    remove: id => request(app).delete(`/api/settings/views/${id}`)
+      .set('Authorization', createAuthHeader(tokens[role]))
+  });
+
+  const viewNames = data => data.views.map(view => view.name);
+
+  const lateOrders = {
+    name: 'Late orders',
+    page: 'orders',
+    state: {
+      sorting: [{ id: 'due_date', desc: false }],
+      column_filters: [{ id: 'status', value: ['overdue'] }],
+      column_visibility: { description: false },
+      page_size: 50
+    }
+  };
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+    testUsers = await createTestUsers(db);
+
+    tokens = {
+      admin: generateTestTokens(testUsers.admin).accessToken,
+      scheduler: generateTestTokens(testUsers.scheduler).accessToken,
+      viewer: generateTestTokens(testUsers.viewer).accessToken
+    };
+  });
+
+  afterAll(async () => {
+    db.prepare('DELETE FROM user_settings WHERE setting_key LIKE ?').run('saved_view:%');
+    cleanupTestData(db);
+  });
+
+  test('should save a view as one of the owner\'s settings', async () => {
+    const { view } = assertApiResponse(await as('scheduler').create(lateOrders), 201);
+
+    expect(view).toMatchObject({
+      ...lateOrders,
+      shared_with: 'private',
+      shared_role: null,
+      owner_id: testUsers.scheduler.id
+    });
+
+    const setting = db.prepare('SELECT * FROM user_settings WHERE user_id = ? AND setting_key = ?')
+      .get(testUsers.scheduler.id, `saved_view:${view.id}`);
+    expect(JSON.parse(setting.setting_value).name).toBe('Late orders');
+
+    expect(assertApiResponse(await as('scheduler').get(view.id), 200).view.id).toBe(view.id);
+  });
+
+  test('should list own views and views shared with the user\'s role or everyone', async () => {
+    await as('scheduler').create({ ...lateOrders, name: 'VIEW-Private' });
+    await as('scheduler').create({ ...lateOrders, name: 'VIEW-Viewers', shared_with: 'role', shared_role: 'viewer' });
+    await as('admin').create({
+      name: 'VIEW-Everyone',
+      page: 'planning',
+      state: { ready_to_run_only: true, hidden_work_centre_ids: [0] },
+      shared_with: 'all'
+    });
+
+    const forViewer = assertApiResponse(await as('viewer').list(), 200);
+    expect(viewNames(forViewer)).toEqual(['VIEW-Everyone', 'VIEW-Viewers']);
+
+    const forScheduler = assertApiResponse(await as('scheduler').list({ page: 'orders' }), 200);
+    expect(viewNames(forScheduler)).toEqual(['Late orders', 'VIEW-Private', 'VIEW-Viewers']);
+
+    const boardViews = assertApiResponse(await as('viewer').list({ page: 'planning' }), 200);
+    expect(boardViews.views[0].state).toEqual({
+      ready_to_run_only: true,
+      collapsed_order_ids: [],
+      hidden_work_centre_ids: [0]
+    });
+  });
+
+  test('should hide private views from other users', async () => {
+    const { view } = assertApiResponse(await as('scheduler').create({ ...lateOrders, name: 'VIEW-Hidden' }), 201);
+
+    assertErrorResponse(await as('viewer').get(view.id), 404, 'VIEW_NOT_FOUND');
+    assertErrorResponse(await as('viewer').remove(view.id), 404, 'VIEW_NOT_FOUND');
+  });
+
+  test('should only let the owner or an admin change a shared view', async () => {
+    const { view } = assertApiResponse(await as('scheduler').create({ ...lateOrders, name: 'VIEW-Shared', shared_with: 'all' }), 201);
+
+    assertErrorResponse(await as('viewer').update(view.id, { ...lateOrders, name: 'Taken over' }), 403, 'ACCESS_DENIED');
+
+    const renamed = assertApiResponse(await as('scheduler').update(view.id, {
+      ...lateOrders, name: 'VIEW-Renamed', shared_with: 'role', shared_role: 'scheduler'
+    }), 200);
+    expect(renamed.view).toMatchObject({ id: view.id, name: 'VIEW-Renamed', shared_role: 'scheduler' });
+    assertErrorResponse(await as('viewer').get(view.id), 404, 'VIEW_NOT_FOUND');
+
+    expect((await as('admin').remove(view.id)).status).toBe(204);
+    assertErrorResponse(await as('scheduler').get(view.id), 404, 'VIEW_NOT_FOUND');
+  });
+
+  test('should validate the view and its state', async () => {
+    assertErrorResponse(await as('viewer').create({ ...lateOrders, name: '' }), 400, 'VALIDATION_ERROR');
+    assertErrorResponse(await as('viewer').create({ ...lateOrders, page: 'analytics' }), 400, 'VALIDATION_ERROR');
+    assertErrorResponse(await as('viewer').create({ ...lateOrders, shared_with: 'role' }), 400, 'VALIDATION_ERROR');
+    assertErrorResponse(await as('viewer').create({
+      ...lateOrders, state: { sorting: [{ id: 'password_hash', desc: true }] }
+    }), 400, 'VALIDATION_ERROR');
+
+    const unauthenticated = await request(app).get('/api/settings/views');
+    expect(unauthenticated.status).toBe(401);
+  });
+});
@@ -0,0 +1,170 @@
+const request = require('supertest');
+const { app } = require('../../src/testApp');
+const {
+  setupTestDatabase,
+  createTestUsers,
+  createTestWorkCentres,
+  createTestOrder,
+  generateTestTokens,
+  createAuthHeader,
+  assertApiResponse,
+  assertErrorResponse,
+  cleanupTestData
+} = require('../helpers/testUtils');
+
+describe('What-if Scenarios', () => {
+  let db;
+  let testUsers;
+  let testWorkCentres;
+  let schedulerToken;
+  let viewerToken;
+
+  const liveAssignment = orderId => db.prepare(`
+    SELECT current_work_centre_id, work_centre_position FROM manufacturing_orders WHERE id = ?
+  `).get(orderId);
+
+  const queueOrder = (orderNumber, workCentreId, position) => {
+    const order = createTestOrder(db, workCentreId, testUsers.admin.id, { order_number: orderNumber });
+    db.prepare('UPDATE manufacturing_orders SET work_centre_position = ? WHERE id = ?').run(position, order.id);
+    return order;
+  };
+
+  const createScenario = name => request(app)
+    .post('/api/scenarios')
+    .set('Authorization', createAuthHeader(schedulerToken))
+    .send({ name });
+
+  const moveInScenario = (scenarioId, orderId, toWorkCentreId) => request(app)
+    .post(`/api/scenarios/${scenarioId}/move`)
+    .set('Authorization', createAuthHeader(schedulerToken))
+    .send({ orderId, toWorkCentreId });
+
+  const publish = (scenarioId, body = {}) => request(app)
+    .post(`/api/scenarios/${scenarioId}/publish`)
+    .set('Authorization', createAuthHeader(schedulerToken))
+    .send(body);
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+    testUsers = await createTestUsers(db);
+    testWorkCentres = createTestWorkCentres(db);
+
+    schedulerToken = generateTestTokens(testUsers.scheduler).accessToken;
+    viewerToken = generateTestTokens(testUsers.viewer).accessToken;
+  });
+
+  afterAll(async () => {
+    cleanupTestData(db);
+  });
+
+  describe('Scenario sandbox', () => {
+    let first;
+    let second;
+    let scenarioId;
+
+    beforeAll(async () => {
+      first = queueOrder('SCN-FIRST', testWorkCentres[0].id, 1);
+      second = queueOrder('SCN-SECOND', testWorkCentres[0].id, 2);
+
+      scenarioId = assertApiResponse(await createScenario('Balance cutting'), 201).scenario.id;
+    });
+
+    test('should snapshot the board and reject duplicate names and viewers', async () => {
+      const body = assertApiResponse(await request(app)
+        .get(`/api/scenarios/${scenarioId}`)
+        .set('Authorization', createAuthHeader(viewerToken)), 200);
+
+      expect(body.orders).toEqual(expect.arrayContaining([
+        expect.objectContaining({ order_id: first.id, work_centre_id: testWorkCentres[0].id, work_centre_position: 1, changed: false })
+      ]));
+
+      assertErrorResponse(await createScenario('Balance cutting'), 409, 'DUPLICATE_NAME');
+
+      const viewerCreate = await request(app)
+        .post('/api/scenarios')
+        .set('Authorization', createAuthHeader(viewerToken))
+        .send({ name: 'Viewer scenario' });
+      assertErrorResponse(viewerCreate, 403, 'INSUFFICIENT_PERMISSIONS');
+    });
+
+    test('should move and reorder inside the scenario without touching live', async () => {
+      assertApiResponse(await moveInScenario(scenarioId, first.id, testWorkCentres[1].id), 200);
+
+      const reorder = await request(app)
+        .post(`/api/scenarios/${scenarioId}/reorder`)
+        .set('Authorization', createAuthHeader(schedulerToken))
+        .send({ work_centre_id: testWorkCentres[0].id, order_positions: [{ order_id: second.id, position: 1 }] });
+      assertApiResponse(reorder, 200);
+
+      expect(liveAssignment(first.id)).toEqual({ current_work_centre_id: testWorkCentres[0].id, work_centre_position: 1 });
+      expect(liveAssignment(second.id)).toEqual({ current_work_centre_id: testWorkCentres[0].id, work_centre_position: 2 });
+    });
+
+    test('should compare queue depth and utilisation against live', async () => {
+      const body = assertApiResponse(await request(app)
+        .get(`/api/scenarios/${scenarioId}/compare`)
+        .set('Authorization', createAuthHeader(viewerToken)), 200);
+
+      const delta = wcId => body.delta.work_centres.find(wc => wc.work_centre_id === wcId);
+      expect(delta(testWorkCentres[0].id).queue_depth).toBe(-1);
+      expect(delta(testWorkCentres[1].id).queue_depth).toBe(1);
+      expect(body.delta.late_orders).toEqual(expect.any(Number));
+      expect(body.live.work_centres[0]).toEqual(expect.objectContaining({
+        queue_depth: expect.any(Number),
+        utilisation_percent: expect.any(Number)
+      }));
+    });
+
+    test('should publish to live in one transaction with a single audit entry', async () => {
+      const body = assertApiResponse(await publish(scenarioId), 200);
+      expect(body.changes.map(change => change.order_id).sort()).toEqual([first.id, second.id].sort());
+
+      expect(liveAssignment(first.id)).toEqual({ current_work_centre_id: testWorkCentres[1].id, work_centre_position: 1 });
+      expect(liveAssignment(second.id)).toEqual({ current_work_centre_id: testWorkCentres[0].id, work_centre_position: 1 });
+
+      const auditEntries = db.prepare('SELECT * FROM audit_log WHERE event_type = ?').all('scenario_published');
+      expect(auditEntries).toHaveLength(1);
+      expect(JSON.parse(auditEntries[0].event_data)).toMatchObject({ scenario_name: 'Balance cutting', orders_changed: 2 });
+
+      const gone = await request(app)
+        .get(`/api/scenarios/${scenarioId}`)
+        .set('Authorization', createAuthHeader(schedulerToken));
+      assertErrorResponse(gone, 404, 'SCENARIO_NOT_FOUND');
+    });
+  });
+
+  describe('Publishing conflicts and discarding', () => {
+    test('should refuse to publish over live moves unless forced', async () => {
+      const order = queueOrder('SCN-CONFLICT', testWorkCentres[0].id, 10);
+      const scenarioId = assertApiResponse(await createScenario('Conflicting plan'), 201).scenario.id;
+
+      assertApiResponse(await moveInScenario(scenarioId, order.id, testWorkCentres[1].id), 200);
+
+      // Someone moves the same order on the live board in the meantime
+      db.prepare('UPDATE manufacturing_orders SET current_work_centre_id = ? WHERE id = ?').run(testWorkCentres[2].id, order.id);
+
+      const conflict = assertErrorResponse(await publish(scenarioId), 409, 'SCENARIO_CONFLICT');
+      expect(conflict.details.conflicts).toEqual([
+        expect.objectContaining({ order_id: order.id, live_work_centre_id: testWorkCentres[2].id })
+      ]);
+
+      assertApiResponse(await publish(scenarioId, { force: true }), 200);
+      expect(liveAssignment(order.id).current_work_centre_id).toBe(testWorkCentres[1].id);
+    });
+
+    test('should discard a scenario without changing live', async () => {
+      const order = queueOrder('SCN-DISCARD', testWorkCentres[0].id, 20);
+      const before = liveAssignment(order.id);
+      const scenarioId = assertApiResponse(await createScenario('Throwaway'), 201).scenario.id;
+
+      assertApiResponse(await moveInScenario(scenarioId, order.id, testWorkCentres[1].id), 200);
+
+      const discard = await request(app)
+        .delete(`/api/scenarios/${scenarioId}`)
+        .set('Authorization', createAuthHeader(schedulerToken));
+      assertApiResponse(discard, 200);
+
+      expect(liveAssignment(order.id)).toEqual(before);
+    });
+  });
+});
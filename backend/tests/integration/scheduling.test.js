@@ -0,0 +1,203 @@
+const request = require('supertest');
+const { app } = require('../../src/testApp');
+const dragLockService = require('../../src/services/dragLockService');
+const { createDragLock } = require('../../src/middleware/dragLocks');
+const {
+  setupTestDatabase,
+  createTestUsers,
+  createTestWorkCentres,
+  createTestOrder,
+  generateTestTokens,
+  createAuthHeader,
+  assertApiResponse,
+  assertErrorResponse,
+  cleanupTestData
+} = require('../helpers/testUtils');
+
+describe('Planning Board Scheduling Endpoints', () => {
+  let db;
+  let testUsers;
+  let testWorkCentres;
+  let laterOrder;
+  let soonerOrder;
+  let schedulerToken;
+  let viewerToken;
+
+  const daysFromNow = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+  const addStep = (orderId, stepNumber, workCentreId, minutes) => db.prepare(`
+    INSERT INTO manufacturing_steps (order_id, step_number, operation_name, work_centre_id, planned_duration_minutes, status)
+    VALUES (?, ?, ?, ?, ?, 'pending')
+  `).run(orderId, stepNumber, `Operation ${stepNumber}`, workCentreId, minutes);
+
+  const positionOf = orderId => db.prepare('SELECT work_centre_position FROM manufacturing_orders WHERE id = ?').get(orderId).work_centre_position;
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+    testUsers = await createTestUsers(db);
+    testWorkCentres = createTestWorkCentres(db);
+
+    schedulerToken = generateTestTokens(testUsers.scheduler).accessToken;
+    viewerToken = generateTestTokens(testUsers.viewer).accessToken;
+
+    // Hand-sequenced board: the order due later sits at the front of the queue
+    laterOrder = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, {
+      order_number: 'SCHED-LATER',
+      due_date: daysFromNow(10)
+    });
+    soonerOrder = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, {
+      order_number: 'SCHED-SOONER',
+      due_date: daysFromNow(2)
+    });
+
+    db.prepare('UPDATE manufacturing_orders SET work_centre_position = ? WHERE id = ?').run(1, laterOrder.id);
+    db.prepare('UPDATE manufacturing_orders SET work_centre_position = ? WHERE id = ?').run(2, soonerOrder.id);
+
+    addStep(laterOrder.id, 1, testWorkCentres[0].id, 120);
+    addStep(laterOrder.id, 2, testWorkCentres[1].id, 60);
+    addStep(soonerOrder.id, 1, testWorkCentres[0].id, 90);
+  });
+
+  afterEach(() => {
+    dragLockService.clear();
+  });
+
+  afterAll(async () => {
+    cleanupTestData(db);
+  });
+
+  describe('POST /api/planning-board/schedule', () => {
+    test('should return a proposed sequence and diff without changing the board in dry-run mode', async () => {
+      const response = await request(app)
+        .post('/api/planning-board/schedule')
+        .set('Authorization', createAuthHeader(schedulerToken))
+        .send({ dry_run: true });
+
+      const body = assertApiResponse(response, 200);
+      expect(body.dry_run).toBe(true);
+
+      const column = body.schedule.work_centres.find(wc => wc.work_centre_id === testWorkCentres[0].id);
+      expect(column.sequence.map(entry => entry.order_id)).toEqual([soonerOrder.id, laterOrder.id]);
+
+      expect(body.schedule.changes).toEqual(expect.arrayContaining([
+        expect.objectContaining({ order_id: soonerOrder.id, from_position: 2, to_position: 1 }),
+        expect.objectContaining({ order_id: laterOrder.id, from_position: 1, to_position: 2 })
+      ]));
+
+      // Nothing is written in dry-run mode
+      expect(positionOf(laterOrder.id)).toBe(1);
+      expect(positionOf(soonerOrder.id)).toBe(2);
+    });
+
+    test('should plan each step after the previous step and after earlier work at the same work centre', async () => {
+      const response = await request(app)
+        .post('/api/planning-board/schedule')
+        .set('Authorization', createAuthHeader(schedulerToken))
+        .send({});
+
+      const body = assertApiResponse(response, 200);
+      const later = body.schedule.orders.find(order => order.order_id === laterOrder.id);
+
+      expect(later.steps).toHaveLength(2);
+      expect(new Date(later.steps[1].planned_start).getTime())
+        .toBeGreaterThanOrEqual(new Date(later.steps[0].planned_finish).getTime());
+      expect(body.schedule.summary.orders_scheduled).toBeGreaterThanOrEqual(2);
+    });
+
+    test('should include setup time in the planned step duration', async () => {
+      db.prepare('UPDATE manufacturing_steps SET setup_minutes = 30 WHERE order_id = ?').run(soonerOrder.id);
+
+      const response = await request(app)
+        .post('/api/planning-board/schedule')
+        .set('Authorization', createAuthHeader(schedulerToken))
+        .send({});
+
+      const body = assertApiResponse(response, 200);
+      const [step] = body.schedule.orders.find(order => order.order_id === soonerOrder.id).steps;
+
+      expect(new Date(step.planned_finish) - new Date(step.planned_start)).toBe(120 * 60 * 1000);
+
+      db.prepare('UPDATE manufacturing_steps SET setup_minutes = 0 WHERE order_id = ?').run(soonerOrder.id);
+    });
+
+    test('should refuse to apply a schedule that moves an order another user is dragging', async () => {
+      createDragLock(soonerOrder.id, testUsers.admin.id, testUsers.admin.username, soonerOrder.order_number);
+
+      const response = await request(app)
+        .post('/api/planning-board/schedule')
+        .set('Authorization', createAuthHeader(schedulerToken))
+        .send({ dry_run: false });
+
+      const error = assertErrorResponse(response, 423, 'ORDER_LOCKED');
+      expect(error.details.locked_orders).toEqual([
+        expect.objectContaining({ order_id: soonerOrder.id, locked_by: testUsers.admin.username })
+      ]);
+      expect(positionOf(laterOrder.id)).toBe(1);
+      expect(positionOf(soonerOrder.id)).toBe(2);
+    });
+
+    test('should apply the schedule when dry_run is false', async () => {
+      const response = await request(app)
+        .post('/api/planning-board/schedule')
+        .set('Authorization', createAuthHeader(schedulerToken))
+        .send({ dry_run: false });
+
+      const body = assertApiResponse(response, 200);
+      expect(body.dry_run).toBe(false);
+
+      expect(positionOf(soonerOrder.id)).toBe(1);
+      expect(positionOf(laterOrder.id)).toBe(2);
+
+      const step = db.prepare('SELECT planned_start_at, planned_finish_at FROM manufacturing_steps WHERE order_id = ?').get(soonerOrder.id);
+      expect(step.planned_start_at).toBeTruthy();
+      expect(step.planned_finish_at).toBeTruthy();
+
+      const audit = db.prepare('SELECT * FROM audit_log WHERE event_type = ? ORDER BY id DESC').get('board_scheduled');
+      expect(audit).toBeTruthy();
+      expect(audit.user_id).toBe(testUsers.scheduler.id);
+    });
+
+    test('should only plan steps at the selected work centres', async () => {
+      db.prepare('UPDATE manufacturing_steps SET planned_start_at = NULL, planned_finish_at = NULL WHERE order_id = ?').run(laterOrder.id);
+
+      const response = await request(app)
+        .post('/api/planning-board/schedule')
+        .set('Authorization', createAuthHeader(schedulerToken))
+        .send({ dry_run: false, work_centre_ids: [testWorkCentres[0].id] });
+      assertApiResponse(response, 200);
+
+      const plannedStart = workCentreId => db.prepare(`
+        SELECT planned_start_at FROM manufacturing_steps WHERE order_id = ? AND work_centre_id = ?
+      `).get(laterOrder.id, workCentreId).planned_start_at;
+      expect(plannedStart(testWorkCentres[0].id)).toBeTruthy();
+      expect(plannedStart(testWorkCentres[1].id)).toBeNull();
+    });
+
+    test('should reject unknown work centres', async () => {
+      const response = await request(app)
+        .post('/api/planning-board/schedule')
+        .set('Authorization', createAuthHeader(schedulerToken))
+        .send({ work_centre_ids: [99999] });
+
+      assertErrorResponse(response, 404, 'WORK_CENTRE_NOT_FOUND');
+    });
+
+    test('should validate the request body', async () => {
+      const response = await request(app)
+        .post('/api/planning-board/schedule')
+        .set('Authorization', createAuthHeader(schedulerToken))
+        .send({ dry_run: 'sometimes' });
+
+      assertErrorResponse(response, 400, 'VALIDATION_ERROR');
+    });
+
+    test('should deny viewers', async () => {
+      const response = await request(app)
+        .post('/api/planning-board/schedule')
+        .set('Authorization', createAuthHeader(viewerToken))
+        .send({ dry_run: true });
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
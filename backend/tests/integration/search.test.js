@@ -0,0 +1,126 @@
+const request = require('supertest');
+const { app } = require('../../src/testApp');
+const {
+  setupTestDatabase,
+  createTestUsers,
+  createTestWorkCentres,
+  createTestOrder,
+  generateTestTokens,
+  createAuthHeader,
+  assertApiResponse,
+  assertErrorResponse,
+  cleanupTestData
+} = require('../helpers/testUtils');
+
+describe('Full-Text Search', () => {
+  let db;
+  let testUsers;
+  let testWorkCentres;
+  let viewerToken;
+
+  const search = (q, extra = {}) => request(app)
+    .get('/api/search')
+    .query({ q, ...extra })
+    .set('Authorization', createAuthHeader(viewerToken));
+
+  const resultNumbers = data => data.results.map(result => result.order_number);
+
+  // Render highlight segments with the matched text in brackets
+  const marked = segments => segments.map(segment => segment.match ? `[${segment.text}]` : segment.text).join('');
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+    testUsers = await createTestUsers(db);
+    testWorkCentres = createTestWorkCentres(db);
+
+    viewerToken = generateTestTokens(testUsers.viewer).accessToken;
+  });
+
+  afterAll(async () => {
+    cleanupTestData(db);
+  });
+
+  test('should rank order number matches above description matches and highlight them', async () => {
+    createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, {
+      order_number: 'FTS-GEARBOX-1', stock_code: 'FTS-HOUSING', description: 'Housing casting'
+    });
+    createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, {
+      order_number: 'FTS-BRACKET-1', stock_code: 'FTS-BRACKET', description: 'Bracket for the gearbox housing'
+    });
+
+    const data = assertApiResponse(await search('gearb'), 200);
+
+    expect(resultNumbers(data)).toEqual(['FTS-GEARBOX-1', 'FTS-BRACKET-1']);
+    expect(data.results[0].score).toBeGreaterThan(data.results[1].score);
+    expect(data.results[0].matched_fields).toEqual(['order_number']);
+    expect(marked(data.results[0].highlights.order_number)).toBe('FTS-[GEARBOX]-1');
+    expect(marked(data.results[1].highlights.description)).toBe('Bracket for the [gearbox] housing');
+  });
+
+  test('should find orders by step operation, characteristic and booking notes', async () => {
+    const order = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, {
+      order_number: 'FTS-SOURCES', stock_code: 'FTS-PLAIN', description: 'Plain part'
+    });
+    const step = db.prepare(`
+      INSERT INTO manufacturing_steps (order_id, step_number, operation_name, work_centre_id)
+      VALUES (?, 1, 'Anodising', ?)
+    `).run(order.id, testWorkCentres[0].id);
+    db.prepare(`
+      INSERT INTO job_characteristics (order_id, type, value, color, display_name, is_system_generated)
+      VALUES (?, 'customer', 'FTSCUST', '#3B82F6', 'Fabrikam Tooling', 0)
+    `).run(order.id);
+    db.prepare(`
+      INSERT INTO step_bookings (step_id, order_id, good_quantity, notes)
+      VALUES (?, ?, 1, 'Chatter marks on the bore')
+    `).run(step.lastInsertRowid, order.id);
+
+    const byOperation = assertApiResponse(await search('anodis'), 200);
+    expect(byOperation.results[0]).toMatchObject({ order_number: 'FTS-SOURCES', matched_fields: ['operations'] });
+
+    const byCharacteristic = assertApiResponse(await search('fabrikam'), 200);
+    expect(resultNumbers(byCharacteristic)).toEqual(['FTS-SOURCES']);
+
+    const byNotes = assertApiResponse(await search('chatter bore'), 200);
+    expect(marked(byNotes.results[0].highlights.notes)).toBe('[Chatter] marks on the [bore]');
+  });
+
+  test('should keep the index in step as orders and their steps change', async () => {
+    const order = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, {
+      order_number: 'FTS-CHANGES', stock_code: 'FTS-CHANGES', description: 'Original wording'
+    });
+
+    db.prepare('UPDATE manufacturing_orders SET description = ? WHERE id = ?').run('Revised wording', order.id);
+    expect(assertApiResponse(await search('original'), 200).count).toBe(0);
+    expect(resultNumbers(assertApiResponse(await search('revised'), 200))).toEqual(['FTS-CHANGES']);
+
+    db.prepare(`
+      INSERT INTO manufacturing_steps (order_id, step_number, operation_name, work_centre_id)
+      VALUES (?, 1, 'Knurling', ?)
+    `).run(order.id, testWorkCentres[0].id);
+    expect(resultNumbers(assertApiResponse(await search('knurl'), 200))).toEqual(['FTS-CHANGES']);
+
+    db.prepare('DELETE FROM manufacturing_steps WHERE order_id = ?').run(order.id);
+    expect(assertApiResponse(await search('knurl'), 200).count).toBe(0);
+  });
+
+  test('should match every term as a prefix and treat search syntax literally', async () => {
+    createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, {
+      order_number: 'FTS-TERMS', stock_code: 'FTS-TERMS', description: 'Stainless flange'
+    });
+
+    expect(resultNumbers(assertApiResponse(await search('stain flan'), 200))).toEqual(['FTS-TERMS']);
+    expect(assertApiResponse(await search('stain bracket'), 200).count).toBe(0);
+
+    // FTS5 operators and quotes in user text must not cause a syntax error
+    assertApiResponse(await search('flange OR NEAR( "unclosed'), 200);
+    expect(assertApiResponse(await search('description:flange'), 200).count).toBe(0);
+  });
+
+  test('should require a query and orders:read', async () => {
+    assertErrorResponse(await search(''), 400, 'VALIDATION_ERROR');
+    assertErrorResponse(await search('flange', { limit: 500 }), 400, 'VALIDATION_ERROR');
+
+    const unauthenticated = await request(app).get('/api/search').query({ q: 'flange' });
+    expect(unauthenticated.status).toBe(401);
+  });
+});
@@ -0,0 +1,128 @@
+const request = require('supertest');
+const { app } = require('../../src/testApp');
+const websocketService = require('../../src/services/websocketService');
+const {
+  setupTestDatabase,
+  createTestUsers,
+  createTestWorkCentres,
+  createTestOrder,
+  generateTestTokens,
+  createAuthHeader,
+  assertApiResponse,
+  cleanupTestData
+} = require('../helpers/testUtils');
+
+describe('Step-driven Order Movement', () => {
+  let db;
+  let testUsers;
+  let testWorkCentres;
+  let schedulerToken;
+
+  const addStep = (orderId, stepNumber, workCentreId, status = 'pending') => db.prepare(`
+    INSERT INTO manufacturing_steps (order_id, step_number, operation_name, work_centre_id, status)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(orderId, stepNumber, `Operation ${stepNumber}`, workCentreId, status).lastInsertRowid;
+
+  const setAutoMove = (workCentreId, enabled) => db.prepare(`
+    UPDATE work_centres SET auto_move_on_step_complete = ? WHERE id = ?
+  `).run(enabled ? 1 : 0, workCentreId);
+
+  const locationOf = orderId => db.prepare(`
+    SELECT current_work_centre_id, work_centre_position FROM manufacturing_orders WHERE id = ?
+  `).get(orderId);
+
+  const completeStep = (orderId, stepId) => request(app)
+    .post(`/api/orders/${orderId}/steps/${stepId}/complete`)
+    .set('Authorization', createAuthHeader(schedulerToken))
+    .send({ quantity_completed: 10 });
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+    testUsers = await createTestUsers(db);
+    testWorkCentres = createTestWorkCentres(db);
+
+    schedulerToken = generateTestTokens(testUsers.scheduler).accessToken;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(websocketService, 'broadcastOrderMoved').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    cleanupTestData(db);
+  });
+
+  test('should leave the order in place when the work centre has not opted in', async () => {
+    setAutoMove(testWorkCentres[0].id, false);
+    const order = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'AUTO-OFF' });
+    const stepId = addStep(order.id, 1, testWorkCentres[0].id);
+    addStep(order.id, 2, testWorkCentres[1].id);
+
+    const response = await completeStep(order.id, stepId);
+
+    const body = assertApiResponse(response, 200);
+    expect(body.order_moved).toBeNull();
+    expect(locationOf(order.id).current_work_centre_id).toBe(testWorkCentres[0].id);
+    expect(websocketService.broadcastOrderMoved).not.toHaveBeenCalled();
+  });
+
+  test('should move the order to the end of the next step\'s queue', async () => {
+    setAutoMove(testWorkCentres[0].id, true);
+    const waiting = createTestOrder(db, testWorkCentres[1].id, testUsers.admin.id, { order_number: 'AUTO-WAITING' });
+    db.prepare('UPDATE manufacturing_orders SET work_centre_position = 1 WHERE id = ?').run(waiting.id);
+
+    const order = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'AUTO-ON' });
+    const stepId = addStep(order.id, 1, testWorkCentres[0].id);
+    addStep(order.id, 2, testWorkCentres[1].id);
+
+    const response = await completeStep(order.id, stepId);
+
+    const body = assertApiResponse(response, 200);
+    expect(body.order_moved).toEqual({
+      from_work_centre_id: testWorkCentres[0].id,
+      to_work_centre_id: testWorkCentres[1].id
+    });
+    expect(locationOf(order.id)).toEqual({ current_work_centre_id: testWorkCentres[1].id, work_centre_position: 2 });
+
+    const audit = db.prepare(`
+      SELECT * FROM audit_log WHERE order_id = ? AND event_type = 'order_moved'
+    `).get(order.id);
+    expect(audit.user_id).toBe(testUsers.scheduler.id);
+    expect(audit.to_work_centre_id).toBe(testWorkCentres[1].id);
+    expect(JSON.parse(audit.event_data).reason).toBe('step_completed');
+
+    expect(websocketService.broadcastOrderMoved).toHaveBeenCalledWith(
+      expect.objectContaining({ id: order.id, current_work_centre_id: testWorkCentres[1].id }),
+      testWorkCentres[0].id,
+      testWorkCentres[1].id,
+      testUsers.scheduler.username
+    );
+  });
+
+  test('should not move the order after its last step', async () => {
+    setAutoMove(testWorkCentres[0].id, true);
+    const order = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'AUTO-LAST' });
+    addStep(order.id, 1, testWorkCentres[1].id, 'complete');
+    const stepId = addStep(order.id, 2, testWorkCentres[0].id);
+
+    const response = await completeStep(order.id, stepId);
+
+    expect(assertApiResponse(response, 200).order_moved).toBeNull();
+    expect(locationOf(order.id).current_work_centre_id).toBe(testWorkCentres[0].id);
+  });
+
+  test('should enable the rule through the work centre API', async () => {
+    const response = await request(app)
+      .put(`/api/work-centres/${testWorkCentres[1].id}`)
+      .set('Authorization', createAuthHeader(generateTestTokens(testUsers.admin).accessToken))
+      .set('If-Match', '*')
+      .send({ auto_move_on_step_complete: true });
+
+    const body = assertApiResponse(response, 200);
+    expect(body.work_centre.auto_move_on_step_complete).toBe(true);
+  });
+});
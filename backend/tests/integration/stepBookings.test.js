@@ -0,0 +1,141 @@
+const request = require('supertest');
+const { app } = require('../../src/testApp');
+const {
+  setupTestDatabase,
+  createTestUsers,
+  createTestWorkCentres,
+  createTestOrder,
+  generateTestTokens,
+  createAuthHeader,
+  assertApiResponse,
+  assertErrorResponse,
+  cleanupTestData
+} = require('../helpers/testUtils');
+
+describe('Step Quantity Bookings', () => {
+  let db;
+  let testUsers;
+  let testWorkCentres;
+  let schedulerToken;
+  let viewerToken;
+  let order;
+  let firstStepId;
+  let lastStepId;
+
+  const addStep = (orderId, stepNumber, workCentreId) => db.prepare(`
+    INSERT INTO manufacturing_steps (order_id, step_number, operation_name, work_centre_id, status)
+    VALUES (?, ?, ?, ?, 'pending')
+  `).run(orderId, stepNumber, `Operation ${stepNumber}`, workCentreId).lastInsertRowid;
+
+  const stepRow = stepId => db.prepare('SELECT * FROM manufacturing_steps WHERE id = ?').get(stepId);
+  const orderRow = orderId => db.prepare('SELECT * FROM manufacturing_orders WHERE id = ?').get(orderId);
+
+  const book = (stepId, booking, token = schedulerToken) => request(app)
+    .post(`/api/orders/${order.id}/steps/${stepId}/bookings`)
+    .set('Authorization', createAuthHeader(token))
+    .send(booking);
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+    testUsers = await createTestUsers(db);
+    testWorkCentres = createTestWorkCentres(db);
+
+    schedulerToken = generateTestTokens(testUsers.scheduler).accessToken;
+    viewerToken = generateTestTokens(testUsers.viewer).accessToken;
+
+    order = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, { order_number: 'BOOKING-001' });
+    firstStepId = addStep(order.id, 1, testWorkCentres[0].id);
+    lastStepId = addStep(order.id, 2, testWorkCentres[1].id);
+  });
+
+  afterAll(async () => {
+    cleanupTestData(db);
+  });
+
+  test('should start the step and put the order in progress on the first booking', async () => {
+    const response = await book(firstStepId, { good_quantity: 40 });
+
+    const body = assertApiResponse(response, 201);
+    expect(body.booking).toMatchObject({ good_quantity: 40, scrap_quantity: 0, rework_quantity: 0 });
+    expect(body.step).toMatchObject({ status: 'in_progress', quantity_completed: 40 });
+    expect(orderRow(order.id).status).toBe('in_progress');
+  });
+
+  test('should accumulate partial bookings with scrap and rework', async () => {
+    await book(firstStepId, { good_quantity: 30, scrap_quantity: 3, reason_code: 'dim' });
+    const response = await book(firstStepId, { rework_quantity: 2, reason_code: 'BURR', notes: 'Deburr and re-inspect' });
+
+    assertApiResponse(response, 201);
+    expect(stepRow(firstStepId)).toMatchObject({ quantity_completed: 70, scrap_quantity: 3, rework_quantity: 2 });
+
+    const list = await request(app)
+      .get(`/api/orders/${order.id}/steps/${firstStepId}/bookings`)
+      .set('Authorization', createAuthHeader(viewerToken));
+    const body = assertApiResponse(list, 200);
+    expect(body.bookings.map(booking => booking.reason_code)).toEqual([null, 'DIM', 'BURR']);
+    expect(body.totals).toMatchObject({ good_quantity: 70, scrap_quantity: 3, rework_quantity: 2, booking_count: 3 });
+  });
+
+  test('should require a reason code for scrap and rework', async () => {
+    const response = await book(firstStepId, { scrap_quantity: 1 });
+    assertErrorResponse(response, 400, 'VALIDATION_ERROR');
+
+    const empty = await book(firstStepId, {});
+    assertErrorResponse(empty, 400, 'VALIDATION_ERROR');
+  });
+
+  test('should derive the order quantity from the last step', async () => {
+    expect(orderRow(order.id).quantity_completed).toBe(0);
+
+    await book(lastStepId, { good_quantity: 25 });
+    expect(orderRow(order.id).quantity_completed).toBe(25);
+
+    const response = await book(lastStepId, { good_quantity: 20, complete_step: true });
+    const body = assertApiResponse(response, 201);
+    expect(body.step).toMatchObject({ status: 'complete', quantity_completed: 45 });
+    expect(orderRow(order.id).quantity_completed).toBe(45);
+  });
+
+  test('should reject bookings against a completed step', async () => {
+    const response = await book(lastStepId, { good_quantity: 1 });
+    assertErrorResponse(response, 409, 'STEP_CLOSED');
+  });
+
+  test('should reverse a mis-booking', async () => {
+    const created = assertApiResponse(await book(firstStepId, { good_quantity: 500 }), 201);
+
+    const response = await request(app)
+      .delete(`/api/orders/${order.id}/steps/${firstStepId}/bookings/${created.booking.id}`)
+      .set('Authorization', createAuthHeader(schedulerToken));
+
+    assertApiResponse(response, 200);
+    expect(stepRow(firstStepId).quantity_completed).toBe(70);
+  });
+
+  test('should book the remaining quantity when a step is completed in one shot', async () => {
+    const response = await request(app)
+      .post(`/api/orders/${order.id}/steps/${firstStepId}/complete`)
+      .set('Authorization', createAuthHeader(schedulerToken))
+      .send({ quantity_completed: 80 });
+
+    const body = assertApiResponse(response, 200);
+    expect(body.step).toMatchObject({ status: 'complete', quantity_completed: 80 });
+    expect(db.prepare('SELECT COUNT(*) as count FROM step_bookings WHERE step_id = ?').get(firstStepId).count).toBe(4);
+  });
+
+  test('should report yield in analytics', async () => {
+    const response = await request(app)
+      .get('/api/analytics/yield')
+      .set('Authorization', createAuthHeader(viewerToken));
+
+    const body = assertApiResponse(response, 200);
+    expect(body.summary).toMatchObject({ good_quantity: 125, scrap_quantity: 3, rework_quantity: 2, yield_percent: 96.2 });
+
+    const firstCentre = body.by_work_centre.find(row => row.work_centre_id === testWorkCentres[0].id);
+    expect(firstCentre).toMatchObject({ good_quantity: 80, scrap_quantity: 3, rework_quantity: 2, yield_percent: 94.1 });
+    expect(body.by_reason).toEqual([
+      { reason_code: 'DIM', scrap_quantity: 3, rework_quantity: 0, booking_count: 1 },
+      { reason_code: 'BURR', scrap_quantity: 0, rework_quantity: 2, booking_count: 1 }
+    ]);
+  });
+});
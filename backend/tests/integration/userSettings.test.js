@@ -34,7 +34,7 @@ describe('User Settings Integration Tests', () => {
     }
     
     // Clean up and create test users
-    db.exec('DELETE FROM users WHERE username IN ("test-user", "test-admin")');
+    db.exec('DELETE FROM users WHERE username IN (\'test-user\', \'test-admin\')');
     
     const hashedPassword = require('bcryptjs').hashSync('password123', 10);
     
@@ -77,7 +77,7 @@ describe('User Settings Integration Tests', () => {
 
   afterAll(() => {
     // Clean up
-    db.exec('DELETE FROM users WHERE username IN ("test-user", "test-admin")');
+    db.exec('DELETE FROM users WHERE username IN (\'test-user\', \'test-admin\')');
     db.exec('DELETE FROM user_settings');
     db.close();
   });
@@ -242,6 +242,7 @@ describe('Work Centres Endpoints', () => {
       const response = await request(app)
         .put(`/api/work-centres/${workCentreId}`)
         .set('Authorization', createAuthHeader(adminToken))
+        .set('If-Match', '*')
         .send(updates);
 
       const body = assertApiResponse(response, 200);
@@ -258,6 +259,7 @@ describe('Work Centres Endpoints', () => {
       const response = await request(app)
         .put('/api/work-centres/99999')
         .set('Authorization', createAuthHeader(adminToken))
+        .set('If-Match', '*')
         .send(updates);
 
       assertErrorResponse(response, 404, 'NOT_FOUND');
@@ -272,6 +274,7 @@ describe('Work Centres Endpoints', () => {
       const response = await request(app)
         .put(`/api/work-centres/${workCentreId}`)
         .set('Authorization', createAuthHeader(adminToken))
+        .set('If-Match', '*')
         .send(updates);
 
       assertErrorResponse(response, 409, 'DUPLICATE_CODE');
@@ -284,6 +287,7 @@ describe('Work Centres Endpoints', () => {
       const response = await request(app)
         .put(`/api/work-centres/${workCentreId}`)
         .set('Authorization', createAuthHeader(schedulerToken))
+        .set('If-Match', '*')
         .send(updates);
 
       assertErrorResponse(response, 403, 'INSUFFICIENT_PERMISSIONS');
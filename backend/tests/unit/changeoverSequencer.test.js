@@ -0,0 +1,85 @@
+const {
+  buildChangeoverLookup,
+  minimiseChangeovers
+} = require('../../src/utils/changeoverSequencer');
+
+describe('Changeover Sequencer Utility', () => {
+  const start = new Date('2026-10-19T06:00:00Z');
+  const hoursFromStart = hours => new Date(start.getTime() + hours * 60 * 60 * 1000).toISOString();
+
+  const order = (id, material, overrides = {}) => ({
+    id,
+    status: 'not_started',
+    due_date: null,
+    run_minutes: 60,
+    characteristics: material ? { material } : {},
+    ...overrides
+  });
+
+  const changeoverMinutes = buildChangeoverLookup([
+    { characteristic_type: 'material', from_value: 'steel', to_value: 'aluminium', setup_minutes: 45 },
+    { characteristic_type: 'material', from_value: '*', to_value: '*', setup_minutes: 30 },
+    { characteristic_type: 'colour', from_value: '*', to_value: 'black', setup_minutes: 15 }
+  ]);
+
+  test('should prefer the most specific changeover row and add up characteristic types', () => {
+    expect(changeoverMinutes({ material: 'steel' }, { material: 'aluminium' })).toBe(45);
+    expect(changeoverMinutes({ material: 'aluminium' }, { material: 'steel' })).toBe(30);
+    expect(changeoverMinutes({ material: 'steel', colour: 'red' }, { material: 'brass', colour: 'black' })).toBe(45);
+  });
+
+  test('should not charge a changeover when the value stays the same or is unknown', () => {
+    expect(changeoverMinutes({ material: 'steel' }, { material: 'steel' })).toBe(0);
+    expect(changeoverMinutes({ material: 'steel' }, {})).toBe(0);
+    expect(changeoverMinutes({ colour: 'black' }, { colour: 'red' })).toBe(0);
+  });
+
+  test('should group orders with the same characteristic value together', () => {
+    const result = minimiseChangeovers({
+      orders: [order(1, 'steel'), order(2, 'aluminium'), order(3, 'steel'), order(4, 'aluminium')],
+      changeoverMinutes,
+      startTime: start
+    });
+
+    expect(result.sequence).toEqual([1, 3, 2, 4]);
+    expect(result.setup_minutes_before).toBe(45 + 30 + 45);
+    expect(result.setup_minutes_after).toBe(45);
+  });
+
+  test('should keep running orders at the front', () => {
+    const result = minimiseChangeovers({
+      orders: [order(1, 'aluminium', { status: 'in_progress' }), order(2, 'steel'), order(3, 'aluminium')],
+      changeoverMinutes,
+      startTime: start
+    });
+
+    expect(result.sequence).toEqual([1, 3, 2]);
+  });
+
+  test('should not pull an order forward if that makes another order late', () => {
+    const orders = [
+      order(1, 'steel', { status: 'in_progress' }),
+      order(2, 'aluminium', { due_date: hoursFromStart(3) }),
+      order(3, 'steel')
+    ];
+
+    const result = minimiseChangeovers({ orders, changeoverMinutes, startTime: start });
+
+    // Running order 3 before order 2 would save a changeover but finish order 2 after its due date
+    expect(result.sequence).toEqual([1, 2, 3]);
+    expect(result.setup_minutes_after).toBe(result.setup_minutes_before);
+    expect(result.proposed.get(2).late).toBe(false);
+  });
+
+  test('should keep the current sequence when resequencing saves nothing', () => {
+    const result = minimiseChangeovers({
+      orders: [order(1, 'steel'), order(2, 'steel'), order(3, 'aluminium')],
+      changeoverMinutes,
+      startTime: start
+    });
+
+    expect(result.sequence).toEqual([1, 2, 3]);
+    expect(result.setup_minutes_before).toBe(45);
+    expect(result.setup_minutes_after).toBe(45);
+  });
+});
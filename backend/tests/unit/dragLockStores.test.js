@@ -0,0 +1,141 @@
+const dragLockService = require('../../src/services/dragLockService');
+const { MemoryDragLockStore, DatabaseDragLockStore } = require('../../src/utils/dragLockStores');
+const { setupTestDatabase, cleanupTestData } = require('../helpers/testUtils');
+
+describe('Drag Lock Stores', () => {
+  let db;
+
+  const TTL = 30000;
+  const NOW = 1700000000000;
+  const alice = { userId: 1, userName: 'alice', instanceId: 'instance-a' };
+  const bob = { userId: 2, userName: 'bob', instanceId: 'instance-b' };
+  const orders = (...ids) => ids.map(id => ({ orderId: id, orderNumber: `ORD-${id}` }));
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+  });
+
+  afterAll(async () => {
+    cleanupTestData(db);
+  });
+
+  describe.each([
+    ['memory', () => new MemoryDragLockStore()],
+    ['database', () => new DatabaseDragLockStore(db)]
+  ])('%s store', (name, createStore) => {
+    let store;
+
+    beforeEach(() => {
+      store = createStore();
+      store.clear();
+    });
+
+    test('should lock a set of orders all or nothing', () => {
+      const first = store.acquire(orders(1, 2), alice, TTL, NOW);
+      expect(first.locked).toBe(true);
+      expect(first.locks[0]).toEqual({
+        orderId: 1,
+        orderNumber: 'ORD-1',
+        userId: 1,
+        userName: 'alice',
+        instanceId: 'instance-a',
+        startTime: NOW,
+        expiresAt: NOW + TTL
+      });
+
+      const refused = store.acquire(orders(2, 3), bob, TTL, NOW + 1000);
+      expect(refused.locked).toBe(false);
+      expect(refused.locks.map(lock => lock.orderId)).toEqual([2]);
+      expect(store.get(3, NOW + 1000)).toBeNull();
+
+      // The holder can take its own locks again
+      expect(store.acquire(orders(2, 3), alice, TTL, NOW + 1000).locked).toBe(true);
+      expect(store.getAll(NOW + 1000).map(lock => lock.orderId).sort()).toEqual([1, 2, 3]);
+    });
+
+    test('should renew only the holder\'s live locks', () => {
+      store.acquire(orders(1), alice, TTL, NOW);
+
+      expect(store.renew([1], bob.userId, TTL, NOW + 20000)).toEqual([]);
+      const [renewed] = store.renew([1, 2], alice.userId, TTL, NOW + 20000);
+      expect(renewed).toMatchObject({ orderId: 1, startTime: NOW, expiresAt: NOW + 20000 + TTL });
+
+      // Still held past the original expiry
+      expect(store.get(1, NOW + TTL + 1000)).not.toBeNull();
+      expect(store.renew([1], alice.userId, TTL, NOW + 20000 + TTL)).toEqual([]);
+    });
+
+    test('should release the holder\'s locks, or anyone\'s when forced', () => {
+      store.acquire(orders(1, 2), alice, TTL, NOW);
+
+      expect(store.release([1], bob.userId, NOW)).toEqual([]);
+      expect(store.release([1], alice.userId, NOW).map(lock => lock.orderId)).toEqual([1]);
+      expect(store.release([2], null, NOW).map(lock => lock.userName)).toEqual(['alice']);
+      expect(store.getAll(NOW)).toEqual([]);
+    });
+
+    test('should treat lapsed locks as gone and sweep them once', () => {
+      store.acquire(orders(1), alice, TTL, NOW);
+      const later = NOW + TTL;
+
+      expect(store.get(1, later)).toBeNull();
+      expect(store.acquire(orders(1), bob, TTL, later).locked).toBe(true);
+
+      store.acquire(orders(2), alice, TTL, NOW);
+      expect(store.removeExpired(later).map(lock => lock.orderId)).toEqual([2]);
+      expect(store.removeExpired(later)).toEqual([]);
+      expect(store.get(1, later)).toMatchObject({ userName: 'bob' });
+    });
+  });
+
+  describe('database store', () => {
+    test('should keep lock events for other instances until pruned', () => {
+      const store = new DatabaseDragLockStore(db);
+      store.publish({ type: 'locked', lock: { orderId: 1 } }, 'instance-a', NOW);
+      store.publish({ type: 'unlocked', lock: { orderId: 1 } }, 'instance-a', NOW + 5000);
+
+      expect(store.readEvents(NOW).map(({ event, instanceId }) => [event.type, instanceId]))
+        .toEqual([['locked', 'instance-a'], ['unlocked', 'instance-a']]);
+
+      store.pruneEvents(NOW + 1000);
+      expect(store.readEvents(NOW).map(({ event }) => event.type)).toEqual(['unlocked']);
+      store.pruneEvents(NOW + 10000);
+    });
+
+    test('should pass lock changes between instances sharing the database', () => {
+      // Two backend instances, as two services on one database
+      const first = new dragLockService.constructor();
+      const second = new dragLockService.constructor();
+      first.setStore(new DatabaseDragLockStore(db));
+      second.setStore(new DatabaseDragLockStore(db));
+      first.clear();
+
+      const heard = { first: [], second: [] };
+      first.on('lock_event', event => heard.first.push(event));
+      second.on('lock_event', event => heard.second.push(event));
+
+      expect(first.lock([{ id: 7, order_number: 'ORD-7' }], { id: 1, username: 'alice' }).locked).toBe(true);
+      expect(second.lock([{ id: 7, order_number: 'ORD-7' }], { id: 2, username: 'bob' })).toMatchObject({
+        locked: false,
+        locks: [expect.objectContaining({ userName: 'alice' })]
+      });
+
+      second.runOnce();
+      expect(heard.second.map(event => [event.type, event.lock.orderId])).toEqual([['locked', 7]]);
+
+      // Read once, and an instance never hears its own changes back
+      first.release([7], 1);
+      second.runOnce();
+      first.runOnce();
+      expect(heard.second.map(event => event.type)).toEqual(['locked', 'unlocked']);
+      expect(heard.first.map(event => event.type)).toEqual(['locked', 'unlocked']);
+
+      // A disconnect only releases the locks taken through that instance
+      first.lock([{ id: 8 }], { id: 1, username: 'alice' });
+      second.lock([{ id: 9 }], { id: 1, username: 'alice' });
+      expect(first.releaseInstanceLocks(1).map(lock => lock.orderId)).toEqual([8]);
+      expect(second.get(9)).toMatchObject({ userName: 'alice' });
+      second.clear();
+    });
+  });
+});
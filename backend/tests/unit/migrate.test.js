@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const {
+  getMigrationStatus,
+  runMigrations,
+  rollbackMigrations,
+  createMigration
+} = require('../../database/migrate');
+
+describe('Schema Migration Runner', () => {
+  let dir;
+  let db;
+
+  const createWidgets = 'CREATE TABLE widgets (\n  id INTEGER PRIMARY KEY,\n  name TEXT\n);\n';
+
+  const write = (file, sql) => fs.writeFileSync(path.join(dir, file), sql);
+  const tableNames = () => db.prepare('SELECT name FROM sqlite_master WHERE type = \'table\' AND name LIKE \'w%\' ORDER BY name')
+    .all().map(row => row.name);
+  const states = () => getMigrationStatus(db, { dir }).map(row => `${row.name}:${row.state}`);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    db = new Database(':memory:');
+
+    write('001_create_widgets.sql', createWidgets);
+    write('001_create_widgets.down.sql', 'DROP TABLE widgets;');
+    write('002_add_widget_colour.sql', 'ALTER TABLE widgets ADD COLUMN colour TEXT;');
+    write('002_add_widget_colour.down.sql', 'ALTER TABLE widgets DROP COLUMN colour;');
+    write('003_create_wheels.sql', 'CREATE TABLE wheels (id INTEGER PRIMARY KEY);');
+  });
+
+  afterEach(() => {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should apply pending migrations once, in order, with checksums', () => {
+    expect(runMigrations(db, { dir, quiet: true })).toEqual(['001_create_widgets', '002_add_widget_colour', '003_create_wheels']);
+    expect(runMigrations(db, { dir, quiet: true })).toEqual([]);
+
+    expect(tableNames()).toEqual(['wheels', 'widgets']);
+    const recorded = db.prepare('SELECT version, checksum, baselined FROM schema_migrations ORDER BY version').all();
+    expect(recorded.map(row => row.version)).toEqual([1, 2, 3]);
+    expect(recorded[0].checksum).toMatch(/^[0-9a-f]{64}$/);
+    expect(recorded[0].baselined).toBe(0);
+  });
+
+  test('should stop at the target version', () => {
+    expect(runMigrations(db, { dir, target: 1, quiet: true })).toEqual(['001_create_widgets']);
+    expect(states()).toEqual(['001_create_widgets:applied', '002_add_widget_colour:pending', '003_create_wheels:pending']);
+  });
+
+  test('should leave nothing behind when a migration fails', () => {
+    write('004_broken.sql', 'CREATE TABLE wings (id INTEGER PRIMARY KEY);\nINSERT INTO missing_table VALUES (1);');
+
+    expect(() => runMigrations(db, { dir, quiet: true })).toThrow(/Migration 004_broken \(up\) failed: no such table: missing_table/);
+    expect(tableNames()).toEqual(['wheels', 'widgets']);
+    expect(states().pop()).toBe('004_broken:pending');
+  });
+
+  test('should refuse to run while an applied migration has been edited', () => {
+    runMigrations(db, { dir, target: 2, quiet: true });
+    write('001_create_widgets.sql', 'CREATE TABLE widgets (id INTEGER PRIMARY KEY, name TEXT, size INTEGER);');
+
+    expect(states()[0]).toBe('001_create_widgets:changed');
+    expect(() => runMigrations(db, { dir, quiet: true })).toThrow(/Applied migrations have been edited: 001_create_widgets/);
+    expect(tableNames()).toEqual(['widgets']);
+
+    // Line endings alone do not count as an edit
+    write('001_create_widgets.sql', createWidgets.replace(/\n/g, '\r\n'));
+    expect(states()[0]).toBe('001_create_widgets:applied');
+  });
+
+  test('should roll back newest first and stop at a migration without a down file', () => {
+    runMigrations(db, { dir, target: 2, quiet: true });
+
+    expect(rollbackMigrations(db, { dir, quiet: true })).toEqual(['002_add_widget_colour']);
+    expect(db.pragma('table_info(widgets)').map(column => column.name)).toEqual(['id', 'name']);
+
+    runMigrations(db, { dir, quiet: true });
+    expect(() => rollbackMigrations(db, { dir, count: 2, quiet: true })).toThrow(/Cannot roll back 003_create_wheels: it has no down migration/);
+    expect(tableNames()).toEqual(['wheels', 'widgets']);
+  });
+
+  test('should baseline a database built before schema_migrations existed', () => {
+    db.exec('CREATE TABLE manufacturing_orders (id INTEGER PRIMARY KEY); CREATE TABLE widgets (id INTEGER PRIMARY KEY, name TEXT, colour TEXT);');
+    write('010_create_wings.sql', 'CREATE TABLE wings (id INTEGER PRIMARY KEY);');
+
+    // Migrations of the base schema (up to 009) are recorded without running; later ones still run
+    expect(runMigrations(db, { dir, quiet: true })).toEqual(['010_create_wings']);
+    expect(db.prepare('SELECT COUNT(*) as count FROM schema_migrations WHERE baselined = 1').get().count).toBe(3);
+    expect(tableNames()).toEqual(['widgets', 'wings']);
+  });
+
+  test('should create numbered up and down files for a new migration', () => {
+    const files = createMigration('Add widget weight!', { dir });
+
+    expect(path.basename(files.up)).toBe('004_add_widget_weight.sql');
+    expect(path.basename(files.down)).toBe('004_add_widget_weight.down.sql');
+    expect(() => createMigration('  ', { dir })).toThrow(/needs a name/);
+  });
+
+  test('should create a migration under a given version to match the other backend', () => {
+    const files = createMigration('add widget weight', { dir, version: 7 });
+
+    expect(files.version).toBe(7);
+    expect(path.basename(files.up)).toBe('007_add_widget_weight.sql');
+    expect(() => createMigration('add widget size', { dir, version: 3 })).toThrow(/already has a migration 3/);
+  });
+});
@@ -0,0 +1,51 @@
+const {
+  VALID_STATUSES,
+  STATUS_TRANSITIONS,
+  getAllowedTransitions,
+  checkTransition
+} = require('../../src/utils/orderStatus');
+
+describe('Order Status State Machine', () => {
+  const finishedSteps = [{ status: 'complete' }, { status: 'skipped' }];
+  const openSteps = [{ status: 'complete' }, { status: 'pending' }];
+
+  test('should define transitions for every status', () => {
+    expect(Object.keys(STATUS_TRANSITIONS).sort()).toEqual([...VALID_STATUSES].sort());
+    Object.values(STATUS_TRANSITIONS).flat().forEach(status => {
+      expect(VALID_STATUSES).toContain(status);
+    });
+  });
+
+  test('should allow listed transitions and no-op changes', () => {
+    expect(checkTransition('not_started', 'in_progress')).toBeNull();
+    expect(checkTransition('in_progress', 'on_hold')).toBeNull();
+    expect(checkTransition('cancelled', 'not_started')).toBeNull();
+    expect(checkTransition('complete', 'complete')).toBeNull();
+  });
+
+  test('should reject unlisted transitions with the allowed next states', () => {
+    expect(checkTransition('complete', 'not_started')).toEqual({
+      code: 'INVALID_TRANSITION',
+      message: 'Cannot change order status from complete to not_started',
+      details: { from: 'complete', to: 'not_started', allowed_transitions: [] }
+    });
+
+    const error = checkTransition('cancelled', 'in_progress');
+    expect(error.code).toBe('INVALID_TRANSITION');
+    expect(error.details.allowed_transitions).toEqual(getAllowedTransitions('cancelled'));
+  });
+
+  test('should not complete an order with open steps unless forced', () => {
+    expect(checkTransition('in_progress', 'complete', { steps: finishedSteps })).toBeNull();
+
+    const error = checkTransition('in_progress', 'complete', { steps: openSteps });
+    expect(error.code).toBe('INVALID_TRANSITION');
+    expect(error.details).toMatchObject({ guard: 'steps_finished', forceable: true });
+
+    expect(checkTransition('in_progress', 'complete', { steps: openSteps, force: true })).toBeNull();
+  });
+
+  test('should not let force bypass the transition table', () => {
+    expect(checkTransition('complete', 'in_progress', { force: true })).not.toBeNull();
+  });
+});
@@ -0,0 +1,164 @@
+const OverdueMonitorService = require('../../src/services/overdueMonitorService');
+const websocketService = require('../../src/services/websocketService');
+const {
+  setupTestDatabase,
+  createTestUsers,
+  createTestWorkCentres,
+  createTestOrder,
+  cleanupTestData
+} = require('../helpers/testUtils');
+
+describe('Overdue Monitor Service', () => {
+  let db;
+  let testUsers;
+  let testWorkCentres;
+
+  const daysFromNow = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const statusOf = orderId => db.prepare('SELECT status FROM manufacturing_orders WHERE id = ?').get(orderId).status;
+  const setDueDate = (orderId, dueDate) => db.prepare('UPDATE manufacturing_orders SET due_date = ? WHERE id = ?').run(dueDate, orderId);
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+    testUsers = await createTestUsers(db);
+    testWorkCentres = createTestWorkCentres(db);
+  });
+
+  beforeEach(() => {
+    db.prepare('DELETE FROM audit_log').run();
+    db.prepare('DELETE FROM manufacturing_orders').run();
+    jest.spyOn(websocketService, 'broadcastOrderStatusChanged').mockImplementation(() => {});
+  });
+
+  afterAll(async () => {
+    OverdueMonitorService.stop();
+    cleanupTestData(db);
+  });
+
+  test('should mark open orders past their due date as overdue', () => {
+    const late = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, {
+      order_number: 'OVERDUE-LATE',
+      status: 'in_progress',
+      due_date: daysFromNow(-1)
+    });
+    const onTime = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, {
+      order_number: 'OVERDUE-ONTIME',
+      due_date: daysFromNow(3)
+    });
+    const done = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, {
+      order_number: 'OVERDUE-DONE',
+      status: 'complete',
+      due_date: daysFromNow(-1)
+    });
+
+    const result = OverdueMonitorService.runOnce();
+
+    expect(result.marked_overdue.map(change => change.order_id)).toEqual([late.id]);
+    expect(statusOf(late.id)).toBe('overdue');
+    expect(statusOf(onTime.id)).toBe('not_started');
+    expect(statusOf(done.id)).toBe('complete');
+
+    const audit = db.prepare('SELECT * FROM audit_log WHERE order_id = ? AND event_type = ?').get(late.id, 'order_status_changed');
+    expect(audit.user_id).toBeNull();
+    expect(JSON.parse(audit.event_data)).toMatchObject({
+      old_status: 'in_progress',
+      new_status: 'overdue',
+      reason: 'due_date_passed',
+      automatic: true
+    });
+
+    expect(websocketService.broadcastOrderStatusChanged).toHaveBeenCalledWith(
+      expect.objectContaining({ id: late.id, status: 'overdue' }),
+      'in_progress',
+      'overdue',
+      'system'
+    );
+  });
+
+  test('should treat a date-only due date as due by the end of that day', () => {
+    const dueToday = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, {
+      order_number: 'OVERDUE-TODAY',
+      due_date: '2026-10-19'
+    });
+
+    OverdueMonitorService.runOnce(new Date('2026-10-19T18:00:00Z'));
+    expect(statusOf(dueToday.id)).toBe('not_started');
+
+    OverdueMonitorService.runOnce(new Date('2026-10-20T00:00:01Z'));
+    expect(statusOf(dueToday.id)).toBe('overdue');
+  });
+
+  test('should restore the previous status when the due date is extended', () => {
+    const order = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, {
+      order_number: 'OVERDUE-EXTENDED',
+      status: 'on_hold',
+      due_date: daysFromNow(-2)
+    });
+
+    OverdueMonitorService.runOnce();
+    expect(statusOf(order.id)).toBe('overdue');
+
+    setDueDate(order.id, daysFromNow(5));
+    const result = OverdueMonitorService.runOnce();
+
+    expect(result.reverted).toEqual([expect.objectContaining({
+      order_id: order.id,
+      old_status: 'overdue',
+      new_status: 'on_hold'
+    })]);
+    expect(statusOf(order.id)).toBe('on_hold');
+  });
+
+  test('should derive the restored status from steps when there is no audit history', () => {
+    const order = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, {
+      order_number: 'OVERDUE-MANUAL',
+      status: 'overdue',
+      due_date: daysFromNow(5)
+    });
+    db.prepare(`
+      INSERT INTO manufacturing_steps (order_id, step_number, operation_name, work_centre_id, status)
+      VALUES (?, 1, 'Cut', ?, 'complete')
+    `).run(order.id, testWorkCentres[0].id);
+
+    OverdueMonitorService.runOnce();
+
+    expect(statusOf(order.id)).toBe('in_progress');
+  });
+
+  test('should not change anything on a second run', () => {
+    createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, {
+      order_number: 'OVERDUE-IDEMPOTENT',
+      due_date: daysFromNow(-1)
+    });
+
+    OverdueMonitorService.runOnce();
+    const result = OverdueMonitorService.runOnce();
+
+    expect(result.marked_overdue).toHaveLength(0);
+    expect(result.reverted).toHaveLength(0);
+  });
+
+  test('should leave an order alone if its status changes before it is updated', () => {
+    const order = createTestOrder(db, testWorkCentres[0].id, testUsers.admin.id, {
+      order_number: 'OVERDUE-RACE',
+      status: 'overdue',
+      due_date: daysFromNow(3)
+    });
+
+    // Someone completes the order while the check is working out its previous status
+    const statusBeforeOverdue = jest.spyOn(OverdueMonitorService, '_statusBeforeOverdue').mockImplementation(() => {
+      db.prepare('UPDATE manufacturing_orders SET status = ? WHERE id = ?').run('complete', order.id);
+      return 'not_started';
+    });
+
+    try {
+      const result = OverdueMonitorService.runOnce();
+
+      expect(result.reverted).toHaveLength(0);
+      expect(statusOf(order.id)).toBe('complete');
+      expect(db.prepare('SELECT COUNT(*) as count FROM audit_log WHERE order_id = ?').get(order.id).count).toBe(0);
+      expect(websocketService.broadcastOrderStatusChanged).not.toHaveBeenCalled();
+    } finally {
+      statusBeforeOverdue.mockRestore();
+    }
+  });
+});
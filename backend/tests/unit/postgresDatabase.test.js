@@ -0,0 +1,39 @@
+const { toPostgresSql } = require('../../src/utils/postgresDatabase');
+
+describe('PostgreSQL statement translation', () => {
+  test('should number positional parameters', () => {
+    expect(toPostgresSql('SELECT * FROM users WHERE id = ? AND role IN (?, ?)')).toEqual({
+      text: 'SELECT * FROM users WHERE id = $1 AND role IN ($2, $3)',
+      parameterCount: 3,
+      names: []
+    });
+  });
+
+  test('should number named parameters once each, in order of first use', () => {
+    const { text, parameterCount, names } = toPostgresSql('SELECT id FROM orders WHERE id = @rootId OR parent_id = @rootId LIMIT @limit');
+
+    expect(text).toBe('SELECT id FROM orders WHERE id = $1 OR parent_id = $1 LIMIT $2');
+    expect(parameterCount).toBe(2);
+    expect(names).toEqual(['rootId', 'limit']);
+  });
+
+  test('should rewrite SQLite functions and operators outside strings and comments', () => {
+    const { text } = toPostgresSql(`
+      UPDATE orders SET updated_at = CURRENT_TIMESTAMP -- keep date(now) and ? here
+      WHERE due_date < date('now', '+1 day') AND code LIKE '%LIKE ?%' AND user_id IS NOT ? AND note IS NULL
+    `);
+
+    expect(text).toContain('updated_at = sqlite_datetime(\'now\') -- keep date(now) and ? here');
+    expect(text).toContain('due_date < sqlite_date(\'now\', \'+1 day\')');
+    expect(text).toContain('code ILIKE \'%LIKE ?%\'');
+    expect(text).toContain('user_id IS DISTINCT FROM $1 AND note IS NULL');
+  });
+
+  test('should keep doubled quotes inside strings', () => {
+    expect(toPostgresSql('SELECT \'it\'\'s ? here\' as text, ? as value').text).toBe('SELECT \'it\'\'s ? here\' as text, $1 as value');
+  });
+
+  test('should refuse to mix positional and named parameters', () => {
+    expect(() => toPostgresSql('SELECT ? , @name')).toThrow(/cannot mix positional/);
+  });
+});
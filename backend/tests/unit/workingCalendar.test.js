@@ -0,0 +1,64 @@
+const {
+  getWorkingWindows,
+  workingMinutesBetween,
+  addWorkingMinutes
+} = require('../../src/utils/workingCalendar');
+
+describe('Working Calendar Utility', () => {
+  // Monday to Friday, 06:00-14:00 with a 30 minute break at 10:00
+  const weekdayShifts = [1, 2, 3, 4, 5].flatMap(day => [
+    { day_of_week: day, start_time: '06:00', end_time: '10:00' },
+    { day_of_week: day, start_time: '10:30', end_time: '14:00' }
+  ]);
+
+  // 2026-10-19 is a Monday
+  const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes);
+
+  test('should treat a missing calendar as 24/7 wall-clock time', () => {
+    expect(addWorkingMinutes(null, at(19, 9), 90)).toEqual(at(19, 10, 30));
+    expect(workingMinutesBetween({ shifts: null, exceptions: [] }, at(19, 0), at(20, 0))).toBe(24 * 60);
+  });
+
+  test('should skip breaks and the time between shifts', () => {
+    const calendar = { shifts: weekdayShifts, exceptions: [] };
+
+    expect(addWorkingMinutes(calendar, at(19, 9, 30), 60)).toEqual(at(19, 11));
+    // 270 minutes left on Monday, the rest continues on Tuesday morning
+    expect(addWorkingMinutes(calendar, at(19, 9), 300)).toEqual(at(20, 6, 30));
+  });
+
+  test('should skip weekends', () => {
+    const calendar = { shifts: weekdayShifts, exceptions: [] };
+
+    expect(addWorkingMinutes(calendar, at(23, 13), 120)).toEqual(at(26, 7));
+    expect(workingMinutesBetween(calendar, at(19, 0), at(26, 0))).toBe(5 * 450);
+  });
+
+  test('should apply closed and overtime exceptions', () => {
+    const calendar = {
+      shifts: weekdayShifts,
+      exceptions: [
+        { exception_date: '2026-10-20', start_time: null, end_time: null, is_working: false },
+        { exception_date: '2026-10-21', start_time: '06:00', end_time: '08:00', is_working: false },
+        { exception_date: '2026-10-24', start_time: '08:00', end_time: '12:00', is_working: true }
+      ]
+    };
+
+    expect(addWorkingMinutes(calendar, at(19, 13), 120)).toEqual(at(21, 9));
+    expect(workingMinutesBetween(calendar, at(24, 0), at(25, 0))).toBe(240);
+  });
+
+  test('should handle overnight shifts', () => {
+    const calendar = { shifts: [{ day_of_week: 1, start_time: '22:00', end_time: '06:00' }], exceptions: [] };
+
+    const windows = getWorkingWindows(calendar, at(19, 0), at(21, 0));
+    expect(windows).toEqual([{ start: at(19, 22), end: at(20, 6) }]);
+    expect(addWorkingMinutes(calendar, at(20, 1), 60)).toEqual(at(20, 2));
+  });
+
+  test('should wait for the next working window for zero-length work', () => {
+    const calendar = { shifts: weekdayShifts, exceptions: [] };
+
+    expect(addWorkingMinutes(calendar, at(19, 15), 0)).toEqual(at(20, 6));
+  });
+});
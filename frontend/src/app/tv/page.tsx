@@ -6,6 +6,7 @@
 
 import { useApiData } from '@/hooks/use-api-data'
 import { ordersService, workCentresService } from '@/lib/api-services'
+import { formatProjectedCompletion } from '@/lib/order-utils'
 import React, { useState, useEffect } from 'react'
 
 export default function TVModePage() {
@@ -96,6 +97,12 @@ export default function TVModePage() {
                           Due: {new Date(order.due_date).toLocaleDateString()}
                         </div>
                       )}
+                      {order.projected_completion_date && (
+                        <div className={`text-xs mt-1 ${order.at_risk ? 'text-red-400 font-semibold' : 'text-gray-400'}`}>
+                          Est. finish: {formatProjectedCompletion(order.projected_completion_date)}
+                          {order.at_risk && ' • AT RISK'}
+                        </div>
+                      )}
                     </div>
                   ))
                 )}
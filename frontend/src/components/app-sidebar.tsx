@@ -2,7 +2,7 @@
 
 import type React from "react"
 
-import { LayoutDashboard, Kanban, Package, Factory, BarChart3, Settings, Users, Key, LogOut, ChevronUp } from "lucide-react"
+import { LayoutDashboard, Kanban, Package, Archive, Factory, Route, BarChart3, Settings, Users, Key, LogOut, ChevronUp } from "lucide-react"
 import Image from "next/image"
 
 import {
@@ -20,11 +20,14 @@ import {
 } from "@/components/ui/sidebar"
 import { Avatar, AvatarFallback } from "@/components/ui/avatar"
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from "@/components/ui/dropdown-menu"
+import { GlobalSearch } from "@/components/global-search"
 import { useAuth } from "@/contexts/auth-context"
 
 interface AppSidebarProps extends React.ComponentProps<typeof Sidebar> {
   currentPage?: string
   onNavigate?: (page: string) => void
+  /** Open an order picked from the global search */
+  onOpenOrder?: (orderId: number) => void
 }
 
 const navigationItems = [
@@ -48,6 +51,16 @@ const navigationItems = [
     page: "orders",
     icon: Package,
   },
+  {
+    title: "Order Archive",
+    page: "archive",
+    icon: Archive,
+  },
+  {
+    title: "Routings",
+    page: "routings",
+    icon: Route,
+  },
   {
     title: "Analytics",
     page: "analytics",
@@ -60,7 +73,7 @@ const navigationItems = [
   },
 ]
 
-export function AppSidebar({ currentPage = "dashboard", onNavigate, ...props }: AppSidebarProps) {
+export function AppSidebar({ currentPage = "dashboard", onNavigate, onOpenOrder, ...props }: AppSidebarProps) {
   const { user, logout, hasRole } = useAuth()
 
   const handleLogout = async () => {
@@ -114,6 +127,11 @@ export function AppSidebar({ currentPage = "dashboard", onNavigate, ...props }:
             <span className="text-xs text-sidebar-foreground/70">Manufacturing Planning</span>
           </div>
         </div>
+        <SidebarMenu>
+          <SidebarMenuItem>
+            <GlobalSearch onSelectOrder={onOpenOrder} />
+          </SidebarMenuItem>
+        </SidebarMenu>
       </SidebarHeader>
       <SidebarContent>
         <SidebarGroup>
@@ -0,0 +1,294 @@
+"use client"
+
+/**
+ * BackupsManagement - Database backups for admins (SQLite only)
+ *
+ * The server backs the database up on a schedule and keeps the newest few
+ * (see backend/src/services/backupService.js).
+ *
+ * - List backups with their trigger, size, schema version and integrity check
+ * - Take a backup now, with an optional note
+ * - Download a backup's database file, or run its integrity check again
+ * - Restore a backup over the live data; a pre_restore backup is taken first
+ */
+
+import { useState, useEffect, useCallback } from "react"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { AlertDialog, AlertDialogContent, AlertDialogHeader, AlertDialogTitle, AlertDialogDescription, AlertDialogFooter, AlertDialogCancel, AlertDialogAction } from "@/components/ui/alert-dialog"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import { DatabaseBackup as DatabaseBackupIcon, Download, Loader2, RotateCcw, ShieldCheck } from "lucide-react"
+import type { DatabaseBackup } from "@/types/manufacturing"
+import { backupsService } from "@/lib/api-services"
+import { notify } from "@/lib/notifications"
+import type { AppError } from "@/lib/error-handling"
+
+const TRIGGER_LABELS: Record<DatabaseBackup["trigger"], string> = {
+  scheduled: "Scheduled",
+  manual: "Manual",
+  pre_restore: "Before restore",
+}
+
+const formatSize = (bytes: number) => {
+  if (bytes < 1024 * 1024) return `${Math.ceil(bytes / 1024)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+export function BackupsManagement() {
+  const [backups, setBackups] = useState<DatabaseBackup[]>([])
+  const [retain, setRetain] = useState<number | null>(null)
+  const [isLoading, setIsLoading] = useState(false)
+  // Backups are unavailable on PostgreSQL; the server answers 501
+  const [isUnsupported, setIsUnsupported] = useState(false)
+
+  const [isCreateDialogOpen, setIsCreateDialogOpen] = useState(false)
+  const [note, setNote] = useState("")
+  const [isCreating, setIsCreating] = useState(false)
+
+  const [busyBackupId, setBusyBackupId] = useState<string | null>(null)
+  const [restoringBackup, setRestoringBackup] = useState<DatabaseBackup | null>(null)
+
+  const loadBackups = useCallback(async () => {
+    try {
+      setIsLoading(true)
+      const response = await backupsService.getAll()
+      setBackups(response.backups)
+      setRetain(response.retain)
+    } catch (error: unknown) {
+      if ((error as { status?: number }).status === 501) {
+        setIsUnsupported(true)
+        return
+      }
+      notify.error(error as AppError, {
+        operation: 'fetch',
+        entity: 'backups'
+      })
+    } finally {
+      setIsLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    loadBackups()
+  }, [loadBackups])
+
+  const handleCreate = async () => {
+    try {
+      setIsCreating(true)
+      const response = await backupsService.create(note.trim() || undefined)
+      notify.info(response.message)
+      setIsCreateDialogOpen(false)
+      setNote("")
+      await loadBackups()
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'create',
+        entity: 'backup'
+      })
+    } finally {
+      setIsCreating(false)
+    }
+  }
+
+  const handleDownload = async (backup: DatabaseBackup) => {
+    try {
+      setBusyBackupId(backup.id)
+      const blob = await backupsService.download(backup.id)
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement("a")
+      link.href = url
+      link.download = backup.file
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'download',
+        entity: 'backup'
+      })
+    } finally {
+      setBusyBackupId(null)
+    }
+  }
+
+  const handleVerify = async (backup: DatabaseBackup) => {
+    try {
+      setBusyBackupId(backup.id)
+      const response = await backupsService.verify(backup.id)
+      notify.info(response.backup.integrity.ok
+        ? "Backup passed its integrity check"
+        : `Backup failed its integrity check: ${response.backup.integrity.errors[0]}`)
+      await loadBackups()
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'verify',
+        entity: 'backup'
+      })
+    } finally {
+      setBusyBackupId(null)
+    }
+  }
+
+  const handleRestore = async () => {
+    if (!restoringBackup) return
+
+    try {
+      setBusyBackupId(restoringBackup.id)
+      const response = await backupsService.restore(restoringBackup.id)
+      notify.info(`Database restored from ${new Date(response.backup.created_at).toLocaleString()}; reload to see the restored data`)
+      setRestoringBackup(null)
+      await loadBackups()
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'restore',
+        entity: 'backup'
+      })
+    } finally {
+      setBusyBackupId(null)
+    }
+  }
+
+  if (isUnsupported) {
+    return (
+      <Card>
+        <CardContent className="py-8 text-center text-gray-500">
+          Backups are only available on SQLite. Back up PostgreSQL with pg_dump or your database host&apos;s tools.
+        </CardContent>
+      </Card>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold">Database Backups</h3>
+          <p className="text-sm text-gray-600">
+            Snapshots of the whole database{retain ? `; the newest ${retain} are kept` : ""}.
+          </p>
+        </div>
+        <Button onClick={() => setIsCreateDialogOpen(true)}>
+          <DatabaseBackupIcon className="h-4 w-4 mr-2" />
+          Back Up Now
+        </Button>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Backups ({backups.length})</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {isLoading && backups.length === 0 ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin" />
+            </div>
+          ) : backups.length === 0 ? (
+            <p className="text-center text-gray-500 py-8">No backups yet</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Taken</TableHead>
+                  <TableHead>Trigger</TableHead>
+                  <TableHead>Note</TableHead>
+                  <TableHead>Size</TableHead>
+                  <TableHead>Schema</TableHead>
+                  <TableHead>Integrity</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {backups.map(backup => (
+                  <TableRow key={backup.id}>
+                    <TableCell className="font-medium">{new Date(backup.created_at).toLocaleString()}</TableCell>
+                    <TableCell>
+                      <Badge variant={backup.trigger === "scheduled" ? "secondary" : "outline"}>{TRIGGER_LABELS[backup.trigger]}</Badge>
+                    </TableCell>
+                    <TableCell className="max-w-xs truncate">{backup.note || "-"}</TableCell>
+                    <TableCell>{formatSize(backup.size_bytes)}</TableCell>
+                    <TableCell>{backup.schema_version ?? "-"}</TableCell>
+                    <TableCell>
+                      <Badge
+                        variant={backup.integrity.ok ? "default" : "destructive"}
+                        title={`Checked ${new Date(backup.integrity.checked_at).toLocaleString()}${backup.integrity.ok ? "" : `: ${backup.integrity.errors.join("; ")}`}`}
+                      >
+                        {backup.integrity.ok ? "OK" : "Failed"}
+                      </Badge>
+                    </TableCell>
+                    <TableCell className="text-right space-x-1">
+                      <Button variant="ghost" size="sm" disabled={busyBackupId !== null} onClick={() => handleDownload(backup)} title="Download">
+                        <Download className="h-4 w-4" />
+                      </Button>
+                      <Button variant="ghost" size="sm" disabled={busyBackupId !== null} onClick={() => handleVerify(backup)} title="Check integrity">
+                        <ShieldCheck className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        disabled={busyBackupId !== null || !backup.integrity.ok}
+                        onClick={() => setRestoringBackup(backup)}
+                        title="Restore"
+                      >
+                        {busyBackupId === backup.id ? <Loader2 className="h-4 w-4 animate-spin" /> : <RotateCcw className="h-4 w-4" />}
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Back up now */}
+      <Dialog open={isCreateDialogOpen} onOpenChange={setIsCreateDialogOpen}>
+        <DialogContent className="max-w-md">
+          <DialogHeader>
+            <DialogTitle>Back Up Now</DialogTitle>
+          </DialogHeader>
+          <div>
+            <Label htmlFor="backup-note">Note (optional)</Label>
+            <Input
+              id="backup-note"
+              value={note}
+              maxLength={200}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="e.g. Before replanning week 42"
+            />
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setIsCreateDialogOpen(false)}>
+              Cancel
+            </Button>
+            <Button onClick={handleCreate} disabled={isCreating}>
+              {isCreating ? "Backing up..." : "Back Up"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      {/* Restore confirmation */}
+      <AlertDialog open={restoringBackup !== null} onOpenChange={(open) => !open && setRestoringBackup(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>
+              Restore the backup from {restoringBackup ? new Date(restoringBackup.created_at).toLocaleString() : ""}?
+            </AlertDialogTitle>
+            <AlertDialogDescription>
+              Every order, work centre, user and setting is replaced with the backup&apos;s, and changes made since are
+              lost. A backup of the current data is taken first, so the restore can be undone. Everyone using the board
+              will need to reload.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={handleRestore}>Restore</AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  )
+}
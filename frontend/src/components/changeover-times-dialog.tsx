@@ -0,0 +1,226 @@
+"use client"
+
+/**
+ * ChangeoverTimesDialog - Edit a work centre's changeover matrix
+ *
+ * Each row is the setup time to switch from one job characteristic value to
+ * another, e.g. material steel -> aluminium takes 45 minutes. "*" matches any
+ * value and the most specific row wins. The matrix is saved as a whole and
+ * drives "Minimise Changeovers" on the planning board.
+ */
+
+import { useState, useEffect, useMemo } from "react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { Plus, Trash2, Loader2 } from "lucide-react"
+import type { ChangeoverTime, JobCharacteristic, WorkCentre } from "@/types/manufacturing"
+import { workCentresService } from "@/lib/api-services"
+import { notify } from "@/lib/notifications"
+import type { AppError } from "@/lib/error-handling"
+import { toast } from "sonner"
+
+interface ChangeoverTimesDialogProps {
+  /** Work centre to edit; the dialog is closed while null */
+  workCentre: WorkCentre | null
+  /** Characteristics on the board, offered as suggestions */
+  characteristics: JobCharacteristic[]
+  canEdit: boolean
+  onOpenChange: (open: boolean) => void
+}
+
+interface ChangeoverDraft {
+  characteristic_type: string
+  from_value: string
+  to_value: string
+  setup_minutes: string
+}
+
+const emptyRow = (type = ""): ChangeoverDraft => ({
+  characteristic_type: type,
+  from_value: "",
+  to_value: "",
+  setup_minutes: ""
+})
+
+export function ChangeoverTimesDialog({ workCentre, characteristics, canEdit, onOpenChange }: ChangeoverTimesDialogProps) {
+  const [rows, setRows] = useState<ChangeoverDraft[]>([])
+  const [isLoading, setIsLoading] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+
+  useEffect(() => {
+    if (!workCentre) return
+
+    const loadChangeovers = async () => {
+      try {
+        setIsLoading(true)
+        const { changeovers } = await workCentresService.getChangeovers(workCentre.id)
+        setRows(changeovers.map(changeover => ({
+          characteristic_type: changeover.characteristic_type,
+          from_value: changeover.from_value,
+          to_value: changeover.to_value,
+          setup_minutes: String(changeover.setup_minutes)
+        })))
+      } catch (error: unknown) {
+        notify.error(error as AppError, {
+          operation: 'load_changeovers',
+          entity: 'work_centre'
+        })
+      } finally {
+        setIsLoading(false)
+      }
+    }
+
+    loadChangeovers()
+  }, [workCentre])
+
+  const types = useMemo(() => [...new Set(characteristics.map(c => c.type))].sort(), [characteristics])
+  const valuesByType = useMemo(() => {
+    const values: Record<string, string[]> = {}
+    characteristics.forEach(c => {
+      values[c.type] = [...new Set([...(values[c.type] || []), c.value])].sort()
+    })
+    return values
+  }, [characteristics])
+
+  const isRowComplete = (row: ChangeoverDraft) =>
+    row.characteristic_type.trim() !== "" && row.from_value.trim() !== "" && row.to_value.trim() !== "" &&
+    parseInt(row.setup_minutes) >= 0
+  const canSave = canEdit && rows.every(isRowComplete)
+
+  const updateRow = (index: number, update: Partial<ChangeoverDraft>) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, ...update } : row)))
+  }
+
+  const handleSave = async () => {
+    if (!workCentre) return
+
+    try {
+      setIsSaving(true)
+      const changeovers: ChangeoverTime[] = rows.map(row => ({
+        characteristic_type: row.characteristic_type.trim(),
+        from_value: row.from_value.trim(),
+        to_value: row.to_value.trim(),
+        setup_minutes: parseInt(row.setup_minutes)
+      }))
+      await workCentresService.saveChangeovers(workCentre.id, changeovers)
+      toast.success(`Changeover times saved for ${workCentre.name}`)
+      onOpenChange(false)
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'save_changeovers',
+        entity: 'work_centre'
+      })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open={workCentre !== null} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Changeover Times - {workCentre?.name}</DialogTitle>
+          <DialogDescription>
+            Setup minutes to switch between characteristic values. Use * for any value; the most specific row wins.
+          </DialogDescription>
+        </DialogHeader>
+
+        {isLoading ? (
+          <div className="flex items-center gap-2 py-4 text-sm text-muted-foreground">
+            <Loader2 className="h-4 w-4 animate-spin" />
+            Loading changeover times...
+          </div>
+        ) : (
+          <div className="space-y-3 max-h-[60vh] overflow-y-auto">
+            <datalist id="changeover-types">
+              {types.map(type => <option key={type} value={type} />)}
+            </datalist>
+
+            {rows.length === 0 && (
+              <p className="text-sm text-muted-foreground">No changeover times yet: every switch is treated as free.</p>
+            )}
+
+            {rows.map((row, index) => (
+              <div key={index} className="grid grid-cols-[1.2fr_1fr_1fr_6rem_auto] items-end gap-2">
+                <datalist id={`changeover-values-${index}`}>
+                  {(valuesByType[row.characteristic_type] || []).map(value => <option key={value} value={value} />)}
+                </datalist>
+                <div>
+                  <Label className="text-xs">Characteristic</Label>
+                  <Input
+                    list="changeover-types"
+                    value={row.characteristic_type}
+                    onChange={(e) => updateRow(index, { characteristic_type: e.target.value })}
+                    disabled={!canEdit}
+                  />
+                </div>
+                <div>
+                  <Label className="text-xs">From</Label>
+                  <Input
+                    list={`changeover-values-${index}`}
+                    value={row.from_value}
+                    onChange={(e) => updateRow(index, { from_value: e.target.value })}
+                    disabled={!canEdit}
+                  />
+                </div>
+                <div>
+                  <Label className="text-xs">To</Label>
+                  <Input
+                    list={`changeover-values-${index}`}
+                    value={row.to_value}
+                    onChange={(e) => updateRow(index, { to_value: e.target.value })}
+                    disabled={!canEdit}
+                  />
+                </div>
+                <div>
+                  <Label className="text-xs">Minutes</Label>
+                  <Input
+                    type="number"
+                    min="0"
+                    value={row.setup_minutes}
+                    onChange={(e) => updateRow(index, { setup_minutes: e.target.value })}
+                    disabled={!canEdit}
+                  />
+                </div>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  disabled={!canEdit}
+                  onClick={() => setRows(prev => prev.filter((_, i) => i !== index))}
+                  title="Remove changeover"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            ))}
+
+            {canEdit && (
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setRows(prev => [...prev, emptyRow(prev[prev.length - 1]?.characteristic_type)])}
+              >
+                <Plus className="h-4 w-4 mr-1" />
+                Add changeover
+              </Button>
+            )}
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={isSaving}>
+            {canEdit ? "Cancel" : "Close"}
+          </Button>
+          {canEdit && (
+            <Button onClick={handleSave} disabled={!canSave || isLoading || isSaving}>
+              {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Save
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -21,7 +21,7 @@ interface CharacteristicEditorProps {
   onOpenChange?: (open: boolean) => void
 }
 
-const CHARACTERISTIC_TYPES = [
+export const CHARACTERISTIC_TYPES = [
   { value: "customer_order", label: "Customer Order", description: "Customer reference or order number" },
   { value: "customer", label: "Customer", description: "Customer name or identifier" },
   { value: "material", label: "Material", description: "Material type or grade" },
@@ -1,7 +1,7 @@
 "use client"
 
 import * as React from "react"
-import { ColumnDef } from "@tanstack/react-table"
+import { ColumnDef, ColumnFiltersState, PaginationState, SortingState, VisibilityState } from "@tanstack/react-table"
 import { Badge } from "@/components/ui/badge"
 import { Progress } from "@/components/ui/progress"
 import { Checkbox } from "@/components/ui/checkbox"
@@ -12,20 +12,27 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@
 import { Input } from "@/components/ui/input"
 import { Textarea } from "@/components/ui/textarea"
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
-import { MoreHorizontal, Download, Upload, Users, Plus } from "lucide-react"
+import { MoreHorizontal, Download, Upload, Users, Plus, X } from "lucide-react"
 import { DataTable } from "@/components/ui/data-table"
 import { ColumnFilter } from "@/components/ui/column-filter"
-import type { ManufacturingOrder, WorkCentre } from "@/types/manufacturing"
-import { getStatusBadgeConfig, getDueDays, PRIORITY_ORDER } from "@/lib/order-utils"
+import { CHARACTERISTIC_TYPES } from "@/components/characteristic-editor"
+import { SavedViewsMenu } from "@/components/saved-views-menu"
+import type { ManufacturingOrder, WorkCentre, OrderBulkChanges, OrderBulkUpdateResult, OrderListQuery, OrdersResponse, OrdersViewState } from "@/types/manufacturing"
+import { getStatusBadgeConfig, getDueDays } from "@/lib/order-utils"
 import { ordersService } from "@/lib/api-services"
 import { notify } from "@/lib/notifications"
 import { type AppError } from "@/lib/error-handling"
 import { useAuth } from "@/contexts/auth-context"
 
 interface EnhancedOrdersTableProps {
+  /** Board orders; the table fetches its own pages and refetches whenever these change */
   orders: ManufacturingOrder[]
   workCentres?: WorkCentre[]
-  onOrderUpdate?: (orderId: number, updates: Partial<ManufacturingOrder>) => Promise<void>
+  onOrderUpdate?: (orderId: number, updates: Partial<ManufacturingOrder>, version: number) => Promise<ManufacturingOrder | void>
+  /** Callback to refresh orders after a batch action */
+  onOrdersChanged?: () => Promise<void>
+  /** View to open with, e.g. from a shared link */
+  initialViewState?: OrdersViewState
 }
 
 // Status and Priority options for filtering
@@ -39,25 +46,132 @@ const statusOptions = [
 ]
 
 const priorityOptions = [
+  { label: "Urgent", value: "urgent" },
   { label: "High", value: "high" },
   { label: "Medium", value: "medium" },
   { label: "Low", value: "low" },
 ]
 
-export function EnhancedOrdersTable({ orders, workCentres = [], onOrderUpdate }: EnhancedOrdersTableProps) {
+const DEFAULT_PAGE_SIZE = 25
+
+// Columns filtered by a partial text match on the server
+const CONTAINS_FILTER_COLUMNS = ["order_number", "stock_code", "description", "current_operation"]
+
+/**
+ * Build the server query for the table's current sort, column filters and page
+ * @param sorting - Table sorting; column ids match the server's sort fields
+ * @param columnFilters - Column filter values as set by ColumnFilter
+ * @param pagination - Current page
+ * @returns Query for ordersService.getAll
+ */
+function toOrderListQuery(sorting: SortingState, columnFilters: ColumnFiltersState, pagination: PaginationState): OrderListQuery {
+  const query: OrderListQuery = {
+    limit: pagination.pageSize,
+    offset: pagination.pageIndex * pagination.pageSize
+  }
+
+  if (sorting.length > 0) {
+    query.sort = sorting.map(({ id, desc }) => `${id}:${desc ? "desc" : "asc"}`).join(",")
+  }
+
+  columnFilters.forEach(({ id, value }) => {
+    if (CONTAINS_FILTER_COLUMNS.includes(id)) {
+      query[`${id}_contains` as "order_number_contains"] = value as string
+    } else if (id === "progress") {
+      const [min, max] = value as [number | undefined, number | undefined]
+      query.progress_min = min
+      query.progress_max = max
+    } else if (id === "due_date") {
+      const { from, to } = value as { from: string, to: string }
+      query.due_from = from || undefined
+      query.due_to = to || undefined
+    } else if (id === "priority") {
+      query.priority = value as ManufacturingOrder["priority"][]
+    } else if (id === "status") {
+      query.status = value as ManufacturingOrder["status"][]
+    } else if (id === "work_centre") {
+      const values = value as string[]
+      query.work_centre_id = values.filter(v => v !== "unassigned").map(v => parseInt(v))
+      query.unassigned = values.includes("unassigned") || undefined
+    }
+  })
+
+  return query
+}
+
+export function EnhancedOrdersTable({ orders, workCentres = [], onOrdersChanged, initialViewState }: EnhancedOrdersTableProps) {
   const { user, hasPermission } = useAuth()
   const [selectedOrders, setSelectedOrders] = React.useState<ManufacturingOrder[]>([])
   const [isBulkEditOpen, setIsBulkEditOpen] = React.useState(false)
   const [isCreateOrderDialogOpen, setIsCreateOrderDialogOpen] = React.useState(false)
-  const [bulkEditForm, setBulkEditForm] = React.useState({
+  const emptyBulkEditForm = {
     priority: "",
     status: "",
     due_date: "",
     current_work_centre_id: "",
-    current_operation: "",
-    start_date: "",
-    completion_date: ""
+    add_characteristic_type: "custom",
+    add_characteristic_value: "",
+    remove_characteristics: [] as string[]
+  }
+  const [bulkEditForm, setBulkEditForm] = React.useState(emptyBulkEditForm)
+  const [isApplyingBulkEdit, setIsApplyingBulkEdit] = React.useState(false)
+  const canEditOrders = !!user && hasPermission('orders:write')
+
+  // Server-driven paging: sort, filters and page are sent to GET /orders
+  const [sorting, setSorting] = React.useState<SortingState>(initialViewState?.sorting ?? [])
+  const [columnFilters, setColumnFilters] = React.useState<ColumnFiltersState>(initialViewState?.column_filters ?? [])
+  const [pagination, setPagination] = React.useState<PaginationState>({
+    pageIndex: 0,
+    pageSize: initialViewState?.page_size ?? DEFAULT_PAGE_SIZE
   })
+  const [columnVisibility, setColumnVisibility] = React.useState<VisibilityState>(initialViewState?.column_visibility ?? {})
+  const [page, setPage] = React.useState<OrdersResponse | null>(null)
+  const [isLoadingPage, setIsLoadingPage] = React.useState(true)
+  const pageQuery = React.useMemo(
+    () => toOrderListQuery(sorting, columnFilters, pagination),
+    [sorting, columnFilters, pagination]
+  )
+
+  React.useEffect(() => {
+    let cancelled = false
+    // Debounced so typing in a text filter sends one request
+    const timer = setTimeout(async () => {
+      try {
+        setIsLoadingPage(true)
+        const response = await ordersService.getAll(pageQuery)
+        if (!cancelled) setPage(response)
+      } catch (error: unknown) {
+        if (!cancelled) {
+          notify.error(error as AppError, {
+            operation: 'fetch',
+            entity: 'orders'
+          })
+        }
+      } finally {
+        if (!cancelled) setIsLoadingPage(false)
+      }
+    }, 300)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [pageQuery, orders])
+
+  // Everything a saved view or a view link restores
+  const viewState = React.useMemo<OrdersViewState>(() => ({
+    sorting,
+    column_filters: columnFilters,
+    column_visibility: columnVisibility,
+    page_size: pagination.pageSize
+  }), [sorting, columnFilters, columnVisibility, pagination.pageSize])
+
+  const applyViewState = React.useCallback((state: OrdersViewState) => {
+    setSorting(state.sorting)
+    setColumnFilters(state.column_filters)
+    setColumnVisibility(state.column_visibility)
+    setPagination({ pageIndex: 0, pageSize: state.page_size ?? DEFAULT_PAGE_SIZE })
+  }, [])
 
   // Order creation form state
   const [newOrderForm, setNewOrderForm] = React.useState({
@@ -75,6 +189,19 @@ export function EnhancedOrdersTable({ orders, workCentres = [], onOrderUpdate }:
   // Special values for bulk edit - avoids empty string issue with Radix Select
   const KEEP_EXISTING = '__keep_existing__'
 
+  // Characteristics on any selected order, keyed "type:value", which the bulk edit can remove
+  const selectedCharacteristics = React.useMemo(() => {
+    const byKey = new Map<string, { type: string; value: string; label: string }>()
+    selectedOrders.forEach(order => order.job_characteristics?.forEach(characteristic => {
+      byKey.set(`${characteristic.type}:${characteristic.value}`, {
+        type: characteristic.type,
+        value: characteristic.value,
+        label: characteristic.display_name || characteristic.value
+      })
+    }))
+    return [...byKey.entries()]
+  }, [selectedOrders])
+
   // Work centre options for filtering
   const workCentreOptions = React.useMemo(() => [
     { label: "Unassigned", value: "unassigned" },
@@ -83,28 +210,6 @@ export function EnhancedOrdersTable({ orders, workCentres = [], onOrderUpdate }:
       .map(wc => ({ label: wc.name, value: wc.id.toString() }))
   ], [workCentres])
 
-  // Custom filter functions
-  const numberRangeFilter = (row: { getValue: (columnId: string) => unknown }, columnId: string, filterValue: [number, number]) => {
-    const [min, max] = filterValue
-    const value = row.getValue(columnId) as number
-    return (min === undefined || value >= min) && (max === undefined || value <= max)
-  }
-
-  const dateRangeFilter = (row: { getValue: (columnId: string) => unknown }, columnId: string, filterValue: { from: string, to: string }) => {
-    const { from, to } = filterValue
-    const cellValue = row.getValue(columnId)
-    if (!cellValue) return false
-    
-    const date = new Date(cellValue as string)
-    const fromDate = from ? new Date(from) : null
-    const toDate = to ? new Date(to) : null
-    
-    if (fromDate && date < fromDate) return false
-    if (toDate && date > toDate) return false
-    
-    return true
-  }
-
   const columns: ColumnDef<ManufacturingOrder>[] = [
     {
       id: "select",
@@ -171,7 +276,6 @@ export function EnhancedOrdersTable({ orders, workCentres = [], onOrderUpdate }:
           </div>
         )
       },
-      filterFn: numberRangeFilter,
     },
     {
       accessorKey: "current_operation",
@@ -196,11 +300,6 @@ export function EnhancedOrdersTable({ orders, workCentres = [], onOrderUpdate }:
           </Badge>
         )
       },
-      sortingFn: (rowA, rowB) => {
-        const aPriority = PRIORITY_ORDER[rowA.original.priority] || 0
-        const bPriority = PRIORITY_ORDER[rowB.original.priority] || 0
-        return aPriority - bPriority
-      },
     },
     {
       accessorKey: "status",
@@ -232,7 +331,6 @@ export function EnhancedOrdersTable({ orders, workCentres = [], onOrderUpdate }:
           </div>
         )
       },
-      filterFn: dateRangeFilter,
     },
     {
       id: "work_centre",
@@ -266,83 +364,98 @@ export function EnhancedOrdersTable({ orders, workCentres = [], onOrderUpdate }:
     },
   ]
 
-  const handleBulkEdit = async () => {
-    if (selectedOrders.length === 0) return
-
-    try {
-      // Build updates object with only valid, non-empty values
-      const updates: Partial<ManufacturingOrder> = {}
-      
-      if (bulkEditForm.priority && bulkEditForm.priority !== KEEP_EXISTING && bulkEditForm.priority.trim() !== "") {
-        updates.priority = bulkEditForm.priority as ManufacturingOrder['priority']
-      }
-      
-      if (bulkEditForm.status && bulkEditForm.status !== KEEP_EXISTING && bulkEditForm.status.trim() !== "") {
-        updates.status = bulkEditForm.status as ManufacturingOrder['status']
-      }
-      
-      if (bulkEditForm.due_date && bulkEditForm.due_date.trim() !== "") {
-        updates.due_date = bulkEditForm.due_date
-      }
-
-      if (bulkEditForm.current_work_centre_id && bulkEditForm.current_work_centre_id !== KEEP_EXISTING && bulkEditForm.current_work_centre_id.trim() !== "") {
-        updates.current_work_centre_id = bulkEditForm.current_work_centre_id === "unassigned" ? null : parseInt(bulkEditForm.current_work_centre_id)
-      }
+  const clearSelection = () => {
+    setSelectedOrders([])
+    // Reset the table's internal selection state
+    setResetTableSelection(true)
+    setTimeout(() => setResetTableSelection(false), 100)
+  }
 
-      if (bulkEditForm.current_operation && bulkEditForm.current_operation.trim() !== "") {
-        updates.current_operation = bulkEditForm.current_operation
-      }
+  /**
+   * Applies one change to every selected order in a single request; the server changes all of them or none
+   * @param changes - Fields and characteristics to change
+   * @returns True if the change was applied
+   */
+  const applyBulkChanges = async (changes: OrderBulkChanges): Promise<boolean> => {
+    if (selectedOrders.length === 0) return false
 
-      if (bulkEditForm.start_date && bulkEditForm.start_date.trim() !== "") {
-        updates.start_date = bulkEditForm.start_date
+    try {
+      setIsApplyingBulkEdit(true)
+      const response = await ordersService.bulkUpdate(
+        selectedOrders.map(order => order.id),
+        changes,
+        // The versions on screen, which a reload after a conflict has brought up to date
+        Object.fromEntries(selectedOrders.map(order => [order.id, (orders.find(o => o.id === order.id) ?? order).version]))
+      )
+      await onOrdersChanged?.()
+      clearSelection()
+      notify.success({
+        operation: 'update',
+        entity: `${response.updated} ${response.updated === 1 ? 'order' : 'orders'}`
+      })
+      if (response.unchanged > 0) {
+        notify.info(`${response.unchanged} of the selected orders already had this change`)
       }
-
-      if (bulkEditForm.completion_date && bulkEditForm.completion_date.trim() !== "") {
-        updates.completion_date = bulkEditForm.completion_date
+      return true
+    } catch (error: unknown) {
+      const appError = error as AppError
+      // A rejected batch lists the orders that could not take the change
+      const rejected = ((appError.details?.details ?? []) as OrderBulkUpdateResult[]).filter(result => result.status === 'error')
+      if (rejected.length > 0) {
+        const shown = rejected.slice(0, 3).map(result => `${result.order_number}: ${result.message}`).join('; ')
+        const more = rejected.length > 3 ? ` (and ${rejected.length - 3} more)` : ''
+        notify.error(`No orders were changed. ${shown}${more}`)
+        // Show the orders someone else has edited as they are now
+        if (rejected.some(result => result.code === 'VERSION_CONFLICT')) {
+          await onOrdersChanged?.()
+        }
+      } else {
+        notify.error(appError, {
+          operation: 'update',
+          entity: 'orders'
+        })
       }
+      return false
+    } finally {
+      setIsApplyingBulkEdit(false)
+    }
+  }
 
-      // Only proceed if we have actual updates to apply
-      if (Object.keys(updates).length === 0) {
-        notify.error('No changes specified to apply')
-        return
-      }
+  const handleBulkEdit = async () => {
+    const changes: OrderBulkChanges = {}
 
-      console.log('[BulkEdit] Applying updates:', updates)
+    if (bulkEditForm.priority) {
+      changes.priority = bulkEditForm.priority as ManufacturingOrder['priority']
+    }
+    if (bulkEditForm.status) {
+      changes.status = bulkEditForm.status as ManufacturingOrder['status']
+    }
+    if (bulkEditForm.due_date) {
+      changes.due_date = bulkEditForm.due_date
+    }
+    if (bulkEditForm.current_work_centre_id) {
+      changes.current_work_centre_id = parseInt(bulkEditForm.current_work_centre_id)
+    }
+    if (bulkEditForm.add_characteristic_value.trim()) {
+      changes.add_characteristics = [{
+        type: bulkEditForm.add_characteristic_type,
+        value: bulkEditForm.add_characteristic_value.trim()
+      }]
+    }
+    if (bulkEditForm.remove_characteristics.length > 0) {
+      changes.remove_characteristics = selectedCharacteristics
+        .filter(([key]) => bulkEditForm.remove_characteristics.includes(key))
+        .map(([, { type, value }]) => ({ type, value }))
+    }
 
-      // Apply updates to each selected order
-      for (const order of selectedOrders) {
-        if (onOrderUpdate) {
-          console.log(`[BulkEdit] Updating order ${order.id} with:`, updates)
-          await onOrderUpdate(order.id, updates)
-        }
-      }
+    if (Object.keys(changes).length === 0) {
+      notify.error('No changes specified to apply')
+      return
+    }
 
+    if (await applyBulkChanges(changes)) {
       setIsBulkEditOpen(false)
-      setBulkEditForm({ 
-        priority: "", 
-        status: "", 
-        due_date: "", 
-        current_work_centre_id: "", 
-        current_operation: "", 
-        start_date: "", 
-        completion_date: "" 
-      })
-      setSelectedOrders([])
-      
-      // Reset the table's internal selection state
-      setResetTableSelection(true)
-      setTimeout(() => setResetTableSelection(false), 100)
-      
-      notify.success({
-        operation: 'bulk_edit_orders',
-        entity: 'orders'
-      })
-    } catch (error) {
-      console.error('Bulk edit failed:', error)
-      notify.error(error as AppError, {
-        operation: 'bulk_edit_orders',
-        entity: 'orders'
-      })
+      setBulkEditForm(emptyBulkEditForm)
     }
   }
 
@@ -406,6 +519,7 @@ export function EnhancedOrdersTable({ orders, workCentres = [], onOrderUpdate }:
       <div className="flex items-center justify-between">
         <h2 className="text-2xl font-bold text-primary-blue">Orders Management</h2>
         <div className="flex gap-2">
+          <SavedViewsMenu page="orders" state={viewState} onApply={applyViewState} />
           <Button 
             onClick={() => setIsCreateOrderDialogOpen(true)} 
             size="sm" 
@@ -414,16 +528,6 @@ export function EnhancedOrdersTable({ orders, workCentres = [], onOrderUpdate }:
           >
             <Plus className="h-4 w-4 mr-2" /> Create Order
           </Button>
-          {selectedOrders.length > 0 && (
-            <Button 
-              onClick={() => setIsBulkEditOpen(true)}
-              size="sm"
-              className="bg-blue-600 hover:bg-blue-700"
-            >
-              <Users className="h-4 w-4 mr-2" />
-              Edit {selectedOrders.length} Selected
-            </Button>
-          )}
           <Button variant="outline" size="sm">
             <Upload className="h-4 w-4 mr-2" />
             Import CSV
@@ -435,13 +539,93 @@ export function EnhancedOrdersTable({ orders, workCentres = [], onOrderUpdate }:
         </div>
       </div>
 
+      {/* Batch actions for the rows ticked in the table */}
+      {selectedOrders.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 rounded-md border bg-blue-50 px-3 py-2">
+          <span className="text-sm font-medium mr-2">{selectedOrders.length} selected</span>
+          <Select
+            value=""
+            onValueChange={(value) => applyBulkChanges({ priority: value as ManufacturingOrder['priority'] })}
+            disabled={!canEditOrders || isApplyingBulkEdit}
+          >
+            <SelectTrigger className="h-8 w-[140px] bg-white">
+              <SelectValue placeholder="Set priority" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="urgent">Urgent</SelectItem>
+              <SelectItem value="high">High</SelectItem>
+              <SelectItem value="medium">Medium</SelectItem>
+              <SelectItem value="low">Low</SelectItem>
+            </SelectContent>
+          </Select>
+          <Select
+            value=""
+            onValueChange={(value) => applyBulkChanges({ status: value as ManufacturingOrder['status'] })}
+            disabled={!canEditOrders || isApplyingBulkEdit}
+          >
+            <SelectTrigger className="h-8 w-[140px] bg-white">
+              <SelectValue placeholder="Set status" />
+            </SelectTrigger>
+            <SelectContent>
+              {statusOptions.map(option => (
+                <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select
+            value=""
+            onValueChange={(value) => applyBulkChanges({ current_work_centre_id: parseInt(value) })}
+            disabled={!canEditOrders || isApplyingBulkEdit}
+          >
+            <SelectTrigger className="h-8 w-[160px] bg-white">
+              <SelectValue placeholder="Move to" />
+            </SelectTrigger>
+            <SelectContent>
+              {workCentres.filter(wc => wc.is_active).map(wc => (
+                <SelectItem key={wc.id} value={wc.id.toString()}>{wc.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button
+            onClick={() => setIsBulkEditOpen(true)}
+            size="sm"
+            className="h-8 bg-blue-600 hover:bg-blue-700"
+            disabled={!canEditOrders || isApplyingBulkEdit}
+          >
+            <Users className="h-4 w-4 mr-2" />
+            More changes...
+          </Button>
+          <Button onClick={clearSelection} size="sm" variant="ghost" className="h-8 ml-auto">
+            <X className="h-4 w-4 mr-1" /> Clear
+          </Button>
+        </div>
+      )}
+
       <DataTable
         columns={columns}
-        data={orders}
+        data={page?.orders ?? []}
         searchKey="order_number"
         searchPlaceholder="Search orders..."
         onRowSelectionChange={setSelectedOrders}
         resetSelection={resetTableSelection}
+        columnVisibility={columnVisibility}
+        onColumnVisibilityChange={setColumnVisibility}
+        serverSide={{
+          rowCount: page?.total ?? 0,
+          pagination,
+          onPaginationChange: setPagination,
+          sorting,
+          onSortingChange: (updater) => {
+            setSorting(updater)
+            setPagination(prev => ({ ...prev, pageIndex: 0 }))
+          },
+          columnFilters,
+          onColumnFiltersChange: (updater) => {
+            setColumnFilters(updater)
+            setPagination(prev => ({ ...prev, pageIndex: 0 }))
+          },
+          isLoading: isLoadingPage
+        }}
       />
 
       {/* Create Order Dialog */}
@@ -733,7 +917,6 @@ export function EnhancedOrdersTable({ orders, workCentres = [], onOrderUpdate }:
                 </SelectTrigger>
                 <SelectContent>
                   <SelectItem value={KEEP_EXISTING}>Keep existing</SelectItem>
-                  <SelectItem value="unassigned">Unassigned</SelectItem>
                   {workCentres?.filter(wc => wc.is_active).map(wc => (
                     <SelectItem key={wc.id} value={wc.id.toString()}>
                       {wc.name}
@@ -744,40 +927,56 @@ export function EnhancedOrdersTable({ orders, workCentres = [], onOrderUpdate }:
             </div>
 
             <div>
-              <Label htmlFor="bulk-operation">Current Operation</Label>
-              <Input
-                id="bulk-operation"
-                value={bulkEditForm.current_operation}
-                onChange={(e) => setBulkEditForm(prev => ({ ...prev, current_operation: e.target.value }))}
-                placeholder="Leave empty to keep existing"
-              />
-            </div>
-
-            <div className="grid grid-cols-2 gap-4">
-              <div>
-                <Label htmlFor="bulk-start-date">Start Date</Label>
+              <Label htmlFor="bulk-add-characteristic">Add Characteristic</Label>
+              <div className="flex gap-2">
+                <Select
+                  value={bulkEditForm.add_characteristic_type}
+                  onValueChange={(value) => setBulkEditForm(prev => ({ ...prev, add_characteristic_type: value }))}
+                >
+                  <SelectTrigger className="w-[160px]">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {CHARACTERISTIC_TYPES.map(type => (
+                      <SelectItem key={type.value} value={type.value}>{type.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
                 <Input
-                  id="bulk-start-date"
-                  type="date"
-                  value={bulkEditForm.start_date}
-                  onChange={(e) => setBulkEditForm(prev => ({ ...prev, start_date: e.target.value }))}
+                  id="bulk-add-characteristic"
+                  value={bulkEditForm.add_characteristic_value}
+                  onChange={(e) => setBulkEditForm(prev => ({ ...prev, add_characteristic_value: e.target.value }))}
+                  placeholder="Value, e.g. CUST-001"
                 />
               </div>
+            </div>
+
+            {selectedCharacteristics.length > 0 && (
               <div>
-                <Label htmlFor="bulk-completion-date">Completion Date</Label>
-                <Input
-                  id="bulk-completion-date"
-                  type="date"
-                  value={bulkEditForm.completion_date}
-                  onChange={(e) => setBulkEditForm(prev => ({ ...prev, completion_date: e.target.value }))}
-                  disabled={!bulkEditForm.status || bulkEditForm.status !== 'complete'}
-                />
+                <Label>Remove Characteristics</Label>
+                <div className="mt-1 space-y-1 max-h-32 overflow-y-auto">
+                  {selectedCharacteristics.map(([key, characteristic]) => (
+                    <label key={key} className="flex items-center gap-2 text-sm">
+                      <Checkbox
+                        checked={bulkEditForm.remove_characteristics.includes(key)}
+                        onCheckedChange={(checked) => setBulkEditForm(prev => ({
+                          ...prev,
+                          remove_characteristics: checked
+                            ? [...prev.remove_characteristics, key]
+                            : prev.remove_characteristics.filter(k => k !== key)
+                        }))}
+                      />
+                      {characteristic.label}
+                      <span className="text-xs text-gray-500">({characteristic.type})</span>
+                    </label>
+                  ))}
+                </div>
               </div>
-            </div>
+            )}
 
             <div className="flex gap-2 pt-4">
-              <Button onClick={handleBulkEdit} className="flex-1">
-                Apply Changes
+              <Button onClick={handleBulkEdit} className="flex-1" disabled={!canEditOrders || isApplyingBulkEdit}>
+                {isApplyingBulkEdit ? 'Applying...' : 'Apply Changes'}
               </Button>
               <Button variant="outline" onClick={() => setIsBulkEditOpen(false)} className="flex-1">
                 Cancel
@@ -0,0 +1,168 @@
+"use client"
+
+import * as React from "react"
+import { Search } from "lucide-react"
+
+import { Badge } from "@/components/ui/badge"
+import { Command, CommandEmpty, CommandGroup, CommandInput, CommandItem, CommandList } from "@/components/ui/command"
+import { Dialog, DialogContent, DialogTitle } from "@/components/ui/dialog"
+import { SidebarMenuButton } from "@/components/ui/sidebar"
+import { searchService } from "@/lib/api-services"
+import { notify } from "@/lib/notifications"
+import { type AppError } from "@/lib/error-handling"
+import { getStatusBadgeConfig } from "@/lib/order-utils"
+import type { OrderSearchResult, SearchField, SearchHighlightSegment } from "@/types/manufacturing"
+
+interface GlobalSearchProps {
+  /** Called with the ID of the order picked from the results */
+  onSelectOrder?: (orderId: number) => void
+}
+
+const FIELD_LABELS: Record<SearchField, string> = {
+  order_number: "Order",
+  stock_code: "Stock code",
+  description: "Description",
+  operations: "Operations",
+  characteristics: "Characteristics",
+  notes: "Notes",
+}
+
+// Matched fields shown under each result; the order number is always in the title
+const DETAIL_FIELDS: SearchField[] = ["stock_code", "description", "operations", "characteristics", "notes"]
+
+function Highlighted({ segments }: { segments: SearchHighlightSegment[] }) {
+  return (
+    <>
+      {segments.map((segment, index) => segment.match ? (
+        <mark key={index} className="rounded-sm bg-yellow-200 px-0.5 text-inherit">{segment.text}</mark>
+      ) : (
+        <React.Fragment key={index}>{segment.text}</React.Fragment>
+      ))}
+    </>
+  )
+}
+
+/**
+ * Command-palette search over orders, their step operations, characteristics and booking notes.
+ * Opens from the sidebar or with Ctrl/Cmd+K.
+ */
+export function GlobalSearch({ onSelectOrder }: GlobalSearchProps) {
+  const [open, setOpen] = React.useState(false)
+  const [query, setQuery] = React.useState("")
+  const [results, setResults] = React.useState<OrderSearchResult[]>([])
+  const [isSearching, setIsSearching] = React.useState(false)
+
+  React.useEffect(() => {
+    const handleKeyDown = (event: KeyboardEvent) => {
+      if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === "k") {
+        event.preventDefault()
+        setOpen(prev => !prev)
+      }
+    }
+
+    window.addEventListener("keydown", handleKeyDown)
+    return () => window.removeEventListener("keydown", handleKeyDown)
+  }, [])
+
+  React.useEffect(() => {
+    const text = query.trim()
+    if (!text) {
+      setResults([])
+      return
+    }
+
+    let cancelled = false
+    // Debounced so each keystroke does not send a request
+    const timer = setTimeout(async () => {
+      try {
+        setIsSearching(true)
+        const response = await searchService.search(text)
+        if (!cancelled) setResults(response.results)
+      } catch (error: unknown) {
+        if (!cancelled) {
+          notify.error(error as AppError, {
+            operation: 'search',
+            entity: 'orders'
+          })
+        }
+      } finally {
+        if (!cancelled) setIsSearching(false)
+      }
+    }, 200)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [query])
+
+  const handleSelect = (orderId: number) => {
+    setOpen(false)
+    setQuery("")
+    onSelectOrder?.(orderId)
+  }
+
+  return (
+    <>
+      <SidebarMenuButton onClick={() => setOpen(true)} tooltip="Search (Ctrl+K)">
+        <Search />
+        <span>Search orders...</span>
+        <kbd className="ml-auto rounded border bg-muted px-1.5 font-mono text-[10px] text-muted-foreground">
+          Ctrl K
+        </kbd>
+      </SidebarMenuButton>
+
+      <Dialog open={open} onOpenChange={setOpen}>
+        <DialogContent className="overflow-hidden p-0 shadow-lg">
+          <DialogTitle className="sr-only">Search orders</DialogTitle>
+          {/* Results come ranked from the server, so the palette does not filter them again */}
+          <Command shouldFilter={false} className="[&_[cmdk-group-heading]]:px-2 [&_[cmdk-group-heading]]:font-medium [&_[cmdk-group-heading]]:text-muted-foreground [&_[cmdk-input]]:h-12 [&_[cmdk-item]]:px-2 [&_[cmdk-item]]:py-2">
+            <CommandInput
+              value={query}
+              onValueChange={setQuery}
+              placeholder="Search orders, operations, characteristics and notes..."
+            />
+            <CommandList>
+              {query.trim() && !isSearching && (
+                <CommandEmpty>No orders found.</CommandEmpty>
+              )}
+              {results.length > 0 && (
+                <CommandGroup heading="Orders">
+                  {results.map(result => {
+                    const status = getStatusBadgeConfig(result.status)
+                    return (
+                      <CommandItem
+                        key={result.id}
+                        value={String(result.id)}
+                        onSelect={() => handleSelect(result.id)}
+                        className="flex flex-col items-start gap-1"
+                      >
+                        <div className="flex w-full items-center gap-2">
+                          <span className="font-medium">
+                            {result.highlights.order_number
+                              ? <Highlighted segments={result.highlights.order_number} />
+                              : result.order_number}
+                          </span>
+                          <Badge variant={status.variant} className={status.className}>{status.label}</Badge>
+                          <span className="ml-auto text-xs text-muted-foreground">
+                            {result.work_centre_name || "Unassigned"}
+                          </span>
+                        </div>
+                        {DETAIL_FIELDS.filter(field => result.highlights[field]).map(field => (
+                          <div key={field} className="w-full truncate text-xs text-muted-foreground">
+                            <span className="mr-1 font-medium">{FIELD_LABELS[field]}:</span>
+                            <Highlighted segments={result.highlights[field]!} />
+                          </div>
+                        ))}
+                      </CommandItem>
+                    )
+                  })}
+                </CommandGroup>
+              )}
+            </CommandList>
+          </Command>
+        </DialogContent>
+      </Dialog>
+    </>
+  )
+}
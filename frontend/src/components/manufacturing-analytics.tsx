@@ -29,6 +29,7 @@ import { BarChart } from "@/components/charts/bar-chart"
 import { LineChart } from "@/components/charts/line-chart"
 import { PieChart } from "@/components/charts/pie-chart"
 import { analyticsService } from "@/lib/api-services"
+import type { YieldAnalytics } from "@/types/manufacturing"
 import { Factory, Clock, TrendingUp, AlertTriangle, Download, RefreshCw } from "lucide-react"
 import { toast } from "sonner"
 
@@ -57,11 +58,21 @@ interface ThroughputData {
   completion_rate: number
 }
 
+const TIME_RANGE_HOURS: Record<string, number> = {
+  "24h": 24,
+  "7d": 24 * 7,
+  "30d": 24 * 30,
+  "90d": 24 * 90
+}
+
+const formatYield = (value: number | null | undefined) => (value === null || value === undefined ? "—" : `${value}%`)
+
 export function ManufacturingAnalytics() {
   const [timeRange, setTimeRange] = useState("7d")
   const [workCentreUtilization, setWorkCentreUtilization] = useState<WorkCentreUtilization[]>([])
   const [cycleTimeMetrics, setCycleTimeMetrics] = useState<CycleTimeMetrics[]>([])
   const [throughputData, setThroughputData] = useState<ThroughputData[]>([])
+  const [yieldData, setYieldData] = useState<YieldAnalytics | null>(null)
   const [isLoading, setIsLoading] = useState(true)
   const [isRefreshing, setIsRefreshing] = useState(false)
 
@@ -161,6 +172,10 @@ export function ManufacturingAnalytics() {
       setCycleTimeMetrics(mockCycleTimes)
       setThroughputData(mockThroughput)
 
+      // Yield comes from step quantity bookings
+      const yieldDays = Math.max(1, Math.round(TIME_RANGE_HOURS[timeRange] / 24))
+      setYieldData(await analyticsService.getYield(yieldDays))
+
     } catch (error) {
       console.error('Failed to load analytics data:', error)
       toast.error('Failed to load analytics data')
@@ -301,6 +316,7 @@ export function ManufacturingAnalytics() {
           <TabsTrigger value="cycle-times">Cycle Times</TabsTrigger>
           <TabsTrigger value="throughput">Throughput & Trends</TabsTrigger>
           <TabsTrigger value="bottlenecks">Bottleneck Analysis</TabsTrigger>
+          <TabsTrigger value="yield">Yield & Scrap</TabsTrigger>
         </TabsList>
 
         <TabsContent value="utilization" className="space-y-6">
@@ -533,6 +549,104 @@ export function ManufacturingAnalytics() {
             </CardContent>
           </Card>
         </TabsContent>
+
+        <TabsContent value="yield" className="space-y-6">
+          <div className="grid gap-4 md:grid-cols-4">
+            <Card>
+              <CardHeader className="pb-2">
+                <CardTitle className="text-sm font-medium">First-pass Yield</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="text-2xl font-bold">{formatYield(yieldData?.summary.yield_percent)}</div>
+              </CardContent>
+            </Card>
+            <Card>
+              <CardHeader className="pb-2">
+                <CardTitle className="text-sm font-medium">Good</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="text-2xl font-bold">{yieldData?.summary.good_quantity ?? 0}</div>
+              </CardContent>
+            </Card>
+            <Card>
+              <CardHeader className="pb-2">
+                <CardTitle className="text-sm font-medium">Scrap</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="text-2xl font-bold text-red-600">{yieldData?.summary.scrap_quantity ?? 0}</div>
+              </CardContent>
+            </Card>
+            <Card>
+              <CardHeader className="pb-2">
+                <CardTitle className="text-sm font-medium">Rework</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="text-2xl font-bold text-yellow-600">{yieldData?.summary.rework_quantity ?? 0}</div>
+              </CardContent>
+            </Card>
+          </div>
+
+          <div className="grid gap-6 md:grid-cols-2">
+            <Card>
+              <CardHeader>
+                <CardTitle>Yield by Work Centre</CardTitle>
+                <p className="text-sm text-gray-600">Good quantity as a share of everything booked</p>
+              </CardHeader>
+              <CardContent>
+                <BarChart
+                  data={(yieldData?.by_work_centre || []).map(wc => ({
+                    name: wc.name,
+                    yield: wc.yield_percent ?? 0
+                  }))}
+                  dataKeys={['yield']}
+                  height={300}
+                  yAxisLabel="Yield %"
+                />
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle>Scrap & Rework Reasons</CardTitle>
+                <p className="text-sm text-gray-600">Reason codes recorded against bookings</p>
+              </CardHeader>
+              <CardContent>
+                {yieldData && yieldData.by_reason.length > 0 ? (
+                  <div className="space-y-2">
+                    {yieldData.by_reason.map(reason => (
+                      <div key={reason.reason_code} className="flex items-center justify-between text-sm">
+                        <Badge variant="outline">{reason.reason_code}</Badge>
+                        <span className="text-gray-600">
+                          {reason.scrap_quantity} scrap · {reason.rework_quantity} rework
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-sm text-gray-600">No scrap or rework booked in this period.</p>
+                )}
+              </CardContent>
+            </Card>
+          </div>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Stock Codes with the Most Losses</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <div className="space-y-2">
+                {(yieldData?.by_stock_code || []).map(row => (
+                  <div key={row.stock_code} className="flex items-center justify-between text-sm">
+                    <span className="font-medium">{row.stock_code}</span>
+                    <span className="text-gray-600">
+                      {row.scrap_quantity} scrap · {row.rework_quantity} rework · {formatYield(row.yield_percent)} yield
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </CardContent>
+          </Card>
+        </TabsContent>
       </Tabs>
     </div>
   )
@@ -0,0 +1,178 @@
+"use client"
+
+/**
+ * MinimiseChangeoversDialog - Preview and apply a queue order with fewer changeovers
+ *
+ * Asks the server for a dry-run resequence of one work centre queue: orders
+ * with the same characteristic values are grouped together as far as due
+ * dates allow. Shows the setup time saved and the proposed queue before the
+ * scheduler applies it.
+ */
+
+import { useState, useEffect } from "react"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { AlertTriangle, Loader2 } from "lucide-react"
+import type { ChangeoverProposal, WorkCentre } from "@/types/manufacturing"
+import { planningBoardService } from "@/lib/api-services"
+import { formatProjectedCompletion } from "@/lib/order-utils"
+import { cn } from "@/lib/utils"
+import { notify } from "@/lib/notifications"
+import type { AppError } from "@/lib/error-handling"
+import { toast } from "sonner"
+
+interface MinimiseChangeoversDialogProps {
+  /** Work centre to resequence; the dialog is closed while null */
+  workCentre: WorkCentre | null
+  onOpenChange: (open: boolean) => void
+  /** Called after the new sequence is applied so the board can reload */
+  onApplied?: () => Promise<void> | void
+}
+
+export function MinimiseChangeoversDialog({ workCentre, onOpenChange, onApplied }: MinimiseChangeoversDialogProps) {
+  const [proposal, setProposal] = useState<ChangeoverProposal | null>(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [isApplying, setIsApplying] = useState(false)
+
+  useEffect(() => {
+    if (!workCentre) {
+      setProposal(null)
+      return
+    }
+
+    const loadProposal = async () => {
+      try {
+        setIsLoading(true)
+        const response = await planningBoardService.minimiseChangeovers(workCentre.id, { dry_run: true })
+        setProposal(response.proposal)
+      } catch (error: unknown) {
+        notify.error(error as AppError, {
+          operation: 'preview_changeovers',
+          entity: 'work_centre'
+        })
+      } finally {
+        setIsLoading(false)
+      }
+    }
+
+    loadProposal()
+  }, [workCentre])
+
+  const handleApply = async () => {
+    if (!workCentre) return
+
+    try {
+      setIsApplying(true)
+      const { proposal: applied } = await planningBoardService.minimiseChangeovers(workCentre.id, { dry_run: false })
+      toast.success(`${workCentre.name} resequenced: ${applied.summary.setup_minutes_saved} minutes of setup saved`)
+      onOpenChange(false)
+      await onApplied?.()
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'minimise_changeovers',
+        entity: 'work_centre'
+      })
+    } finally {
+      setIsApplying(false)
+    }
+  }
+
+  const hasChanges = !!proposal && proposal.changes.length > 0
+
+  return (
+    <Dialog open={workCentre !== null} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Minimise Changeovers - {workCentre?.name}</DialogTitle>
+          <DialogDescription>
+            Groups similar jobs to cut setup time. No order is pulled forward if that would make another order late.
+          </DialogDescription>
+        </DialogHeader>
+
+        {isLoading ? (
+          <div className="flex items-center gap-2 py-4 text-sm text-muted-foreground">
+            <Loader2 className="h-4 w-4 animate-spin" />
+            Working out the best sequence...
+          </div>
+        ) : proposal && (
+          <div className="space-y-3">
+            <div className="grid grid-cols-3 gap-2 text-center">
+              <div className="rounded border p-2">
+                <div className="text-xs text-muted-foreground">Setup now</div>
+                <div className="text-lg font-semibold">{proposal.summary.setup_minutes_before} min</div>
+              </div>
+              <div className="rounded border p-2">
+                <div className="text-xs text-muted-foreground">Setup after</div>
+                <div className="text-lg font-semibold">{proposal.summary.setup_minutes_after} min</div>
+              </div>
+              <div className={cn("rounded border p-2", proposal.summary.setup_minutes_saved > 0 && "border-green-300 bg-green-50")}>
+                <div className="text-xs text-muted-foreground">Saved</div>
+                <div className="text-lg font-semibold">{proposal.summary.setup_minutes_saved} min</div>
+              </div>
+            </div>
+
+            {!hasChanges && (
+              <p className="text-sm text-muted-foreground">This queue is already in the best order found.</p>
+            )}
+
+            {proposal.summary.late_orders_after > 0 && (
+              <p className="flex items-center gap-1 text-sm text-amber-700">
+                <AlertTriangle className="h-4 w-4" />
+                {proposal.summary.late_orders_after} order(s) will still finish after their due date.
+              </p>
+            )}
+
+            <div className="border rounded max-h-[45vh] overflow-y-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-muted/30 text-xs text-muted-foreground">
+                  <tr>
+                    <th className="p-2 text-left font-medium">#</th>
+                    <th className="p-2 text-left font-medium">Order</th>
+                    <th className="p-2 text-left font-medium">Characteristics</th>
+                    <th className="p-2 text-right font-medium">Setup</th>
+                    <th className="p-2 text-right font-medium">Finishes</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {proposal.sequence.map(entry => (
+                    <tr key={entry.order_id} className="border-t">
+                      <td className="p-2">
+                        {entry.proposed_position}
+                        {entry.current_position !== entry.proposed_position && entry.current_position !== null && (
+                          <span className="ml-1 text-xs text-muted-foreground">(was {entry.current_position})</span>
+                        )}
+                      </td>
+                      <td className="p-2 font-medium">{entry.order_number}</td>
+                      <td className="p-2">
+                        <div className="flex flex-wrap gap-1">
+                          {Object.entries(entry.characteristics).map(([type, value]) => (
+                            <Badge key={type} variant="outline" className="text-xs" title={type}>{value}</Badge>
+                          ))}
+                        </div>
+                      </td>
+                      <td className="p-2 text-right">{entry.setup_minutes > 0 ? `${entry.setup_minutes} min` : '-'}</td>
+                      <td className={cn("p-2 text-right", entry.late && "font-medium text-red-700")}>
+                        {entry.planned_finish ? formatProjectedCompletion(entry.planned_finish) : '-'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={isApplying}>
+            Cancel
+          </Button>
+          <Button onClick={handleApply} disabled={!hasChanges || isLoading || isApplying}>
+            {isApplying && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Apply sequence
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
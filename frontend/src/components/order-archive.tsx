@@ -0,0 +1,409 @@
+"use client"
+
+/**
+ * OrderArchive - Completed and cancelled orders moved out of the live tables
+ *
+ * Orders complete or cancelled for longer than the archive period are moved
+ * here on a schedule (see backend/src/services/orderArchiveService.js), so the
+ * planning board, order lists and analytics no longer load them.
+ *
+ * - Search by order number, stock code, description, operation, characteristic
+ *   or booking notes; filter by status
+ * - View an archived order with its steps, characteristics and audit trail
+ * - Restore an order (and the rest of its split) to the live tables
+ * - Archive now: preview, then archive every order past a chosen age
+ */
+
+import { useState, useEffect, useCallback } from "react"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { AlertDialog, AlertDialogContent, AlertDialogHeader, AlertDialogTitle, AlertDialogDescription, AlertDialogFooter, AlertDialogCancel, AlertDialogAction } from "@/components/ui/alert-dialog"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import { Archive, ArchiveRestore, Eye, Loader2, Search } from "lucide-react"
+import type { ArchivedOrder, ArchivedOrderDetail, ArchiveRunResponse } from "@/types/manufacturing"
+import { orderArchiveService } from "@/lib/api-services"
+import { useAuth } from "@/contexts/auth-context"
+import { notify } from "@/lib/notifications"
+import type { AppError } from "@/lib/error-handling"
+
+interface OrderArchiveProps {
+  /** Called after orders are restored or archived, so live order lists can reload */
+  onOrdersChanged?: () => void | Promise<void>
+}
+
+const PAGE_SIZE = 50
+const DEFAULT_ARCHIVE_AFTER_DAYS = 90
+
+const formatDate = (value?: string | null) => value ? new Date(value).toLocaleDateString() : "-"
+
+export function OrderArchive({ onOrdersChanged }: OrderArchiveProps) {
+  const { hasPermission } = useAuth()
+  const canRestore = hasPermission("orders:write")
+  const canArchive = hasPermission("orders:delete")
+
+  const [orders, setOrders] = useState<ArchivedOrder[]>([])
+  const [total, setTotal] = useState(0)
+  const [search, setSearch] = useState("")
+  const [status, setStatus] = useState<"all" | ArchivedOrder["status"]>("all")
+  const [offset, setOffset] = useState(0)
+  const [isLoading, setIsLoading] = useState(false)
+
+  const [viewedOrder, setViewedOrder] = useState<ArchivedOrderDetail | null>(null)
+  const [restoringOrder, setRestoringOrder] = useState<ArchivedOrder | null>(null)
+
+  // Archive now: the preview is shown for confirmation before anything moves
+  const [isArchiveDialogOpen, setIsArchiveDialogOpen] = useState(false)
+  const [archiveAfterDays, setArchiveAfterDays] = useState(DEFAULT_ARCHIVE_AFTER_DAYS)
+  const [archivePreview, setArchivePreview] = useState<ArchiveRunResponse | null>(null)
+  const [isArchiving, setIsArchiving] = useState(false)
+
+  const loadOrders = useCallback(async () => {
+    try {
+      setIsLoading(true)
+      const response = await orderArchiveService.getAll({
+        q: search.trim() || undefined,
+        status: status === "all" ? undefined : status,
+        limit: PAGE_SIZE,
+        offset,
+      })
+      setOrders(response.orders)
+      setTotal(response.total)
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'fetch',
+        entity: 'archived orders'
+      })
+    } finally {
+      setIsLoading(false)
+    }
+  }, [search, status, offset])
+
+  useEffect(() => {
+    loadOrders()
+  }, [loadOrders])
+
+  // A new search or filter starts from the first page
+  useEffect(() => {
+    setOffset(0)
+  }, [search, status])
+
+  const openDetails = async (id: number) => {
+    try {
+      const response = await orderArchiveService.getById(id)
+      setViewedOrder(response.order)
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'fetch',
+        entity: 'archived order'
+      })
+    }
+  }
+
+  const handleRestore = async () => {
+    if (!restoringOrder) return
+
+    try {
+      const response = await orderArchiveService.restore(restoringOrder.id)
+      notify.info(response.order_ids.length > 1
+        ? `${restoringOrder.order_number} restored with the rest of its split`
+        : `${restoringOrder.order_number} restored`)
+      setRestoringOrder(null)
+      await Promise.all([loadOrders(), onOrdersChanged?.()])
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'restore',
+        entity: 'order'
+      })
+    }
+  }
+
+  const handlePreviewArchive = async () => {
+    try {
+      setIsArchiving(true)
+      setArchivePreview(await orderArchiveService.archive({ older_than_days: archiveAfterDays, dry_run: true }))
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'preview',
+        entity: 'archive'
+      })
+    } finally {
+      setIsArchiving(false)
+    }
+  }
+
+  const handleArchive = async () => {
+    try {
+      setIsArchiving(true)
+      const response = await orderArchiveService.archive({ older_than_days: archiveAfterDays })
+      notify.info(`${response.count} order${response.count === 1 ? "" : "s"} archived`)
+      setIsArchiveDialogOpen(false)
+      setArchivePreview(null)
+      await Promise.all([loadOrders(), onOrdersChanged?.()])
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'archive',
+        entity: 'orders'
+      })
+    } finally {
+      setIsArchiving(false)
+    }
+  }
+
+  const openArchiveDialog = () => {
+    setArchivePreview(null)
+    setIsArchiveDialogOpen(true)
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-primary-blue">Order Archive</h2>
+          <p className="text-gray-600">Completed and cancelled orders no longer shown on the board or in analytics</p>
+        </div>
+        {canArchive && (
+          <Button onClick={openArchiveDialog}>
+            <Archive className="h-4 w-4 mr-2" />
+            Archive Now
+          </Button>
+        )}
+      </div>
+
+      <Card>
+        <CardHeader className="flex flex-row items-center justify-between space-y-0 gap-4">
+          <CardTitle>Archived Orders ({total})</CardTitle>
+          <div className="flex items-center gap-2">
+            <Select value={status} onValueChange={(value: typeof status) => setStatus(value)}>
+              <SelectTrigger className="w-36">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All statuses</SelectItem>
+                <SelectItem value="complete">Complete</SelectItem>
+                <SelectItem value="cancelled">Cancelled</SelectItem>
+              </SelectContent>
+            </Select>
+            <div className="relative w-72">
+              <Search className="absolute left-2 top-2.5 h-4 w-4 text-gray-400" />
+              <Input
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search orders, operations, customers..."
+                className="pl-8"
+              />
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {isLoading && orders.length === 0 ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin" />
+            </div>
+          ) : orders.length === 0 ? (
+            <p className="text-center text-gray-500 py-8">No archived orders</p>
+          ) : (
+            <>
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Order</TableHead>
+                    <TableHead>Stock Code</TableHead>
+                    <TableHead>Description</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead>Quantity</TableHead>
+                    <TableHead>Completed</TableHead>
+                    <TableHead>Archived</TableHead>
+                    <TableHead className="text-right">Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {orders.map(order => (
+                    <TableRow key={order.id}>
+                      <TableCell className="font-medium">{order.order_number}</TableCell>
+                      <TableCell>{order.stock_code}</TableCell>
+                      <TableCell className="max-w-xs truncate">{order.description || "-"}</TableCell>
+                      <TableCell>
+                        <Badge variant={order.status === "complete" ? "default" : "secondary"}>{order.status}</Badge>
+                      </TableCell>
+                      <TableCell>{order.quantity_completed}/{order.quantity_to_make}</TableCell>
+                      <TableCell>{formatDate(order.completion_date)}</TableCell>
+                      <TableCell className="text-sm text-gray-500">
+                        {formatDate(order.archived_at)}
+                        {order.archived_by_username ? ` by ${order.archived_by_username}` : ""}
+                      </TableCell>
+                      <TableCell className="text-right space-x-1">
+                        <Button variant="ghost" size="sm" onClick={() => openDetails(order.id)} title="View details">
+                          <Eye className="h-4 w-4" />
+                        </Button>
+                        {canRestore && (
+                          <Button variant="ghost" size="sm" onClick={() => setRestoringOrder(order)} title="Restore">
+                            <ArchiveRestore className="h-4 w-4" />
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+              <div className="flex items-center justify-between pt-4 text-sm text-gray-500">
+                <span>{offset + 1}-{offset + orders.length} of {total}</span>
+                <div className="space-x-2">
+                  <Button variant="outline" size="sm" disabled={offset === 0} onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}>
+                    Previous
+                  </Button>
+                  <Button variant="outline" size="sm" disabled={offset + orders.length >= total} onClick={() => setOffset(offset + PAGE_SIZE)}>
+                    Next
+                  </Button>
+                </div>
+              </div>
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Archived order details */}
+      <Dialog open={viewedOrder !== null} onOpenChange={(open) => !open && setViewedOrder(null)}>
+        <DialogContent className="max-w-3xl max-h-[85vh] overflow-y-auto">
+          {viewedOrder && (
+            <>
+              <DialogHeader>
+                <DialogTitle>{viewedOrder.order_number} - {viewedOrder.stock_code}</DialogTitle>
+              </DialogHeader>
+              <div className="space-y-4 text-sm">
+                <div className="grid grid-cols-2 gap-2">
+                  <p><span className="text-gray-500">Description:</span> {viewedOrder.description || "-"}</p>
+                  <p><span className="text-gray-500">Status:</span> {viewedOrder.status}</p>
+                  <p><span className="text-gray-500">Quantity:</span> {viewedOrder.quantity_completed}/{viewedOrder.quantity_to_make}</p>
+                  <p><span className="text-gray-500">Due:</span> {formatDate(viewedOrder.due_date)}</p>
+                  <p><span className="text-gray-500">Completed:</span> {formatDate(viewedOrder.completion_date)}</p>
+                  <p><span className="text-gray-500">Archived:</span> {formatDate(viewedOrder.archived_at)}</p>
+                </div>
+
+                {viewedOrder.job_characteristics.length > 0 && (
+                  <div className="flex flex-wrap gap-1">
+                    {viewedOrder.job_characteristics.map(characteristic => (
+                      <Badge key={characteristic.id} variant="outline" style={{ borderColor: characteristic.color }}>
+                        {characteristic.display_name || characteristic.value}
+                      </Badge>
+                    ))}
+                  </div>
+                )}
+
+                <div>
+                  <h4 className="font-semibold mb-1">Steps</h4>
+                  {viewedOrder.manufacturing_steps.length === 0 ? (
+                    <p className="text-gray-500">No steps</p>
+                  ) : (
+                    <Table>
+                      <TableHeader>
+                        <TableRow>
+                          <TableHead>#</TableHead>
+                          <TableHead>Operation</TableHead>
+                          <TableHead>Status</TableHead>
+                          <TableHead>Completed</TableHead>
+                        </TableRow>
+                      </TableHeader>
+                      <TableBody>
+                        {viewedOrder.manufacturing_steps.map(step => (
+                          <TableRow key={step.id}>
+                            <TableCell>{step.step_number}</TableCell>
+                            <TableCell>{step.operation_name}</TableCell>
+                            <TableCell>{step.status}</TableCell>
+                            <TableCell>{formatDate(step.completed_at)}</TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  )}
+                </div>
+
+                <div>
+                  <h4 className="font-semibold mb-1">History</h4>
+                  {viewedOrder.audit_log.length === 0 ? (
+                    <p className="text-gray-500">No history recorded</p>
+                  ) : (
+                    <ul className="space-y-1">
+                      {viewedOrder.audit_log.map(entry => (
+                        <li key={entry.id} className="flex justify-between gap-4">
+                          <span>{entry.event_type.replace(/_/g, " ")}</span>
+                          <span className="text-gray-500">{new Date(entry.timestamp).toLocaleString()}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              </div>
+            </>
+          )}
+        </DialogContent>
+      </Dialog>
+
+      {/* Restore confirmation */}
+      <AlertDialog open={restoringOrder !== null} onOpenChange={(open) => !open && setRestoringOrder(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Restore {restoringOrder?.order_number}?</AlertDialogTitle>
+            <AlertDialogDescription>
+              The order goes back to the live tables at the end of its work centre&apos;s queue, with its steps,
+              characteristics and history. The other parts of a split order are restored with it.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={handleRestore}>Restore</AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+
+      {/* Archive now */}
+      <Dialog open={isArchiveDialogOpen} onOpenChange={setIsArchiveDialogOpen}>
+        <DialogContent className="max-w-md">
+          <DialogHeader>
+            <DialogTitle>Archive Orders</DialogTitle>
+          </DialogHeader>
+          <div className="space-y-4">
+            <div>
+              <Label htmlFor="archive-after-days">Complete or cancelled for at least (days)</Label>
+              <Input
+                id="archive-after-days"
+                type="number"
+                min={0}
+                value={archiveAfterDays}
+                onChange={(e) => {
+                  setArchiveAfterDays(Math.max(0, parseInt(e.target.value) || 0))
+                  setArchivePreview(null)
+                }}
+              />
+            </div>
+            {archivePreview && (
+              <p className="text-sm">
+                {archivePreview.count === 0
+                  ? "No orders are old enough to archive."
+                  : `${archivePreview.count} order${archivePreview.count === 1 ? "" : "s"} will be archived: ${archivePreview.orders.slice(0, 5).map(order => order.order_number).join(", ")}${archivePreview.count > 5 ? "..." : ""}`}
+              </p>
+            )}
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setIsArchiveDialogOpen(false)}>
+              Cancel
+            </Button>
+            {archivePreview && archivePreview.count > 0 ? (
+              <Button onClick={handleArchive} disabled={isArchiving}>
+                {isArchiving ? "Archiving..." : `Archive ${archivePreview.count}`}
+              </Button>
+            ) : (
+              <Button onClick={handlePreviewArchive} disabled={isArchiving}>
+                {isArchiving ? "Checking..." : "Preview"}
+              </Button>
+            )}
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  )
+}
@@ -3,10 +3,10 @@
 import { Card, CardContent } from "@/components/ui/card"
 import { Badge } from "@/components/ui/badge"
 import { Button } from "@/components/ui/button"
-import { Clock, Package, Wrench, Lock, ChevronDown, ChevronUp } from "lucide-react"
+import { Clock, Package, Wrench, Lock, ChevronDown, ChevronUp, AlertTriangle, CalendarClock, GitFork, Ban, PackageX } from "lucide-react"
 import type { ManufacturingOrder, UserCharacteristicSettings } from "@/types/manufacturing"
 import { cn } from "@/lib/utils"
-import { getStatusBadgeConfig, getProgressBarColor, getDueDays } from "@/lib/order-utils"
+import { getStatusBadgeConfig, getProgressBarColor, getDueDays, formatProjectedCompletion, getMaterialBadgeConfig } from "@/lib/order-utils"
 
 interface OrderCardProps {
   order: ManufacturingOrder
@@ -17,10 +17,12 @@ interface OrderCardProps {
   characteristicSettings?: UserCharacteristicSettings
   isCollapsed?: boolean
   onToggleCollapse?: () => void
+  onBlockerClick?: (orderId: number) => void
 }
 
-export function OrderCard({ order, isDragging, isLocked, lockedBy, onClick, characteristicSettings, isCollapsed = false, onToggleCollapse }: OrderCardProps) {
+export function OrderCard({ order, isDragging, isLocked, lockedBy, onClick, characteristicSettings, isCollapsed = false, onToggleCollapse, onBlockerClick }: OrderCardProps) {
   const completionPercentage = (order.quantity_completed / order.quantity_to_make) * 100
+  const materialBadge = getMaterialBadgeConfig(order.material_status)
   
   // Get characteristics for visual display
   const characteristics = order.job_characteristics || []
@@ -112,6 +114,61 @@ export function OrderCard({ order, isDragging, isLocked, lockedBy, onClick, char
           </div>
         </div>
 
+        {/* Split family: this card is one part of a split order */}
+        {order.parent_order_id && (
+          <div
+            className="flex items-center gap-1 text-xs text-indigo-700"
+            title={`Split from ${order.parent_order_number}`}
+          >
+            <GitFork className="h-3 w-3" />
+            <span>
+              Part {order.split_sequence}/{order.family_size} of {order.parent_order_number}
+            </span>
+          </div>
+        )}
+
+        {/* Blocked until the orders it depends on are complete */}
+        {order.blocked_by && order.blocked_by.length > 0 && (
+          <div className="flex flex-wrap items-center gap-1 text-xs">
+            <Badge variant="outline" className="gap-1 border-amber-300 bg-amber-50 text-amber-800">
+              <Ban className="h-3 w-3" />
+              Blocked by
+            </Badge>
+            {order.blocked_by.map(blocker => (
+              <button
+                key={blocker.dependency_id}
+                type="button"
+                className={cn(
+                  "font-medium text-amber-800",
+                  onBlockerClick && "underline hover:text-amber-600"
+                )}
+                title={`${blocker.order_number} must be complete first`}
+                disabled={!onBlockerClick}
+                onClick={(e) => {
+                  e.stopPropagation()
+                  onBlockerClick?.(blocker.order_id)
+                }}
+              >
+                {blocker.order_number}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* Material short: work cannot start until the shortages are covered */}
+        {materialBadge && (
+          <div className="flex items-center gap-1 text-xs">
+            <Badge
+              variant="outline"
+              className={cn("gap-1", materialBadge.className)}
+              title={`Short: ${order.material_shortages?.map(s => `${s.shortage} ${s.component_code}`).join(', ')}`}
+            >
+              <PackageX className="h-3 w-3" />
+              {materialBadge.label}
+            </Badge>
+          </div>
+        )}
+
         {/* Essential info in collapsed state: Priority and Due Date */}
         {isCollapsed ? (
           <div className="flex items-center justify-between text-sm">
@@ -121,8 +178,8 @@ export function OrderCard({ order, isDragging, isLocked, lockedBy, onClick, char
             } className="text-xs">
               {order.priority}
             </Badge>
-            <div className="flex items-center gap-1 text-xs text-gray-500">
-              <Clock className="h-3 w-3" />
+            <div className={cn("flex items-center gap-1 text-xs", order.at_risk ? "text-red-600" : "text-gray-500")}>
+              {order.at_risk ? <AlertTriangle className="h-3 w-3" /> : <Clock className="h-3 w-3" />}
               <span>Due: {getDueDays(order.due_date)}</span>
             </div>
           </div>
@@ -204,6 +261,21 @@ export function OrderCard({ order, isDragging, isLocked, lockedBy, onClick, char
               <Clock className="h-3 w-3" />
               <span>Due: {getDueDays(order.due_date)}</span>
             </div>
+
+            {/* Projected completion, flagged when it lands after the due date */}
+            {order.projected_completion_date && (
+              <div
+                className={cn(
+                  "flex items-center gap-1 text-xs",
+                  order.at_risk ? "text-red-600 font-medium" : "text-gray-500"
+                )}
+                title={order.at_risk ? "Projected to finish after the due date" : undefined}
+              >
+                {order.at_risk ? <AlertTriangle className="h-3 w-3" /> : <CalendarClock className="h-3 w-3" />}
+                <span>Est. finish: {formatProjectedCompletion(order.projected_completion_date)}</span>
+                {order.at_risk && <span>(at risk)</span>}
+              </div>
+            )}
           </>
         )}
 
@@ -0,0 +1,188 @@
+"use client"
+
+/**
+ * OrderDependenciesPanel - Orders an order waits on, shown in the order details dialog
+ *
+ * An order cannot start a step or be moved into an active work centre until
+ * every order it depends on is complete. Lists both directions (what this
+ * order waits on and what waits on it) and lets schedulers add or remove the
+ * orders it waits on. Clicking an order number opens that order.
+ */
+
+import { useState, useEffect, useCallback } from "react"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Label } from "@/components/ui/label"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Ban, Link2, Loader2, Plus, Trash2 } from "lucide-react"
+import type { ManufacturingOrder, OrderDependency, OrderDependent } from "@/types/manufacturing"
+import { ordersService } from "@/lib/api-services"
+import { getStatusBadgeConfig } from "@/lib/order-utils"
+import { notify } from "@/lib/notifications"
+import type { AppError } from "@/lib/error-handling"
+
+interface OrderDependenciesPanelProps {
+  order: ManufacturingOrder
+  /** Orders that can be picked as blockers */
+  orders: ManufacturingOrder[]
+  canEdit: boolean
+  onOrderClick?: (orderId: number) => void
+  /** Called after a dependency is added or removed so the board can refresh blocked badges */
+  onChanged?: () => Promise<void> | void
+}
+
+export function OrderDependenciesPanel({ order, orders, canEdit, onOrderClick, onChanged }: OrderDependenciesPanelProps) {
+  const [dependsOn, setDependsOn] = useState<OrderDependency[]>([])
+  const [dependents, setDependents] = useState<OrderDependent[]>([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+  const [newBlockerId, setNewBlockerId] = useState("")
+
+  const loadDependencies = useCallback(async () => {
+    try {
+      setIsLoading(true)
+      const response = await ordersService.getDependencies(order.id)
+      setDependsOn(response.depends_on)
+      setDependents(response.dependents)
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'load_dependencies',
+        entity: 'order'
+      })
+    } finally {
+      setIsLoading(false)
+    }
+  }, [order.id])
+
+  useEffect(() => {
+    loadDependencies()
+  }, [loadDependencies])
+
+  const candidates = orders.filter(candidate =>
+    candidate.id !== order.id &&
+    candidate.status !== 'complete' &&
+    !dependsOn.some(dependency => dependency.depends_on_order_id === candidate.id)
+  )
+
+  const handleAdd = async () => {
+    if (!newBlockerId) return
+
+    try {
+      setIsSaving(true)
+      await ordersService.addDependency(order.id, parseInt(newBlockerId))
+      setNewBlockerId("")
+      await loadDependencies()
+      await onChanged?.()
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'add_dependency',
+        entity: 'order'
+      })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleRemove = async (dependencyId: number) => {
+    try {
+      setIsSaving(true)
+      await ordersService.removeDependency(order.id, dependencyId)
+      await loadDependencies()
+      await onChanged?.()
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'remove_dependency',
+        entity: 'order'
+      })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const orderLink = (orderId: number, orderNumber: string) => (
+    <button
+      type="button"
+      className="text-sm font-medium text-blue-700 hover:underline disabled:text-gray-900 disabled:no-underline"
+      disabled={!onOrderClick}
+      onClick={() => onOrderClick?.(orderId)}
+    >
+      {orderNumber}
+    </button>
+  )
+
+  return (
+    <div>
+      <Label className="text-sm font-medium">Dependencies</Label>
+      {isLoading ? (
+        <div className="flex items-center gap-2 py-2 text-sm text-muted-foreground">
+          <Loader2 className="h-4 w-4 animate-spin" />
+          Loading dependencies...
+        </div>
+      ) : (
+        <div className="mt-2 space-y-2">
+          {dependsOn.length === 0 && dependents.length === 0 && (
+            <p className="text-sm text-muted-foreground">This order does not wait on any other order</p>
+          )}
+
+          {dependsOn.map(dependency => {
+            const status = getStatusBadgeConfig(dependency.depends_on_status)
+            return (
+              <div key={dependency.id} className="flex items-center justify-between gap-2 p-2 border rounded">
+                <div className="flex items-center gap-2">
+                  {dependency.is_blocking ? (
+                    <Ban className="h-4 w-4 text-amber-600" />
+                  ) : (
+                    <Link2 className="h-4 w-4 text-gray-400" />
+                  )}
+                  <span className="text-sm text-gray-600">Waits on</span>
+                  {orderLink(dependency.depends_on_order_id, dependency.depends_on_order_number)}
+                  <Badge variant={status.variant} className={status.className}>{status.label}</Badge>
+                </div>
+                {canEdit && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    disabled={isSaving}
+                    onClick={() => handleRemove(dependency.id)}
+                    title="Remove dependency"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                )}
+              </div>
+            )
+          })}
+
+          {dependents.map(dependent => (
+            <div key={dependent.id} className="flex items-center gap-2 p-2 border rounded bg-muted/30">
+              <Link2 className="h-4 w-4 text-gray-400" />
+              <span className="text-sm text-gray-600">Needed by</span>
+              {orderLink(dependent.order_id, dependent.order_number)}
+            </div>
+          ))}
+
+          {canEdit && (
+            <div className="flex items-center gap-2">
+              <Select value={newBlockerId} onValueChange={setNewBlockerId}>
+                <SelectTrigger className="flex-1">
+                  <SelectValue placeholder="Wait on another order..." />
+                </SelectTrigger>
+                <SelectContent>
+                  {candidates.map(candidate => (
+                    <SelectItem key={candidate.id} value={candidate.id.toString()}>
+                      {candidate.order_number} - {candidate.description}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button variant="outline" size="sm" onClick={handleAdd} disabled={!newBlockerId || isSaving}>
+                <Plus className="h-4 w-4 mr-1" />
+                Add
+              </Button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
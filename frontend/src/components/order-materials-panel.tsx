@@ -0,0 +1,155 @@
+"use client"
+
+/**
+ * OrderMaterialsPanel - Material position of an order, shown in the order details dialog
+ *
+ * Lists each component from the stock code's bill of materials with what the
+ * order needs, what is allocated or issued to it and what is free in stock.
+ * Work cannot start on an order that is short of material; schedulers can
+ * allocate free stock to cover what the order still needs.
+ */
+
+import { useState, useEffect, useCallback } from "react"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Label } from "@/components/ui/label"
+import { Loader2, PackageCheck, PackageX } from "lucide-react"
+import type { ManufacturingOrder, OrderMaterials } from "@/types/manufacturing"
+import { ordersService } from "@/lib/api-services"
+import { getMaterialBadgeConfig } from "@/lib/order-utils"
+import { cn } from "@/lib/utils"
+import { notify } from "@/lib/notifications"
+import type { AppError } from "@/lib/error-handling"
+
+interface OrderMaterialsPanelProps {
+  order: ManufacturingOrder
+  canAllocate: boolean
+  /** Called after material is allocated so the board can refresh material badges */
+  onChanged?: () => Promise<void> | void
+}
+
+export function OrderMaterialsPanel({ order, canAllocate, onChanged }: OrderMaterialsPanelProps) {
+  const [materials, setMaterials] = useState<OrderMaterials | null>(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [isAllocating, setIsAllocating] = useState(false)
+
+  const loadMaterials = useCallback(async () => {
+    try {
+      setIsLoading(true)
+      setMaterials(await ordersService.getMaterials(order.id))
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'load_materials',
+        entity: 'order'
+      })
+    } finally {
+      setIsLoading(false)
+    }
+  }, [order.id])
+
+  useEffect(() => {
+    loadMaterials()
+  }, [loadMaterials])
+
+  const handleAllocate = async () => {
+    try {
+      setIsAllocating(true)
+      const { allocations, ...position } = await ordersService.allocateMaterials(order.id)
+      setMaterials(position)
+      if (allocations.length > 0) {
+        await onChanged?.()
+      }
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'allocate_materials',
+        entity: 'order'
+      })
+    } finally {
+      setIsAllocating(false)
+    }
+  }
+
+  // Nothing to show for stock codes without a bill of materials
+  if (!isLoading && materials && materials.components.length === 0) return null
+
+  const badge = materials && getMaterialBadgeConfig(materials.material_status)
+  const canAllocateMore = materials?.components.some(component =>
+    component.outstanding > 0 && component.available > 0
+  )
+
+  return (
+    <div>
+      <div className="flex items-center justify-between">
+        <Label className="text-sm font-medium">Materials</Label>
+        {badge ? (
+          <Badge variant="outline" className={cn("gap-1", badge.className)}>
+            <PackageX className="h-3 w-3" />
+            {badge.label}
+          </Badge>
+        ) : materials && (
+          <Badge variant="outline" className="gap-1 border-green-300 bg-green-50 text-green-800">
+            <PackageCheck className="h-3 w-3" />
+            Available
+          </Badge>
+        )}
+      </div>
+      {isLoading ? (
+        <div className="flex items-center gap-2 py-2 text-sm text-muted-foreground">
+          <Loader2 className="h-4 w-4 animate-spin" />
+          Loading materials...
+        </div>
+      ) : materials && (
+        <div className="mt-2 space-y-2">
+          <div className="border rounded">
+            <table className="w-full text-sm">
+              <thead className="bg-muted/30 text-xs text-muted-foreground">
+                <tr>
+                  <th className="p-2 text-left font-medium">Component</th>
+                  <th className="p-2 text-right font-medium">Required</th>
+                  <th className="p-2 text-right font-medium">Allocated</th>
+                  <th className="p-2 text-right font-medium">Issued</th>
+                  <th className="p-2 text-right font-medium">Free stock</th>
+                  <th className="p-2 text-right font-medium">Short</th>
+                </tr>
+              </thead>
+              <tbody>
+                {materials.components.map(component => (
+                  <tr key={component.component_code} className="border-t">
+                    <td className="p-2 font-medium">
+                      {component.component_code}
+                      <span className="ml-1 text-xs text-muted-foreground">({component.unit})</span>
+                    </td>
+                    <td className="p-2 text-right">{component.required}</td>
+                    <td className="p-2 text-right">{component.allocated}</td>
+                    <td className="p-2 text-right">{component.issued}</td>
+                    <td className="p-2 text-right">{component.available}</td>
+                    <td className={cn("p-2 text-right", component.shortage > 0 && "font-medium text-red-700")}>
+                      {component.shortage > 0 ? component.shortage : '-'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {canAllocate && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={handleAllocate}
+              disabled={!canAllocateMore || isAllocating}
+              title="Allocate free stock to everything this order still needs"
+            >
+              {isAllocating ? (
+                <Loader2 className="h-4 w-4 mr-1 animate-spin" />
+              ) : (
+                <PackageCheck className="h-4 w-4 mr-1" />
+              )}
+              Allocate Free Stock
+            </Button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
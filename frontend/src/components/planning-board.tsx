@@ -14,6 +14,10 @@
  * - Work centre column reordering with backend persistence
  * - Live user presence indicators
  * - Responsive grid layout for different screen sizes
+ * - "Ready to run" filter showing only orders with their material and no open blockers
+ * - Undo/redo of the user's own moves and reorders (Ctrl+Z / Ctrl+Shift+Z)
+ * - Shift/Ctrl-click multi-selection; dragging a selected card moves the whole selection
+ * - Saved views (filter, collapsed cards, visible work centres) that can be shared or linked
  * 
  * Real-time Collaboration:
  * - Orders are locked when being moved by users
@@ -29,9 +33,9 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from "react"
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
 import { Badge } from "@/components/ui/badge"
-import { Settings, Plus, GripVertical, Tablet, AlertTriangle, ChevronUp, ChevronDown, X } from "lucide-react"
+import { Settings, Plus, GripVertical, Tablet, AlertTriangle, ChevronUp, ChevronDown, X, Scissors, Merge, PackageCheck, Undo2, Redo2, Columns3 } from "lucide-react"
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog"
-import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from "@/components/ui/dropdown-menu"
+import { DropdownMenu, DropdownMenuCheckboxItem, DropdownMenuContent, DropdownMenuItem, DropdownMenuLabel, DropdownMenuSeparator, DropdownMenuTrigger } from "@/components/ui/dropdown-menu"
 import { Button } from "@/components/ui/button"
 import { Input } from "@/components/ui/input"
 import { Label } from "@/components/ui/label"
@@ -39,17 +43,25 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@
 import { Textarea } from "@/components/ui/textarea"
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
 import { OrderCard } from "@/components/order-card"
+import { OrderDependenciesPanel } from "@/components/order-dependencies-panel"
+import { OrderMaterialsPanel } from "@/components/order-materials-panel"
 import { OnlineUsersIndicator } from "@/components/online-users-indicator"
 import { CharacteristicLegend } from "@/components/characteristic-legend"
 import { CharacteristicSelector } from "@/components/characteristic-selector"
 import { CharacteristicEditor } from "@/components/characteristic-editor"
+import { SplitOrderDialog } from "@/components/split-order-dialog"
+import { ChangeoverTimesDialog } from "@/components/changeover-times-dialog"
+import { MinimiseChangeoversDialog } from "@/components/minimise-changeovers-dialog"
+import { SavedViewsMenu } from "@/components/saved-views-menu"
+import { VersionConflictDialog, formatConflictValue } from "@/components/version-conflict-dialog"
 import { useWebSocket } from "@/hooks/use-websocket"
-import { workCentresService, ordersService, userSettingsService, characteristicsService } from "@/lib/api-services"
+import { workCentresService, ordersService, planningBoardService, userSettingsService, characteristicsService } from "@/lib/api-services"
 import { notify } from "@/lib/notifications"
-import { type AppError } from "@/lib/error-handling"
+import { isVersionConflict, type AppError } from "@/lib/error-handling"
 import { useAuth } from "@/contexts/auth-context"
-import type { ManufacturingOrder, WorkCentre, UserCharacteristicSettings, JobCharacteristic } from "@/types/manufacturing"
+import type { ManufacturingOrder, WorkCentre, UserCharacteristicSettings, JobCharacteristic, BoardActionSummary, BoardHistory, BoardViewState } from "@/types/manufacturing"
 import { cn } from "@/lib/utils"
+import { isReadyToRun } from "@/lib/order-utils"
 import {
   draggable,
   dropTargetForElements,
@@ -59,12 +71,17 @@ import { reorder } from "@atlaskit/pragmatic-drag-and-drop/reorder"
 import { toast } from "sonner"
 // import DropIndicator from "@atlaskit/pragmatic-drag-and-drop-react-drop-indicator"
 
+// How often a multi-card drag renews its locks; well inside the server's lock lifetime (30s by default)
+const DRAG_LOCK_RENEW_INTERVAL_MS = 10000
+
 // TypeScript interfaces for drag events
 interface DragData {
   type: 'order' | 'work-centre'
   id: number
   sourceColumnId?: number
   sourceIndex?: number
+  /** Every order being dragged when a card from a multi-card selection is picked up */
+  orderIds?: number[]
   [key: string | symbol]: unknown
 }
 
@@ -83,18 +100,42 @@ interface PlanningBoardProps {
   workCentres: WorkCentre[]
   /** Callback when an order is moved between work centres */
   onOrderMove?: (orderId: number, newWorkCentreId: number, newIndex?: number) => void
+  /** Callback when a multi-card selection is moved to another work centre */
+  onOrdersBulkMove?: (orderIds: number[], newWorkCentreId: number) => Promise<void>
   /** Callback for page navigation */
   onNavigate?: (page: string) => void
   /** Callback to refresh work centres data after reordering */
   onWorkCentreUpdate?: () => Promise<void>
-  /** Callback to refresh orders data after reordering */
-  onOrderUpdate?: (orderId: number, update: Partial<ManufacturingOrder>) => Promise<void>
+  /** Save a change to an order made at the given version; resolves to the updated order */
+  onOrderUpdate?: (orderId: number, update: Partial<ManufacturingOrder>, version: number) => Promise<ManufacturingOrder | void>
   /** Callback when orders are reordered within a work centre */
   onOrderReorder?: (workCentreId: number, orderPositions: Array<{ order_id: number; position: number }>) => Promise<void>
+  /** Callback to refresh orders data after orders are split or merged */
+  onOrdersChanged?: () => Promise<void>
+  /** Turns off undo/redo, which always act on the live board (e.g. while a what-if scenario is shown) */
+  historyDisabled?: boolean
+  /** Order to open in the details dialog, e.g. one picked from the global search */
+  focusOrderId?: number | null
+  /** Called once focusOrderId has been opened */
+  onOrderFocused?: () => void
+  /** View to open with, e.g. from a shared link */
+  initialViewState?: BoardViewState
   /** TV Mode: display-only, high-contrast, no controls */
   tvMode?: boolean
 }
 
+// Order details fields, as named in the conflict prompt
+const ORDER_FIELD_LABELS: Partial<Record<keyof ManufacturingOrder, string>> = {
+  status: "Status",
+  priority: "Priority",
+  quantity_completed: "Quantity completed",
+  current_work_centre_id: "Work centre",
+  current_operation: "Current operation",
+  due_date: "Due date",
+  start_date: "Start date",
+  completion_date: "Completion date",
+}
+
 // Mock current user for demo
 const currentUser = {
   id: "user-1",
@@ -207,17 +248,26 @@ function DraggableOrderCard({
   onClick,
   characteristicSettings,
   isCollapsed,
-  onToggleCollapse
+  onToggleCollapse,
+  onBlockerClick,
+  isSelected = false,
+  dragOrderIds,
+  onToggleSelect
 }: { 
   order: ManufacturingOrder
   columnId: number
   index: number
   isDragging: boolean
-  onDragStart: (order: ManufacturingOrder) => void 
+  onDragStart: (order: ManufacturingOrder, orderIds?: number[]) => void 
   onClick?: (order: ManufacturingOrder) => void
   characteristicSettings?: UserCharacteristicSettings
   isCollapsed?: boolean
   onToggleCollapse?: () => void
+  onBlockerClick?: (orderId: number) => void
+  isSelected?: boolean
+  /** Orders dragged along with this one (the whole selection when this card is part of it) */
+  dragOrderIds?: number[]
+  onToggleSelect?: (order: ManufacturingOrder) => void
 }) {
   const ref = useRef<HTMLDivElement | null>(null)
   
@@ -231,23 +281,35 @@ function DraggableOrderCard({
         type: 'order',
         id: order.id,
         sourceColumnId: columnId,
-        sourceIndex: index
+        sourceIndex: index,
+        orderIds: dragOrderIds
       }),
-      onDragStart: () => onDragStart(order),
+      onDragStart: () => onDragStart(order, dragOrderIds),
     })
     
     return cleanup
-  }, [order, columnId, index, onDragStart])
+  }, [order, columnId, index, onDragStart, dragOrderIds])
+
+  // Shift/Ctrl/Cmd-click selects the card instead of opening it
+  const handleClickCapture = (event: React.MouseEvent) => {
+    if (!onToggleSelect || !(event.shiftKey || event.ctrlKey || event.metaKey)) return
+    event.preventDefault()
+    event.stopPropagation()
+    onToggleSelect(order)
+  }
 
   return (
     <div
       ref={ref}
       className={cn(
         "cursor-grab active:cursor-grabbing bg-white rounded shadow-sm border transition-all duration-200",
+        isSelected && !isDragging && "ring-2 ring-blue-400 bg-blue-50",
         isDragging && "opacity-75 shadow-lg rotate-2 scale-105 ring-2 ring-blue-500"
       )}
       style={{ zIndex: isDragging ? 100 : undefined }}
       tabIndex={0}
+      aria-selected={isSelected}
+      onClickCapture={handleClickCapture}
     >
       <OrderCard 
         order={order} 
@@ -257,6 +319,7 @@ function DraggableOrderCard({
         characteristicSettings={characteristicSettings}
         isCollapsed={isCollapsed}
         onToggleCollapse={onToggleCollapse}
+        onBlockerClick={onBlockerClick}
       />
     </div>
   )
@@ -329,10 +392,16 @@ function MainPlanningBoard({
   orders, 
   workCentres, 
   onOrderMove, 
+  onOrdersBulkMove,
   onNavigate, 
   onWorkCentreUpdate,
   onOrderUpdate,
-  onOrderReorder
+  onOrderReorder,
+  onOrdersChanged,
+  historyDisabled = false,
+  focusOrderId,
+  onOrderFocused,
+  initialViewState
 }: Omit<PlanningBoardProps, 'tvMode'>) {
   const { user, hasPermission } = useAuth()
   const { connectedUsers, isConnected } = useWebSocket(currentUser)
@@ -342,8 +411,17 @@ function MainPlanningBoard({
   const [isCreateOrderDialogOpen, setIsCreateOrderDialogOpen] = useState(false)
   const [isOrderDetailsDialogOpen, setIsOrderDetailsDialogOpen] = useState(false)
   const [selectedOrder, setSelectedOrder] = useState<ManufacturingOrder | null>(null)
+  // Order details edits save one at a time, each against the version the last save returned
+  const selectedOrderVersionRef = useRef<number | null>(null)
+  const orderDetailsSavesRef = useRef<Promise<void>>(Promise.resolve())
+  // Edit refused because someone else saved the order first, with the order as they left it
+  const [orderConflict, setOrderConflict] = useState<{ change: Partial<ManufacturingOrder>; current: ManufacturingOrder } | null>(null)
+  const [orderToSplit, setOrderToSplit] = useState<ManufacturingOrder | null>(null)
+  const [isMergingOrder, setIsMergingOrder] = useState(false)
+  const [changeoverWorkCentre, setChangeoverWorkCentre] = useState<WorkCentre | null>(null)
+  const [resequenceWorkCentre, setResequenceWorkCentre] = useState<WorkCentre | null>(null)
   const [isCharacteristicEditorOpen, setIsCharacteristicEditorOpen] = useState(false)
-  const [draggedOrderId, setDraggedOrderId] = useState<number | null>(null)
+  const [draggedOrderIds, setDraggedOrderIds] = useState<number[]>([])
   const [draggedWorkCentreId, setDraggedWorkCentreId] = useState<number | null>(null)
   
   // Characteristics settings state - ENABLE BY DEFAULT for testing
@@ -359,7 +437,32 @@ function MainPlanningBoard({
   const [legendCollapsed, setLegendCollapsed] = useState(true)
   
   // Card collapse state - maps order ID to collapse state
-  const [collapsedCards, setCollapsedCards] = useState<Record<number, boolean>>({})
+  const [collapsedCards, setCollapsedCards] = useState<Record<number, boolean>>(() =>
+    Object.fromEntries((initialViewState?.collapsed_order_ids ?? []).map(id => [id, true]))
+  )
+
+  // Work centre columns hidden from the board (0 is the unassigned column)
+  const [hiddenWorkCentreIds, setHiddenWorkCentreIds] = useState<number[]>(initialViewState?.hidden_work_centre_ids ?? [])
+
+  // Undo/redo history for the current user's moves and reorders
+  const [history, setHistory] = useState<BoardHistory | null>(null)
+  const [isSteppingHistory, setIsSteppingHistory] = useState(false)
+  const canUseHistory = !historyDisabled && !!user && hasPermission('orders:move')
+
+  // Multi-card selection (shift/ctrl-click); dragging a selected card moves the whole selection
+  const [selectedOrderIds, setSelectedOrderIds] = useState<number[]>([])
+  const canMoveSelection = !!onOrdersBulkMove && !!user && hasPermission('orders:move')
+  // Resolves once the drag locks for a multi-card drag are held (false if another user holds one)
+  const setDragLockRef = useRef<Promise<boolean> | null>(null)
+  // Renews those locks while the drag lasts
+  const dragLockHeartbeatRef = useRef<ReturnType<typeof setInterval> | null>(null)
+
+  // Ready to run filter - hidden cards keep their column index so drops and reorders still line up
+  const [showReadyToRunOnly, setShowReadyToRunOnly] = useState(initialViewState?.ready_to_run_only ?? false)
+  const isHiddenByFilter = useCallback((order: ManufacturingOrder) =>
+    showReadyToRunOnly && !isReadyToRun(order),
+    [showReadyToRunOnly]
+  )
 
   // Order creation form state
   const [newOrderForm, setNewOrderForm] = useState({
@@ -474,8 +577,8 @@ function MainPlanningBoard({
   const [activeReorderOperations, setActiveReorderOperations] = useState<Set<number>>(new Set())
   
   const getOrdersForWorkCentre = useCallback((workCentreId: number | null) => {
-    // Handle unassigned orders (workCentreId === null)
-    const allWorkCentreOrders = orders.filter(order => 
+    // Handle unassigned orders (workCentreId === null); split orders are shown through their children
+    const allWorkCentreOrders = orders.filter(order => !order.is_split).filter(order => 
       workCentreId === null 
         ? (order.current_work_centre_id === null || order.current_work_centre_id === undefined)
         : order.current_work_centre_id === workCentreId
@@ -504,15 +607,145 @@ function MainPlanningBoard({
     [workCentres]
   )
 
-  // Drag event handlers
-  const handleOrderDragStart = useCallback((order: ManufacturingOrder) => {
-    setDraggedOrderId(order.id)
+  const visibleWorkCentres = useMemo(() =>
+    activeWorkCentres.filter(wc => !hiddenWorkCentreIds.includes(wc.id)),
+    [activeWorkCentres, hiddenWorkCentreIds]
+  )
+
+  const handleToggleWorkCentreVisible = useCallback((workCentreId: number) => {
+    setHiddenWorkCentreIds(prev => prev.includes(workCentreId)
+      ? prev.filter(id => id !== workCentreId)
+      : [...prev, workCentreId]
+    )
+  }, [])
+
+  // Everything a saved view or a view link restores
+  const viewState = useMemo<BoardViewState>(() => ({
+    ready_to_run_only: showReadyToRunOnly,
+    collapsed_order_ids: Object.keys(collapsedCards).map(Number).filter(id => collapsedCards[id]),
+    hidden_work_centre_ids: hiddenWorkCentreIds
+  }), [showReadyToRunOnly, collapsedCards, hiddenWorkCentreIds])
+
+  const applyViewState = useCallback((state: BoardViewState) => {
+    setShowReadyToRunOnly(state.ready_to_run_only)
+    setCollapsedCards(Object.fromEntries(state.collapsed_order_ids.map(id => [id, true])))
+    setHiddenWorkCentreIds(state.hidden_work_centre_ids)
+  }, [])
+
+  const stopDragLockHeartbeat = useCallback(() => {
+    if (dragLockHeartbeatRef.current) {
+      clearInterval(dragLockHeartbeatRef.current)
+      dragLockHeartbeatRef.current = null
+    }
   }, [])
 
+  // Keep renewing a multi-card drag's locks so a long drag doesn't lose them; warns once about any already lost
+  const startDragLockHeartbeat = useCallback((orderIds: number[]) => {
+    stopDragLockHeartbeat()
+    let heldIds = orderIds
+
+    dragLockHeartbeatRef.current = setInterval(() => {
+      ordersService.bulkRenewMove(heldIds)
+        .then(({ lostOrderIds }) => {
+          if (lostOrderIds.length === 0) return
+          heldIds = heldIds.filter(id => !lostOrderIds.includes(id))
+          notify.warning(`${lostOrderIds.length} of the orders being moved ${lostOrderIds.length === 1 ? 'is' : 'are'} no longer locked to you and may be moved by someone else`)
+        })
+        .catch((error: unknown) => {
+          console.error('Failed to renew drag locks:', error)
+        })
+    }, DRAG_LOCK_RENEW_INTERVAL_MS)
+  }, [stopDragLockHeartbeat])
+
+  useEffect(() => stopDragLockHeartbeat, [stopDragLockHeartbeat])
+
+  // Drag event handlers
+  const handleOrderDragStart = useCallback((order: ManufacturingOrder, orderIds?: number[]) => {
+    setDraggedOrderIds(orderIds ?? [order.id])
+    if (!orderIds) return
+
+    // Lock the whole set up front so nobody else can move part of it mid-drag
+    setDragLockRef.current = ordersService.bulkStartMove(orderIds)
+      .then(() => {
+        startDragLockHeartbeat(orderIds)
+        return true
+      })
+      .catch((error: unknown) => {
+        notify.error(error as AppError, {
+          operation: 'move_orders',
+          entity: 'orders'
+        })
+        return false
+      })
+  }, [startDragLockHeartbeat])
+
   const handleWorkCentreDragStart = useCallback((workCentre: WorkCentre) => {
     setDraggedWorkCentreId(workCentre.id)
   }, [])
 
+  const handleToggleSelect = useCallback((order: ManufacturingOrder) => {
+    setSelectedOrderIds(prev => prev.includes(order.id)
+      ? prev.filter(id => id !== order.id)
+      : [...prev, order.id])
+  }, [])
+
+  // Selected orders as they appear on the board (column by column, top to bottom), which is the order they land in
+  const selectionInBoardOrder = useMemo(() => {
+    if (selectedOrderIds.length < 2) return undefined
+    return [getOrdersForWorkCentre(null), ...activeWorkCentres.map(wc => getOrdersForWorkCentre(wc.id))]
+      .flat()
+      .map(order => order.id)
+      .filter(id => selectedOrderIds.includes(id))
+  }, [selectedOrderIds, activeWorkCentres, getOrdersForWorkCentre])
+
+  // Drop the selection of orders that have left the board, e.g. after a split or another user's change
+  useEffect(() => {
+    setSelectedOrderIds(prev => {
+      const remaining = prev.filter(id => orders.some(order => order.id === id && !order.is_split))
+      return remaining.length === prev.length ? prev : remaining
+    })
+  }, [orders])
+
+  // Escape clears the selection
+  useEffect(() => {
+    if (selectedOrderIds.length === 0) return
+
+    const handleKeyDown = (event: KeyboardEvent) => {
+      if (event.key === 'Escape') setSelectedOrderIds([])
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [selectedOrderIds.length])
+
+  // Finish a multi-card drag: move the orders not already in the target work centre, then release the set's locks
+  const handleSelectionDrop = useCallback(async (orderIds: number[], targetColumnId: number | null) => {
+    const locked = await setDragLockRef.current
+    setDragLockRef.current = null
+    stopDragLockHeartbeat()
+    if (!locked) return
+
+    const toMove = targetColumnId === null
+      ? []
+      : orderIds.filter(id => orders.find(order => order.id === id)?.current_work_centre_id !== targetColumnId)
+    let moved = false
+
+    try {
+      if (toMove.length > 0 && targetColumnId !== null && onOrdersBulkMove) {
+        await onOrdersBulkMove(toMove, targetColumnId)
+        moved = true
+        setSelectedOrderIds([])
+      }
+    } catch (error: unknown) {
+      // The parent reports the failure; keep the selection so the user can try again
+      console.error('Failed to move selected orders:', error)
+    } finally {
+      ordersService.bulkEndMove(orderIds, moved).catch((error: unknown) => {
+        console.error('Failed to release drag locks:', error)
+      })
+    }
+  }, [orders, onOrdersBulkMove, stopDragLockHeartbeat])
+
   // Reorder cards within a column
   const handleReorderInColumn = useCallback(async (
     columnId: number, 
@@ -574,14 +807,20 @@ function MainPlanningBoard({
         const dropTargets = location.current.dropTargets
         
         if (!dropTargets.length) {
-          setDraggedOrderId(null)
+          if (dragData.type === 'order' && dragData.orderIds) {
+            handleSelectionDrop(dragData.orderIds, null)
+          }
+          setDraggedOrderIds([])
           setDraggedWorkCentreId(null)
           return
         }
 
         const dropData = dropTargets[0].data as unknown as DropData
 
-        if (dragData.type === 'order') {
+        if (dragData.type === 'order' && dragData.orderIds) {
+          // Move the whole selection to the target work centre in one operation
+          handleSelectionDrop(dragData.orderIds, dropData.columnId)
+        } else if (dragData.type === 'order') {
           const orderId = dragData.id
           const targetColumnId = dropData.columnId
           const targetIndex = dropData.index
@@ -619,13 +858,13 @@ function MainPlanningBoard({
           })
         }
 
-        setDraggedOrderId(null)
+        setDraggedOrderIds([])
         setDraggedWorkCentreId(null)
       },
     })
 
     return cleanup
-  }, [onOrderMove, handleReorderInColumn])
+  }, [onOrderMove, handleReorderInColumn, handleSelectionDrop])
 
   const handleSaveColumnOrder = async () => {
     try {
@@ -742,10 +981,54 @@ function MainPlanningBoard({
     }
   }
 
-  const handleOrderClick = (order: ManufacturingOrder) => {
+  const handleMergeOrder = async (order: ManufacturingOrder) => {
+    if (!order.parent_order_id) return
+
+    try {
+      setIsMergingOrder(true)
+      const response = await ordersService.merge(order.parent_order_id)
+      toast.success(`Merged ${response.merged_orders.length} orders back into ${response.order.order_number}`)
+      setIsOrderDetailsDialogOpen(false)
+      await onOrdersChanged?.()
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'merge_orders',
+        entity: 'order'
+      })
+    } finally {
+      setIsMergingOrder(false)
+    }
+  }
+
+  const handleOrderClick = useCallback((order: ManufacturingOrder) => {
     setSelectedOrder(order)
     setIsOrderDetailsDialogOpen(true)
-  }
+  }, [])
+
+  // Open an order that is not necessarily on the board, e.g. a blocking order from a card's "Blocked by" badge
+  const handleOpenOrderById = useCallback(async (orderId: number) => {
+    const boardOrder = orders.find(order => order.id === orderId)
+    if (boardOrder) {
+      handleOrderClick(boardOrder)
+      return
+    }
+
+    try {
+      const response = await ordersService.getById(orderId)
+      handleOrderClick(response.order)
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'load_order',
+        entity: 'order'
+      })
+    }
+  }, [orders, handleOrderClick])
+
+  useEffect(() => {
+    if (focusOrderId == null) return
+    handleOpenOrderById(focusOrderId)
+    onOrderFocused?.()
+  }, [focusOrderId, handleOpenOrderById, onOrderFocused])
 
   const handleToggleCardCollapse = useCallback((orderId: number) => {
     setCollapsedCards(prev => ({
@@ -767,6 +1050,66 @@ function MainPlanningBoard({
     setCollapsedCards({})
   }, [])
 
+  // Reload the undo/redo state whenever the board data changes (after our own actions and auto-refreshes)
+  const loadHistory = useCallback(async () => {
+    try {
+      setHistory(await planningBoardService.getHistory())
+    } catch (error: unknown) {
+      console.error('Failed to load board history:', error)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (canUseHistory) loadHistory()
+  }, [canUseHistory, orders, loadHistory])
+
+  const describeAction = (action: BoardActionSummary | null | undefined) => {
+    if (!action) return ''
+    if (action.action_type === 'reorder') {
+      return `reorder of ${workCentres.find(wc => wc.id === action.work_centre_id)?.name ?? 'a work centre'}`
+    }
+    return `move of ${action.order_number}`
+  }
+
+  const handleHistoryStep = useCallback(async (direction: 'undo' | 'redo') => {
+    if (!canUseHistory || isSteppingHistory) return
+
+    try {
+      setIsSteppingHistory(true)
+      const response = direction === 'undo' ? await planningBoardService.undo() : await planningBoardService.redo()
+      toast.success(response.message)
+      setHistory(response.history)
+      await onOrdersChanged?.()
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: direction === 'undo' ? 'undo_board_action' : 'redo_board_action',
+        entity: 'order'
+      })
+      // A conflicting action is dropped from the history, so the next step is different now
+      await loadHistory()
+    } finally {
+      setIsSteppingHistory(false)
+    }
+  }, [canUseHistory, isSteppingHistory, onOrdersChanged, loadHistory])
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), leaving text fields their own undo
+  useEffect(() => {
+    if (!canUseHistory) return
+
+    const handleKeyDown = (event: KeyboardEvent) => {
+      if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return
+
+      const target = event.target as HTMLElement | null
+      if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return
+
+      event.preventDefault()
+      handleHistoryStep(event.shiftKey ? 'redo' : 'undo')
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [canUseHistory, handleHistoryStep])
+
   // Handle characteristic updates for selected order
   const handleCharacteristicUpdate = useCallback((updatedCharacteristics: JobCharacteristic[]) => {
     if (selectedOrder) {
@@ -777,6 +1120,67 @@ function MainPlanningBoard({
     }
   }, [selectedOrder])
 
+  useEffect(() => {
+    selectedOrderVersionRef.current = selectedOrder?.version ?? null
+  }, [selectedOrder?.id, selectedOrder?.version])
+
+  /**
+   * Save a change made in the order details dialog; label names it in the toasts.
+   * If someone else has saved the order since it was opened, the conflict prompt
+   * is shown instead (changes refused while it is open are added to it)
+   */
+  const saveOrderDetails = (change: Partial<ManufacturingOrder>, label: string) => {
+    const orderId = selectedOrder?.id
+    orderDetailsSavesRef.current = orderDetailsSavesRef.current.then(async () => {
+      const version = selectedOrderVersionRef.current
+      if (orderId === undefined || version === null || !onOrderUpdate) return
+
+      try {
+        const updated = await onOrderUpdate(orderId, change, version)
+        if (updated) {
+          selectedOrderVersionRef.current = updated.version
+        }
+        setSelectedOrder(prev => prev ? { ...prev, ...(updated ?? change) } : null)
+        toast.success(`${label} updated successfully`)
+      } catch (error) {
+        if (isVersionConflict(error)) {
+          const current: ManufacturingOrder = error.details.order
+          setOrderConflict(prev => ({ change: { ...prev?.change, ...change }, current }))
+          return
+        }
+        console.error(`[PlanningBoard] Error updating ${label.toLowerCase()}:`, error);
+        toast.error(`Failed to update ${label.toLowerCase()}`)
+      }
+    })
+  }
+
+  // Take the order as someone else saved it, dropping the refused change
+  const handleReloadConflictingOrder = () => {
+    if (!orderConflict) return
+    selectedOrderVersionRef.current = orderConflict.current.version
+    setSelectedOrder(prev => prev ? { ...prev, ...orderConflict.current } : null)
+    setOrderConflict(null)
+  }
+
+  // Save the refused change on top of what someone else saved
+  const handleApplyConflictingChange = () => {
+    if (!orderConflict) return
+    selectedOrderVersionRef.current = orderConflict.current.version
+    setSelectedOrder(prev => prev ? { ...prev, ...orderConflict.current } : null)
+    setOrderConflict(null)
+    saveOrderDetails(orderConflict.change, 'Order')
+  }
+
+  const describeOrderValue = (field: keyof ManufacturingOrder, value: unknown) => {
+    if (field === 'current_work_centre_id') {
+      return value ? workCentres.find(wc => wc.id === value)?.name ?? `#${value}` : 'Unassigned'
+    }
+    if (field.endsWith('_date') && typeof value === 'string') {
+      return new Date(value).toLocaleDateString()
+    }
+    return formatConflictValue(value)
+  }
+
 
   return (
     <div className="space-y-4">
@@ -825,6 +1229,37 @@ function MainPlanningBoard({
             >
               <Plus className="h-4 w-4 mr-1" /> Create Order
             </Button>
+            <Button 
+              onClick={() => handleHistoryStep('undo')}
+              size="sm" 
+              variant="outline"
+              disabled={!canUseHistory || !history?.can_undo || isSteppingHistory}
+              className="md:h-8 h-10 touch-manipulation"
+              title={history?.undo ? `Undo ${describeAction(history.undo)} (Ctrl+Z)` : 'Nothing to undo'}
+            >
+              <Undo2 className="h-4 w-4 mr-1" /> Undo
+            </Button>
+            <Button 
+              onClick={() => handleHistoryStep('redo')}
+              size="sm" 
+              variant="outline"
+              disabled={!canUseHistory || !history?.can_redo || isSteppingHistory}
+              className="md:h-8 h-10 touch-manipulation"
+              title={history?.redo ? `Redo ${describeAction(history.redo)} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+            >
+              <Redo2 className="h-4 w-4 mr-1" /> Redo
+            </Button>
+            {selectedOrderIds.length > 0 && (
+              <Button 
+                onClick={() => setSelectedOrderIds([])}
+                size="sm" 
+                variant="secondary"
+                className="md:h-8 h-10 touch-manipulation"
+                title="Drag any selected card to move them all; Shift/Ctrl-click to add or remove cards (Esc to clear)"
+              >
+                <X className="h-4 w-4 mr-1" /> {selectedOrderIds.length} selected
+              </Button>
+            )}
             <Button 
               onClick={() => window.open('/tv', '_blank')} 
               size="sm" 
@@ -833,6 +1268,15 @@ function MainPlanningBoard({
             >
               <Tablet className="h-4 w-4 mr-1" /> TV Display
             </Button>
+            <Button 
+              onClick={() => setShowReadyToRunOnly(prev => !prev)}
+              size="sm" 
+              variant={showReadyToRunOnly ? "default" : "outline"}
+              className="md:h-8 h-10 touch-manipulation"
+              title="Only show orders with their material and nothing blocking them"
+            >
+              <PackageCheck className="h-4 w-4 mr-1" /> Ready to Run
+            </Button>
             <Button 
               onClick={handleCollapseAll}
               size="sm" 
@@ -851,6 +1295,45 @@ function MainPlanningBoard({
             >
               <ChevronDown className="h-4 w-4 mr-1" /> Expand All
             </Button>
+            <DropdownMenu>
+              <DropdownMenuTrigger asChild>
+                <Button 
+                  size="sm" 
+                  variant={hiddenWorkCentreIds.length > 0 ? "default" : "outline"}
+                  className="md:h-8 h-10 touch-manipulation"
+                  title="Choose which work centres are shown"
+                >
+                  <Columns3 className="h-4 w-4 mr-1" /> Work Centres
+                </Button>
+              </DropdownMenuTrigger>
+              <DropdownMenuContent align="end">
+                <DropdownMenuLabel>Show columns</DropdownMenuLabel>
+                <DropdownMenuSeparator />
+                <DropdownMenuCheckboxItem
+                  checked={!hiddenWorkCentreIds.includes(0)}
+                  onCheckedChange={() => handleToggleWorkCentreVisible(0)}
+                  onSelect={(event) => event.preventDefault()}
+                >
+                  Unassigned
+                </DropdownMenuCheckboxItem>
+                {activeWorkCentres.map(wc => (
+                  <DropdownMenuCheckboxItem
+                    key={wc.id}
+                    checked={!hiddenWorkCentreIds.includes(wc.id)}
+                    onCheckedChange={() => handleToggleWorkCentreVisible(wc.id)}
+                    onSelect={(event) => event.preventDefault()}
+                  >
+                    {wc.name}
+                  </DropdownMenuCheckboxItem>
+                ))}
+              </DropdownMenuContent>
+            </DropdownMenu>
+            <SavedViewsMenu 
+              page="planning" 
+              state={viewState} 
+              onApply={applyViewState}
+              className="md:h-8 h-10 touch-manipulation"
+            />
             <Button 
               onClick={() => setIsConfigureDialogOpen(true)} 
               size="sm" 
@@ -1179,17 +1662,7 @@ function MainPlanningBoard({
                     value={selectedOrder.status}
                     onValueChange={async (newStatus: ManufacturingOrder['status']) => {
                       console.log('[PlanningBoard] Status change initiated:', { orderId: selectedOrder.id, newStatus });
-                      try {
-                        console.log('[PlanningBoard] Calling onOrderUpdate...');
-                        await onOrderUpdate?.(selectedOrder.id, { status: newStatus })
-                        console.log('[PlanningBoard] onOrderUpdate completed successfully');
-                        // Update the local state
-                        setSelectedOrder(prev => prev ? { ...prev, status: newStatus } : null)
-                        toast.success('Order status updated successfully')
-                      } catch (error) {
-                        console.error('[PlanningBoard] Error updating order status:', error);
-                        toast.error('Failed to update order status')
-                      }
+                      saveOrderDetails({ status: newStatus }, 'Order status')
                     }}
                   >
                     <SelectTrigger className="mt-1">
@@ -1210,14 +1683,7 @@ function MainPlanningBoard({
                   <Select
                     value={selectedOrder.priority}
                     onValueChange={async (newPriority: ManufacturingOrder['priority']) => {
-                      try {
-                        await onOrderUpdate?.(selectedOrder.id, { priority: newPriority })
-                        setSelectedOrder(prev => prev ? { ...prev, priority: newPriority } : null)
-                        toast.success('Order priority updated successfully')
-                      } catch (error) {
-                        console.error('[PlanningBoard] Error updating order priority:', error);
-                        toast.error('Failed to update order priority')
-                      }
+                      saveOrderDetails({ priority: newPriority }, 'Order priority')
                     }}
                   >
                     <SelectTrigger className="mt-1">
@@ -1244,14 +1710,7 @@ function MainPlanningBoard({
                         toast.error(`Completed quantity cannot exceed ${selectedOrder.quantity_to_make}`)
                         return;
                       }
-                      try {
-                        await onOrderUpdate?.(selectedOrder.id, { quantity_completed: newQuantity })
-                        setSelectedOrder(prev => prev ? { ...prev, quantity_completed: newQuantity } : null)
-                        toast.success('Quantity completed updated successfully')
-                      } catch (error) {
-                        console.error('[PlanningBoard] Error updating quantity completed:', error);
-                        toast.error('Failed to update quantity completed')
-                      }
+                      saveOrderDetails({ quantity_completed: newQuantity }, 'Quantity completed')
                     }}
                     className="mt-1"
                   />
@@ -1291,14 +1750,7 @@ function MainPlanningBoard({
                     value={selectedOrder.current_work_centre_id?.toString() || 'unassigned'}
                     onValueChange={async (value) => {
                       const workCentreId = value === 'unassigned' ? null : parseInt(value);
-                      try {
-                        await onOrderUpdate?.(selectedOrder.id, { current_work_centre_id: workCentreId })
-                        setSelectedOrder(prev => prev ? { ...prev, current_work_centre_id: workCentreId } : null)
-                        toast.success('Work centre updated successfully')
-                      } catch (error) {
-                        console.error('[PlanningBoard] Error updating work centre:', error);
-                        toast.error('Failed to update work centre')
-                      }
+                      saveOrderDetails({ current_work_centre_id: workCentreId }, 'Work centre')
                     }}
                   >
                     <SelectTrigger className="mt-1">
@@ -1320,14 +1772,7 @@ function MainPlanningBoard({
                     value={selectedOrder.current_operation || ''}
                     onChange={async (e) => {
                       const newOperation = e.target.value.trim();
-                      try {
-                        await onOrderUpdate?.(selectedOrder.id, { current_operation: newOperation || undefined })
-                        setSelectedOrder(prev => prev ? { ...prev, current_operation: newOperation || undefined } : null)
-                        toast.success('Current operation updated successfully')
-                      } catch (error) {
-                        console.error('[PlanningBoard] Error updating current operation:', error);
-                        toast.error('Failed to update current operation')
-                      }
+                      saveOrderDetails({ current_operation: newOperation || undefined }, 'Current operation')
                     }}
                     placeholder="Enter current operation"
                     className="mt-1"
@@ -1344,14 +1789,7 @@ function MainPlanningBoard({
                     value={selectedOrder.due_date ? new Date(selectedOrder.due_date).toISOString().split('T')[0] : ''}
                     onChange={async (e) => {
                       const newDueDate = e.target.value ? new Date(e.target.value).toISOString() : undefined;
-                      try {
-                        await onOrderUpdate?.(selectedOrder.id, { due_date: newDueDate })
-                        setSelectedOrder(prev => prev ? { ...prev, due_date: newDueDate } : null)
-                        toast.success('Due date updated successfully')
-                      } catch (error) {
-                        console.error('[PlanningBoard] Error updating due date:', error);
-                        toast.error('Failed to update due date')
-                      }
+                      saveOrderDetails({ due_date: newDueDate }, 'Due date')
                     }}
                     className="mt-1"
                   />
@@ -1363,14 +1801,7 @@ function MainPlanningBoard({
                     value={selectedOrder.start_date ? new Date(selectedOrder.start_date).toISOString().split('T')[0] : ''}
                     onChange={async (e) => {
                       const newStartDate = e.target.value ? new Date(e.target.value).toISOString() : undefined;
-                      try {
-                        await onOrderUpdate?.(selectedOrder.id, { start_date: newStartDate })
-                        setSelectedOrder(prev => prev ? { ...prev, start_date: newStartDate } : null)
-                        toast.success('Start date updated successfully')
-                      } catch (error) {
-                        console.error('[PlanningBoard] Error updating start date:', error);
-                        toast.error('Failed to update start date')
-                      }
+                      saveOrderDetails({ start_date: newStartDate }, 'Start date')
                     }}
                     className="mt-1"
                   />
@@ -1382,14 +1813,7 @@ function MainPlanningBoard({
                     value={selectedOrder.completion_date ? new Date(selectedOrder.completion_date).toISOString().split('T')[0] : ''}
                     onChange={async (e) => {
                       const newCompletionDate = e.target.value ? new Date(e.target.value).toISOString() : undefined;
-                      try {
-                        await onOrderUpdate?.(selectedOrder.id, { completion_date: newCompletionDate })
-                        setSelectedOrder(prev => prev ? { ...prev, completion_date: newCompletionDate } : null)
-                        toast.success('Completion date updated successfully')
-                      } catch (error) {
-                        console.error('[PlanningBoard] Error updating completion date:', error);
-                        toast.error('Failed to update completion date')
-                      }
+                      saveOrderDetails({ completion_date: newCompletionDate }, 'Completion date')
                     }}
                     className="mt-1"
                     disabled={selectedOrder.status !== 'complete'}
@@ -1425,6 +1849,22 @@ function MainPlanningBoard({
                 </div>
               )}
 
+              {/* Materials Section */}
+              <OrderMaterialsPanel
+                order={selectedOrder}
+                canAllocate={!!user && hasPermission('materials:write')}
+                onChanged={onOrdersChanged}
+              />
+
+              {/* Dependencies Section */}
+              <OrderDependenciesPanel
+                order={selectedOrder}
+                orders={orders}
+                canEdit={!!user && hasPermission('orders:write')}
+                onOrderClick={handleOpenOrderById}
+                onChanged={onOrdersChanged}
+              />
+
               {/* Characteristics Section */}
               <div>
                 <div className="flex items-center justify-between">
@@ -1474,7 +1914,30 @@ function MainPlanningBoard({
                 </div>
               </div>
 
-              <div className="flex justify-end">
+              <div className="flex justify-end gap-2">
+                {selectedOrder.parent_order_id ? (
+                  <Button
+                    variant="outline"
+                    onClick={() => handleMergeOrder(selectedOrder)}
+                    disabled={!hasPermission('orders:write') || isMergingOrder}
+                    title="Merge all parts back into the original order"
+                  >
+                    <Merge className="h-4 w-4 mr-1" />
+                    Merge into {selectedOrder.parent_order_number}
+                  </Button>
+                ) : (
+                  <Button
+                    variant="outline"
+                    onClick={() => {
+                      setIsOrderDetailsDialogOpen(false)
+                      setOrderToSplit(selectedOrder)
+                    }}
+                    disabled={!hasPermission('orders:write') || selectedOrder.quantity_to_make < 2}
+                  >
+                    <Scissors className="h-4 w-4 mr-1" />
+                    Split order
+                  </Button>
+                )}
                 <Button 
                   variant="outline"
                   onClick={() => setIsOrderDetailsDialogOpen(false)}
@@ -1487,6 +1950,43 @@ function MainPlanningBoard({
         </DialogContent>
       </Dialog>
 
+      {/* Order details edit refused: someone else saved the order first */}
+      <VersionConflictDialog
+        open={orderConflict !== null}
+        subject={`order ${selectedOrder?.order_number ?? ''}`.trim()}
+        fields={orderConflict
+          ? (Object.keys(orderConflict.change) as (keyof ManufacturingOrder)[]).map(field => ({
+              label: ORDER_FIELD_LABELS[field] ?? field,
+              mine: describeOrderValue(field, orderConflict.change[field]),
+              theirs: describeOrderValue(field, orderConflict.current[field]),
+            }))
+          : []}
+        onReload={handleReloadConflictingOrder}
+        onApplyMine={handleApplyConflictingChange}
+        onCancel={() => setOrderConflict(null)}
+      />
+
+      {/* Split Order Dialog */}
+      <SplitOrderDialog
+        order={orderToSplit}
+        workCentres={workCentres}
+        onOpenChange={(open) => !open && setOrderToSplit(null)}
+        onSplit={onOrdersChanged}
+      />
+
+      {/* Changeover Dialogs */}
+      <ChangeoverTimesDialog
+        workCentre={changeoverWorkCentre}
+        characteristics={allCharacteristics}
+        canEdit={!!user && hasPermission('changeovers:write')}
+        onOpenChange={(open) => !open && setChangeoverWorkCentre(null)}
+      />
+      <MinimiseChangeoversDialog
+        workCentre={resequenceWorkCentre}
+        onOpenChange={(open) => !open && setResequenceWorkCentre(null)}
+        onApplied={onOrdersChanged}
+      />
+
       {/* Characteristic Editor Dialog */}
       {selectedOrder && (
         <CharacteristicEditor
@@ -1572,7 +2072,7 @@ function MainPlanningBoard({
       {/* Main Planning Board Grid - Optimized for Tablet with max width constraints */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 2xl:grid-cols-5 gap-3 md:gap-4 w-full overflow-x-auto">
         {/* Unassigned Orders Column */}
-        {(() => {
+        {!hiddenWorkCentreIds.includes(0) && (() => {
           const unassignedOrders = getOrdersForWorkCentre(null)
           
           return (
@@ -1610,7 +2110,7 @@ function MainPlanningBoard({
                         <div className="h-3 flex items-center justify-center" />
                       </DropZone>
                       
-                      {unassignedOrders.map((order, index) => (
+                      {unassignedOrders.map((order, index) => isHiddenByFilter(order) ? null : (
                         <React.Fragment key={order.id}>
                           <DropZone
                             columnId={0}
@@ -1622,12 +2122,16 @@ function MainPlanningBoard({
                               order={order}
                               columnId={0}
                               index={index}
-                              isDragging={draggedOrderId === order.id}
+                              isDragging={draggedOrderIds.includes(order.id)}
                               onDragStart={handleOrderDragStart}
                               onClick={handleOrderClick}
                               characteristicSettings={characteristicSettings}
                               isCollapsed={collapsedCards[order.id]}
                               onToggleCollapse={() => handleToggleCardCollapse(order.id)}
+                              onBlockerClick={handleOpenOrderById}
+                              isSelected={selectedOrderIds.includes(order.id)}
+                              dragOrderIds={selectedOrderIds.includes(order.id) ? selectionInBoardOrder : undefined}
+                              onToggleSelect={canMoveSelection ? handleToggleSelect : undefined}
                             />
                           </DropZone>
                           
@@ -1651,7 +2155,7 @@ function MainPlanningBoard({
         })()}
 
         {/* Regular Work Centre Columns */}
-        {activeWorkCentres.map((workCentre) => {
+        {visibleWorkCentres.map((workCentre) => {
           const workCentreOrders = getOrdersForWorkCentre(workCentre.id)
           
           return (
@@ -1679,6 +2183,15 @@ function MainPlanningBoard({
                         <DropdownMenuItem onClick={() => console.log('View details:', workCentre)}>
                           View Details
                         </DropdownMenuItem>
+                        <DropdownMenuItem onClick={() => setChangeoverWorkCentre(workCentre)}>
+                          Changeover Times
+                        </DropdownMenuItem>
+                        <DropdownMenuItem
+                          onClick={() => setResequenceWorkCentre(workCentre)}
+                          disabled={!user || !hasPermission('orders:move') || workCentreOrders.length < 2}
+                        >
+                          Minimise Changeovers
+                        </DropdownMenuItem>
                         <DropdownMenuItem 
                           onClick={() => console.log('Clear jobs:', workCentre)}
                           disabled={workCentreOrders.length === 0}
@@ -1707,7 +2220,7 @@ function MainPlanningBoard({
                         <div className="h-3 flex items-center justify-center" />
                       </DropZone>
                       
-                      {workCentreOrders.map((order, index) => (
+                      {workCentreOrders.map((order, index) => isHiddenByFilter(order) ? null : (
                         <React.Fragment key={order.id}>
                           <DropZone
                             columnId={workCentre.id}
@@ -1719,12 +2232,16 @@ function MainPlanningBoard({
                               order={order}
                               columnId={workCentre.id}
                               index={index}
-                              isDragging={draggedOrderId === order.id}
+                              isDragging={draggedOrderIds.includes(order.id)}
                               onDragStart={handleOrderDragStart}
                               onClick={handleOrderClick}
                               characteristicSettings={characteristicSettings}
                               isCollapsed={collapsedCards[order.id]}
                               onToggleCollapse={() => handleToggleCardCollapse(order.id)}
+                              onBlockerClick={handleOpenOrderById}
+                              isSelected={selectedOrderIds.includes(order.id)}
+                              dragOrderIds={selectedOrderIds.includes(order.id) ? selectionInBoardOrder : undefined}
+                              onToggleSelect={canMoveSelection ? handleToggleSelect : undefined}
                             />
                           </DropZone>
                           
@@ -1756,10 +2273,16 @@ export function PlanningBoard({
   orders, 
   workCentres, 
   onOrderMove, 
+  onOrdersBulkMove,
   onNavigate, 
   onWorkCentreUpdate,
   onOrderUpdate,
   onOrderReorder,
+  onOrdersChanged,
+  historyDisabled,
+  focusOrderId,
+  onOrderFocused,
+  initialViewState,
   tvMode 
 }: PlanningBoardProps) {
   if (tvMode) {
@@ -1771,10 +2294,16 @@ export function PlanningBoard({
       orders={orders}
       workCentres={workCentres}
       onOrderMove={onOrderMove}
+      onOrdersBulkMove={onOrdersBulkMove}
       onNavigate={onNavigate}
       onWorkCentreUpdate={onWorkCentreUpdate}
       onOrderUpdate={onOrderUpdate}
       onOrderReorder={onOrderReorder}
+      onOrdersChanged={onOrdersChanged}
+      historyDisabled={historyDisabled}
+      focusOrderId={focusOrderId}
+      onOrderFocused={onOrderFocused}
+      initialViewState={initialViewState}
     />
   )
 }
\ No newline at end of file
@@ -0,0 +1,509 @@
+"use client"
+
+/**
+ * RoutingsManagement - Routing template editor
+ *
+ * Maintains the reusable routing (ordered operations) for each stock code.
+ * New orders and imports with a known stock code get their steps generated
+ * from the current routing.
+ *
+ * Versioning:
+ * - Saving an edit creates a new version; earlier versions stay read-only
+ * - Orders keep the version they were created with, so edits never rewrite
+ *   in-flight orders
+ * - Retiring a routing stops step generation but keeps its history
+ */
+
+import { useState, useEffect, useCallback } from "react"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { AlertDialog, AlertDialogContent, AlertDialogHeader, AlertDialogTitle, AlertDialogDescription, AlertDialogFooter, AlertDialogCancel, AlertDialogAction } from "@/components/ui/alert-dialog"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import { Plus, Trash2, Edit, History, Loader2, Search, ArrowUp, ArrowDown } from "lucide-react"
+import type { RoutingOperation, RoutingTemplate, RoutingVersion, WorkCentre } from "@/types/manufacturing"
+import { routingsService } from "@/lib/api-services"
+import { useAuth } from "@/contexts/auth-context"
+import { toast } from "sonner"
+
+interface RoutingsManagementProps {
+  /** Work centres operations can be assigned to */
+  workCentres: WorkCentre[]
+}
+
+interface RoutingDraft {
+  stock_code: string
+  description: string
+  operations: RoutingOperation[]
+}
+
+const emptyOperation = (stepNumber: number): RoutingOperation => ({
+  step_number: stepNumber,
+  operation_name: "",
+  work_centre_id: 0,
+  planned_duration_minutes: null,
+  setup_minutes: 0,
+})
+
+// Step numbers always follow the row order in the editor
+const renumber = (operations: RoutingOperation[]) =>
+  operations.map((operation, index) => ({ ...operation, step_number: index + 1 }))
+
+export function RoutingsManagement({ workCentres }: RoutingsManagementProps) {
+  const { hasPermission } = useAuth()
+  const canWrite = hasPermission("routings:write")
+  const canDelete = hasPermission("routings:delete")
+
+  const [routings, setRoutings] = useState<RoutingTemplate[]>([])
+  const [search, setSearch] = useState("")
+  const [isLoading, setIsLoading] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+
+  // Editor state: editingStockCode is null when creating a new routing
+  const [isEditorOpen, setIsEditorOpen] = useState(false)
+  const [editingStockCode, setEditingStockCode] = useState<string | null>(null)
+  const [draft, setDraft] = useState<RoutingDraft>({ stock_code: "", description: "", operations: [emptyOperation(1)] })
+
+  // Version history state
+  const [historyStockCode, setHistoryStockCode] = useState<string | null>(null)
+  const [versions, setVersions] = useState<RoutingVersion[]>([])
+  const [viewedVersion, setViewedVersion] = useState<RoutingTemplate | null>(null)
+
+  const [retiringStockCode, setRetiringStockCode] = useState<string | null>(null)
+
+  const activeWorkCentres = workCentres.filter(wc => wc.is_active)
+
+  const loadRoutings = useCallback(async () => {
+    try {
+      setIsLoading(true)
+      const response = await routingsService.getAll(search.trim() || undefined)
+      setRoutings(response.routings)
+    } catch (error: unknown) {
+      const err = error as { error?: string; message?: string }
+      toast.error(err.error || err.message || "Failed to load routings")
+    } finally {
+      setIsLoading(false)
+    }
+  }, [search])
+
+  useEffect(() => {
+    loadRoutings()
+  }, [loadRoutings])
+
+  const openCreate = () => {
+    setEditingStockCode(null)
+    setDraft({ stock_code: "", description: "", operations: [emptyOperation(1)] })
+    setIsEditorOpen(true)
+  }
+
+  const openEdit = async (stockCode: string) => {
+    try {
+      const { routing } = await routingsService.getByStockCode(stockCode)
+      setEditingStockCode(stockCode)
+      setDraft({
+        stock_code: routing.stock_code,
+        description: routing.description || "",
+        operations: (routing.operations || []).map(({ step_number, operation_name, work_centre_id, planned_duration_minutes, setup_minutes }) => ({
+          step_number,
+          operation_name,
+          work_centre_id,
+          planned_duration_minutes,
+          setup_minutes,
+        })),
+      })
+      setIsEditorOpen(true)
+    } catch (error: unknown) {
+      const err = error as { error?: string; message?: string }
+      toast.error(err.error || err.message || "Failed to load routing")
+    }
+  }
+
+  const openHistory = async (stockCode: string) => {
+    try {
+      const response = await routingsService.getByStockCode(stockCode)
+      setHistoryStockCode(stockCode)
+      setVersions(response.versions)
+      setViewedVersion(response.routing)
+    } catch (error: unknown) {
+      const err = error as { error?: string; message?: string }
+      toast.error(err.error || err.message || "Failed to load routing history")
+    }
+  }
+
+  const viewVersion = async (version: number) => {
+    if (!historyStockCode) return
+    try {
+      const { routing } = await routingsService.getVersion(historyStockCode, version)
+      setViewedVersion(routing)
+    } catch (error: unknown) {
+      const err = error as { error?: string; message?: string }
+      toast.error(err.error || err.message || "Failed to load routing version")
+    }
+  }
+
+  const updateOperation = (index: number, changes: Partial<RoutingOperation>) => {
+    setDraft(current => ({
+      ...current,
+      operations: current.operations.map((operation, i) => (i === index ? { ...operation, ...changes } : operation)),
+    }))
+  }
+
+  const moveOperation = (index: number, offset: number) => {
+    setDraft(current => {
+      const operations = [...current.operations]
+      const [moved] = operations.splice(index, 1)
+      operations.splice(index + offset, 0, moved)
+      return { ...current, operations: renumber(operations) }
+    })
+  }
+
+  const addOperation = () => {
+    setDraft(current => ({ ...current, operations: [...current.operations, emptyOperation(current.operations.length + 1)] }))
+  }
+
+  const removeOperation = (index: number) => {
+    setDraft(current => ({ ...current, operations: renumber(current.operations.filter((_, i) => i !== index)) }))
+  }
+
+  /**
+   * Saves the editor contents - creates version 1 for a new stock code,
+   * otherwise the next version of the existing routing
+   */
+  const handleSave = async () => {
+    const stockCode = draft.stock_code.trim()
+    if (!stockCode) {
+      toast.error("Stock code is required")
+      return
+    }
+    if (draft.operations.length === 0) {
+      toast.error("A routing needs at least one operation")
+      return
+    }
+    if (draft.operations.some(operation => !operation.operation_name.trim() || !operation.work_centre_id)) {
+      toast.error("Every operation needs a name and a work centre")
+      return
+    }
+
+    const operations = renumber(draft.operations).map(operation => ({
+      ...operation,
+      operation_name: operation.operation_name.trim(),
+      planned_duration_minutes: operation.planned_duration_minutes ?? undefined,
+    }))
+
+    try {
+      setIsSaving(true)
+      if (editingStockCode) {
+        const { routing } = await routingsService.update(editingStockCode, { description: draft.description, operations })
+        toast.success(`Saved ${routing.stock_code} as version ${routing.version}`)
+      } else {
+        await routingsService.create({ stock_code: stockCode, description: draft.description, operations })
+        toast.success(`Routing created for ${stockCode}`)
+      }
+      setIsEditorOpen(false)
+      await loadRoutings()
+    } catch (error: unknown) {
+      const err = error as { error?: string; message?: string }
+      toast.error(err.error || err.message || "Failed to save routing")
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleRetire = async () => {
+    if (!retiringStockCode) return
+    try {
+      await routingsService.retire(retiringStockCode)
+      toast.success(`Routing for ${retiringStockCode} retired`)
+      await loadRoutings()
+    } catch (error: unknown) {
+      const err = error as { error?: string; message?: string }
+      toast.error(err.error || err.message || "Failed to retire routing")
+    } finally {
+      setRetiringStockCode(null)
+    }
+  }
+
+  const numberOrNull = (value: string) => (value === "" ? null : Math.max(0, Number.parseInt(value) || 0))
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-primary-blue">Routings</h2>
+          <p className="text-gray-600">Operations used to generate the steps of new orders, by stock code</p>
+        </div>
+        {canWrite && (
+          <Button onClick={openCreate}>
+            <Plus className="h-4 w-4 mr-2" />
+            New Routing
+          </Button>
+        )}
+      </div>
+
+      <Card>
+        <CardHeader className="flex flex-row items-center justify-between space-y-0">
+          <CardTitle>Current Routings</CardTitle>
+          <div className="relative w-64">
+            <Search className="absolute left-2 top-2.5 h-4 w-4 text-gray-400" />
+            <Input
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search stock codes..."
+              className="pl-8"
+            />
+          </div>
+        </CardHeader>
+        <CardContent>
+          {isLoading && routings.length === 0 ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin" />
+            </div>
+          ) : routings.length === 0 ? (
+            <p className="text-center text-gray-500 py-8">No routings yet</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Stock Code</TableHead>
+                  <TableHead>Description</TableHead>
+                  <TableHead>Version</TableHead>
+                  <TableHead>Operations</TableHead>
+                  <TableHead>Saved</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {routings.map(routing => (
+                  <TableRow key={routing.id}>
+                    <TableCell className="font-medium">{routing.stock_code}</TableCell>
+                    <TableCell>{routing.description || "-"}</TableCell>
+                    <TableCell>
+                      <Badge variant="outline">v{routing.version}</Badge>
+                    </TableCell>
+                    <TableCell>{routing.operation_count ?? 0}</TableCell>
+                    <TableCell className="text-sm text-gray-500">
+                      {new Date(routing.created_at).toLocaleDateString()}
+                      {routing.created_by_username ? ` by ${routing.created_by_username}` : ""}
+                    </TableCell>
+                    <TableCell className="text-right space-x-1">
+                      <Button variant="ghost" size="sm" onClick={() => openHistory(routing.stock_code)} title="Version history">
+                        <History className="h-4 w-4" />
+                      </Button>
+                      {canWrite && (
+                        <Button variant="ghost" size="sm" onClick={() => openEdit(routing.stock_code)} title="Edit (saves a new version)">
+                          <Edit className="h-4 w-4" />
+                        </Button>
+                      )}
+                      {canDelete && (
+                        <Button variant="ghost" size="sm" onClick={() => setRetiringStockCode(routing.stock_code)} title="Retire">
+                          <Trash2 className="h-4 w-4 text-red-600" />
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Create / edit dialog */}
+      <Dialog open={isEditorOpen} onOpenChange={setIsEditorOpen}>
+        <DialogContent className="max-w-4xl">
+          <DialogHeader>
+            <DialogTitle>{editingStockCode ? `Edit Routing - ${editingStockCode}` : "New Routing"}</DialogTitle>
+          </DialogHeader>
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <Label htmlFor="routing-stock-code">Stock Code</Label>
+                <Input
+                  id="routing-stock-code"
+                  value={draft.stock_code}
+                  onChange={(e) => setDraft({ ...draft, stock_code: e.target.value })}
+                  disabled={Boolean(editingStockCode)}
+                  maxLength={50}
+                />
+              </div>
+              <div>
+                <Label htmlFor="routing-description">Description</Label>
+                <Input
+                  id="routing-description"
+                  value={draft.description}
+                  onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+                />
+              </div>
+            </div>
+
+            {editingStockCode && (
+              <p className="text-sm text-gray-500">
+                Saving creates a new version. Orders already created keep the steps from their version.
+              </p>
+            )}
+
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="w-12">Step</TableHead>
+                  <TableHead>Operation</TableHead>
+                  <TableHead>Work Centre</TableHead>
+                  <TableHead className="w-28">Run (min)</TableHead>
+                  <TableHead className="w-28">Setup (min)</TableHead>
+                  <TableHead className="w-32" />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {draft.operations.map((operation, index) => (
+                  <TableRow key={index}>
+                    <TableCell>{index + 1}</TableCell>
+                    <TableCell>
+                      <Input
+                        value={operation.operation_name}
+                        onChange={(e) => updateOperation(index, { operation_name: e.target.value })}
+                        placeholder="e.g., Cutting"
+                        maxLength={100}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <Select
+                        value={operation.work_centre_id ? operation.work_centre_id.toString() : ""}
+                        onValueChange={(value) => updateOperation(index, { work_centre_id: Number.parseInt(value) })}
+                      >
+                        <SelectTrigger>
+                          <SelectValue placeholder="Select work centre" />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {activeWorkCentres.map(wc => (
+                            <SelectItem key={wc.id} value={wc.id.toString()}>
+                              {wc.name}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </TableCell>
+                    <TableCell>
+                      <Input
+                        type="number"
+                        min={0}
+                        value={operation.planned_duration_minutes ?? ""}
+                        onChange={(e) => updateOperation(index, { planned_duration_minutes: numberOrNull(e.target.value) })}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <Input
+                        type="number"
+                        min={0}
+                        value={operation.setup_minutes}
+                        onChange={(e) => updateOperation(index, { setup_minutes: numberOrNull(e.target.value) ?? 0 })}
+                      />
+                    </TableCell>
+                    <TableCell className="space-x-1 text-right">
+                      <Button variant="ghost" size="sm" onClick={() => moveOperation(index, -1)} disabled={index === 0}>
+                        <ArrowUp className="h-4 w-4" />
+                      </Button>
+                      <Button variant="ghost" size="sm" onClick={() => moveOperation(index, 1)} disabled={index === draft.operations.length - 1}>
+                        <ArrowDown className="h-4 w-4" />
+                      </Button>
+                      <Button variant="ghost" size="sm" onClick={() => removeOperation(index)} disabled={draft.operations.length === 1}>
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            <Button variant="outline" onClick={addOperation}>
+              <Plus className="h-4 w-4 mr-2" />
+              Add Operation
+            </Button>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setIsEditorOpen(false)}>
+              Cancel
+            </Button>
+            <Button onClick={handleSave} disabled={isSaving}>
+              {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              {editingStockCode ? "Save New Version" : "Create Routing"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      {/* Version history dialog */}
+      <Dialog open={Boolean(historyStockCode)} onOpenChange={(open) => !open && setHistoryStockCode(null)}>
+        <DialogContent className="max-w-3xl">
+          <DialogHeader>
+            <DialogTitle>Version History - {historyStockCode}</DialogTitle>
+          </DialogHeader>
+          <div className="grid grid-cols-3 gap-4">
+            <div className="space-y-2">
+              {versions.map(version => (
+                <button
+                  key={version.id}
+                  type="button"
+                  onClick={() => viewVersion(version.version)}
+                  className={`w-full rounded border p-2 text-left text-sm ${viewedVersion?.id === version.id ? "border-primary-blue bg-blue-50" : "border-gray-200"}`}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium">v{version.version}</span>
+                    {version.is_active && <Badge>Current</Badge>}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {new Date(version.created_at).toLocaleDateString()} - {version.order_count} order{version.order_count === 1 ? "" : "s"}
+                  </div>
+                </button>
+              ))}
+            </div>
+            <div className="col-span-2">
+              {viewedVersion && (
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Step</TableHead>
+                      <TableHead>Operation</TableHead>
+                      <TableHead>Work Centre</TableHead>
+                      <TableHead>Run</TableHead>
+                      <TableHead>Setup</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {(viewedVersion.operations || []).map(operation => (
+                      <TableRow key={operation.step_number}>
+                        <TableCell>{operation.step_number}</TableCell>
+                        <TableCell>{operation.operation_name}</TableCell>
+                        <TableCell>{operation.work_centre_name || operation.work_centre_code}</TableCell>
+                        <TableCell>{operation.planned_duration_minutes ?? "-"}</TableCell>
+                        <TableCell>{operation.setup_minutes}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </div>
+          </div>
+        </DialogContent>
+      </Dialog>
+
+      <AlertDialog open={Boolean(retiringStockCode)} onOpenChange={(open) => !open && setRetiringStockCode(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Retire Routing</AlertDialogTitle>
+            <AlertDialogDescription>
+              New orders for {retiringStockCode} will no longer get steps generated. Existing orders and the version history are kept.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={handleRetire}>Retire</AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  )
+}
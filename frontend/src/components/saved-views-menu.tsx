@@ -0,0 +1,292 @@
+"use client"
+
+import * as React from "react"
+import { Bookmark, Check, ChevronDown, Link2, Save, Trash2 } from "lucide-react"
+
+import { Button } from "@/components/ui/button"
+import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { useAuth } from "@/contexts/auth-context"
+import { savedViewsService } from "@/lib/api-services"
+import { notify } from "@/lib/notifications"
+import { type AppError } from "@/lib/error-handling"
+import { buildViewUrl } from "@/lib/saved-views"
+import type { SavedView, SavedViewInput, SavedViewPage, SavedViewSharing, SavedViewStates, User } from "@/types/manufacturing"
+
+interface SavedViewsMenuProps<P extends SavedViewPage> {
+  page: P
+  /** The page's current view state, saved or linked as is */
+  state: SavedViewStates[P]
+  /** Called with the state of the view picked from the list */
+  onApply: (state: SavedViewStates[P]) => void
+  className?: string
+}
+
+const SHARING_LABELS: Record<SavedViewSharing, string> = {
+  private: "Only me",
+  role: "Everyone with a role",
+  all: "All users",
+}
+
+const ROLE_LABELS: Record<User["role"], string> = {
+  admin: "Admins",
+  scheduler: "Schedulers",
+  viewer: "Viewers",
+}
+
+/**
+ * Named views of a page (filters, sort, columns, collapsed cards, work centres) stored
+ * on the server; a view can be kept private or shared with a role or all users.
+ * "Copy link" puts the current state in a URL that opens the same view.
+ */
+export function SavedViewsMenu<P extends SavedViewPage>({ page, state, onApply, className }: SavedViewsMenuProps<P>) {
+  const { user } = useAuth()
+  const [views, setViews] = React.useState<SavedView<P>[]>([])
+  const [activeViewId, setActiveViewId] = React.useState<string | null>(null)
+  const [isSaveDialogOpen, setIsSaveDialogOpen] = React.useState(false)
+  const [isSaving, setIsSaving] = React.useState(false)
+  const [saveForm, setSaveForm] = React.useState({
+    name: "",
+    shared_with: "private" as SavedViewSharing,
+    shared_role: "viewer" as User["role"],
+  })
+
+  const activeView = views.find(view => view.id === activeViewId) ?? null
+  const canChangeActiveView = !!activeView && !!user && (activeView.owner_id === user.id || user.role === "admin")
+  const ownViews = views.filter(view => view.owner_id === user?.id)
+  const sharedViews = views.filter(view => view.owner_id !== user?.id)
+
+  const loadViews = React.useCallback(async () => {
+    try {
+      const response = await savedViewsService.getAll(page)
+      setViews(response.views)
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'fetch',
+        entity: 'views'
+      })
+    }
+  }, [page])
+
+  React.useEffect(() => {
+    if (user) loadViews()
+  }, [user, loadViews])
+
+  const handleApply = (view: SavedView<P>) => {
+    setActiveViewId(view.id)
+    onApply(view.state)
+  }
+
+  const toInput = (name: string, sharing: typeof saveForm): SavedViewInput<P> => ({
+    name,
+    page,
+    state,
+    shared_with: sharing.shared_with,
+    ...(sharing.shared_with === "role" && { shared_role: sharing.shared_role }),
+  })
+
+  const handleSaveAsNew = async (event: React.FormEvent) => {
+    event.preventDefault()
+    if (!saveForm.name.trim()) return
+
+    try {
+      setIsSaving(true)
+      const response = await savedViewsService.create(toInput(saveForm.name.trim(), saveForm))
+      notify.success({ operation: 'create', entity: 'view' })
+      setIsSaveDialogOpen(false)
+      await loadViews()
+      setActiveViewId(response.view.id)
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'create',
+        entity: 'view'
+      })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  // Overwrite the active view with the current state, keeping its name and sharing
+  const handleUpdateActive = async () => {
+    if (!activeView) return
+
+    try {
+      await savedViewsService.update(activeView.id, toInput(activeView.name, {
+        name: activeView.name,
+        shared_with: activeView.shared_with,
+        shared_role: activeView.shared_role ?? "viewer",
+      }))
+      notify.success({ operation: 'update', entity: 'view' })
+      await loadViews()
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'update',
+        entity: 'view'
+      })
+    }
+  }
+
+  const handleDeleteActive = async () => {
+    if (!activeView || !confirm(`Delete the view "${activeView.name}"?`)) return
+
+    try {
+      await savedViewsService.delete(activeView.id)
+      notify.success({ operation: 'delete', entity: 'view' })
+      setActiveViewId(null)
+      await loadViews()
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'delete',
+        entity: 'view'
+      })
+    }
+  }
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(buildViewUrl(page, state))
+      notify.info("Link to this view copied to the clipboard")
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'copy_link',
+        entity: 'view'
+      })
+    }
+  }
+
+  const openSaveDialog = () => {
+    setSaveForm({ name: "", shared_with: "private", shared_role: user?.role ?? "viewer" })
+    setIsSaveDialogOpen(true)
+  }
+
+  const renderViewItem = (view: SavedView<P>) => (
+    <DropdownMenuItem key={view.id} onSelect={() => handleApply(view)}>
+      <Check className={`h-4 w-4 mr-2 ${view.id === activeViewId ? "opacity-100" : "opacity-0"}`} />
+      <span className="truncate">{view.name}</span>
+      {view.owner_id !== user?.id && (
+        <span className="ml-auto pl-2 text-xs text-muted-foreground">{view.owner_username}</span>
+      )}
+    </DropdownMenuItem>
+  )
+
+  return (
+    <>
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button size="sm" variant="outline" className={className}>
+            <Bookmark className="h-4 w-4 mr-1" />
+            <span className="max-w-[10rem] truncate">{activeView?.name ?? "Views"}</span>
+            <ChevronDown className="h-4 w-4 ml-1" />
+          </Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="end" className="w-64">
+          {views.length === 0 && (
+            <DropdownMenuLabel className="font-normal text-muted-foreground">No saved views yet</DropdownMenuLabel>
+          )}
+          {ownViews.length > 0 && (
+            <>
+              <DropdownMenuLabel>My views</DropdownMenuLabel>
+              {ownViews.map(renderViewItem)}
+            </>
+          )}
+          {sharedViews.length > 0 && (
+            <>
+              <DropdownMenuLabel>Shared with me</DropdownMenuLabel>
+              {sharedViews.map(renderViewItem)}
+            </>
+          )}
+          <DropdownMenuSeparator />
+          <DropdownMenuItem onSelect={openSaveDialog}>
+            <Save className="h-4 w-4 mr-2" /> Save current view...
+          </DropdownMenuItem>
+          {canChangeActiveView && (
+            <>
+              <DropdownMenuItem onSelect={handleUpdateActive}>
+                <Save className="h-4 w-4 mr-2" /> Update &quot;{activeView.name}&quot;
+              </DropdownMenuItem>
+              <DropdownMenuItem onSelect={handleDeleteActive} className="text-red-600">
+                <Trash2 className="h-4 w-4 mr-2" /> Delete &quot;{activeView.name}&quot;
+              </DropdownMenuItem>
+            </>
+          )}
+          <DropdownMenuItem onSelect={handleCopyLink}>
+            <Link2 className="h-4 w-4 mr-2" /> Copy link to this view
+          </DropdownMenuItem>
+        </DropdownMenuContent>
+      </DropdownMenu>
+
+      <Dialog open={isSaveDialogOpen} onOpenChange={setIsSaveDialogOpen}>
+        <DialogContent className="max-w-md">
+          <DialogHeader>
+            <DialogTitle>Save View</DialogTitle>
+          </DialogHeader>
+          <form onSubmit={handleSaveAsNew} className="space-y-4">
+            <div>
+              <Label htmlFor="saved_view_name">Name *</Label>
+              <Input
+                id="saved_view_name"
+                value={saveForm.name}
+                onChange={(e) => setSaveForm(prev => ({ ...prev, name: e.target.value }))}
+                placeholder={page === "orders" ? "Overdue orders by due date" : "Machining cells"}
+                maxLength={100}
+                required
+              />
+            </div>
+            <div>
+              <Label>Share with</Label>
+              <Select
+                value={saveForm.shared_with}
+                onValueChange={(value: SavedViewSharing) => setSaveForm(prev => ({ ...prev, shared_with: value }))}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {(Object.keys(SHARING_LABELS) as SavedViewSharing[]).map(sharing => (
+                    <SelectItem key={sharing} value={sharing}>{SHARING_LABELS[sharing]}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            {saveForm.shared_with === "role" && (
+              <div>
+                <Label>Role</Label>
+                <Select
+                  value={saveForm.shared_role}
+                  onValueChange={(value: User["role"]) => setSaveForm(prev => ({ ...prev, shared_role: value }))}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {(Object.keys(ROLE_LABELS) as User["role"][]).map(role => (
+                      <SelectItem key={role} value={role}>{ROLE_LABELS[role]}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setIsSaveDialogOpen(false)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={isSaving || !saveForm.name.trim()}>
+                {isSaving ? "Saving..." : "Save View"}
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </>
+  )
+}
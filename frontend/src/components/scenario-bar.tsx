@@ -0,0 +1,362 @@
+"use client"
+
+/**
+ * ScenarioBar - What-if scenarios above the planning board
+ *
+ * Lists saved scenarios and lets the scheduler start a new one from the live
+ * board. While a scenario is open the board shows the scenario instead of
+ * live; this bar compares its KPIs against live and publishes it back (asking
+ * before overwriting orders that moved on live in the meantime) or discards it.
+ */
+
+import { useState, useEffect, useCallback } from "react"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { AlertDialog, AlertDialogContent, AlertDialogHeader, AlertDialogTitle, AlertDialogDescription, AlertDialogFooter, AlertDialogCancel, AlertDialogAction } from "@/components/ui/alert-dialog"
+import { BarChart3, FlaskConical, Loader2, Plus, Trash2, Upload, X } from "lucide-react"
+import type { PlanningScenario, ScenarioComparison } from "@/types/manufacturing"
+import { scenariosService } from "@/lib/api-services"
+import { cn } from "@/lib/utils"
+import { notify } from "@/lib/notifications"
+import type { AppError } from "@/lib/error-handling"
+import { toast } from "sonner"
+
+interface ScenarioBarProps {
+  /** Scenario shown on the board; null while the board shows live */
+  activeScenario: PlanningScenario | null
+  onEnter: (scenario: PlanningScenario) => Promise<void> | void
+  onExit: () => void
+  /** Called after the scenario is published so the live board can reload */
+  onPublished?: () => Promise<void> | void
+  canEdit: boolean
+  canPublish: boolean
+}
+
+interface PublishConflict {
+  order_id: number
+  order_number: string
+}
+
+// Positive deltas are worse for every KPI we show
+function DeltaBadge({ value, suffix = "" }: { value: number; suffix?: string }) {
+  if (value === 0) return <span className="text-xs text-muted-foreground">±0{suffix}</span>
+  return (
+    <span className={cn("text-xs font-medium", value > 0 ? "text-red-700" : "text-green-700")}>
+      {value > 0 ? "+" : ""}{value}{suffix}
+    </span>
+  )
+}
+
+export function ScenarioBar({ activeScenario, onEnter, onExit, onPublished, canEdit, canPublish }: ScenarioBarProps) {
+  const [scenarios, setScenarios] = useState<PlanningScenario[]>([])
+  const [isCreateOpen, setIsCreateOpen] = useState(false)
+  const [newScenario, setNewScenario] = useState({ name: "", description: "" })
+  const [isSaving, setIsSaving] = useState(false)
+  const [comparison, setComparison] = useState<ScenarioComparison | null>(null)
+  const [isComparing, setIsComparing] = useState(false)
+  const [conflicts, setConflicts] = useState<PublishConflict[] | null>(null)
+  const [isDiscardOpen, setIsDiscardOpen] = useState(false)
+
+  const loadScenarios = useCallback(async () => {
+    try {
+      const response = await scenariosService.getAll()
+      setScenarios(response.scenarios)
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'load_scenarios',
+        entity: 'scenario'
+      })
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!activeScenario) loadScenarios()
+  }, [activeScenario, loadScenarios])
+
+  const handleCreate = async () => {
+    try {
+      setIsSaving(true)
+      const { scenario } = await scenariosService.create({
+        name: newScenario.name.trim(),
+        description: newScenario.description.trim() || undefined
+      })
+      toast.success(`Scenario "${scenario.name}" created from the live board`)
+      setIsCreateOpen(false)
+      setNewScenario({ name: "", description: "" })
+      await onEnter(scenario)
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'create_scenario',
+        entity: 'scenario'
+      })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleCompare = async () => {
+    if (!activeScenario) return
+
+    try {
+      setIsComparing(true)
+      setComparison(await scenariosService.compare(activeScenario.id))
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'compare_scenario',
+        entity: 'scenario'
+      })
+    } finally {
+      setIsComparing(false)
+    }
+  }
+
+  const handlePublish = async (force = false) => {
+    if (!activeScenario) return
+
+    try {
+      setIsSaving(true)
+      const { changes } = await scenariosService.publish(activeScenario.id, { force })
+      toast.success(`Scenario "${activeScenario.name}" published: ${changes.length} order(s) moved`)
+      setConflicts(null)
+      onExit()
+      await onPublished?.()
+    } catch (error: unknown) {
+      const appError = error as AppError
+      if (appError.code === 'SCENARIO_CONFLICT' && !force) {
+        setConflicts(appError.details?.conflicts || [])
+        return
+      }
+      notify.error(appError, {
+        operation: 'publish_scenario',
+        entity: 'scenario'
+      })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleDiscard = async () => {
+    if (!activeScenario) return
+
+    try {
+      await scenariosService.discard(activeScenario.id)
+      toast.success(`Scenario "${activeScenario.name}" discarded`)
+      onExit()
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'discard_scenario',
+        entity: 'scenario'
+      })
+    }
+  }
+
+  const liveByWorkCentre = new Map(comparison?.live.work_centres.map(wc => [wc.work_centre_id, wc]))
+  const deltaByWorkCentre = new Map(comparison?.delta.work_centres.map(wc => [wc.work_centre_id, wc]))
+
+  return (
+    <>
+      {activeScenario ? (
+        <div className="flex flex-wrap items-center gap-2 rounded border border-amber-300 bg-amber-50 px-3 py-2 dark:bg-amber-950/30">
+          <FlaskConical className="h-4 w-4 text-amber-700" />
+          <span className="text-sm font-medium">Scenario: {activeScenario.name}</span>
+          <Badge variant="outline" className="text-xs">
+            {activeScenario.changed_count} change{activeScenario.changed_count === 1 ? "" : "s"}
+          </Badge>
+          <span className="text-xs text-muted-foreground">Moves here do not affect the live board until published.</span>
+          <div className="ml-auto flex items-center gap-2">
+            <Button variant="outline" size="sm" onClick={handleCompare} disabled={isComparing}>
+              {isComparing ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <BarChart3 className="h-4 w-4 mr-1" />}
+              Compare with live
+            </Button>
+            {canPublish && (
+              <Button size="sm" onClick={() => handlePublish()} disabled={isSaving || activeScenario.changed_count === 0}>
+                {isSaving ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Upload className="h-4 w-4 mr-1" />}
+                Publish
+              </Button>
+            )}
+            {canEdit && (
+              <Button variant="outline" size="sm" onClick={() => setIsDiscardOpen(true)}>
+                <Trash2 className="h-4 w-4 mr-1" />
+                Discard
+              </Button>
+            )}
+            <Button variant="ghost" size="sm" onClick={onExit} title="Back to the live board">
+              <X className="h-4 w-4 mr-1" />
+              Exit
+            </Button>
+          </div>
+        </div>
+      ) : (
+        <div className="flex flex-wrap items-center gap-2">
+          <FlaskConical className="h-4 w-4 text-muted-foreground" />
+          <Select
+            value=""
+            onValueChange={(value) => {
+              const scenario = scenarios.find(s => s.id === parseInt(value))
+              if (scenario) onEnter(scenario)
+            }}
+          >
+            <SelectTrigger className="w-64 h-8">
+              <SelectValue placeholder={scenarios.length ? "Open a what-if scenario..." : "No saved scenarios"} />
+            </SelectTrigger>
+            <SelectContent>
+              {scenarios.map(scenario => (
+                <SelectItem key={scenario.id} value={String(scenario.id)}>
+                  {scenario.name} ({scenario.changed_count} changes)
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {canEdit && (
+            <Button variant="outline" size="sm" onClick={() => setIsCreateOpen(true)}>
+              <Plus className="h-4 w-4 mr-1" />
+              New scenario
+            </Button>
+          )}
+        </div>
+      )}
+
+      <Dialog open={isCreateOpen} onOpenChange={setIsCreateOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>New What-if Scenario</DialogTitle>
+            <DialogDescription>
+              Takes a copy of the live board. Try moves in the copy, compare it with live, then publish or discard it.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-3">
+            <div>
+              <Label htmlFor="scenario-name">Name</Label>
+              <Input
+                id="scenario-name"
+                value={newScenario.name}
+                onChange={(e) => setNewScenario(prev => ({ ...prev, name: e.target.value }))}
+              />
+            </div>
+            <div>
+              <Label htmlFor="scenario-description">Description</Label>
+              <Textarea
+                id="scenario-description"
+                value={newScenario.description}
+                onChange={(e) => setNewScenario(prev => ({ ...prev, description: e.target.value }))}
+              />
+            </div>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setIsCreateOpen(false)} disabled={isSaving}>
+              Cancel
+            </Button>
+            <Button onClick={handleCreate} disabled={!newScenario.name.trim() || isSaving}>
+              {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Create
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={comparison !== null} onOpenChange={(open) => !open && setComparison(null)}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>{activeScenario?.name} vs Live</DialogTitle>
+            <DialogDescription>
+              Both boards are simulated from now with the same capacity and calendars.
+            </DialogDescription>
+          </DialogHeader>
+
+          {comparison && (
+            <div className="space-y-3">
+              <div className="grid grid-cols-2 gap-2 text-center">
+                <div className="rounded border p-2">
+                  <div className="text-xs text-muted-foreground">Late orders</div>
+                  <div className="text-lg font-semibold">
+                    {comparison.live.late_orders} → {comparison.scenario_kpis.late_orders}{" "}
+                    <DeltaBadge value={comparison.delta.late_orders} />
+                  </div>
+                </div>
+                <div className="rounded border p-2">
+                  <div className="text-xs text-muted-foreground">Unassigned orders</div>
+                  <div className="text-lg font-semibold">
+                    {comparison.live.unassigned_orders} → {comparison.scenario_kpis.unassigned_orders}{" "}
+                    <DeltaBadge value={comparison.delta.unassigned_orders} />
+                  </div>
+                </div>
+              </div>
+
+              <div className="border rounded max-h-[45vh] overflow-y-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-muted/30 text-xs text-muted-foreground">
+                    <tr>
+                      <th className="p-2 text-left font-medium">Work centre</th>
+                      <th className="p-2 text-right font-medium">Queue depth</th>
+                      <th className="p-2 text-right font-medium">Utilisation</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {comparison.scenario_kpis.work_centres.map(wc => {
+                      const live = liveByWorkCentre.get(wc.work_centre_id)
+                      const delta = deltaByWorkCentre.get(wc.work_centre_id)
+                      return (
+                        <tr key={wc.work_centre_id} className="border-t">
+                          <td className="p-2 font-medium">{wc.name}</td>
+                          <td className="p-2 text-right">
+                            {live?.queue_depth} → {wc.queue_depth} <DeltaBadge value={delta?.queue_depth ?? 0} />
+                          </td>
+                          <td className="p-2 text-right">
+                            {live?.utilisation_percent}% → {wc.utilisation_percent}%{" "}
+                            <DeltaBadge value={delta?.utilisation_percent ?? 0} suffix="%" />
+                          </td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setComparison(null)}>
+              Close
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <AlertDialog open={conflicts !== null} onOpenChange={(open) => !open && setConflicts(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Live Board Has Changed</AlertDialogTitle>
+            <AlertDialogDescription>
+              {conflicts?.map(c => c.order_number).join(", ")} moved on the live board after this scenario was taken.
+              Publishing will put them where the scenario has them.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={() => handlePublish(true)}>Publish anyway</AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+
+      <AlertDialog open={isDiscardOpen} onOpenChange={setIsDiscardOpen}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Discard Scenario</AlertDialogTitle>
+            <AlertDialogDescription>
+              &quot;{activeScenario?.name}&quot; and its moves will be deleted. The live board is not changed.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={handleDiscard}>Discard</AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </>
+  )
+}
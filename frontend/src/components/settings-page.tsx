@@ -7,10 +7,11 @@ import { CharacteristicSettings } from "@/components/characteristic-settings"
 import { UsersManagement } from "@/components/users-management"
 import { ApiKeysManagement } from "@/components/api-keys-management"
 import { ApiKeysAnalytics } from "@/components/api-keys-analytics"
+import { BackupsManagement } from "@/components/backups-management"
 import { useAuth } from "@/contexts/auth-context"
 import { userSettingsService } from "@/lib/api-services"
 import type { UserCharacteristicSettings } from "@/types/manufacturing"
-import { Palette, User, Bell, Key, Users, Settings as SettingsIcon } from "lucide-react"
+import { Palette, User, Bell, Key, Users, DatabaseBackup, Settings as SettingsIcon } from "lucide-react"
 
 export function SettingsPage() {
   const { user, hasRole } = useAuth()
@@ -60,7 +61,7 @@ export function SettingsPage() {
       </div>
 
       <Tabs defaultValue="visual" className="space-y-6">
-        <TabsList className={`grid w-full ${isAdmin ? 'grid-cols-6' : 'grid-cols-4'}`}>
+        <TabsList className={`grid w-full ${isAdmin ? 'grid-cols-7' : 'grid-cols-4'}`}>
           <TabsTrigger value="visual" className="flex items-center gap-2">
             <Palette className="h-4 w-4" />
             Visual
@@ -87,6 +88,10 @@ export function SettingsPage() {
                 <Users className="h-4 w-4" />
                 Users
               </TabsTrigger>
+              <TabsTrigger value="backups" className="flex items-center gap-2">
+                <DatabaseBackup className="h-4 w-4" />
+                Backups
+              </TabsTrigger>
             </>
           )}
         </TabsList>
@@ -228,6 +233,10 @@ export function SettingsPage() {
                 // Refresh callback - could trigger parent refresh if needed
               }} />
             </TabsContent>
+
+            <TabsContent value="backups" className="space-y-6">
+              <BackupsManagement />
+            </TabsContent>
           </>
         )}
       </Tabs>
@@ -0,0 +1,174 @@
+"use client"
+
+/**
+ * SplitOrderDialog - Split an order into child orders
+ *
+ * Each part becomes its own order (<order>-1, <order>-2, ...) with a copy of
+ * the steps and job characteristics. Part quantities must add up to the
+ * order quantity; a part can be sent to another work centre or given a later
+ * due date to run it separately. The parent leaves the board until the parts
+ * are merged back.
+ */
+
+import { useState, useEffect } from "react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Plus, Trash2, Loader2 } from "lucide-react"
+import type { ManufacturingOrder, WorkCentre } from "@/types/manufacturing"
+import { ordersService } from "@/lib/api-services"
+import { cn } from "@/lib/utils"
+import { toast } from "sonner"
+
+interface SplitOrderDialogProps {
+  /** Order to split; the dialog is closed while null */
+  order: ManufacturingOrder | null
+  /** Work centres a part can be sent to */
+  workCentres: WorkCentre[]
+  onOpenChange: (open: boolean) => void
+  /** Called after a successful split so the board can reload */
+  onSplit?: () => Promise<void> | void
+}
+
+interface PartDraft {
+  quantity: string
+  work_centre_id: string // "same" keeps the parent's work centre
+  due_date: string
+}
+
+const SAME_WORK_CENTRE = "same"
+const MAX_PARTS = 20
+
+function initialParts(quantity: number): PartDraft[] {
+  const firstHalf = Math.ceil(quantity / 2)
+  return [
+    { quantity: String(firstHalf), work_centre_id: SAME_WORK_CENTRE, due_date: "" },
+    { quantity: String(quantity - firstHalf), work_centre_id: SAME_WORK_CENTRE, due_date: "" }
+  ]
+}
+
+export function SplitOrderDialog({ order, workCentres, onOpenChange, onSplit }: SplitOrderDialogProps) {
+  const [parts, setParts] = useState<PartDraft[]>([])
+  const [isSaving, setIsSaving] = useState(false)
+
+  useEffect(() => {
+    if (order) setParts(initialParts(order.quantity_to_make))
+  }, [order])
+
+  const total = parts.reduce((sum, part) => sum + (parseInt(part.quantity) || 0), 0)
+  const isBalanced = order !== null && total === order.quantity_to_make
+  const hasEmptyPart = parts.some(part => !(parseInt(part.quantity) > 0))
+
+  const updatePart = (index: number, update: Partial<PartDraft>) => {
+    setParts(prev => prev.map((part, i) => (i === index ? { ...part, ...update } : part)))
+  }
+
+  const handleSplit = async () => {
+    if (!order) return
+
+    try {
+      setIsSaving(true)
+      const response = await ordersService.split(order.id, parts.map(part => ({
+        quantity: parseInt(part.quantity),
+        work_centre_id: part.work_centre_id === SAME_WORK_CENTRE ? undefined : parseInt(part.work_centre_id),
+        due_date: part.due_date || undefined
+      })))
+      toast.success(`${order.order_number} split into ${response.children.length} orders`)
+      onOpenChange(false)
+      await onSplit?.()
+    } catch (error: unknown) {
+      const err = error as { error?: string; message?: string }
+      toast.error(err.error || err.message || "Failed to split order")
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open={order !== null} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-xl">
+        <DialogHeader>
+          <DialogTitle>Split {order?.order_number}</DialogTitle>
+          <DialogDescription>
+            Each part becomes its own order with a copy of the steps. Parts must add up to {order?.quantity_to_make}.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-3">
+          {parts.map((part, index) => (
+            <div key={index} className="grid grid-cols-[3rem_1fr_1.5fr_1.5fr_auto] items-end gap-2">
+              <span className="pb-2 text-sm font-medium text-gray-600">-{index + 1}</span>
+              <div>
+                <Label className="text-xs">Quantity</Label>
+                <Input
+                  type="number"
+                  min="1"
+                  value={part.quantity}
+                  onChange={(e) => updatePart(index, { quantity: e.target.value })}
+                />
+              </div>
+              <div>
+                <Label className="text-xs">Work centre</Label>
+                <Select value={part.work_centre_id} onValueChange={(value) => updatePart(index, { work_centre_id: value })}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={SAME_WORK_CENTRE}>Same as order</SelectItem>
+                    {workCentres.filter(wc => wc.is_active).map(wc => (
+                      <SelectItem key={wc.id} value={wc.id.toString()}>{wc.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <Label className="text-xs">Due date</Label>
+                <Input
+                  type="date"
+                  value={part.due_date}
+                  onChange={(e) => updatePart(index, { due_date: e.target.value })}
+                />
+              </div>
+              <Button
+                variant="ghost"
+                size="sm"
+                disabled={parts.length <= 2}
+                onClick={() => setParts(prev => prev.filter((_, i) => i !== index))}
+                title="Remove part"
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          ))}
+
+          <div className="flex items-center justify-between">
+            <Button
+              variant="outline"
+              size="sm"
+              disabled={parts.length >= MAX_PARTS}
+              onClick={() => setParts(prev => [...prev, { quantity: "", work_centre_id: SAME_WORK_CENTRE, due_date: "" }])}
+            >
+              <Plus className="h-4 w-4 mr-1" />
+              Add part
+            </Button>
+            <span className={cn("text-sm", isBalanced ? "text-gray-600" : "text-red-600 font-medium")}>
+              {total} / {order?.quantity_to_make}
+            </span>
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={isSaving}>
+            Cancel
+          </Button>
+          <Button onClick={handleSplit} disabled={!isBalanced || hasEmptyPart || isSaving}>
+            {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Split order
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -4,6 +4,8 @@ import * as React from "react"
 import {
   ColumnDef,
   ColumnFiltersState,
+  OnChangeFn,
+  PaginationState,
   SortingState,
   VisibilityState,
   flexRender,
@@ -32,6 +34,21 @@ import {
   TableRow,
 } from "@/components/ui/table"
 
+/**
+ * Server-driven paging, sorting and filtering: the parent owns the state, fetches
+ * the matching page and passes it in as data
+ */
+export interface DataTableServerSide {
+  rowCount: number
+  pagination: PaginationState
+  onPaginationChange: OnChangeFn<PaginationState>
+  sorting: SortingState
+  onSortingChange: OnChangeFn<SortingState>
+  columnFilters: ColumnFiltersState
+  onColumnFiltersChange: OnChangeFn<ColumnFiltersState>
+  isLoading?: boolean
+}
+
 interface DataTableProps<TData, TValue> {
   columns: ColumnDef<TData, TValue>[]
   data: TData[]
@@ -39,6 +56,10 @@ interface DataTableProps<TData, TValue> {
   searchPlaceholder?: string
   onRowSelectionChange?: (selectedRows: TData[]) => void
   resetSelection?: boolean
+  serverSide?: DataTableServerSide
+  /** Controlled column visibility; the table keeps its own when omitted */
+  columnVisibility?: VisibilityState
+  onColumnVisibilityChange?: OnChangeFn<VisibilityState>
 }
 
 export function DataTable<TData, TValue>({
@@ -48,6 +69,9 @@ export function DataTable<TData, TValue>({
   searchPlaceholder = "Search...",
   onRowSelectionChange,
   resetSelection,
+  serverSide,
+  columnVisibility: controlledColumnVisibility,
+  onColumnVisibilityChange,
 }: DataTableProps<TData, TValue>) {
   const [sorting, setSorting] = React.useState<SortingState>([])
   const [columnFilters, setColumnFilters] = React.useState<ColumnFiltersState>([])
@@ -57,22 +81,38 @@ export function DataTable<TData, TValue>({
   const table = useReactTable({
     data,
     columns,
-    onSortingChange: setSorting,
-    onColumnFiltersChange: setColumnFilters,
+    onSortingChange: serverSide?.onSortingChange ?? setSorting,
+    onColumnFiltersChange: serverSide?.onColumnFiltersChange ?? setColumnFilters,
     getCoreRowModel: getCoreRowModel(),
     getPaginationRowModel: getPaginationRowModel(),
     getSortedRowModel: getSortedRowModel(),
     getFilteredRowModel: getFilteredRowModel(),
-    onColumnVisibilityChange: setColumnVisibility,
+    onColumnVisibilityChange: onColumnVisibilityChange ?? setColumnVisibility,
     onRowSelectionChange: setRowSelection,
+    ...(serverSide && {
+      manualPagination: true,
+      manualSorting: true,
+      manualFiltering: true,
+      rowCount: serverSide.rowCount,
+      onPaginationChange: serverSide.onPaginationChange,
+    }),
     state: {
-      sorting,
-      columnFilters,
-      columnVisibility,
+      sorting: serverSide?.sorting ?? sorting,
+      columnFilters: serverSide?.columnFilters ?? columnFilters,
+      columnVisibility: controlledColumnVisibility ?? columnVisibility,
       rowSelection,
+      ...(serverSide && { pagination: serverSide.pagination }),
     },
   })
 
+  // A new server page holds different rows, so selection does not carry over
+  const isServerSide = !!serverSide
+  React.useEffect(() => {
+    if (isServerSide) {
+      setRowSelection({})
+    }
+  }, [data, isServerSide])
+
   // Reset selection when requested by parent
   React.useEffect(() => {
     if (resetSelection) {
@@ -182,6 +222,11 @@ export function DataTable<TData, TValue>({
         <div className="flex-1 text-sm text-muted-foreground">
           {table.getFilteredSelectedRowModel().rows.length} of{" "}
           {table.getFilteredRowModel().rows.length} row(s) selected.
+          {serverSide && (
+            <span className="ml-2">
+              {serverSide.isLoading ? "Loading..." : `Page ${table.getState().pagination.pageIndex + 1} of ${Math.max(table.getPageCount(), 1)} (${serverSide.rowCount} total)`}
+            </span>
+          )}
         </div>
         <div className="space-x-2">
           <Button
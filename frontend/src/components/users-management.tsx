@@ -73,19 +73,19 @@ const ROLES = {
     name: 'Administrator',
     description: 'Full system access and user management',
     color: 'bg-red-100 text-red-800',
-    permissions: ['users:read', 'users:write', 'users:delete', 'work_centres:read', 'work_centres:write', 'work_centres:delete', 'orders:read', 'orders:write', 'orders:delete', 'orders:move', 'analytics:read', 'settings:write', 'audit:read']
+    permissions: ['users:read', 'users:write', 'users:delete', 'work_centres:read', 'work_centres:write', 'work_centres:delete', 'orders:read', 'orders:write', 'orders:delete', 'orders:move', 'routings:read', 'routings:write', 'routings:delete', 'analytics:read', 'settings:write', 'audit:read']
   },
   scheduler: {
     name: 'Scheduler',
     description: 'Order and work centre management',
     color: 'bg-blue-100 text-blue-800',
-    permissions: ['work_centres:read', 'orders:read', 'orders:write', 'orders:move', 'analytics:read']
+    permissions: ['work_centres:read', 'orders:read', 'orders:write', 'orders:move', 'routings:read', 'routings:write', 'analytics:read']
   },
   viewer: {
     name: 'Viewer',
     description: 'Read-only access to orders and work centres',
     color: 'bg-gray-100 text-gray-800',
-    permissions: ['work_centres:read', 'orders:read', 'analytics:read']
+    permissions: ['work_centres:read', 'orders:read', 'routings:read', 'analytics:read']
   }
 } as const
 
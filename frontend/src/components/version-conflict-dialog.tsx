@@ -0,0 +1,85 @@
+"use client"
+
+/**
+ * VersionConflictDialog - Shown when a save is refused because someone else
+ * changed the order or work centre after it was opened (409 VERSION_CONFLICT)
+ *
+ * Lists the fields being saved, with the value being saved next to the one now
+ * on the server, and offers to:
+ * - Reload: drop this edit and show the saved copy
+ * - Apply my changes: save just these fields on top of the saved copy, keeping
+ *   everything else the other person changed
+ */
+
+import { AlertDialog, AlertDialogContent, AlertDialogHeader, AlertDialogTitle, AlertDialogDescription, AlertDialogFooter, AlertDialogCancel, AlertDialogAction } from "@/components/ui/alert-dialog"
+import { Button } from "@/components/ui/button"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+
+export interface ConflictingField {
+  label: string
+  /** Value being saved */
+  mine: string
+  /** Value now on the server */
+  theirs: string
+}
+
+interface VersionConflictDialogProps {
+  open: boolean
+  /** What was being edited, e.g. "order ORD-0042" */
+  subject: string
+  fields: ConflictingField[]
+  onReload: () => void
+  onApplyMine: () => void
+  onCancel: () => void
+}
+
+/** Display a field value in the comparison */
+export const formatConflictValue = (value: unknown): string => {
+  if (value === null || value === undefined || value === "") return "(empty)"
+  if (typeof value === "boolean") return value ? "Yes" : "No"
+  return String(value)
+}
+
+export function VersionConflictDialog({ open, subject, fields, onReload, onApplyMine, onCancel }: VersionConflictDialogProps) {
+  return (
+    <AlertDialog open={open} onOpenChange={(isOpen) => !isOpen && onCancel()}>
+      <AlertDialogContent className="max-w-lg">
+        <AlertDialogHeader>
+          <AlertDialogTitle>Someone else changed this {subject}</AlertDialogTitle>
+          <AlertDialogDescription>
+            It was saved by someone else after you opened it, so your change has not been saved.
+          </AlertDialogDescription>
+        </AlertDialogHeader>
+
+        {fields.length > 0 && (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Field</TableHead>
+                <TableHead>Your change</TableHead>
+                <TableHead>Now saved</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {fields.map(field => (
+                <TableRow key={field.label}>
+                  <TableCell className="font-medium">{field.label}</TableCell>
+                  <TableCell>{field.mine}</TableCell>
+                  <TableCell className={field.mine === field.theirs ? "" : "text-amber-700"}>{field.theirs}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        <AlertDialogFooter>
+          <AlertDialogCancel>Cancel</AlertDialogCancel>
+          <Button variant="outline" onClick={onReload}>
+            Reload
+          </Button>
+          <AlertDialogAction onClick={onApplyMine}>Apply my changes</AlertDialogAction>
+        </AlertDialogFooter>
+      </AlertDialogContent>
+    </AlertDialog>
+  )
+}
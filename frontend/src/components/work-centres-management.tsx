@@ -37,11 +37,14 @@ import { Input } from "@/components/ui/input"
 import { Label } from "@/components/ui/label"
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from "@/components/ui/dialog"
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Switch } from "@/components/ui/switch"
 import { Plus, Trash2, GripVertical, Edit, Eye, EyeOff, Loader2 } from "lucide-react"
 import type { WorkCentre } from "@/types/manufacturing"
 import { cn } from "@/lib/utils"
 import { workCentresService } from "@/lib/api-services"
 import { toast } from "sonner"
+import { isVersionConflict } from "@/lib/error-handling"
+import { VersionConflictDialog, formatConflictValue } from "@/components/version-conflict-dialog"
 
 interface WorkCentresManagementProps {
   /** Work centres in API format for display */
@@ -56,10 +59,21 @@ interface WorkCentresManagementProps {
  * Required because UI uses legacy format while API expects numeric IDs
  */
 
+// Edit dialog fields, as named in the conflict prompt
+const CENTRE_FIELD_LABELS: Partial<Record<keyof WorkCentre, string>> = {
+  name: "Name",
+  capacity: "Capacity",
+  is_active: "Active",
+  auto_move_on_step_complete: "Auto-move on step completion",
+  description: "Description",
+}
+
 export function WorkCentresManagement({ workCentres, onWorkCentreUpdate }: WorkCentresManagementProps) {
   const [centres, setCentres] = useState<WorkCentre[]>(workCentres)
   const [isAddDialogOpen, setIsAddDialogOpen] = useState(false)
   const [editingCentre, setEditingCentre] = useState<WorkCentre | null>(null)
+  // Edit refused because someone else saved the work centre first, with the work centre as they left it
+  const [centreConflict, setCentreConflict] = useState<{ updates: Partial<WorkCentre>; current: WorkCentre } | null>(null)
   const [draggedCentre, setDraggedCentre] = useState<number | null>(null)
   const [showInactive, setShowInactive] = useState(false)
   const [isRefreshing, setIsRefreshing] = useState(false)
@@ -71,6 +85,7 @@ export function WorkCentresManagement({ workCentres, onWorkCentreUpdate }: WorkC
     machines: "",
     description: "",
     is_active: true,
+    auto_move_on_step_complete: false,
   })
 
   // Sync local state with props when work centres are updated
@@ -186,7 +201,7 @@ export function WorkCentresManagement({ workCentres, onWorkCentreUpdate }: WorkC
       setCentres(refreshResponse.work_centres)
       
       setIsAddDialogOpen(false)
-      setNewCentre({ name: "", capacity: 5, machines: "", description: "", is_active: true })
+      setNewCentre({ name: "", capacity: 5, machines: "", description: "", is_active: true, auto_move_on_step_complete: false })
       toast.success('Work centre created successfully')
     } catch (error: unknown) {
       console.error('[WorkCentre] Create error:', error);
@@ -228,14 +243,16 @@ export function WorkCentresManagement({ workCentres, onWorkCentreUpdate }: WorkC
       machines: centre.machines.map(m => m.name).join(", "),
       description: centre.description || "",
       is_active: centre.is_active,
+      auto_move_on_step_complete: Boolean(centre.auto_move_on_step_complete),
     })
   }
 
   /**
    * Updates existing work centre via API
    * Validates input and maps legacy ID to numeric ID for API call
+   * @param version - Version to save over; defaults to the one the dialog was opened at
    */
-  const handleUpdateCentre = async () => {
+  const handleUpdateCentre = async (version?: number) => {
     if (!editingCentre) return
 
     try {
@@ -294,10 +311,19 @@ export function WorkCentresManagement({ workCentres, onWorkCentreUpdate }: WorkC
         name: trimmedName,
         capacity: newCentre.capacity,
         is_active: newCentre.is_active,
+        auto_move_on_step_complete: newCentre.auto_move_on_step_complete,
         description: newCentre.description.trim() || undefined
       };
 
-      await workCentresService.update(editingCentre.id, updates);
+      try {
+        await workCentresService.update(editingCentre.id, updates, version ?? editingCentre.version);
+      } catch (error: unknown) {
+        if (isVersionConflict(error)) {
+          setCentreConflict({ updates, current: error.details.work_centre })
+          return
+        }
+        throw error
+      }
 
       // Handle machines separately
       if (editingCentre) {
@@ -330,7 +356,7 @@ export function WorkCentresManagement({ workCentres, onWorkCentreUpdate }: WorkC
       setCentres(refreshResponse.work_centres)
       
       setEditingCentre(null)
-      setNewCentre({ name: "", capacity: 5, machines: "", description: "", is_active: true })
+      setNewCentre({ name: "", capacity: 5, machines: "", description: "", is_active: true, auto_move_on_step_complete: false })
       toast.success('Work centre updated successfully')
     } catch (error: unknown) {
       const err = error as { error?: string; message?: string; details?: any; status?: number };
@@ -401,7 +427,7 @@ export function WorkCentresManagement({ workCentres, onWorkCentreUpdate }: WorkC
         is_active: newIsActive,
       }
 
-      await workCentresService.update(centreId, updates)
+      await workCentresService.update(centreId, updates, centre.version)
 
       // Refresh data with current inactive toggle state
       const response = await workCentresService.getAll(showInactive)
@@ -409,11 +435,33 @@ export function WorkCentresManagement({ workCentres, onWorkCentreUpdate }: WorkC
       
       toast.success(`Work centre ${newIsActive ? 'activated' : 'deactivated'} successfully`)
     } catch (error: unknown) {
+      if (isVersionConflict(error)) {
+        const current: WorkCentre = error.details.work_centre
+        setCentres(prev => prev.map(c => c.id === current.id ? current : c))
+        toast.error(`${current.name} was changed by someone else; check it and try again`)
+        return
+      }
       const err = error as { error?: string }
       toast.error(err.error || 'Failed to update work centre status')
     }
   }
 
+  // Take the work centre as someone else saved it, dropping the edits in the dialog
+  const handleReloadConflictingCentre = () => {
+    if (!centreConflict) return
+    setCentres(prev => prev.map(c => c.id === centreConflict.current.id ? centreConflict.current : c))
+    handleEditCentre(centreConflict.current)
+    setCentreConflict(null)
+  }
+
+  // Save the dialog's edits on top of what someone else saved
+  const handleApplyConflictingCentre = () => {
+    if (!centreConflict) return
+    const { version } = centreConflict.current
+    setCentreConflict(null)
+    handleUpdateCentre(version)
+  }
+
   /**
    * Initiates drag operation for work centre reordering
    * @param e - Drag event
@@ -629,6 +677,12 @@ export function WorkCentresManagement({ workCentres, onWorkCentreUpdate }: WorkC
                     {centre.is_active ? "🟢 Active" : "🔴 Inactive"}
                   </Badge>
                 </div>
+                {centre.auto_move_on_step_complete && (
+                  <div className="flex justify-between text-sm">
+                    <span className="text-gray-600">Auto-move:</span>
+                    <span className="font-medium">On step completion</span>
+                  </div>
+                )}
               </div>
             </CardContent>
           </Card>
@@ -691,12 +745,41 @@ export function WorkCentresManagement({ workCentres, onWorkCentreUpdate }: WorkC
                 </SelectContent>
               </Select>
             </div>
-            <Button onClick={handleUpdateCentre} className="w-full">
+            <div className="flex items-center justify-between gap-4">
+              <div>
+                <Label htmlFor="edit-auto-move">Auto-move on step completion</Label>
+                <p className="text-xs text-gray-500">Move orders to the next step&apos;s work centre when a step here is completed</p>
+              </div>
+              <Switch
+                id="edit-auto-move"
+                checked={newCentre.auto_move_on_step_complete}
+                onCheckedChange={(checked) => setNewCentre({ ...newCentre, auto_move_on_step_complete: checked })}
+              />
+            </div>
+            <Button onClick={() => handleUpdateCentre()} className="w-full">
               Update Work Centre
             </Button>
           </div>
         </DialogContent>
       </Dialog>
+
+      {/* Edit refused: someone else saved the work centre first */}
+      <VersionConflictDialog
+        open={centreConflict !== null}
+        subject={`work centre ${centreConflict?.current.name ?? ''}`.trim()}
+        fields={centreConflict
+          ? (Object.keys(centreConflict.updates) as (keyof WorkCentre)[])
+              .filter(field => centreConflict.updates[field] !== undefined)
+              .map(field => ({
+                label: CENTRE_FIELD_LABELS[field] ?? field,
+                mine: formatConflictValue(centreConflict.updates[field]),
+                theirs: formatConflictValue(centreConflict.current[field]),
+              }))
+          : []}
+        onReload={handleReloadConflictingCentre}
+        onApplyMine={handleApplyConflictingCentre}
+        onCancel={() => setCentreConflict(null)}
+      />
     </div>
   )
 }
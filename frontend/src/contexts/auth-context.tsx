@@ -47,16 +47,27 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
         'users:read', 'users:write', 'users:delete',
         'work_centres:read', 'work_centres:write', 'work_centres:delete',
         'orders:read', 'orders:write', 'orders:delete', 'orders:move',
+        'routings:read', 'routings:write', 'routings:delete',
+        'materials:read', 'materials:write',
+        'changeovers:write',
+        'scenarios:read', 'scenarios:write',
         'analytics:read', 'planning:read', 'planning:write'
       ],
       scheduler: [
         'work_centres:read',
         'orders:read', 'orders:write', 'orders:move',
+        'routings:read', 'routings:write',
+        'materials:read', 'materials:write',
+        'changeovers:write',
+        'scenarios:read', 'scenarios:write',
         'analytics:read', 'planning:read', 'planning:write'
       ],
       viewer: [
         'work_centres:read',
         'orders:read',
+        'routings:read',
+        'materials:read',
+        'scenarios:read',
         'analytics:read', 'planning:read'
       ]
     };
@@ -11,17 +11,22 @@
  * - Real-time data fetching with auto-refresh
  * - Page navigation and routing
  * - Order movement coordination between work centres
+ * - What-if scenarios: the planning board can show a scenario instead of live
+ * - View links: a "view" URL parameter opens the orders table or board in that view
  * - Loading states and error handling
  * - Legacy data format adaptation for existing components
  */
 
-import { useState } from "react"
+import { useEffect, useState } from "react"
 import { useTheme } from "next-themes"
 import { AppSidebar } from "@/components/app-sidebar"
 import { DashboardOverview } from "@/components/dashboard-overview"
 import { PlanningBoard } from "@/components/planning-board"
 import { EnhancedOrdersTable } from "@/components/enhanced-orders-table"
 import { WorkCentresManagement } from "@/components/work-centres-management"
+import { RoutingsManagement } from "@/components/routings-management"
+import { OrderArchive } from "@/components/order-archive"
+import { ScenarioBar } from "@/components/scenario-bar"
 import {
   Breadcrumb,
   BreadcrumbItem,
@@ -34,20 +39,45 @@ import { Button } from "@/components/ui/button"
 import { Separator } from "@/components/ui/separator"
 import { SidebarInset, SidebarProvider, SidebarTrigger } from "@/components/ui/sidebar"
 import { useApiData } from "@/hooks/use-api-data"
-import { ordersService, workCentresService } from "@/lib/api-services"
+import { ordersService, workCentresService, scenariosService } from "@/lib/api-services"
 import type { DashboardMetrics } from "@/types/manufacturing"
 import { Loader2, Sun, Moon, RefreshCw } from "lucide-react"
 import { toast } from "sonner"
 import { useAuth } from "@/contexts/auth-context"
 import { ManufacturingAnalytics } from "@/components/manufacturing-analytics"
 import { SettingsPage } from "@/components/settings-page"
-import type { ManufacturingOrder } from "@/types/manufacturing"
+import type { BoardViewState, ManufacturingOrder, OrdersViewState, PlanningScenario, ScenarioOrder } from "@/types/manufacturing"
+import { notify } from "@/lib/notifications"
+import { isVersionConflict, type AppError } from "@/lib/error-handling"
+import { clearViewFromUrl, readViewFromUrl, type LinkedView } from "@/lib/saved-views"
 
 
 export default function Dashboard() {
   const [currentPage, setCurrentPage] = useState("dashboard")
+  // Order picked from the global search, opened on the planning board
+  const [focusOrderId, setFocusOrderId] = useState<number | null>(null)
   const { theme, setTheme } = useTheme()
-  const { hasRole } = useAuth()
+  const { hasRole, hasPermission } = useAuth()
+  const [activeScenario, setActiveScenario] = useState<PlanningScenario | null>(null)
+  const [scenarioOrders, setScenarioOrders] = useState<ScenarioOrder[]>([])
+  // View from a shared link; applied when its page first opens
+  const [linkedView, setLinkedView] = useState<LinkedView | null>(null)
+
+  useEffect(() => {
+    const view = readViewFromUrl()
+    clearViewFromUrl()
+    if (view) {
+      setLinkedView(view)
+      setCurrentPage(view.page)
+    }
+  }, [])
+
+  // Leaving the linked page drops the link, so coming back shows the page as the user left it
+  useEffect(() => {
+    if (linkedView && currentPage !== linkedView.page) {
+      setLinkedView(null)
+    }
+  }, [currentPage, linkedView])
   
   // Fetch orders from API
   const {
@@ -104,6 +134,41 @@ export default function Dashboard() {
   
   const isLoading = ordersLoading || workCentresLoading
 
+  // While a scenario is open the board shows its assignments in scenario queue order
+  const scenarioAssignments = new Map(scenarioOrders.map(o => [o.order_id, o]))
+  const scenarioPosition = (order: ManufacturingOrder) =>
+    scenarioAssignments.get(order.id)?.work_centre_position ?? Number.MAX_SAFE_INTEGER
+  const boardOrders = activeScenario
+    ? orders
+        .map(order => {
+          const assignment = scenarioAssignments.get(order.id)
+          return assignment ? { ...order, current_work_centre_id: assignment.work_centre_id } : order
+        })
+        .sort((a, b) => scenarioPosition(a) - scenarioPosition(b))
+    : orders
+
+  /**
+   * Loads a scenario's assignments and shows it on the planning board
+   * @param scenarioId - Scenario to open
+   */
+  const loadScenario = async (scenarioId: number) => {
+    try {
+      const response = await scenariosService.get(scenarioId)
+      setActiveScenario(response.scenario)
+      setScenarioOrders(response.orders)
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'load_scenario',
+        entity: 'scenario'
+      })
+    }
+  }
+
+  const exitScenario = () => {
+    setActiveScenario(null)
+    setScenarioOrders([])
+  }
+
   /**
    * Handles moving an order from one work centre to another
    * Coordinates with the backend API and refreshes local data
@@ -111,6 +176,19 @@ export default function Dashboard() {
    * @param newWorkCentreId - Target work centre ID
    */
   const handleOrderMove = async (orderId: number, newWorkCentreId: number) => {
+    if (activeScenario) {
+      try {
+        await scenariosService.moveOrder(activeScenario.id, orderId, newWorkCentreId, 'Moved in scenario')
+        await loadScenario(activeScenario.id)
+      } catch (error: unknown) {
+        notify.error(error as AppError, {
+          operation: 'move_order_in_scenario',
+          entity: 'order'
+        })
+      }
+      return
+    }
+
     try {
       await ordersService.move(orderId, newWorkCentreId, 'Moved via planning board')
       
@@ -150,6 +228,44 @@ export default function Dashboard() {
     }
   }
 
+  /**
+   * Handles moving a multi-card selection to another work centre in one operation
+   * @param orderIds - Orders to move, in the order they should join the queue
+   * @param newWorkCentreId - Target work centre ID
+   * @throws Rethrows after reporting the error so the board keeps the selection
+   */
+  const handleOrdersBulkMove = async (orderIds: number[], newWorkCentreId: number) => {
+    if (activeScenario) {
+      try {
+        // Scenario moves are cheap and only touch the scenario, so they go one at a time
+        for (const orderId of orderIds) {
+          await scenariosService.moveOrder(activeScenario.id, orderId, newWorkCentreId, 'Moved in scenario')
+        }
+        await loadScenario(activeScenario.id)
+      } catch (error: unknown) {
+        notify.error(error as AppError, {
+          operation: 'move_orders_in_scenario',
+          entity: 'orders'
+        })
+        await loadScenario(activeScenario.id)
+        throw error
+      }
+      return
+    }
+
+    try {
+      const response = await ordersService.bulkMove(orderIds, newWorkCentreId, 'Moved via planning board')
+      await Promise.all([refetchOrders(), refetchWorkCentres()])
+      toast.success(response.message)
+    } catch (error: unknown) {
+      notify.error(error as AppError, {
+        operation: 'move_orders',
+        entity: 'orders'
+      })
+      throw error
+    }
+  }
+
   /**
    * Handles work centre updates by refreshing data from API
    * Called when work centres are modified (create, update, delete operations)
@@ -187,18 +303,25 @@ export default function Dashboard() {
 
   /**
    * Handles updating an order (e.g., status change) and refreshes orders
+   * @param version - Version of the order the change was made to
+   * @returns The updated order
+   * @throws VERSION_CONFLICT errors untouched, for the caller's conflict prompt
    */
-  const handleOrderUpdate = async (orderId: number, update: Partial<ManufacturingOrder>) => {
-    console.log('[Dashboard] handleOrderUpdate called:', { orderId, update });
+  const handleOrderUpdate = async (orderId: number, update: Partial<ManufacturingOrder>, version: number) => {
+    console.log('[Dashboard] handleOrderUpdate called:', { orderId, update, version });
     try {
       console.log('[Dashboard] Calling ordersService.update...');
-      await ordersService.update(orderId, update)
+      const { order } = await ordersService.update(orderId, update, version)
       console.log('[Dashboard] ordersService.update completed successfully');
       console.log('[Dashboard] Refreshing orders...');
       await refetchOrders()
       console.log('[Dashboard] Orders refreshed successfully');
       toast.success('Order updated successfully')
+      return order
     } catch (error: any) {
+      if (isVersionConflict(error)) {
+        throw error
+      }
       console.error('[Dashboard] Error updating order:', JSON.stringify(error, null, 2));
       let errorMessage = 'Failed to update order';
       if (error.status === 401) {
@@ -207,6 +330,9 @@ export default function Dashboard() {
         errorMessage = 'Permission denied. You do not have access to update orders.';
       } else if (error.status === 0) {
         errorMessage = 'Network error. Please check your connection and try again.';
+      } else if (error.code === 'INVALID_TRANSITION' && error.details?.allowed_transitions) {
+        const allowed: string[] = error.details.allowed_transitions;
+        errorMessage = `${error.error}. Allowed next statuses: ${allowed.length ? allowed.join(', ') : 'none'}`;
       } else if (error.error) {
         errorMessage = error.error;
       }
@@ -219,6 +345,20 @@ export default function Dashboard() {
    * Handles reordering orders within a work centre
    */
   const handleOrderReorder = async (workCentreId: number, orderPositions: Array<{ order_id: number; position: number }>) => {
+    if (activeScenario) {
+      try {
+        await scenariosService.reorder(activeScenario.id, workCentreId, orderPositions)
+        await loadScenario(activeScenario.id)
+      } catch (error: unknown) {
+        notify.error(error as AppError, {
+          operation: 'reorder_orders_in_scenario',
+          entity: 'order'
+        })
+        throw error
+      }
+      return
+    }
+
     try {
       console.log('[Dashboard] Reordering orders:', { workCentreId, orderPositions });
       await ordersService.reorder(workCentreId, orderPositions);
@@ -253,6 +393,10 @@ export default function Dashboard() {
         return "Work Centres"
       case "orders":
         return "Orders Management"
+      case "archive":
+        return "Order Archive"
+      case "routings":
+        return "Routings"
       case "analytics":
         return "Analytics"
       case "settings":
@@ -284,19 +428,49 @@ export default function Dashboard() {
       case "dashboard":
         return <DashboardOverview metrics={dashboardMetrics} recentOrders={orders} workCentres={workCentres} onNavigate={setCurrentPage} />
       case "planning":
-        return <PlanningBoard 
-          orders={orders} 
-          workCentres={workCentres} 
-          onOrderMove={handleOrderMove} 
-          onNavigate={setCurrentPage} 
-          onWorkCentreUpdate={refetchWorkCentres} 
-          onOrderUpdate={handleOrderUpdate}
-          onOrderReorder={handleOrderReorder}
-        />
+        return (
+          <>
+            <ScenarioBar
+              activeScenario={activeScenario}
+              onEnter={(scenario) => loadScenario(scenario.id)}
+              onExit={exitScenario}
+              onPublished={async () => { await Promise.all([refetchOrders(), refetchWorkCentres()]) }}
+              canEdit={hasPermission('scenarios:write')}
+              canPublish={hasPermission('scenarios:write') && hasPermission('orders:move')}
+            />
+            <PlanningBoard 
+              orders={boardOrders} 
+              workCentres={workCentres} 
+              onOrderMove={handleOrderMove} 
+              onOrdersBulkMove={handleOrdersBulkMove}
+              onNavigate={setCurrentPage} 
+              onWorkCentreUpdate={refetchWorkCentres} 
+              onOrderUpdate={handleOrderUpdate}
+              onOrderReorder={handleOrderReorder}
+              onOrdersChanged={refetchOrders}
+              historyDisabled={activeScenario !== null}
+              focusOrderId={focusOrderId}
+              onOrderFocused={() => setFocusOrderId(null)}
+              initialViewState={linkedView?.page === "planning" ? linkedView.state as BoardViewState : undefined}
+            />
+          </>
+        )
       case "workcentres":
         return <WorkCentresManagement workCentres={workCentres} onWorkCentreUpdate={handleWorkCentreUpdate} />
       case "orders":
-        return <EnhancedOrdersTable orders={orders} workCentres={workCentres} onOrderUpdate={handleOrderUpdate} />
+        return (
+          <EnhancedOrdersTable
+            orders={orders}
+            workCentres={workCentres}
+            onOrderUpdate={handleOrderUpdate}
+            onOrdersChanged={refetchOrders}
+            initialViewState={linkedView?.page === "orders" ? linkedView.state as OrdersViewState : undefined}
+          />
+        )
+      case "archive":
+        return <OrderArchive onOrdersChanged={refetchOrders} />
+      case "routings":
+        return <RoutingsManagement workCentres={workCentres} />
       case "analytics":
         return <ManufacturingAnalytics />
       case "settings":
@@ -308,7 +482,14 @@ export default function Dashboard() {
 
   return (
     <SidebarProvider>
-      <AppSidebar currentPage={currentPage} onNavigate={setCurrentPage} />
+      <AppSidebar
+        currentPage={currentPage}
+        onNavigate={setCurrentPage}
+        onOpenOrder={(orderId) => {
+          setFocusOrderId(orderId)
+          setCurrentPage("planning")
+        }}
+      />
       <SidebarInset className="flex flex-col">
         <header className="fixed top-0 right-0 z-50 flex h-16 shrink-0 items-center gap-2 border-b border-sidebar-border px-4 bg-sidebar text-sidebar-foreground peer-data-[state=collapsed]:left-[calc(var(--sidebar-width-icon))] md:peer-data-[state=collapsed]:left-[calc(var(--sidebar-width-icon))]" 
                 style={{ left: 'var(--sidebar-width, 16rem)' }}>
@@ -3,15 +3,56 @@ import type {
   AuthResponse,
   User,
   ManufacturingOrder,
+  OrderDependency,
+  OrderDependent,
+  OrderMaterials,
+  OrderSplitPart,
+  OrderBulkChanges,
+  OrderBulkUpdateResponse,
   OrdersResponse,
+  OrderListQuery,
+  SearchResponse,
+  ArchivedOrderDetail,
+  ArchivedOrderQuery,
+  ArchivedOrdersResponse,
+  ArchiveRunResponse,
+  DatabaseBackup,
+  DatabaseBackupsResponse,
+  BackupRestoreResponse,
   WorkCentre,
   WorkCentresResponse,
   PlanningBoardResponse,
+  ScheduleResponse,
+  ChangeoverTime,
+  ChangeoverResponse,
+  BoardHistory,
+  BoardHistoryStepResponse,
+  PlanningScenario,
+  ScenarioOrder,
+  ScenarioComparison,
+  ShiftPattern,
+  Shift,
+  CalendarException,
+  WorkCentreCalendar,
+  RoutingTemplate,
+  RoutingOperation,
+  RoutingVersion,
+  StepBooking,
+  StepBookingTotals,
+  BomComponent,
+  BomSummary,
+  StockLevel,
+  InventoryTransaction,
+  InventoryTransactionType,
+  YieldAnalytics,
   DashboardMetrics,
   JobCharacteristic,
   UserCharacteristicSettings,
   UserSetting,
   DefaultUserSettings,
+  SavedView,
+  SavedViewInput,
+  SavedViewPage,
   CharacteristicsResponse,
 } from '@/types/manufacturing';
 import type {
@@ -89,17 +130,13 @@ export const authService = {
 
 // Orders services
 export const ordersService = {
-  getAll: async (filters?: {
-    status?: string;
-    priority?: string;
-    work_centre_id?: number;
-    search?: string;
-  }): Promise<OrdersResponse> => {
+  getAll: async (filters?: OrderListQuery): Promise<OrdersResponse> => {
     const queryParams = new URLSearchParams();
     if (filters) {
       Object.entries(filters).forEach(([key, value]) => {
         if (value !== undefined && value !== null) {
-          queryParams.append(key, String(value));
+          // Repeated parameters for multi-value filters
+          [value].flat().forEach(item => queryParams.append(key, String(item)));
         }
       });
     }
@@ -132,8 +169,9 @@ export const ordersService = {
     return api.post('/orders', orderData);
   },
 
-  update: async (id: number, updates: Partial<ManufacturingOrder>): Promise<{ message: string; order: ManufacturingOrder }> => {
-    return api.put(`/orders/${id}`, updates);
+  // version is the order's version when it was read; a 409 VERSION_CONFLICT means it has changed since
+  update: async (id: number, updates: Partial<ManufacturingOrder>, version: number): Promise<{ message: string; order: ManufacturingOrder }> => {
+    return api.put(`/orders/${id}`, updates, { 'If-Match': `"${version}"` });
   },
 
   delete: async (id: number): Promise<{ message: string }> => {
@@ -156,6 +194,68 @@ export const ordersService = {
     return api.post(`/orders/${id}/end-move`, { completed });
   },
 
+  // Keep a drag's lock from lapsing; fails with LOCK_LOST once the lock has gone
+  renewMove: async (id: number): Promise<{ message: string; orderId: string; lockExpiry: string }> => {
+    return api.post(`/orders/${id}/renew-move`);
+  },
+
+  // Apply the same change to many orders; all change or none do. expectedVersions is the version each
+  // order was read at, by id, and any order edited since rejects the batch with VERSION_CONFLICT
+  bulkUpdate: async (orderIds: number[], changes: OrderBulkChanges, expectedVersions: Record<number, number | '*'>): Promise<OrderBulkUpdateResponse> => {
+    return api.patch('/orders/bulk', { order_ids: orderIds, changes, expected_versions: expectedVersions });
+  },
+
+  // Move several orders as a block (all or none), in the order given
+  bulkMove: async (orderIds: number[], toWorkCentreId: number, reason?: string, newPosition?: number): Promise<{ message: string; orders: ManufacturingOrder[] }> => {
+    return api.post('/orders/bulk-move', {
+      order_ids: orderIds,
+      to_work_centre_id: toWorkCentreId,
+      reason: reason || 'user_decision',
+      new_position: newPosition
+    });
+  },
+
+  bulkStartMove: async (orderIds: number[]): Promise<{ message: string; orderIds: number[]; lockedBy: string }> => {
+    return api.post('/orders/bulk-start-move', { order_ids: orderIds });
+  },
+
+  bulkEndMove: async (orderIds: number[], completed: boolean): Promise<{ message: string; orderIds: number[] }> => {
+    return api.post('/orders/bulk-end-move', { order_ids: orderIds, completed });
+  },
+
+  // Keep a multi-card drag's locks from lapsing; lostOrderIds lists the locks that have already gone
+  bulkRenewMove: async (orderIds: number[]): Promise<{ message: string; orderIds: number[]; lostOrderIds: number[]; lockExpiry: string | null }> => {
+    return api.post('/orders/bulk-renew-move', { order_ids: orderIds });
+  },
+
+  split: async (id: number, splits: OrderSplitPart[]): Promise<{ message: string; order: ManufacturingOrder; children: ManufacturingOrder[] }> => {
+    return api.post(`/orders/${id}/split`, { splits });
+  },
+
+  merge: async (id: number): Promise<{ message: string; order: ManufacturingOrder; merged_orders: string[] }> => {
+    return api.post(`/orders/${id}/merge`);
+  },
+
+  getDependencies: async (id: number): Promise<{ depends_on: OrderDependency[]; dependents: OrderDependent[]; is_blocked: boolean }> => {
+    return api.get(`/orders/${id}/dependencies`);
+  },
+
+  addDependency: async (id: number, dependsOnOrderId: number): Promise<{ message: string; dependency: OrderDependency }> => {
+    return api.post(`/orders/${id}/dependencies`, { depends_on_order_id: dependsOnOrderId });
+  },
+
+  removeDependency: async (id: number, dependencyId: number): Promise<{ message: string }> => {
+    return api.delete(`/orders/${id}/dependencies/${dependencyId}`);
+  },
+
+  getMaterials: async (id: number): Promise<OrderMaterials> => {
+    return api.get(`/orders/${id}/materials`);
+  },
+
+  allocateMaterials: async (id: number): Promise<OrderMaterials & { message: string; allocations: { component_code: string; quantity: number }[] }> => {
+    return api.post(`/orders/${id}/materials/allocate`);
+  },
+
   getSteps: async (id: number): Promise<{ steps: any[] }> => {
     return api.get(`/orders/${id}/steps`);
   },
@@ -164,12 +264,31 @@ export const ordersService = {
     return api.post(`/orders/${orderId}/steps/${stepId}/start`);
   },
 
-  completeStep: async (orderId: number, stepId: number, quantityCompleted: number): Promise<{ message: string; step: any }> => {
+  completeStep: async (orderId: number, stepId: number, quantityCompleted: number): Promise<{ message: string; step: any; order_moved: { from_work_centre_id: number | null; to_work_centre_id: number } | null }> => {
     return api.post(`/orders/${orderId}/steps/${stepId}/complete`, {
       quantity_completed: quantityCompleted,
     });
   },
 
+  getStepBookings: async (orderId: number, stepId: number): Promise<{ bookings: StepBooking[]; totals: StepBookingTotals }> => {
+    return api.get(`/orders/${orderId}/steps/${stepId}/bookings`);
+  },
+
+  createStepBooking: async (orderId: number, stepId: number, booking: {
+    good_quantity?: number;
+    scrap_quantity?: number;
+    rework_quantity?: number;
+    reason_code?: string;
+    notes?: string;
+    complete_step?: boolean;
+  }): Promise<{ message: string; booking: StepBooking; step: any; order_moved: { from_work_centre_id: number | null; to_work_centre_id: number } | null }> => {
+    return api.post(`/orders/${orderId}/steps/${stepId}/bookings`, booking);
+  },
+
+  deleteStepBooking: async (orderId: number, stepId: number, bookingId: number): Promise<{ message: string; step: any }> => {
+    return api.delete(`/orders/${orderId}/steps/${stepId}/bookings/${bookingId}`);
+  },
+
   bulkImport: async (orders: any[]): Promise<{
     created: number;
     updated: number;
@@ -213,8 +332,9 @@ export const workCentresService = {
     return api.post('/work-centres', workCentreData);
   },
 
-  update: async (id: number, updates: Partial<WorkCentre>): Promise<{ message: string; work_centre: WorkCentre }> => {
-    return api.put(`/work-centres/${id}`, updates);
+  // version is the work centre's version when it was read; a 409 VERSION_CONFLICT means it has changed since
+  update: async (id: number, updates: Partial<WorkCentre>, version: number): Promise<{ message: string; work_centre: WorkCentre }> => {
+    return api.put(`/work-centres/${id}`, updates, { 'If-Match': `"${version}"` });
   },
 
   delete: async (id: number): Promise<{ message: string }> => {
@@ -240,6 +360,149 @@ export const workCentresService = {
   deleteMachine: async (workCentreId: number, machineId: number): Promise<{ message: string }> => {
     return api.delete(`/work-centres/${workCentreId}/machines/${machineId}`);
   },
+
+  // Shift calendars
+  getShiftPatterns: async (): Promise<{ shift_patterns: ShiftPattern[] }> => {
+    return api.get('/work-centres/shift-patterns');
+  },
+
+  createShiftPattern: async (patternData: {
+    name: string;
+    description?: string;
+    is_default?: boolean;
+    shifts: Shift[];
+  }): Promise<{ message: string; shift_pattern: ShiftPattern }> => {
+    return api.post('/work-centres/shift-patterns', patternData);
+  },
+
+  updateShiftPattern: async (patternId: number, updates: Partial<Pick<ShiftPattern, 'name' | 'description' | 'is_default' | 'shifts'>>): Promise<{ message: string; shift_pattern: ShiftPattern }> => {
+    return api.put(`/work-centres/shift-patterns/${patternId}`, updates);
+  },
+
+  deleteShiftPattern: async (patternId: number): Promise<{ message: string }> => {
+    return api.delete(`/work-centres/shift-patterns/${patternId}`);
+  },
+
+  getCalendar: async (workCentreId: number, range?: { from: string; to: string }): Promise<{ calendar: WorkCentreCalendar }> => {
+    const query = range ? `?from=${encodeURIComponent(range.from)}&to=${encodeURIComponent(range.to)}` : '';
+    return api.get(`/work-centres/${workCentreId}/calendar${query}`);
+  },
+
+  assignShiftPattern: async (workCentreId: number, shiftPatternId: number | null): Promise<{ message: string; calendar: WorkCentreCalendar }> => {
+    return api.put(`/work-centres/${workCentreId}/calendar`, { shift_pattern_id: shiftPatternId });
+  },
+
+  // Calendar exceptions: pass a work centre ID for a single work centre, omit it for site-wide
+  createCalendarException: async (exceptionData: {
+    exception_date: string;
+    start_time?: string;
+    end_time?: string;
+    is_working?: boolean;
+    description?: string;
+  }, workCentreId?: number): Promise<{ message: string; exception: CalendarException }> => {
+    const endpoint = workCentreId ? `/work-centres/${workCentreId}/calendar/exceptions` : '/work-centres/calendar-exceptions';
+    return api.post(endpoint, exceptionData);
+  },
+
+  deleteCalendarException: async (exceptionId: number, workCentreId?: number): Promise<{ message: string }> => {
+    const endpoint = workCentreId
+      ? `/work-centres/${workCentreId}/calendar/exceptions/${exceptionId}`
+      : `/work-centres/calendar-exceptions/${exceptionId}`;
+    return api.delete(endpoint);
+  },
+
+  // Changeover matrix: setup minutes between characteristic values, saved as a whole
+  getChangeovers: async (workCentreId: number): Promise<{ work_centre_id: number; changeovers: ChangeoverTime[] }> => {
+    return api.get(`/work-centres/${workCentreId}/changeovers`);
+  },
+
+  saveChangeovers: async (workCentreId: number, changeovers: ChangeoverTime[]): Promise<{ message: string; changeovers: ChangeoverTime[] }> => {
+    return api.put(`/work-centres/${workCentreId}/changeovers`, { changeovers });
+  },
+};
+
+// Routing template services (every save creates a new version)
+export const routingsService = {
+  getAll: async (search?: string): Promise<{ routings: RoutingTemplate[]; count: number }> => {
+    const query = search ? `?search=${encodeURIComponent(search)}` : '';
+    return api.get(`/routings${query}`);
+  },
+
+  getByStockCode: async (stockCode: string): Promise<{ routing: RoutingTemplate; versions: RoutingVersion[] }> => {
+    return api.get(`/routings/${encodeURIComponent(stockCode)}`);
+  },
+
+  getVersion: async (stockCode: string, version: number): Promise<{ routing: RoutingTemplate }> => {
+    return api.get(`/routings/${encodeURIComponent(stockCode)}/versions/${version}`);
+  },
+
+  create: async (routingData: {
+    stock_code: string;
+    description?: string;
+    operations: RoutingOperation[];
+  }): Promise<{ message: string; routing: RoutingTemplate }> => {
+    return api.post('/routings', routingData);
+  },
+
+  update: async (stockCode: string, routingData: {
+    description?: string;
+    operations: RoutingOperation[];
+  }): Promise<{ message: string; routing: RoutingTemplate }> => {
+    return api.put(`/routings/${encodeURIComponent(stockCode)}`, routingData);
+  },
+
+  retire: async (stockCode: string): Promise<{ message: string }> => {
+    return api.delete(`/routings/${encodeURIComponent(stockCode)}`);
+  },
+};
+
+// Bill of materials and inventory ledger services (stock levels are derived from the ledger)
+export const materialsService = {
+  getBoms: async (search?: string): Promise<{ boms: BomSummary[]; count: number }> => {
+    const query = search ? `?search=${encodeURIComponent(search)}` : '';
+    return api.get(`/materials/boms${query}`);
+  },
+
+  getBom: async (stockCode: string): Promise<{ stock_code: string; components: BomComponent[] }> => {
+    return api.get(`/materials/boms/${encodeURIComponent(stockCode)}`);
+  },
+
+  saveBom: async (stockCode: string, components: BomComponent[]): Promise<{ message: string; stock_code: string; components: BomComponent[] }> => {
+    return api.put(`/materials/boms/${encodeURIComponent(stockCode)}`, { components });
+  },
+
+  deleteBom: async (stockCode: string): Promise<{ message: string }> => {
+    return api.delete(`/materials/boms/${encodeURIComponent(stockCode)}`);
+  },
+
+  getStockLevels: async (componentCode?: string): Promise<{ stock_levels: StockLevel[]; count: number }> => {
+    const query = componentCode ? `?component_code=${encodeURIComponent(componentCode)}` : '';
+    return api.get(`/materials/stock${query}`);
+  },
+
+  getTransactions: async (filters?: {
+    component_code?: string;
+    order_id?: number;
+    transaction_type?: InventoryTransactionType;
+    limit?: number;
+  }): Promise<{ transactions: InventoryTransaction[]; count: number }> => {
+    const params = new URLSearchParams();
+    Object.entries(filters || {}).forEach(([key, value]) => {
+      if (value !== undefined) params.append(key, value.toString());
+    });
+    const query = params.toString() ? `?${params.toString()}` : '';
+    return api.get(`/materials/transactions${query}`);
+  },
+
+  createTransaction: async (transaction: {
+    component_code: string;
+    transaction_type: InventoryTransactionType;
+    quantity: number;
+    order_id?: number;
+    reference?: string;
+  }): Promise<{ message: string; transaction: InventoryTransaction; stock_level: StockLevel }> => {
+    return api.post('/materials/transactions', transaction);
+  },
 };
 
 // Planning board services
@@ -260,6 +523,71 @@ export const planningBoardService = {
   getStats: async (): Promise<any> => {
     return api.get('/planning-board/stats');
   },
+
+  // Auto-schedule the board; dry runs return the proposal without applying it
+  schedule: async (options: {
+    dry_run?: boolean;
+    work_centre_ids?: number[];
+  } = {}): Promise<ScheduleResponse> => {
+    return api.post<ScheduleResponse>('/planning-board/schedule', options);
+  },
+
+  // Resequence one work centre queue to cut changeover time; dry runs return the proposal without applying it
+  minimiseChangeovers: async (workCentreId: number, options: { dry_run?: boolean } = {}): Promise<ChangeoverResponse> => {
+    return api.post<ChangeoverResponse>(`/planning-board/work-centres/${workCentreId}/minimise-changeovers`, options);
+  },
+
+  // Undo/redo the current user's own moves and reorders
+  getHistory: async (): Promise<BoardHistory> => {
+    return api.get<BoardHistory>('/planning-board/history');
+  },
+
+  undo: async (): Promise<BoardHistoryStepResponse> => {
+    return api.post<BoardHistoryStepResponse>('/planning-board/undo', {});
+  },
+
+  redo: async (): Promise<BoardHistoryStepResponse> => {
+    return api.post<BoardHistoryStepResponse>('/planning-board/redo', {});
+  },
+};
+
+// What-if scenario services; moves and reorders only touch the scenario until it is published
+export const scenariosService = {
+  getAll: async (): Promise<{ scenarios: PlanningScenario[]; count: number }> => {
+    return api.get('/scenarios');
+  },
+
+  get: async (id: number): Promise<{ scenario: PlanningScenario; orders: ScenarioOrder[] }> => {
+    return api.get(`/scenarios/${id}`);
+  },
+
+  create: async (scenarioData: { name: string; description?: string }): Promise<{ message: string; scenario: PlanningScenario }> => {
+    return api.post('/scenarios', scenarioData);
+  },
+
+  moveOrder: async (id: number, orderId: number, toWorkCentreId: number, reason?: string): Promise<{ message: string }> => {
+    return api.post(`/scenarios/${id}/move`, { orderId, toWorkCentreId, reason });
+  },
+
+  reorder: async (id: number, workCentreId: number, orderPositions: Array<{ order_id: number; position: number }>): Promise<{ message: string; updated_count: number }> => {
+    return api.post(`/scenarios/${id}/reorder`, {
+      work_centre_id: workCentreId,
+      order_positions: orderPositions
+    });
+  },
+
+  compare: async (id: number): Promise<ScenarioComparison> => {
+    return api.get<ScenarioComparison>(`/scenarios/${id}/compare`);
+  },
+
+  // Conflicting live moves are rejected with SCENARIO_CONFLICT unless force is set
+  publish: async (id: number, options: { force?: boolean } = {}): Promise<{ message: string; scenario: PlanningScenario; changes: unknown[] }> => {
+    return api.post(`/scenarios/${id}/publish`, options);
+  },
+
+  discard: async (id: number): Promise<{ message: string }> => {
+    return api.delete(`/scenarios/${id}`);
+  },
 };
 
 // Analytics services
@@ -298,6 +626,75 @@ export const analyticsService = {
     const endpoint = limit ? `/analytics/recent-activity?limit=${limit}` : '/analytics/recent-activity';
     return api.get(endpoint);
   },
+
+  getYield: async (days?: number): Promise<YieldAnalytics> => {
+    const endpoint = days ? `/analytics/yield?days=${days}` : '/analytics/yield';
+    return api.get<YieldAnalytics>(endpoint);
+  },
+};
+
+// Search services
+export const searchService = {
+  search: async (query: string, limit?: number): Promise<SearchResponse> => {
+    const queryParams = new URLSearchParams({ q: query });
+    if (limit) {
+      queryParams.append('limit', String(limit));
+    }
+    return api.get<SearchResponse>(`/search?${queryParams}`);
+  },
+};
+
+// Order archive services
+export const orderArchiveService = {
+  getAll: async (query: ArchivedOrderQuery = {}): Promise<ArchivedOrdersResponse> => {
+    const queryParams = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        queryParams.append(key, String(value));
+      }
+    });
+
+    const endpoint = queryParams.toString() ? `/orders/archive?${queryParams}` : '/orders/archive';
+    return api.get<ArchivedOrdersResponse>(endpoint);
+  },
+
+  getById: async (id: number): Promise<{ order: ArchivedOrderDetail }> => {
+    return api.get(`/orders/archive/${id}`);
+  },
+
+  // Without order_ids, archives every order complete or cancelled for older_than_days
+  archive: async (options: { order_ids?: number[]; older_than_days?: number; dry_run?: boolean }): Promise<ArchiveRunResponse> => {
+    return api.post('/orders/archive', options);
+  },
+
+  // Restores the rest of a split order with it
+  restore: async (id: number): Promise<{ message: string; order_ids: number[] }> => {
+    return api.post(`/orders/archive/${id}/restore`);
+  },
+};
+
+// Database backup services (admin only, SQLite only)
+export const backupsService = {
+  getAll: async (): Promise<DatabaseBackupsResponse> => {
+    return api.get<DatabaseBackupsResponse>('/admin/backups');
+  },
+
+  create: async (note?: string): Promise<{ message: string; backup: DatabaseBackup }> => {
+    return api.post('/admin/backups', { note });
+  },
+
+  download: async (id: string): Promise<Blob> => {
+    return api.getBlob(`/admin/backups/${id}/download`);
+  },
+
+  verify: async (id: string): Promise<{ backup: DatabaseBackup }> => {
+    return api.post(`/admin/backups/${id}/verify`);
+  },
+
+  // Replaces all live data; a pre_restore backup is taken first
+  restore: async (id: string): Promise<BackupRestoreResponse> => {
+    return api.post(`/admin/backups/${id}/restore`);
+  },
 };
 
 // Users services (admin only)
@@ -453,4 +850,28 @@ export const userSettingsService = {
   getDefaults: async (): Promise<DefaultUserSettings> => {
     return api.get<DefaultUserSettings>('/settings/defaults');
   },
+};
+
+// Saved views: the user's own plus those shared with their role or everyone
+export const savedViewsService = {
+  getAll: async <P extends SavedViewPage>(page: P): Promise<{ views: SavedView<P>[]; count: number }> => {
+    return api.get(`/settings/views?page=${page}`);
+  },
+
+  get: async (id: string): Promise<{ view: SavedView }> => {
+    return api.get(`/settings/views/${id}`);
+  },
+
+  create: async <P extends SavedViewPage>(view: SavedViewInput<P>): Promise<{ message: string; view: SavedView<P> }> => {
+    return api.post('/settings/views', view);
+  },
+
+  // Replaces the whole view; only its owner or an admin can
+  update: async <P extends SavedViewPage>(id: string, view: SavedViewInput<P>): Promise<{ message: string; view: SavedView<P> }> => {
+    return api.put(`/settings/views/${id}`, view);
+  },
+
+  delete: async (id: string): Promise<void> => {
+    await api.delete(`/settings/views/${id}`);
+  },
 };
\ No newline at end of file
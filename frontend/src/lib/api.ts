@@ -114,6 +114,38 @@ class ApiClient {
     return this.request<T>(endpoint, { method: 'GET' });
   }
 
+  // GET a file; request() would read it as text
+  async getBlob(endpoint: string): Promise<Blob> {
+    const headers: Record<string, string> = {};
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    let response: Response;
+    try {
+      response = await fetch(`${this.baseURL}${endpoint}`, { method: 'GET', headers });
+    } catch {
+      throw {
+        error: 'Network error - please check your connection',
+        code: 'NETWORK_ERROR',
+        status: 0,
+      } as ApiError & { status: number };
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw {
+        error: errorData.error || 'API request failed',
+        code: errorData.code || 'API_ERROR',
+        status: response.status,
+        details: errorData.details || errorData,
+        message: errorData.message
+      } as ApiError & { status: number; message?: string };
+    }
+
+    return response.blob();
+  }
+
   // POST request
   async post<T>(endpoint: string, data?: any): Promise<T> {
     return this.request<T>(endpoint, {
@@ -123,10 +155,19 @@ class ApiClient {
   }
 
   // PUT request
-  async put<T>(endpoint: string, data?: any): Promise<T> {
+  async put<T>(endpoint: string, data?: any, headers?: Record<string, string>): Promise<T> {
     return this.request<T>(endpoint, {
       method: 'PUT',
       body: data ? JSON.stringify(data) : undefined,
+      headers,
+    });
+  }
+
+  // PATCH request
+  async patch<T>(endpoint: string, data?: any): Promise<T> {
+    return this.request<T>(endpoint, {
+      method: 'PATCH',
+      body: data ? JSON.stringify(data) : undefined,
     });
   }
 
@@ -142,8 +183,10 @@ export const apiClient = new ApiClient(API_BASE_URL);
 // Export commonly used methods
 export const api = {
   get: <T>(endpoint: string) => apiClient.get<T>(endpoint),
+  getBlob: (endpoint: string) => apiClient.getBlob(endpoint),
   post: <T>(endpoint: string, data?: any) => apiClient.post<T>(endpoint, data),
-  put: <T>(endpoint: string, data?: any) => apiClient.put<T>(endpoint, data),
+  put: <T>(endpoint: string, data?: any, headers?: Record<string, string>) => apiClient.put<T>(endpoint, data, headers),
+  patch: <T>(endpoint: string, data?: any) => apiClient.patch<T>(endpoint, data),
   delete: <T>(endpoint: string) => apiClient.delete<T>(endpoint),
   setToken: (token: string | null) => apiClient.setToken(token),
   getToken: () => apiClient.getToken(),
@@ -218,6 +218,14 @@ export function isNetworkError(error: AppError): boolean {
   return error.status === 0 || error.status === 502 || error.status === 503
 }
 
+/**
+ * Checks if an edit was refused because someone else changed the row first;
+ * error.details then holds the row as it is now (see VersionConflictDialog)
+ */
+export function isVersionConflict(error: unknown): error is AppError {
+  return (error as AppError)?.code === 'VERSION_CONFLICT'
+}
+
 /**
  * Checks if an error should be logged (not auth/permission errors during normal operation)
  */
@@ -3,7 +3,7 @@
  * Extracted from order-card.tsx for better separation of concerns
  */
 
-import type { ManufacturingOrder } from "@/types/manufacturing"
+import type { ManufacturingOrder, MaterialStatus } from "@/types/manufacturing"
 
 /**
  * Get the appropriate status badge variant and classes for an order status
@@ -72,6 +72,42 @@ export function getDueDays(dueDate: string | null | undefined): string {
   return `${diffDays} days`
 }
 
+/**
+ * Format a projected completion timestamp for display
+ */
+export function formatProjectedCompletion(projected: string | null | undefined): string {
+  if (!projected) return "No estimate"
+
+  return new Date(projected).toLocaleString(undefined, {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit"
+  })
+}
+
+/**
+ * An order is ready to run when it has its material and is not waiting on other orders
+ */
+export function isReadyToRun(order: ManufacturingOrder): boolean {
+  return (order.material_status ?? "available") === "available" && !order.blocked_by?.length
+}
+
+/**
+ * Get the material badge for an order that is short of material (null when it has its material)
+ */
+export function getMaterialBadgeConfig(status: MaterialStatus | undefined) {
+  switch (status) {
+    case "short":
+      return { label: "Material short", className: "border-red-300 bg-red-50 text-red-800" }
+    case "partially_allocated":
+      return { label: "Partly allocated", className: "border-orange-300 bg-orange-50 text-orange-800" }
+    default:
+      return null
+  }
+}
+
 /**
  * Priority mapping for consistent ordering
  */
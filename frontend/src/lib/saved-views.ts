@@ -0,0 +1,68 @@
+/**
+ * Sharing views of the orders table and planning board by link
+ *
+ * The whole view state goes into the "view" URL parameter, so a link opens the
+ * exact view whether or not it was saved or shared with the person opening it.
+ */
+
+import type { SavedViewPage, SavedViewStates } from "@/types/manufacturing"
+
+export const VIEW_URL_PARAM = "view"
+
+export interface LinkedView<P extends SavedViewPage = SavedViewPage> {
+  page: P
+  state: SavedViewStates[P]
+}
+
+// Base64url so the encoded state needs no escaping in the query string
+function toBase64Url(text: string): string {
+  const bytes = new TextEncoder().encode(text)
+  const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join("")
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "")
+}
+
+function fromBase64Url(encoded: string): string {
+  const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"))
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)))
+}
+
+/**
+ * Build a link that opens the given page with this view state
+ */
+export function buildViewUrl<P extends SavedViewPage>(page: P, state: SavedViewStates[P]): string {
+  const url = new URL(window.location.href)
+  url.search = ""
+  url.hash = ""
+  url.searchParams.set(VIEW_URL_PARAM, toBase64Url(JSON.stringify({ page, state })))
+  return url.toString()
+}
+
+/**
+ * Read the view from the current URL, if it has one
+ * @returns The linked page and state, or null if there is none or it cannot be read
+ */
+export function readViewFromUrl(): LinkedView | null {
+  const encoded = new URLSearchParams(window.location.search).get(VIEW_URL_PARAM)
+  if (!encoded) return null
+
+  try {
+    const view = JSON.parse(fromBase64Url(encoded))
+    if ((view?.page === "orders" || view?.page === "planning") && view.state && typeof view.state === "object") {
+      return view as LinkedView
+    }
+  } catch {
+    // A truncated or hand-edited link; open the default view instead
+  }
+  return null
+}
+
+/**
+ * Drop the view parameter once applied, so a reload does not reset the user's later changes
+ */
+export function clearViewFromUrl(): void {
+  const url = new URL(window.location.href)
+  if (!url.searchParams.has(VIEW_URL_PARAM)) return
+
+  url.searchParams.delete(VIEW_URL_PARAM)
+  window.history.replaceState(window.history.state, "", url.toString())
+}
@@ -42,6 +42,47 @@ export interface DefaultUserSettings {
   }
 }
 
+// Saved views of the orders table and planning board
+export type SavedViewPage = 'orders' | 'planning'
+export type SavedViewSharing = 'private' | 'role' | 'all'
+
+export interface OrdersViewState {
+  sorting: { id: string; desc: boolean }[]
+  /** Column filter values as the orders table holds them */
+  column_filters: { id: string; value: unknown }[]
+  column_visibility: Record<string, boolean>
+  page_size?: number
+}
+
+export interface BoardViewState {
+  ready_to_run_only: boolean
+  collapsed_order_ids: number[]
+  /** 0 is the unassigned column */
+  hidden_work_centre_ids: number[]
+}
+
+export interface SavedViewStates {
+  orders: OrdersViewState
+  planning: BoardViewState
+}
+
+export interface SavedViewInput<P extends SavedViewPage = SavedViewPage> {
+  name: string
+  page: P
+  state: SavedViewStates[P]
+  shared_with: SavedViewSharing
+  /** Required when shared_with is 'role' */
+  shared_role?: User['role']
+}
+
+export interface SavedView<P extends SavedViewPage = SavedViewPage> extends Omit<SavedViewInput<P>, 'shared_role'> {
+  id: string
+  shared_role: User['role'] | null
+  owner_id: number
+  owner_username: string
+  updated_at: string
+}
+
 // API Response Types (matching backend)
 export interface ManufacturingStep {
   id: number
@@ -53,10 +94,15 @@ export interface ManufacturingStep {
   work_centre_name: string
   status: "pending" | "in_progress" | "complete" | "skipped"
   planned_duration_minutes?: number
+  setup_minutes?: number
   actual_duration_minutes?: number
-  quantity_completed: number
+  quantity_completed: number // sum of good quantities booked against the step
+  scrap_quantity?: number
+  rework_quantity?: number
   started_at?: string
   completed_at?: string
+  planned_start_at?: string | null
+  planned_finish_at?: string | null
 }
 
 export interface ManufacturingOrder {
@@ -80,8 +126,159 @@ export interface ManufacturingOrder {
   created_by_username: string
   created_at?: string
   updated_at?: string
+  version: number // goes up with every edit; updates send it back as If-Match
   manufacturing_steps: ManufacturingStep[]
+  routing_template_id?: number | null // routing version the steps were generated from
   job_characteristics?: JobCharacteristic[]
+  projected_completion_date?: string | null // null when no open steps are left to run
+  at_risk?: boolean // projected to finish after due_date
+  parent_order_id?: number | null // set on orders created by splitting another order
+  parent_order_number?: string | null
+  split_sequence?: number | null // 1-based position among the parent's children
+  family_size?: number | null // number of orders the parent was split into
+  is_split?: number // 1 while the order is split into children (kept off the board)
+  child_orders?: SplitChildOrder[] // only returned for a single order
+  blocked_by?: OrderBlocker[] // orders that must complete before this one can start
+  material_status?: MaterialStatus // from the stock code's bill of materials; short material blocks starting work
+  material_shortages?: MaterialShortage[]
+}
+
+export type MaterialStatus = "available" | "partially_allocated" | "short"
+
+export interface MaterialShortage {
+  component_code: string
+  shortage: number
+}
+
+export interface BomComponent {
+  id?: number
+  stock_code?: string
+  component_code: string
+  quantity_per: number
+  unit?: string
+  created_at?: string
+}
+
+export interface BomSummary {
+  stock_code: string
+  component_count: number
+  updated_at: string
+  updated_by_username?: string | null
+}
+
+export interface StockLevel {
+  component_code: string
+  on_hand: number
+  reserved: number // allocated to open orders but not yet issued
+  available: number // free to allocate
+}
+
+export type InventoryTransactionType = "receipt" | "issue" | "allocation" | "adjustment"
+
+export interface InventoryTransaction {
+  id: number
+  component_code: string
+  transaction_type: InventoryTransactionType
+  quantity: number
+  order_id: number | null
+  order_number?: string | null
+  reference: string | null
+  source: string | null
+  created_by: number | null
+  created_by_username?: string | null
+  created_at: string
+}
+
+export interface OrderMaterialComponent {
+  component_code: string
+  unit: string
+  quantity_per: number
+  required: number
+  allocated: number // reserved for the order, not yet issued
+  issued: number
+  outstanding: number // still needed after allocations and issues
+  available: number // free stock that could be allocated
+  shortage: number
+}
+
+export interface OrderMaterials {
+  material_status: MaterialStatus
+  components: OrderMaterialComponent[]
+  shortages: MaterialShortage[]
+}
+
+export interface OrderBlocker {
+  dependency_id: number
+  order_id: number
+  order_number: string
+  status: ManufacturingOrder["status"]
+}
+
+export interface OrderDependency {
+  id: number
+  order_id: number
+  depends_on_order_id: number
+  depends_on_order_number: string
+  depends_on_status: ManufacturingOrder["status"]
+  is_blocking: boolean
+  created_by: number | null
+  created_by_username?: string | null
+  created_at: string
+}
+
+export interface OrderDependent {
+  id: number
+  order_id: number
+  depends_on_order_id: number
+  order_number: string
+  status: ManufacturingOrder["status"]
+  created_at: string
+}
+
+export interface SplitChildOrder {
+  id: number
+  order_number: string
+  quantity_to_make: number
+  quantity_completed: number
+  status: ManufacturingOrder["status"]
+  split_sequence: number
+  current_work_centre_id: number | null
+  work_centre_code?: string | null
+  work_centre_name?: string | null
+}
+
+export interface OrderSplitPart {
+  quantity: number
+  work_centre_id?: number
+  due_date?: string
+}
+
+// The same change applied to many orders at once (PATCH /orders/bulk)
+export interface OrderBulkChanges {
+  priority?: ManufacturingOrder['priority']
+  status?: ManufacturingOrder['status']
+  due_date?: string
+  current_work_centre_id?: number
+  add_characteristics?: Array<{ type: string; value: string; color?: string; display_name?: string }>
+  remove_characteristics?: Array<{ type: string; value: string }>
+}
+
+export interface OrderBulkUpdateResult {
+  order_id: number
+  order_number: string
+  status: 'updated' | 'unchanged' | 'ok' | 'error'
+  updated_fields?: string[]
+  code?: string
+  message?: string
+  current_version?: number // VERSION_CONFLICT: the order has been edited since it was read
+  order?: ManufacturingOrder
+}
+
+export interface OrderBulkUpdateResponse {
+  message: string
+  updated: number
+  unchanged: number
+  details: OrderBulkUpdateResult[]
 }
 
 export interface Machine {
@@ -102,11 +299,128 @@ export interface WorkCentre {
   is_active: boolean
   created_at: string
   updated_at: string
+  version: number // goes up with every edit; updates send it back as If-Match
   current_jobs: number
   currentJobs?: number // For backward compatibility
   machines: Machine[]
   utilizationPercent?: number
   orders?: ManufacturingOrder[]
+  shift_pattern_id?: number | null
+  auto_move_on_step_complete?: boolean // completing a step here moves the order to its next step's work centre
+}
+
+// Shift calendar types
+export interface Shift {
+  id?: number
+  day_of_week: number // 0 = Sunday
+  start_time: string // HH:MM
+  end_time: string // HH:MM, earlier than start_time for overnight shifts
+  name?: string | null
+}
+
+export interface ShiftPattern {
+  id: number
+  name: string
+  description?: string | null
+  is_default: boolean
+  shifts: Shift[]
+  work_centre_count?: number
+  created_at: string
+  updated_at: string
+}
+
+export interface CalendarException {
+  id: number
+  work_centre_id: number | null // null = site-wide
+  exception_date: string // YYYY-MM-DD
+  start_time: string | null // null with end_time = whole day
+  end_time: string | null
+  is_working: boolean // true = overtime, false = closure
+  description?: string | null
+  created_by?: number | null
+  created_at: string
+}
+
+export interface WorkCentreCalendar {
+  work_centre_id: number
+  pattern_source: 'work_centre' | 'default' | 'always_on'
+  shift_pattern: ShiftPattern | null
+  exceptions: CalendarException[]
+  working_windows?: Array<{ start: string; end: string }>
+  available_hours?: number
+}
+
+// Routing template types
+export interface RoutingOperation {
+  id?: number
+  step_number: number
+  operation_name: string
+  work_centre_id: number
+  work_centre_code?: string
+  work_centre_name?: string
+  planned_duration_minutes?: number | null
+  setup_minutes: number
+}
+
+export interface RoutingTemplate {
+  id: number
+  stock_code: string
+  version: number
+  description?: string | null
+  is_active: boolean // only the current version is active
+  created_by?: number | null
+  created_by_username?: string | null
+  created_at: string
+  operations?: RoutingOperation[]
+  operation_count?: number
+}
+
+export interface RoutingVersion {
+  id: number
+  version: number
+  description?: string | null
+  is_active: boolean
+  created_at: string
+  created_by_username?: string | null
+  order_count: number
+}
+
+// Step quantity booking types
+export interface StepBooking {
+  id: number
+  step_id: number
+  order_id: number
+  good_quantity: number
+  scrap_quantity: number
+  rework_quantity: number
+  reason_code?: string | null
+  notes?: string | null
+  booked_by?: number | null
+  booked_by_username?: string | null
+  booked_at: string
+}
+
+export interface StepBookingTotals {
+  good_quantity: number
+  scrap_quantity: number
+  rework_quantity: number
+  booking_count: number
+}
+
+export interface YieldFigures {
+  good_quantity: number
+  scrap_quantity: number
+  rework_quantity: number
+  yield_percent: number | null // null when nothing was booked
+}
+
+export interface YieldAnalytics {
+  summary: YieldFigures & { booking_count: number }
+  by_work_centre: Array<YieldFigures & { work_centre_id: number; code: string; name: string }>
+  by_stock_code: Array<YieldFigures & { stock_code: string }>
+  by_reason: Array<{ reason_code: string; scrap_quantity: number; rework_quantity: number; booking_count: number }>
+  period_days: number
+  generated_at: string
 }
 
 export interface DashboardMetrics {
@@ -123,6 +437,44 @@ export interface DashboardMetrics {
 export interface OrdersResponse {
   orders: ManufacturingOrder[]
   count: number
+  /** Paged requests only: matching orders across all pages */
+  total?: number
+  limit?: number
+  offset?: number
+  has_more?: boolean
+}
+
+/** Filters, sort and paging for GET /orders; array values match any of them */
+export interface OrderListQuery {
+  status?: ManufacturingOrder['status'] | ManufacturingOrder['status'][]
+  priority?: ManufacturingOrder['priority'] | ManufacturingOrder['priority'][]
+  work_centre_id?: number | number[]
+  unassigned?: boolean
+  created_by?: number
+  search?: string
+  due_from?: string
+  due_to?: string
+  start_from?: string
+  start_to?: string
+  completion_from?: string
+  completion_to?: string
+  created_from?: string
+  created_to?: string
+  quantity_min?: number
+  quantity_max?: number
+  progress_min?: number
+  progress_max?: number
+  order_number_contains?: string
+  stock_code_contains?: string
+  description_contains?: string
+  current_operation_contains?: string
+  /** "type:value", or a bare value of any type */
+  characteristic?: string | string[]
+  /** e.g. "due_date:asc,priority:desc" */
+  sort?: string
+  /** Page size (max 500); every matching order is returned when omitted */
+  limit?: number
+  offset?: number
 }
 
 export interface WorkCentresResponse {
@@ -140,11 +492,328 @@ export interface PlanningBoardResponse {
     total_active_orders: number
     total_completed_orders: number
     total_overdue_orders: number
+    total_ready_to_run_orders: number // open orders with their material and no open blockers
     active_drag_operations: number
   }
   last_updated: string
 }
 
+// Auto-scheduler types
+export interface ScheduleSequenceEntry {
+  order_id: number
+  order_number: string
+  status: ManufacturingOrder["status"]
+  priority: ManufacturingOrder["priority"]
+  due_date?: string | null
+  current_position: number | null
+  proposed_position: number
+  planned_start: string | null
+  planned_finish: string | null
+  late: boolean
+}
+
+export interface ScheduleProposal {
+  generated_at: string
+  work_centres: {
+    work_centre_id: number
+    work_centre_code: string
+    work_centre_name: string
+    capacity: number
+    sequence: ScheduleSequenceEntry[]
+  }[]
+  orders: {
+    order_id: number
+    order_number: string
+    due_date?: string | null
+    planned_start: string
+    planned_finish: string
+    late: boolean
+    steps: {
+      step_id: number
+      step_number: number
+      work_centre_id: number
+      remaining_minutes: number
+      planned_start: string
+      planned_finish: string
+    }[]
+  }[]
+  changes: {
+    order_id: number
+    order_number: string
+    work_centre_id: number
+    from_position: number | null
+    to_position: number
+  }[]
+  summary: {
+    orders_scheduled: number
+    late_orders: number
+    positions_changed: number
+  }
+}
+
+export interface ScheduleResponse {
+  message: string
+  dry_run: boolean
+  schedule: ScheduleProposal
+}
+
+// Sequence-dependent setup time between two characteristic values; "*" matches any value
+export interface ChangeoverTime {
+  id?: number
+  work_centre_id?: number
+  characteristic_type: string
+  from_value: string
+  to_value: string
+  setup_minutes: number
+}
+
+export interface ChangeoverSequenceEntry {
+  order_id: number
+  order_number: string
+  status: ManufacturingOrder["status"]
+  due_date?: string | null
+  characteristics: Record<string, string>
+  current_position: number | null
+  proposed_position: number
+  setup_minutes: number // changeover from the order before it
+  planned_finish: string | null
+  late: boolean
+}
+
+export interface ChangeoverProposal {
+  generated_at: string
+  work_centre_id: number
+  work_centre_code: string
+  work_centre_name: string
+  sequence: ChangeoverSequenceEntry[]
+  changes: {
+    order_id: number
+    order_number: string
+    from_position: number | null
+    to_position: number
+  }[]
+  summary: {
+    orders_sequenced: number
+    setup_minutes_before: number
+    setup_minutes_after: number
+    setup_minutes_saved: number
+    late_orders_before: number
+    late_orders_after: number
+    positions_changed: number
+  }
+}
+
+export interface ChangeoverResponse {
+  message: string
+  dry_run: boolean
+  proposal: ChangeoverProposal
+}
+
+// A planning board move or reorder in the current user's undo/redo history
+export interface BoardActionSummary {
+  id: number
+  action_type: "move" | "reorder"
+  status: "done" | "undone"
+  order_id: number | null
+  order_number: string | null
+  from_work_centre_id: number | null
+  to_work_centre_id: number | null
+  work_centre_id: number | null // reorders only
+  created_at: string
+}
+
+export interface BoardHistory {
+  can_undo: boolean
+  can_redo: boolean
+  undo: BoardActionSummary | null
+  redo: BoardActionSummary | null
+}
+
+export interface BoardHistoryStepResponse {
+  message: string
+  action: BoardActionSummary
+  history: BoardHistory
+}
+
+// What-if copy of the board; moves inside it leave the live board alone until published
+export interface PlanningScenario {
+  id: number
+  name: string
+  description?: string | null
+  created_by?: number | null
+  created_by_username?: string | null
+  created_at: string
+  updated_at: string
+  order_count?: number
+  changed_count: number
+}
+
+export interface ScenarioOrder {
+  order_id: number
+  order_number: string
+  status: ManufacturingOrder["status"]
+  priority: ManufacturingOrder["priority"]
+  due_date?: string | null
+  work_centre_id: number | null
+  work_centre_position: number | null
+  live_work_centre_id: number | null
+  live_work_centre_position: number | null
+  changed: boolean
+}
+
+export interface BoardKpis {
+  late_orders: number
+  open_orders: number
+  unassigned_orders: number
+  work_centres: {
+    work_centre_id: number
+    code: string
+    name: string
+    capacity: number
+    queue_depth: number
+    utilisation_percent: number
+  }[]
+}
+
+export interface ScenarioComparison {
+  scenario: PlanningScenario
+  generated_at: string
+  live: BoardKpis
+  scenario_kpis: BoardKpis
+  delta: {
+    late_orders: number
+    unassigned_orders: number
+    work_centres: {
+      work_centre_id: number
+      queue_depth: number
+      utilisation_percent: number
+    }[]
+  }
+}
+
+// Full-text search types
+export type SearchField = 'order_number' | 'stock_code' | 'description' | 'operations' | 'characteristics' | 'notes'
+
+/** A run of highlighted text; match marks the parts that matched the search terms */
+export interface SearchHighlightSegment {
+  text: string
+  match: boolean
+}
+
+export interface OrderSearchResult {
+  id: number
+  order_number: string
+  stock_code: string
+  description: string
+  status: ManufacturingOrder['status']
+  priority: ManufacturingOrder['priority']
+  due_date?: string
+  current_work_centre_id: number | null
+  work_centre_name: string | null
+  /** Higher is a better match */
+  score: number
+  matched_fields: SearchField[]
+  highlights: Partial<Record<SearchField, SearchHighlightSegment[]>>
+}
+
+export interface SearchResponse {
+  query: string
+  results: OrderSearchResult[]
+  count: number
+}
+
+// Order archive: completed and cancelled orders moved out of the live tables
+export interface ArchivedOrder {
+  id: number
+  order_number: string
+  stock_code: string
+  description: string
+  status: "complete" | "cancelled"
+  priority: ManufacturingOrder['priority']
+  quantity_to_make: number
+  quantity_completed: number
+  due_date?: string
+  completion_date?: string
+  work_centre_id: number | null
+  work_centre_name: string | null
+  created_at: string
+  archived_at: string
+  archived_by: number | null
+  archived_by_username: string | null
+}
+
+/** An archived order as it was, with the rows archived alongside it */
+export interface ArchivedOrderDetail extends ManufacturingOrder {
+  archived_at: string
+  archived_by: number | null
+  manufacturing_steps: ManufacturingStep[]
+  step_bookings: StepBooking[]
+  job_characteristics: JobCharacteristic[]
+  order_dependencies: OrderDependency[]
+  audit_log: { id: number; event_type: string; user_id: number | null; event_data: string | null; timestamp: string }[]
+}
+
+export interface ArchivedOrderQuery {
+  /** Order number, stock code, description, operations, characteristics or booking notes */
+  q?: string
+  status?: ArchivedOrder['status']
+  completion_from?: string
+  completion_to?: string
+  archived_from?: string
+  archived_to?: string
+  limit?: number
+  offset?: number
+}
+
+export interface ArchivedOrdersResponse {
+  orders: ArchivedOrder[]
+  count: number
+  total: number
+  limit: number
+  offset: number
+  has_more: boolean
+}
+
+export interface ArchiveRunResponse {
+  orders: Pick<ArchivedOrder, 'id' | 'order_number' | 'status' | 'completion_date'>[]
+  count: number
+  dry_run: boolean
+}
+
+// Database backups (SQLite only)
+export interface DatabaseBackup {
+  id: string
+  file: string
+  trigger: "scheduled" | "manual" | "pre_restore"
+  note: string | null
+  created_at: string
+  created_by: number | null
+  size_bytes: number
+  /** Latest migration applied to the backed-up database */
+  schema_version: number | null
+  duration_ms: number
+  integrity: {
+    ok: boolean
+    errors: string[]
+    checked_at: string
+  }
+}
+
+export interface DatabaseBackupsResponse {
+  backups: DatabaseBackup[]
+  count: number
+  /** Newest backups kept; older ones are deleted */
+  retain: number
+}
+
+export interface BackupRestoreResponse {
+  message: string
+  backup: DatabaseBackup
+  /** Taken just before the restore, so it can be undone */
+  pre_restore_backup: DatabaseBackup
+  migrations_applied: string[]
+}
+
 // User types
 export interface User {
   id: number